@@ -17,7 +17,9 @@ const optionalEnvVars = {
   NODE_ENV: 'development',
   LOG_LEVEL: undefined, // Will be set based on NODE_ENV
   FRONTEND_URL: undefined,
-  ALLOWED_ORIGINS: undefined // Comma-separated list of allowed CORS origins
+  ALLOWED_ORIGINS: undefined, // Comma-separated list of allowed CORS origins
+  DOCUMENT_SIGNING_SECRET: undefined, // Signs document QR codes; falls back to JWT_SECRET
+  RECEIPT_PRINTER_PORTS: undefined // Comma-separated raw TCP ports receipt printers may use; 9100 when unset
 };
 
 /**
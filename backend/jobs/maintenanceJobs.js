@@ -1,5 +1,6 @@
 const cron = require('node-cron');
 const maintenanceService = require('../services/maintenanceService');
+const notificationService = require('../services/notificationService');
 
 /**
  * Setup maintenance cron jobs
@@ -24,6 +25,98 @@ function setupMaintenanceJobs() {
     }
   });
 
+  // Send low stock alerts daily at 8 AM
+  cron.schedule('0 8 * * *', async () => {
+    try {
+      await maintenanceService.sendLowStockAlerts();
+    } catch (error) {
+      console.error('[Cron Job] Error sending low stock alerts:', error);
+    }
+  });
+
+  // Retry failed notification deliveries every 5 minutes
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      await notificationService.retryPendingDeliveries();
+    } catch (error) {
+      console.error('[Cron Job] Error retrying notification deliveries:', error);
+    }
+  });
+
+  // Expire loyalty points and re-evaluate tiers daily at 1 AM
+  cron.schedule('0 1 * * *', async () => {
+    try {
+      await maintenanceService.processLoyalty();
+    } catch (error) {
+      console.error('[Cron Job] Error processing loyalty points:', error);
+    }
+  });
+
+  // Expire gift cards and store credit daily at 1:30 AM
+  cron.schedule('30 1 * * *', async () => {
+    try {
+      await maintenanceService.processGiftCardExpiry();
+    } catch (error) {
+      console.error('[Cron Job] Error expiring gift cards:', error);
+    }
+  });
+
+  // Expire quotations past their validity date daily at 0:15 AM
+  cron.schedule('15 0 * * *', async () => {
+    try {
+      await maintenanceService.processQuotationExpiry();
+    } catch (error) {
+      console.error('[Cron Job] Error expiring quotations:', error);
+    }
+  });
+
+  // Recompute demand forecasts and reorder points nightly at 0:45 AM
+  cron.schedule('45 0 * * *', async () => {
+    try {
+      await maintenanceService.processDemandForecasts();
+    } catch (error) {
+      console.error('[Cron Job] Error computing demand forecasts:', error);
+    }
+  });
+
+  // Revalue foreign currency balances as of the previous month end on the 1st at 0:30 AM
+  cron.schedule('30 0 1 * *', async () => {
+    try {
+      await maintenanceService.processCurrencyRevaluation();
+    } catch (error) {
+      console.error('[Cron Job] Error revaluing foreign currency balances:', error);
+    }
+  });
+
+  // Generate recurring journal vouchers that have fallen due, hourly at 5 past
+  cron.schedule('5 * * * *', async () => {
+    try {
+      await maintenanceService.processRecurringJournals();
+    } catch (error) {
+      console.error('[Cron Job] Error generating recurring journals:', error);
+    }
+  });
+
+  // Post prepaid expense and deferred revenue recognition for months that have ended, daily at 0:20 AM
+  // (lines held up by a locked period are retried each night)
+  cron.schedule('20 0 * * *', async () => {
+    try {
+      await maintenanceService.processAmortization();
+    } catch (error) {
+      console.error('[Cron Job] Error posting amortization:', error);
+    }
+  });
+
+  // Depreciate fixed assets for months that have ended, daily at 0:25 AM
+  // (a month that could not be posted is retried each night)
+  cron.schedule('25 0 * * *', async () => {
+    try {
+      await maintenanceService.processDepreciation();
+    } catch (error) {
+      console.error('[Cron Job] Error running depreciation:', error);
+    }
+  });
+
   // Process expired inventory daily at 10 AM (optional - set autoWriteOff: true to enable)
   // Currently disabled - requires manual approval
   // cron.schedule('0 10 * * *', async () => {
@@ -20,17 +20,25 @@ setInterval(() => {
       idempotencyStore.delete(key);
     }
   }
-}, 5 * 60 * 1000);
+}, 5 * 60 * 1000).unref();
+
+/**
+ * Get the client-supplied idempotency key, if any
+ */
+const getIdempotencyKeyHeader = (req) => {
+  // Express normalizes headers to lowercase; check variations anyway
+  return req.headers['idempotency-key'] ||
+    req.headers['Idempotency-Key'] ||
+    req.headers['IDEMPOTENCY-KEY'] ||
+    null;
+};
 
 /**
  * Generate idempotency key from request
  */
 const generateIdempotencyKey = (req) => {
-  // Use custom idempotency key if provided (Express normalizes headers to lowercase)
-  // Check both lowercase and any case variations
-  const idempotencyKeyHeader = req.headers['idempotency-key'] || 
-                                req.headers['Idempotency-Key'] ||
-                                req.headers['IDEMPOTENCY-KEY'];
+  // Use custom idempotency key if provided
+  const idempotencyKeyHeader = getIdempotencyKeyHeader(req);
   if (idempotencyKeyHeader) {
     return idempotencyKeyHeader;
   }
@@ -57,11 +65,14 @@ const generateIdempotencyKey = (req) => {
  * @param {Object} options - Configuration options
  * @param {number} options.windowMs - Time window in milliseconds (default: 5000)
  * @param {boolean} options.requireIdempotencyKey - Require explicit idempotency key header (default: false)
+ * @param {Function} options.findExisting - async (req, key) => response body for a request already
+ *   persisted under a client-supplied key; lets replays outlive the in-memory window
  */
 const preventDuplicates = (options = {}) => {
   const {
     windowMs = 5000, // 5 second window
-    requireIdempotencyKey = false
+    requireIdempotencyKey = false,
+    findExisting = null
   } = options;
 
   return async (req, res, next) => {
@@ -119,6 +130,22 @@ const preventDuplicates = (options = {}) => {
       }
     }
 
+    // Client-supplied keys may be replayed long after the window (e.g. offline POS sync)
+    if (findExisting && getIdempotencyKeyHeader(req)) {
+      try {
+        const persisted = await findExisting(req, idempotencyKey);
+        if (persisted) {
+          logger.info(`Replayed request matched persisted idempotency key: ${idempotencyKey}`, {
+            path: req.path,
+            method: req.method
+          });
+          return res.status(200).json(persisted);
+        }
+      } catch (error) {
+        logger.error('Idempotency lookup failed:', error);
+      }
+    }
+
     // Mark request as in progress
     idempotencyStore.set(idempotencyKey, {
       timestamp: Date.now(),
@@ -174,12 +201,31 @@ const preventDuplicates = (options = {}) => {
  */
 const preventPOSDuplicates = preventDuplicates({
   windowMs: 5000, // 5 second window for POS (reduced from 10s)
-  requireIdempotencyKey: false // Auto-generate from request body
+  requireIdempotencyKey: false, // Auto-generate from request body
+  findExisting: async (req, key) => {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    if (!tenantId) return null;
+    const Sales = require('../models/Sales');
+    const order = await Sales.findOne({ tenantId, idempotencyKey: key });
+    if (!order) return null;
+    await order.populate([
+      { path: 'customer', select: 'firstName lastName businessName email' },
+      { path: 'items.product', select: 'name description' },
+      { path: 'createdBy', select: 'firstName lastName' }
+    ]);
+    return {
+      success: true,
+      message: 'Order already created',
+      duplicate: true,
+      order
+    };
+  }
 });
 
 module.exports = {
   preventDuplicates,
   preventPOSDuplicates,
-  generateIdempotencyKey
+  generateIdempotencyKey,
+  getIdempotencyKeyHeader
 };
 
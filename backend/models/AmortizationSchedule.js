@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+// prepaid_expense: paid ahead and held as an asset, recognized as expense month by month;
+// deferred_revenue: billed ahead and held as a liability, recognized as revenue month by month
+const SCHEDULE_TYPES = ['prepaid_expense', 'deferred_revenue'];
+const SOURCE_TYPES = ['purchase_invoice', 'sale'];
+// equal: the same amount each month; daily: each month's share of the days covered
+const METHODS = ['equal', 'daily'];
+
+const recognitionLineSchema = new mongoose.Schema({
+  // Last instant of the month the amount is recognized in
+  periodEnd: { type: Date, required: true },
+  amount: { type: Number, required: true, min: 0 },
+  status: { type: String, enum: ['scheduled', 'posted'], default: 'scheduled' },
+  journalEntry: { type: mongoose.Schema.Types.ObjectId, ref: 'JournalEntry' },
+  postedAt: { type: Date }
+}, { _id: false });
+
+const amortizationScheduleSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  scheduleNumber: { type: String, trim: true },
+  type: { type: String, enum: SCHEDULE_TYPES, required: true },
+  description: { type: String, trim: true, maxlength: 500 },
+
+  // Bill or invoice line the schedule spreads
+  source: {
+    documentType: { type: String, enum: SOURCE_TYPES, required: true },
+    document: { type: mongoose.Schema.Types.ObjectId, required: true, refPath: 'source.documentModel' },
+    documentModel: { type: String, enum: ['PurchaseInvoice', 'Sales'], required: true },
+    reference: { type: String, trim: true },
+    lineIndex: { type: Number, required: true, min: 0 },
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    // Units taken out of stock, for bill lines
+    quantity: { type: Number, min: 0 },
+    documentDate: { type: Date }
+  },
+
+  // Base-currency amount taken off the line into the prepaid or deferred account
+  totalAmount: { type: Number, required: true, min: 0.01 },
+  // Account the line originally posted to, which the deferral is moved out of
+  sourceAccountCode: { type: String, required: true, trim: true, uppercase: true },
+  // PREPAID_EXPENSES or DEFERRED_REVENUE
+  balanceAccountCode: { type: String, required: true, trim: true, uppercase: true },
+  // Expense or revenue account each month's share is recognized in
+  recognitionAccountCode: { type: String, required: true, trim: true, uppercase: true },
+
+  method: { type: String, enum: METHODS, default: 'equal' },
+  startDate: { type: Date, required: true },
+  months: { type: Number, required: true, min: 1, max: 120 },
+  lines: [recognitionLineSchema],
+
+  recognizedAmount: { type: Number, default: 0 },
+  remainingAmount: { type: Number, default: 0 },
+  deferralEntry: { type: mongoose.Schema.Types.ObjectId, ref: 'JournalEntry' },
+
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'cancelled'],
+    default: 'active',
+    index: true
+  },
+  lastError: { type: String },
+  cancelledAt: { type: Date },
+  cancellationEntry: { type: mongoose.Schema.Types.ObjectId, ref: 'JournalEntry' },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+amortizationScheduleSchema.index({ tenantId: 1, scheduleNumber: 1 }, { unique: true });
+amortizationScheduleSchema.index({ tenantId: 1, 'source.document': 1, 'source.lineIndex': 1 });
+amortizationScheduleSchema.index({ tenantId: 1, status: 1, 'lines.periodEnd': 1 });
+
+amortizationScheduleSchema.pre('save', async function(next) {
+  if (!this.scheduleNumber) {
+    try {
+      const counter = await Counter.findOneAndUpdate(
+        { _id: `amortizationScheduleNumber_${this.tenantId}` },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true }
+      );
+      this.scheduleNumber = `AMS-${String(counter.seq).padStart(6, '0')}`;
+    } catch (err) {
+      return next(err);
+    }
+  }
+  next();
+});
+
+module.exports = mongoose.model('AmortizationSchedule', amortizationScheduleSchema);
+module.exports.SCHEDULE_TYPES = SCHEDULE_TYPES;
+module.exports.SOURCE_TYPES = SOURCE_TYPES;
+module.exports.METHODS = METHODS;
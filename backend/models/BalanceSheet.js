@@ -1,5 +1,26 @@
 const mongoose = require('mongoose');
 
+// What an amortization schedule still holds at the statement date
+const scheduleBalanceSchema = new mongoose.Schema({
+  schedule: { type: mongoose.Schema.Types.ObjectId, ref: 'AmortizationSchedule' },
+  scheduleNumber: { type: String },
+  reference: { type: String },
+  description: { type: String },
+  recognitionAccountCode: { type: String },
+  totalAmount: { type: Number, default: 0 },
+  recognized: { type: Number, default: 0 },
+  remaining: { type: Number, default: 0 }
+}, { _id: false });
+
+// Fixed asset register totals for one category at the statement date
+const assetCategorySchema = new mongoose.Schema({
+  category: { type: String },
+  count: { type: Number, default: 0 },
+  cost: { type: Number, default: 0 },
+  accumulatedDepreciation: { type: Number, default: 0 },
+  bookValue: { type: Number, default: 0 }
+}, { _id: false });
+
 const balanceSheetSchema = new mongoose.Schema({
   statementNumber: {
     type: String,
@@ -44,6 +65,7 @@ const balanceSheetSchema = new mongoose.Schema({
         total: { type: Number, default: 0 }
       },
       prepaidExpenses: { type: Number, default: 0 },
+      prepaidExpenseSchedules: [scheduleBalanceSchema],
       otherCurrentAssets: { type: Number, default: 0 },
       totalCurrentAssets: { type: Number, default: 0 }
     },
@@ -59,6 +81,7 @@ const balanceSheetSchema = new mongoose.Schema({
       },
       accumulatedDepreciation: { type: Number, default: 0 },
       netPropertyPlantEquipment: { type: Number, default: 0 },
+      assetSchedule: [assetCategorySchema],
       intangibleAssets: {
         goodwill: { type: Number, default: 0 },
         patents: { type: Number, default: 0 },
@@ -97,6 +120,7 @@ const balanceSheetSchema = new mongoose.Schema({
         total: { type: Number, default: 0 }
       },
       deferredRevenue: { type: Number, default: 0 },
+      deferredRevenueSchedules: [scheduleBalanceSchema],
       otherCurrentLiabilities: { type: Number, default: 0 },
       totalCurrentLiabilities: { type: Number, default: 0 }
     },
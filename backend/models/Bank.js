@@ -66,6 +66,27 @@ const bankSchema = new mongoose.Schema({
     maxlength: 50
   },
   
+  // Currency the account is held in; empty for the base currency. Balances and the bank
+  // receipts and payments on the account are in this currency.
+  currency: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  // Base-currency value of one unit when the opening balance was taken on
+  openingExchangeRate: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  // Chart of accounts code sale tenders into this account are debited to; the shared
+  // BANK account when empty
+  ledgerAccountCode: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+
   // Balance Information
   openingBalance: {
     type: Number,
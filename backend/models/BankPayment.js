@@ -64,11 +64,43 @@ const bankPaymentSchema = new mongoose.Schema({
     ref: 'Supplier',
     required: false
   },
+  // Supplier invoice the payment settles
+  purchaseInvoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseInvoice',
+    required: false
+  },
   customer: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Customer',
     required: false
   },
+
+  // Amount is in the bank account's currency; exchangeRate converts it to base
+  currency: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  exchangeRate: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  baseAmount: {
+    type: Number,
+    min: 0
+  },
+  // Part of a foreign-currency document settled, in that document's currency, and the
+  // exchange gain (positive) or loss realized on it
+  settledAmount: {
+    type: Number,
+    min: 0
+  },
+  realizedGainLoss: {
+    type: Number,
+    default: 0
+  },
   
   // Status
   status: {
@@ -101,6 +133,10 @@ const bankPaymentSchema = new mongoose.Schema({
 // Generate voucher code and transaction reference before saving
 const { generateDateBasedVoucherCode } = require('../utils/voucherCodeGenerator');
 bankPaymentSchema.pre('save', async function(next) {
+  if (this.baseAmount === undefined || this.isModified('amount') || this.isModified('exchangeRate')) {
+    this.baseAmount = Math.round(this.amount * (this.exchangeRate || 1) * 100) / 100;
+  }
+
   if (this.isNew && !this.voucherCode) {
     try {
       this.voucherCode = await generateDateBasedVoucherCode({
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { STATEMENT_FORMATS } = require('../utils/bankStatementParsers');
+
+// Book items a statement line can clear
+const MATCH_TYPES = ['bank_receipt', 'bank_payment', 'journal_entry'];
+const LINE_STATUSES = ['unmatched', 'partial', 'matched'];
+
+// A book item cleared by a statement line; a line may clear several items and an item
+// may be split over several lines, each match carrying its share of the amount
+const matchSchema = new mongoose.Schema({
+  type: { type: String, enum: MATCH_TYPES, required: true },
+  document: { type: mongoose.Schema.Types.ObjectId, required: true },
+  // Journal entries only: index of the bank line in the entry
+  lineIndex: { type: Number, min: 0 },
+  reference: { type: String, trim: true },
+  amount: { type: Number, required: true },
+  method: { type: String, enum: ['auto', 'manual', 'created'], default: 'manual' },
+  matchedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  matchedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Amounts are signed from the account holder's side: positive is money in
+const statementLineSchema = new mongoose.Schema({
+  date: { type: Date, required: true },
+  valueDate: { type: Date },
+  amount: { type: Number, required: true },
+  description: { type: String, trim: true, maxlength: 500 },
+  reference: { type: String, trim: true, maxlength: 140 },
+  counterparty: { type: String, trim: true, maxlength: 200 },
+  bankReference: { type: String, trim: true, maxlength: 140 },
+  status: { type: String, enum: LINE_STATUSES, default: 'unmatched' },
+  matches: [matchSchema]
+});
+
+const bankStatementSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  statementNumber: { type: String, trim: true },
+  bank: { type: mongoose.Schema.Types.ObjectId, ref: 'Bank', required: true },
+  format: { type: String, enum: STATEMENT_FORMATS, required: true },
+  fileName: { type: String, trim: true },
+  accountNumber: { type: String, trim: true },
+  currency: { type: String, trim: true, uppercase: true },
+  periodStart: { type: Date, required: true },
+  periodEnd: { type: Date, required: true },
+  openingBalance: { type: Number, default: 0 },
+  closingBalance: { type: Number, default: 0 },
+  lines: [statementLineSchema],
+  importedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true,
+  // Two people matching lines on the same statement must not clear an item twice
+  optimisticConcurrency: true
+});
+
+bankStatementSchema.index({ tenantId: 1, statementNumber: 1 }, { unique: true, sparse: true });
+bankStatementSchema.index({ tenantId: 1, bank: 1, periodEnd: -1 });
+bankStatementSchema.index({ tenantId: 1, 'lines.matches.document': 1 });
+
+bankStatementSchema.pre('validate', function(next) {
+  if (this.periodEnd < this.periodStart) {
+    return next(new Error('Statement period ends before it starts'));
+  }
+  next();
+});
+
+bankStatementSchema.pre('save', async function(next) {
+  if (!this.statementNumber) {
+    try {
+      const counter = await Counter.findOneAndUpdate(
+        { _id: `bankStatementNumber_${this.tenantId}` },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true }
+      );
+      this.statementNumber = `BS-${String(counter.seq).padStart(6, '0')}`;
+    } catch (err) {
+      return next(err);
+    }
+  }
+  next();
+});
+
+/**
+ * Amount of a line not yet matched to book items
+ * @param {object} line - Statement line
+ * @returns {number}
+ */
+bankStatementSchema.statics.unmatchedAmount = function(line) {
+  const matched = (line.matches || []).reduce((sum, match) => sum + match.amount, 0);
+  return Math.round((line.amount - matched) * 100) / 100;
+};
+
+/**
+ * Set a line's status from its matches
+ * @param {object} line - Statement line
+ */
+bankStatementSchema.statics.refreshLineStatus = function(line) {
+  const remaining = this.unmatchedAmount(line);
+  if (line.matches.length === 0) {
+    line.status = 'unmatched';
+  } else {
+    line.status = remaining === 0 ? 'matched' : 'partial';
+  }
+};
+
+module.exports = mongoose.model('BankStatement', bankStatementSchema);
+module.exports.MATCH_TYPES = MATCH_TYPES;
+module.exports.LINE_STATUSES = LINE_STATUSES;
@@ -59,6 +59,11 @@ const cashPaymentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'ChartOfAccounts'
   },
+  // Set when the cash was paid out of a till drawer
+  tillSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TillSession'
+  },
   
   // Status
   status: {
@@ -109,6 +114,7 @@ cashPaymentSchema.pre('save', async function(next) {
 cashPaymentSchema.index({ tenantId: 1, date: -1 });
 cashPaymentSchema.index({ tenantId: 1, voucherCode: 1 }, { unique: true, sparse: true });
 cashPaymentSchema.index({ tenantId: 1, createdBy: 1, date: -1 });
+cashPaymentSchema.index({ tenantId: 1, tillSession: 1 }, { sparse: true });
 
 // Post-save hook to handle accounting entries and supplier balance
 cashPaymentSchema.post('save', async function(doc) {
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const REVALUED_ITEMS = ['payable', 'receivable', 'bank'];
+
+// One open foreign-currency balance restated at the closing rate. `carried` is what the
+// books hold it at (the document's own rates), `revalued` is it at `rate`.
+const revaluationLineSchema = new mongoose.Schema({
+  type: { type: String, enum: REVALUED_ITEMS, required: true },
+  document: { type: mongoose.Schema.Types.ObjectId, required: true },
+  reference: { type: String, trim: true },
+  accountCode: { type: String, required: true },
+  currency: { type: String, required: true },
+  foreignAmount: { type: Number, required: true },
+  rate: { type: Number, required: true },
+  carried: { type: Number, required: true },
+  revalued: { type: Number, required: true },
+  // Gain is positive, loss negative
+  gainLoss: { type: Number, required: true }
+}, { _id: false });
+
+// Month-end unrealized revaluation. The entry is reversed the next day, so the books keep
+// carrying open items at their original rates and settlement realizes against those.
+const currencyRevaluationSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  asOf: { type: Date, required: true },
+  baseCurrency: { type: String, required: true },
+  rates: { type: Map, of: Number, default: {} },
+  lines: [revaluationLineSchema],
+  totalGainLoss: { type: Number, default: 0 },
+  journalEntry: { type: mongoose.Schema.Types.ObjectId, ref: 'JournalEntry' },
+  reversalEntry: { type: mongoose.Schema.Types.ObjectId, ref: 'JournalEntry' },
+  postedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+currencyRevaluationSchema.index({ tenantId: 1, asOf: -1 }, { unique: true });
+
+module.exports = mongoose.model('CurrencyRevaluation', currencyRevaluationSchema);
+module.exports.REVALUED_ITEMS = REVALUED_ITEMS;
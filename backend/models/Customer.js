@@ -44,6 +44,12 @@ const customerSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Matched against TaxCode.exemptCategories (e.g. 'charity', 'diplomatic', 'reseller')
+  taxCategory: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
   
   // Address Information
   addresses: [{
@@ -72,6 +78,12 @@ const customerSchema = new mongoose.Schema({
     enum: ['bronze', 'silver', 'gold', 'platinum'],
     default: 'bronze'
   },
+  // Loyalty points (ledger in LoyaltyTransaction; these are running totals)
+  loyalty: {
+    pointsBalance: { type: Number, default: 0, min: 0 },
+    lifetimePoints: { type: Number, default: 0, min: 0 },
+    tierUpdatedAt: { type: Date }
+  },
   creditLimit: {
     type: Number,
     default: 0,
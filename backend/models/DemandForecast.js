@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const FORECAST_MODELS = ['holt_winters', 'seasonal_naive'];
+const LEAD_TIME_SOURCES = ['purchase_orders', 'supplier', 'default'];
+
+// Nightly demand forecast for one product: the fitted model, its accuracy on held-out
+// days, daily forecast quantities from `forecastStart`, and the safety stock and reorder
+// point derived from them and the supplier lead time.
+const demandForecastSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  model: { type: String, enum: FORECAST_MODELS, required: true },
+  seasonLength: { type: Number, default: 7, min: 1 },
+  // Smoothing parameters of the Holt-Winters fit
+  parameters: {
+    alpha: { type: Number },
+    beta: { type: Number },
+    gamma: { type: Number }
+  },
+  observations: { type: Number, default: 0, min: 0 },
+  accuracy: {
+    // Mean absolute percentage error over the held-out days that had sales; null when none did
+    mape: { type: Number, default: null },
+    holdoutDays: { type: Number, default: 0 }
+  },
+  averageDailyDemand: { type: Number, default: 0, min: 0 },
+  demandStdDev: { type: Number, default: 0, min: 0 },
+  forecastStart: { type: Date, required: true },
+  forecast: [{ type: Number, min: 0 }],
+  leadTime: {
+    mean: { type: Number, default: 0, min: 0 },
+    stdDev: { type: Number, default: 0, min: 0 },
+    observations: { type: Number, default: 0, min: 0 },
+    source: { type: String, enum: LEAD_TIME_SOURCES, default: 'default' }
+  },
+  serviceLevel: { type: Number, default: 0.95, min: 0.5, max: 0.999 },
+  safetyStock: { type: Number, default: 0, min: 0 },
+  reorderPoint: { type: Number, default: 0, min: 0 },
+  computedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+demandForecastSchema.index({ tenantId: 1, product: 1 }, { unique: true });
+demandForecastSchema.index({ tenantId: 1, 'accuracy.mape': 1 });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Forecast quantity for the next `days` days (fractions count part of the last day)
+ * @param {number} days - Days to cover
+ * @param {Date} from - Day to start from
+ * @returns {number}
+ */
+demandForecastSchema.methods.demandOver = function(days, from = new Date()) {
+  const offset = Math.max(0, Math.floor((from - this.forecastStart) / DAY_MS));
+  const whole = Math.floor(days);
+  let total = 0;
+  for (let i = 0; i < Math.ceil(days); i++) {
+    // Past the stored horizon the last forecast day repeats
+    const quantity = this.forecast[Math.min(offset + i, this.forecast.length - 1)] || 0;
+    total += i < whole ? quantity : quantity * (days - whole);
+  }
+  return total;
+};
+
+/**
+ * Days until the forecast demand uses up the given stock
+ * @param {number} stock - Stock on hand
+ * @param {number} maxDays - Cap on the answer
+ * @param {Date} from - Day to start from
+ * @returns {number}
+ */
+demandForecastSchema.methods.daysOfCover = function(stock, maxDays = 90, from = new Date()) {
+  const offset = Math.max(0, Math.floor((from - this.forecastStart) / DAY_MS));
+  let remaining = stock;
+  for (let day = 0; day < maxDays; day++) {
+    remaining -= this.forecast[Math.min(offset + day, this.forecast.length - 1)] || 0;
+    if (remaining < 0) return day;
+  }
+  return maxDays;
+};
+
+module.exports = mongoose.model('DemandForecast', demandForecastSchema);
+module.exports.FORECAST_MODELS = FORECAST_MODELS;
+module.exports.LEAD_TIME_SOURCES = LEAD_TIME_SOURCES;
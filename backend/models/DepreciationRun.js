@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// One asset's charge in a run; `months` is more than one when earlier months are caught up
+const runLineSchema = new mongoose.Schema({
+  asset: { type: mongoose.Schema.Types.ObjectId, ref: 'FixedAsset', required: true },
+  assetNumber: { type: String },
+  name: { type: String },
+  category: { type: String },
+  months: { type: Number, default: 1 },
+  amount: { type: Number, required: true }
+}, { _id: false });
+
+// Month-end depreciation for every active asset, posted as one journal entry
+const depreciationRunSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  // Last instant of the month depreciated
+  periodEnd: { type: Date, required: true },
+  lines: [runLineSchema],
+  totalAmount: { type: Number, default: 0 },
+  journalEntry: { type: mongoose.Schema.Types.ObjectId, ref: 'JournalEntry' },
+  postedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+depreciationRunSchema.index({ tenantId: 1, periodEnd: -1 }, { unique: true });
+
+module.exports = mongoose.model('DepreciationRun', depreciationRunSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const DOCUMENT_TYPES = ['sales_invoice', 'sales_order', 'purchase_order', 'return', 'quotation'];
+const PAPER_SIZES = ['LETTER', 'A4', 'LEGAL', 'A5', 'THERMAL_80', 'THERMAL_58'];
+
+// A free-form label/value printed in the header, e.g. "Branch: Downtown"
+const headerFieldSchema = new mongoose.Schema({
+  label: { type: String, required: true, trim: true, maxlength: 50 },
+  value: { type: String, trim: true, maxlength: 200 }
+}, { _id: false });
+
+const taxRegistrationSchema = new mongoose.Schema({
+  label: { type: String, required: true, trim: true, maxlength: 50 },
+  number: { type: String, required: true, trim: true, maxlength: 100 }
+}, { _id: false });
+
+const documentTemplateSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Document types this template can print
+  documentTypes: [{
+    type: String,
+    enum: DOCUMENT_TYPES
+  }],
+  // Document types this template is the tenant default for; a type has at most one default
+  defaultFor: [{
+    type: String,
+    enum: DOCUMENT_TYPES
+  }],
+  paperSize: {
+    type: String,
+    enum: PAPER_SIZES,
+    default: 'LETTER'
+  },
+  orientation: {
+    type: String,
+    enum: ['portrait', 'landscape'],
+    default: 'portrait'
+  },
+  logo: {
+    // PNG or JPEG as a data URL
+    data: String,
+    width: { type: Number, min: 20, max: 300, default: 120 },
+    align: { type: String, enum: ['left', 'center', 'right'], default: 'left' }
+  },
+  header: {
+    // Overrides the document title, e.g. "TAX INVOICE"
+    title: { type: String, trim: true, maxlength: 50 },
+    showCompanyName: { type: Boolean, default: true },
+    showAddress: { type: Boolean, default: true },
+    showContact: { type: Boolean, default: true },
+    fields: [headerFieldSchema]
+  },
+  // Printed under the company details; falls back to the company tax ID when empty
+  taxRegistrations: [taxRegistrationSchema],
+  showItemTax: { type: Boolean, default: false },
+  showTaxBreakdown: { type: Boolean, default: true },
+  terms: { type: String, trim: true, maxlength: 2000 },
+  footer: { type: String, trim: true, maxlength: 500 },
+  qrCode: {
+    enabled: { type: Boolean, default: false },
+    size: { type: Number, min: 50, max: 200, default: 90 }
+  },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+documentTemplateSchema.index({ tenantId: 1, name: 1 }, { unique: true });
+documentTemplateSchema.index({ tenantId: 1, defaultFor: 1 });
+
+module.exports = mongoose.model('DocumentTemplate', documentTemplateSchema);
+module.exports.DOCUMENT_TYPES = DOCUMENT_TYPES;
+module.exports.PAPER_SIZES = PAPER_SIZES;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// ISO 4217 code, e.g. USD
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+// A payment settling part of a foreign-currency invoice or sale. `amount` is in the
+// document's currency; `rate` is what the payment actually converted at, and the gain or
+// loss against the document's own rate is posted as realized.
+const fxSettlementSchema = new mongoose.Schema({
+  paymentType: { type: String, enum: ['bank_payment', 'bank_receipt'], required: true },
+  payment: { type: mongoose.Schema.Types.ObjectId, required: true },
+  date: { type: Date, required: true },
+  amount: { type: Number, required: true, min: 0 },
+  rate: { type: Number, required: true, min: 0 },
+  // Gain is positive, loss negative
+  gainLoss: { type: Number, default: 0 },
+  journalEntry: { type: mongoose.Schema.Types.ObjectId, ref: 'JournalEntry' }
+}, { _id: false });
+
+// Rate for one foreign currency from `effectiveDate` until the next dated rate: how many
+// units of the tenant's base currency one unit of `currency` buys.
+const exchangeRateSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+    match: [CURRENCY_CODE, 'Currency must be a 3-letter ISO code']
+  },
+  effectiveDate: { type: Date, required: true },
+  rate: { type: Number, required: true, min: 0.000001 },
+  source: { type: String, enum: ['manual', 'import'], default: 'manual' },
+  notes: { type: String, trim: true, maxlength: 500 },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+exchangeRateSchema.index({ tenantId: 1, currency: 1, effectiveDate: -1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
+module.exports.CURRENCY_CODE = CURRENCY_CODE;
+module.exports.fxSettlementSchema = fxSettlementSchema;
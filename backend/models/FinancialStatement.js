@@ -56,6 +56,8 @@ const FinancialStatementSchema = new mongoose.Schema({
     },
     salesDiscounts: {
       amount: { type: Number, default: 0 },
+      // Part of amount given by the promotion engine
+      promotionCost: { type: Number, default: 0 },
       details: [{
         type: String, // bulk, loyalty, promotional
         amount: Number,
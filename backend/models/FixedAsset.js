@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+// Match the property, plant and equipment lines of the balance sheet
+const CATEGORIES = ['land', 'buildings', 'equipment', 'vehicles', 'furniture_and_fixtures', 'computer_equipment'];
+// none: not depreciated (land)
+const METHODS = ['straight_line', 'declining_balance', 'units_of_production', 'none'];
+const SOURCE_TYPES = ['purchase_invoice', 'journal_voucher', 'journal_entry'];
+
+// One month's charge. Months caught up by a later run are posted with that run's entry.
+const depreciationLineSchema = new mongoose.Schema({
+  // Last instant of the month the charge is for
+  periodEnd: { type: Date, required: true },
+  amount: { type: Number, required: true, min: 0 },
+  units: { type: Number },
+  run: { type: mongoose.Schema.Types.ObjectId, ref: 'DepreciationRun' },
+  journalEntry: { type: mongoose.Schema.Types.ObjectId, ref: 'JournalEntry' },
+  // Date of the entry that posted it
+  postedAt: { type: Date }
+}, { _id: false });
+
+// Units of production used, counted in the month they are dated in
+const usageSchema = new mongoose.Schema({
+  date: { type: Date, required: true },
+  units: { type: Number, required: true, min: 0 },
+  notes: { type: String, trim: true, maxlength: 200 },
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { _id: false });
+
+const fixedAssetSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  assetNumber: { type: String, trim: true },
+  name: { type: String, required: true, trim: true, maxlength: 200 },
+  description: { type: String, trim: true, maxlength: 1000 },
+  category: { type: String, enum: CATEGORIES, required: true },
+  serialNumber: { type: String, trim: true, maxlength: 100 },
+  location: { type: String, trim: true, maxlength: 200 },
+
+  // Purchase invoice line or journal line the cost was capitalized from
+  acquisition: {
+    sourceType: { type: String, enum: SOURCE_TYPES, required: true },
+    document: { type: mongoose.Schema.Types.ObjectId, required: true, refPath: 'acquisition.documentModel' },
+    documentModel: { type: String, enum: ['PurchaseInvoice', 'JournalVoucher', 'JournalEntry'], required: true },
+    reference: { type: String, trim: true },
+    lineIndex: { type: Number, required: true, min: 0 },
+    // Units taken out of stock, for purchase invoice lines
+    quantity: { type: Number, min: 0 },
+    date: { type: Date, required: true },
+    // Account the line debited, which the cost is moved out of
+    sourceAccountCode: { type: String, required: true, trim: true, uppercase: true },
+    // Reclassification into the asset account, when the line debited another account
+    journalEntry: { type: mongoose.Schema.Types.ObjectId, ref: 'JournalEntry' }
+  },
+
+  // Base-currency cost capitalized
+  cost: { type: Number, required: true, min: 0.01 },
+  salvageValue: { type: Number, default: 0, min: 0 },
+
+  assetAccountCode: { type: String, required: true, trim: true, uppercase: true },
+  accumulatedDepreciationAccountCode: { type: String, required: true, trim: true, uppercase: true },
+  depreciationExpenseAccountCode: { type: String, required: true, trim: true, uppercase: true },
+
+  depreciation: {
+    method: { type: String, enum: METHODS, required: true },
+    // First month charged
+    startDate: { type: Date, required: true },
+    usefulLifeMonths: { type: Number, min: 1, max: 1200 },
+    // Declining balance: multiple of the straight-line rate (2 = double declining)
+    decliningFactor: { type: Number, min: 1, max: 4, default: 2 },
+    // Units of production: units the asset is expected to deliver over its life
+    totalUnits: { type: Number, min: 1 }
+  },
+  usage: [usageSchema],
+  lines: [depreciationLineSchema],
+
+  accumulatedDepreciation: { type: Number, default: 0 },
+  bookValue: { type: Number, default: 0 },
+  // Last month charged
+  depreciatedThrough: { type: Date },
+
+  status: {
+    type: String,
+    enum: ['active', 'fully_depreciated', 'disposed'],
+    default: 'active',
+    index: true
+  },
+  disposal: {
+    date: { type: Date },
+    proceeds: { type: Number, min: 0 },
+    proceedsAccountCode: { type: String, trim: true, uppercase: true },
+    gainLoss: { type: Number },
+    journalEntry: { type: mongoose.Schema.Types.ObjectId, ref: 'JournalEntry' },
+    notes: { type: String, trim: true, maxlength: 500 },
+    disposedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+fixedAssetSchema.index({ tenantId: 1, assetNumber: 1 }, { unique: true });
+fixedAssetSchema.index({ tenantId: 1, 'acquisition.document': 1, 'acquisition.lineIndex': 1 });
+fixedAssetSchema.index({ tenantId: 1, status: 1, category: 1 });
+
+fixedAssetSchema.pre('save', async function(next) {
+  if (!this.assetNumber) {
+    try {
+      const counter = await Counter.findOneAndUpdate(
+        { _id: `fixedAssetNumber_${this.tenantId}` },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true }
+      );
+      this.assetNumber = `FA-${String(counter.seq).padStart(6, '0')}`;
+    } catch (err) {
+      return next(err);
+    }
+  }
+  next();
+});
+
+module.exports = mongoose.model('FixedAsset', fixedAssetSchema);
+module.exports.CATEGORIES = CATEGORIES;
+module.exports.METHODS = METHODS;
+module.exports.SOURCE_TYPES = SOURCE_TYPES;
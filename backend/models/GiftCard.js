@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const GIFT_CARD_TYPES = ['gift_card', 'store_credit'];
+
+// Every balance change is appended here; the card balance is the running sum of amounts
+const giftCardTransactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['activate', 'reload', 'redeem', 'refund', 'expire'],
+    required: true
+  },
+  // Signed: positive adds to the balance, negative consumes it
+  amount: { type: Number, required: true },
+  balanceAfter: { type: Number, required: true, min: 0 },
+  referenceType: {
+    type: String,
+    enum: ['sale', 'payment', 'return', 'manual']
+  },
+  referenceId: { type: mongoose.Schema.Types.ObjectId },
+  paymentMethod: { type: String },
+  journalEntry: { type: mongoose.Schema.Types.ObjectId, ref: 'JournalEntry' },
+  notes: { type: String, trim: true, maxlength: 500 },
+  performedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const giftCardSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: GIFT_CARD_TYPES,
+    default: 'gift_card'
+  },
+  code: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  barcode: {
+    type: String,
+    trim: true
+  },
+  // Cards are issued inactive and only carry a balance once activated (paid for)
+  status: {
+    type: String,
+    enum: ['inactive', 'active', 'redeemed', 'expired'],
+    default: 'inactive'
+  },
+  initialValue: { type: Number, required: true, min: 0.01 },
+  balance: { type: Number, default: 0, min: 0 },
+  currency: { type: String, default: 'USD' },
+  // Store credit is always held by a customer; gift cards are bearer cards unless registered
+  customer: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' },
+  sourceReturn: { type: mongoose.Schema.Types.ObjectId, ref: 'Return' },
+  expiresAt: { type: Date },
+  activatedAt: { type: Date },
+  issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  transactions: { type: [giftCardTransactionSchema], default: [] },
+  notes: { type: String, trim: true, maxlength: 500 }
+}, { timestamps: true });
+
+giftCardSchema.index({ tenantId: 1, code: 1 }, { unique: true });
+giftCardSchema.index(
+  { tenantId: 1, barcode: 1 },
+  { unique: true, partialFilterExpression: { barcode: { $type: 'string' } } }
+);
+giftCardSchema.index({ tenantId: 1, customer: 1, type: 1, status: 1 });
+giftCardSchema.index({ tenantId: 1, status: 1, expiresAt: 1 });
+
+giftCardSchema.pre('validate', function(next) {
+  if (this.type === 'store_credit' && !this.customer) {
+    return next(new Error('Store credit must belong to a customer'));
+  }
+  next();
+});
+
+giftCardSchema.methods.isExpired = function(asOf = new Date()) {
+  return Boolean(this.expiresAt && this.expiresAt <= asOf);
+};
+
+module.exports = mongoose.model('GiftCard', giftCardSchema);
+module.exports.GIFT_CARD_TYPES = GIFT_CARD_TYPES;
@@ -65,7 +65,7 @@ const InventorySchema = new mongoose.Schema({
     },
     referenceType: {
       type: String,
-      enum: ['cart', 'sales_order', 'manual', 'system'],
+      enum: ['cart', 'sales_order', 'quotation', 'manual', 'system'],
       default: 'cart'
     },
     referenceId: {
@@ -130,6 +130,19 @@ const InventorySchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'PurchaseOrder',
       },
+      purchaseInvoice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PurchaseInvoice',
+      },
+      // Invoice line the layer was received on
+      invoiceItem: {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+      // Per-unit freight, duty and other charges added to cost by landed cost vouchers
+      landedCost: {
+        type: Number,
+        default: 0,
+      },
     }],
   },
   status: {
@@ -184,6 +197,14 @@ const InventorySchema = new mongoose.Schema({
       type: Number,
       min: 0,
     },
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Warehouse',
+    },
+    bin: {
+      type: String,
+      trim: true,
+    },
     date: {
       type: Date,
       default: Date.now,
@@ -252,8 +273,9 @@ InventorySchema.pre('save', function(next) {
   next();
 });
 
-// Static method to update stock using atomic operations
-InventorySchema.statics.updateStock = async function(productId, movement) {
+// Static method to update stock using atomic operations; options.session writes inside a transaction
+InventorySchema.statics.updateStock = async function(productId, movement, options = {}) {
+  const { session } = options;
   const { retryMongoOperation } = require('../utils/retry');
   
   return retryMongoOperation(async () => {
@@ -272,7 +294,7 @@ InventorySchema.statics.updateStock = async function(productId, movement) {
       case 'adjustment':
         // For adjustments, we need to set exact value, not increment
         // First get current stock, then calculate difference
-        const current = await this.findOne({ product: productId });
+        const current = await this.findOne({ product: productId }, null, { session });
         const currentStock = current ? current.currentStock : 0;
         quantityChange = movement.quantity - currentStock;
         break;
@@ -295,15 +317,16 @@ InventorySchema.statics.updateStock = async function(productId, movement) {
 
     // Use findOneAndUpdate with atomic operations
     const filter = { product: productId };
-    const options = {
+    const updateOptions = {
       upsert: true,
       new: true,
       runValidators: true,
-      setDefaultsOnInsert: true
+      setDefaultsOnInsert: true,
+      session
     };
 
     // If upserting, set default values
-    if (!(await this.findOne(filter))) {
+    if (!(await this.findOne(filter, null, { session }))) {
       updateOps.$setOnInsert = {
         product: productId,
         productModel: 'Product',
@@ -318,7 +341,7 @@ InventorySchema.statics.updateStock = async function(productId, movement) {
     // HARD RULE: Check stock availability before updating (for out movements)
     // Database-level + service-level validation prevents negative stock
     if (movement.type !== 'adjustment' && quantityChange < 0) {
-      const current = await this.findOne(filter);
+      const current = await this.findOne(filter, null, { session });
       if (!current) {
         throw new Error('Inventory record not found and cannot create with negative stock. Inventory is the single source of truth.');
       }
@@ -343,7 +366,7 @@ InventorySchema.statics.updateStock = async function(productId, movement) {
       }
     }
 
-    const updated = await this.findOneAndUpdate(filter, updateOps, options);
+    const updated = await this.findOneAndUpdate(filter, updateOps, updateOptions);
     
     // Update available stock
     updated.availableStock = Math.max(0, updated.currentStock - updated.reservedStock);
@@ -367,10 +390,10 @@ InventorySchema.statics.updateStock = async function(productId, movement) {
       }
       
       // Update average cost (this will update inventory.cost.average and save)
-      const newAverageCost = await costingService.updateAverageCost(productId, movement.quantity, movement.cost, tenantId);
+      const newAverageCost = await costingService.updateAverageCost(productId, movement.quantity, movement.cost, tenantId, session);
       
       // Reload inventory to get updated cost and set lastPurchase
-      const inventoryWithCost = await this.findOne({ product: productId, tenantId });
+      const inventoryWithCost = await this.findOne({ product: productId, tenantId }, null, { session });
       
       if (inventoryWithCost) {
         // Update last purchase cost
@@ -378,23 +401,23 @@ InventorySchema.statics.updateStock = async function(productId, movement) {
           inventoryWithCost.cost = {};
         }
         inventoryWithCost.cost.lastPurchase = movement.cost;
-        await inventoryWithCost.save();
+        await inventoryWithCost.save({ session });
         
         // Sync cost to Product model
         const Product = require('../models/Product');
-        const product = await Product.findOne({ _id: productId, tenantId });
+        const product = await Product.findOne({ _id: productId, tenantId }, null, { session });
         if (product) {
           // Update product pricing.cost with average cost from inventory
           if (!product.pricing) {
             product.pricing = {};
           }
           product.pricing.cost = newAverageCost;
-          await product.save();
+          await product.save({ session });
         }
       }
     }
     
-    await updated.save();
+    await updated.save({ session });
     
     return updated;
   });
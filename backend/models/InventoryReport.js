@@ -47,6 +47,7 @@ const inventoryReportSchema = new mongoose.Schema({
     filters: {
       categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
       suppliers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Supplier' }],
+      warehouses: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Warehouse' }],
       stockStatus: [String], // ['in_stock', 'low_stock', 'out_of_stock', 'overstocked']
       turnoverRanges: [String], // ['fast', 'medium', 'slow', 'dead']
       agingRanges: [String] // ['new', 'aging', 'old', 'very_old']
@@ -78,6 +79,14 @@ const inventoryReportSchema = new mongoose.Schema({
       stockValue: { type: Number, default: 0 },
       stockStatus: { type: String, enum: ['in_stock', 'low_stock', 'out_of_stock', 'overstocked'] }
     },
+    warehouses: [{
+      warehouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Warehouse' },
+      warehouseName: String,
+      quantity: { type: Number, default: 0 },
+      reorderPoint: Number,
+      bins: [{ bin: String, quantity: Number, _id: false }],
+      _id: false
+    }],
     trend: {
       previousStock: { type: Number, default: 0 },
       stockChange: { type: Number, default: 0 },
@@ -167,7 +176,12 @@ const inventoryReportSchema = new mongoose.Schema({
       averageTurnoverRate: { type: Number, default: 0 },
       lowStockProducts: { type: Number, default: 0 },
       outOfStockProducts: { type: Number, default: 0 },
-      averageLeadTime: { type: Number, default: 0 }
+      averageLeadTime: { type: Number, default: 0 },
+      totalOrders: { type: Number, default: 0 },
+      totalValue: { type: Number, default: 0 },
+      // Percentages of receipts by the expected date and of ordered units received
+      onTimeDeliveryRate: { type: Number, default: 0 },
+      fillRate: { type: Number, default: 0 }
     },
     trend: {
       previousStockValue: { type: Number, default: 0 },
@@ -67,7 +67,7 @@ const journalEntrySchema = new mongoose.Schema({
   referenceType: {
     type: String,
     required: true,
-    enum: ['sale', 'purchase', 'payment', 'expense', 'inventory', 'adjustment', 'manual', 'opening_balance', 'period_closing'],
+    enum: ['sale', 'purchase', 'payment', 'expense', 'inventory', 'adjustment', 'manual', 'opening_balance', 'period_closing', 'cash_movement', 'loyalty', 'gift_card', 'stock_transfer', 'stocktake', 'return', 'landed_cost', 'bank_statement', 'fx_revaluation', 'amortization', 'fixed_asset', 'depreciation'],
     index: true
   },
   referenceId: {
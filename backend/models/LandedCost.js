@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const CHARGE_TYPES = ['freight', 'customs_duty', 'clearing', 'insurance', 'handling', 'other'];
+const ALLOCATION_METHODS = ['value', 'quantity', 'weight', 'volume'];
+// Account the charges are owed or paid from
+const SETTLEMENTS = ['accounts_payable', 'cash', 'bank'];
+
+const chargeSchema = new mongoose.Schema({
+  type: { type: String, enum: CHARGE_TYPES, required: true },
+  description: { type: String, trim: true, maxlength: 200 },
+  amount: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+// One purchase invoice line and its share of the charges. The split between stock still
+// on hand and stock already sold is recorded when the voucher is posted.
+const allocationSchema = new mongoose.Schema({
+  purchaseInvoice: { type: mongoose.Schema.Types.ObjectId, ref: 'PurchaseInvoice', required: true },
+  invoiceNumber: { type: String, trim: true },
+  invoiceItem: { type: mongoose.Schema.Types.ObjectId },
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  productName: { type: String, trim: true },
+  quantity: { type: Number, required: true, min: 0 },
+  unitCost: { type: Number, default: 0, min: 0 },
+  basis: { type: Number, default: 0, min: 0 },
+  amount: { type: Number, default: 0, min: 0 },
+  unitLandedCost: { type: Number, default: 0, min: 0 },
+  onHandQuantity: { type: Number, default: 0, min: 0 },
+  soldQuantity: { type: Number, default: 0, min: 0 },
+  inventoryAmount: { type: Number, default: 0, min: 0 },
+  cogsAmount: { type: Number, default: 0, min: 0 }
+});
+
+const landedCostSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  voucherNumber: {
+    type: String,
+    trim: true
+  },
+  date: { type: Date, default: Date.now },
+  // Carrier, broker or agent billing the charges
+  supplier: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier' },
+  supplierReference: { type: String, trim: true, maxlength: 100 },
+  purchaseInvoices: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'PurchaseInvoice' }],
+    validate: {
+      validator: invoices => invoices.length > 0,
+      message: 'At least one purchase invoice is required'
+    }
+  },
+  allocationMethod: { type: String, enum: ALLOCATION_METHODS, default: 'value' },
+  settlement: { type: String, enum: SETTLEMENTS, default: 'accounts_payable' },
+  charges: {
+    type: [chargeSchema],
+    validate: {
+      validator: charges => charges.length > 0,
+      message: 'At least one charge is required'
+    }
+  },
+  allocations: [allocationSchema],
+  totals: {
+    charges: { type: Number, default: 0 },
+    inventory: { type: Number, default: 0 },
+    cogs: { type: Number, default: 0 }
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'posted', 'cancelled'],
+    default: 'draft',
+    index: true
+  },
+  journalEntry: { type: mongoose.Schema.Types.ObjectId, ref: 'JournalEntry' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  postedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  postedAt: { type: Date },
+  cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  cancelledAt: { type: Date },
+  notes: { type: String, trim: true, maxlength: 1000 }
+}, {
+  timestamps: true
+});
+
+landedCostSchema.index({ tenantId: 1, voucherNumber: 1 }, { unique: true, sparse: true });
+landedCostSchema.index({ tenantId: 1, status: 1, date: -1 });
+landedCostSchema.index({ tenantId: 1, purchaseInvoices: 1 });
+
+landedCostSchema.pre('save', async function(next) {
+  if (!this.voucherNumber) {
+    try {
+      const counter = await Counter.findOneAndUpdate(
+        { _id: `landedCostNumber_${this.tenantId}` },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true }
+      );
+      this.voucherNumber = `LC-${String(counter.seq).padStart(6, '0')}`;
+    } catch (err) {
+      return next(err);
+    }
+  }
+  next();
+});
+
+module.exports = mongoose.model('LandedCost', landedCostSchema);
+module.exports.CHARGE_TYPES = CHARGE_TYPES;
+module.exports.ALLOCATION_METHODS = ALLOCATION_METHODS;
+module.exports.SETTLEMENTS = SETTLEMENTS;
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const LOYALTY_TIERS = ['bronze', 'silver', 'gold', 'platinum'];
+
+// Points per unit of currency spent; the most specific matching rule wins (product > category > spend)
+const earnRuleSchema = new mongoose.Schema({
+  name: { type: String, trim: true, maxlength: 100 },
+  type: {
+    type: String,
+    enum: ['spend', 'category', 'product'],
+    required: true
+  },
+  category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+  pointsPerUnit: { type: Number, required: true, min: 0 },
+  isActive: { type: Boolean, default: true }
+});
+
+const tierSchema = new mongoose.Schema({
+  tier: { type: String, enum: LOYALTY_TIERS, required: true },
+  // Points earned within the evaluation window needed to hold this tier
+  minPoints: { type: Number, required: true, min: 0 },
+  earnMultiplier: { type: Number, default: 1, min: 0 }
+}, { _id: false });
+
+const loyaltyProgramSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    unique: true
+  },
+  name: { type: String, trim: true, default: 'Loyalty Program' },
+  isActive: { type: Boolean, default: false },
+  earnRules: { type: [earnRuleSchema], default: [] },
+  // Currency value of one point when redeemed
+  pointValue: { type: Number, default: 0.01, min: 0 },
+  minRedeemPoints: { type: Number, default: 100, min: 0 },
+  // Largest share of a sale that may be paid with points (percent)
+  maxRedeemPercent: { type: Number, default: 100, min: 0, max: 100 },
+  pointsExpiryDays: { type: Number, default: 365, min: 0 }, // 0 = never expire
+  tierWindowDays: { type: Number, default: 365, min: 1 },
+  tiers: {
+    type: [tierSchema],
+    default: () => [
+      { tier: 'bronze', minPoints: 0, earnMultiplier: 1 },
+      { tier: 'silver', minPoints: 1000, earnMultiplier: 1.25 },
+      { tier: 'gold', minPoints: 5000, earnMultiplier: 1.5 },
+      { tier: 'platinum', minPoints: 15000, earnMultiplier: 2 }
+    ]
+  },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+loyaltyProgramSchema.pre('validate', function(next) {
+  for (const rule of this.earnRules) {
+    if (rule.type === 'category' && !rule.category) {
+      return next(new Error('Category earn rules require a category'));
+    }
+    if (rule.type === 'product' && !rule.product) {
+      return next(new Error('Product earn rules require a product'));
+    }
+  }
+  next();
+});
+
+/**
+ * Tier a customer qualifies for with the given window points
+ * @param {number} qualifyingPoints - Points earned within the tier window
+ * @returns {object} Tier definition
+ */
+loyaltyProgramSchema.methods.getTierFor = function(qualifyingPoints) {
+  const sorted = [...this.tiers].sort((a, b) => b.minPoints - a.minPoints);
+  return sorted.find(t => qualifyingPoints >= t.minPoints) || { tier: 'bronze', minPoints: 0, earnMultiplier: 1 };
+};
+
+module.exports = mongoose.model('LoyaltyProgram', loyaltyProgramSchema);
+module.exports.LOYALTY_TIERS = LOYALTY_TIERS;
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Points ledger. Earn rows are lots: remainingPoints is consumed FIFO by redemptions
+// and whatever is left at expiresAt is expired.
+const loyaltyTransactionSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['earn', 'redeem', 'expire', 'adjust'],
+    required: true
+  },
+  // Signed: positive for earn/credit adjustments, negative for redeem/expire/debit adjustments
+  points: { type: Number, required: true },
+  remainingPoints: { type: Number, default: 0, min: 0 },
+  expiresAt: { type: Date },
+  // Currency value of the points at the program's point value
+  value: { type: Number, default: 0 },
+  balanceAfter: { type: Number, required: true },
+  sale: { type: mongoose.Schema.Types.ObjectId, ref: 'Sales' },
+  journalEntry: { type: mongoose.Schema.Types.ObjectId, ref: 'JournalEntry' },
+  description: { type: String, trim: true, maxlength: 500 },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+loyaltyTransactionSchema.index({ tenantId: 1, customer: 1, createdAt: -1 });
+loyaltyTransactionSchema.index({ tenantId: 1, type: 1, remainingPoints: 1, expiresAt: 1 });
+loyaltyTransactionSchema.index({ tenantId: 1, sale: 1 }, { sparse: true });
+
+module.exports = mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// In-app inbox entry, one per recipient user
+const notificationSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  eventType: {
+    type: String,
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['info', 'warning', 'critical'],
+    default: 'info'
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 5000
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ tenantId: 1, user: 1, readAt: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
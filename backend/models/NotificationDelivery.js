@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Delivery log: one record per subscription per dispatched alert
+const notificationDeliverySchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NotificationSubscription',
+    required: true
+  },
+  eventType: {
+    type: String,
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'in_app', 'webhook'],
+    required: true
+  },
+  recipient: {
+    type: String
+  },
+  severity: {
+    type: String,
+    enum: ['info', 'warning', 'critical'],
+    default: 'info'
+  },
+  title: {
+    type: String
+  },
+  message: {
+    type: String
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  lastError: {
+    type: String
+  },
+  nextAttemptAt: {
+    type: Date
+  },
+  sentAt: {
+    type: Date
+  },
+  response: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+notificationDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+notificationDeliverySchema.index({ tenantId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('NotificationDelivery', notificationDeliverySchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_EVENTS = ['expiry_alert', 'low_stock_alert', 'overdue_credit_warning'];
+const NOTIFICATION_CHANNELS = ['email', 'in_app', 'webhook'];
+
+const notificationSubscriptionSchema = new mongoose.Schema({
+  // Multi-tenant support
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 150
+  },
+  eventType: {
+    type: String,
+    enum: NOTIFICATION_EVENTS,
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: NOTIFICATION_CHANNELS,
+    required: true
+  },
+  // Channel specific target: email address, in-app user or webhook endpoint
+  target: {
+    email: { type: String, trim: true, lowercase: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    url: { type: String, trim: true },
+    secret: { type: String, select: false }
+  },
+  // Only deliver when the alert is at least this severe
+  minSeverity: {
+    type: String,
+    enum: ['info', 'warning', 'critical'],
+    default: 'info'
+  },
+  maxAttempts: {
+    type: Number,
+    min: 1,
+    max: 10,
+    default: 3
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+notificationSubscriptionSchema.pre('validate', function(next) {
+  if (this.channel === 'email' && !this.target?.email) {
+    return next(new Error('Email subscriptions require target.email'));
+  }
+  if (this.channel === 'in_app' && !this.target?.user) {
+    return next(new Error('In-app subscriptions require target.user'));
+  }
+  if (this.channel === 'webhook' && !this.target?.url) {
+    return next(new Error('Webhook subscriptions require target.url'));
+  }
+  next();
+});
+
+notificationSubscriptionSchema.index({ tenantId: 1, eventType: 1, isActive: 1 });
+
+const NotificationSubscription = mongoose.model('NotificationSubscription', notificationSubscriptionSchema);
+
+module.exports = NotificationSubscription;
+module.exports.NOTIFICATION_EVENTS = NOTIFICATION_EVENTS;
+module.exports.NOTIFICATION_CHANNELS = NOTIFICATION_CHANNELS;
@@ -94,6 +94,15 @@ const PaymentSchema = new mongoose.Schema({
     provider: String, // 'apple_pay', 'google_pay', 'samsung_pay', etc.
     walletId: String
   },
+
+  // Gift card or store credit account the payment was redeemed from
+  giftCard: {
+    card: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GiftCard'
+    },
+    code: String
+  },
   
   // Refund information
   refunds: [{
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+// How a price is derived: a fixed amount, a markup on cost, a share of cost, or an
+// adjustment (positive or negative percent) of the product's list price for the customer type
+const PRICING_METHODS = ['fixed', 'cost_markup', 'percent_of_cost', 'list_adjustment'];
+const CUSTOMER_TYPES = ['retail', 'wholesale', 'distributor', 'individual'];
+
+// Highest break at or below the line quantity applies: a fixed price, or a discount off
+// the price the list would otherwise give
+const quantityBreakSchema = new mongoose.Schema({
+  minQuantity: { type: Number, required: true, min: 1 },
+  price: { type: Number, min: 0 },
+  discountPercent: { type: Number, min: 0, max: 100 }
+}, { _id: false });
+
+const priceListItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  method: { type: String, enum: PRICING_METHODS, default: 'fixed' },
+  price: { type: Number, min: 0 },
+  percent: { type: Number },
+  quantityBreaks: [quantityBreakSchema]
+}, { _id: false });
+
+const priceListSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+    maxlength: 20
+  },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  description: { type: String, trim: true, maxlength: 500 },
+
+  effectiveFrom: { type: Date, required: true, default: Date.now },
+  effectiveTo: { type: Date },
+
+  // Contract pricing for named customers, or list pricing for whole customer types
+  customers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Customer' }],
+  customerTypes: [{ type: String, enum: CUSTOMER_TYPES }],
+
+  // Per-product overrides
+  items: [priceListItemSchema],
+  // Prices every other product; 'none' leaves them at their product pricing
+  defaultRule: {
+    method: { type: String, enum: ['none', ...PRICING_METHODS.filter(method => method !== 'fixed')], default: 'none' },
+    percent: { type: Number, default: 0 },
+    quantityBreaks: [quantityBreakSchema]
+  },
+
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+priceListSchema.index({ tenantId: 1, code: 1 }, { unique: true });
+priceListSchema.index({ tenantId: 1, isActive: 1, customers: 1 });
+priceListSchema.index({ tenantId: 1, isActive: 1, customerTypes: 1 });
+
+priceListSchema.pre('validate', function(next) {
+  if (this.effectiveTo && this.effectiveFrom && this.effectiveTo < this.effectiveFrom) {
+    return next(new Error('Effective to date must be on or after the effective from date'));
+  }
+  const products = this.items.map(item => String(item.product));
+  if (new Set(products).size !== products.length) {
+    return next(new Error('A product can only appear once in a price list'));
+  }
+  const unpriced = this.items.find(item => (item.method === 'fixed' ? item.price == null : item.percent == null));
+  if (unpriced) {
+    return next(new Error('Each price list item needs a price or a percent'));
+  }
+  next();
+});
+
+/**
+ * Whether the list is in force on a date
+ * @param {Date} [asOf] - Date to check (defaults to now)
+ * @returns {boolean}
+ */
+priceListSchema.methods.isEffective = function(asOf = new Date()) {
+  return this.isActive &&
+    (!this.effectiveFrom || this.effectiveFrom <= asOf) &&
+    (!this.effectiveTo || this.effectiveTo >= asOf);
+};
+
+module.exports = mongoose.model('PriceList', priceListSchema);
+module.exports.PRICING_METHODS = PRICING_METHODS;
+module.exports.CUSTOMER_TYPES = CUSTOMER_TYPES;
@@ -166,6 +166,16 @@ const productSchema = new mongoose.Schema({
       default: 0,
       min: 0,
       max: 1
+    },
+    // Tax codes applied instead of taxRate when set
+    taxGroup: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TaxGroup'
+    },
+    // Selling prices already include tax
+    priceIncludesTax: {
+      type: Boolean,
+      default: false
     }
   },
   
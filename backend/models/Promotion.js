@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+
+// percent_off: percent off qualifying items (with a time window this is happy-hour pricing)
+// buy_x_get_y: buy X qualifying items, get Y (the cheapest) at getDiscountPercent off
+// bundle: the listed components together for bundlePrice
+// mix_and_match: any groupQuantity qualifying items for groupPrice
+// spend_gift: giftProduct free once the cart reaches minSpend
+const PROMOTION_TYPES = ['percent_off', 'buy_x_get_y', 'bundle', 'mix_and_match', 'spend_gift'];
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const bundleItemSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  quantity: { type: Number, required: true, min: 1, default: 1 }
+}, { _id: false });
+
+const promotionSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+    maxlength: 20
+  },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  description: { type: String, trim: true, maxlength: 500 },
+  type: { type: String, enum: PROMOTION_TYPES, required: true },
+
+  // Qualifying items; empty means every product
+  products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+  categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+
+  percent: { type: Number, min: 0, max: 100 },
+  buyQuantity: { type: Number, min: 1 },
+  getQuantity: { type: Number, min: 1 },
+  // Items given on a buy-X-get-Y; empty means the qualifying items
+  getProducts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+  getCategories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+  getDiscountPercent: { type: Number, min: 0, max: 100, default: 100 },
+  bundleItems: [bundleItemSchema],
+  bundlePrice: { type: Number, min: 0 },
+  groupQuantity: { type: Number, min: 2 },
+  groupPrice: { type: Number, min: 0 },
+  minSpend: { type: Number, min: 0 },
+  giftProduct: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+  giftQuantity: { type: Number, min: 1, default: 1 },
+
+  // Times the promotion can apply to one sale; empty is unlimited
+  maxApplications: { type: Number, min: 1 },
+
+  // When the promotion runs; the time window may wrap past midnight
+  startDate: { type: Date, required: true, default: Date.now },
+  endDate: { type: Date },
+  daysOfWeek: [{ type: String, enum: DAYS_OF_WEEK }],
+  startTime: { type: String, match: [TIME_PATTERN, 'Invalid time format'] },
+  endTime: { type: String, match: [TIME_PATTERN, 'Invalid time format'] },
+
+  customerTypes: [{ type: String, enum: ['retail', 'wholesale', 'distributor', 'individual'] }],
+
+  // Higher priority promotions are evaluated first. A promotion that does not stack only
+  // takes items no other promotion has touched, and keeps them to itself.
+  priority: { type: Number, default: 0 },
+  stackable: { type: Boolean, default: false },
+
+  usage: {
+    timesApplied: { type: Number, default: 0 },
+    totalDiscount: { type: Number, default: 0 },
+    lastAppliedAt: { type: Date }
+  },
+
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+promotionSchema.index({ tenantId: 1, code: 1 }, { unique: true });
+promotionSchema.index({ tenantId: 1, isActive: 1, startDate: 1 });
+
+promotionSchema.pre('validate', function(next) {
+  const required = {
+    percent_off: ['percent'],
+    buy_x_get_y: ['buyQuantity', 'getQuantity'],
+    bundle: ['bundlePrice'],
+    mix_and_match: ['groupQuantity', 'groupPrice'],
+    spend_gift: ['minSpend', 'giftProduct']
+  }[this.type] || [];
+  const missing = required.filter(field => this[field] === undefined || this[field] === null);
+  if (missing.length > 0) {
+    return next(new Error(`A ${this.type} promotion needs ${missing.join(' and ')}`));
+  }
+  if (this.type === 'bundle' && this.bundleItems.length < 2) {
+    return next(new Error('A bundle needs at least two items'));
+  }
+  if (this.endDate && this.startDate && this.endDate < this.startDate) {
+    return next(new Error('End date must be on or after the start date'));
+  }
+  if (Boolean(this.startTime) !== Boolean(this.endTime)) {
+    return next(new Error('A time window needs both a start and an end time'));
+  }
+  next();
+});
+
+/**
+ * Whether the promotion runs at a moment (server local time)
+ * @param {Date} [at] - Moment to check (defaults to now)
+ * @returns {boolean}
+ */
+promotionSchema.methods.isRunningAt = function(at = new Date()) {
+  if (!this.isActive || (this.startDate && this.startDate > at) || (this.endDate && this.endDate < at)) {
+    return false;
+  }
+  if (this.daysOfWeek?.length && !this.daysOfWeek.includes(DAYS_OF_WEEK[at.getDay()])) {
+    return false;
+  }
+  if (this.startTime && this.endTime) {
+    const toMinutes = (time) => {
+      const [hours, minutes] = time.split(':').map(Number);
+      return hours * 60 + minutes;
+    };
+    const now = at.getHours() * 60 + at.getMinutes();
+    const start = toMinutes(this.startTime);
+    const end = toMinutes(this.endTime);
+    return start <= end ? now >= start && now < end : now >= start || now < end;
+  }
+  return true;
+};
+
+module.exports = mongoose.model('Promotion', promotionSchema);
+module.exports.PROMOTION_TYPES = PROMOTION_TYPES;
+module.exports.DAYS_OF_WEEK = DAYS_OF_WEEK;
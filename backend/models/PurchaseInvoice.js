@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { taxComponentSchema } = require('./TaxCode');
+const { fxSettlementSchema } = require('./ExchangeRate');
 
 const purchaseInvoiceItemSchema = new mongoose.Schema({
   product: {
@@ -20,6 +22,41 @@ const purchaseInvoiceItemSchema = new mongoose.Schema({
     type: Number,
     required: true,
     min: 0
+  },
+  // Shelf/bin the goods are put away to in the destination warehouse
+  bin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: 50
+  },
+  taxGroup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxGroup'
+  },
+  // Flat rate used when the line has no tax group
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 1
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  withholdingAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  taxes: [taxComponentSchema],
+  // Freight, duty and other charges allocated to the line by posted landed cost vouchers
+  landedCost: {
+    type: Number,
+    default: 0,
+    min: 0
   }
 });
 
@@ -57,6 +94,12 @@ const purchaseInvoiceSchema = new mongoose.Schema({
   
   // Invoice Items
   items: [purchaseInvoiceItemSchema],
+
+  // Warehouse the goods are received into
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse'
+  },
   
   // Pricing Summary
   pricing: {
@@ -79,12 +122,36 @@ const purchaseInvoiceSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    // Tax withheld from the supplier's payment and owed to the authority
+    withholdingAmount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
     total: {
       type: Number,
       required: true,
       min: 0
     }
   },
+
+  // Tax components of all lines, one per code and rate; each posts to its own account
+  taxes: [taxComponentSchema],
+
+  // Currency the supplier billed in; empty for the base currency. Amounts on the invoice
+  // are in this currency and exchangeRate converts them to base.
+  currency: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  exchangeRate: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  // Bank payments against a foreign-currency invoice and the exchange difference each realized
+  fxSettlements: [fxSettlementSchema],
   
   // Payment Information
   payment: {
@@ -197,7 +264,7 @@ purchaseInvoiceSchema.methods.calculateTotals = function() {
   });
   
   this.pricing.subtotal = subtotal;
-  this.pricing.total = subtotal - (this.pricing.discountAmount || 0) + (this.pricing.taxAmount || 0);
+  this.pricing.total = subtotal - (this.pricing.discountAmount || 0) + (this.pricing.taxAmount || 0) - (this.pricing.withholdingAmount || 0);
   
   return this.pricing;
 };
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const QUOTATION_STATUSES = ['draft', 'sent', 'accepted', 'rejected', 'expired', 'converting', 'converted', 'cancelled'];
+
+// Prices and discounts are fixed when quoted; conversion carries them over unchanged
+const quotationItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  description: { type: String, trim: true },
+  quantity: { type: Number, required: true, min: 1 },
+  unitPrice: { type: Number, required: true, min: 0 },
+  priceList: { type: mongoose.Schema.Types.ObjectId, ref: 'PriceList' },
+  discountPercent: { type: Number, default: 0, min: 0, max: 100 },
+  taxRate: { type: Number, default: 0, min: 0 },
+  taxGroup: { type: mongoose.Schema.Types.ObjectId, ref: 'TaxGroup' },
+  priceIncludesTax: { type: Boolean, default: false },
+  subtotal: { type: Number, default: 0 },
+  discountAmount: { type: Number, default: 0 },
+  taxAmount: { type: Number, default: 0 },
+  taxes: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  total: { type: Number, default: 0 }
+});
+
+// A superseded revision, kept as it was sent to the customer
+const revisionSchema = new mongoose.Schema({
+  revision: { type: Number, required: true },
+  status: { type: String, enum: QUOTATION_STATUSES },
+  items: { type: [quotationItemSchema], default: [] },
+  subtotal: { type: Number, default: 0 },
+  discountAmount: { type: Number, default: 0 },
+  taxAmount: { type: Number, default: 0 },
+  total: { type: Number, default: 0 },
+  validUntil: { type: Date },
+  sentAt: { type: Date },
+  response: { type: mongoose.Schema.Types.Mixed },
+  reason: { type: String, trim: true, maxlength: 500 },
+  revisedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  revisedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const quotationSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  quotationNumber: { type: String, trim: true },
+  // Starts at 1; each revision of a sent quotation bumps it and archives the previous one
+  revision: { type: Number, default: 1, min: 1 },
+  revisions: { type: [revisionSchema], default: [] },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: QUOTATION_STATUSES,
+    default: 'draft'
+  },
+  issueDate: { type: Date, default: Date.now },
+  validUntil: { type: Date, required: true },
+  items: {
+    type: [quotationItemSchema],
+    validate: [items => items.length > 0, 'A quotation needs at least one item']
+  },
+  isTaxExempt: { type: Boolean, default: false },
+  subtotal: { type: Number, default: 0 },
+  discountAmount: { type: Number, default: 0 },
+  taxAmount: { type: Number, default: 0 },
+  withholdingAmount: { type: Number, default: 0 },
+  total: { type: Number, default: 0 },
+  taxes: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  sentAt: { type: Date },
+  sentTo: { type: String, trim: true, lowercase: true },
+  // The customer's answer, recorded by staff
+  response: {
+    decision: { type: String, enum: ['accepted', 'rejected'] },
+    respondedAt: { type: Date },
+    contactName: { type: String, trim: true, maxlength: 200 },
+    note: { type: String, trim: true, maxlength: 1000 },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  // Stock held for an accepted quotation until it is converted, rejected or expires
+  reservations: [{
+    _id: false,
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    reservationId: { type: String },
+    quantity: { type: Number, min: 0 }
+  }],
+  convertedTo: {
+    documentType: { type: String, enum: ['sales_order', 'sales_invoice'] },
+    documentId: { type: mongoose.Schema.Types.ObjectId },
+    documentNumber: { type: String },
+    convertedAt: { type: Date },
+    convertedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  notes: { type: String, trim: true, maxlength: 1000 },
+  terms: { type: String, trim: true, maxlength: 2000 },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true,
+  optimisticConcurrency: true
+});
+
+quotationSchema.index({ tenantId: 1, quotationNumber: 1 }, { unique: true, sparse: true });
+quotationSchema.index({ tenantId: 1, status: 1, validUntil: 1 });
+quotationSchema.index({ tenantId: 1, customer: 1, createdAt: -1 });
+
+// Quotation number with the revision once it has been revised, e.g. QT-000012-R2
+quotationSchema.virtual('displayNumber').get(function() {
+  return this.revision > 1 ? `${this.quotationNumber}-R${this.revision}` : this.quotationNumber;
+});
+
+quotationSchema.methods.isExpired = function(asOf = new Date()) {
+  return Boolean(this.validUntil && this.validUntil < asOf);
+};
+
+quotationSchema.pre('save', async function(next) {
+  if (!this.quotationNumber) {
+    try {
+      const counter = await Counter.findOneAndUpdate(
+        { _id: `quotationNumber_${this.tenantId}` },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true }
+      );
+      this.quotationNumber = `QT-${String(counter.seq).padStart(6, '0')}`;
+    } catch (err) {
+      return next(err);
+    }
+  }
+  next();
+});
+
+module.exports = mongoose.model('Quotation', quotationSchema);
+module.exports.QUOTATION_STATUSES = QUOTATION_STATUSES;
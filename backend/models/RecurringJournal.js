@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const TEMPLATE_TYPES = ['journal_voucher', 'expense'];
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'quarterly', 'yearly', 'custom'];
+// auto_post posts the voucher unless it reaches the approval threshold; draft always
+// leaves it pending approval
+const POSTING_MODES = ['auto_post', 'draft'];
+// fixed: `amount`; formula: `formula` evaluated at generation; last_value: what the line
+// came to last time; balance: whatever balances the voucher
+const AMOUNT_TYPES = ['fixed', 'formula', 'last_value', 'balance'];
+
+const templateLineSchema = new mongoose.Schema({
+  account: { type: mongoose.Schema.Types.ObjectId, ref: 'ChartOfAccounts', required: true },
+  accountCode: { type: String, trim: true, uppercase: true },
+  accountName: { type: String, trim: true },
+  side: { type: String, enum: ['debit', 'credit'], required: true },
+  amountType: { type: String, enum: AMOUNT_TYPES, default: 'fixed' },
+  amount: { type: Number, default: 0, min: 0 },
+  formula: { type: String, trim: true, maxlength: 500 },
+  particulars: { type: String, trim: true, maxlength: 500 },
+  lastAmount: { type: Number, min: 0 }
+}, { _id: false });
+
+// One generated voucher, or the reason an occurrence could not be generated
+const occurrenceSchema = new mongoose.Schema({
+  scheduledFor: { type: Date, required: true },
+  generatedAt: { type: Date, default: Date.now },
+  journalVoucher: { type: mongoose.Schema.Types.ObjectId, ref: 'JournalVoucher' },
+  voucherNumber: { type: String },
+  amount: { type: Number, default: 0 },
+  status: { type: String, enum: ['posted', 'pending_approval', 'failed'], required: true },
+  error: { type: String }
+}, { _id: false });
+
+// Template that generates journal vouchers on a schedule. Expense templates are a debit to
+// `expenseAccount` and a credit to `paymentAccount`; journal voucher templates carry their
+// own lines.
+const recurringJournalSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  name: { type: String, required: true, trim: true, maxlength: 200 },
+  description: { type: String, trim: true, maxlength: 1000 },
+  type: { type: String, enum: TEMPLATE_TYPES, default: 'journal_voucher' },
+
+  lines: [templateLineSchema],
+  expenseAccount: { type: mongoose.Schema.Types.ObjectId, ref: 'ChartOfAccounts' },
+  paymentAccount: { type: mongoose.Schema.Types.ObjectId, ref: 'ChartOfAccounts' },
+  supplier: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier' },
+
+  schedule: {
+    frequency: { type: String, enum: FREQUENCIES, default: 'monthly' },
+    // Every n days, weeks, months, quarters or years
+    interval: { type: Number, default: 1, min: 1, max: 366 },
+    // Five-field cron expression for custom schedules
+    cron: { type: String, trim: true },
+    startDate: { type: Date, required: true },
+    endDate: { type: Date },
+    maxOccurrences: { type: Number, min: 1 }
+  },
+  nextRunDate: { type: Date, index: true },
+  lastRunDate: { type: Date },
+  occurrenceCount: { type: Number, default: 0 },
+
+  postingMode: { type: String, enum: POSTING_MODES, default: 'draft' },
+  approvalThreshold: { type: Number, default: 10000, min: 0 },
+  reference: { type: String, trim: true, maxlength: 100 },
+
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'completed'],
+    default: 'active',
+    index: true
+  },
+  lastError: { type: String },
+  occurrences: [occurrenceSchema],
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+recurringJournalSchema.index({ tenantId: 1, status: 1, nextRunDate: 1 });
+recurringJournalSchema.index({ tenantId: 1, name: 1 });
+
+module.exports = mongoose.model('RecurringJournal', recurringJournalSchema);
+module.exports.TEMPLATE_TYPES = TEMPLATE_TYPES;
+module.exports.FREQUENCIES = FREQUENCIES;
+module.exports.POSTING_MODES = POSTING_MODES;
+module.exports.AMOUNT_TYPES = AMOUNT_TYPES;
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Counter = require('./Counter');
+const { taxComponentSchema } = require('./TaxCode');
 
 const returnItemSchema = new mongoose.Schema({
   product: {
@@ -66,6 +67,18 @@ const returnItemSchema = new mongoose.Schema({
     min: 0,
     default: 0
   },
+  // Tax refunded with the item, pro rata from the original line
+  taxAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  withholdingAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  taxes: [taxComponentSchema],
   generalNotes: {
     type: String,
     trim: true,
@@ -146,6 +159,16 @@ const returnSchema = new mongoose.Schema({
     min: 0,
     default: 0
   },
+  totalTaxAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  totalWithholdingAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
   netRefundAmount: {
     type: Number,
     min: 0,
@@ -215,6 +238,32 @@ const returnSchema = new mongoose.Schema({
       default: 0
     }
   },
+  // Entry moving the refunded tax off the sales returns account onto the tax accounts
+  taxJournalEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
+  // Till session that paid out a cash refund
+  tillSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TillSession'
+  },
+  // Store credit account the refund was credited to (optionally chosen by code up front)
+  storeCredit: {
+    giftCard: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GiftCard'
+    },
+    code: {
+      type: String,
+      uppercase: true,
+      trim: true
+    },
+    amount: {
+      type: Number,
+      min: 0
+    }
+  },
   refundDetails: {
     refundTransaction: {
       type: mongoose.Schema.Types.ObjectId,
@@ -352,6 +401,7 @@ const returnSchema = new mongoose.Schema({
 // Indexes
 // returnNumber index removed - already has unique: true in field definition
 returnSchema.index({ originalOrder: 1 });
+returnSchema.index({ tillSession: 1 }, { sparse: true });
 returnSchema.index({ customer: 1 });
 returnSchema.index({ supplier: 1 });
 returnSchema.index({ status: 1 });
@@ -406,7 +456,9 @@ returnSchema.pre('save', async function(next) {
   // Calculate totals
   this.totalRefundAmount = this.items.reduce((sum, item) => sum + (item.refundAmount || 0), 0);
   this.totalRestockingFee = this.items.reduce((sum, item) => sum + (item.restockingFee || 0), 0);
-  this.netRefundAmount = this.totalRefundAmount - this.totalRestockingFee;
+  this.totalTaxAmount = this.items.reduce((sum, item) => sum + (item.taxAmount || 0), 0);
+  this.totalWithholdingAmount = this.items.reduce((sum, item) => sum + (item.withholdingAmount || 0), 0);
+  this.netRefundAmount = this.totalRefundAmount - this.totalRestockingFee + this.totalTaxAmount - this.totalWithholdingAmount;
   
   next();
 });
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { taxComponentSchema } = require('./TaxCode');
+const { fxSettlementSchema } = require('./ExchangeRate');
 
 const orderItemSchema = new mongoose.Schema({
   product: {
@@ -21,18 +23,34 @@ const orderItemSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Price list the unit price came from; empty for product pricing or a manual price
+  priceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList'
+  },
   discountPercent: {
     type: Number,
     default: 0,
     min: 0,
     max: 100
   },
+  // Effective rate of the taxes below
   taxRate: {
     type: Number,
     default: 0,
     min: 0,
     max: 1
   },
+  taxGroup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxGroup'
+  },
+  // unitPrice includes tax; subtotal and discountAmount are then stored net of tax
+  priceIncludesTax: {
+    type: Boolean,
+    default: false
+  },
+  taxes: [taxComponentSchema],
   // Calculated fields
   subtotal: {
     type: Number,
@@ -44,11 +62,22 @@ const orderItemSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Part of discountAmount given by promotions
+  promotionDiscount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   taxAmount: {
     type: Number,
     default: 0,
     min: 0
   },
+  withholdingAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   total: {
     type: Number,
     required: true,
@@ -56,6 +85,58 @@ const orderItemSchema = new mongoose.Schema({
   }
 });
 
+// One tender line of a split payment. amount is what the line settles; on the cash line
+// tendered is what the customer handed over and change = tendered - amount.
+const tenderSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: ['cash', 'credit_card', 'debit_card', 'check', 'bank', 'gift_card', 'store_credit'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  tendered: {
+    type: Number,
+    min: 0
+  },
+  change: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  reference: {
+    type: String,
+    trim: true
+  },
+  bankAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bank'
+  },
+  giftCard: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GiftCard'
+  },
+  // Value of a gift card or store credit tender already returned to the card
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  gateway: {
+    name: String,
+    transactionId: String,
+    authCode: String,
+    status: {
+      type: String,
+      enum: ['approved', 'completed', 'declined', 'failed', 'pending']
+    },
+    response: mongoose.Schema.Types.Mixed
+  }
+});
+
 const orderSchema = new mongoose.Schema({
   // Multi-tenant support
   tenantId: {
@@ -89,7 +170,13 @@ const orderSchema = new mongoose.Schema({
   
   // Order Items
   items: [orderItemSchema],
-  
+
+  // Warehouse the stock is sold from
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse'
+  },
+
   // Pricing Summary
   pricing: {
     subtotal: {
@@ -102,6 +189,12 @@ const orderSchema = new mongoose.Schema({
       default: 0,
       min: 0
     },
+    // Part of discountAmount given by promotions
+    promotionAmount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
     taxAmount: {
       type: Number,
       default: 0,
@@ -111,6 +204,12 @@ const orderSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    // Tax the customer withholds and pays to the authority on our behalf
+    withholdingAmount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
     shippingAmount: {
       type: Number,
       default: 0,
@@ -122,14 +221,34 @@ const orderSchema = new mongoose.Schema({
       min: 0
     }
   },
+
+  // Tax components of all lines, one per code and rate; each posts to its own account
+  taxes: [taxComponentSchema],
+
+  // Currency the sale is invoiced in; empty for the base currency. Amounts on the sale are
+  // in this currency and exchangeRate converts them to base; item costs stay in base.
+  currency: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  exchangeRate: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  // Bank receipts against a foreign-currency sale and the exchange difference each realized
+  fxSettlements: [fxSettlementSchema],
   
   // Payment Information
   payment: {
     method: {
       type: String,
-      enum: ['cash', 'credit_card', 'debit_card', 'check', 'account', 'split'],
+      enum: ['cash', 'credit_card', 'debit_card', 'check', 'bank', 'account', 'split'],
       required: true
     },
+    // Tender lines of a split payment; amountPaid is their total
+    tenders: [tenderSchema],
     status: {
       type: String,
       enum: ['pending', 'paid', 'partial', 'refunded'],
@@ -201,6 +320,49 @@ const orderSchema = new mongoose.Schema({
     maxlength: 1000
   },
   
+  // Till session the sale was rung up in (POS sales only)
+  tillSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TillSession'
+  },
+
+  // Loyalty points earned on this sale and points redeemed as a tender
+  loyalty: {
+    pointsEarned: { type: Number, default: 0, min: 0 },
+    pointsRedeemed: { type: Number, default: 0, min: 0 },
+    redemptionValue: { type: Number, default: 0, min: 0 }
+  },
+
+  // Promotions applied to this sale
+  promotions: [{
+    promotion: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion' },
+    code: String,
+    name: String,
+    type: { type: String },
+    applications: { type: Number, default: 1 },
+    discountAmount: { type: Number, default: 0, min: 0 }
+  }],
+
+  // Accepted quotation this sale invoices
+  quotation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quotation'
+  },
+
+  // Client-generated key for POS submissions; replays of the same key return the stored sale
+  idempotencyKey: {
+    type: String,
+    trim: true
+  },
+
+  // Set when the sale was rung up while the POS was offline and synced later
+  offline: {
+    isOffline: { type: Boolean, default: false },
+    clientCreatedAt: { type: Date },
+    deviceId: { type: String },
+    syncedAt: { type: Date }
+  },
+
   // Metadata
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -234,6 +396,11 @@ orderSchema.index({ tenantId: 1, status: 1, createdAt: -1 });
 orderSchema.index({ tenantId: 1, 'payment.status': 1, createdAt: -1 });
 orderSchema.index({ tenantId: 1, orderType: 1, status: 1, createdAt: -1 });
 orderSchema.index({ tenantId: 1, createdBy: 1, createdAt: -1 });
+orderSchema.index({ tenantId: 1, tillSession: 1 }, { sparse: true });
+orderSchema.index(
+  { tenantId: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
 
 // Pre-save middleware to generate order number using atomic Counter
 orderSchema.pre('save', async function(next) {
@@ -271,26 +438,33 @@ orderSchema.methods.calculateTotals = function() {
   let totalDiscount = 0;
   let totalTax = 0;
   
+  let totalWithholding = 0;
+  
   this.items.forEach(item => {
-    const itemSubtotal = item.quantity * item.unitPrice;
+    // Tax-inclusive lines back the tax out of the price
+    const divisor = item.priceIncludesTax ? 1 + item.taxRate : 1;
+    const itemSubtotal = item.quantity * item.unitPrice / divisor;
     const itemDiscount = itemSubtotal * (item.discountPercent / 100);
     const itemTaxable = itemSubtotal - itemDiscount;
     const itemTax = itemTaxable * item.taxRate;
+    const itemWithholding = item.withholdingAmount || 0;
     
     item.subtotal = itemSubtotal;
     item.discountAmount = itemDiscount;
     item.taxAmount = itemTax;
-    item.total = itemSubtotal - itemDiscount + itemTax;
+    item.total = itemSubtotal - itemDiscount + itemTax - itemWithholding;
     
     subtotal += itemSubtotal;
     totalDiscount += itemDiscount;
     totalTax += itemTax;
+    totalWithholding += itemWithholding;
   });
   
   this.pricing.subtotal = subtotal;
   this.pricing.discountAmount = totalDiscount;
   this.pricing.taxAmount = totalTax;
-  this.pricing.total = subtotal - totalDiscount + totalTax + this.pricing.shippingAmount;
+  this.pricing.withholdingAmount = totalWithholding;
+  this.pricing.total = subtotal - totalDiscount + totalTax - totalWithholding + this.pricing.shippingAmount;
   
   return this.pricing;
 };
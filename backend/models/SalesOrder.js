@@ -16,6 +16,17 @@ const salesOrderItemSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Price list the unit price came from; empty for product pricing or a manual price
+  priceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList'
+  },
+  discountPercent: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
   totalPrice: {
     type: Number,
     required: true,
@@ -34,6 +45,12 @@ const salesOrderItemSchema = new mongoose.Schema({
 });
 
 const salesOrderSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    index: true
+  },
+  
   // Basic Information
   soNumber: {
     type: String,
@@ -104,6 +121,12 @@ const salesOrderSchema = new mongoose.Schema({
     trim: true
   },
   
+  // Quotation this order was converted from
+  quotation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quotation'
+  },
+  
   // Conversion Tracking
   conversions: [{
     invoiceId: {
@@ -172,7 +195,7 @@ salesOrderSchema.virtual('remainingItemsCount').get(function() {
 // Virtual for total remaining value
 salesOrderSchema.virtual('remainingValue').get(function() {
   return this.items.reduce((sum, item) => 
-    sum + (item.remainingQuantity * item.unitPrice), 0);
+    sum + (item.remainingQuantity * item.unitPrice * (1 - (item.discountPercent || 0) / 100)), 0);
 });
 
 // Method to check if SO is fully invoiced
@@ -213,7 +236,7 @@ salesOrderSchema.methods.updateInvoicedQuantities = function(invoicedItems) {
 salesOrderSchema.pre('save', function(next) {
   // Calculate item totals
   this.items.forEach(item => {
-    item.totalPrice = item.quantity * item.unitPrice;
+    item.totalPrice = item.quantity * item.unitPrice * (1 - (item.discountPercent || 0) / 100);
     item.remainingQuantity = item.quantity - item.invoicedQuantity;
   });
   
@@ -70,6 +70,14 @@ const settingsSchema = new mongoose.Schema({
     max: 100
   },
   
+  // Network receipt printers in the shop; tills pick one of these rather than an address
+  receiptPrinters: [{
+    name: { type: String, required: true, trim: true },
+    host: { type: String, required: true, trim: true },
+    port: { type: Number, default: 9100 },
+    paperSize: { type: String, enum: ['THERMAL_80', 'THERMAL_58'], default: 'THERMAL_80' }
+  }],
+
   // Tenant ID for multi-tenant isolation
   tenantId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -1,6 +1,12 @@
 const mongoose = require('mongoose');
 
 const stockMovementSchema = new mongoose.Schema({
+  // Multi-tenant support
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true
+  },
+
   // Product Information
   product: {
     type: mongoose.Schema.Types.ObjectId,
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+// Location code used on stock movements while goods are between warehouses
+const IN_TRANSIT_LOCATION = 'IN_TRANSIT';
+
+// FIFO cost layer carried with the goods from the source warehouse
+const costLayerSchema = new mongoose.Schema({
+  quantity: { type: Number, required: true, min: 0 },
+  unitCost: { type: Number, required: true, min: 0 },
+  date: { type: Date, default: Date.now }
+}, { _id: false });
+
+const transferItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: { type: String, trim: true },
+  productSku: { type: String, trim: true },
+  requestedQuantity: { type: Number, required: true, min: 0.0001 },
+  dispatchedQuantity: { type: Number, default: 0, min: 0 },
+  receivedQuantity: { type: Number, default: 0, min: 0 },
+  // Dispatched but never arrived (lost, damaged or short-shipped)
+  discrepancyQuantity: { type: Number, default: 0, min: 0 },
+  discrepancyReason: { type: String, trim: true, maxlength: 500 },
+  // Layers still in transit; received and written-off quantities are taken off the front
+  costLayers: { type: [costLayerSchema], default: [] },
+  // 'FIFO' when the layers came off the source's FIFO batches, 'fallback' when valued at average cost
+  costMethod: { type: String, enum: ['FIFO', 'fallback'] },
+  dispatchedValue: { type: Number, default: 0, min: 0 }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+transferItemSchema.virtual('inTransitQuantity').get(function() {
+  return Math.max(this.dispatchedQuantity - this.receivedQuantity - this.discrepancyQuantity, 0);
+});
+
+const receiptSchema = new mongoose.Schema({
+  receivedAt: { type: Date, default: Date.now },
+  receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  items: [{
+    _id: false,
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    quantity: { type: Number, default: 0, min: 0 },
+    discrepancyQuantity: { type: Number, default: 0, min: 0 },
+    discrepancyReason: { type: String, trim: true, maxlength: 500 }
+  }],
+  journalEntry: { type: mongoose.Schema.Types.ObjectId, ref: 'JournalEntry' },
+  notes: { type: String, trim: true, maxlength: 1000 }
+});
+
+const stockTransferSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  transferNumber: {
+    type: String,
+    trim: true
+  },
+  fromWarehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: true
+  },
+  toWarehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'in_transit', 'partially_received', 'received', 'cancelled'],
+    default: 'requested',
+    index: true
+  },
+  items: {
+    type: [transferItemSchema],
+    validate: {
+      validator: items => items.length > 0,
+      message: 'A transfer needs at least one item'
+    }
+  },
+  receipts: { type: [receiptSchema], default: [] },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  requestedAt: { type: Date, default: Date.now },
+  approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  approvedAt: { type: Date },
+  dispatchedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  dispatchedAt: { type: Date },
+  dispatchJournalEntry: { type: mongoose.Schema.Types.ObjectId, ref: 'JournalEntry' },
+  receivedAt: { type: Date },
+  cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  cancelledAt: { type: Date },
+  cancelReason: { type: String, trim: true, maxlength: 500 },
+  expectedDeliveryDate: { type: Date },
+  carrier: { type: String, trim: true, maxlength: 150 },
+  trackingNumber: { type: String, trim: true, maxlength: 100 },
+  notes: { type: String, trim: true, maxlength: 1000 }
+}, {
+  timestamps: true,
+  // Dispatch and receipt move stock after saving; a stale copy must not save over a newer one
+  optimisticConcurrency: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+stockTransferSchema.index({ tenantId: 1, transferNumber: 1 }, { unique: true, sparse: true });
+stockTransferSchema.index({ tenantId: 1, status: 1, createdAt: -1 });
+stockTransferSchema.index({ tenantId: 1, fromWarehouse: 1, createdAt: -1 });
+stockTransferSchema.index({ tenantId: 1, toWarehouse: 1, createdAt: -1 });
+
+stockTransferSchema.pre('validate', function(next) {
+  if (this.fromWarehouse && this.toWarehouse && String(this.fromWarehouse) === String(this.toWarehouse)) {
+    return next(new Error('Source and destination warehouse must differ'));
+  }
+  next();
+});
+
+stockTransferSchema.pre('save', async function(next) {
+  if (!this.transferNumber) {
+    try {
+      const counter = await Counter.findOneAndUpdate(
+        { _id: `stockTransferNumber_${this.tenantId}` },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true }
+      );
+      this.transferNumber = `TRF-${String(counter.seq).padStart(6, '0')}`;
+    } catch (err) {
+      return next(err);
+    }
+  }
+  next();
+});
+
+module.exports = mongoose.model('StockTransfer', stockTransferSchema);
+module.exports.IN_TRANSIT_LOCATION = IN_TRANSIT_LOCATION;
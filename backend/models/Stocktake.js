@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const countSchema = new mongoose.Schema({
+  quantity: { type: Number, required: true, min: 0 },
+  // 1 for the first count, 2 for the recount
+  round: { type: Number, default: 1, min: 1 },
+  countedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  countedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// One product at one bin. systemQuantity and unitCost are frozen when the stocktake starts.
+const stocktakeItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: { type: String, trim: true },
+  productSku: { type: String, trim: true },
+  barcode: { type: String, trim: true },
+  categoryName: { type: String, trim: true },
+  bin: { type: String, trim: true, uppercase: true, default: '' },
+  abcClass: { type: String, enum: ['A', 'B', 'C'] },
+  sheet: { type: String, trim: true, required: true },
+  systemQuantity: { type: Number, default: 0 },
+  unitCost: { type: Number, default: 0, min: 0 },
+  counts: { type: [countSchema], default: [] },
+  countedQuantity: { type: Number, min: 0 },
+  variance: { type: Number, default: 0 },
+  varianceValue: { type: Number, default: 0 },
+  status: {
+    type: String,
+    enum: ['pending', 'counted', 'recount', 'final'],
+    default: 'pending'
+  }
+});
+
+const stocktakeSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  stocktakeNumber: {
+    type: String,
+    trim: true
+  },
+  name: { type: String, trim: true, maxlength: 150 },
+  // 'full' counts everything in the warehouse, 'cycle' only the scoped part
+  type: {
+    type: String,
+    enum: ['full', 'cycle'],
+    default: 'cycle'
+  },
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: true
+  },
+  scope: {
+    categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+    bins: [{ type: String, trim: true, uppercase: true }],
+    abcClasses: [{ type: String, enum: ['A', 'B', 'C'] }]
+  },
+  sheetBy: {
+    type: String,
+    enum: ['none', 'category', 'location', 'abc'],
+    default: 'none'
+  },
+  // Counters do not see system quantities while counting
+  blind: { type: Boolean, default: true },
+  // Variances beyond either limit must be counted a second time before posting
+  recountThreshold: {
+    quantity: { type: Number, default: 0, min: 0 },
+    percent: { type: Number, default: 0, min: 0 }
+  },
+  status: {
+    type: String,
+    enum: ['counting', 'recount', 'review', 'posted', 'cancelled'],
+    default: 'counting',
+    index: true
+  },
+  items: {
+    type: [stocktakeItemSchema],
+    validate: {
+      validator: items => items.length > 0,
+      message: 'Nothing to count in this scope'
+    }
+  },
+  totals: {
+    gainQuantity: { type: Number, default: 0 },
+    lossQuantity: { type: Number, default: 0 },
+    gainValue: { type: Number, default: 0 },
+    lossValue: { type: Number, default: 0 }
+  },
+  snapshotAt: { type: Date, default: Date.now },
+  startedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  postedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  postedAt: { type: Date },
+  journalEntry: { type: mongoose.Schema.Types.ObjectId, ref: 'JournalEntry' },
+  cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  cancelledAt: { type: Date },
+  notes: { type: String, trim: true, maxlength: 1000 }
+}, {
+  timestamps: true,
+  // Counts arrive from several scanners at once; a stale copy must not save over a newer one
+  optimisticConcurrency: true
+});
+
+stocktakeSchema.index({ tenantId: 1, stocktakeNumber: 1 }, { unique: true, sparse: true });
+stocktakeSchema.index({ tenantId: 1, status: 1, createdAt: -1 });
+stocktakeSchema.index({ tenantId: 1, warehouse: 1, createdAt: -1 });
+
+stocktakeSchema.pre('save', async function(next) {
+  if (!this.stocktakeNumber) {
+    try {
+      const counter = await Counter.findOneAndUpdate(
+        { _id: `stocktakeNumber_${this.tenantId}` },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true }
+      );
+      this.stocktakeNumber = `STK-${String(counter.seq).padStart(6, '0')}`;
+    } catch (err) {
+      return next(err);
+    }
+  }
+  next();
+});
+
+module.exports = mongoose.model('Stocktake', stocktakeSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// A product as one supplier sells it: their SKU, pack size, minimum order, quoted price and
+// lead time, plus the lead time actually measured from purchase orders to goods receipt.
+const supplierProductSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  supplier: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier', required: true },
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  supplierSku: { type: String, trim: true, maxlength: 50 },
+  // Units per pack; orders are placed in whole packs
+  packSize: { type: Number, default: 1, min: 1 },
+  // Minimum order quantity in units
+  moq: { type: Number, default: 1, min: 1 },
+  price: { type: Number, required: true, min: 0 },
+  validFrom: { type: Date, default: Date.now },
+  validUntil: { type: Date },
+  // Quoted lead time in days
+  leadTimeDays: { type: Number, min: 0 },
+  measuredLeadTime: {
+    average: { type: Number, default: 0, min: 0 },
+    stdDev: { type: Number, default: 0, min: 0 },
+    observations: { type: Number, default: 0, min: 0 },
+    lastReceivedAt: { type: Date }
+  },
+  isPreferred: { type: Boolean, default: false },
+  isActive: { type: Boolean, default: true },
+  notes: { type: String, trim: true, maxlength: 500 },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+supplierProductSchema.index({ tenantId: 1, supplier: 1, product: 1 }, { unique: true });
+supplierProductSchema.index({ tenantId: 1, product: 1, isActive: 1 });
+
+supplierProductSchema.pre('validate', function(next) {
+  if (this.validUntil && this.validFrom && this.validUntil < this.validFrom) {
+    return next(new Error('Valid until must be on or after valid from'));
+  }
+  next();
+});
+
+/**
+ * Whether the quoted price applies on a date
+ * @param {Date} at - Date to check
+ * @returns {boolean}
+ */
+supplierProductSchema.methods.isPriceValidAt = function(at = new Date()) {
+  return (!this.validFrom || this.validFrom <= at) && (!this.validUntil || this.validUntil >= at);
+};
+
+/**
+ * Lead time to plan with: measured when receipts have been recorded, else quoted
+ * @param {number} fallback - Supplier default when nothing is known
+ * @returns {number} Days
+ */
+supplierProductSchema.methods.effectiveLeadTime = function(fallback = 7) {
+  if (this.measuredLeadTime?.observations > 0) return this.measuredLeadTime.average;
+  return this.leadTimeDays ?? fallback;
+};
+
+/**
+ * Round a wanted quantity up to the minimum order and whole packs
+ * @param {number} quantity - Units wanted
+ * @returns {number} Units to order
+ */
+supplierProductSchema.methods.orderQuantity = function(quantity) {
+  const packSize = this.packSize || 1;
+  return Math.ceil(Math.max(quantity, this.moq || 1) / packSize) * packSize;
+};
+
+module.exports = mongoose.model('SupplierProduct', supplierProductSchema);
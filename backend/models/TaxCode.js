@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const TAX_DIRECTIONS = ['sales', 'purchase', 'both'];
+
+// A rate applies from effectiveFrom until the next rate of the same code takes over
+const taxRateSchema = new mongoose.Schema({
+  rate: { type: Number, required: true, min: 0, max: 1 },
+  effectiveFrom: { type: Date, required: true }
+}, { _id: false });
+
+// One tax applied to one line or document, as stored on sales, purchase invoices and returns
+const taxComponentSchema = new mongoose.Schema({
+  taxCode: { type: mongoose.Schema.Types.ObjectId, ref: 'TaxCode' },
+  code: { type: String, trim: true, uppercase: true, required: true },
+  name: { type: String, trim: true },
+  rate: { type: Number, default: 0, min: 0 },
+  compound: { type: Boolean, default: false },
+  // Withheld taxes reduce what the counterparty settles instead of adding to it
+  withholding: { type: Boolean, default: false },
+  // Non-recoverable purchase tax is part of the inventory cost
+  recoverable: { type: Boolean, default: true },
+  base: { type: Number, default: 0 },
+  amount: { type: Number, default: 0, min: 0 },
+  account: { type: String, trim: true }
+}, { _id: false });
+
+const taxCodeSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+    maxlength: 20
+  },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  appliesTo: {
+    type: String,
+    enum: TAX_DIRECTIONS,
+    default: 'both'
+  },
+  rates: {
+    type: [taxRateSchema],
+    validate: {
+      validator: rates => rates.length > 0,
+      message: 'At least one rate is required'
+    }
+  },
+  // Charged on the net amount plus the taxes before it in the group
+  compound: { type: Boolean, default: false },
+  withholding: { type: Boolean, default: false },
+  recoverable: { type: Boolean, default: true },
+  // Customers whose taxCategory is listed here are not charged this tax
+  exemptCategories: [{ type: String, trim: true, lowercase: true }],
+  // Account codes; default to <CODE>_PAYABLE and <CODE>_RECEIVABLE
+  payableAccount: { type: String, trim: true },
+  receivableAccount: { type: String, trim: true },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+taxCodeSchema.index({ tenantId: 1, code: 1 }, { unique: true });
+
+/**
+ * Rate in force on the given date, or null before the first rate starts
+ * @param {Date} date
+ * @returns {number|null}
+ */
+taxCodeSchema.methods.rateOn = function(date = new Date()) {
+  const when = new Date(date).getTime();
+  const current = this.rates
+    .filter(entry => new Date(entry.effectiveFrom).getTime() <= when)
+    .sort((a, b) => new Date(b.effectiveFrom) - new Date(a.effectiveFrom))[0];
+  return current ? current.rate : null;
+};
+
+module.exports = mongoose.model('TaxCode', taxCodeSchema);
+module.exports.TAX_DIRECTIONS = TAX_DIRECTIONS;
+module.exports.taxComponentSchema = taxComponentSchema;
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Taxes charged together, e.g. GST plus provincial tax. Components are applied in order,
+// which matters for compound taxes.
+const taxGroupSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+    maxlength: 20
+  },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  taxCodes: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'TaxCode' }],
+    validate: {
+      validator: codes => codes.length > 0,
+      message: 'A tax group needs at least one tax code'
+    }
+  },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+taxGroupSchema.index({ tenantId: 1, code: 1 }, { unique: true });
+
+module.exports = mongoose.model('TaxGroup', taxGroupSchema);
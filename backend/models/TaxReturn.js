@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const TAX_RETURN_BOXES = ['sales', 'sales_returns', 'purchases', 'purchase_returns'];
+
+const boxAmountSchema = new mongoose.Schema({
+  base: { type: Number, default: 0 },
+  tax: { type: Number, default: 0 }
+}, { _id: false });
+
+// One tax code's movements for the period
+const taxReturnLineSchema = new mongoose.Schema({
+  code: { type: String, required: true },
+  name: String,
+  account: String,
+  withholding: { type: Boolean, default: false },
+  recoverable: { type: Boolean, default: true },
+  sales: { type: boxAmountSchema, default: () => ({}) },
+  salesReturns: { type: boxAmountSchema, default: () => ({}) },
+  purchases: { type: boxAmountSchema, default: () => ({}) },
+  purchaseReturns: { type: boxAmountSchema, default: () => ({}) },
+  // Positive is owed to the tax authority, negative is reclaimable
+  net: { type: Number, default: 0 }
+}, { _id: false });
+
+// A document behind a box figure
+const taxReturnDocumentSchema = new mongoose.Schema({
+  box: { type: String, enum: TAX_RETURN_BOXES, required: true },
+  documentType: { type: String, enum: ['sale', 'purchase_invoice', 'return'], required: true },
+  documentId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  documentNumber: String,
+  date: Date,
+  party: String,
+  code: String,
+  base: { type: Number, default: 0 },
+  tax: { type: Number, default: 0 }
+}, { _id: false });
+
+// Tax account movement in the ledger against what the documents say it should be
+const taxReturnReconciliationSchema = new mongoose.Schema({
+  account: String,
+  expected: { type: Number, default: 0 },
+  ledger: { type: Number, default: 0 },
+  difference: { type: Number, default: 0 }
+}, { _id: false });
+
+const taxReturnSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  returnNumber: {
+    type: String
+  },
+  periodStart: { type: Date, required: true },
+  periodEnd: { type: Date, required: true },
+  status: {
+    type: String,
+    enum: ['draft', 'filed'],
+    default: 'draft',
+    index: true
+  },
+  boxes: {
+    outputTax: { type: Number, default: 0 },
+    outputTaxReturns: { type: Number, default: 0 },
+    inputTax: { type: Number, default: 0 },
+    inputTaxReturns: { type: Number, default: 0 },
+    withholdingPayable: { type: Number, default: 0 },
+    withholdingCredit: { type: Number, default: 0 },
+    taxableSales: { type: Number, default: 0 },
+    taxablePurchases: { type: Number, default: 0 },
+    netPayable: { type: Number, default: 0 }
+  },
+  lines: [taxReturnLineSchema],
+  documents: [taxReturnDocumentSchema],
+  reconciliation: [taxReturnReconciliationSchema],
+  calculatedAt: Date,
+  // Fiscal periods locked when the return was filed
+  lockedPeriods: [{
+    _id: false,
+    fiscalYear: { type: mongoose.Schema.Types.ObjectId, ref: 'FiscalYear' },
+    period: Number
+  }],
+  filingReference: { type: String, trim: true, maxlength: 100 },
+  filedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  filedAt: Date,
+  notes: { type: String, trim: true, maxlength: 1000 },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+taxReturnSchema.index({ tenantId: 1, returnNumber: 1 }, { unique: true, sparse: true });
+taxReturnSchema.index({ tenantId: 1, periodStart: -1 });
+
+taxReturnSchema.pre('save', async function(next) {
+  if (!this.returnNumber) {
+    try {
+      const counter = await Counter.findOneAndUpdate(
+        { _id: `taxReturnNumber_${this.tenantId}` },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+      );
+      this.returnNumber = `TXR-${String(counter.seq).padStart(6, '0')}`;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+module.exports = mongoose.model('TaxReturn', taxReturnSchema);
+module.exports.TAX_RETURN_BOXES = TAX_RETURN_BOXES;
@@ -1,5 +1,32 @@
 const mongoose = require('mongoose');
 
+const denominationSchema = new mongoose.Schema({
+  value: { type: Number, required: true, min: 0 },
+  count: { type: Number, required: true, min: 0 },
+  total: { type: Number, default: 0 }
+}, { _id: false });
+
+// Pay-ins, pay-outs and safe drops recorded against an open session
+const cashMovementSchema = new mongoose.Schema({
+  type: { type: String, enum: ['pay_in', 'pay_out', 'cash_drop'], required: true },
+  amount: { type: Number, required: true, min: 0.01 },
+  reason: { type: String, required: true, trim: true, maxlength: 500 },
+  counterAccount: { type: mongoose.Schema.Types.ObjectId, ref: 'ChartOfAccounts' },
+  performedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  journalEntry: { type: mongoose.Schema.Types.ObjectId, ref: 'JournalEntry' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// X (mid-shift) and Z (close) reports are stored with the session so they can be reprinted
+const tillReportSchema = new mongoose.Schema({
+  type: { type: String, enum: ['X', 'Z'], required: true },
+  reportNumber: { type: Number, required: true },
+  generatedAt: { type: Date, default: Date.now },
+  generatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  data: { type: mongoose.Schema.Types.Mixed, required: true }
+});
+
 const tillSessionSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
   tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true, index: true },
@@ -9,14 +36,39 @@ const tillSessionSchema = new mongoose.Schema({
   closedAt: { type: Date },
   openingAmount: { type: Number, required: true, default: 0 },
   closingDeclaredAmount: { type: Number },
+  closingDenominations: { type: [denominationSchema], default: [] },
   expectedAmount: { type: Number },
+  expectedBreakdown: {
+    openingAmount: { type: Number, default: 0 },
+    cashSales: { type: Number, default: 0 },
+    cashRefunds: { type: Number, default: 0 },
+    cashPayouts: { type: Number, default: 0 },
+    payIns: { type: Number, default: 0 },
+    payOuts: { type: Number, default: 0 },
+    cashDrops: { type: Number, default: 0 }
+  },
   varianceAmount: { type: Number },
   varianceType: { type: String, enum: ['over', 'short', 'exact'], default: 'exact' },
   notesOpen: { type: String, default: '' },
   notesClose: { type: String, default: '' },
+  cashMovements: { type: [cashMovementSchema], default: [] },
+  reports: { type: [tillReportSchema], default: [] },
   status: { type: String, enum: ['open', 'closed'], default: 'open', index: true }
 }, { timestamps: true });
 
+tillSessionSchema.statics.sumDenominations = function(denominations = []) {
+  return denominations.reduce((sum, d) => sum + Number(d.value) * Number(d.count), 0);
+};
+
+tillSessionSchema.methods.getMovementTotals = function() {
+  return this.cashMovements.reduce((totals, movement) => {
+    if (movement.type === 'pay_in') totals.payIns += movement.amount;
+    if (movement.type === 'pay_out') totals.payOuts += movement.amount;
+    if (movement.type === 'cash_drop') totals.cashDrops += movement.amount;
+    return totals;
+  }, { payIns: 0, payOuts: 0, cashDrops: 0 });
+};
+
 tillSessionSchema.methods.closeTill = function(closingDeclaredAmount, expectedAmount, notesClose) {
   if (this.status !== 'open') return false;
   this.closedAt = new Date();
@@ -35,8 +87,13 @@ tillSessionSchema.methods.closeTill = function(closingDeclaredAmount, expectedAm
   return true;
 };
 
+tillSessionSchema.methods.addReport = function(type, data, generatedBy) {
+  const reportNumber = this.reports.filter(r => r.type === type).length + 1;
+  this.reports.push({ type, reportNumber, generatedBy, data, generatedAt: new Date() });
+  return this.reports[this.reports.length - 1];
+};
+
 tillSessionSchema.index({ user: 1, status: 1 });
 tillSessionSchema.index({ createdAt: -1 });
 
 module.exports = mongoose.model('TillSession', tillSessionSchema);
-
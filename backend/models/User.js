@@ -134,6 +134,8 @@ const userSchema = new mongoose.Schema({
       'update_balance_sheet',
       'view_chart_of_accounts',
       'view_accounting_summary',
+      'file_tax_returns',
+      'manage_exchange_rates',
       // Attendance granular permissions (standardized to underscores)
       'clock_attendance',
       'clock_in',
@@ -171,7 +173,7 @@ const userSchema = new mongoose.Schema({
       'create_sales_invoices', 'edit_sales_invoices', 'void_sales_invoices',
       'apply_discounts', 'override_prices',
       // Inventory Operations - Granular
-      'generate_purchase_orders', 'acknowledge_inventory_alerts',
+      'generate_purchase_orders', 'acknowledge_inventory_alerts', 'approve_stock_transfers', 'post_stocktakes',
       'export_inventory_reports', 'import_inventory_data',
       // Reports & Analytics - Granular
       'export_reports', 'share_reports', 'schedule_reports',
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// On-hand quantity of one product in one warehouse bin. Rows for a product always sum to
+// the product's Inventory.currentStock; an empty bin means "in the warehouse, not binned".
+const warehouseStockSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: true
+  },
+  bin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: 50,
+    default: ''
+  },
+  quantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Per-warehouse replenishment levels; unset falls back to the product's Inventory levels
+  reorderPoint: { type: Number, min: 0 },
+  reorderQuantity: { type: Number, min: 1 },
+  maxStock: { type: Number, min: 0 },
+  lastMovementAt: { type: Date }
+}, { timestamps: true });
+
+warehouseStockSchema.index({ tenantId: 1, product: 1, warehouse: 1, bin: 1 }, { unique: true });
+warehouseStockSchema.index({ tenantId: 1, warehouse: 1, bin: 1 });
+
+module.exports = mongoose.model('WarehouseStock', warehouseStockSchema);
@@ -114,7 +114,8 @@ class BaseRepository {
       lean, 
       includeDeleted = false,
       tenantId = null,
-      allowNoTenantId = false
+      allowNoTenantId = false,
+      session
     } = options;
     
     // Enforce tenantId (security: prevents cross-tenant data access)
@@ -125,7 +126,7 @@ class BaseRepository {
       finalQuery.isDeleted = { $ne: true };
     }
     
-    let queryBuilder = this.Model.findOne(finalQuery);
+    let queryBuilder = this.Model.findOne(finalQuery, null, { session });
     
     if (populate) {
       if (Array.isArray(populate)) {
@@ -184,7 +185,7 @@ class BaseRepository {
    * Automatically enforces tenantId if model supports it
    */
   async create(data, options = {}) {
-    const { tenantId = null } = options;
+    const { tenantId = null, session } = options;
     
     // If model has tenantId field and tenantId is provided, ensure it's set
     if (this.Model.schema.paths.tenantId && tenantId) {
@@ -200,7 +201,7 @@ class BaseRepository {
     }
     
     const document = new this.Model(data);
-    return await document.save();
+    return await document.save({ session });
   }
 
   /**
@@ -0,0 +1,207 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenantMiddleware');
+const amortizationService = require('../services/amortizationService');
+const { SCHEDULE_TYPES, SOURCE_TYPES, METHODS } = require('../models/AmortizationSchedule');
+const logger = require('../utils/logger');
+
+// Messages from amortizationService that describe a rejected request rather than a fault
+const CLIENT_ERRORS = [
+  'Choose the expense account to recognize the prepayment in',
+  'Cancellation date is before the last month already recognized',
+  'Stock lines are deferred by quantity, not amount',
+  'Bill lines are deferred out of inventory'
+];
+
+const CLIENT_ERROR_PATTERNS = [
+  /^Only .* is left to schedule$/,
+  /has no line \d+$/,
+  /is not (an expense|a revenue) account$/,
+  /^Account .* not found$/,
+  /^Amortization schedule is already /,
+  // The units on a bill line have since left stock
+  /^(NEGATIVE_STOCK_PREVENTED|INSUFFICIENT_AVAILABLE_STOCK):/,
+  /^Insufficient stock in /,
+  // Deferrals dated in closed or locked periods
+  /^(Fiscal year|Period) .* (is closed|is locked)\./
+];
+
+const NOT_FOUND = ['Amortization schedule not found', 'Purchase invoice not found', 'Sale not found'];
+const NOT_FOUND_PATTERNS = [/^(Purchase invoice|Sale) .* not found$/];
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const handleError = (res, error, action) => {
+  if (NOT_FOUND.includes(error.message) || NOT_FOUND_PATTERNS.some(pattern => pattern.test(error.message))) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (CLIENT_ERRORS.includes(error.message) || CLIENT_ERROR_PATTERNS.some(pattern => pattern.test(error.message)) || error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  logger.error(`${action} error:`, { error: error });
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// @route   GET /api/amortization-schedules
+// @desc    List prepaid expense and deferred revenue schedules with their remaining balances
+// @access  Private
+router.get('/', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_reports'),
+  query('type').optional().isIn(SCHEDULE_TYPES),
+  query('status').optional().isIn(['active', 'completed', 'cancelled']),
+  query('document').optional().isMongoId(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const result = await amortizationService.getSchedules(req.query, tenantId);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error, 'List amortization schedules');
+  }
+});
+
+// @route   GET /api/amortization-schedules/balances
+// @desc    What each schedule still holds in prepaid expenses or deferred revenue at a date
+// @access  Private
+router.get('/balances', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_reports'),
+  query('type').isIn(SCHEDULE_TYPES),
+  query('asOf').optional().isISO8601().toDate(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const balances = await amortizationService.getBalances(req.query.type, req.query.asOf || new Date(), tenantId);
+    res.json({ success: true, data: balances });
+  } catch (error) {
+    handleError(res, error, 'Amortization balances');
+  }
+});
+
+// @route   GET /api/amortization-schedules/source-lines
+// @desc    Lines of a bill or invoice and how much of each is already scheduled
+// @access  Private
+router.get('/source-lines', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_reports'),
+  query('documentType').isIn(SOURCE_TYPES),
+  query('reference').isString().trim().isLength({ min: 1, max: 100 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const result = await amortizationService.getSourceLines(req.query.documentType, req.query.reference, tenantId);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error, 'Amortization source lines');
+  }
+});
+
+// @route   GET /api/amortization-schedules/:id
+// @desc    Get a schedule with its monthly recognition lines
+// @access  Private
+router.get('/:id', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_reports'),
+  param('id').isMongoId(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const schedule = await amortizationService.getSchedule(req.params.id, tenantId);
+    res.json({ success: true, data: schedule });
+  } catch (error) {
+    handleError(res, error, 'Get amortization schedule');
+  }
+});
+
+// @route   POST /api/amortization-schedules
+// @desc    Spread a bill or invoice line over the months it covers
+// @access  Private
+router.post('/', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_reports'),
+  body('documentType').isIn(SOURCE_TYPES),
+  body('document').isMongoId(),
+  body('lineIndex').isInt({ min: 0 }).toInt(),
+  body('amount').optional({ checkFalsy: true }).isFloat({ min: 0.01 }).toFloat(),
+  body('quantity').optional({ checkFalsy: true }).isFloat({ gt: 0 }).toFloat(),
+  body('startDate').optional({ checkFalsy: true }).isISO8601().toDate(),
+  body('months').isInt({ min: 1, max: 120 }).toInt(),
+  body('method').optional().isIn(METHODS),
+  body('recognitionAccountCode').optional({ checkFalsy: true }).isString().trim().isLength({ max: 50 }),
+  body('sourceAccountCode').optional({ checkFalsy: true }).isString().trim().isLength({ max: 50 }),
+  body('description').optional().isString().trim().isLength({ max: 500 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const schedule = await amortizationService.createSchedule(req.body, req.user._id, tenantId);
+    res.status(201).json({ success: true, data: schedule });
+  } catch (error) {
+    handleError(res, error, 'Create amortization schedule');
+  }
+});
+
+// @route   POST /api/amortization-schedules/run
+// @desc    Post every recognition line that has fallen due, without waiting for the nightly run
+// @access  Private
+router.post('/run', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_reports'),
+  body('asOf').optional().isISO8601().toDate(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const result = await amortizationService.runDue(tenantId, req.body.asOf || new Date(), req.user._id);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error, 'Run amortization');
+  }
+});
+
+// @route   POST /api/amortization-schedules/:id/cancel
+// @desc    Stop a schedule and move its unrecognized balance back to the account it came from
+// @access  Private
+router.post('/:id/cancel', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_reports'),
+  param('id').isMongoId(),
+  body('date').optional().isISO8601().toDate(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const schedule = await amortizationService.cancelSchedule(req.params.id, req.body.date, req.user._id, tenantId);
+    res.json({ success: true, data: schedule });
+  } catch (error) {
+    handleError(res, error, 'Cancel amortization schedule');
+  }
+});
+
+module.exports = router;
@@ -7,12 +7,14 @@ const logger = require('../utils/logger');
 const BankPayment = require('../models/BankPayment'); // Still needed for new BankPayment() and static methods
 const Bank = require('../models/Bank'); // Still needed for model reference in populate
 const Sales = require('../models/Sales'); // Still needed for model reference in populate
+const PurchaseInvoice = require('../models/PurchaseInvoice');
 const bankPaymentRepository = require('../repositories/BankPaymentRepository');
 const bankRepository = require('../repositories/BankRepository');
 const supplierRepository = require('../repositories/SupplierRepository');
 const customerRepository = require('../repositories/CustomerRepository');
 const chartOfAccountsRepository = require('../repositories/ChartOfAccountsRepository');
 const salesRepository = require('../repositories/SalesRepository');
+const currencyService = require('../services/currencyService');
 
 // @route   GET /api/bank-payments
 // @desc    Get all bank payments with filtering and pagination
@@ -164,8 +166,11 @@ router.post('/', [
   body('transactionReference').optional().isString().trim().withMessage('Transaction reference must be a string'),
   body('order').optional().isMongoId().withMessage('Invalid order ID'),
   body('supplier').optional().isMongoId().withMessage('Invalid supplier ID'),
+  body('purchaseInvoice').optional().isMongoId().withMessage('Invalid purchase invoice ID'),
   body('customer').optional().isMongoId().withMessage('Invalid customer ID'),
   body('expenseAccount').optional().isMongoId().withMessage('Invalid expense account ID'),
+  body('exchangeRate').optional({ checkFalsy: true }).isFloat({ gt: 0 }).withMessage('Exchange rate must be positive').toFloat(),
+  body('settledAmount').optional({ checkFalsy: true }).isFloat({ gt: 0 }).withMessage('Settled amount must be positive').toFloat(),
   body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes must be less than 1000 characters')
 ], async (req, res) => {
   try {
@@ -184,9 +189,12 @@ router.post('/', [
       transactionReference,
       order,
       supplier,
+      purchaseInvoice,
       customer,
       notes,
-      expenseAccount
+      expenseAccount,
+      exchangeRate,
+      settledAmount
     } = req.body;
 
     const tenantId = req.tenantId || req.user?.tenantId;
@@ -272,30 +280,74 @@ router.post('/', [
         ? `Expense - ${expenseAccountDoc.accountName}`
         : 'Bank Payment';
 
+    const paymentDate = date ? new Date(date) : new Date();
+    let paymentCurrency;
+    try {
+      paymentCurrency = await currencyService.resolveCurrency({ currency: bankExists.currency, exchangeRate, date: paymentDate }, tenantId);
+    } catch (currencyError) {
+      return res.status(400).json({ success: false, message: currencyError.message });
+    }
+
+    let invoice = null;
+    if (purchaseInvoice) {
+      invoice = await PurchaseInvoice.findOne({ _id: purchaseInvoice, tenantId }).select('currency invoiceNumber');
+      if (!invoice) {
+        return res.status(400).json({ success: false, message: 'Purchase invoice not found' });
+      }
+    }
+
     // Create bank payment
     const bankPaymentData = {
       tenantId: tenantId,
-      date: date ? new Date(date) : new Date(),
+      date: paymentDate,
       amount: parseFloat(amount),
       particular: resolvedParticular,
       bank: bank,
       transactionReference: transactionReference ? transactionReference.trim() : null,
       order: order || null,
       supplier: supplier || null,
+      purchaseInvoice: invoice ? invoice._id : null,
       customer: customer || null,
+      currency: paymentCurrency.currency,
+      exchangeRate: paymentCurrency.exchangeRate,
+      baseAmount: currencyService.toBase(parseFloat(amount), paymentCurrency.exchangeRate),
       notes: notes ? notes.trim() : null,
       createdBy: req.user._id,
       expenseAccount: expenseAccountDoc ? expenseAccountDoc._id : null
     };
 
     const bankPayment = new BankPayment(bankPaymentData);
+    await bankPayment.validate();
+
+    // A foreign-currency invoice is settled at what the payment actually cost in base; paid
+    // from an account in the invoice's currency the amount is the settled amount
+    if (invoice?.currency) {
+      try {
+        const settled = invoice.currency === paymentCurrency.currency ? bankPayment.amount : settledAmount;
+        const settlement = await currencyService.settle('purchase_invoice', invoice._id, {
+          paymentType: 'bank_payment',
+          payment: bankPayment._id,
+          date: paymentDate,
+          amount: settled,
+          baseAmount: bankPayment.baseAmount,
+          reference: bankPayment.transactionReference
+        }, req.user._id, tenantId);
+        if (settlement) {
+          bankPayment.settledAmount = settled;
+          bankPayment.realizedGainLoss = settlement.gainLoss;
+        }
+      } catch (settleError) {
+        return res.status(400).json({ success: false, message: settleError.message });
+      }
+    }
+
     await bankPayment.save();
 
     // Update supplier balance if supplier is provided
     if (supplier && amount > 0) {
       try {
         const SupplierBalanceService = require('../services/supplierBalanceService');
-        await SupplierBalanceService.recordPayment(supplier, amount, order);
+        await SupplierBalanceService.recordPayment(supplier, bankPayment.baseAmount, order);
       } catch (error) {
         logger.error('Error updating supplier balance for bank payment:', error);
         // Don't fail the bank payment creation if balance update fails
@@ -309,7 +361,7 @@ router.post('/', [
     if (customer && amount > 0) {
       try {
         const CustomerBalanceService = require('../services/customerBalanceService');
-        await CustomerBalanceService.recordRefund(customer, amount, order);
+        await CustomerBalanceService.recordRefund(customer, bankPayment.baseAmount, order);
       } catch (error) {
         logger.error('Error updating customer balance for bank payment:', error);
         // Don't fail the bank payment creation if balance update fails
@@ -330,6 +382,7 @@ router.post('/', [
       { path: 'bank', select: 'accountName accountNumber bankName' },
       { path: 'order', select: 'orderNumber' },
       { path: 'supplier', select: 'name businessName' },
+      { path: 'purchaseInvoice', select: 'invoiceNumber' },
       { path: 'customer', select: 'name email' },
       { path: 'createdBy', select: 'firstName lastName' },
       { path: 'expenseAccount', select: 'accountName accountCode' }
@@ -9,6 +9,7 @@ const BankReceipt = require('../models/BankReceipt'); // Still needed for create
 const Bank = require('../models/Bank');
 const Sales = require('../models/Sales');
 const Customer = require('../models/Customer');
+const currencyService = require('../services/currencyService');
 
 // @route   GET /api/bank-receipts
 // @desc    Get all bank receipts with filtering and pagination
@@ -147,6 +148,8 @@ router.post('/', [
   body('order').optional().isMongoId().withMessage('Invalid order ID'),
   body('customer').optional().isMongoId().withMessage('Invalid customer ID'),
   body('supplier').optional().isMongoId().withMessage('Invalid supplier ID'),
+  body('exchangeRate').optional({ checkFalsy: true }).isFloat({ gt: 0 }).withMessage('Exchange rate must be positive').toFloat(),
+  body('settledAmount').optional({ checkFalsy: true }).isFloat({ gt: 0 }).withMessage('Settled amount must be positive').toFloat(),
   body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes must be less than 1000 characters')
 ], async (req, res) => {
   try {
@@ -166,7 +169,9 @@ router.post('/', [
       order,
       customer,
       supplier,
-      notes
+      notes,
+      exchangeRate,
+      settledAmount
     } = req.body;
 
     const tenantId = req.tenantId || req.user?.tenantId;
@@ -178,8 +183,9 @@ router.post('/', [
     }
     
     // Validate order exists if provided (with tenant filtering)
+    let orderExists = null;
     if (order) {
-      const orderExists = await Sales.findOne({ _id: order, tenantId });
+      orderExists = await Sales.findOne({ _id: order, tenantId });
       if (!orderExists) {
         return res.status(400).json({ 
           success: false,
@@ -226,10 +232,18 @@ router.post('/', [
       });
     }
 
+    const receiptDate = date ? new Date(date) : new Date();
+    let receiptCurrency;
+    try {
+      receiptCurrency = await currencyService.resolveCurrency({ currency: bankExists.currency, exchangeRate, date: receiptDate }, tenantId);
+    } catch (currencyError) {
+      return res.status(400).json({ success: false, message: currencyError.message });
+    }
+
     // Create bank receipt
     const bankReceiptData = {
       tenantId: tenantId,
-      date: date ? new Date(date) : new Date(),
+      date: receiptDate,
       amount: parseFloat(amount),
       particular: particular ? particular.trim() : 'Bank Receipt',
       bank: bank,
@@ -237,18 +251,45 @@ router.post('/', [
       order: order || null,
       customer: customer || null,
       supplier: supplier || null,
+      currency: receiptCurrency.currency,
+      exchangeRate: receiptCurrency.exchangeRate,
+      baseAmount: currencyService.toBase(parseFloat(amount), receiptCurrency.exchangeRate),
       notes: notes ? notes.trim() : null,
       createdBy: req.user._id
     };
 
     const bankReceipt = new BankReceipt(bankReceiptData);
+    await bankReceipt.validate();
+
+    // A foreign-currency sale is settled at what the receipt was actually worth in base;
+    // received into an account in the sale's currency the amount is the settled amount
+    if (orderExists?.currency) {
+      try {
+        const settled = orderExists.currency === receiptCurrency.currency ? bankReceipt.amount : settledAmount;
+        const settlement = await currencyService.settle('sale', orderExists._id, {
+          paymentType: 'bank_receipt',
+          payment: bankReceipt._id,
+          date: receiptDate,
+          amount: settled,
+          baseAmount: bankReceipt.baseAmount,
+          reference: bankReceipt.transactionReference
+        }, req.user._id, tenantId);
+        if (settlement) {
+          bankReceipt.settledAmount = settled;
+          bankReceipt.realizedGainLoss = settlement.gainLoss;
+        }
+      } catch (settleError) {
+        return res.status(400).json({ success: false, message: settleError.message });
+      }
+    }
+
     await bankReceipt.save();
 
     // Update customer balance if customer is provided
     if (customer && amount > 0) {
       try {
         const CustomerBalanceService = require('../services/customerBalanceService');
-        await CustomerBalanceService.recordPayment(customer, amount, order);
+        await CustomerBalanceService.recordPayment(customer, bankReceipt.baseAmount, order);
       } catch (error) {
         logger.error('Error updating customer balance for bank receipt:', error);
         // Don't fail the bank receipt creation if balance update fails
@@ -260,7 +301,7 @@ router.post('/', [
     if (supplier && amount > 0) {
       try {
         const SupplierBalanceService = require('../services/supplierBalanceService');
-        await SupplierBalanceService.recordPayment(supplier, amount, order);
+        await SupplierBalanceService.recordPayment(supplier, bankReceipt.baseAmount, order);
       } catch (error) {
         logger.error('Error updating supplier balance for bank receipt', { error: error.message });
         // Don't fail the bank receipt creation if balance update fails
@@ -0,0 +1,322 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const multer = require('multer');
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenantMiddleware');
+const bankReconciliationService = require('../services/bankReconciliationService');
+const { STATEMENT_FORMATS } = require('../utils/bankStatementParsers');
+const { MATCH_TYPES } = require('../models/BankStatement');
+const logger = require('../utils/logger');
+
+// Messages from bankReconciliationService, the statement parsers and the BankStatement model
+// that describe a rejected request rather than a fault
+const CLIENT_ERRORS = [
+  'All transactions on this statement have already been imported',
+  'Statement file has no transactions',
+  'CSV statement needs a date column and an amount or debit/credit columns',
+  'camt.053 file has no statement',
+  'Statement period ends before it starts',
+  'Matched items must go the same way as the statement line',
+  'Matched amounts are more than the statement line',
+  'Statement line is already fully matched',
+  'Unmatch all lines before deleting the statement'
+];
+
+const CLIENT_ERROR_PATTERNS = [
+  /^Statement format must be one of /,
+  /^Unreadable date on statement row /,
+  /^Statement is for account /,
+  /^Amount is more than is left to match on /,
+  // Journal entries for statement lines in closed or locked periods
+  /^(Fiscal year|Period) .* (is closed|is locked)\./,
+  /^Cannot post transaction dated .* before reconciliation date/
+];
+
+const NOT_FOUND = ['Bank statement not found', 'Statement line not found', 'Bank account not found', 'Book item not found', 'Account not found'];
+
+const upload = multer({
+  dest: 'uploads/',
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  }
+});
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const handleError = (res, error, action) => {
+  if (NOT_FOUND.includes(error.message)) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (error.name === 'VersionError') {
+    return res.status(409).json({ success: false, message: 'Statement was updated by someone else, please reload' });
+  }
+  if (CLIENT_ERRORS.includes(error.message) || CLIENT_ERROR_PATTERNS.some(pattern => pattern.test(error.message)) || error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  logger.error(`${action} error:`, { error: error });
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+const statementLine = [
+  param('id').isMongoId().withMessage('Valid statement ID is required'),
+  param('lineId').isMongoId().withMessage('Valid statement line ID is required')
+];
+
+// @route   GET /api/bank-reconciliation/statements
+// @desc    List imported bank statements
+// @access  Private
+router.get('/statements', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_reports'),
+  query('bank').optional().isMongoId(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const result = await bankReconciliationService.getStatements(req.query, tenantId);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error, 'List bank statements');
+  }
+});
+
+// @route   POST /api/bank-reconciliation/statements/import
+// @desc    Import a CSV, OFX, camt.053 or MT940 statement for a bank account and auto-match it
+// @access  Private
+router.post('/statements/import', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_payments'),
+  upload.single('file'),
+  body('bank').isMongoId().withMessage('Valid bank account is required'),
+  body('format').optional({ checkFalsy: true }).isIn(STATEMENT_FORMATS).withMessage(`Statement format must be one of ${STATEMENT_FORMATS.join(', ')}`),
+  body('dateFormat').optional().isIn(['DMY', 'MDY']),
+  body('decimalComma').optional().isBoolean().toBoolean(),
+  body('dateWindow').optional().isInt({ min: 0, max: 30 }).toInt(),
+  handleValidation
+], async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, message: 'No file uploaded' });
+  }
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const content = fs.readFileSync(req.file.path, 'utf8');
+    const { bank, format, dateFormat, decimalComma, dateWindow } = req.body;
+    const result = await bankReconciliationService.importStatement(bank, content, {
+      format: format || undefined,
+      fileName: req.file.originalname,
+      dateFormat,
+      decimalComma,
+      dateWindow
+    }, req.user._id, tenantId);
+    res.status(201).json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error, 'Import bank statement');
+  } finally {
+    fs.unlink(req.file.path, () => {});
+  }
+});
+
+// @route   GET /api/bank-reconciliation/statements/:id
+// @desc    Get a statement with its lines and matches
+// @access  Private
+router.get('/statements/:id', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_reports'),
+  param('id').isMongoId().withMessage('Valid statement ID is required'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const statement = await bankReconciliationService.getStatement(req.params.id, tenantId);
+    res.json({ success: true, data: statement });
+  } catch (error) {
+    handleError(res, error, 'Get bank statement');
+  }
+});
+
+// @route   DELETE /api/bank-reconciliation/statements/:id
+// @desc    Delete an imported statement with nothing matched
+// @access  Private
+router.delete('/statements/:id', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_payments'),
+  param('id').isMongoId().withMessage('Valid statement ID is required'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    await bankReconciliationService.deleteStatement(req.params.id, tenantId);
+    res.json({ success: true, message: 'Bank statement deleted' });
+  } catch (error) {
+    handleError(res, error, 'Delete bank statement');
+  }
+});
+
+// @route   POST /api/bank-reconciliation/statements/:id/auto-match
+// @desc    Re-run auto-matching on the statement's unmatched lines
+// @access  Private
+router.post('/statements/:id/auto-match', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_payments'),
+  param('id').isMongoId().withMessage('Valid statement ID is required'),
+  body('dateWindow').optional().isInt({ min: 0, max: 30 }).toInt(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const result = await bankReconciliationService.autoMatch(req.params.id, { dateWindow: req.body.dateWindow }, req.user._id, tenantId);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error, 'Auto-match bank statement');
+  }
+});
+
+// @route   GET /api/bank-reconciliation/statements/:id/lines/:lineId/candidates
+// @desc    Uncleared book items that could match a statement line
+// @access  Private
+router.get('/statements/:id/lines/:lineId/candidates', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_reports'),
+  ...statementLine,
+  query('days').optional().isInt({ min: 1, max: 365 }).toInt(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const candidates = await bankReconciliationService.getCandidates(req.params.id, req.params.lineId, tenantId, {
+      ...(req.query.days ? { days: req.query.days } : {})
+    });
+    res.json({ success: true, data: candidates });
+  } catch (error) {
+    handleError(res, error, 'Get match candidates');
+  }
+});
+
+// @route   POST /api/bank-reconciliation/statements/:id/lines/:lineId/match
+// @desc    Match a statement line to book items, splitting amounts where given
+// @access  Private
+router.post('/statements/:id/lines/:lineId/match', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_payments'),
+  ...statementLine,
+  body('items').isArray({ min: 1 }).withMessage('At least one book item is required'),
+  body('items.*.type').isIn(MATCH_TYPES).withMessage('Invalid book item type'),
+  body('items.*.document').isMongoId().withMessage('Invalid book item'),
+  body('items.*.lineIndex').optional().isInt({ min: 0 }).toInt(),
+  body('items.*.amount').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Amount must be positive').toFloat(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const statement = await bankReconciliationService.matchLine(req.params.id, req.params.lineId, req.body.items, req.user._id, tenantId);
+    res.json({ success: true, data: statement });
+  } catch (error) {
+    handleError(res, error, 'Match statement line');
+  }
+});
+
+// @route   POST /api/bank-reconciliation/statements/:id/lines/:lineId/unmatch
+// @desc    Clear a statement line's matches
+// @access  Private
+router.post('/statements/:id/lines/:lineId/unmatch', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_payments'),
+  ...statementLine,
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const statement = await bankReconciliationService.unmatchLine(req.params.id, req.params.lineId, tenantId);
+    res.json({ success: true, data: statement });
+  } catch (error) {
+    handleError(res, error, 'Unmatch statement line');
+  }
+});
+
+// @route   POST /api/bank-reconciliation/statements/:id/lines/:lineId/create-entry
+// @desc    Book a statement line with no book item as a journal entry and match it
+// @access  Private
+router.post('/statements/:id/lines/:lineId/create-entry', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_payments'),
+  ...statementLine,
+  body('account').isMongoId().withMessage('Valid account is required'),
+  body('description').optional().isString().trim().isLength({ max: 500 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const statement = await bankReconciliationService.createEntry(req.params.id, req.params.lineId, req.body, req.user._id, tenantId);
+    res.json({ success: true, data: statement });
+  } catch (error) {
+    handleError(res, error, 'Create entry from statement line');
+  }
+});
+
+// @route   GET /api/bank-reconciliation/banks/:bankId/reconciliation
+// @desc    Reconciliation statement as of a date with uncleared items
+// @access  Private
+router.get('/banks/:bankId/reconciliation', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_reports'),
+  param('bankId').isMongoId().withMessage('Valid bank account ID is required'),
+  query('asOf').optional().isISO8601().toDate(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const report = await bankReconciliationService.getReconciliation(req.params.bankId, req.query.asOf || new Date(), tenantId);
+    res.json({ success: true, data: report });
+  } catch (error) {
+    handleError(res, error, 'Get bank reconciliation');
+  }
+});
+
+// @route   GET /api/bank-reconciliation/banks/:bankId/reconciliation/pdf
+// @desc    Printable reconciliation statement
+// @access  Private
+router.get('/banks/:bankId/reconciliation/pdf', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_reports'),
+  param('bankId').isMongoId().withMessage('Valid bank account ID is required'),
+  query('asOf').optional().isISO8601().toDate(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const report = await bankReconciliationService.getReconciliation(req.params.bankId, req.query.asOf || new Date(), tenantId);
+    const pdf = await bankReconciliationService.renderReconciliationPdf(report);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="bank-reconciliation-${report.asOf.toISOString().slice(0, 10)}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    handleError(res, error, 'Print bank reconciliation');
+  }
+});
+
+module.exports = router;
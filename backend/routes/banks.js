@@ -87,7 +87,10 @@ router.post('/', [
   body('routingNumber').optional().isString().trim().isLength({ max: 50 }),
   body('swiftCode').optional().isString().trim().isLength({ max: 50 }),
   body('iban').optional().isString().trim().isLength({ max: 50 }),
+  body('ledgerAccountCode').optional({ nullable: true }).isString().trim().isLength({ max: 50 }),
   body('openingBalance').optional().isFloat(),
+  body('currency').optional({ checkFalsy: true }).isString().trim().toUpperCase().matches(/^[A-Z]{3}$/).withMessage('Currency must be a 3-letter ISO code'),
+  body('openingExchangeRate').optional({ checkFalsy: true }).isFloat({ gt: 0 }).withMessage('Opening exchange rate must be positive').toFloat(),
   body('isActive').optional().isBoolean(),
   body('notes').optional().isString().trim().isLength({ max: 1000 })
 ], async (req, res) => {
@@ -108,6 +111,9 @@ router.post('/', [
       swiftCode,
       iban,
       openingBalance = 0,
+      currency,
+      openingExchangeRate,
+      ledgerAccountCode,
       isActive = true,
       notes
     } = req.body;
@@ -124,6 +130,9 @@ router.post('/', [
       swiftCode,
       iban,
       openingBalance,
+      currency,
+      openingExchangeRate,
+      ledgerAccountCode,
       isActive,
       notes
     }, req.user._id, { tenantId });
@@ -134,6 +143,9 @@ router.post('/', [
       data: bank
     });
   } catch (error) {
+    if (/^No exchange rate for /.test(error.message) || /is the base currency and has no exchange rate$/.test(error.message)) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     logger.error('Create bank error:', { error: error });
     res.status(500).json({ 
       success: false,
@@ -158,6 +170,7 @@ router.put('/:id', [
   body('routingNumber').optional().isString().trim().isLength({ max: 50 }),
   body('swiftCode').optional().isString().trim().isLength({ max: 50 }),
   body('iban').optional().isString().trim().isLength({ max: 50 }),
+  body('ledgerAccountCode').optional({ nullable: true }).isString().trim().isLength({ max: 50 }),
   body('openingBalance').optional().isFloat(),
   body('isActive').optional().isBoolean(),
   body('notes').optional().isString().trim().isLength({ max: 1000 })
@@ -11,6 +11,7 @@ const supplierRepository = require('../repositories/SupplierRepository');
 const customerRepository = require('../repositories/CustomerRepository');
 const chartOfAccountsRepository = require('../repositories/ChartOfAccountsRepository');
 const salesRepository = require('../repositories/SalesRepository');
+const TillSessionRepository = require('../repositories/TillSessionRepository');
 
 // @route   GET /api/cash-payments
 // @desc    Get all cash payments with filtering and pagination
@@ -160,6 +161,7 @@ router.post('/', [
   body('customer').optional().isMongoId().withMessage('Invalid customer ID'),
   body('paymentMethod').optional().isIn(['cash', 'check', 'other']).withMessage('Invalid payment method'),
   body('expenseAccount').optional().isMongoId().withMessage('Invalid expense account ID'),
+  body('tillSession').optional().isMongoId().withMessage('Invalid till session ID'),
   body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes must be less than 1000 characters')
 ], async (req, res) => {
   try {
@@ -177,7 +179,8 @@ router.post('/', [
       customer,
       paymentMethod = 'cash',
       notes,
-      expenseAccount
+      expenseAccount,
+      tillSession
     } = req.body;
 
     const tenantId = req.tenantId || req.user?.tenantId;
@@ -241,6 +244,20 @@ router.post('/', [
       }
     }
 
+    // Payouts from a till drawer must reference an open session of this tenant
+    if (tillSession) {
+      const tillSessionDoc = await TillSessionRepository.findOne(
+        { _id: tillSession, tenantId, status: 'open' },
+        { tenantId }
+      );
+      if (!tillSessionDoc) {
+        return res.status(400).json({
+          success: false,
+          message: 'Till session not found or already closed'
+        });
+      }
+    }
+
     const resolvedParticular = particular
       ? particular.trim()
       : expenseAccountDoc
@@ -259,7 +276,8 @@ router.post('/', [
       paymentMethod,
       notes: notes ? notes.trim() : null,
       createdBy: req.user._id,
-      expenseAccount: expenseAccountDoc ? expenseAccountDoc._id : null
+      expenseAccount: expenseAccountDoc ? expenseAccountDoc._id : null,
+      tillSession: tillSession || null
     };
 
     const cashPayment = new CashPayment(cashPaymentData);
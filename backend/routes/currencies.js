@@ -0,0 +1,165 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenantMiddleware');
+const currencyService = require('../services/currencyService');
+const logger = require('../utils/logger');
+
+// Messages from currencyService that describe a rejected request rather than a fault
+const CLIENT_ERROR_PATTERNS = [
+  /is the base currency and has no exchange rate$/,
+  /^No exchange rate for /,
+  /^Foreign currency balances were already revalued as of /,
+  // Revaluation entries in closed or locked periods
+  /^(Fiscal year|Period) .* (is closed|is locked)\./
+];
+
+const NOT_FOUND = ['Exchange rate not found'];
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const handleError = (res, error, action) => {
+  if (NOT_FOUND.includes(error.message)) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (CLIENT_ERROR_PATTERNS.some(pattern => pattern.test(error.message)) || error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  logger.error(`${action} error:`, { error: error });
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// @route   GET /api/currencies/rates
+// @desc    List exchange rates
+// @access  Private
+router.get('/rates', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_reports'),
+  query('currency').optional().isString().trim().isLength({ min: 3, max: 3 }),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const result = await currencyService.getRates(req.query, tenantId);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error, 'List exchange rates');
+  }
+});
+
+// @route   GET /api/currencies/rates/current
+// @desc    Base currency and the rate in force for each foreign currency on a date
+// @access  Private
+router.get('/rates/current', [
+  auth,
+  tenantMiddleware,
+  query('date').optional().isISO8601().toDate(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const result = await currencyService.getCurrentRates(tenantId, req.query.date || new Date());
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error, 'Get current exchange rates');
+  }
+});
+
+// @route   POST /api/currencies/rates
+// @desc    Record a dated exchange rate (replaces one on the same date)
+// @access  Private
+router.post('/rates', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_exchange_rates'),
+  body('currency').isString().trim().toUpperCase().matches(/^[A-Z]{3}$/).withMessage('Currency must be a 3-letter ISO code'),
+  body('effectiveDate').isISO8601().withMessage('Valid effective date is required'),
+  body('rate').isFloat({ gt: 0 }).withMessage('Rate must be positive').toFloat(),
+  body('notes').optional().isString().trim().isLength({ max: 500 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const rate = await currencyService.setRate(req.body, req.user._id, tenantId);
+    res.status(201).json({ success: true, data: rate });
+  } catch (error) {
+    handleError(res, error, 'Set exchange rate');
+  }
+});
+
+// @route   DELETE /api/currencies/rates/:id
+// @desc    Delete an exchange rate
+// @access  Private
+router.delete('/rates/:id', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_exchange_rates'),
+  param('id').isMongoId().withMessage('Valid exchange rate ID is required'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    await currencyService.deleteRate(req.params.id, tenantId);
+    res.json({ success: true, message: 'Exchange rate deleted' });
+  } catch (error) {
+    handleError(res, error, 'Delete exchange rate');
+  }
+});
+
+// @route   GET /api/currencies/revaluations
+// @desc    List month-end revaluations with their lines
+// @access  Private
+router.get('/revaluations', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_reports'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const result = await currencyService.getRevaluations(req.query, tenantId);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error, 'List currency revaluations');
+  }
+});
+
+// @route   POST /api/currencies/revaluations
+// @desc    Revalue open foreign-currency balances as of a date and post the unrealized difference
+// @access  Private
+router.post('/revaluations', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_exchange_rates'),
+  body('asOf').isISO8601().withMessage('Valid revaluation date is required').toDate(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const revaluation = await currencyService.revalue(req.body.asOf, req.user._id, tenantId);
+    if (!revaluation) {
+      return res.json({ success: true, data: null, message: 'Nothing is open in a foreign currency' });
+    }
+    res.status(201).json({ success: true, data: revaluation });
+  } catch (error) {
+    handleError(res, error, 'Revalue foreign currency balances');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenantMiddleware');
+const demandForecastService = require('../services/demandForecastService');
+const { FORECAST_MODELS } = require('../models/DemandForecast');
+const logger = require('../utils/logger');
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const handleError = (res, error, action) => {
+  if (error.message === 'Forecast not found') {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (/^Service level must be one of /.test(error.message)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  logger.error(`${action} error:`, { error: error });
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// @route   GET /api/demand-forecasts
+// @desc    List product demand forecasts with their accuracy, safety stock and reorder points
+// @access  Private
+router.get('/', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_inventory'),
+  query('model').optional().isIn(FORECAST_MODELS),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const result = await demandForecastService.getForecasts(req.query, tenantId);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error, 'List demand forecasts');
+  }
+});
+
+// @route   POST /api/demand-forecasts/run
+// @desc    Recompute the tenant's forecasts now instead of waiting for the nightly run
+// @access  Private
+router.post('/run', [
+  auth,
+  tenantMiddleware,
+  requirePermission('update_inventory'),
+  body('historyDays').optional().isInt({ min: 28, max: 1095 }).toInt(),
+  body('horizonDays').optional().isInt({ min: 7, max: 365 }).toInt(),
+  body('serviceLevel').optional().isIn(demandForecastService.SERVICE_LEVELS).toFloat()
+    .withMessage(`Service level must be one of ${demandForecastService.SERVICE_LEVELS.join(', ')}`),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const { historyDays, horizonDays, serviceLevel } = req.body;
+    const options = Object.fromEntries(
+      Object.entries({ historyDays, horizonDays, serviceLevel }).filter(([, value]) => value !== undefined)
+    );
+    const result = await demandForecastService.runForecasts(tenantId, options);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error, 'Run demand forecasts');
+  }
+});
+
+// @route   GET /api/demand-forecasts/:productId
+// @desc    Get a product's forecast with its daily quantities
+// @access  Private
+router.get('/:productId', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_inventory'),
+  param('productId').isMongoId().withMessage('Valid product ID is required'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const forecast = await demandForecastService.getForecast(req.params.productId, tenantId);
+    res.json({ success: true, data: forecast });
+  } catch (error) {
+    handleError(res, error, 'Get demand forecast');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,251 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenantMiddleware');
+const documentTemplateService = require('../services/documentTemplateService');
+const { DOCUMENT_TYPES, PAPER_SIZES } = require('../models/DocumentTemplate');
+const logger = require('../utils/logger');
+
+// Messages from documentTemplateService that describe a rejected request rather than a fault
+const CLIENT_ERRORS = [
+  'Document template already exists',
+  'A template can only be the default for document types it prints',
+  'An inactive template cannot be a default'
+];
+
+// Printing a document needs the same access as viewing it
+const DOCUMENT_PERMISSIONS = {
+  sales_invoice: 'view_sales_invoices',
+  sales_order: 'view_sales_orders',
+  purchase_order: 'view_purchase_orders',
+  return: 'view_returns',
+  quotation: 'view_sales_orders'
+};
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const handleError = (res, error, action) => {
+  if (error.message === 'Document template not found' || error.message === 'Document not found') {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (CLIENT_ERRORS.includes(error.message) || error.name === 'ValidationError' ||
+      /^Unsupported document type|does not print .* documents$/.test(error.message)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  logger.error(`${action} error:`, { error: error });
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+const sendPdf = (res, buffer, filename) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+  res.send(buffer);
+};
+
+const requireDocumentPermission = (req, res, next) =>
+  requirePermission(DOCUMENT_PERMISSIONS[req.params.documentType])(req, res, next);
+
+const validateTemplate = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Template name is required'),
+    field('documentTypes').isArray({ min: 1 }).withMessage('At least one document type is required'),
+    body('documentTypes.*').isIn(DOCUMENT_TYPES).withMessage('Invalid document type'),
+    body('defaultFor').optional().isArray(),
+    body('defaultFor.*').isIn(DOCUMENT_TYPES).withMessage('Invalid document type'),
+    body('paperSize').optional().isIn(PAPER_SIZES).withMessage('Invalid paper size'),
+    body('orientation').optional().isIn(['portrait', 'landscape']),
+    body('logo.data').optional({ nullable: true, checkFalsy: true })
+      .matches(/^data:image\/(png|jpeg);base64,/).withMessage('Logo must be a PNG or JPEG image')
+      .isLength({ max: 700000 }).withMessage('Logo must be under 500KB'),
+    body('logo.width').optional().isInt({ min: 20, max: 300 }),
+    body('logo.align').optional().isIn(['left', 'center', 'right']),
+    body('header.title').optional().isString().trim().isLength({ max: 50 }),
+    body('header.fields').optional().isArray({ max: 10 }),
+    body('header.fields.*.label').optional().isString().trim().isLength({ min: 1, max: 50 }),
+    body('taxRegistrations').optional().isArray({ max: 5 }),
+    body('taxRegistrations.*.label').optional().isString().trim().isLength({ min: 1, max: 50 }),
+    body('taxRegistrations.*.number').optional().isString().trim().isLength({ min: 1, max: 100 }),
+    body('showItemTax').optional().isBoolean(),
+    body('showTaxBreakdown').optional().isBoolean(),
+    body('terms').optional().isString().isLength({ max: 2000 }),
+    body('footer').optional().isString().isLength({ max: 500 }),
+    body('qrCode.enabled').optional().isBoolean(),
+    body('qrCode.size').optional().isInt({ min: 50, max: 200 }),
+    body('isActive').optional().isBoolean()
+  ];
+};
+
+// @route   GET /api/document-templates
+// @desc    List document templates
+// @access  Private
+router.get('/', [
+  auth,
+  tenantMiddleware,
+  requirePermission('print_settings'),
+  query('documentType').optional().isIn(DOCUMENT_TYPES),
+  query('isActive').optional().isBoolean(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const templates = await documentTemplateService.getTemplates(req.query, tenantId);
+    res.json({ success: true, data: templates });
+  } catch (error) {
+    handleError(res, error, 'List document templates');
+  }
+});
+
+// @route   POST /api/document-templates
+// @desc    Create a document template
+// @access  Private
+router.post('/', [
+  auth,
+  tenantMiddleware,
+  requirePermission('print_settings'),
+  ...validateTemplate(false),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const template = await documentTemplateService.createTemplate(req.body, req.user._id, tenantId);
+    res.status(201).json({ success: true, data: template });
+  } catch (error) {
+    handleError(res, error, 'Create document template');
+  }
+});
+
+// @route   POST /api/document-templates/preview
+// @desc    Render unsaved template settings against sample data or a real document
+// @access  Private
+router.post('/preview', [
+  auth,
+  tenantMiddleware,
+  requirePermission('print_settings'),
+  body('documentType').optional().isIn(DOCUMENT_TYPES).withMessage('Invalid document type'),
+  body('documentId').optional({ nullable: true, checkFalsy: true }).isMongoId().withMessage('Valid document ID is required'),
+  body('template').isObject().withMessage('Template settings are required'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const buffer = await documentTemplateService.previewTemplate(req.body.template, {
+      documentType: req.body.documentType,
+      documentId: req.body.documentId
+    }, tenantId);
+    sendPdf(res, buffer, 'preview.pdf');
+  } catch (error) {
+    handleError(res, error, 'Preview document template');
+  }
+});
+
+// @route   GET /api/document-templates/verify
+// @desc    Check the verification data scanned from a document QR code
+// @access  Public
+router.get('/verify', [
+  query('data').isString().isLength({ min: 2, max: 2000 }).withMessage('QR data is required'),
+  handleValidation
+], async (req, res) => {
+  try {
+    res.json({ success: true, data: documentTemplateService.verifyDocumentData(req.query.data) });
+  } catch (error) {
+    handleError(res, error, 'Verify document');
+  }
+});
+
+// @route   GET /api/document-templates/print/:documentType/:documentId
+// @desc    Print a document with its default template, or ?templateId=
+// @access  Private
+router.get('/print/:documentType/:documentId', [
+  auth,
+  tenantMiddleware,
+  param('documentType').isIn(DOCUMENT_TYPES).withMessage('Invalid document type'),
+  param('documentId').isMongoId().withMessage('Valid document ID is required'),
+  query('templateId').optional().isMongoId().withMessage('Valid template ID is required'),
+  handleValidation,
+  requireDocumentPermission
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const { buffer, filename } = await documentTemplateService.renderDocument(
+      req.params.documentType,
+      req.params.documentId,
+      tenantId,
+      { templateId: req.query.templateId }
+    );
+    sendPdf(res, buffer, filename);
+  } catch (error) {
+    handleError(res, error, 'Print document');
+  }
+});
+
+// @route   GET /api/document-templates/:id
+// @desc    Get a document template
+// @access  Private
+router.get('/:id', [
+  auth,
+  tenantMiddleware,
+  requirePermission('print_settings'),
+  param('id').isMongoId().withMessage('Valid template ID is required'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const template = await documentTemplateService.getTemplate(req.params.id, tenantId);
+    res.json({ success: true, data: template });
+  } catch (error) {
+    handleError(res, error, 'Get document template');
+  }
+});
+
+// @route   PUT /api/document-templates/:id
+// @desc    Update a document template
+// @access  Private
+router.put('/:id', [
+  auth,
+  tenantMiddleware,
+  requirePermission('print_settings'),
+  param('id').isMongoId().withMessage('Valid template ID is required'),
+  ...validateTemplate(true),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const template = await documentTemplateService.updateTemplate(req.params.id, req.body, req.user._id, tenantId);
+    res.json({ success: true, data: template });
+  } catch (error) {
+    handleError(res, error, 'Update document template');
+  }
+});
+
+// @route   DELETE /api/document-templates/:id
+// @desc    Delete a document template
+// @access  Private
+router.delete('/:id', [
+  auth,
+  tenantMiddleware,
+  requirePermission('print_settings'),
+  param('id').isMongoId().withMessage('Valid template ID is required'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    await documentTemplateService.deleteTemplate(req.params.id, tenantId);
+    res.json({ success: true, message: 'Document template deleted' });
+  } catch (error) {
+    handleError(res, error, 'Delete document template');
+  }
+});
+
+module.exports = router;
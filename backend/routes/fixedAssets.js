@@ -0,0 +1,310 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenantMiddleware');
+const fixedAssetService = require('../services/fixedAssetService');
+const { CATEGORIES, METHODS, SOURCE_TYPES } = require('../models/FixedAsset');
+const logger = require('../utils/logger');
+
+// Messages from fixedAssetService that describe a rejected request rather than a fault
+const CLIENT_ERRORS = [
+  'Salvage value must be less than the cost',
+  'Give a useful life in months',
+  'Give the total units the asset is expected to produce',
+  'Disposed assets cannot be changed',
+  'Depreciation terms cannot be changed once the asset has been depreciated',
+  'Usage is only recorded for units-of-production assets',
+  'Depreciation can only be run for months that have ended',
+  'Fixed asset is already disposed',
+  'Disposal date is before the asset was acquired',
+  'Stock lines are capitalized by quantity, not amount'
+];
+
+const CLIENT_ERROR_PATTERNS = [
+  /^Only .* is left to capitalize$/,
+  /has no debit on line \d+$/,
+  /^Account .* not found$/,
+  /^Fixed asset is /,
+  /^Depreciation has already been (run|charged) for /,
+  /^Depreciation has been charged through /,
+  // The units on a purchase invoice line have since left stock
+  /^(NEGATIVE_STOCK_PREVENTED|INSUFFICIENT_AVAILABLE_STOCK):/,
+  /^Insufficient stock in /,
+  // Entries dated in closed or locked periods
+  /^(Fiscal year|Period) .* (is closed|is locked)\./
+];
+
+const NOT_FOUND = ['Fixed asset not found'];
+const NOT_FOUND_PATTERNS = [/^(Purchase invoice|Journal voucher|Journal entry)( .*)? not found$/];
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const handleError = (res, error, action) => {
+  if (NOT_FOUND.includes(error.message) || NOT_FOUND_PATTERNS.some(pattern => pattern.test(error.message))) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (CLIENT_ERRORS.includes(error.message) || CLIENT_ERROR_PATTERNS.some(pattern => pattern.test(error.message)) || error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  logger.error(`${action} error:`, { error: error });
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+const termValidators = [
+  body('salvageValue').optional({ checkFalsy: true }).isFloat({ min: 0 }).toFloat(),
+  body('method').optional().isIn(METHODS),
+  body('usefulLifeMonths').optional({ checkFalsy: true }).isInt({ min: 1, max: 1200 }).toInt(),
+  body('decliningFactor').optional({ checkFalsy: true }).isFloat({ min: 1, max: 4 }).toFloat(),
+  body('totalUnits').optional({ checkFalsy: true }).isFloat({ min: 1 }).toFloat(),
+  body('startDate').optional({ checkFalsy: true }).isISO8601().toDate(),
+  body('name').optional().isString().trim().isLength({ min: 1, max: 200 }),
+  body('description').optional().isString().trim().isLength({ max: 1000 }),
+  body('serialNumber').optional().isString().trim().isLength({ max: 100 }),
+  body('location').optional().isString().trim().isLength({ max: 200 })
+];
+
+// @route   GET /api/fixed-assets
+// @desc    List the asset register
+// @access  Private
+router.get('/', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_reports'),
+  query('category').optional().isIn(CATEGORIES),
+  query('status').optional().isIn(['active', 'fully_depreciated', 'disposed']),
+  query('search').optional().isString().trim(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const result = await fixedAssetService.getAssets(req.query, tenantId);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error, 'List fixed assets');
+  }
+});
+
+// @route   GET /api/fixed-assets/schedule
+// @desc    Asset schedule: cost, depreciation and book value rolled forward over a period
+// @access  Private
+router.get('/schedule', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_reports'),
+  query('from').optional().isISO8601().toDate(),
+  query('to').optional().isISO8601().toDate(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const schedule = await fixedAssetService.getAssetSchedule(req.query, tenantId);
+    res.json({ success: true, data: schedule });
+  } catch (error) {
+    handleError(res, error, 'Fixed asset schedule');
+  }
+});
+
+// @route   GET /api/fixed-assets/source-lines
+// @desc    Lines of a purchase invoice or journal and how much of each is already capitalized
+// @access  Private
+router.get('/source-lines', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_reports'),
+  query('sourceType').isIn(SOURCE_TYPES),
+  query('reference').isString().trim().isLength({ min: 1, max: 100 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const result = await fixedAssetService.getSourceLines(req.query.sourceType, req.query.reference, tenantId);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error, 'Fixed asset source lines');
+  }
+});
+
+// @route   GET /api/fixed-assets/depreciation-runs
+// @desc    List monthly depreciation runs
+// @access  Private
+router.get('/depreciation-runs', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_reports'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 120 }).toInt(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const result = await fixedAssetService.getRuns(req.query, tenantId);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error, 'List depreciation runs');
+  }
+});
+
+// @route   POST /api/fixed-assets/depreciation-runs
+// @desc    Depreciate every active asset for a month that has ended
+// @access  Private
+router.post('/depreciation-runs', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_reports'),
+  body('month').isISO8601().toDate(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const run = await fixedAssetService.runMonth(tenantId, req.body.month, req.user._id);
+    res.status(201).json({ success: true, data: run });
+  } catch (error) {
+    handleError(res, error, 'Run depreciation');
+  }
+});
+
+// @route   GET /api/fixed-assets/:id
+// @desc    Get an asset with its depreciation and usage
+// @access  Private
+router.get('/:id', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_reports'),
+  param('id').isMongoId(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const asset = await fixedAssetService.getAsset(req.params.id, tenantId);
+    res.json({ success: true, data: asset });
+  } catch (error) {
+    handleError(res, error, 'Get fixed asset');
+  }
+});
+
+// @route   GET /api/fixed-assets/:id/projection
+// @desc    Depreciation still to come over the rest of the useful life
+// @access  Private
+router.get('/:id/projection', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_reports'),
+  param('id').isMongoId(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const projection = await fixedAssetService.getProjection(req.params.id, tenantId);
+    res.json({ success: true, data: projection });
+  } catch (error) {
+    handleError(res, error, 'Fixed asset projection');
+  }
+});
+
+// @route   POST /api/fixed-assets
+// @desc    Register an asset from a purchase invoice line (taking its units out of stock) or a journal debit
+// @access  Private
+router.post('/', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_reports'),
+  body('sourceType').isIn(SOURCE_TYPES),
+  body('document').isMongoId(),
+  body('lineIndex').isInt({ min: 0 }).toInt(),
+  body('category').isIn(CATEGORIES),
+  body('amount').optional({ checkFalsy: true }).isFloat({ min: 0.01 }).toFloat(),
+  body('quantity').optional({ checkFalsy: true }).isFloat({ gt: 0 }).toFloat(),
+  body('assetAccountCode').optional({ checkFalsy: true }).isString().trim().isLength({ max: 50 }),
+  body('accumulatedDepreciationAccountCode').optional({ checkFalsy: true }).isString().trim().isLength({ max: 50 }),
+  body('depreciationExpenseAccountCode').optional({ checkFalsy: true }).isString().trim().isLength({ max: 50 }),
+  ...termValidators,
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const asset = await fixedAssetService.createAsset(req.body, req.user._id, tenantId);
+    res.status(201).json({ success: true, data: asset });
+  } catch (error) {
+    handleError(res, error, 'Create fixed asset');
+  }
+});
+
+// @route   PUT /api/fixed-assets/:id
+// @desc    Update an asset; depreciation terms only until it is first depreciated
+// @access  Private
+router.put('/:id', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_reports'),
+  param('id').isMongoId(),
+  ...termValidators,
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const asset = await fixedAssetService.updateAsset(req.params.id, req.body, tenantId);
+    res.json({ success: true, data: asset });
+  } catch (error) {
+    handleError(res, error, 'Update fixed asset');
+  }
+});
+
+// @route   POST /api/fixed-assets/:id/usage
+// @desc    Record units produced by a units-of-production asset
+// @access  Private
+router.post('/:id/usage', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_reports'),
+  param('id').isMongoId(),
+  body('date').isISO8601().toDate(),
+  body('units').isFloat({ min: 0 }).toFloat(),
+  body('notes').optional().isString().trim().isLength({ max: 200 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const asset = await fixedAssetService.recordUsage(req.params.id, req.body, req.user._id, tenantId);
+    res.status(201).json({ success: true, data: asset });
+  } catch (error) {
+    handleError(res, error, 'Record fixed asset usage');
+  }
+});
+
+// @route   POST /api/fixed-assets/:id/dispose
+// @desc    Sell, scrap or write off an asset, posting the gain or loss
+// @access  Private
+router.post('/:id/dispose', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_reports'),
+  param('id').isMongoId(),
+  body('date').isISO8601().toDate(),
+  body('proceeds').optional({ checkFalsy: true }).isFloat({ min: 0 }).toFloat(),
+  body('proceedsAccountCode').optional({ checkFalsy: true }).isString().trim().isLength({ max: 50 }),
+  body('notes').optional().isString().trim().isLength({ max: 500 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const asset = await fixedAssetService.disposeAsset(req.params.id, req.body, req.user._id, tenantId);
+    res.json({ success: true, data: asset });
+  } catch (error) {
+    handleError(res, error, 'Dispose fixed asset');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,209 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, requirePermission, requireAnyPermission } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenantMiddleware');
+const giftCardService = require('../services/giftCardService');
+const { GIFT_CARD_TYPES } = require('../models/GiftCard');
+const logger = require('../utils/logger');
+
+const TENDER_METHODS = ['cash', 'credit_card', 'debit_card', 'bank_transfer', 'check'];
+
+// Messages from giftCardService that describe a rejected request rather than a fault
+const CLIENT_ERRORS = [
+  'Gift card amount must be greater than zero',
+  'Expiry date must be in the future',
+  'A card with this code or barcode already exists',
+  'Gift card is already activated',
+  'Gift card has not been activated',
+  'Gift card has expired',
+  'Amount must be greater than zero',
+  'Card belongs to another customer',
+  'Store credit must belong to a customer'
+];
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const handleError = (res, error, action) => {
+  if (error.message === 'Gift card not found') {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (error.message === 'Gift card was updated by another transaction, please retry') {
+    return res.status(409).json({ success: false, message: error.message });
+  }
+  if (CLIENT_ERRORS.includes(error.message)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  logger.error(`${action} error:`, { error: error });
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// @route   GET /api/gift-cards
+// @desc    List gift cards and store credit accounts
+// @access  Private
+router.get('/', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_customers'),
+  query('type').optional().isIn(GIFT_CARD_TYPES),
+  query('status').optional().isIn(['inactive', 'active', 'redeemed', 'expired']),
+  query('customer').optional().isMongoId(),
+  query('search').optional().isString().trim(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const result = await giftCardService.listCards({
+      ...req.query,
+      page: parseInt(req.query.page || '1', 10),
+      limit: parseInt(req.query.limit || '20', 10)
+    }, tenantId);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error, 'List gift cards');
+  }
+});
+
+// @route   POST /api/gift-cards
+// @desc    Issue a gift card or store credit (optionally activating it straight away)
+// @access  Private
+router.post('/', [
+  auth,
+  tenantMiddleware,
+  requirePermission('create_orders'),
+  body('type').optional().isIn(GIFT_CARD_TYPES),
+  body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
+  body('customer').optional().isMongoId(),
+  body('code').optional().isString().trim().isLength({ min: 4, max: 50 }),
+  body('barcode').optional().isString().trim().isLength({ max: 100 }),
+  body('expiresAt').optional().isISO8601().toDate(),
+  body('activate').optional().isBoolean(),
+  body('paymentMethod')
+    .if(body('activate').equals('true'))
+    .isIn(TENDER_METHODS)
+    .withMessage('A payment method is required to activate a card'),
+  body('notes').optional().isString().trim().isLength({ max: 500 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const card = await giftCardService.issueCard(req.body, req.user._id, tenantId);
+    res.status(201).json({ success: true, data: card });
+  } catch (error) {
+    handleError(res, error, 'Issue gift card');
+  }
+});
+
+// @route   GET /api/gift-cards/lookup/:code
+// @desc    Balance lookup by code or barcode
+// @access  Private
+router.get('/lookup/:code', [
+  auth,
+  tenantMiddleware,
+  requireAnyPermission(['create_orders', 'view_customers']),
+  param('code').isString().trim().notEmpty(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const balance = await giftCardService.getBalance(req.params.code, tenantId);
+    res.json({ success: true, data: balance });
+  } catch (error) {
+    handleError(res, error, 'Gift card lookup');
+  }
+});
+
+// @route   POST /api/gift-cards/maintenance/expire
+// @desc    Expire cards past their expiry date now (also runs nightly)
+// @access  Private
+router.post('/maintenance/expire', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_settings')
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const result = await giftCardService.expireCards(tenantId);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error, 'Expire gift cards');
+  }
+});
+
+// @route   GET /api/gift-cards/:code
+// @desc    Card details with its transaction ledger
+// @access  Private
+router.get('/:code', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_customers'),
+  param('code').isString().trim().notEmpty(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const card = await giftCardService.getCard(req.params.code, tenantId);
+    res.json({ success: true, data: card });
+  } catch (error) {
+    handleError(res, error, 'Get gift card');
+  }
+});
+
+// @route   POST /api/gift-cards/:code/activate
+// @desc    Activate an issued card once it has been paid for
+// @access  Private
+router.post('/:code/activate', [
+  auth,
+  tenantMiddleware,
+  requirePermission('create_orders'),
+  param('code').isString().trim().notEmpty(),
+  body('paymentMethod').isIn(TENDER_METHODS).withMessage('Valid payment method is required'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const card = await giftCardService.activateCard(req.params.code, {
+      paymentMethod: req.body.paymentMethod
+    }, req.user._id, tenantId);
+    res.json({ success: true, data: card });
+  } catch (error) {
+    handleError(res, error, 'Activate gift card');
+  }
+});
+
+// @route   POST /api/gift-cards/:code/reload
+// @desc    Add value to an active card
+// @access  Private
+router.post('/:code/reload', [
+  auth,
+  tenantMiddleware,
+  requirePermission('create_orders'),
+  param('code').isString().trim().notEmpty(),
+  body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
+  body('paymentMethod').isIn(TENDER_METHODS).withMessage('Valid payment method is required'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const card = await giftCardService.reloadCard(req.params.code, Number(req.body.amount), {
+      paymentMethod: req.body.paymentMethod
+    }, req.user._id, tenantId);
+    res.json({ success: true, data: card });
+  } catch (error) {
+    handleError(res, error, 'Reload gift card');
+  }
+});
+
+module.exports = router;
@@ -16,7 +16,9 @@ router.get('/', [
   requirePermission('view_inventory'),
   query('includeOutOfStock').optional().isIn(['true', 'false']),
   query('includeCritical').optional().isIn(['true', 'false']),
-  query('includeWarning').optional().isIn(['true', 'false'])
+  query('includeWarning').optional().isIn(['true', 'false']),
+  query('warehouse').optional().isMongoId(),
+  query('byWarehouse').optional().isIn(['true', 'false'])
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -29,6 +31,8 @@ router.get('/', [
       includeOutOfStock: req.query.includeOutOfStock !== 'false',
       includeCritical: req.query.includeCritical !== 'false',
       includeWarning: req.query.includeWarning !== 'false',
+      warehouse: req.query.warehouse || null,
+      byWarehouse: req.query.byWarehouse === 'true',
       tenantId: tenantId
     };
 
@@ -75,6 +79,32 @@ router.get('/summary', [
   }
 });
 
+// @route   POST /api/inventory-alerts/notify
+// @desc    Send current low stock alerts to the tenant's notification subscribers
+// @access  Private
+router.post('/notify', [
+  auth,
+  tenantMiddleware,
+  requirePermission('acknowledge_inventory_alerts')
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const result = await InventoryAlertService.sendLowStockAlerts(tenantId);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Send inventory alerts error:', { error: error });
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // @route   GET /api/inventory-alerts/products-needing-reorder
 // @desc    Get products that need reordering (for manual review)
 // @access  Private
@@ -0,0 +1,189 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenantMiddleware');
+const landedCostService = require('../services/landedCostService');
+const { CHARGE_TYPES, ALLOCATION_METHODS, SETTLEMENTS } = require('../models/LandedCost');
+const logger = require('../utils/logger');
+
+// Messages from landedCostService and the LandedCost model that describe a rejected request rather than a fault
+const CLIENT_ERRORS = [
+  'Only draft landed costs can be edited',
+  'Only draft landed costs can be posted',
+  'Only draft landed costs can be cancelled',
+  'At least one purchase invoice is required',
+  'At least one charge is required',
+  'Charges must add up to more than zero',
+  'Landed costs can only be added to purchase invoices that are not cancelled'
+];
+
+const CLIENT_ERROR_PATTERNS = [
+  /^Products on these invoices have no /,
+  // The voucher date falls in a period closed to postings
+  /^(Fiscal year|Period) .* (is closed|is locked)\./
+];
+
+const NOT_FOUND = ['Landed cost not found', 'Purchase invoice not found', 'Supplier not found'];
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const handleError = (res, error, action) => {
+  if (NOT_FOUND.includes(error.message)) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (CLIENT_ERRORS.includes(error.message) || CLIENT_ERROR_PATTERNS.some(pattern => pattern.test(error.message)) || error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  logger.error(`${action} error:`, { error: error });
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+const validateLandedCost = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('purchaseInvoices').isArray({ min: 1 }).withMessage('At least one purchase invoice is required'),
+    body('purchaseInvoices.*').isMongoId().withMessage('Invalid purchase invoice'),
+    field('charges').isArray({ min: 1 }).withMessage('At least one charge is required'),
+    body('charges.*.type').isIn(CHARGE_TYPES).withMessage('Invalid charge type'),
+    body('charges.*.description').optional().isString().trim().isLength({ max: 200 }),
+    body('charges.*.amount').isFloat({ min: 0 }).withMessage('Charge amount must be positive'),
+    body('allocationMethod').optional().isIn(ALLOCATION_METHODS).withMessage('Invalid allocation method'),
+    body('settlement').optional().isIn(SETTLEMENTS).withMessage('Invalid settlement'),
+    body('supplier').optional({ nullable: true, checkFalsy: true }).isMongoId().withMessage('Invalid supplier'),
+    body('supplierReference').optional().isString().trim().isLength({ max: 100 }),
+    body('date').optional().isISO8601().withMessage('Valid date required'),
+    body('notes').optional().isString().trim().isLength({ max: 1000 })
+  ];
+};
+
+// @route   GET /api/landed-costs
+// @desc    List landed cost vouchers
+// @access  Private
+router.get('/', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_purchase_invoices'),
+  query('status').optional().isIn(['draft', 'posted', 'cancelled']),
+  query('purchaseInvoice').optional().isMongoId(),
+  query('supplier').optional().isMongoId(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const result = await landedCostService.getLandedCosts(req.query, tenantId);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error, 'List landed costs');
+  }
+});
+
+// @route   GET /api/landed-costs/:id
+// @desc    Get a landed cost voucher with its allocations
+// @access  Private
+router.get('/:id', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_purchase_invoices'),
+  param('id').isMongoId().withMessage('Valid landed cost ID is required'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const landedCost = await landedCostService.getLandedCost(req.params.id, tenantId);
+    res.json({ success: true, data: landedCost });
+  } catch (error) {
+    handleError(res, error, 'Get landed cost');
+  }
+});
+
+// @route   POST /api/landed-costs
+// @desc    Create a draft landed cost voucher and allocate its charges
+// @access  Private
+router.post('/', [
+  auth,
+  tenantMiddleware,
+  requirePermission('edit_purchase_invoices'),
+  ...validateLandedCost(false),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const landedCost = await landedCostService.createLandedCost(req.body, req.user._id, tenantId);
+    res.status(201).json({ success: true, data: landedCost });
+  } catch (error) {
+    handleError(res, error, 'Create landed cost');
+  }
+});
+
+// @route   PUT /api/landed-costs/:id
+// @desc    Update a draft landed cost voucher
+// @access  Private
+router.put('/:id', [
+  auth,
+  tenantMiddleware,
+  requirePermission('edit_purchase_invoices'),
+  param('id').isMongoId().withMessage('Valid landed cost ID is required'),
+  ...validateLandedCost(true),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const landedCost = await landedCostService.updateLandedCost(req.params.id, req.body, req.user._id, tenantId);
+    res.json({ success: true, data: landedCost });
+  } catch (error) {
+    handleError(res, error, 'Update landed cost');
+  }
+});
+
+// @route   POST /api/landed-costs/:id/post
+// @desc    Post a voucher to product costs, COGS and the ledger
+// @access  Private
+router.post('/:id/post', [
+  auth,
+  tenantMiddleware,
+  requirePermission('edit_purchase_invoices'),
+  param('id').isMongoId().withMessage('Valid landed cost ID is required'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const landedCost = await landedCostService.postLandedCost(req.params.id, req.user._id, tenantId);
+    res.json({ success: true, data: landedCost });
+  } catch (error) {
+    handleError(res, error, 'Post landed cost');
+  }
+});
+
+// @route   POST /api/landed-costs/:id/cancel
+// @desc    Cancel a draft voucher
+// @access  Private
+router.post('/:id/cancel', [
+  auth,
+  tenantMiddleware,
+  requirePermission('edit_purchase_invoices'),
+  param('id').isMongoId().withMessage('Valid landed cost ID is required'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const landedCost = await landedCostService.cancelLandedCost(req.params.id, req.user._id, tenantId);
+    res.json({ success: true, data: landedCost });
+  } catch (error) {
+    handleError(res, error, 'Cancel landed cost');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,194 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenantMiddleware');
+const loyaltyService = require('../services/loyaltyService');
+const Customer = require('../models/Customer');
+const { LOYALTY_TIERS } = require('../models/LoyaltyProgram');
+const logger = require('../utils/logger');
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const serverError = (res, error) => res.status(500).json({
+  success: false,
+  message: 'Server error',
+  error: process.env.NODE_ENV === 'development' ? error.message : undefined
+});
+
+// @route   GET /api/loyalty/program
+// @desc    Get the tenant's loyalty program settings
+// @access  Private
+router.get('/program', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_customers')
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const program = await loyaltyService.getProgram(tenantId);
+    res.json({ success: true, data: program });
+  } catch (error) {
+    logger.error('Get loyalty program error:', { error: error });
+    serverError(res, error);
+  }
+});
+
+// @route   PUT /api/loyalty/program
+// @desc    Configure earn rules, tiers, point value and expiry
+// @access  Private
+router.put('/program', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_discounts'),
+  body('name').optional().isString().trim().isLength({ max: 100 }),
+  body('isActive').optional().isBoolean(),
+  body('earnRules').optional().isArray(),
+  body('earnRules.*.type').optional().isIn(['spend', 'category', 'product']),
+  body('earnRules.*.category').optional().isMongoId(),
+  body('earnRules.*.product').optional().isMongoId(),
+  body('earnRules.*.pointsPerUnit').optional().isFloat({ min: 0 }),
+  body('pointValue').optional().isFloat({ min: 0 }),
+  body('minRedeemPoints').optional().isInt({ min: 0 }),
+  body('maxRedeemPercent').optional().isFloat({ min: 0, max: 100 }),
+  body('pointsExpiryDays').optional().isInt({ min: 0 }),
+  body('tierWindowDays').optional().isInt({ min: 1 }),
+  body('tiers').optional().isArray({ min: 1 }),
+  body('tiers.*.tier').optional().isIn(LOYALTY_TIERS),
+  body('tiers.*.minPoints').optional().isInt({ min: 0 }),
+  body('tiers.*.earnMultiplier').optional().isFloat({ min: 0 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const program = await loyaltyService.updateProgram(req.body, req.user._id, tenantId);
+    res.json({ success: true, data: program });
+  } catch (error) {
+    if (error.name === 'ValidationError' || (error.message && error.message.includes('earn rules require'))) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    logger.error('Update loyalty program error:', { error: error });
+    serverError(res, error);
+  }
+});
+
+// @route   GET /api/loyalty/customers/:customerId
+// @desc    Points balance, tier and ledger for a customer
+// @access  Private
+router.get('/customers/:customerId', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_customers'),
+  param('customerId').isMongoId(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const result = await loyaltyService.getCustomerLoyalty(req.params.customerId, tenantId, {
+      page: parseInt(req.query.page || '1', 10),
+      limit: parseInt(req.query.limit || '20', 10)
+    });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    if (error.message === 'Customer not found') {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    logger.error('Get customer loyalty error:', { error: error });
+    serverError(res, error);
+  }
+});
+
+// @route   POST /api/loyalty/customers/:customerId/adjust
+// @desc    Manually credit or debit a customer's points
+// @access  Private
+router.post('/customers/:customerId/adjust', [
+  auth,
+  tenantMiddleware,
+  requirePermission('edit_customers'),
+  param('customerId').isMongoId(),
+  body('points').isInt().withMessage('points must be an integer'),
+  body('reason').isString().trim().notEmpty().withMessage('reason is required'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const transaction = await loyaltyService.adjustPoints(
+      req.params.customerId,
+      req.body.points,
+      req.body.reason,
+      req.user._id,
+      tenantId
+    );
+    res.status(201).json({ success: true, data: transaction });
+  } catch (error) {
+    if (error.message === 'Customer not found') {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    if (['Insufficient loyalty points', 'Adjustment must be a non-zero number of points'].includes(error.message)) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    logger.error('Adjust loyalty points error:', { error: error });
+    serverError(res, error);
+  }
+});
+
+// @route   POST /api/loyalty/quote
+// @desc    Price a points redemption against a sale total (used by the POS tender)
+// @access  Private
+router.post('/quote', [
+  auth,
+  tenantMiddleware,
+  requirePermission('create_orders'),
+  body('customerId').isMongoId(),
+  body('points').isInt({ min: 1 }),
+  body('orderTotal').isFloat({ min: 0 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const customer = await Customer.findOne({ _id: req.body.customerId, tenantId }).select('loyalty');
+    if (!customer) {
+      return res.status(404).json({ success: false, message: 'Customer not found' });
+    }
+    const program = await loyaltyService.getProgram(tenantId);
+    let quote;
+    try {
+      quote = loyaltyService.quoteRedemption(customer, req.body.points, Number(req.body.orderTotal), program);
+    } catch (quoteError) {
+      return res.status(400).json({ success: false, message: quoteError.message });
+    }
+    res.json({ success: true, data: quote });
+  } catch (error) {
+    logger.error('Quote loyalty redemption error:', { error: error });
+    serverError(res, error);
+  }
+});
+
+// @route   POST /api/loyalty/maintenance
+// @desc    Expire points and re-evaluate tiers now (also runs nightly)
+// @access  Private
+router.post('/maintenance', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_discounts')
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const expired = await loyaltyService.expirePoints(tenantId);
+    const tiers = await loyaltyService.reevaluateTiers(tenantId);
+    res.json({ success: true, data: { expired, tiers } });
+  } catch (error) {
+    logger.error('Loyalty maintenance error:', { error: error });
+    serverError(res, error);
+  }
+});
+
+module.exports = router;
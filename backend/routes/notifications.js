@@ -0,0 +1,273 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenantMiddleware');
+const notificationService = require('../services/notificationService');
+const { NOTIFICATION_EVENTS, NOTIFICATION_CHANNELS } = require('../models/NotificationSubscription');
+const logger = require('../utils/logger');
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const subscriptionValidators = ({ allowPartial = false } = {}) => {
+  const optionalIf = (chain) => (allowPartial ? chain.optional() : chain);
+  return [
+    body('name').optional().isString().trim().isLength({ max: 150 }),
+    optionalIf(body('eventType').isIn(NOTIFICATION_EVENTS).withMessage('Invalid event type')),
+    optionalIf(body('channel').isIn(NOTIFICATION_CHANNELS).withMessage('Invalid channel')),
+    body('target').optional().isObject(),
+    body('target.email').optional().isEmail().withMessage('target.email must be a valid email'),
+    body('target.user').optional().isMongoId(),
+    body('target.url').optional().isURL({ require_tld: false }).withMessage('target.url must be a valid URL'),
+    body('target.secret').optional().isString().isLength({ max: 200 }),
+    body('minSeverity').optional().isIn(['info', 'warning', 'critical']),
+    body('maxAttempts').optional().isInt({ min: 1, max: 10 }),
+    body('isActive').optional().isBoolean()
+  ];
+};
+
+// @route   GET /api/notifications
+// @desc    Get the current user's in-app notifications
+// @access  Private
+router.get('/', [
+  auth,
+  tenantMiddleware,
+  query('unreadOnly').optional().isIn(['true', 'false']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const result = await notificationService.getInbox(req.user._id, tenantId, {
+      unreadOnly: req.query.unreadOnly === 'true',
+      page: parseInt(req.query.page || '1', 10),
+      limit: parseInt(req.query.limit || '20', 10)
+    });
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    logger.error('Get notifications error:', { error: error });
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/notifications/mark-read
+// @desc    Mark notifications as read (all when no ids are given)
+// @access  Private
+router.post('/mark-read', [
+  auth,
+  tenantMiddleware,
+  body('ids').optional().isArray(),
+  body('ids.*').optional().isMongoId(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const updated = await notificationService.markAsRead(req.user._id, tenantId, req.body.ids || null);
+
+    res.json({ success: true, data: { updated } });
+  } catch (error) {
+    logger.error('Mark notifications read error:', { error: error });
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/notifications/subscriptions
+// @desc    List notification subscription rules for the tenant
+// @access  Private
+router.get('/subscriptions', [
+  auth,
+  tenantMiddleware,
+  requirePermission('configure_notifications'),
+  query('eventType').optional().isIn(NOTIFICATION_EVENTS),
+  query('channel').optional().isIn(NOTIFICATION_CHANNELS),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const subscriptions = await notificationService.getSubscriptions(tenantId, {
+      eventType: req.query.eventType,
+      channel: req.query.channel
+    });
+
+    res.json({ success: true, data: subscriptions });
+  } catch (error) {
+    logger.error('Get notification subscriptions error:', { error: error });
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/notifications/subscriptions
+// @desc    Create a notification subscription rule
+// @access  Private
+router.post('/subscriptions', [
+  auth,
+  tenantMiddleware,
+  requirePermission('configure_notifications'),
+  ...subscriptionValidators(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const subscription = await notificationService.createSubscription(req.body, req.user._id, tenantId);
+
+    res.status(201).json({ success: true, data: subscription });
+  } catch (error) {
+    if (error.message && error.message.includes('subscriptions require')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    logger.error('Create notification subscription error:', { error: error });
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/notifications/subscriptions/:id
+// @desc    Update a notification subscription rule
+// @access  Private
+router.put('/subscriptions/:id', [
+  auth,
+  tenantMiddleware,
+  requirePermission('configure_notifications'),
+  param('id').isMongoId(),
+  ...subscriptionValidators({ allowPartial: true }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const subscription = await notificationService.updateSubscription(req.params.id, req.body, tenantId);
+
+    res.json({ success: true, data: subscription });
+  } catch (error) {
+    if (error.message === 'Notification subscription not found') {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    if (error.message && error.message.includes('subscriptions require')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    logger.error('Update notification subscription error:', { error: error });
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   DELETE /api/notifications/subscriptions/:id
+// @desc    Delete a notification subscription rule
+// @access  Private
+router.delete('/subscriptions/:id', [
+  auth,
+  tenantMiddleware,
+  requirePermission('configure_notifications'),
+  param('id').isMongoId(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    await notificationService.deleteSubscription(req.params.id, tenantId);
+
+    res.json({ success: true, message: 'Notification subscription deleted' });
+  } catch (error) {
+    if (error.message === 'Notification subscription not found') {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    logger.error('Delete notification subscription error:', { error: error });
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/notifications/deliveries
+// @desc    Delivery log with status and retry information
+// @access  Private
+router.get('/deliveries', [
+  auth,
+  tenantMiddleware,
+  requirePermission('configure_notifications'),
+  query('status').optional().isIn(['pending', 'sent', 'failed']),
+  query('eventType').optional().isIn(NOTIFICATION_EVENTS),
+  query('channel').optional().isIn(NOTIFICATION_CHANNELS),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const result = await notificationService.getDeliveries(tenantId, {
+      status: req.query.status,
+      eventType: req.query.eventType,
+      channel: req.query.channel,
+      page: parseInt(req.query.page || '1', 10),
+      limit: parseInt(req.query.limit || '50', 10)
+    });
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    logger.error('Get notification deliveries error:', { error: error });
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/notifications/deliveries/:id/retry
+// @desc    Manually retry a pending or failed delivery
+// @access  Private
+router.post('/deliveries/:id/retry', [
+  auth,
+  tenantMiddleware,
+  requirePermission('configure_notifications'),
+  param('id').isMongoId(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const delivery = await notificationService.retryDelivery(req.params.id, tenantId);
+
+    res.json({ success: true, data: delivery });
+  } catch (error) {
+    if (error.message === 'Notification delivery not found' || error.message === 'Notification subscription not found') {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    if (error.message === 'Notification already delivered') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    logger.error('Retry notification delivery error:', { error: error });
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -23,6 +23,11 @@ router.post('/process', [
   body('gateway').optional().isIn(['stripe', 'paypal', 'square', 'authorize_net', 'manual', 'offline']).withMessage('Valid gateway is required'),
   body('cardDetails').optional().isObject().withMessage('Card details must be an object'),
   body('walletDetails').optional().isObject().withMessage('Wallet details must be an object'),
+  body('giftCardCode')
+    .if(body('paymentMethod').isIn(['gift_card', 'store_credit']))
+    .trim()
+    .notEmpty()
+    .withMessage('Gift card code is required for gift card and store credit payments'),
   body('metadata').optional().isObject().withMessage('Metadata must be an object')
 ], async (req, res) => {
   try {
@@ -0,0 +1,199 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenantMiddleware');
+const priceListService = require('../services/priceListService');
+const { PRICING_METHODS, CUSTOMER_TYPES } = require('../models/PriceList');
+const logger = require('../utils/logger');
+
+// Messages from priceListService and the PriceList model that describe a rejected request rather than a fault
+const CLIENT_ERRORS = [
+  'Price list already exists',
+  'Price list has been used on sales; deactivate it instead',
+  'Effective to date must be on or after the effective from date',
+  'A product can only appear once in a price list',
+  'Each price list item needs a price or a percent'
+];
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const handleError = (res, error, action) => {
+  if (['Price list not found', 'Product not found', 'Customer not found'].includes(error.message)) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (CLIENT_ERRORS.includes(error.message) || error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  logger.error(`${action} error:`, { error: error });
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+const validateQuantityBreaks = (path) => [
+  body(`${path}`).optional().isArray(),
+  body(`${path}.*.minQuantity`).isInt({ min: 1 }).withMessage('Break quantity must be at least 1'),
+  body(`${path}.*.price`).optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Break price must be positive'),
+  body(`${path}.*.discountPercent`).optional({ nullable: true }).isFloat({ min: 0, max: 100 }).withMessage('Break discount must be between 0 and 100')
+];
+
+const validatePriceList = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name is required'),
+    body('description').optional().isString().trim().isLength({ max: 500 }),
+    body('effectiveFrom').optional().isISO8601().withMessage('Valid effective from date required'),
+    body('effectiveTo').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Valid effective to date required'),
+    body('customers').optional().isArray(),
+    body('customers.*').isMongoId().withMessage('Invalid customer'),
+    body('customerTypes').optional().isArray(),
+    body('customerTypes.*').isIn(CUSTOMER_TYPES).withMessage('Invalid customer type'),
+    body('items').optional().isArray(),
+    body('items.*.product').isMongoId().withMessage('Valid product is required'),
+    body('items.*.method').optional().isIn(PRICING_METHODS).withMessage('Invalid pricing method'),
+    body('items.*.price').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Price must be positive'),
+    body('items.*.percent').optional({ nullable: true }).isFloat({ min: -100 }).withMessage('Percent must be a number'),
+    ...validateQuantityBreaks('items.*.quantityBreaks'),
+    body('defaultRule.method').optional().isIn(['none', ...PRICING_METHODS.filter(method => method !== 'fixed')]).withMessage('Invalid default pricing method'),
+    body('defaultRule.percent').optional().isFloat({ min: -100 }).withMessage('Percent must be a number'),
+    ...validateQuantityBreaks('defaultRule.quantityBreaks'),
+    body('isActive').optional().isBoolean()
+  ];
+};
+
+// @route   GET /api/price-lists
+// @desc    List price lists
+// @access  Private
+router.get('/', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_products'),
+  query('isActive').optional().isBoolean(),
+  query('customer').optional({ checkFalsy: true }).isMongoId(),
+  query('search').optional().trim(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const priceLists = await priceListService.getPriceLists(req.query, tenantId);
+    res.json({ success: true, data: priceLists });
+  } catch (error) {
+    handleError(res, error, 'List price lists');
+  }
+});
+
+// @route   GET /api/price-lists/resolve
+// @desc    Price a product for a customer the way a sale would
+// @access  Private
+router.get('/resolve', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_products'),
+  query('product').isMongoId().withMessage('Valid product is required'),
+  query('customer').optional({ checkFalsy: true }).isMongoId().withMessage('Valid customer is required'),
+  query('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  query('asOf').optional().isISO8601().withMessage('Valid pricing date required'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const price = await priceListService.previewPrice({
+      product: req.query.product,
+      customer: req.query.customer,
+      quantity: parseInt(req.query.quantity || '1', 10),
+      asOf: req.query.asOf
+    }, tenantId);
+    res.json({ success: true, data: price });
+  } catch (error) {
+    handleError(res, error, 'Resolve price');
+  }
+});
+
+// @route   GET /api/price-lists/:id
+// @desc    Get a price list with its product prices
+// @access  Private
+router.get('/:id', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_products'),
+  param('id').isMongoId().withMessage('Valid price list ID is required'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const priceList = await priceListService.getPriceList(req.params.id, tenantId);
+    res.json({ success: true, data: priceList });
+  } catch (error) {
+    handleError(res, error, 'Get price list');
+  }
+});
+
+// @route   POST /api/price-lists
+// @desc    Create a price list
+// @access  Private
+router.post('/', [
+  auth,
+  tenantMiddleware,
+  requirePermission('edit_products'),
+  body('code').isString().trim().isLength({ min: 1, max: 20 }).withMessage('Code is required'),
+  ...validatePriceList(false),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const priceList = await priceListService.createPriceList(req.body, req.user._id, tenantId);
+    res.status(201).json({ success: true, data: priceList });
+  } catch (error) {
+    handleError(res, error, 'Create price list');
+  }
+});
+
+// @route   PUT /api/price-lists/:id
+// @desc    Update a price list
+// @access  Private
+router.put('/:id', [
+  auth,
+  tenantMiddleware,
+  requirePermission('edit_products'),
+  param('id').isMongoId().withMessage('Valid price list ID is required'),
+  ...validatePriceList(true),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const priceList = await priceListService.updatePriceList(req.params.id, req.body, req.user._id, tenantId);
+    res.json({ success: true, data: priceList });
+  } catch (error) {
+    handleError(res, error, 'Update price list');
+  }
+});
+
+// @route   DELETE /api/price-lists/:id
+// @desc    Delete a price list that has not been used
+// @access  Private
+router.delete('/:id', [
+  auth,
+  tenantMiddleware,
+  requirePermission('edit_products'),
+  param('id').isMongoId().withMessage('Valid price list ID is required'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    await priceListService.deletePriceList(req.params.id, tenantId);
+    res.json({ success: true, message: 'Price list deleted' });
+  } catch (error) {
+    handleError(res, error, 'Delete price list');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,207 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenantMiddleware');
+const promotionService = require('../services/promotionService');
+const { PROMOTION_TYPES, DAYS_OF_WEEK } = require('../models/Promotion');
+const logger = require('../utils/logger');
+
+// Messages from promotionService and the Promotion model that describe a rejected request rather than a fault
+const CLIENT_ERRORS = [
+  'Promotion already exists',
+  'Promotion has been used on sales; deactivate it instead',
+  'A bundle needs at least two items',
+  'End date must be on or after the start date',
+  'A time window needs both a start and an end time'
+];
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const handleError = (res, error, action) => {
+  if (error.message === 'Promotion not found' || error.message === 'Customer not found' || /^Product .+ not found$/.test(error.message)) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (CLIENT_ERRORS.includes(error.message) || /^A \w+ promotion needs /.test(error.message) || error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  logger.error(`${action} error:`, { error: error });
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const validatePromotion = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  const amount = (name, message) => body(name).optional({ nullable: true }).isFloat({ min: 0 }).withMessage(message);
+  const ids = (name, message) => [body(name).optional().isArray(), body(`${name}.*`).isMongoId().withMessage(message)];
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name is required'),
+    field('type').isIn(PROMOTION_TYPES).withMessage('Invalid promotion type'),
+    body('description').optional().isString().trim().isLength({ max: 500 }),
+    ...ids('products', 'Invalid product'),
+    ...ids('categories', 'Invalid category'),
+    ...ids('getProducts', 'Invalid product'),
+    ...ids('getCategories', 'Invalid category'),
+    body('percent').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).withMessage('Percent must be between 0 and 100'),
+    body('getDiscountPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Discount must be between 0 and 100'),
+    body('buyQuantity').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Buy quantity must be at least 1'),
+    body('getQuantity').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Get quantity must be at least 1'),
+    body('bundleItems').optional().isArray(),
+    body('bundleItems.*.product').isMongoId().withMessage('Valid bundle product is required'),
+    body('bundleItems.*.quantity').optional().isInt({ min: 1 }).withMessage('Bundle quantity must be at least 1'),
+    amount('bundlePrice', 'Bundle price must be positive'),
+    body('groupQuantity').optional({ nullable: true }).isInt({ min: 2 }).withMessage('Group quantity must be at least 2'),
+    amount('groupPrice', 'Group price must be positive'),
+    amount('minSpend', 'Minimum spend must be positive'),
+    body('giftProduct').optional({ nullable: true }).isMongoId().withMessage('Invalid gift product'),
+    body('giftQuantity').optional().isInt({ min: 1 }).withMessage('Gift quantity must be at least 1'),
+    body('maxApplications').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Maximum applications must be at least 1'),
+    body('startDate').optional().isISO8601().withMessage('Valid start date required'),
+    body('endDate').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Valid end date required'),
+    body('daysOfWeek').optional().isArray(),
+    body('daysOfWeek.*').isIn(DAYS_OF_WEEK).withMessage('Invalid day of week'),
+    body('startTime').optional({ checkFalsy: true }).matches(TIME_PATTERN).withMessage('Start time must be HH:MM'),
+    body('endTime').optional({ checkFalsy: true }).matches(TIME_PATTERN).withMessage('End time must be HH:MM'),
+    body('customerTypes').optional().isArray(),
+    body('customerTypes.*').isIn(['retail', 'wholesale', 'distributor', 'individual']).withMessage('Invalid customer type'),
+    body('priority').optional().isInt().withMessage('Priority must be a whole number'),
+    body('stackable').optional().isBoolean(),
+    body('isActive').optional().isBoolean()
+  ];
+};
+
+// @route   GET /api/promotions
+// @desc    List promotions
+// @access  Private
+router.get('/', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_discounts'),
+  query('isActive').optional().isBoolean(),
+  query('type').optional().isIn(PROMOTION_TYPES),
+  query('search').optional().trim(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const promotions = await promotionService.getPromotions(req.query, tenantId);
+    res.json({ success: true, data: promotions });
+  } catch (error) {
+    handleError(res, error, 'List promotions');
+  }
+});
+
+// @route   POST /api/promotions/evaluate
+// @desc    Evaluate the running promotions against a cart without saving anything
+// @access  Private
+router.post('/evaluate', [
+  auth,
+  tenantMiddleware,
+  requirePermission('create_orders'),
+  body('customer').optional({ nullable: true, checkFalsy: true }).isMongoId().withMessage('Valid customer is required'),
+  body('items').isArray().withMessage('Items must be an array'),
+  body('items.*.product').isMongoId().withMessage('Valid product is required'),
+  body('items.*.quantity').isFloat({ min: 0.01 }).withMessage('Quantity must be positive'),
+  body('items.*.unitPrice').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Unit price must be positive'),
+  body('items.*.discountPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Discount must be between 0 and 100'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const result = await promotionService.evaluateCart(req.body, tenantId);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error, 'Evaluate promotions');
+  }
+});
+
+// @route   GET /api/promotions/:id
+// @desc    Get a promotion
+// @access  Private
+router.get('/:id', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_discounts'),
+  param('id').isMongoId().withMessage('Valid promotion ID is required'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const promotion = await promotionService.getPromotion(req.params.id, tenantId);
+    res.json({ success: true, data: promotion });
+  } catch (error) {
+    handleError(res, error, 'Get promotion');
+  }
+});
+
+// @route   POST /api/promotions
+// @desc    Create a promotion
+// @access  Private
+router.post('/', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_discounts'),
+  body('code').isString().trim().isLength({ min: 1, max: 20 }).withMessage('Code is required'),
+  ...validatePromotion(false),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const promotion = await promotionService.createPromotion(req.body, req.user._id, tenantId);
+    res.status(201).json({ success: true, data: promotion });
+  } catch (error) {
+    handleError(res, error, 'Create promotion');
+  }
+});
+
+// @route   PUT /api/promotions/:id
+// @desc    Update a promotion
+// @access  Private
+router.put('/:id', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_discounts'),
+  param('id').isMongoId().withMessage('Valid promotion ID is required'),
+  ...validatePromotion(true),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const promotion = await promotionService.updatePromotion(req.params.id, req.body, req.user._id, tenantId);
+    res.json({ success: true, data: promotion });
+  } catch (error) {
+    handleError(res, error, 'Update promotion');
+  }
+});
+
+// @route   DELETE /api/promotions/:id
+// @desc    Delete a promotion that no sale has used
+// @access  Private
+router.delete('/:id', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_discounts'),
+  param('id').isMongoId().withMessage('Valid promotion ID is required'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    await promotionService.deletePromotion(req.params.id, tenantId);
+    res.json({ success: true, message: 'Promotion deleted' });
+  } catch (error) {
+    handleError(res, error, 'Delete promotion');
+  }
+});
+
+module.exports = router;
@@ -11,6 +11,8 @@ const { tenantMiddleware } = require('../middleware/tenantMiddleware');
 const journalEntryService = require('../services/journalEntryService');
 const mongoose = require('mongoose');
 const purchaseInvoiceService = require('../services/purchaseInvoiceService');
+const currencyService = require('../services/currencyService');
+const warehouseStockService = require('../services/warehouseStockService');
 const purchaseInvoiceRepository = require('../repositories/PurchaseInvoiceRepository');
 const supplierRepository = require('../repositories/SupplierRepository');
 const logger = require('../utils/logger');
@@ -49,6 +51,7 @@ router.get('/', [
   query('status').optional().isIn(['draft', 'confirmed', 'received', 'paid', 'cancelled', 'closed']),
   query('paymentStatus').optional().isIn(['pending', 'paid', 'partial', 'overdue']),
   query('invoiceType').optional().isIn(['purchase', 'return', 'adjustment']),
+  query('supplier').optional().isMongoId(),
   query('dateFrom').optional().isISO8601(),
   query('dateTo').optional().isISO8601()
 ], async (req, res) => {
@@ -108,6 +111,12 @@ router.post('/', [
   body('pricing.subtotal').isFloat({ min: 0 }).withMessage('Subtotal must be positive'),
   body('pricing.total').isFloat({ min: 0 }).withMessage('Total must be positive'),
   body('invoiceNumber').trim().isLength({ min: 1 }).withMessage('Invoice number is required'),
+  body('warehouse').optional({ nullable: true }).isMongoId().withMessage('Invalid warehouse'),
+  body('items.*.bin').optional().isString().trim().isLength({ max: 50 }).withMessage('Bin must be at most 50 characters'),
+  body('items.*.taxGroup').optional({ nullable: true }).isMongoId().withMessage('Invalid tax group'),
+  body('items.*.taxRate').optional().isFloat({ min: 0, max: 1 }).withMessage('Tax rate must be between 0 and 1'),
+  body('currency').optional({ checkFalsy: true }).isString().trim().toUpperCase().matches(/^[A-Z]{3}$/).withMessage('Currency must be a 3-letter ISO code'),
+  body('exchangeRate').optional({ checkFalsy: true }).isFloat({ gt: 0 }).withMessage('Exchange rate must be positive').toFloat(),
   handleValidationErrors
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -126,13 +135,41 @@ router.post('/', [
     notes,
     terms
   } = req.body;
+
+  // Goods are received into the selected warehouse, or the primary one when none is chosen
+  let destinationWarehouse;
+  try {
+    destinationWarehouse = await warehouseStockService.resolveWarehouse(req.body.warehouse, req.tenantId);
+  } catch (warehouseError) {
+    return res.status(400).json({ message: warehouseError.message });
+  }
+
+  // Taxes are recalculated through the tax engine rather than trusted from the client
+  let taxed;
+  try {
+    taxed = await purchaseInvoiceService.taxInvoice(items, pricing, req.tenantId);
+  } catch (taxError) {
+    return res.status(400).json({ message: taxError.message });
+  }
+  const invoicePricing = { ...pricing, ...taxed.pricing };
+
+  // Amounts are in the invoice currency; stock, supplier balances and the ledger take base
+  let invoiceCurrency;
+  try {
+    invoiceCurrency = await currencyService.resolveCurrency({ currency: req.body.currency, exchangeRate: req.body.exchangeRate }, req.tenantId);
+  } catch (currencyError) {
+    return res.status(400).json({ message: currencyError.message });
+  }
+  const toBase = (amount) => currencyService.toBase(amount, invoiceCurrency.exchangeRate);
   
   const invoiceData = {
     tenantId: req.tenantId, // Add tenantId from middleware
     supplier,
     supplierInfo,
-    items,
-    pricing,
+    items: taxed.items,
+    warehouse: destinationWarehouse?._id,
+    pricing: invoicePricing,
+    taxes: taxed.taxes,
     payment: {
       ...payment,
       status: payment?.status || 'pending',
@@ -140,6 +177,8 @@ router.post('/', [
       paidAmount: payment?.amount || payment?.paidAmount || 0,
       isPartialPayment: payment?.isPartialPayment || false
     },
+    currency: invoiceCurrency.currency,
+    exchangeRate: invoiceCurrency.exchangeRate,
     invoiceNumber,
     expectedDelivery,
     notes,
@@ -188,19 +227,21 @@ router.post('/', [
       const inventoryUpdates = [];
       let inventoryUpdateFailed = false;
       
-      for (const item of items) {
+      for (const [index, item] of items.entries()) {
         try {
           const inventoryUpdate = await inventoryService.updateStock({
             productId: item.product,
             type: 'in',
             quantity: item.quantity,
-            cost: item.unitCost, // Pass cost price from purchase invoice
+            cost: item.unitCost * invoiceCurrency.exchangeRate, // Pass cost price from purchase invoice, in base
             reason: 'Purchase Invoice Creation',
             reference: 'Purchase Invoice',
             referenceId: invoice._id,
             referenceModel: 'PurchaseInvoice',
             performedBy: req.user._id,
             notes: `Stock increased due to purchase invoice creation - Invoice: ${invoice.invoiceNumber || invoiceNumber}`,
+            warehouse: destinationWarehouse?._id,
+            bin: item.bin,
             tenantId: req.tenantId
           });
           
@@ -210,6 +251,16 @@ router.post('/', [
             newStock: inventoryUpdate.currentStock,
             success: true
           });
+
+          try {
+            await purchaseInvoiceService.addCostLayer({
+              ...item,
+              _id: invoice.items[index]._id,
+              unitCost: item.unitCost * invoiceCurrency.exchangeRate
+            }, invoice._id, req.tenantId);
+          } catch (layerError) {
+            logger.error(`Failed to add cost layer for product ${item.product}:`, layerError);
+          }
           
         } catch (inventoryError) {
           logger.error(`Failed to update inventory for product ${item.product}:`, inventoryError);
@@ -244,7 +295,7 @@ router.post('/', [
       // 1. Add invoice total to pendingBalance (we owe this amount)
       // 2. Record payment which will reduce pendingBalance and handle overpayments (add to advanceBalance)
       
-      if (supplier && pricing && pricing.total > 0) {
+      if (supplier && invoicePricing.total > 0) {
         try {
           const SupplierBalanceService = require('../services/supplierBalanceService');
           const supplierExists = await supplierRepository.findById(supplier, { tenantId: req.tenantId });
@@ -252,11 +303,11 @@ router.post('/', [
           if (supplierExists) {
             // Step 1: Add invoice total to pendingBalance (we owe this amount to supplier)
             await supplierRepository.updateById(supplier, {
-              $inc: { pendingBalance: pricing.total }
+              $inc: { pendingBalance: toBase(invoicePricing.total) }
             }, { tenantId: req.tenantId });
             
             // Step 2: Record payment (this will reduce pendingBalance and handle overpayments)
-            const amountPaid = payment?.amount || payment?.paidAmount || 0;
+            const amountPaid = toBase(payment?.amount || payment?.paidAmount || 0);
             if (amountPaid > 0) {
               await SupplierBalanceService.recordPayment(supplier, amountPaid, invoice._id, req.tenantId);
             }
@@ -334,6 +385,8 @@ router.put('/:id', [
   body('items.*.product').optional().isMongoId().withMessage('Valid Product ID is required'),
   body('items.*.quantity').optional().isFloat({ min: 1 }).withMessage('Quantity must be at least 1'),
   body('items.*.unitCost').optional().isFloat({ min: 0 }).withMessage('Unit cost must be positive'),
+  body('items.*.taxGroup').optional({ nullable: true }).isMongoId().withMessage('Invalid tax group'),
+  body('items.*.taxRate').optional().isFloat({ min: 0, max: 1 }).withMessage('Tax rate must be between 0 and 1'),
   handleValidationErrors
 ], async (req, res) => {
   try {
@@ -368,6 +421,8 @@ router.put('/:id', [
     const oldItems = JSON.parse(JSON.stringify(invoice.items));
     const oldTotal = invoice.pricing.total;
     const oldSupplier = invoice.supplier;
+    // Supplier balances and stock costs are kept in base currency
+    const oldToBase = (amount) => currencyService.toBase(amount, invoice.exchangeRate || 1);
     
     // Get supplier data if supplier is being updated
     let supplierData = null;
@@ -397,37 +452,30 @@ router.put('/:id', [
       } : null;
     }
     
-    // Recalculate pricing if items are being updated
+    // Recalculate pricing if items are being updated, at the rates in force on the invoice date
     if (req.body.items && req.body.items.length > 0) {
-      let newSubtotal = 0;
-      let newTotalDiscount = 0;
-      let newTotalTax = 0;
-      
-      for (const item of req.body.items) {
-        const itemSubtotal = item.quantity * item.unitCost;
-        const itemDiscount = itemSubtotal * ((item.discountPercent || 0) / 100);
-        const itemTaxable = itemSubtotal - itemDiscount;
-        const itemTax = invoice.pricing.isTaxExempt ? 0 : itemTaxable * (item.taxRate || 0);
-        
-        newSubtotal += itemSubtotal;
-        newTotalDiscount += itemDiscount;
-        newTotalTax += itemTax;
+      const basePricing = invoice.pricing.toObject ? invoice.pricing.toObject() : invoice.pricing;
+      let taxed;
+      try {
+        taxed = await purchaseInvoiceService.taxInvoice(
+          req.body.items,
+          { ...basePricing, ...req.body.pricing },
+          tenantId,
+          invoice.createdAt
+        );
+      } catch (taxError) {
+        return res.status(400).json({ message: taxError.message });
       }
-      
-      // Update pricing in updateData
-      updateData.pricing = {
-        ...invoice.pricing,
-        subtotal: newSubtotal,
-        discountAmount: newTotalDiscount,
-        taxAmount: newTotalTax,
-        total: newSubtotal - newTotalDiscount + newTotalTax
-      };
+      updateData.items = taxed.items;
+      updateData.taxes = taxed.taxes;
+      updateData.pricing = { ...basePricing, ...taxed.pricing };
     }
     
     const updatedInvoice = await purchaseInvoiceRepository.update(req.params.id, updateData, {
       new: true,
       runValidators: true
     });
+    const newToBase = (amount) => currencyService.toBase(amount, updatedInvoice.exchangeRate || 1);
     
     // Adjust inventory based on item changes if invoice was confirmed
     if (invoice.status === 'confirmed' && req.body.items && req.body.items.length > 0) {
@@ -450,12 +498,15 @@ router.put('/:id', [
                 productId: newItem.product,
                 type: 'in',
                 quantity: quantityChange,
+                ...(newItem.unitCost !== undefined && { cost: newToBase(newItem.unitCost) }),
                 reason: 'Purchase Invoice Update - Quantity Increased',
                 reference: 'Purchase Invoice',
                 referenceId: updatedInvoice._id,
                 referenceModel: 'PurchaseInvoice',
                 performedBy: req.user._id,
                 notes: `Inventory increased due to purchase invoice ${updatedInvoice.invoiceNumber} update - quantity increased by ${quantityChange}`,
+                warehouse: updatedInvoice.warehouse,
+                bin: newItem.bin,
                 tenantId: req.tenantId
               });
             } else {
@@ -470,6 +521,7 @@ router.put('/:id', [
                 referenceModel: 'PurchaseInvoice',
                 performedBy: req.user._id,
                 notes: `Inventory reduced due to purchase invoice ${updatedInvoice.invoiceNumber} update - quantity decreased by ${Math.abs(quantityChange)}`,
+                warehouse: updatedInvoice.warehouse,
                 tenantId: req.tenantId
               });
             }
@@ -496,6 +548,7 @@ router.put('/:id', [
               referenceModel: 'PurchaseInvoice',
               performedBy: req.user._id,
               notes: `Inventory reduced due to purchase invoice ${updatedInvoice.invoiceNumber} update - item removed`,
+              warehouse: updatedInvoice.warehouse,
               tenantId: req.tenantId
             });
           }
@@ -521,14 +574,15 @@ router.put('/:id', [
         if (oldSupplier) {
           const oldSupplierDoc = await supplierRepository.findById(oldSupplier, { tenantId: req.tenantId });
           if (oldSupplierDoc) {
-            const oldAmountPaid = invoice.payment?.amount || invoice.payment?.paidAmount || 0;
+            const oldAmountPaid = oldToBase(invoice.payment?.amount || invoice.payment?.paidAmount || 0);
+            const oldBaseTotal = oldToBase(oldTotal);
             
             // Reverse old payment: 
             // When payment was recorded, it reduced pendingBalance by min(oldAmountPaid, oldTotal)
             // and added excess (oldAmountPaid - oldTotal) to advanceBalance if oldAmountPaid > oldTotal
             if (oldAmountPaid > 0) {
-              const pendingRestored = Math.min(oldAmountPaid, oldTotal);
-              const advanceToRemove = Math.max(0, oldAmountPaid - oldTotal);
+              const pendingRestored = Math.min(oldAmountPaid, oldBaseTotal);
+              const advanceToRemove = Math.max(0, oldAmountPaid - oldBaseTotal);
               
               // Reverse: restore pendingBalance, remove from advanceBalance
               await supplierRepository.updateById(oldSupplier, {
@@ -541,7 +595,7 @@ router.put('/:id', [
             
             // Remove old invoice total from pendingBalance
             await supplierRepository.updateById(oldSupplier, {
-              $inc: { pendingBalance: -oldTotal }
+              $inc: { pendingBalance: -oldBaseTotal }
             }, { tenantId: req.tenantId });
           }
         }
@@ -552,11 +606,11 @@ router.put('/:id', [
           if (newSupplier) {
             // Add new invoice total to pendingBalance
           await supplierRepository.updateById(updatedInvoice.supplier, {
-              $inc: { pendingBalance: updatedInvoice.pricing.total }
+              $inc: { pendingBalance: newToBase(updatedInvoice.pricing.total) }
           }, { tenantId: req.tenantId });
             
             // Record new payment (handles overpayments correctly)
-            const newAmountPaid = updatedInvoice.payment?.amount || updatedInvoice.payment?.paidAmount || 0;
+            const newAmountPaid = newToBase(updatedInvoice.payment?.amount || updatedInvoice.payment?.paidAmount || 0);
             if (newAmountPaid > 0) {
               await SupplierBalanceService.recordPayment(updatedInvoice.supplier, newAmountPaid, updatedInvoice._id, req.tenantId);
             }
@@ -640,6 +694,7 @@ router.delete('/:id', [
             referenceModel: 'PurchaseInvoice',
             performedBy: req.user._id,
             notes: `Inventory rolled back due to deletion of purchase invoice ${invoice.invoiceNumber}`,
+            warehouse: invoice.warehouse,
             tenantId: req.tenantId
           });
           
@@ -694,12 +749,15 @@ router.delete('/:id', [
         const supplierExists = await supplierRepository.findById(invoice.supplier, { tenantId: req.tenantId });
         
         if (supplierExists) {
-          const amountPaid = invoice.payment?.amount || invoice.payment?.paidAmount || 0;
+          // Balances were moved in base currency when the invoice was created
+          const toBase = (amount) => currencyService.toBase(amount, invoice.exchangeRate || 1);
+          const amountPaid = toBase(invoice.payment?.amount || invoice.payment?.paidAmount || 0);
+          const baseTotal = toBase(invoice.pricing.total);
           
           // Reverse payment first: restore pendingBalance, remove from advanceBalance
           if (amountPaid > 0) {
-            const pendingRestored = Math.min(amountPaid, invoice.pricing.total);
-            const advanceToRemove = Math.max(0, amountPaid - invoice.pricing.total);
+            const pendingRestored = Math.min(amountPaid, baseTotal);
+            const advanceToRemove = Math.max(0, amountPaid - baseTotal);
             
             await supplierRepository.updateById(invoice.supplier, {
               $inc: {
@@ -711,7 +769,7 @@ router.delete('/:id', [
           
           // Remove invoice total from pendingBalance
           const updateResult = await supplierRepository.updateById(invoice.supplier, {
-            $inc: { pendingBalance: -invoice.pricing.total }
+            $inc: { pendingBalance: -baseTotal }
           }, { tenantId: req.tenantId });
         } else {
         }
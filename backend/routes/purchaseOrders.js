@@ -5,6 +5,7 @@ const { tenantMiddleware } = require('../middleware/tenantMiddleware');
 const inventoryService = require('../services/inventoryService');
 const purchaseOrderService = require('../services/purchaseOrderService');
 const supplierRepository = require('../repositories/SupplierRepository');
+const supplierCatalogService = require('../services/supplierCatalogService');
 const PurchaseOrder = require('../models/PurchaseOrder'); // Still needed for generatePONumber static method
 const logger = require('../utils/logger');
 
@@ -664,16 +665,25 @@ router.post('/:id/convert', [
     }
 
     // Add conversion record
+    const receivedAt = new Date();
     purchaseOrder.conversions = purchaseOrder.conversions || [];
     purchaseOrder.conversions.push({
       convertedBy: req.user._id,
-      convertedAt: new Date(),
+      convertedAt: receivedAt,
       items: conversionResults,
       notes: req.body.notes || `Converted ${items.length} items to purchase`
     });
 
     await purchaseOrder.save();
 
+    // Measure the supplier's actual lead time on catalog items
+    try {
+      const received = conversionResults.filter(result => result.status === 'success');
+      await supplierCatalogService.recordReceipt(purchaseOrder, received, receivedAt, tenantId);
+    } catch (leadTimeError) {
+      logger.error('Error recording supplier lead time:', leadTimeError);
+    }
+
     res.json({
       message: 'Purchase order converted successfully',
       conversionResults,
@@ -0,0 +1,271 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenantMiddleware');
+const quotationService = require('../services/quotationService');
+const { QUOTATION_STATUSES } = require('../models/Quotation');
+const logger = require('../utils/logger');
+
+// Messages from quotationService that describe a rejected request rather than a fault
+const CLIENT_ERRORS = [
+  'A quotation needs at least one item',
+  'Valid until date must be on or after the issue date',
+  'Only draft, sent, rejected or expired quotations can be changed',
+  'Only draft or sent quotations can be sent',
+  'Only draft or sent quotations can be accepted or rejected',
+  'Only accepted quotations can be converted',
+  'Converted or cancelled quotations cannot be cancelled',
+  'Only unsent draft quotations can be deleted',
+  'Quotation has expired',
+  'Customer has no email address',
+  'Tax group not found'
+];
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const handleError = (res, error, action) => {
+  if (['Quotation not found', 'Customer not found', 'Document template not found'].includes(error.message)) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (error.name === 'VersionError') {
+    return res.status(409).json({ success: false, message: 'Quotation was updated by someone else, please retry' });
+  }
+  if (CLIENT_ERRORS.includes(error.message) ||
+      /^(Product .* not found|Cannot hold stock for |Quotation already converted to )/.test(error.message)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  // The mail relay, not the server, failed
+  if (/^SMTP |^connect /.test(error.message)) {
+    return res.status(502).json({ success: false, message: `Quotation could not be emailed: ${error.message}` });
+  }
+  logger.error(`${action} error:`, { error: error });
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+const validateQuotationId = [param('id').isMongoId().withMessage('Valid quotation ID is required')];
+
+const validateQuotation = (optional) => {
+  const field = (validator) => (optional ? validator.optional() : validator);
+  return [
+    field(body('customer')).isMongoId().withMessage('Valid customer is required'),
+    field(body('items')).isArray({ min: 1 }).withMessage('At least one item is required'),
+    body('items.*.product').isMongoId().withMessage('Valid product is required'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('items.*.unitPrice').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Unit price must be positive'),
+    body('items.*.discountPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Discount must be between 0 and 100'),
+    body('items.*.description').optional().isString().trim().isLength({ max: 500 }),
+    body('issueDate').optional().isISO8601().withMessage('Valid issue date required'),
+    body('validUntil').optional().isISO8601().withMessage('Valid until date required'),
+    body('isTaxExempt').optional().isBoolean(),
+    body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes too long'),
+    body('terms').optional().trim().isLength({ max: 2000 }).withMessage('Terms too long')
+  ];
+};
+
+// @route   GET /api/quotations
+// @desc    List quotations
+// @access  Private
+router.get('/', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_sales_orders'),
+  query('status').optional({ checkFalsy: true }).isIn(QUOTATION_STATUSES),
+  query('customer').optional({ checkFalsy: true }).isMongoId(),
+  query('search').optional().trim(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const result = await quotationService.getQuotations({
+      status: req.query.status,
+      customer: req.query.customer,
+      search: req.query.search,
+      page: parseInt(req.query.page || '1', 10),
+      limit: parseInt(req.query.limit || '20', 10)
+    }, tenantId);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error, 'List quotations');
+  }
+});
+
+// @route   POST /api/quotations
+// @desc    Create a draft quotation
+// @access  Private
+router.post('/', [
+  auth,
+  tenantMiddleware,
+  requirePermission('create_sales_orders'),
+  ...validateQuotation(false),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const quotation = await quotationService.createQuotation(req.body, req.user._id, tenantId);
+    res.status(201).json({ success: true, message: 'Quotation created', data: quotation });
+  } catch (error) {
+    handleError(res, error, 'Create quotation');
+  }
+});
+
+// @route   GET /api/quotations/:id
+// @desc    Get a quotation with its revisions
+// @access  Private
+router.get('/:id', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_sales_orders'),
+  ...validateQuotationId,
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const quotation = await quotationService.getQuotation(req.params.id, tenantId);
+    res.json({ success: true, data: quotation });
+  } catch (error) {
+    handleError(res, error, 'Get quotation');
+  }
+});
+
+// @route   PUT /api/quotations/:id
+// @desc    Edit a draft, or revise a quotation the customer has seen
+// @access  Private
+router.put('/:id', [
+  auth,
+  tenantMiddleware,
+  requirePermission('edit_sales_orders'),
+  ...validateQuotationId,
+  ...validateQuotation(true),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason too long'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const quotation = await quotationService.updateQuotation(req.params.id, req.body, req.user._id, tenantId);
+    res.json({ success: true, message: `Quotation ${quotation.displayNumber} saved`, data: quotation });
+  } catch (error) {
+    handleError(res, error, 'Update quotation');
+  }
+});
+
+// @route   POST /api/quotations/:id/send
+// @desc    Email the quotation PDF to the customer
+// @access  Private
+router.post('/:id/send', [
+  auth,
+  tenantMiddleware,
+  requirePermission('create_sales_orders'),
+  ...validateQuotationId,
+  body('to').optional({ checkFalsy: true }).isEmail().withMessage('Valid email address required'),
+  body('message').optional().isString().isLength({ max: 5000 }),
+  body('templateId').optional({ nullable: true, checkFalsy: true }).isMongoId().withMessage('Valid template ID is required'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const quotation = await quotationService.sendQuotation(req.params.id, req.body, req.user._id, tenantId);
+    res.json({ success: true, message: `Quotation sent to ${quotation.sentTo}`, data: quotation });
+  } catch (error) {
+    handleError(res, error, 'Send quotation');
+  }
+});
+
+// @route   POST /api/quotations/:id/respond
+// @desc    Record the customer's acceptance (holds stock) or rejection
+// @access  Private
+router.post('/:id/respond', [
+  auth,
+  tenantMiddleware,
+  requirePermission('create_sales_orders'),
+  ...validateQuotationId,
+  body('decision').isIn(['accepted', 'rejected']).withMessage('Decision must be accepted or rejected'),
+  body('contactName').optional().trim().isLength({ max: 200 }),
+  body('note').optional().trim().isLength({ max: 1000 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const quotation = await quotationService.respondToQuotation(req.params.id, req.body, req.user._id, tenantId);
+    res.json({ success: true, message: `Quotation ${quotation.status}`, data: quotation });
+  } catch (error) {
+    handleError(res, error, 'Record quotation response');
+  }
+});
+
+// @route   POST /api/quotations/:id/convert/sales-order
+// @desc    Convert an accepted quotation into a draft sales order
+// @access  Private
+// Direct invoicing goes through POST /api/sales with { quotation } so the sale is rung up as usual
+router.post('/:id/convert/sales-order', [
+  auth,
+  tenantMiddleware,
+  requirePermission('create_sales_orders'),
+  ...validateQuotationId,
+  body('expectedDelivery').optional().isISO8601().withMessage('Valid delivery date required'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const { quotation, salesOrder } = await quotationService.convertToSalesOrder(req.params.id, req.body, req.user._id, tenantId);
+    res.status(201).json({
+      success: true,
+      message: `Sales order ${salesOrder.soNumber} created`,
+      data: { quotation, salesOrder }
+    });
+  } catch (error) {
+    handleError(res, error, 'Convert quotation');
+  }
+});
+
+// @route   POST /api/quotations/:id/cancel
+// @desc    Cancel a quotation and release held stock
+// @access  Private
+router.post('/:id/cancel', [
+  auth,
+  tenantMiddleware,
+  requirePermission('edit_sales_orders'),
+  ...validateQuotationId,
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const quotation = await quotationService.cancelQuotation(req.params.id, req.user._id, tenantId);
+    res.json({ success: true, message: 'Quotation cancelled', data: quotation });
+  } catch (error) {
+    handleError(res, error, 'Cancel quotation');
+  }
+});
+
+// @route   DELETE /api/quotations/:id
+// @desc    Delete an unsent draft
+// @access  Private
+router.delete('/:id', [
+  auth,
+  tenantMiddleware,
+  requirePermission('delete_sales_orders'),
+  ...validateQuotationId,
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    await quotationService.deleteQuotation(req.params.id, tenantId);
+    res.json({ success: true, message: 'Quotation deleted' });
+  } catch (error) {
+    handleError(res, error, 'Delete quotation');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,184 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, requirePermission, requireAnyPermission } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenantMiddleware');
+const escposService = require('../services/escposService');
+const settingsService = require('../services/settingsService');
+const logger = require('../utils/logger');
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const handleError = (res, error, action) => {
+  if (['Document not found', 'Document template not found', 'Receipt printer not found'].includes(error.message)) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (['Printer address must be on the local network', 'Printer port is not allowed'].includes(error.message) ||
+    /does not print .* documents$/.test(error.message)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  // The printer, not the server, failed
+  if (/^Printer .* (timed out|is unreachable|could not be resolved)$/.test(error.message)) {
+    return res.status(502).json({ success: false, message: error.message });
+  }
+  logger.error(`${action} error:`, { error: error });
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// Printers are chosen from the tenant's settings, never addressed from the request
+const validatePrinter = [
+  body('printerId').isMongoId().withMessage('Valid printer ID is required')
+];
+
+// @route   GET /api/receipt-printer/printers
+// @desc    The shop's receipt printers
+// @access  Private
+router.get('/printers', [
+  auth,
+  tenantMiddleware,
+  requireAnyPermission(['view_sales_invoices', 'open_till', 'print_settings'])
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const printers = await escposService.listPrinters(tenantId);
+    res.json({ success: true, data: printers });
+  } catch (error) {
+    handleError(res, error, 'Get receipt printers');
+  }
+});
+
+// @route   PUT /api/receipt-printer/printers
+// @desc    Replace the shop's receipt printers
+// @access  Private
+router.put('/printers', [
+  auth,
+  tenantMiddleware,
+  requirePermission('print_settings'),
+  body('printers').isArray({ max: 50 }).withMessage('Printers must be a list'),
+  body('printers.*._id').optional().isMongoId(),
+  body('printers.*.name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Printer name is required'),
+  body('printers.*.host').isString().trim().isLength({ min: 1, max: 253 }).withMessage('Printer host is required'),
+  body('printers.*.port').optional().isInt({ min: 1, max: 65535 }).withMessage('Port must be between 1 and 65535').toInt(),
+  body('printers.*.paperSize').optional().isIn(['THERMAL_80', 'THERMAL_58']),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const printers = await escposService.savePrinters(req.body.printers, tenantId);
+    res.json({ success: true, data: printers });
+  } catch (error) {
+    handleError(res, error, 'Save receipt printers');
+  }
+});
+
+// @route   GET /api/receipt-printer/receipts/:saleId
+// @desc    Raw ESC/POS bytes of a sale receipt, for printers attached to the till
+// @access  Private
+router.get('/receipts/:saleId', [
+  auth,
+  tenantMiddleware,
+  requireAnyPermission(['view_sales_invoices', 'open_till']),
+  param('saleId').isMongoId().withMessage('Valid sale ID is required'),
+  query('templateId').optional().isMongoId().withMessage('Valid template ID is required'),
+  query('openDrawer').optional().isBoolean().toBoolean(),
+  query('paperSize').optional().isIn(['THERMAL_80', 'THERMAL_58']),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const { bytes, document } = await escposService.renderSaleReceipt(req.params.saleId, tenantId, {
+      templateId: req.query.templateId,
+      openDrawer: req.query.openDrawer,
+      paperSize: req.query.paperSize
+    });
+    res.setHeader('Content-Type', 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename="receipt_${document.number}.bin"`);
+    res.send(bytes);
+  } catch (error) {
+    handleError(res, error, 'Render receipt');
+  }
+});
+
+// @route   POST /api/receipt-printer/print
+// @desc    Print a sale receipt on a network printer; cash sales also open the drawer
+// @access  Private
+router.post('/print', [
+  auth,
+  tenantMiddleware,
+  requireAnyPermission(['view_sales_invoices', 'open_till']),
+  body('saleId').isMongoId().withMessage('Valid sale ID is required'),
+  body('templateId').optional({ nullable: true, checkFalsy: true }).isMongoId().withMessage('Valid template ID is required'),
+  body('openDrawer').optional().isBoolean(),
+  body('paperSize').optional().isIn(['THERMAL_80', 'THERMAL_58']),
+  ...validatePrinter,
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const printer = await escposService.getPrinter(req.body.printerId, tenantId);
+    const { bytes, document, opensDrawer } = await escposService.renderSaleReceipt(req.body.saleId, tenantId, {
+      templateId: req.body.templateId || undefined,
+      openDrawer: req.body.openDrawer,
+      paperSize: req.body.paperSize || printer.paperSize
+    });
+    await escposService.print(printer, bytes);
+    res.json({ success: true, data: { number: document.number, bytes: bytes.length, drawerOpened: opensDrawer } });
+  } catch (error) {
+    handleError(res, error, 'Print receipt');
+  }
+});
+
+// @route   POST /api/receipt-printer/drawer
+// @desc    Open the cash drawer attached to a network printer
+// @access  Private
+router.post('/drawer', [
+  auth,
+  tenantMiddleware,
+  requireAnyPermission(['open_till', 'close_till']),
+  ...validatePrinter,
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const printer = await escposService.getPrinter(req.body.printerId, tenantId);
+    await escposService.print(printer, escposService.drawerKick());
+    logger.info(`Cash drawer opened by ${req.user._id} at ${printer.host}`);
+    res.json({ success: true, message: 'Cash drawer opened' });
+  } catch (error) {
+    handleError(res, error, 'Open cash drawer');
+  }
+});
+
+// @route   POST /api/receipt-printer/test
+// @desc    Print a test page
+// @access  Private
+router.post('/test', [
+  auth,
+  tenantMiddleware,
+  requireAnyPermission(['print_settings', 'open_till']),
+  ...validatePrinter,
+  body('paperSize').optional().isIn(['THERMAL_80', 'THERMAL_58']),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const printer = await escposService.getPrinter(req.body.printerId, tenantId);
+    const company = await settingsService.getCompanySettings(tenantId);
+    await escposService.print(printer, escposService.testPage(company, req.body.paperSize || printer.paperSize));
+    res.json({ success: true, message: 'Test page sent' });
+  } catch (error) {
+    handleError(res, error, 'Print test page');
+  }
+});
+
+module.exports = router;
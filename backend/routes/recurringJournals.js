@@ -0,0 +1,271 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenantMiddleware');
+const { checkSegregationOfDuties } = require('../middleware/segregationOfDuties');
+const recurringJournalService = require('../services/recurringJournalService');
+const { TEMPLATE_TYPES, FREQUENCIES, POSTING_MODES, AMOUNT_TYPES } = require('../models/RecurringJournal');
+const logger = require('../utils/logger');
+
+// Messages from recurringJournalService that describe a rejected request rather than a fault
+const CLIENT_ERRORS = [
+  'Completed recurring journals cannot be changed',
+  'Recurring journals that have generated vouchers can be paused but not deleted',
+  'The schedule has no occurrences before its end date',
+  'Expense templates need an expense account and a payment account',
+  'A recurring journal needs at least one debit and one credit line',
+  'Only one line can take the balancing amount',
+  'One or more selected accounts were not found.',
+  'End date is before the start date',
+  'Nothing to post: the lines came to zero'
+];
+
+const CLIENT_ERROR_PATTERNS = [
+  /^Give (a|an) /,
+  /^Formula error: /,
+  /^Invalid cron /,
+  /^Cron schedule needs five fields/,
+  /came to a negative amount/,
+  /^The balancing line on .* would be negative$/,
+  /^Debits and credits differ by /,
+  /^Account .* not found$/,
+  // Vouchers dated in closed or locked periods
+  /^(Fiscal year|Period) .* (is closed|is locked)\./
+];
+
+const NOT_FOUND = ['Recurring journal not found'];
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const handleError = (res, error, action) => {
+  if (NOT_FOUND.includes(error.message)) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (CLIENT_ERRORS.includes(error.message) || CLIENT_ERROR_PATTERNS.some(pattern => pattern.test(error.message)) || error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  logger.error(`${action} error:`, { error: error });
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+const templateValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 200 }),
+    body('description').optional().isString().trim().isLength({ max: 1000 }),
+    body('type').optional().isIn(TEMPLATE_TYPES),
+    body('lines').optional().isArray(),
+    body('lines.*.account').optional().isMongoId(),
+    body('lines.*.side').optional().isIn(['debit', 'credit']),
+    body('lines.*.amountType').optional().isIn(AMOUNT_TYPES),
+    body('lines.*.amount').optional().isFloat({ min: 0 }).toFloat(),
+    body('lines.*.formula').optional().isString().isLength({ max: 500 }),
+    body('amountType').optional().isIn(AMOUNT_TYPES),
+    body('amount').optional().isFloat({ min: 0 }).toFloat(),
+    body('formula').optional().isString().isLength({ max: 500 }),
+    body('expenseAccount').optional().isMongoId(),
+    body('paymentAccount').optional().isMongoId(),
+    body('supplier').optional({ checkFalsy: true }).isMongoId(),
+    field('schedule.startDate').isISO8601().toDate(),
+    body('schedule.frequency').optional().isIn(FREQUENCIES),
+    body('schedule.interval').optional().isInt({ min: 1, max: 366 }).toInt(),
+    body('schedule.cron').optional().isString().trim(),
+    body('schedule.endDate').optional({ checkFalsy: true }).isISO8601().toDate(),
+    body('schedule.maxOccurrences').optional({ checkFalsy: true }).isInt({ min: 1 }).toInt(),
+    body('postingMode').optional().isIn(POSTING_MODES),
+    body('approvalThreshold').optional().isFloat({ min: 0 }).toFloat(),
+    body('reference').optional().isString().trim().isLength({ max: 100 }),
+    handleValidation
+  ];
+};
+
+// @route   GET /api/recurring-journals
+// @desc    List recurring journal and expense templates
+// @access  Private
+router.get('/', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_reports'),
+  query('status').optional().isIn(['active', 'paused', 'completed']),
+  query('type').optional().isIn(TEMPLATE_TYPES),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const result = await recurringJournalService.getTemplates(req.query, tenantId);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error, 'List recurring journals');
+  }
+});
+
+// @route   GET /api/recurring-journals/:id
+// @desc    Get a template with what it has generated
+// @access  Private
+router.get('/:id', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_reports'),
+  param('id').isMongoId(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const template = await recurringJournalService.getTemplate(req.params.id, tenantId);
+    res.json({ success: true, data: template });
+  } catch (error) {
+    handleError(res, error, 'Get recurring journal');
+  }
+});
+
+// @route   GET /api/recurring-journals/:id/preview
+// @desc    Upcoming run dates and the lines the next voucher would carry
+// @access  Private
+router.get('/:id/preview', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_reports'),
+  param('id').isMongoId(),
+  query('count').optional().isInt({ min: 1, max: 24 }).toInt(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const preview = await recurringJournalService.preview(req.params.id, req.query.count || 6, tenantId);
+    res.json({ success: true, data: preview });
+  } catch (error) {
+    handleError(res, error, 'Preview recurring journal');
+  }
+});
+
+// @route   POST /api/recurring-journals
+// @desc    Create a recurring journal or expense template
+// @access  Private
+router.post('/', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_reports'),
+  checkSegregationOfDuties('manage_reports', 'approve_journal_vouchers'),
+  ...templateValidators(false)
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const template = await recurringJournalService.createTemplate(req.body, req.user._id, tenantId);
+    res.status(201).json({ success: true, data: template });
+  } catch (error) {
+    handleError(res, error, 'Create recurring journal');
+  }
+});
+
+// @route   PUT /api/recurring-journals/:id
+// @desc    Update a template; changes apply from the next occurrence
+// @access  Private
+router.put('/:id', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_reports'),
+  checkSegregationOfDuties('manage_reports', 'approve_journal_vouchers'),
+  param('id').isMongoId(),
+  ...templateValidators(true)
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const template = await recurringJournalService.updateTemplate(req.params.id, req.body, req.user._id, tenantId);
+    res.json({ success: true, data: template });
+  } catch (error) {
+    handleError(res, error, 'Update recurring journal');
+  }
+});
+
+// @route   POST /api/recurring-journals/:id/pause
+// @desc    Stop generating vouchers until resumed
+// @access  Private
+router.post('/:id/pause', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_reports'),
+  param('id').isMongoId(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const template = await recurringJournalService.setStatus(req.params.id, 'paused', req.user._id, tenantId);
+    res.json({ success: true, data: template });
+  } catch (error) {
+    handleError(res, error, 'Pause recurring journal');
+  }
+});
+
+// @route   POST /api/recurring-journals/:id/resume
+// @desc    Resume a paused template; missed occurrences are caught up on the next run
+// @access  Private
+router.post('/:id/resume', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_reports'),
+  param('id').isMongoId(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const template = await recurringJournalService.setStatus(req.params.id, 'active', req.user._id, tenantId);
+    res.json({ success: true, data: template });
+  } catch (error) {
+    handleError(res, error, 'Resume recurring journal');
+  }
+});
+
+// @route   POST /api/recurring-journals/:id/generate
+// @desc    Generate a voucher now for a given date, e.g. to redo a failed occurrence
+// @access  Private
+router.post('/:id/generate', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_reports'),
+  checkSegregationOfDuties('manage_reports', 'approve_journal_vouchers'),
+  param('id').isMongoId(),
+  body('date').isISO8601().toDate(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const occurrence = await recurringJournalService.generateNow(req.params.id, req.body.date, tenantId);
+    res.status(201).json({ success: true, data: occurrence });
+  } catch (error) {
+    handleError(res, error, 'Generate recurring journal');
+  }
+});
+
+// @route   DELETE /api/recurring-journals/:id
+// @desc    Delete a template that has not generated anything
+// @access  Private
+router.delete('/:id', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_reports'),
+  param('id').isMongoId(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    await recurringJournalService.deleteTemplate(req.params.id, tenantId);
+    res.json({ success: true, message: 'Recurring journal deleted' });
+  } catch (error) {
+    handleError(res, error, 'Delete recurring journal');
+  }
+});
+
+module.exports = router;
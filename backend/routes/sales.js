@@ -12,13 +12,22 @@ const BankReceipt = require('../models/BankReceipt');
 const Inventory = require('../models/Inventory');
 const StockMovementService = require('../services/stockMovementService');
 const salesService = require('../services/salesService');
+const giftCardService = require('../services/giftCardService');
+const warehouseStockService = require('../services/warehouseStockService');
 const salesRepository = require('../repositories/SalesRepository');
 const productRepository = require('../repositories/ProductRepository');
 const customerRepository = require('../repositories/CustomerRepository');
+const TillSessionRepository = require('../repositories/TillSessionRepository');
 const { auth, requirePermission } = require('../middleware/auth');
-const { preventPOSDuplicates } = require('../middleware/duplicatePrevention');
+const { preventPOSDuplicates, getIdempotencyKeyHeader } = require('../middleware/duplicatePrevention');
 const { tenantMiddleware, validateDateRange } = require('../middleware/tenantMiddleware');
 const journalEntryService = require('../services/journalEntryService');
+const loyaltyService = require('../services/loyaltyService');
+const taxEngineService = require('../services/taxEngineService');
+const quotationService = require('../services/quotationService');
+const priceListService = require('../services/priceListService');
+const promotionService = require('../services/promotionService');
+const currencyService = require('../services/currencyService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -207,7 +216,25 @@ router.post('/', [
   body('payment.isPartialPayment').optional().isBoolean().withMessage('Partial payment must be a boolean'),
   body('payment.isAdvancePayment').optional().isBoolean().withMessage('Advance payment must be a boolean'),
   body('payment.advanceAmount').optional().isFloat({ min: 0 }).withMessage('Advance amount must be a positive number'),
-  body('isTaxExempt').optional().isBoolean().withMessage('Tax exempt must be a boolean')
+  body('payment.tenders')
+    .if(body('payment.method').equals('split'))
+    .isArray({ min: 1 })
+    .withMessage('Split payment requires at least one tender line'),
+  body('payment.tenders.*.method').optional().isIn(['cash', 'credit_card', 'debit_card', 'check', 'bank', 'gift_card', 'store_credit']).withMessage('Invalid tender method'),
+  body('payment.tenders.*.amount').optional().isFloat({ min: 0 }).withMessage('Tender amount must be a positive number'),
+  body('payment.tenders.*.tendered').optional().isFloat({ min: 0 }).withMessage('Cash tendered must be a positive number'),
+  body('payment.tenders.*.reference').optional().isString().trim().isLength({ max: 100 }),
+  body('payment.tenders.*.bankAccount').optional().isMongoId().withMessage('Invalid bank account'),
+  body('payment.tenders.*.gateway').optional().isObject().withMessage('Gateway result must be an object'),
+  body('isTaxExempt').optional().isBoolean().withMessage('Tax exempt must be a boolean'),
+  body('warehouse').optional({ nullable: true }).isMongoId().withMessage('Invalid warehouse'),
+  body('items.*.cachedPrice').optional().isFloat({ min: 0 }).withMessage('Cached price must be a positive number'),
+  body('offline.clientCreatedAt').optional().isISO8601().withMessage('Invalid offline creation date'),
+  body('offline.deviceId').optional().isString(),
+  body('loyaltyRedemption.points').optional().isInt({ min: 1 }).withMessage('Points to redeem must be a positive integer'),
+  body('quotation').optional({ nullable: true }).isMongoId().withMessage('Invalid quotation'),
+  body('currency').optional({ checkFalsy: true }).isString().trim().toUpperCase().matches(/^[A-Z]{3}$/).withMessage('Currency must be a 3-letter ISO code'),
+  body('exchangeRate').optional({ checkFalsy: true }).isFloat({ gt: 0 }).withMessage('Exchange rate must be positive').toFloat()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -224,6 +251,19 @@ router.post('/', [
       });
     }
     
+    // Accepted quotations are invoiced for their customer at the quoted prices and discounts
+    let quotation = null;
+    if (req.body.quotation) {
+      try {
+        quotation = await quotationService.getConvertible(req.body.quotation, req.tenantId || req.user?.tenantId);
+      } catch (quotationError) {
+        return res.status(quotationError.message === 'Quotation not found' ? 404 : 400).json({ message: quotationError.message });
+      }
+      req.body.customer = String(quotation.customer._id || quotation.customer);
+      req.body.items = quotationService.saleItems(quotation);
+      req.body.isTaxExempt = quotation.isTaxExempt;
+    }
+
     const { customer, items, orderType, payment, notes, isTaxExempt } = req.body;
     
     // Validate customer if provided
@@ -242,12 +282,58 @@ router.post('/', [
         return res.status(400).json({ message: 'Customer not found' });
       }
     }
+
+    // Foreign-currency sales are priced and paid in that currency and posted to the books in base;
+    // points and stored value are held in base, so they can't settle them
+    let saleCurrency;
+    try {
+      saleCurrency = await currencyService.resolveCurrency({ currency: req.body.currency, exchangeRate: req.body.exchangeRate }, tenantId);
+    } catch (currencyError) {
+      return res.status(400).json({ message: currencyError.message });
+    }
+    const toBase = (amount) => currencyService.toBase(amount, saleCurrency.exchangeRate);
+    if (saleCurrency.currency && (req.body.loyaltyRedemption?.points
+      || (payment?.tenders || []).some(tender => tender.method === 'gift_card' || tender.method === 'store_credit'))) {
+      return res.status(400).json({ message: `Loyalty points, gift cards and store credit can't be used on a ${saleCurrency.currency} sale` });
+    }
+    // Quotations are priced in base currency, so they are invoiced in base too
+    if (saleCurrency.currency && quotation) {
+      return res.status(400).json({ message: `Quotation ${quotation.quotationNumber} is in base currency and can't be invoiced in ${saleCurrency.currency}` });
+    }
+
+    // Stock leaves the selected warehouse, or the primary one when none is chosen
+    let sourceWarehouse;
+    try {
+      sourceWarehouse = await warehouseStockService.resolveWarehouse(req.body.warehouse, tenantId);
+    } catch (warehouseError) {
+      return res.status(400).json({ message: warehouseError.message });
+    }
+
+    // Sales queued while offline are checked against current stock and prices
+    // before anything is written; the POS shows the conflicts for review
+    const offline = req.body.offline || null;
+    if (offline) {
+      const conflicts = await salesService.detectOfflineConflicts(items, tenantId, customerData, sourceWarehouse?._id);
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Offline sale conflicts with current stock or prices',
+          error: {
+            code: 'OFFLINE_SYNC_CONFLICT',
+            conflicts
+          }
+        });
+      }
+    }
     
     // Validate products and calculate pricing
     const orderItems = [];
     let subtotal = 0;
     let totalDiscount = 0;
     let totalTax = 0;
+
+    // Price lists for this customer are loaded once for every line
+    const priceLists = await priceListService.getApplicableLists(customerData, tenantId);
     
     for (const item of items) {
       const product = await productRepository.findById(item.product, { tenantId });
@@ -302,6 +388,11 @@ router.post('/', [
         }
       }
       
+      // The stock held for the quotation is what this sale takes
+      if (quotation) {
+        availableStock += quotationService.heldQuantity(quotation, item.product);
+      }
+
       const requestedQuantity = Number(item.quantity);
       
       if (availableStock < requestedQuantity) {
@@ -312,16 +403,31 @@ router.post('/', [
           requestedQuantity: requestedQuantity
         });
       }
+
+      // The product total may be enough while the selling warehouse is short
+      if (sourceWarehouse) {
+        const warehouseStock = await warehouseStockService.getAvailable(item.product, sourceWarehouse._id, tenantId);
+        if (warehouseStock < requestedQuantity) {
+          return res.status(400).json({
+            message: `Insufficient stock for ${product.name} in ${sourceWarehouse.name}. Available: ${warehouseStock}, Requested: ${requestedQuantity}`,
+            product: product.name,
+            warehouse: sourceWarehouse.name,
+            availableStock: warehouseStock,
+            requestedQuantity: requestedQuantity
+          });
+        }
+      }
       
-      // Use custom unitPrice if provided, otherwise calculate based on customer type
+      // Use custom unitPrice if provided, otherwise the best price list or customer type price
       let unitPrice;
+      let priceList = null;
       if (item.unitPrice !== undefined && item.unitPrice !== null) {
-        // Use the custom unitPrice from the request
+        // Use the custom unitPrice from the request; quoted lines keep the list they were quoted from
         unitPrice = item.unitPrice;
+        priceList = quotation ? item.priceList || null : null;
       } else {
-        // Determine customer type for pricing and calculate default price
-        const customerType = customerData ? customerData.businessType : 'retail';
-        unitPrice = product.getPriceForCustomerType(customerType, item.quantity);
+        ({ unitPrice, priceList } = await salesService.resolveUnitPrice(product, item.quantity, customerData, tenantId, priceLists));
+        unitPrice = currencyService.fromBase(unitPrice, saleCurrency.exchangeRate);
       }
       
       // Apply customer discount if applicable
@@ -330,8 +436,6 @@ router.post('/', [
       
       const itemSubtotal = item.quantity * unitPrice;
       const itemDiscount = itemSubtotal * (itemDiscountPercent / 100);
-      const itemTaxable = itemSubtotal - itemDiscount;
-      const itemTax = isTaxExempt ? 0 : itemTaxable * (product.taxSettings.taxRate || 0);
       
       // Get unit cost from multiple sources (priority: Inventory > Product)
       let unitCost = 0;
@@ -359,18 +463,48 @@ router.post('/', [
         quantity: item.quantity,
         unitCost,
         unitPrice,
+        priceList,
         discountPercent: itemDiscountPercent,
-        taxRate: product.taxSettings.taxRate || 0,
+        taxRate: product.taxSettings?.taxRate || 0,
+        taxGroup: product.taxSettings?.taxGroup || undefined,
+        priceIncludesTax: Boolean(product.taxSettings?.priceIncludesTax),
         subtotal: itemSubtotal,
-        discountAmount: itemDiscount,
-        taxAmount: itemTax,
-        total: itemSubtotal - itemDiscount + itemTax
+        discountAmount: itemDiscount
       });
-      
-      subtotal += itemSubtotal;
-      totalDiscount += itemDiscount;
-      totalTax += itemTax;
     }
+
+    // Running promotions are taken off the lines before tax; quoted prices already carry their terms
+    let promotionResult = { applied: [], totalDiscount: 0 };
+    if (!quotation) {
+      promotionResult = await promotionService.applyToOrderItems(orderItems, customerData, tenantId, {
+        exchangeRate: saleCurrency.exchangeRate
+      });
+    }
+
+    // Every line is taxed by the tax engine (tax groups, exemptions, inclusive prices)
+    let taxResult;
+    try {
+      taxResult = await taxEngineService.calculate({
+        lines: orderItems.map(orderItem => ({
+          amount: orderItem.subtotal - orderItem.discountAmount,
+          taxGroup: orderItem.taxGroup,
+          taxRate: orderItem.taxRate,
+          priceIncludesTax: orderItem.priceIncludesTax
+        })),
+        direction: 'sales',
+        customerCategory: customerData?.taxCategory,
+        isTaxExempt
+      }, tenantId);
+    } catch (taxError) {
+      return res.status(400).json({ message: taxError.message });
+    }
+    orderItems.forEach((orderItem, index) => {
+      taxEngineService.applyToLine(orderItem, taxResult.lines[index]);
+      subtotal += orderItem.subtotal;
+      totalDiscount += orderItem.discountAmount;
+    });
+    totalTax = taxResult.taxAmount;
+    const totalWithholding = taxResult.withholdingAmount;
     
     // Generate order number
     const today = new Date();
@@ -382,14 +516,40 @@ router.post('/', [
     // No need to manually generate it here
 
     // Calculate order total
-    const orderTotal = subtotal - totalDiscount + totalTax;
+    const orderTotal = subtotal - totalDiscount + totalTax - totalWithholding;
+
+    // Loyalty points tendered against this sale
+    let loyaltyRedemption = null;
+    if (req.body.loyaltyRedemption?.points) {
+      if (!customerData) {
+        return res.status(400).json({ message: 'A customer is required to redeem loyalty points' });
+      }
+      try {
+        const program = await loyaltyService.getProgram(tenantId);
+        loyaltyRedemption = loyaltyService.quoteRedemption(customerData, req.body.loyaltyRedemption.points, orderTotal, program);
+      } catch (redemptionError) {
+        return res.status(400).json({ message: redemptionError.message, error: 'LOYALTY_REDEMPTION_INVALID' });
+      }
+    }
+    const loyaltyValue = loyaltyRedemption ? loyaltyRedemption.value : 0;
+
+    // Split payments are allocated server-side; change only ever comes off the cash line
+    let splitPayment = null;
+    if (payment?.method === 'split') {
+      try {
+        splitPayment = salesService.allocateTenders(payment.tenders, orderTotal - loyaltyValue);
+        await salesService.validateStoredValueTenders(splitPayment.tenders, tenantId, customer);
+      } catch (tenderError) {
+        return res.status(400).json({ message: tenderError.message, error: 'INVALID_TENDER' });
+      }
+    }
     
     // Check credit limit for credit sales (account payment or partial payment)
     if (customerData && customerData.creditLimit > 0) {
       // Determine unpaid amount
       const paymentMethod = payment?.method || 'cash';
-      const amountPaid = payment?.amountPaid || payment?.amount || 0;
-      const unpaidAmount = orderTotal - amountPaid;
+      const amountPaid = splitPayment ? splitPayment.amountPaid : (payment?.amountPaid || payment?.amount || 0);
+      const unpaidAmount = toBase(orderTotal - amountPaid - loyaltyValue);
       
       // For account payments or partial payments, check credit limit
       if (paymentMethod === 'account' || unpaidAmount > 0) {
@@ -417,161 +577,6 @@ router.post('/', [
       }
     }
 
-    // Update inventory BEFORE order save to prevent creating orders with insufficient stock
-    const inventoryService = require('../services/inventoryService');
-    const inventoryUpdates = [];
-    
-    for (const item of items) {
-      try {
-        const product = await productRepository.findById(item.product, { tenantId });
-        if (!product) {
-          return res.status(400).json({ message: `Product ${item.product} not found during inventory update` });
-        }
-        
-        // Check actual inventory from Inventory model (source of truth) instead of Product model cache
-        let inventoryRecord = await Inventory.findOne({ product: item.product, tenantId });
-        let availableStock = 0;
-        const productStock = Number(product.inventory?.currentStock || 0);
-        
-        // If Inventory record doesn't exist, create it from Product's stock
-        if (!inventoryRecord) {
-          // Create Inventory record with Product's stock value
-          inventoryRecord = await Inventory.create({
-            product: item.product,
-            productModel: 'Product',
-            currentStock: productStock,
-            reorderPoint: product.inventory?.reorderPoint || 10,
-            reorderQuantity: 50,
-            reservedStock: 0,
-            availableStock: productStock,
-            status: productStock > 0 ? 'active' : 'out_of_stock',
-            tenantId: tenantId
-          });
-          availableStock = productStock;
-        } else {
-          // Use availableStock from Inventory model (currentStock - reservedStock)
-          const inventoryCurrentStock = Number(inventoryRecord.currentStock || 0);
-          const inventoryReservedStock = Number(inventoryRecord.reservedStock || 0);
-          const inventoryAvailableStock = Number(inventoryRecord.availableStock || 0);
-          
-          // Calculate available stock: currentStock - reservedStock
-          const calculatedAvailableStock = Math.max(0, inventoryCurrentStock - inventoryReservedStock);
-          
-          // Use the calculated value or the stored availableStock field
-          availableStock = inventoryAvailableStock > 0 ? inventoryAvailableStock : calculatedAvailableStock;
-          
-          // Check if Product has more stock than Inventory (sync issue)
-          if (productStock > inventoryCurrentStock) {
-            // Sync Inventory to match Product stock
-            await inventoryService.updateStock({
-              productId: item.product,
-              type: 'adjustment',
-              quantity: productStock,
-              reason: 'Auto-sync from Product model',
-              reference: 'Stock Sync',
-              referenceId: null,
-              referenceModel: 'StockAdjustment',
-              performedBy: req.user._id,
-              notes: `Syncing Inventory model to match Product model stock (${inventoryCurrentStock} -> ${productStock})`,
-              tenantId: tenantId
-            });
-            // Refresh inventory record
-            inventoryRecord = await Inventory.findOne({ product: item.product, tenantId });
-            // Recalculate available stock after sync
-            const refreshedReservedStock = Number(inventoryRecord.reservedStock || 0);
-            availableStock = Math.max(0, productStock - refreshedReservedStock);
-          }
-        }
-        
-        const requestedQuantity = Number(item.quantity);
-        
-        // Re-check stock availability right before updating (race condition protection)
-        if (availableStock < requestedQuantity) {
-          return res.status(400).json({ 
-            message: `Insufficient stock for ${product.name}. Available: ${availableStock}, Requested: ${requestedQuantity}`,
-            product: product.name,
-            availableStock: availableStock,
-            requestedQuantity: requestedQuantity
-          });
-        }
-        
-        // Use inventoryService for proper audit trail
-        const inventoryUpdate = await inventoryService.updateStock({
-          productId: item.product,
-          type: 'out',
-          quantity: item.quantity,
-          reason: 'Sales Order Creation',
-          reference: 'Sales Order',
-          referenceId: null, // Will be updated after order save
-          referenceModel: 'SalesOrder',
-          performedBy: req.user._id,
-          notes: `Stock reduced due to sales order creation`,
-          tenantId: tenantId
-        });
-        
-        inventoryUpdates.push({
-          productId: item.product,
-          quantity: item.quantity,
-          newStock: inventoryUpdate.currentStock,
-          success: true
-        });
-        
-      } catch (error) {
-        logger.error(`Error updating inventory for product ${item.product}:`, error);
-        
-        // Get product name and actual stock for better error message
-        let productName = 'Unknown Product';
-        let availableStock = 0;
-        try {
-          const tenantId = req.tenantId || req.user?.tenantId;
-          const productForError = await productRepository.findById(item.product, { tenantId });
-          if (productForError) {
-            productName = productForError.name;
-            // Get actual stock from Inventory model (source of truth)
-            const inventoryRecord = await Inventory.findOne({ product: item.product, tenantId });
-            availableStock = Number(inventoryRecord ? inventoryRecord.currentStock : (productForError.inventory?.currentStock || 0));
-          }
-        } catch (productError) {
-          logger.error('Error fetching product for error message:', productError);
-        }
-        
-        // Check if this is an insufficient stock error
-        const isInsufficientStock = error.message && error.message.includes('Insufficient stock');
-        const statusCode = isInsufficientStock ? 400 : 500;
-        
-        // Rollback successful inventory updates
-        for (const successUpdate of inventoryUpdates) {
-          try {
-            await inventoryService.updateStock({
-              productId: successUpdate.productId,
-              type: 'in',
-              quantity: successUpdate.quantity,
-              reason: 'Rollback - Sales Order Creation Failed',
-              reference: 'Sales Order',
-              referenceId: null,
-              referenceModel: 'SalesOrder',
-              performedBy: req.user._id,
-              notes: `Rollback: Sales order creation failed`,
-              tenantId: tenantId
-            });
-          } catch (rollbackError) {
-            logger.error(`Failed to rollback inventory for product ${successUpdate.productId}:`, rollbackError);
-          }
-        }
-        
-        return res.status(statusCode).json({ 
-          message: isInsufficientStock 
-            ? `Insufficient stock for ${productName}. Available: ${availableStock}, Requested: ${item.quantity}`
-            : `Failed to update inventory for product ${productName}`,
-          error: error.message,
-          product: productName,
-          productId: item.product,
-          availableStock: availableStock,
-          requestedQuantity: item.quantity
-        });
-      }
-    }
-
     // Create order
     // Note: orderNumber will be auto-generated by Order model's pre-save hook with SI- prefix
     // Sales page orders are automatically confirmed since they directly impact stock
@@ -586,15 +591,31 @@ router.post('/', [
         businessName: customerData.businessName
       } : null,
       items: orderItems,
+      warehouse: sourceWarehouse?._id,
       pricing: {
         subtotal,
         discountAmount: totalDiscount,
+        promotionAmount: orderItems.reduce((sum, orderItem) => sum + (orderItem.promotionDiscount || 0), 0),
         taxAmount: totalTax,
         isTaxExempt: isTaxExempt || false,
+        withholdingAmount: totalWithholding,
         shippingAmount: 0,
-        total: subtotal - totalDiscount + totalTax
+        total: orderTotal
       },
-      payment: {
+      taxes: taxResult.taxes,
+      promotions: promotionResult.applied,
+      currency: saleCurrency.currency,
+      exchangeRate: saleCurrency.exchangeRate,
+      payment: splitPayment ? {
+        method: 'split',
+        tenders: splitPayment.tenders,
+        status: splitPayment.remainingBalance > 0 ? 'partial' : 'paid',
+        amountPaid: splitPayment.amountPaid,
+        remainingBalance: splitPayment.remainingBalance,
+        isPartialPayment: splitPayment.remainingBalance > 0,
+        isAdvancePayment: false,
+        advanceAmount: 0
+      } : {
         method: payment.method,
         status: payment.isPartialPayment ? 'partial' : (payment.method === 'cash' ? 'paid' : 'pending'),
         amountPaid: payment.amount || 0,
@@ -605,8 +626,35 @@ router.post('/', [
       },
       status: 'confirmed', // Sales page orders are automatically confirmed since they directly impact stock
       notes,
+      quotation: quotation?._id,
       createdBy: req.user._id
     };
+
+    if (loyaltyRedemption) {
+      orderData.loyalty = {
+        pointsRedeemed: loyaltyRedemption.points,
+        redemptionValue: loyaltyRedemption.value
+      };
+    }
+
+    const idempotencyKey = getIdempotencyKeyHeader(req);
+    if (idempotencyKey) {
+      orderData.idempotencyKey = idempotencyKey;
+    }
+    if (offline) {
+      orderData.offline = {
+        isOffline: true,
+        clientCreatedAt: offline.clientCreatedAt ? new Date(offline.clientCreatedAt) : undefined,
+        deviceId: offline.deviceId,
+        syncedAt: new Date()
+      };
+    }
+
+    // Ring the sale up against the cashier's open till so it counts toward expected cash
+    const openTill = await TillSessionRepository.findOpenSessionByUser(req.user._id, { tenantId });
+    if (openTill) {
+      orderData.tillSession = openTill._id;
+    }
     
     
     // Use MongoDB transaction for atomicity across Sales, CustomerTransaction, and Customer
@@ -615,10 +663,181 @@ router.post('/', [
     session.startTransaction();
 
     try {
+      // Stock leaves first; a quoted sale first claims the quotation and releases its hold,
+      // so the stock, the hold and the quotation roll back with the sale
+      if (quotation) {
+        try {
+          await quotationService.claimForSale(quotation, req.user._id, tenantId, session);
+        } catch (quotationError) {
+          if (quotationError.message !== 'Quotation is already being converted') {
+            throw quotationError;
+          }
+          await session.abortTransaction();
+          return res.status(409).json({ message: quotationError.message });
+        }
+      }
+
+      const inventoryService = require('../services/inventoryService');
+
+      for (const item of items) {
+        try {
+          const product = await productRepository.findById(item.product, { tenantId });
+          if (!product) {
+            await session.abortTransaction();
+            return res.status(400).json({ message: `Product ${item.product} not found during inventory update` });
+          }
+
+          // Check actual inventory from Inventory model (source of truth) instead of Product model cache
+          let inventoryRecord = await Inventory.findOne({ product: item.product, tenantId }, null, { session });
+          let availableStock = 0;
+          const productStock = Number(product.inventory?.currentStock || 0);
+
+          // If Inventory record doesn't exist, create it from Product's stock
+          if (!inventoryRecord) {
+            // Create Inventory record with Product's stock value
+            [inventoryRecord] = await Inventory.create([{
+              product: item.product,
+              productModel: 'Product',
+              currentStock: productStock,
+              reorderPoint: product.inventory?.reorderPoint || 10,
+              reorderQuantity: 50,
+              reservedStock: 0,
+              availableStock: productStock,
+              status: productStock > 0 ? 'active' : 'out_of_stock',
+              tenantId: tenantId
+            }], { session });
+            availableStock = productStock;
+          } else {
+            // Use availableStock from Inventory model (currentStock - reservedStock)
+            const inventoryCurrentStock = Number(inventoryRecord.currentStock || 0);
+            const inventoryReservedStock = Number(inventoryRecord.reservedStock || 0);
+            const inventoryAvailableStock = Number(inventoryRecord.availableStock || 0);
+
+            // Calculate available stock: currentStock - reservedStock
+            const calculatedAvailableStock = Math.max(0, inventoryCurrentStock - inventoryReservedStock);
+
+            // Use the calculated value or the stored availableStock field
+            availableStock = inventoryAvailableStock > 0 ? inventoryAvailableStock : calculatedAvailableStock;
+
+            // Check if Product has more stock than Inventory (sync issue)
+            if (productStock > inventoryCurrentStock) {
+              // Sync Inventory to match Product stock
+              await inventoryService.updateStock({
+                productId: item.product,
+                type: 'adjustment',
+                quantity: productStock,
+                reason: 'Auto-sync from Product model',
+                reference: 'Stock Sync',
+                referenceId: null,
+                referenceModel: 'StockAdjustment',
+                performedBy: req.user._id,
+                notes: `Syncing Inventory model to match Product model stock (${inventoryCurrentStock} -> ${productStock})`,
+                tenantId: tenantId,
+                session
+              });
+              // Refresh inventory record
+              inventoryRecord = await Inventory.findOne({ product: item.product, tenantId }, null, { session });
+              // Recalculate available stock after sync
+              const refreshedReservedStock = Number(inventoryRecord.reservedStock || 0);
+              availableStock = Math.max(0, productStock - refreshedReservedStock);
+            }
+          }
+
+          const requestedQuantity = Number(item.quantity);
+
+          // Re-check stock availability right before updating (race condition protection)
+          if (availableStock < requestedQuantity) {
+            await session.abortTransaction();
+            return res.status(400).json({
+              message: `Insufficient stock for ${product.name}. Available: ${availableStock}, Requested: ${requestedQuantity}`,
+              product: product.name,
+              availableStock: availableStock,
+              requestedQuantity: requestedQuantity
+            });
+          }
+
+          // Use inventoryService for proper audit trail
+          await inventoryService.updateStock({
+            productId: item.product,
+            type: 'out',
+            quantity: item.quantity,
+            reason: 'Sales Order Creation',
+            reference: 'Sales Order',
+            referenceId: null, // Will be updated after order save
+            referenceModel: 'SalesOrder',
+            performedBy: req.user._id,
+            notes: `Stock reduced due to sales order creation`,
+            warehouse: sourceWarehouse?._id,
+            tenantId: tenantId,
+            session
+          });
+        } catch (error) {
+          logger.error(`Error updating inventory for product ${item.product}:`, error);
+          // Stock already taken for earlier lines comes back with the transaction
+          await session.abortTransaction();
+
+          // Get product name and actual stock for better error message
+          let productName = 'Unknown Product';
+          let availableStock = 0;
+          try {
+            const productForError = await productRepository.findById(item.product, { tenantId });
+            if (productForError) {
+              productName = productForError.name;
+              // Get actual stock from Inventory model (source of truth)
+              const inventoryRecord = await Inventory.findOne({ product: item.product, tenantId });
+              availableStock = Number(inventoryRecord ? inventoryRecord.currentStock : (productForError.inventory?.currentStock || 0));
+            }
+          } catch (productError) {
+            logger.error('Error fetching product for error message:', productError);
+          }
+
+          // Check if this is an insufficient stock error
+          const isInsufficientStock = error.message && error.message.includes('Insufficient stock');
+          const statusCode = isInsufficientStock ? 400 : 500;
+
+          return res.status(statusCode).json({
+            message: isInsufficientStock
+              ? `Insufficient stock for ${productName}. Available: ${availableStock}, Requested: ${item.quantity}`
+              : `Failed to update inventory for product ${productName}`,
+            error: error.message,
+            product: productName,
+            productId: item.product,
+            availableStock: availableStock,
+            requestedQuantity: item.quantity
+          });
+        }
+      }
+
       // 1. Create sales order
       const order = new Sales(orderData);
+
+      // Redeem gift card / store credit tender lines; the sale's journal entry debits the liability
+      for (const tender of order.payment.tenders || []) {
+        if (tender.method !== 'gift_card' && tender.method !== 'store_credit') continue;
+        const { card, transaction } = await giftCardService.redeem(tender.reference, tender.amount, {
+          session,
+          expectedType: tender.method,
+          referenceType: 'sale',
+          referenceId: order._id,
+          journal: false
+        }, req.user._id, req.tenantId || req.user?.tenantId);
+        tender.giftCard = card._id;
+        tender.gateway = { name: 'gift_card', transactionId: String(transaction._id), status: 'completed' };
+      }
+
       await order.save({ session });
 
+      if (loyaltyRedemption) {
+        await loyaltyService.redeemPoints({
+          customerId: customer,
+          points: loyaltyRedemption.points,
+          value: loyaltyRedemption.value,
+          saleId: order._id,
+          userId: req.user._id,
+          tenantId: req.tenantId || req.user?.tenantId
+        }, { session });
+      }
+
       // 2. Track stock movements
       try {
         await StockMovementService.trackSalesOrder(order, req.user);
@@ -645,8 +864,8 @@ router.post('/', [
         const customerExists = await Customer.findOne({ _id: customer, tenantId }).session(session);
         
         if (customerExists) {
-          const amountPaid = payment.amount || 0;
-          const isAccountPayment = payment.method === 'account' || amountPaid < orderData.pricing.total;
+          const amountPaid = order.payment.amountPaid || 0;
+          const isAccountPayment = payment.method === 'account' || amountPaid + loyaltyValue < orderData.pricing.total;
 
           // Create invoice transaction if account payment or partial payment
           if (isAccountPayment) {
@@ -670,10 +889,10 @@ router.post('/', [
             await customerTransactionService.createTransaction({
               customerId: customer,
               transactionType: 'invoice',
-              netAmount: orderData.pricing.total,
-              grossAmount: subtotal,
-              discountAmount: totalDiscount,
-              taxAmount: totalTax,
+              netAmount: toBase(orderData.pricing.total),
+              grossAmount: toBase(subtotal),
+              discountAmount: toBase(totalDiscount),
+              taxAmount: toBase(totalTax),
               referenceType: 'sales_order',
               referenceId: order._id,
               referenceNumber: order.orderNumber,
@@ -687,7 +906,7 @@ router.post('/', [
             const CustomerBalanceService = require('../services/customerBalanceService');
             await CustomerBalanceService.recordPayment(
               customer,
-              amountPaid,
+              toBase(amountPaid),
               order._id,
               req.user,
               {
@@ -696,6 +915,21 @@ router.post('/', [
               }
             );
           }
+
+          // Points tendered settle part of the invoice
+          if (isAccountPayment && loyaltyValue > 0) {
+            const CustomerBalanceService = require('../services/customerBalanceService');
+            await CustomerBalanceService.recordPayment(
+              customer,
+              loyaltyValue,
+              order._id,
+              req.user,
+              {
+                paymentMethod: 'other',
+                paymentReference: `${order.orderNumber} loyalty points`
+              }
+            );
+          }
         }
       }
 
@@ -712,12 +946,39 @@ router.post('/', [
         throw new Error(`Failed to create journal entries: ${error.message}`);
       }
 
+      if (quotation) {
+        await quotationService.markConverted(quotation, {
+          documentType: 'sales_invoice',
+          documentId: order._id,
+          documentNumber: order.orderNumber
+        }, req.user._id, session);
+      }
+
       // Commit transaction
       await session.commitTransaction();
       
       // Order is now saved and all related records created atomically
       // Store order ID for later retrieval
       const orderId = order._id;
+
+      // Award loyalty points; a failure here must not fail the sale
+      try {
+        await loyaltyService.earnPointsForSale(order, { userId: req.user._id });
+      } catch (loyaltyError) {
+        logger.error('Error awarding loyalty points for sales order:', loyaltyError);
+      }
+
+      if (promotionResult.applied.length > 0) {
+        try {
+          // Usage totals are kept in base currency
+          await promotionService.recordUsage(promotionResult.applied.map(entry => ({
+            ...entry,
+            discountAmount: toBase(entry.discountAmount)
+          })), order.tenantId);
+        } catch (promotionError) {
+          logger.error(`Error recording promotion usage for sale ${order.orderNumber}:`, promotionError);
+        }
+      }
       
       // Reload order after transaction (since it was saved in session)
       const tenantId = req.tenantId || req.user?.tenantId;
@@ -795,7 +1056,7 @@ router.put('/:id/status', [
         const tenantId = req.tenantId || req.user?.tenantId;
         const customerExists = await Customer.findOne({ _id: order.customer, tenantId });
         if (customerExists) {
-          const unpaidAmount = order.pricing.total - order.payment.amountPaid;
+          const unpaidAmount = currencyService.toBase(order.pricing.total - order.payment.amountPaid, order.exchangeRate || 1);
           
           if (unpaidAmount > 0) {
             const updateResult = await Customer.findByIdAndUpdate(
@@ -832,7 +1093,7 @@ router.put('/:id/status', [
           const tenantId = req.tenantId || req.user?.tenantId;
           const customerExists = await Customer.findOne({ _id: order.customer, tenantId });
           if (customerExists) {
-            const unpaidAmount = order.pricing.total - order.payment.amountPaid;
+            const unpaidAmount = currencyService.toBase(order.pricing.total - order.payment.amountPaid, order.exchangeRate || 1);
             
             if (unpaidAmount > 0) {
               let balanceUpdate = {};
@@ -933,6 +1194,8 @@ router.put('/:id', [
     const oldItems = JSON.parse(JSON.stringify(order.items));
     const oldTotal = order.pricing.total;
     const oldCustomer = order.customer;
+    // Customer balances are kept in base currency
+    const toBase = (amount) => currencyService.toBase(amount, order.exchangeRate || 1);
     
     // Update order fields
     if (req.body.customer !== undefined) {
@@ -986,15 +1249,12 @@ router.put('/:id', [
       // Recalculate pricing for new items
       let newSubtotal = 0;
       let newTotalDiscount = 0;
-      let newTotalTax = 0;
       const newOrderItems = [];
       
       for (const item of req.body.items) {
         const product = await productRepository.findById(item.product, { tenantId });
         const itemSubtotal = item.quantity * item.unitPrice;
         const itemDiscount = itemSubtotal * ((item.discountPercent || 0) / 100);
-        const itemTaxable = itemSubtotal - itemDiscount;
-        const itemTax = order.pricing.isTaxExempt ? 0 : itemTaxable * (item.taxRate || 0);
         
         newOrderItems.push({
           product: item.product,
@@ -1002,23 +1262,56 @@ router.put('/:id', [
           unitPrice: item.unitPrice,
           discountPercent: item.discountPercent || 0,
           taxRate: item.taxRate || 0,
+          taxGroup: product?.taxSettings?.taxGroup || undefined,
+          priceIncludesTax: Boolean(product?.taxSettings?.priceIncludesTax),
           subtotal: itemSubtotal,
-          discountAmount: itemDiscount,
-          taxAmount: itemTax,
-          total: itemSubtotal - itemDiscount + itemTax
+          discountAmount: itemDiscount
         });
-        
-        newSubtotal += itemSubtotal;
-        newTotalDiscount += itemDiscount;
-        newTotalTax += itemTax;
       }
+
+      // Retax at the rates in force on the original sale date
+      const taxCustomer = customerData || (order.customer ? await Customer.findOne({ _id: order.customer, tenantId }) : null);
+
+      // Promotions are re-evaluated as they ran when the sale was made
+      const promotionResult = order.quotation
+        ? { applied: [], totalDiscount: 0 }
+        : await promotionService.applyToOrderItems(newOrderItems, taxCustomer, tenantId, {
+          at: order.createdAt,
+          exchangeRate: order.exchangeRate || 1
+        });
+      let taxResult;
+      try {
+        taxResult = await taxEngineService.calculate({
+          lines: newOrderItems.map(orderItem => ({
+            amount: orderItem.subtotal - orderItem.discountAmount,
+            taxGroup: orderItem.taxGroup,
+            taxRate: orderItem.taxRate,
+            priceIncludesTax: orderItem.priceIncludesTax
+          })),
+          direction: 'sales',
+          date: order.createdAt,
+          customerCategory: taxCustomer?.taxCategory,
+          isTaxExempt: order.pricing.isTaxExempt
+        }, tenantId);
+      } catch (taxError) {
+        return res.status(400).json({ message: taxError.message });
+      }
+      newOrderItems.forEach((orderItem, index) => {
+        taxEngineService.applyToLine(orderItem, taxResult.lines[index]);
+        newSubtotal += orderItem.subtotal;
+        newTotalDiscount += orderItem.discountAmount;
+      });
       
       // Update order items and pricing
       order.items = newOrderItems;
+      order.taxes = taxResult.taxes;
+      order.promotions = promotionResult.applied;
       order.pricing.subtotal = newSubtotal;
       order.pricing.discountAmount = newTotalDiscount;
-      order.pricing.taxAmount = newTotalTax;
-      order.pricing.total = newSubtotal - newTotalDiscount + newTotalTax;
+      order.pricing.promotionAmount = newOrderItems.reduce((sum, orderItem) => sum + (orderItem.promotionDiscount || 0), 0);
+      order.pricing.taxAmount = taxResult.taxAmount;
+      order.pricing.withholdingAmount = taxResult.withholdingAmount;
+      order.pricing.total = newSubtotal - newTotalDiscount + taxResult.taxAmount - taxResult.withholdingAmount;
       
       // Check credit limit for credit sales when order total increases
       const finalCustomer = customerData || (order.customer ? await Customer.findOne({ _id: order.customer, tenantId: req.tenantId || req.user?.tenantId }) : null);
@@ -1026,7 +1319,7 @@ router.put('/:id', [
         const newTotal = order.pricing.total;
         const paymentMethod = order.payment?.method || 'cash';
         const amountPaid = order.payment?.amountPaid || 0;
-        const unpaidAmount = newTotal - amountPaid;
+        const unpaidAmount = toBase(newTotal - amountPaid);
         
         // For account payments or partial payments, check credit limit
         if (paymentMethod === 'account' || unpaidAmount > 0) {
@@ -1045,6 +1338,7 @@ router.put('/:id', [
           } else if (order.payment.status === 'partial') {
             oldUnpaidAmount = oldTotal - order.payment.amountPaid;
           }
+          oldUnpaidAmount = toBase(oldUnpaidAmount);
           
           // Calculate effective outstanding balance (after removing old order's contribution)
           const effectiveOutstanding = wasConfirmed 
@@ -1103,6 +1397,7 @@ router.put('/:id', [
                 referenceModel: 'SalesOrder',
                 performedBy: req.user._id,
                 notes: `Inventory reduced due to order ${order.orderNumber} update - quantity increased by ${quantityChange}`,
+                warehouse: order.warehouse,
                 tenantId: tenantId
               });
             } else {
@@ -1117,6 +1412,7 @@ router.put('/:id', [
                 referenceModel: 'SalesOrder',
                 performedBy: req.user._id,
                 notes: `Inventory restored due to order ${order.orderNumber} update - quantity decreased by ${Math.abs(quantityChange)}`,
+                warehouse: order.warehouse,
                 tenantId: tenantId
               });
             }
@@ -1142,6 +1438,7 @@ router.put('/:id', [
               referenceModel: 'SalesOrder',
               performedBy: req.user._id,
               notes: `Inventory restored due to order ${order.orderNumber} update - item removed`,
+              warehouse: order.warehouse,
               tenantId: req.tenantId || req.user?.tenantId
             });
           }
@@ -1181,8 +1478,9 @@ router.put('/:id', [
             newBalanceToAdd = order.pricing.total - order.payment.amountPaid;
           }
           
-          // Calculate difference
-          const balanceDifference = newBalanceToAdd - oldBalanceAdded;
+          // Calculate difference, in base currency like the balances themselves
+          oldBalanceAdded = toBase(oldBalanceAdded);
+          const balanceDifference = toBase(newBalanceToAdd) - oldBalanceAdded;
           
           if (balanceDifference !== 0) {
             let balanceUpdate = {};
@@ -1378,12 +1676,15 @@ router.delete('/:id', [
         const customerExists = await Customer.findOne({ _id: order.customer, tenantId });
         
         if (customerExists) {
-          const amountPaid = order.payment?.amountPaid || 0;
+          // Balances were moved in base currency when the sale was created
+          const toBase = (amount) => currencyService.toBase(amount, order.exchangeRate || 1);
+          const amountPaid = toBase(order.payment?.amountPaid || 0);
+          const baseTotal = toBase(order.pricing.total);
           
           // Reverse payment first: restore pendingBalance, remove from advanceBalance
           if (amountPaid > 0) {
-            const pendingRestored = Math.min(amountPaid, order.pricing.total);
-            const advanceToRemove = Math.max(0, amountPaid - order.pricing.total);
+            const pendingRestored = Math.min(amountPaid, baseTotal);
+            const advanceToRemove = Math.max(0, amountPaid - baseTotal);
             
             await Customer.findByIdAndUpdate(
               order.customer,
@@ -1400,7 +1701,7 @@ router.delete('/:id', [
           // Remove invoice total from pendingBalance
           const updateResult = await Customer.findByIdAndUpdate(
             order.customer,
-            { $inc: { pendingBalance: -order.pricing.total } },
+            { $inc: { pendingBalance: -baseTotal } },
             { new: true }
           );
         } else {
@@ -1449,7 +1750,9 @@ router.delete('/:id', [
             referenceId: order._id,
             referenceModel: 'SalesOrder',
             performedBy: req.user._id,
-            notes: `Inventory restored due to deletion of order ${order.orderNumber}`
+            notes: `Inventory restored due to deletion of order ${order.orderNumber}`,
+            warehouse: order.warehouse,
+            tenantId: req.tenantId || req.user?.tenantId
           });
         } catch (error) {
           logger.error(`Failed to restore inventory for product ${item.product}:`, error);
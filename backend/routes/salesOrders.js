@@ -10,6 +10,7 @@ const { tenantMiddleware } = require('../middleware/tenantMiddleware');
 const inventoryService = require('../services/inventoryService');
 const salesOrderRepository = require('../repositories/SalesOrderRepository');
 const customerRepository = require('../repositories/CustomerRepository');
+const salesService = require('../services/salesService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -218,10 +219,12 @@ router.post('/', [
   body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
   body('items.*.product').isMongoId().withMessage('Valid product is required'),
   body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
-  body('items.*.unitPrice').isFloat({ min: 0 }).withMessage('Unit price must be positive'),
-  body('items.*.totalPrice').isFloat({ min: 0 }).withMessage('Total price must be positive'),
+  // Lines without a unit price are priced from the customer's price lists
+  body('items.*.unitPrice').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Unit price must be positive'),
+  body('items.*.discountPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Discount must be between 0 and 100'),
+  body('items.*.totalPrice').optional().isFloat({ min: 0 }).withMessage('Total price must be positive'),
   body('items.*.invoicedQuantity').optional().isInt({ min: 0 }).withMessage('Invoiced quantity must be non-negative'),
-  body('items.*.remainingQuantity').isInt({ min: 0 }).withMessage('Remaining quantity must be non-negative'),
+  body('items.*.remainingQuantity').optional().isInt({ min: 0 }).withMessage('Remaining quantity must be non-negative'),
   body('expectedDelivery').optional().isISO8601().withMessage('Valid delivery date required'),
   body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes too long'),
   body('terms').optional().trim().isLength({ max: 500 }).withMessage('Terms too long'),
@@ -234,8 +237,23 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
     
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const customerData = await customerRepository.findById(req.body.customer, { tenantId });
+    if (!customerData) {
+      return res.status(400).json({ message: 'Customer not found' });
+    }
+
+    let items;
+    try {
+      items = await salesService.priceSalesOrderItems(req.body.items, customerData, tenantId);
+    } catch (pricingError) {
+      return res.status(400).json({ message: pricingError.message });
+    }
+
     const soData = {
       ...req.body,
+      items,
+      tenantId,
       soNumber: SalesOrder.generateSONumber(),
       createdBy: req.user._id
     };
@@ -283,7 +301,8 @@ router.put('/:id', [
   body('items').optional().isArray({ min: 1 }).withMessage('At least one item is required'),
   body('items.*.product').optional().isMongoId().withMessage('Valid product is required'),
   body('items.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
-  body('items.*.unitPrice').optional().isFloat({ min: 0 }).withMessage('Unit price must be positive'),
+  body('items.*.unitPrice').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Unit price must be positive'),
+  body('items.*.discountPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Discount must be between 0 and 100'),
   body('expectedDelivery').optional().isISO8601().withMessage('Valid delivery date required'),
   body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes too long'),
   body('terms').optional().trim().isLength({ max: 1000 }).withMessage('Terms too long'),
@@ -315,6 +334,20 @@ router.put('/:id', [
       ...req.body,
       lastModifiedBy: req.user._id
     };
+
+    if (req.body.items) {
+      const customerData = await customerRepository.findById(req.body.customer || salesOrder.customer, { tenantId });
+      try {
+        updateData.items = (await salesService.priceSalesOrderItems(req.body.items, customerData, tenantId))
+          .map(item => {
+            // The update skips the save hook that totals lines
+            const totalPrice = item.quantity * item.unitPrice * (1 - (item.discountPercent || 0) / 100);
+            return { ...item, totalPrice, remainingQuantity: item.quantity - (item.invoicedQuantity || 0) };
+          });
+      } catch (pricingError) {
+        return res.status(400).json({ message: pricingError.message });
+      }
+    }
     
     const updatedSO = await salesOrderRepository.update(req.params.id, updateData, {
       new: true,
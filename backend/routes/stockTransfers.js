@@ -0,0 +1,245 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, requirePermission, requireAnyPermission } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenantMiddleware');
+const stockTransferService = require('../services/stockTransferService');
+const logger = require('../utils/logger');
+
+// Messages from stockTransferService that describe a rejected request rather than a fault
+const CLIENT_ERRORS = [
+  'Source and destination warehouse must differ',
+  'Warehouse is inactive',
+  'Quantity must be greater than zero',
+  'A transfer needs at least one item',
+  'Product not found',
+  'Only requested transfers can be approved',
+  'Only transfers that have not been dispatched can be cancelled',
+  'Only approved transfers can be dispatched',
+  'Dispatch quantity cannot exceed the requested quantity',
+  'Nothing to dispatch',
+  'Only dispatched transfers can be received',
+  'Product is not on this transfer',
+  'Quantities cannot be negative',
+  'A reason is required for a discrepancy',
+  'Nothing to receive'
+];
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const handleError = (res, error, action) => {
+  if (error.message === 'Stock transfer not found' || error.message === 'Warehouse not found') {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (error.message.startsWith('Segregation of duties violation')) {
+    return res.status(403).json({ success: false, message: error.message });
+  }
+  if (error.name === 'VersionError') {
+    return res.status(409).json({ success: false, message: 'Transfer was updated by someone else, please reload' });
+  }
+  if (CLIENT_ERRORS.includes(error.message) ||
+      error.message.startsWith('Insufficient stock for') ||
+      /^(Fiscal year|Period) .* (is closed|is locked)\./.test(error.message) ||
+      error.message.startsWith('Cannot receive more')) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  logger.error(`${action} error:`, { error: error });
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+const validateTransferId = [param('id').isMongoId().withMessage('Valid transfer ID is required')];
+
+// @route   GET /api/stock-transfers
+// @desc    List transfers, optionally by status or warehouse
+// @access  Private
+router.get('/', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_inventory'),
+  query('status').optional().isIn(['requested', 'approved', 'in_transit', 'partially_received', 'received', 'cancelled']),
+  query('warehouse').optional().isMongoId(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const result = await stockTransferService.getTransfers({
+      status: req.query.status,
+      warehouse: req.query.warehouse,
+      page: parseInt(req.query.page || '1', 10),
+      limit: parseInt(req.query.limit || '20', 10)
+    }, tenantId);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error, 'List stock transfers');
+  }
+});
+
+// @route   POST /api/stock-transfers
+// @desc    Request a transfer between warehouses
+// @access  Private
+router.post('/', [
+  auth,
+  tenantMiddleware,
+  requirePermission('update_inventory'),
+  body('fromWarehouse').isMongoId().withMessage('Source warehouse is required'),
+  body('toWarehouse').isMongoId().withMessage('Destination warehouse is required'),
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.product').isMongoId().withMessage('Valid product is required'),
+  body('items.*.quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0'),
+  body('expectedDeliveryDate').optional().isISO8601().toDate(),
+  body('notes').optional().isString().trim().isLength({ max: 1000 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const transfer = await stockTransferService.createTransfer(req.body, req.user._id, tenantId);
+    res.status(201).json({ success: true, data: transfer });
+  } catch (error) {
+    handleError(res, error, 'Create stock transfer');
+  }
+});
+
+// @route   GET /api/stock-transfers/:id
+// @desc    Transfer details with receipts
+// @access  Private
+router.get('/:id', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_inventory'),
+  ...validateTransferId,
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const transfer = await stockTransferService.getTransferById(req.params.id, tenantId);
+    res.json({ success: true, data: transfer });
+  } catch (error) {
+    handleError(res, error, 'Get stock transfer');
+  }
+});
+
+// @route   GET /api/stock-transfers/:id/delivery-note
+// @desc    Printable delivery note (PDF)
+// @access  Private
+router.get('/:id/delivery-note', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_inventory'),
+  ...validateTransferId,
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const transfer = await stockTransferService.getTransferById(req.params.id, tenantId);
+    const pdf = await stockTransferService.renderDeliveryNotePdf(transfer);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="delivery-note-${transfer.transferNumber}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    handleError(res, error, 'Print delivery note');
+  }
+});
+
+// @route   POST /api/stock-transfers/:id/approve
+// @desc    Approve a requested transfer
+// @access  Private
+router.post('/:id/approve', [
+  auth,
+  tenantMiddleware,
+  requirePermission('approve_stock_transfers'),
+  ...validateTransferId,
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const transfer = await stockTransferService.approveTransfer(req.params.id, req.user._id, tenantId);
+    res.json({ success: true, data: transfer });
+  } catch (error) {
+    handleError(res, error, 'Approve stock transfer');
+  }
+});
+
+// @route   POST /api/stock-transfers/:id/dispatch
+// @desc    Ship an approved transfer; stock moves to in-transit
+// @access  Private
+router.post('/:id/dispatch', [
+  auth,
+  tenantMiddleware,
+  requirePermission('update_inventory'),
+  ...validateTransferId,
+  body('items').optional().isArray(),
+  body('items.*.product').optional().isMongoId(),
+  body('items.*.quantity').optional().isFloat({ min: 0 }),
+  body('carrier').optional().isString().trim().isLength({ max: 150 }),
+  body('trackingNumber').optional().isString().trim().isLength({ max: 100 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const transfer = await stockTransferService.dispatchTransfer(req.params.id, req.body, req.user, tenantId);
+    res.json({ success: true, data: transfer });
+  } catch (error) {
+    handleError(res, error, 'Dispatch stock transfer');
+  }
+});
+
+// @route   POST /api/stock-transfers/:id/receive
+// @desc    Receive all or part of a dispatched transfer, recording any discrepancy
+// @access  Private
+router.post('/:id/receive', [
+  auth,
+  tenantMiddleware,
+  requireAnyPermission(['process_receipts', 'update_inventory']),
+  ...validateTransferId,
+  body('items').optional().isArray(),
+  body('items.*.product').optional().isMongoId(),
+  body('items.*.quantity').optional().isFloat({ min: 0 }),
+  body('items.*.discrepancyQuantity').optional().isFloat({ min: 0 }),
+  body('items.*.discrepancyReason').optional().isString().trim().isLength({ max: 500 }),
+  body('items.*.bin').optional().isString().trim().isLength({ max: 50 }),
+  body('notes').optional().isString().trim().isLength({ max: 1000 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const transfer = await stockTransferService.receiveTransfer(req.params.id, req.body, req.user, tenantId);
+    res.json({ success: true, data: transfer });
+  } catch (error) {
+    handleError(res, error, 'Receive stock transfer');
+  }
+});
+
+// @route   POST /api/stock-transfers/:id/cancel
+// @desc    Cancel a transfer before dispatch
+// @access  Private
+router.post('/:id/cancel', [
+  auth,
+  tenantMiddleware,
+  requirePermission('update_inventory'),
+  ...validateTransferId,
+  body('reason').optional().isString().trim().isLength({ max: 500 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const transfer = await stockTransferService.cancelTransfer(req.params.id, req.body.reason, req.user._id, tenantId);
+    res.json({ success: true, data: transfer });
+  } catch (error) {
+    handleError(res, error, 'Cancel stock transfer');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,217 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenantMiddleware');
+const stocktakeService = require('../services/stocktakeService');
+const logger = require('../utils/logger');
+
+// Messages from stocktakeService that describe a rejected request rather than a fault
+const CLIENT_ERRORS = [
+  'Warehouse is inactive',
+  'Nothing to count in this scope',
+  'Counting is closed for this stocktake',
+  'Counted quantity cannot be negative',
+  'No counts given',
+  'Only reviewed stocktakes can be posted',
+  'Only open stocktakes can be cancelled'
+];
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const handleError = (res, error, action) => {
+  if (error.message === 'Stocktake not found' || error.message === 'Warehouse not found') {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (error.name === 'VersionError') {
+    return res.status(409).json({ success: false, message: 'Stocktake was updated by someone else, please retry' });
+  }
+  if (CLIENT_ERRORS.includes(error.message) ||
+      error.message.startsWith('Insufficient stock') ||
+      /^(Fiscal year|Period) .* (is closed|is locked)\./.test(error.message) ||
+      / (is not on this stocktake|is not expected in bin|specify the bin|does not need a recount|have not been counted|still need a recount)/.test(error.message)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  logger.error(`${action} error:`, { error: error });
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+const validateStocktakeId = [param('id').isMongoId().withMessage('Valid stocktake ID is required')];
+
+// @route   GET /api/stocktakes
+// @desc    List stocktakes
+// @access  Private
+router.get('/', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_inventory'),
+  query('status').optional().isIn(['counting', 'recount', 'review', 'posted', 'cancelled']),
+  query('warehouse').optional().isMongoId(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const result = await stocktakeService.getStocktakes({
+      status: req.query.status,
+      warehouse: req.query.warehouse,
+      page: parseInt(req.query.page || '1', 10),
+      limit: parseInt(req.query.limit || '20', 10)
+    }, tenantId);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error, 'List stocktakes');
+  }
+});
+
+// @route   POST /api/stocktakes
+// @desc    Start a full or cycle count; system quantities are frozen now
+// @access  Private
+router.post('/', [
+  auth,
+  tenantMiddleware,
+  requirePermission('post_stocktakes'),
+  body('name').optional().isString().trim().isLength({ max: 150 }),
+  body('type').optional().isIn(['full', 'cycle']).withMessage('Type must be full or cycle'),
+  body('warehouse').optional({ nullable: true }).isMongoId().withMessage('Invalid warehouse'),
+  body('scope.categories').optional().isArray(),
+  body('scope.categories.*').optional().isMongoId().withMessage('Invalid category'),
+  body('scope.bins').optional().isArray(),
+  body('scope.bins.*').optional().isString().trim().isLength({ max: 50 }),
+  body('scope.abcClasses').optional().isArray(),
+  body('scope.abcClasses.*').optional().isIn(['A', 'B', 'C']).withMessage('ABC class must be A, B or C'),
+  body('sheetBy').optional().isIn(['none', 'category', 'location', 'abc']),
+  body('blind').optional().isBoolean(),
+  body('recountThreshold.quantity').optional().isFloat({ min: 0 }),
+  body('recountThreshold.percent').optional().isFloat({ min: 0 }),
+  body('notes').optional().isString().trim().isLength({ max: 1000 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const stocktake = await stocktakeService.createStocktake(req.body, req.user, tenantId);
+    res.status(201).json({ success: true, data: stocktake });
+  } catch (error) {
+    handleError(res, error, 'Create stocktake');
+  }
+});
+
+// @route   GET /api/stocktakes/:id
+// @desc    Stocktake with its items, optionally one count sheet. System quantities of blind
+//          counts are only shown to users who can post stocktakes.
+// @access  Private
+router.get('/:id', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_inventory'),
+  ...validateStocktakeId,
+  query('sheet').optional().isString().trim().isLength({ max: 150 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const stocktake = await stocktakeService.getStocktakeById(req.params.id, tenantId, {
+      reveal: req.user.hasPermission('post_stocktakes'),
+      sheet: req.query.sheet
+    });
+    res.json({ success: true, data: stocktake });
+  } catch (error) {
+    handleError(res, error, 'Get stocktake');
+  }
+});
+
+// @route   POST /api/stocktakes/:id/counts
+// @desc    Record counts by product or scanned code; 'add' mode adds to the running count
+// @access  Private
+router.post('/:id/counts', [
+  auth,
+  tenantMiddleware,
+  requirePermission('update_inventory'),
+  ...validateStocktakeId,
+  body('mode').optional().isIn(['add', 'set']),
+  body('counts').isArray({ min: 1 }).withMessage('At least one count is required'),
+  body('counts.*.product').optional().isMongoId(),
+  body('counts.*.code').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  body('counts.*.bin').optional({ nullable: true }).isString().trim().isLength({ max: 50 }),
+  body('counts.*.quantity').optional().isFloat({ min: 0 }).withMessage('Counted quantity cannot be negative'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const result = await stocktakeService.recordCounts(req.params.id, req.body, req.user, tenantId);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error, 'Record stocktake counts');
+  }
+});
+
+// @route   POST /api/stocktakes/:id/finish-counting
+// @desc    Close the counting round; large variances go back for a recount
+// @access  Private
+router.post('/:id/finish-counting', [
+  auth,
+  tenantMiddleware,
+  requirePermission('post_stocktakes'),
+  ...validateStocktakeId,
+  body('uncountedAsZero').optional().isBoolean(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const stocktake = await stocktakeService.finishCounting(req.params.id, req.body, req.user, tenantId);
+    res.json({ success: true, data: stocktake });
+  } catch (error) {
+    handleError(res, error, 'Finish stocktake counting');
+  }
+});
+
+// @route   POST /api/stocktakes/:id/post
+// @desc    Post all variances as adjustments with a shrinkage journal entry
+// @access  Private
+router.post('/:id/post', [
+  auth,
+  tenantMiddleware,
+  requirePermission('post_stocktakes'),
+  ...validateStocktakeId,
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const stocktake = await stocktakeService.postStocktake(req.params.id, req.user, tenantId);
+    res.json({ success: true, data: stocktake });
+  } catch (error) {
+    handleError(res, error, 'Post stocktake');
+  }
+});
+
+// @route   POST /api/stocktakes/:id/cancel
+// @desc    Abandon an open stocktake
+// @access  Private
+router.post('/:id/cancel', [
+  auth,
+  tenantMiddleware,
+  requirePermission('post_stocktakes'),
+  ...validateStocktakeId,
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const stocktake = await stocktakeService.cancelStocktake(req.params.id, req.user._id, tenantId);
+    res.json({ success: true, data: stocktake });
+  } catch (error) {
+    handleError(res, error, 'Cancel stocktake');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,197 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenantMiddleware');
+const supplierCatalogService = require('../services/supplierCatalogService');
+const logger = require('../utils/logger');
+
+// Messages from supplierCatalogService and the SupplierProduct model that describe a rejected request rather than a fault
+const CLIENT_ERRORS = [
+  'Product is already in this supplier\'s catalog',
+  'Valid until must be on or after valid from'
+];
+
+const NOT_FOUND = ['Catalog entry not found', 'Supplier not found', 'Product not found'];
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const handleError = (res, error, action) => {
+  if (NOT_FOUND.includes(error.message)) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (CLIENT_ERRORS.includes(error.message) || error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  logger.error(`${action} error:`, { error: error });
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+const validateEntry = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    body('supplierSku').optional().isString().trim().isLength({ max: 50 }),
+    body('packSize').optional().isInt({ min: 1 }).withMessage('Pack size must be at least 1').toInt(),
+    body('moq').optional().isInt({ min: 1 }).withMessage('Minimum order quantity must be at least 1').toInt(),
+    field('price').isFloat({ min: 0 }).withMessage('Price must be positive').toFloat(),
+    body('validFrom').optional().isISO8601().withMessage('Valid date required'),
+    body('validUntil').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Valid date required'),
+    body('leadTimeDays').optional({ nullable: true }).isInt({ min: 0, max: 365 }).withMessage('Lead time must be 0-365 days').toInt(),
+    body('isPreferred').optional().isBoolean().toBoolean(),
+    body('isActive').optional().isBoolean().toBoolean(),
+    body('notes').optional().isString().trim().isLength({ max: 500 })
+  ];
+};
+
+// @route   GET /api/supplier-catalog
+// @desc    List supplier catalog entries
+// @access  Private
+router.get('/', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_suppliers'),
+  query('supplier').optional().isMongoId(),
+  query('product').optional().isMongoId(),
+  query('isActive').optional().isBoolean(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const result = await supplierCatalogService.getCatalog(req.query, tenantId);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error, 'List supplier catalog');
+  }
+});
+
+// @route   GET /api/supplier-catalog/performance
+// @desc    Supplier on-time delivery, fill rate and measured lead time over a period
+// @access  Private
+router.get('/performance', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_suppliers'),
+  query('startDate').optional().isISO8601().toDate(),
+  query('endDate').optional().isISO8601().toDate(),
+  query('supplier').optional().isMongoId(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const { startDate, endDate, supplier } = req.query;
+    const performance = await supplierCatalogService.getSupplierPerformance(tenantId, {
+      startDate,
+      ...(endDate ? { endDate } : {}),
+      suppliers: supplier ? [supplier] : null
+    });
+    res.json({ success: true, data: performance });
+  } catch (error) {
+    handleError(res, error, 'Get supplier performance');
+  }
+});
+
+// @route   GET /api/supplier-catalog/product/:productId/suppliers
+// @desc    Rank a product's catalog suppliers the way auto purchase orders choose them
+// @access  Private
+router.get('/product/:productId/suppliers', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_suppliers'),
+  param('productId').isMongoId().withMessage('Valid product ID is required'),
+  query('preference').optional().isIn(['primary', 'cheapest', 'fastest']),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const ranked = await supplierCatalogService.rankSuppliers(req.params.productId, tenantId, {
+      preference: req.query.preference
+    });
+    res.json({
+      success: true,
+      data: ranked.map(({ entry, supplier, price, leadTime, reliability, score }) => ({
+        _id: entry._id,
+        supplier: { _id: supplier._id, companyName: supplier.companyName },
+        price,
+        leadTime,
+        reliability,
+        score
+      }))
+    });
+  } catch (error) {
+    handleError(res, error, 'Rank product suppliers');
+  }
+});
+
+// @route   POST /api/supplier-catalog
+// @desc    Add a product to a supplier's catalog
+// @access  Private
+router.post('/', [
+  auth,
+  tenantMiddleware,
+  requirePermission('edit_suppliers'),
+  body('supplier').isMongoId().withMessage('Valid supplier is required'),
+  body('product').isMongoId().withMessage('Valid product is required'),
+  ...validateEntry(false),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const entry = await supplierCatalogService.createEntry(req.body, req.user._id, tenantId);
+    res.status(201).json({ success: true, data: entry });
+  } catch (error) {
+    handleError(res, error, 'Create supplier catalog entry');
+  }
+});
+
+// @route   PUT /api/supplier-catalog/:id
+// @desc    Update a catalog entry's terms
+// @access  Private
+router.put('/:id', [
+  auth,
+  tenantMiddleware,
+  requirePermission('edit_suppliers'),
+  param('id').isMongoId().withMessage('Valid catalog entry ID is required'),
+  ...validateEntry(true),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const entry = await supplierCatalogService.updateEntry(req.params.id, req.body, req.user._id, tenantId);
+    res.json({ success: true, data: entry });
+  } catch (error) {
+    handleError(res, error, 'Update supplier catalog entry');
+  }
+});
+
+// @route   DELETE /api/supplier-catalog/:id
+// @desc    Remove a catalog entry
+// @access  Private
+router.delete('/:id', [
+  auth,
+  tenantMiddleware,
+  requirePermission('edit_suppliers'),
+  param('id').isMongoId().withMessage('Valid catalog entry ID is required'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    await supplierCatalogService.deleteEntry(req.params.id, tenantId);
+    res.json({ success: true, message: 'Catalog entry removed' });
+  } catch (error) {
+    handleError(res, error, 'Delete supplier catalog entry');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,210 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const path = require('path');
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenantMiddleware');
+const taxReturnService = require('../services/taxReturnService');
+const exportService = require('../services/exportService');
+const logger = require('../utils/logger');
+
+// Messages from taxReturnService that describe a rejected request rather than a fault
+const CLIENT_ERRORS = [
+  'Valid start and end dates are required',
+  'Start date must be before end date',
+  'Only draft tax returns can be recalculated',
+  'Tax return is already filed'
+];
+
+const EXPORT_TYPES = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf'
+};
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const handleError = (res, error, action) => {
+  if (error.message === 'Tax return not found') {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (CLIENT_ERRORS.includes(error.message) || / is already filed for this period$/.test(error.message) ||
+    /^Fiscal year \d+ is closed$/.test(error.message) || /^Tax return ends partway through period /.test(error.message)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  logger.error(`${action} error:`, { error: error });
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// Write the report through exportService and stream it back
+const sendExport = async (res, report, format, label) => {
+  const { headers, rows } = taxReturnService.exportRows(report);
+  const filename = exportService.generateFilename(`tax-return-${label}`, format);
+  const title = `Tax Return ${label}`;
+  const subtitle = `Period: ${exportService.formatDate(report.periodStart)} to ${exportService.formatDate(report.periodEnd)}`;
+
+  let filepath;
+  if (format === 'csv') {
+    filepath = await exportService.exportToCSV(rows, headers, filename);
+  } else if (format === 'xlsx') {
+    filepath = await exportService.exportToExcel(rows, { headers, sheetName: 'Tax Return', filename, title, subtitle });
+  } else {
+    filepath = await exportService.exportToPDF(rows, { headers, filename, title, subtitle });
+  }
+
+  res.setHeader('Content-Type', EXPORT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.sendFile(path.resolve(filepath));
+
+  setTimeout(() => {
+    if (fs.existsSync(filepath)) {
+      fs.unlinkSync(filepath);
+    }
+  }, 60000);
+};
+
+const validateReturnId = [param('id').isMongoId().withMessage('Valid tax return ID is required')];
+const validateFormat = query('format').optional().isIn(Object.keys(EXPORT_TYPES)).withMessage('Format must be csv, xlsx or pdf');
+
+// @route   GET /api/tax-returns/report
+// @desc    Preview the tax return for a period, or export it with ?format=csv|xlsx|pdf
+// @access  Private
+router.get('/report', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_reports'),
+  query('startDate').isISO8601().withMessage('Valid start date is required'),
+  query('endDate').isISO8601().withMessage('Valid end date is required'),
+  validateFormat,
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const report = await taxReturnService.buildReport({
+      startDate: req.query.startDate,
+      endDate: req.query.endDate
+    }, tenantId);
+    if (req.query.format) {
+      return await sendExport(res, report, req.query.format, exportService.formatDate(report.periodStart).replace(/\//g, '-'));
+    }
+    res.json({ success: true, data: report });
+  } catch (error) {
+    handleError(res, error, 'Tax return report');
+  }
+});
+
+// @route   GET /api/tax-returns
+// @desc    List tax returns
+// @access  Private
+router.get('/', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_reports'),
+  query('status').optional().isIn(['draft', 'filed']),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const taxReturns = await taxReturnService.getReturns({ status: req.query.status }, tenantId);
+    res.json({ success: true, data: taxReturns });
+  } catch (error) {
+    handleError(res, error, 'List tax returns');
+  }
+});
+
+// @route   POST /api/tax-returns
+// @desc    Save a draft tax return for a period
+// @access  Private
+router.post('/', [
+  auth,
+  tenantMiddleware,
+  requirePermission('file_tax_returns'),
+  body('startDate').isISO8601().withMessage('Valid start date is required'),
+  body('endDate').isISO8601().withMessage('Valid end date is required'),
+  body('notes').optional().isString().trim().isLength({ max: 1000 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const taxReturn = await taxReturnService.createReturn(req.body, req.user._id, tenantId);
+    res.status(201).json({ success: true, data: taxReturn });
+  } catch (error) {
+    handleError(res, error, 'Create tax return');
+  }
+});
+
+// @route   GET /api/tax-returns/:id
+// @desc    Tax return with supporting documents, or export it with ?format=csv|xlsx|pdf
+// @access  Private
+router.get('/:id', [
+  auth,
+  tenantMiddleware,
+  requirePermission('view_reports'),
+  ...validateReturnId,
+  validateFormat,
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const taxReturn = await taxReturnService.getReturn(req.params.id, tenantId);
+    if (req.query.format) {
+      return await sendExport(res, taxReturn, req.query.format, taxReturn.returnNumber);
+    }
+    res.json({ success: true, data: taxReturn });
+  } catch (error) {
+    handleError(res, error, 'Get tax return');
+  }
+});
+
+// @route   POST /api/tax-returns/:id/recalculate
+// @desc    Refresh a draft return's figures
+// @access  Private
+router.post('/:id/recalculate', [
+  auth,
+  tenantMiddleware,
+  requirePermission('file_tax_returns'),
+  ...validateReturnId,
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const taxReturn = await taxReturnService.recalculateReturn(req.params.id, tenantId);
+    res.json({ success: true, data: taxReturn });
+  } catch (error) {
+    handleError(res, error, 'Recalculate tax return');
+  }
+});
+
+// @route   POST /api/tax-returns/:id/file
+// @desc    File a draft return and lock its accounting period
+// @access  Private
+router.post('/:id/file', [
+  auth,
+  tenantMiddleware,
+  requirePermission('file_tax_returns'),
+  ...validateReturnId,
+  body('filingReference').optional().isString().trim().isLength({ max: 100 }),
+  body('notes').optional().isString().trim().isLength({ max: 1000 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const taxReturn = await taxReturnService.fileReturn(req.params.id, req.body, req.user, tenantId);
+    res.json({ success: true, data: taxReturn });
+  } catch (error) {
+    handleError(res, error, 'File tax return');
+  }
+});
+
+module.exports = router;
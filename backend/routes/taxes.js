@@ -0,0 +1,211 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenantMiddleware');
+const taxEngineService = require('../services/taxEngineService');
+const logger = require('../utils/logger');
+
+// Messages from taxEngineService that describe a rejected request rather than a fault
+const CLIENT_ERRORS = [
+  'Tax code already exists',
+  'Tax group already exists'
+];
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const handleError = (res, error, action) => {
+  if (error.message === 'Tax code not found' || error.message === 'Tax group not found') {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (CLIENT_ERRORS.includes(error.message) || error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  logger.error(`${action} error:`, { error: error });
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+const validateTaxCode = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name is required'),
+    body('appliesTo').optional().isIn(['sales', 'purchase', 'both']).withMessage('Applies to must be sales, purchase or both'),
+    field('rates').isArray({ min: 1 }).withMessage('At least one rate is required'),
+    body('rates.*.rate').isFloat({ min: 0, max: 1 }).withMessage('Rate must be between 0 and 1'),
+    body('rates.*.effectiveFrom').isISO8601().withMessage('Valid effective date is required'),
+    body('compound').optional().isBoolean(),
+    body('withholding').optional().isBoolean(),
+    body('recoverable').optional().isBoolean(),
+    body('exemptCategories').optional().isArray(),
+    body('exemptCategories.*').optional().isString().trim().isLength({ min: 1, max: 50 }),
+    body('payableAccount').optional({ nullable: true }).isString().trim().isLength({ max: 50 }),
+    body('receivableAccount').optional({ nullable: true }).isString().trim().isLength({ max: 50 }),
+    body('isActive').optional().isBoolean()
+  ];
+};
+
+const validateTaxGroup = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name is required'),
+    field('taxCodes').isArray({ min: 1 }).withMessage('A tax group needs at least one tax code'),
+    body('taxCodes.*').isMongoId().withMessage('Invalid tax code'),
+    body('isActive').optional().isBoolean()
+  ];
+};
+
+// @route   GET /api/taxes/codes
+// @desc    List tax codes
+// @access  Private
+router.get('/codes', [
+  auth,
+  tenantMiddleware,
+  query('isActive').optional().isBoolean(),
+  query('appliesTo').optional().isIn(['sales', 'purchase']),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const taxCodes = await taxEngineService.getTaxCodes(req.query, tenantId);
+    res.json({ success: true, data: taxCodes });
+  } catch (error) {
+    handleError(res, error, 'List tax codes');
+  }
+});
+
+// @route   POST /api/taxes/codes
+// @desc    Create a tax code
+// @access  Private
+router.post('/codes', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_settings'),
+  body('code').isString().trim().isLength({ min: 1, max: 20 }).withMessage('Code is required'),
+  ...validateTaxCode(false),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const taxCode = await taxEngineService.createTaxCode(req.body, req.user._id, tenantId);
+    res.status(201).json({ success: true, data: taxCode });
+  } catch (error) {
+    handleError(res, error, 'Create tax code');
+  }
+});
+
+// @route   PUT /api/taxes/codes/:id
+// @desc    Update a tax code; add a new effective-dated rate for rate changes
+// @access  Private
+router.put('/codes/:id', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_settings'),
+  param('id').isMongoId().withMessage('Valid tax code ID is required'),
+  ...validateTaxCode(true),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const taxCode = await taxEngineService.updateTaxCode(req.params.id, req.body, tenantId);
+    res.json({ success: true, data: taxCode });
+  } catch (error) {
+    handleError(res, error, 'Update tax code');
+  }
+});
+
+// @route   GET /api/taxes/groups
+// @desc    List tax groups with their codes
+// @access  Private
+router.get('/groups', [auth, tenantMiddleware], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const groups = await taxEngineService.getTaxGroups(tenantId);
+    res.json({ success: true, data: groups });
+  } catch (error) {
+    handleError(res, error, 'List tax groups');
+  }
+});
+
+// @route   POST /api/taxes/groups
+// @desc    Create a tax group; tax codes apply in the order given
+// @access  Private
+router.post('/groups', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_settings'),
+  body('code').isString().trim().isLength({ min: 1, max: 20 }).withMessage('Code is required'),
+  ...validateTaxGroup(false),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const group = await taxEngineService.createTaxGroup(req.body, req.user._id, tenantId);
+    res.status(201).json({ success: true, data: group });
+  } catch (error) {
+    handleError(res, error, 'Create tax group');
+  }
+});
+
+// @route   PUT /api/taxes/groups/:id
+// @desc    Update a tax group
+// @access  Private
+router.put('/groups/:id', [
+  auth,
+  tenantMiddleware,
+  requirePermission('manage_settings'),
+  param('id').isMongoId().withMessage('Valid tax group ID is required'),
+  ...validateTaxGroup(true),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const group = await taxEngineService.updateTaxGroup(req.params.id, req.body, tenantId);
+    res.json({ success: true, data: group });
+  } catch (error) {
+    handleError(res, error, 'Update tax group');
+  }
+});
+
+// @route   POST /api/taxes/calculate
+// @desc    Preview the taxes on a set of lines without saving anything
+// @access  Private
+router.post('/calculate', [
+  auth,
+  tenantMiddleware,
+  body('lines').isArray({ min: 1 }).withMessage('Lines are required'),
+  body('lines.*.amount').isFloat({ min: 0 }).withMessage('Amount must be positive'),
+  body('lines.*.taxGroup').optional({ nullable: true }).isMongoId().withMessage('Invalid tax group'),
+  body('lines.*.taxRate').optional().isFloat({ min: 0, max: 1 }).withMessage('Tax rate must be between 0 and 1'),
+  body('lines.*.priceIncludesTax').optional().isBoolean(),
+  body('direction').optional().isIn(['sales', 'purchase']),
+  body('date').optional().isISO8601(),
+  body('customerCategory').optional({ nullable: true }).isString().trim().isLength({ max: 50 }),
+  body('isTaxExempt').optional().isBoolean(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    const result = await taxEngineService.calculate({
+      lines: req.body.lines,
+      direction: req.body.direction,
+      date: req.body.date ? new Date(req.body.date) : undefined,
+      customerCategory: req.body.customerCategory,
+      isTaxExempt: req.body.isTaxExempt
+    }, tenantId);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error, 'Calculate taxes');
+  }
+});
+
+module.exports = router;
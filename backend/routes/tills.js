@@ -1,5 +1,5 @@
 const express = require('express');
-const { body, query } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { auth, requireAnyPermission } = require('../middleware/auth');
 const { tenantMiddleware } = require('../middleware/tenantMiddleware');
 const tillService = require('../services/tillService');
@@ -46,24 +46,95 @@ router.post('/close', [
   auth,
   tenantMiddleware,
   requireAnyPermission(['close_till']),
-  body('closingDeclaredAmount').isFloat({ min: 0 }).withMessage('closingDeclaredAmount must be >= 0'),
-  body('expectedAmount').optional().isFloat({ min: 0 }),
+  body('closingDeclaredAmount').optional().isFloat({ min: 0 }).withMessage('closingDeclaredAmount must be >= 0'),
+  body('denominations').optional().isArray(),
+  body('denominations.*.value').optional().isFloat({ gt: 0 }).withMessage('Denomination value must be > 0'),
+  body('denominations.*.count').optional().isInt({ min: 0 }).withMessage('Denomination count must be >= 0'),
   body('notesClose').optional().isString(),
 ], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
     const tenantId = req.tenantId || req.user?.tenantId;
     if (!tenantId) {
       return res.status(400).json({ message: 'Tenant ID is required' });
     }
     const session = await tillService.closeTill({
       closingDeclaredAmount: req.body.closingDeclaredAmount,
-      expectedAmount: req.body.expectedAmount,
+      denominations: req.body.denominations,
       notesClose: req.body.notesClose
     }, req.user._id, tenantId);
     
     res.json({ success: true, data: session });
   } catch (err) {
-    if (err.message === 'No open till to close') {
+    if (['No open till to close', 'Invalid denomination count', 'Closing amount or denomination count is required'].includes(err.message)) {
+      return res.status(400).json({ message: err.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Mid-shift X report for the current user's open till; stored with the session
+router.post('/x-report', [
+  auth,
+  tenantMiddleware,
+  requireAnyPermission(['view_till', 'close_till'])
+], async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    if (!tenantId) {
+      return res.status(400).json({ message: 'Tenant ID is required' });
+    }
+    const { report } = await tillService.generateXReport(req.user._id, tenantId);
+    res.json({ success: true, data: report });
+  } catch (err) {
+    if (err.message === 'No open till session') {
+      return res.status(400).json({ message: err.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Pay-in / pay-out / cash drop against the current user's open till
+router.post('/movements', [
+  auth,
+  tenantMiddleware,
+  requireAnyPermission(['open_till', 'close_till']),
+  body('type').isIn(['pay_in', 'pay_out', 'cash_drop']).withMessage('type must be pay_in, pay_out or cash_drop'),
+  body('amount').isFloat({ gt: 0 }).withMessage('amount must be > 0'),
+  body('reason').isString().trim().notEmpty().withMessage('reason is required'),
+  body('approvedBy').optional().isMongoId(),
+  body('counterAccount').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const tenantId = req.tenantId || req.user?.tenantId;
+    if (!tenantId) {
+      return res.status(400).json({ message: 'Tenant ID is required' });
+    }
+    const { movement } = await tillService.recordCashMovement({
+      type: req.body.type,
+      amount: req.body.amount,
+      reason: req.body.reason,
+      approvedBy: req.body.approvedBy,
+      counterAccount: req.body.counterAccount
+    }, req.user._id, tenantId);
+
+    res.status(201).json({ success: true, data: movement });
+  } catch (err) {
+    if ([
+      'No open till session',
+      'Movement amount must be greater than zero',
+      'A reason is required for cash movements',
+      'Cash movements cannot be self-approved',
+      'Approver not found',
+      'Movement exceeds expected cash in drawer'
+    ].includes(err.message) || /^(Fiscal year|Period) .* (is closed|is locked)\./.test(err.message)) {
       return res.status(400).json({ message: err.message });
     }
     res.status(500).json({ success: false, message: 'Server error' });
@@ -89,6 +160,62 @@ router.get('/variance', [
   }
 });
 
+router.get('/:id', [
+  auth,
+  tenantMiddleware,
+  requireAnyPermission(['view_till', 'close_till', 'open_till']),
+  param('id').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const tenantId = req.tenantId || req.user?.tenantId;
+    if (!tenantId) {
+      return res.status(400).json({ message: 'Tenant ID is required' });
+    }
+    const session = await tillService.getSessionById(req.params.id, tenantId);
+    res.json({ success: true, data: session });
+  } catch (err) {
+    if (err.message === 'Till session not found') {
+      return res.status(404).json({ message: err.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Printable X/Z report (80mm receipt PDF)
+router.get('/:id/reports/:reportId/print', [
+  auth,
+  tenantMiddleware,
+  requireAnyPermission(['view_till', 'close_till']),
+  param('id').isMongoId(),
+  param('reportId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const tenantId = req.tenantId || req.user?.tenantId;
+    if (!tenantId) {
+      return res.status(400).json({ message: 'Tenant ID is required' });
+    }
+    const session = await tillService.getSessionById(req.params.id, tenantId);
+    const pdf = await tillService.renderReportPdf(session, req.params.reportId);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="till-report-${req.params.reportId}.pdf"`);
+    res.send(pdf);
+  } catch (err) {
+    if (err.message === 'Till session not found' || err.message === 'Till report not found') {
+      return res.status(404).json({ message: err.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 module.exports = router;
 
 
@@ -4,6 +4,7 @@ const { auth, requirePermission } = require('../middleware/auth');
 const { tenantMiddleware } = require('../middleware/tenantMiddleware');
 const { sanitizeRequest } = require('../middleware/validation');
 const warehouseService = require('../services/warehouseService');
+const warehouseStockService = require('../services/warehouseStockService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -112,6 +113,29 @@ const handleValidation = (req, res, next) => {
   next();
 };
 
+const handleStockError = (res, error, action) => {
+  if (error.message === 'Warehouse not found') {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (error.message === 'Warehouse is inactive' ||
+      error.message === 'Source and destination bin must differ' ||
+      error.message.startsWith('Insufficient stock')) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  logger.error(`Error ${action}:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Server error ${action}`,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+};
+
+const validateProductId = [
+  param('productId')
+    .isMongoId()
+    .withMessage('Valid product ID is required'),
+];
+
 router.get(
   '/',
   [
@@ -157,6 +181,31 @@ router.get(
   }
 );
 
+router.get(
+  '/stock/by-product/:productId',
+  [
+    auth,
+    tenantMiddleware,
+    requirePermission('view_inventory'),
+    sanitizeRequest,
+    ...validateProductId,
+    handleValidation,
+  ],
+  async (req, res) => {
+    try {
+      const tenantId = req.tenantId || req.user?.tenantId;
+      const stock = await warehouseStockService.getProductStock(req.params.productId, tenantId);
+
+      res.json({
+        success: true,
+        data: stock,
+      });
+    } catch (error) {
+      handleStockError(res, error, 'fetching product stock by warehouse');
+    }
+  }
+);
+
 router.get(
   '/:id',
   [
@@ -301,6 +350,100 @@ router.put(
   }
 );
 
+router.get(
+  '/:id/stock',
+  [
+    auth,
+    tenantMiddleware,
+    requirePermission('view_inventory'),
+    sanitizeRequest,
+    ...validateWarehouseId,
+    query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+    handleValidation,
+  ],
+  async (req, res) => {
+    try {
+      const tenantId = req.tenantId || req.user?.tenantId;
+      const result = await warehouseStockService.getWarehouseStock(req.params.id, {
+        page: parseInt(req.query.page || '1', 10),
+        limit: parseInt(req.query.limit || '50', 10)
+      }, tenantId);
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      handleStockError(res, error, 'fetching warehouse stock');
+    }
+  }
+);
+
+router.put(
+  '/:id/stock/:productId/levels',
+  [
+    auth,
+    tenantMiddleware,
+    requirePermission('update_inventory'),
+    sanitizeRequest,
+    ...validateWarehouseId,
+    ...validateProductId,
+    body('reorderPoint').optional().isFloat({ min: 0 }).withMessage('Reorder point must be a positive number'),
+    body('reorderQuantity').optional().isFloat({ min: 1 }).withMessage('Reorder quantity must be at least 1'),
+    body('maxStock').optional().isFloat({ min: 0 }).withMessage('Max stock must be a positive number'),
+    handleValidation,
+  ],
+  async (req, res) => {
+    try {
+      const tenantId = req.tenantId || req.user?.tenantId;
+      const levels = await warehouseStockService.updateLevels(req.params.productId, req.params.id, req.body, tenantId);
+
+      res.json({
+        success: true,
+        data: levels,
+      });
+    } catch (error) {
+      handleStockError(res, error, 'updating warehouse stock levels');
+    }
+  }
+);
+
+router.post(
+  '/:id/stock/:productId/move-bin',
+  [
+    auth,
+    tenantMiddleware,
+    requirePermission('update_inventory'),
+    sanitizeRequest,
+    ...validateWarehouseId,
+    ...validateProductId,
+    body('fromBin').optional().isString().trim().isLength({ max: 50 }),
+    body('toBin').optional().isString().trim().isLength({ max: 50 }),
+    body('quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0'),
+    handleValidation,
+  ],
+  async (req, res) => {
+    try {
+      const tenantId = req.tenantId || req.user?.tenantId;
+      const rows = await warehouseStockService.moveBin({
+        product: req.params.productId,
+        warehouse: req.params.id,
+        fromBin: req.body.fromBin,
+        toBin: req.body.toBin,
+        quantity: Number(req.body.quantity)
+      }, tenantId);
+
+      res.json({
+        success: true,
+        data: rows,
+      });
+    } catch (error) {
+      handleStockError(res, error, 'moving stock between bins');
+    }
+  }
+);
+
 router.delete(
   '/:id',
   [
@@ -179,6 +179,11 @@ app.use('/api/cash-payments', require('./routes/cashPayments'));
 app.use('/api/bank-receipts', require('./routes/bankReceipts'));
 app.use('/api/bank-payments', require('./routes/bankPayments'));
 app.use('/api/banks', require('./routes/banks'));
+app.use('/api/bank-reconciliation', require('./routes/bankReconciliation')); // Bank statement import, matching and reconciliation statements
+app.use('/api/currencies', require('./routes/currencies')); // Exchange rates and month-end foreign currency revaluation
+app.use('/api/recurring-journals', require('./routes/recurringJournals')); // Recurring journal voucher and expense templates
+app.use('/api/amortization-schedules', require('./routes/amortizationSchedules')); // Prepaid expense and deferred revenue amortization
+app.use('/api/fixed-assets', require('./routes/fixedAssets')); // Fixed asset register, depreciation runs and asset schedule
 app.use('/api/settings', require('./routes/settings'));
 app.use('/api/chart-of-accounts', require('./routes/chartOfAccounts'));
 app.use('/api/opening-balances', require('./routes/openingBalances')); // Opening balance journal entries
@@ -204,6 +209,21 @@ app.use('/api/data-integrity', require('./routes/dataIntegrity')); // Data integ
 app.use('/api/financial-validation', require('./routes/financialValidation')); // Financial validation routes
 app.use('/api/audit-forensics', require('./routes/auditForensics')); // Audit forensics routes
 app.use('/api/financial-reports', require('./routes/financialReports')); // Financial reports (P&L, Balance Sheet from journal entries)
+app.use('/api/notifications', require('./routes/notifications')); // Notification inbox, subscriptions and delivery log
+app.use('/api/loyalty', require('./routes/loyalty')); // Loyalty program, points ledger and tiers
+app.use('/api/gift-cards', require('./routes/giftCards')); // Gift cards and store credit ledger
+app.use('/api/stock-transfers', require('./routes/stockTransfers')); // Inter-warehouse transfers with in-transit stock
+app.use('/api/stocktakes', require('./routes/stocktakes')); // Cycle counts and full stocktakes
+app.use('/api/taxes', require('./routes/taxes')); // Tax codes, groups and tax calculation
+app.use('/api/tax-returns', require('./routes/taxReturns')); // Periodic tax returns with input/output reconciliation
+app.use('/api/document-templates', require('./routes/documentTemplates')); // Invoice, order, return and receipt print templates
+app.use('/api/receipt-printer', require('./routes/receiptPrinter')); // ESC/POS receipts, network printers and cash drawer
+app.use('/api/quotations', require('./routes/quotations')); // Quotations with revisions, customer response and conversion
+app.use('/api/price-lists', require('./routes/priceLists')); // Price lists, contract pricing and price checks
+app.use('/api/promotions', require('./routes/promotions')); // Promotion rules and live cart evaluation
+app.use('/api/landed-costs', require('./routes/landedCosts')); // Freight, duty and clearing charges allocated to purchase invoices
+app.use('/api/demand-forecasts', require('./routes/demandForecasts')); // Seasonal demand forecasts, safety stock and reorder points
+app.use('/api/supplier-catalog', require('./routes/supplierCatalog')); // Supplier price catalogs, lead times and delivery performance
 
 // Health check endpoint (API version)
 app.get('/api/health', (req, res) => {
@@ -312,8 +332,8 @@ if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
       // Maintenance jobs (if exists)
       try {
         const maintenanceJobs = require('./jobs/maintenanceJobs');
-        if (maintenanceJobs && typeof maintenanceJobs.start === 'function') {
-          maintenanceJobs.start();
+        if (maintenanceJobs && typeof maintenanceJobs.setupMaintenanceJobs === 'function') {
+          maintenanceJobs.setupMaintenanceJobs();
           logger.info('Maintenance jobs started');
         }
       } catch (error) {
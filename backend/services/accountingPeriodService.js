@@ -3,6 +3,8 @@ const CustomerTransaction = require('../models/CustomerTransaction');
 const reconciliationService = require('./reconciliationService');
 const trialBalanceService = require('./trialBalanceService');
 const closingEntriesService = require('./closingEntriesService');
+const amortizationService = require('./amortizationService');
+const fixedAssetService = require('./fixedAssetService');
 
 class AccountingPeriodService {
   /**
@@ -105,6 +107,18 @@ class AccountingPeriodService {
         );
       }
 
+      // Recognize prepaid expenses, deferred revenue and depreciation due in the period so they
+      // are closed with it
+      const amortization = await amortizationService.runDue(tenantId, period.periodEnd, user._id);
+      if (amortization.failed > 0) {
+        throw new Error(`Cannot close period: ${amortization.failed} amortization line(s) could not be posted`);
+      }
+      try {
+        await fixedAssetService.runDue(tenantId, period.periodEnd, user._id);
+      } catch (depreciationError) {
+        throw new Error(`Cannot close period: depreciation could not be run: ${depreciationError.message}`);
+      }
+
       // CRITICAL: Generate closing entries if required
       const closingEntriesRequired = await closingEntriesService.areClosingEntriesRequired(periodId, tenantId);
       if (closingEntriesRequired) {
@@ -370,6 +370,8 @@ class AccountingService {
       
       const transactions = [];
       const accountCodes = await this.getDefaultAccountCodes(bankReceipt.tenantId);
+      // Foreign-currency accounts post the base-currency value
+      const amount = bankReceipt.baseAmount ?? bankReceipt.amount;
       
       // Debit: Bank Account
       const bankTransaction = await this.createTransaction({
@@ -377,12 +379,12 @@ class AccountingService {
         orderId: bankReceipt.order || null,
         paymentId: bankReceipt._id,
         type: 'sale',
-        amount: bankReceipt.amount,
+        amount: amount,
         currency: 'USD',
         status: 'completed',
         description: `Bank Receipt: ${bankReceipt.particular}`,
         accountCode: accountCodes.bank,
-        debitAmount: bankReceipt.amount,
+        debitAmount: amount,
         creditAmount: 0,
         reference: bankReceipt.transactionReference,
         customer: bankReceipt.customer,
@@ -398,13 +400,13 @@ class AccountingService {
           orderId: bankReceipt.order || null,
           paymentId: bankReceipt._id,
           type: 'sale',
-          amount: bankReceipt.amount,
+          amount: amount,
           currency: 'USD',
           status: 'completed',
           description: `Customer Payment: ${bankReceipt.particular}`,
           accountCode: accountCodes.accountsReceivable,
           debitAmount: 0,
-          creditAmount: bankReceipt.amount,
+          creditAmount: amount,
           reference: bankReceipt.transactionReference,
           customer: bankReceipt.customer,
           createdBy: bankReceipt.createdBy
@@ -417,13 +419,13 @@ class AccountingService {
           orderId: bankReceipt.order || null,
           paymentId: bankReceipt._id,
           type: 'sale',
-          amount: bankReceipt.amount,
+          amount: amount,
           currency: 'USD',
           status: 'completed',
           description: `Other Income: ${bankReceipt.particular}`,
           accountCode: accountCodes.otherRevenue,
           debitAmount: 0,
-          creditAmount: bankReceipt.amount,
+          creditAmount: amount,
           reference: bankReceipt.transactionReference,
           createdBy: bankReceipt.createdBy
         });
@@ -454,6 +456,8 @@ class AccountingService {
       
       const transactions = [];
       const accountCodes = await this.getDefaultAccountCodes(bankPayment.tenantId);
+      // Foreign-currency accounts post the base-currency value
+      const amount = bankPayment.baseAmount ?? bankPayment.amount;
       
       // Credit: Bank Account
       const bankTransaction = await this.createTransaction({
@@ -461,13 +465,13 @@ class AccountingService {
         orderId: bankPayment.order || null,
         paymentId: bankPayment._id,
         type: 'sale',
-        amount: bankPayment.amount,
+        amount: amount,
         currency: 'USD',
         status: 'completed',
         description: `Bank Payment: ${bankPayment.particular}`,
         accountCode: accountCodes.bank,
         debitAmount: 0,
-        creditAmount: bankPayment.amount,
+        creditAmount: amount,
         reference: bankPayment.transactionReference,
         supplier: bankPayment.supplier,
         customer: bankPayment.customer,
@@ -483,12 +487,12 @@ class AccountingService {
           orderId: bankPayment.order || null,
           paymentId: bankPayment._id,
           type: 'sale',
-          amount: bankPayment.amount,
+          amount: amount,
           currency: 'USD',
           status: 'completed',
           description: `Supplier Payment: ${bankPayment.particular}`,
           accountCode: accountCodes.accountsPayable,
-          debitAmount: bankPayment.amount,
+          debitAmount: amount,
           creditAmount: 0,
           reference: bankPayment.transactionReference,
           supplier: bankPayment.supplier,
@@ -502,12 +506,12 @@ class AccountingService {
           orderId: bankPayment.order || null,
           paymentId: bankPayment._id,
           type: 'refund',
-          amount: bankPayment.amount,
+          amount: amount,
           currency: 'USD',
           status: 'completed',
           description: `Customer Refund: ${bankPayment.particular}`,
           accountCode: accountCodes.accountsReceivable,
-          debitAmount: bankPayment.amount,
+          debitAmount: amount,
           creditAmount: 0,
           reference: bankPayment.transactionReference,
           customer: bankPayment.customer,
@@ -539,12 +543,12 @@ class AccountingService {
           orderId: bankPayment.order || null,
           paymentId: bankPayment._id,
           type: 'sale',
-          amount: bankPayment.amount,
+          amount: amount,
           currency: 'USD',
           status: 'completed',
           description: `Expense: ${bankPayment.particular}`,
           accountCode: expenseAccountCode,
-          debitAmount: bankPayment.amount,
+          debitAmount: amount,
           creditAmount: 0,
           reference: bankPayment.transactionReference,
           createdBy: bankPayment.createdBy
@@ -989,6 +993,70 @@ class AccountingService {
       throw error;
     }
   }
+
+  /**
+   * Post a till pay-in, pay-out or cash drop to the cash accounts
+   * pay_in: Dr Cash / Cr Cash in Safe
+   * pay_out: Dr expense (counter account or Petty Cash Expense) / Cr Cash
+   * cash_drop: Dr Cash in Safe / Cr Cash
+   * @param {Object} movement - Cash movement subdocument
+   * @param {Object} tillSession - Till session the movement belongs to
+   * @param {Object} session - Optional transaction session
+   * @returns {Promise<Object>} Created journal entry
+   */
+  static async recordTillCashMovement(movement, tillSession, session) {
+    const journalEntryService = require('./journalEntryService');
+    const ChartOfAccounts = require('../models/ChartOfAccounts');
+    const tenantId = tillSession.tenantId;
+    if (!tenantId) {
+      throw new Error('Tenant ID is required in tillSession');
+    }
+
+    try {
+      const cashAccount = await journalEntryService.getOrCreateAccount(tenantId, 'CASH', 'Cash', 'asset', 'current_assets', session);
+      const safeAccount = await journalEntryService.getOrCreateAccount(tenantId, 'CASH_SAFE', 'Cash in Safe', 'asset', 'current_assets', session);
+
+      let counterCode = safeAccount.accountCode;
+      if (movement.type === 'pay_out') {
+        let counterAccount = null;
+        if (movement.counterAccount) {
+          counterAccount = await ChartOfAccounts.findOne({ _id: movement.counterAccount, tenantId }, 'accountCode', { session });
+          if (!counterAccount) {
+            logger.warn(`Counter account ${movement.counterAccount} not found for till pay-out. Falling back to Petty Cash Expense.`);
+          }
+        }
+        counterAccount = counterAccount || await journalEntryService.getOrCreateAccount(
+          tenantId, 'PETTY_CASH_EXP', 'Petty Cash Expense', 'expense', 'operating_expenses', session
+        );
+        counterCode = counterAccount.accountCode;
+      }
+
+      const amount = movement.amount;
+      const cashIn = movement.type === 'pay_in';
+      const description = `Till ${movement.type.replace('_', ' ')}: ${movement.reason}`;
+
+      const entry = await journalEntryService.createJournalEntry({
+        tenantId,
+        entryDate: movement.createdAt || new Date(),
+        referenceType: 'cash_movement',
+        referenceId: movement._id,
+        referenceNumber: `TILL-${String(tillSession._id).slice(-6).toUpperCase()}-${String(movement._id).slice(-6).toUpperCase()}`,
+        description,
+        entries: [
+          { accountCode: cashIn ? cashAccount.accountCode : counterCode, debit: amount, credit: 0, description },
+          { accountCode: cashIn ? counterCode : cashAccount.accountCode, debit: 0, credit: amount, description }
+        ],
+        createdBy: movement.performedBy,
+        metadata: { tillSession: tillSession._id, movementType: movement.type }
+      }, { session });
+
+      logger.info(`Posted till ${movement.type} of ${amount} for session ${tillSession._id}`);
+      return entry;
+    } catch (error) {
+      logger.error('Error creating accounting entries for till cash movement:', error);
+      throw error;
+    }
+  }
 }
 
 module.exports = AccountingService;
@@ -0,0 +1,501 @@
+const AmortizationSchedule = require('../models/AmortizationSchedule');
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+const Sales = require('../models/Sales');
+const ChartOfAccountsRepository = require('../repositories/ChartOfAccountsRepository');
+const journalEntryService = require('./journalEntryService');
+const currencyService = require('./currencyService');
+const inventoryService = require('./inventoryService');
+const { runWithTransactionRetry } = require('./transactionUtils');
+const logger = require('../utils/logger');
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const ACCOUNTS = {
+  prepaid_expense: ['PREPAID_EXPENSES', 'Prepaid Expenses', 'asset', 'prepaid_expenses'],
+  deferred_revenue: ['DEFERRED_REVENUE', 'Deferred Revenue', 'liability', 'deferred_revenue']
+};
+
+// What each kind of document spreads, and the account its line first posted to
+const SOURCES = {
+  purchase_invoice: {
+    Model: PurchaseInvoice,
+    modelName: 'PurchaseInvoice',
+    type: 'prepaid_expense',
+    number: 'invoiceNumber',
+    label: 'Purchase invoice',
+    // createPurchaseEntries debits the whole invoice to inventory, so the units deferred are
+    // taken out of stock along with their cost
+    sourceAccountCode: 'INVENTORY',
+    fromStock: true,
+    recognitionType: 'expense',
+    lineAmount: (item) => item.totalCost || 0
+  },
+  sale: {
+    Model: Sales,
+    modelName: 'Sales',
+    type: 'deferred_revenue',
+    number: 'orderNumber',
+    label: 'Sale',
+    sourceAccountCode: 'SALES_REV',
+    recognitionType: 'revenue',
+    lineAmount: (item) => (item.subtotal || 0) - (item.discountAmount || 0)
+  }
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Last instant of the UTC month `offset` months after `date`
+const monthEnd = (date, offset = 0) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + offset + 1, 0, 23, 59, 59, 999));
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+class AmortizationService {
+  /**
+   * Split an amount into monthly recognition lines
+   * @param {number} total - Amount to spread
+   * @param {Date} startDate - First day covered
+   * @param {number} months - Months covered
+   * @param {string} method - 'equal' for the same amount each month, 'daily' for each
+   *   calendar month's share of the days covered
+   * @returns {Array<{periodEnd: Date, amount: number}>} The last line takes the rounding
+   */
+  buildLines(total, startDate, months, method = 'equal') {
+    const start = startOfDay(new Date(startDate));
+    let shares;
+    if (method === 'daily') {
+      const end = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + months, start.getUTCDate()));
+      const totalDays = Math.round((end - start) / DAY);
+      shares = [];
+      for (let offset = 0; ; offset++) {
+        const from = offset === 0 ? start : new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + offset, 1));
+        if (from >= end) break;
+        const to = new Date(Math.min(end.getTime(), Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + offset + 1, 1)));
+        shares.push({ periodEnd: monthEnd(start, offset), weight: Math.round((to - from) / DAY) / totalDays });
+      }
+    } else {
+      shares = Array.from({ length: months }, (_, offset) => ({ periodEnd: monthEnd(start, offset), weight: 1 / months }));
+    }
+
+    let remaining = roundMoney(total);
+    return shares.map(({ periodEnd, weight }, index) => {
+      const amount = index === shares.length - 1 ? remaining : roundMoney(total * weight);
+      remaining = roundMoney(remaining - amount);
+      return { periodEnd, amount };
+    });
+  }
+
+  /**
+   * Lines of a bill or invoice, with how much of each is already on a schedule
+   * @param {string} documentType - 'purchase_invoice' or 'sale'
+   * @param {string} reference - Invoice or order number
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async getSourceLines(documentType, reference, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const source = SOURCES[documentType];
+    const document = await source.Model.findOne({ tenantId, [source.number]: reference })
+      .populate('items.product', 'name');
+    if (!document) {
+      throw new Error(`${source.label} ${reference} not found`);
+    }
+    const scheduled = await this.scheduledByLine(document._id, tenantId);
+    return {
+      document: document._id,
+      reference: document[source.number],
+      date: document.createdAt,
+      type: source.type,
+      lines: document.items.map((item, lineIndex) => {
+        const amount = currencyService.toBase(source.lineAmount(item), document.exchangeRate || 1);
+        return {
+          lineIndex,
+          product: item.product?.name || item.name,
+          quantity: item.quantity,
+          amount,
+          scheduled: scheduled.get(lineIndex)?.amount || 0,
+          ...(source.fromStock && { scheduledQuantity: scheduled.get(lineIndex)?.quantity || 0 })
+        };
+      })
+    };
+  }
+
+  /**
+   * List schedules
+   * @param {object} filters - { type, status, document, page, limit }
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<{schedules: Array, pagination: object}>}
+   */
+  async getSchedules(filters = {}, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const { type, status, document, page = 1, limit = 50 } = filters;
+    const query = { tenantId };
+    if (type) query.type = type;
+    if (status) query.status = status;
+    if (document) query['source.document'] = document;
+
+    const [schedules, total] = await Promise.all([
+      AmortizationSchedule.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AmortizationSchedule.countDocuments(query)
+    ]);
+
+    return {
+      schedules,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Get a schedule
+   * @param {string} id - Schedule ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<AmortizationSchedule>}
+   */
+  async getSchedule(id, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const schedule = await AmortizationSchedule.findOne({ _id: id, tenantId });
+    if (!schedule) {
+      throw new Error('Amortization schedule not found');
+    }
+    return schedule;
+  }
+
+  /**
+   * Spread a bill or invoice line over the months it covers. The amount is moved off the
+   * account the line posted to (inventory for bills, sales revenue for invoices) into
+   * prepaid expenses or deferred revenue as of the document date, and recognized month by
+   * month from there. Bill lines are deferred by quantity and the units leave stock.
+   * @param {object} data - { documentType, document, lineIndex, amount, quantity, startDate, months,
+   *   method, recognitionAccountCode, sourceAccountCode, description }
+   * @param {string} userId - User creating the schedule
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<AmortizationSchedule>}
+   */
+  async createSchedule(data, userId, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const source = SOURCES[data.documentType];
+    const document = await source.Model.findOne({ _id: data.document, tenantId }).populate('items.product', 'name');
+    if (!document) {
+      throw new Error(`${source.label} not found`);
+    }
+    const item = document.items[data.lineIndex];
+    if (!item) {
+      throw new Error(`${source.label} ${document[source.number]} has no line ${Number(data.lineIndex) + 1}`);
+    }
+
+    const lineAmount = currencyService.toBase(source.lineAmount(item), document.exchangeRate || 1);
+    const taken = (await this.scheduledByLine(document._id, tenantId)).get(Number(data.lineIndex)) || { amount: 0, quantity: 0 };
+    let amount;
+    let quantity;
+    if (source.fromStock) {
+      if (data.amount) {
+        throw new Error('Stock lines are deferred by quantity, not amount');
+      }
+      if (data.sourceAccountCode && String(data.sourceAccountCode).toUpperCase() !== source.sourceAccountCode) {
+        throw new Error('Bill lines are deferred out of inventory');
+      }
+      const availableQuantity = item.quantity - taken.quantity;
+      quantity = data.quantity ? Number(data.quantity) : availableQuantity;
+      if (quantity <= 0 || quantity > availableQuantity) {
+        throw new Error(`Only ${availableQuantity} of line ${Number(data.lineIndex) + 1} is left to schedule`);
+      }
+      // The last units take whatever is left so rounding does not strand a remainder
+      amount = quantity === availableQuantity
+        ? roundMoney(lineAmount - taken.amount)
+        : roundMoney(lineAmount * quantity / item.quantity);
+    } else {
+      const available = roundMoney(lineAmount - taken.amount);
+      amount = data.amount ? roundMoney(data.amount) : available;
+      if (amount <= 0 || amount > available) {
+        throw new Error(`Only ${available} of line ${Number(data.lineIndex) + 1} is left to schedule`);
+      }
+    }
+
+    const recognitionAccountCode = String(data.recognitionAccountCode || (source.type === 'deferred_revenue' ? 'SALES_REV' : '')).toUpperCase();
+    if (!recognitionAccountCode) {
+      throw new Error('Choose the expense account to recognize the prepayment in');
+    }
+    const recognitionAccount = await ChartOfAccountsRepository.findOne({ tenantId, accountCode: recognitionAccountCode, isActive: true });
+    if (recognitionAccount && recognitionAccount.accountType !== source.recognitionType) {
+      throw new Error(`${recognitionAccountCode} is not ${source.recognitionType === 'expense' ? 'an expense' : 'a revenue'} account`);
+    }
+    if (!recognitionAccount && !(source.type === 'deferred_revenue' && recognitionAccountCode === 'SALES_REV')) {
+      throw new Error(`Account ${recognitionAccountCode} not found`);
+    }
+
+    const balanceAccount = await journalEntryService.getOrCreateAccount(tenantId, ...ACCOUNTS[source.type]);
+    const documentDate = document.createdAt || new Date();
+    const startDate = data.startDate ? new Date(data.startDate) : documentDate;
+    const method = data.method || 'equal';
+    const months = Number(data.months);
+
+    // The schedule, the units leaving stock and the deferral entry stand or fall together
+    return await runWithTransactionRetry(async (session) => {
+      const schedule = new AmortizationSchedule({
+        tenantId,
+        type: source.type,
+        description: data.description || `${item.product?.name || 'Line'} on ${document[source.number]}`,
+        source: {
+          documentType: data.documentType,
+          document: document._id,
+          documentModel: source.modelName,
+          reference: document[source.number],
+          lineIndex: Number(data.lineIndex),
+          product: item.product?._id || item.product,
+          quantity,
+          documentDate
+        },
+        totalAmount: amount,
+        sourceAccountCode: String(data.sourceAccountCode || source.sourceAccountCode).toUpperCase(),
+        balanceAccountCode: balanceAccount.accountCode,
+        recognitionAccountCode,
+        method,
+        startDate,
+        months,
+        lines: this.buildLines(amount, startDate, months, method),
+        remainingAmount: amount,
+        createdBy: userId
+      });
+      await schedule.save({ session });
+
+      if (quantity) {
+        // Fails when the units have since been sold, leaving nothing to defer
+        await inventoryService.updateStock({
+          productId: schedule.source.product,
+          type: 'out',
+          quantity,
+          reason: 'Deferred as prepaid expense',
+          reference: schedule.scheduleNumber,
+          referenceId: document._id,
+          referenceModel: source.modelName,
+          performedBy: userId,
+          notes: `Moved from stock into prepaid expense ${schedule.scheduleNumber}`,
+          warehouse: document.warehouse,
+          tenantId,
+          session
+        });
+      }
+      const entry = await this.postEntry(schedule, {
+        date: documentDate,
+        // Out of the account the line posted to and into the balance sheet
+        from: schedule.sourceAccountCode,
+        to: schedule.balanceAccountCode,
+        amount,
+        description: `Defer ${schedule.description} (${schedule.scheduleNumber})`
+      }, userId, session);
+      schedule.deferralEntry = entry._id;
+      return await schedule.save({ session });
+    });
+  }
+
+  /**
+   * Post every recognition line that has fallen due. A line that cannot be posted (a
+   * closed or locked period) holds up the rest of its schedule and is retried next run.
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @param {Date} asOf - Post lines for months ending on or before this time
+   * @param {string} userId - User running the posting (default: system)
+   * @returns {Promise<{schedules: number, posted: number, failed: number}>}
+   */
+  async runDue(tenantId, asOf = new Date(), userId = null) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const schedules = await AmortizationSchedule.find({
+      tenantId,
+      status: 'active',
+      lines: { $elemMatch: { status: 'scheduled', periodEnd: { $lte: asOf } } }
+    });
+    const results = { schedules: schedules.length, posted: 0, failed: 0 };
+
+    for (const schedule of schedules) {
+      let lastError;
+      for (const [index, due] of schedule.lines.entries()) {
+        if (due.status === 'posted') continue;
+        if (due.periodEnd > asOf) break;
+        try {
+          // Each month's entry and the line marked posted are written together
+          const posted = await runWithTransactionRetry(async (session) => {
+            const current = await AmortizationSchedule.findOne({ _id: schedule._id, tenantId, status: 'active' }, null, { session });
+            const line = current?.lines[index];
+            if (!line || line.status === 'posted') {
+              return false;
+            }
+            const entry = await this.postEntry(current, {
+              date: line.periodEnd,
+              from: current.balanceAccountCode,
+              to: current.recognitionAccountCode,
+              amount: line.amount,
+              description: `Recognize ${current.description} (${current.scheduleNumber})`
+            }, userId, session);
+            line.status = 'posted';
+            line.journalEntry = entry._id;
+            line.postedAt = new Date();
+            current.recognizedAmount = roundMoney(current.recognizedAmount + line.amount);
+            current.remainingAmount = roundMoney(current.totalAmount - current.recognizedAmount);
+            if (current.lines.every(entryLine => entryLine.status === 'posted')) {
+              current.status = 'completed';
+            }
+            await current.save({ session });
+            return true;
+          });
+          if (posted) results.posted += 1;
+        } catch (error) {
+          logger.warn(`Amortization ${schedule.scheduleNumber} could not post ${due.periodEnd.toISOString().slice(0, 7)}: ${error.message}`);
+          lastError = error.message;
+          results.failed += 1;
+          break;
+        }
+      }
+      await AmortizationSchedule.updateOne(
+        { _id: schedule._id, tenantId },
+        lastError ? { $set: { lastError } } : { $unset: { lastError: 1 } }
+      );
+    }
+
+    return results;
+  }
+
+  /**
+   * Stop a schedule, moving what is still unrecognized back to the account it came from
+   * (e.g. a cancelled contract that is refunded). Units taken out of stock do not go back,
+   * so their remainder is recognized at once instead.
+   * @param {string} id - Schedule ID
+   * @param {Date} date - Date of the reversal
+   * @param {string} userId - User cancelling
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<AmortizationSchedule>}
+   */
+  async cancelSchedule(id, date, userId, tenantId) {
+    const schedule = await this.getSchedule(id, tenantId);
+    if (schedule.status !== 'active') {
+      throw new Error(`Amortization schedule is already ${schedule.status}`);
+    }
+    const cancelDate = date ? new Date(date) : new Date();
+    const lastPosted = [...schedule.lines].reverse().find(line => line.status === 'posted');
+    if (lastPosted && cancelDate < lastPosted.periodEnd) {
+      throw new Error('Cancellation date is before the last month already recognized');
+    }
+
+    const remaining = roundMoney(schedule.totalAmount - schedule.recognizedAmount);
+    if (remaining > 0) {
+      const entry = await this.postEntry(schedule, {
+        date: cancelDate,
+        from: schedule.balanceAccountCode,
+        to: schedule.source.quantity ? schedule.recognitionAccountCode : schedule.sourceAccountCode,
+        amount: remaining,
+        description: `Cancel ${schedule.description} (${schedule.scheduleNumber})`
+      }, userId);
+      schedule.cancellationEntry = entry._id;
+    }
+    schedule.status = 'cancelled';
+    schedule.cancelledAt = cancelDate;
+    schedule.remainingAmount = 0;
+    return await schedule.save();
+  }
+
+  /**
+   * What each schedule still holds in prepaid expenses or deferred revenue at a date,
+   * for the balance sheet detail
+   * @param {string} type - 'prepaid_expense' or 'deferred_revenue'
+   * @param {Date} asOf - Balance date
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<Array>} Schedules with a balance, largest first
+   */
+  async getBalances(type, asOf, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const schedules = await AmortizationSchedule.find({
+      tenantId,
+      type,
+      'source.documentDate': { $lte: asOf },
+      $or: [{ status: { $ne: 'cancelled' } }, { cancelledAt: { $gt: asOf } }]
+    }).lean();
+
+    return schedules
+      .map(schedule => {
+        const recognized = schedule.lines
+          .filter(line => line.status === 'posted' && line.periodEnd <= asOf)
+          .reduce((sum, line) => sum + line.amount, 0);
+        return {
+          schedule: schedule._id,
+          scheduleNumber: schedule.scheduleNumber,
+          reference: schedule.source.reference,
+          description: schedule.description,
+          recognitionAccountCode: schedule.recognitionAccountCode,
+          totalAmount: schedule.totalAmount,
+          recognized: roundMoney(recognized),
+          remaining: roundMoney(schedule.totalAmount - recognized)
+        };
+      })
+      .filter(balance => balance.remaining > 0)
+      .sort((a, b) => b.remaining - a.remaining);
+  }
+
+  /**
+   * Post an amount out of one account and into another. For a prepayment "into" is the
+   * debit side; for deferred revenue, a liability, it is the credit side.
+   * @private
+   */
+  async postEntry(schedule, { date, from, to, amount, description }, userId, session = null) {
+    const tenantId = schedule.tenantId;
+    const codes = [from, to];
+    for (const code of codes) {
+      if (code === schedule.balanceAccountCode) {
+        await journalEntryService.getOrCreateAccount(tenantId, ...ACCOUNTS[schedule.type], session);
+      } else if (code === 'SALES_REV') {
+        await journalEntryService.getOrCreateAccount(tenantId, 'SALES_REV', 'Sales Revenue', 'revenue', 'sales_revenue', session);
+      }
+    }
+    const debitFirst = schedule.type === 'prepaid_expense';
+    // Prepaid: debit where the cost goes; deferred revenue: credit where the revenue goes
+    const [debitCode, creditCode] = debitFirst ? [to, from] : [from, to];
+    return await journalEntryService.createJournalEntry({
+      tenantId,
+      entryDate: date,
+      referenceType: 'amortization',
+      referenceId: schedule._id,
+      referenceNumber: schedule.scheduleNumber,
+      description,
+      entries: [
+        { accountCode: debitCode, debit: amount, credit: 0, description },
+        { accountCode: creditCode, debit: 0, credit: amount, description }
+      ],
+      createdBy: await journalEntryService.resolveCreatedBy(tenantId, userId),
+      metadata: { source: schedule.source.reference, documentType: schedule.source.documentType }
+    }, { session });
+  }
+
+  /**
+   * Amount already scheduled from each line of a document, net of cancellations
+   * @private
+   */
+  async scheduledByLine(documentId, tenantId) {
+    const schedules = await AmortizationSchedule.find({ tenantId, 'source.document': documentId })
+      .select('source.lineIndex source.quantity totalAmount recognizedAmount status')
+      .lean();
+    const byLine = new Map();
+    for (const schedule of schedules) {
+      // A cancelled schedule gives back what it had not recognized, unless its units left stock
+      const used = schedule.status === 'cancelled' && !schedule.source.quantity ? schedule.recognizedAmount : schedule.totalAmount;
+      const taken = byLine.get(schedule.source.lineIndex) || { amount: 0, quantity: 0 };
+      byLine.set(schedule.source.lineIndex, {
+        amount: roundMoney(taken.amount + used),
+        quantity: taken.quantity + (schedule.source.quantity || 0)
+      });
+    }
+    return byLine;
+  }
+}
+
+module.exports = new AmortizationService();
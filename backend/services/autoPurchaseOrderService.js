@@ -3,9 +3,14 @@ const PurchaseOrderRepository = require('../repositories/PurchaseOrderRepository
 const SupplierRepository = require('../repositories/SupplierRepository');
 const SalesRepository = require('../repositories/SalesRepository');
 const InventoryAlertService = require('./inventoryAlertService');
+const demandForecastService = require('./demandForecastService');
+const supplierCatalogService = require('./supplierCatalogService');
 const PurchaseOrder = require('../models/PurchaseOrder');
 const logger = require('../utils/logger'); // Keep for static methods and instance creation
 
+// Days of demand an order should cover after it arrives
+const REVIEW_DAYS = 30;
+
 class AutoPurchaseOrderService {
   /**
    * Generate purchase orders automatically based on low stock alerts
@@ -19,15 +24,11 @@ class AutoPurchaseOrderService {
         autoConfirm = false,
         supplierPreference = 'primary', // 'primary', 'cheapest', 'fastest'
         groupBySupplier = true,
-        minOrderValue = 0
+        minOrderValue = 0,
+        tenantId = null
       } = options;
 
-      // Get low stock alerts
-      const alerts = await InventoryAlertService.getLowStockAlerts({
-        includeOutOfStock: true,
-        includeCritical: true,
-        includeWarning: false // Only generate POs for critical/out of stock
-      });
+      const alerts = await this.getReorderAlerts(tenantId);
 
       if (alerts.length === 0) {
         return {
@@ -57,8 +58,8 @@ class AutoPurchaseOrderService {
         
         if (!product) continue;
 
-        // Get preferred supplier from purchase history
-        const supplier = await this.findSupplierForProduct(product._id, supplierPreference);
+        // Get supplier from the catalog, else from purchase history
+        const supplier = await this.findSupplierForProduct(product._id, supplierPreference, tenantId);
         
         if (!supplier) {
           unassignedProducts.push({
@@ -76,21 +77,30 @@ class AutoPurchaseOrderService {
             supplier,
             items: []
           };
+        } else if (supplier.leadTime > (supplierGroups[supplierId].supplier.leadTime || 0)) {
+          // The order arrives when its slowest line does
+          supplierGroups[supplierId].supplier = { ...supplierGroups[supplierId].supplier, leadTime: supplier.leadTime };
         }
 
         // Calculate order quantity based on demand forecast
         const forecastedQuantity = await this.forecastDemand(
           product._id,
           alert.inventory.reorderQuantity,
-          alert.daysUntilOutOfStock
+          alert.daysUntilOutOfStock,
+          { tenantId, currentStock: alert.inventory.currentStock }
         );
 
+        // Catalog items are ordered at the quoted price, in whole packs of at least the MOQ
+        const { catalogItem } = supplier;
+        const quantity = catalogItem ? catalogItem.orderQuantity(forecastedQuantity) : forecastedQuantity;
+        const costPerUnit = catalogItem ? catalogItem.price : (product.pricing?.cost || 0);
+
         supplierGroups[supplierId].items.push({
           product: alert.product,
           alert,
-          quantity: forecastedQuantity,
-          costPerUnit: product.pricing?.cost || 0,
-          totalCost: forecastedQuantity * (product.pricing?.cost || 0)
+          quantity,
+          costPerUnit,
+          totalCost: quantity * costPerUnit
         });
       }
 
@@ -205,13 +215,22 @@ class AutoPurchaseOrderService {
   }
 
   /**
-   * Find supplier for a product based on purchase history
+   * Find supplier for a product: the best-ranked supplier catalog entry (price, lead time
+   * and reliability), else from purchase history
    * @param {String} productId - Product ID
    * @param {String} preference - 'primary', 'cheapest', 'fastest'
-   * @returns {Promise<Object|null>} Selected supplier
+   * @param {String} tenantId - Tenant ID; the catalog is only consulted when given
+   * @returns {Promise<Object|null>} Selected supplier; catalog picks carry catalogItem and its lead time
    */
-  static async findSupplierForProduct(productId, preference = 'primary') {
+  static async findSupplierForProduct(productId, preference = 'primary', tenantId = null) {
     try {
+      if (tenantId) {
+        const [best] = await supplierCatalogService.rankSuppliers(productId, tenantId, { preference });
+        if (best) {
+          return { ...best.supplier.toObject(), leadTime: best.leadTime, catalogItem: best.entry };
+        }
+      }
+
       // Find most recent purchase orders for this product
       const recentPOs = await PurchaseOrderRepository.findAll(
         {
@@ -300,14 +319,42 @@ class AutoPurchaseOrderService {
   }
 
   /**
-   * Forecast demand for a product
+   * Low stock alerts that should be ordered: critical and out of stock products, plus
+   * products at or below the reorder point of their demand forecast
+   * @param {String} tenantId - Tenant ID
+   * @returns {Promise<Array>} Alerts
+   */
+  static async getReorderAlerts(tenantId) {
+    const alerts = await InventoryAlertService.getLowStockAlerts({
+      includeOutOfStock: true,
+      includeCritical: true,
+      includeWarning: true,
+      tenantId
+    });
+    return alerts.filter(alert => alert.alertLevel === 'critical' || alert.inventory.reorderSource === 'forecast');
+  }
+
+  /**
+   * Forecast demand for a product. With a stored demand forecast the order tops stock up
+   * to cover the supplier lead time and the review period after it, plus safety stock;
+   * otherwise recent sales are averaged.
    * @param {String} productId - Product ID
    * @param {Number} defaultQuantity - Default reorder quantity
    * @param {Number} daysUntilOut - Days until out of stock
+   * @param {Object} options - { tenantId, currentStock }
    * @returns {Promise<Number>} Forecasted quantity to order
    */
-  static async forecastDemand(productId, defaultQuantity, daysUntilOut) {
+  static async forecastDemand(productId, defaultQuantity, daysUntilOut, options = {}) {
     try {
+      const { tenantId = null, currentStock = 0 } = options;
+      const forecast = tenantId
+        ? (await demandForecastService.findForecasts([productId], tenantId)).get(String(productId))
+        : null;
+      if (forecast) {
+        const orderUpTo = forecast.demandOver(forecast.leadTime.mean + REVIEW_DAYS) + forecast.safetyStock;
+        return Math.max(1, Math.ceil(orderUpTo - Math.max(0, currentStock)));
+      }
+
       // Get sales data for last 90 days
       const ninetyDaysAgo = new Date();
       ninetyDaysAgo.setDate(ninetyDaysAgo.getDate() - 90);
@@ -392,15 +439,12 @@ class AutoPurchaseOrderService {
 
   /**
    * Get products that need reordering (for manual review)
+   * @param {String} tenantId - Tenant ID
    * @returns {Promise<Array>} Products needing reorder
    */
-  static async getProductsNeedingReorder() {
+  static async getProductsNeedingReorder(tenantId = null) {
     try {
-      const alerts = await InventoryAlertService.getLowStockAlerts({
-        includeOutOfStock: true,
-        includeCritical: true,
-        includeWarning: false
-      });
+      const alerts = await this.getReorderAlerts(tenantId);
 
       const productIds = alerts.map(a => a.product._id);
       const products = await ProductRepository.findAll(
@@ -415,7 +459,7 @@ class AutoPurchaseOrderService {
       const productsWithSuppliers = await Promise.all(
         alerts.map(async (alert) => {
           const product = products.find(p => p._id.toString() === alert.product._id.toString());
-          const supplier = await this.findSupplierForProduct(alert.product._id, 'primary');
+          const supplier = await this.findSupplierForProduct(alert.product._id, 'primary', tenantId);
           
           return {
             ...alert,
@@ -8,6 +8,9 @@ const ChartOfAccountsRepository = require('../repositories/ChartOfAccountsReposi
 const TransactionRepository = require('../repositories/TransactionRepository');
 const FinancialStatementRepository = require('../repositories/FinancialStatementRepository');
 const AccountingService = require('./accountingService');
+const amortizationService = require('./amortizationService');
+const fixedAssetService = require('./fixedAssetService');
+const Sales = require('../models/Sales');
 const BalanceSheet = require('../models/BalanceSheet'); // Keep for model instance methods
 const logger = require('../utils/logger');
 
@@ -214,8 +217,10 @@ class BalanceSheetCalculationService {
       const accountsReceivable = await this.calculateAccountsReceivable(statementDate, tenantId);
       const inventory = await this.calculateInventory(statementDate, tenantId);
       const prepaidExpenses = await this.calculatePrepaidExpenses(statementDate, tenantId);
+      const prepaidExpenseSchedules = await this.getAmortizationDetail('prepaid_expense', statementDate, tenantId);
       const propertyPlantEquipment = await this.calculatePropertyPlantEquipment(statementDate, tenantId);
       const accumulatedDepreciation = await this.calculateAccumulatedDepreciation(statementDate, tenantId);
+      const assetSchedule = await this.getFixedAssetDetail(statementDate, tenantId);
       const intangibleAssets = await this.calculateIntangibleAssets(statementDate, tenantId);
       const longTermInvestments = await this.calculateLongTermInvestments(statementDate, tenantId);
       const otherAssets = await this.calculateOtherAssets(statementDate, tenantId);
@@ -254,6 +259,7 @@ class BalanceSheetCalculationService {
             total: inventory.total
           },
           prepaidExpenses: prepaidExpenses,
+          prepaidExpenseSchedules: prepaidExpenseSchedules,
           otherCurrentAssets: 0,
           totalCurrentAssets: totalCurrentAssets
         },
@@ -264,6 +270,7 @@ class BalanceSheetCalculationService {
           },
           accumulatedDepreciation: accumulatedDepreciation,
           netPropertyPlantEquipment: netPropertyPlantEquipment,
+          assetSchedule: assetSchedule,
           intangibleAssets: {
             ...intangibleAssets,
             total: intangibleAssets.total
@@ -479,19 +486,31 @@ class BalanceSheetCalculationService {
     }
   }
 
+  // Prepaid expense or deferred revenue still held per amortization schedule, for the detail
+  // behind the prepaid expenses and deferred revenue lines
+  async getAmortizationDetail(type, statementDate, tenantId) {
+    try {
+      return await amortizationService.getBalances(type, statementDate, tenantId);
+    } catch (error) {
+      logger.error(`Error loading ${type} amortization detail:`, error);
+      return [];
+    }
+  }
+
   // Calculate property, plant, and equipment
   async calculatePropertyPlantEquipment(statementDate, tenantId) {
     if (!tenantId) {
       throw new Error('Tenant ID is required for calculatePropertyPlantEquipment');
     }
     try {
-      // Find fixed asset accounts
+      // Find fixed asset accounts (accumulated depreciation is netted off separately)
       const fixedAssetAccounts = await ChartOfAccountsRepository.findAll({
         tenantId,
         accountType: 'asset',
         accountCategory: 'fixed_assets',
         isActive: true,
-        allowDirectPosting: true
+        allowDirectPosting: true,
+        accountName: { $not: /accumulated.*depreciation|depreciation.*accumulated/i }
       });
 
       let land = 0;
@@ -589,7 +608,24 @@ class BalanceSheetCalculationService {
     }
   }
 
-  // Calculate intangible assets
+  // Cost, accumulated depreciation and book value per category from the fixed asset register,
+  // for the detail behind property, plant and equipment
+  async getFixedAssetDetail(statementDate, tenantId) {
+    try {
+      const schedule = await fixedAssetService.getAssetSchedule({ to: statementDate }, tenantId);
+      return schedule.categories.map(category => ({
+        category: category.category,
+        count: category.count,
+        cost: category.closingCost,
+        accumulatedDepreciation: category.closingDepreciation,
+        bookValue: category.bookValue
+      })).filter(category => category.cost > 0);
+    } catch (error) {
+      logger.error('Error loading fixed asset detail:', error);
+      return [];
+    }
+  }
+
   async calculateIntangibleAssets(statementDate, tenantId) {
     if (!tenantId) {
       throw new Error('Tenant ID is required for calculateIntangibleAssets');
@@ -720,6 +756,7 @@ class BalanceSheetCalculationService {
       const accruedExpenses = await this.calculateAccruedExpenses(statementDate, tenantId);
       const shortTermDebt = await this.calculateShortTermDebt(statementDate, tenantId);
       const deferredRevenue = await this.calculateDeferredRevenue(statementDate, tenantId);
+      const deferredRevenueSchedules = await this.getAmortizationDetail('deferred_revenue', statementDate, tenantId);
       const longTermDebt = await this.calculateLongTermDebt(statementDate, tenantId);
       const deferredTaxLiabilities = await this.calculateDeferredTaxLiabilities(statementDate, tenantId);
       const pensionLiabilities = await this.calculatePensionLiabilities(statementDate, tenantId);
@@ -756,6 +793,7 @@ class BalanceSheetCalculationService {
             total: shortTermDebt.total
           },
           deferredRevenue: deferredRevenue,
+          deferredRevenueSchedules: deferredRevenueSchedules,
           otherCurrentLiabilities: 0,
           totalCurrentLiabilities: totalCurrentLiabilities
         },
@@ -966,6 +1004,19 @@ class BalanceSheetCalculationService {
         deferredRevenue += order.total;
       }
 
+      // Plus revenue billed ahead and held on deferred revenue accounts until recognized
+      const deferredRevenueAccounts = await ChartOfAccountsRepository.findAll({
+        tenantId,
+        accountType: 'liability',
+        accountCategory: 'deferred_revenue',
+        isActive: true,
+        allowDirectPosting: true
+      });
+
+      for (const account of deferredRevenueAccounts) {
+        deferredRevenue += await this.calculateAccountBalance(account.accountCode, statementDate, tenantId);
+      }
+
       return deferredRevenue;
     } catch (error) {
       logger.error('Error calculating deferred revenue:', error);
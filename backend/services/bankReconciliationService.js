@@ -0,0 +1,660 @@
+const PDFDocument = require('pdfkit');
+const BankStatement = require('../models/BankStatement');
+const Bank = require('../models/Bank');
+const BankReceipt = require('../models/BankReceipt');
+const BankPayment = require('../models/BankPayment');
+const JournalEntry = require('../models/JournalEntry');
+const ChartOfAccounts = require('../models/ChartOfAccounts');
+const journalEntryService = require('./journalEntryService');
+const { parseStatement } = require('../utils/bankStatementParsers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Ledger account that journal entries created from statement lines post to
+const BANK_ACCOUNT = ['BANK', 'Bank', 'asset', 'current_assets'];
+
+const normalise = (text) => String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const itemKey = (type, document, lineIndex) => `${type}:${document}:${lineIndex ?? ''}`;
+
+class BankReconciliationService {
+  /**
+   * List imported statements with their matching progress
+   * @param {object} filters - { bank, page, limit }
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<{statements: Array, pagination: object}>}
+   */
+  async getStatements(filters = {}, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const { bank, page = 1, limit = 20 } = filters;
+    const query = { tenantId };
+    if (bank) query.bank = bank;
+
+    const [statements, total] = await Promise.all([
+      BankStatement.find(query)
+        .select('statementNumber bank format fileName periodStart periodEnd openingBalance closingBalance currency createdAt lines.status')
+        .populate('bank', 'bankName accountName accountNumber')
+        .sort({ periodEnd: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      BankStatement.countDocuments(query)
+    ]);
+
+    return {
+      statements: statements.map(({ lines, ...statement }) => ({
+        ...statement,
+        lineCount: lines.length,
+        matchedCount: lines.filter(line => line.status === 'matched').length
+      })),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Get a statement with all its lines and matches
+   * @param {string} id - Statement ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async getStatement(id, tenantId) {
+    const statement = await this.getStatementOrThrow(id, tenantId);
+    await statement.populate('bank', 'bankName accountName accountNumber');
+    return statement;
+  }
+
+  /**
+   * Import a statement file for a bank account, skip transactions already imported and
+   * auto-match the rest
+   * @param {string} bankId - Bank account ID
+   * @param {string} content - File contents
+   * @param {object} options - { format, fileName, dateFormat, decimalComma, dateWindow }
+   * @param {string} userId - Importing user
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<{statement: object, imported: number, duplicates: number, matched: number}>}
+   */
+  async importStatement(bankId, content, options, userId, tenantId) {
+    const bank = await this.getBankOrThrow(bankId, tenantId);
+    const parsed = parseStatement(content, options);
+    this.checkAccount(parsed.accountNumber, bank);
+
+    const seen = await this.importedLineKeys(bank._id, parsed.periodStart, parsed.periodEnd, tenantId);
+    const lines = parsed.lines.filter(line => !seen.has(this.lineKey(line)));
+    if (lines.length === 0) {
+      throw new Error('All transactions on this statement have already been imported');
+    }
+
+    const statement = new BankStatement({
+      tenantId,
+      bank: bank._id,
+      format: parsed.format,
+      fileName: options.fileName,
+      accountNumber: parsed.accountNumber,
+      currency: parsed.currency,
+      periodStart: parsed.periodStart,
+      periodEnd: parsed.periodEnd,
+      openingBalance: parsed.openingBalance ?? 0,
+      closingBalance: parsed.closingBalance ?? roundMoney((parsed.openingBalance ?? 0) + lines.reduce((sum, line) => sum + line.amount, 0)),
+      lines,
+      importedBy: userId
+    });
+    await statement.save();
+
+    const matched = await this.matchStatement(statement, { dateWindow: options.dateWindow }, userId);
+    return { statement, imported: lines.length, duplicates: parsed.lines.length - lines.length, matched };
+  }
+
+  /**
+   * Auto-match a statement's open lines
+   * @param {string} id - Statement ID
+   * @param {object} options - { dateWindow } days either side of the statement date
+   * @param {string} userId - User running the match
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<{statement: object, matched: number}>}
+   */
+  async autoMatch(id, options, userId, tenantId) {
+    const statement = await this.getStatementOrThrow(id, tenantId);
+    const matched = await this.matchStatement(statement, options, userId);
+    return { statement, matched };
+  }
+
+  /**
+   * Match each unmatched line to one book item for the same amount, going the same way,
+   * dated within the window. A reference found on both sides decides between candidates,
+   * then the nearest date; lines with no clear winner are left for manual matching.
+   * @private
+   */
+  async matchStatement(statement, { dateWindow = 5 } = {}, userId) {
+    const bank = { _id: statement.bank._id || statement.bank };
+    const items = await this.loadBookItems(bank, statement.tenantId, {
+      from: new Date(statement.periodStart.getTime() - dateWindow * DAY_MS),
+      to: new Date(statement.periodEnd.getTime() + (dateWindow + 1) * DAY_MS)
+    });
+    const cleared = await this.clearedAmounts(statement.tenantId, items.map(item => item.document));
+    items.forEach((item) => {
+      item.remaining = roundMoney(item.amount - (cleared.get(itemKey(item.type, item.document, item.lineIndex)) || 0));
+    });
+
+    let matched = 0;
+    const open = statement.lines
+      .filter(line => line.status === 'unmatched')
+      .sort((a, b) => a.date - b.date);
+    for (const line of open) {
+      const candidates = items
+        .filter(item => item.remaining === line.amount && Math.abs(item.date - line.date) <= (dateWindow + 1) * DAY_MS)
+        .map(item => ({
+          item,
+          referenced: this.referencesMatch(line, item),
+          days: Math.round(Math.abs(item.date - line.date) / DAY_MS)
+        }))
+        .sort((a, b) => (b.referenced - a.referenced) || (a.days - b.days));
+      const [best, next] = candidates;
+      if (!best || (next && next.referenced === best.referenced && next.days === best.days)) continue;
+
+      line.matches.push(this.toMatch(best.item, line.amount, 'auto', userId));
+      BankStatement.refreshLineStatus(line);
+      best.item.remaining = 0;
+      matched++;
+    }
+
+    if (matched > 0) {
+      await statement.save();
+    }
+    return matched;
+  }
+
+  /**
+   * Book items that could clear a statement line: same direction, not yet fully cleared,
+   * nearest the line's date first
+   * @param {string} id - Statement ID
+   * @param {string} lineId - Statement line ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @param {object} options - { days } how far either side of the line to look
+   * @returns {Promise<Array>}
+   */
+  async getCandidates(id, lineId, tenantId, { days = 60 } = {}) {
+    const statement = await this.getStatementOrThrow(id, tenantId);
+    const line = this.getLineOrThrow(statement, lineId);
+    const items = await this.loadBookItems({ _id: statement.bank }, tenantId, {
+      from: new Date(line.date.getTime() - days * DAY_MS),
+      to: new Date(line.date.getTime() + (days + 1) * DAY_MS)
+    });
+    const cleared = await this.clearedAmounts(tenantId, items.map(item => item.document));
+
+    return items
+      .map(item => ({
+        ...item,
+        remaining: roundMoney(item.amount - (cleared.get(itemKey(item.type, item.document, item.lineIndex)) || 0)),
+        referenced: this.referencesMatch(line, item)
+      }))
+      .filter(item => item.remaining !== 0 && Math.sign(item.remaining) === Math.sign(line.amount))
+      .sort((a, b) => (b.referenced - a.referenced) || (Math.abs(a.date - line.date) - Math.abs(b.date - line.date)));
+  }
+
+  /**
+   * Manually match a statement line to one or more book items. Giving an amount below an
+   * item's open amount splits the item, so the rest can clear another line.
+   * @param {string} id - Statement ID
+   * @param {string} lineId - Statement line ID
+   * @param {Array} selections - [{ type, document, lineIndex, amount }]
+   * @param {string} userId - Matching user
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>} Updated statement
+   */
+  async matchLine(id, lineId, selections, userId, tenantId) {
+    const statement = await this.getStatementOrThrow(id, tenantId);
+    const line = this.getLineOrThrow(statement, lineId);
+    let open = BankStatement.unmatchedAmount(line);
+    // Amounts this call has already taken, so selecting an item twice cannot clear it twice
+    const taken = new Map();
+
+    for (const selection of selections) {
+      const item = await this.getBookItem(selection, statement.bank, tenantId);
+      if (Math.sign(item.amount) !== Math.sign(line.amount)) {
+        throw new Error('Matched items must go the same way as the statement line');
+      }
+      const key = itemKey(item.type, item.document, item.lineIndex);
+      const cleared = await this.clearedAmounts(tenantId, [item.document]);
+      const remaining = roundMoney(item.amount - (cleared.get(key) || 0) - (taken.get(key) || 0));
+      const amount = selection.amount !== undefined && selection.amount !== null
+        ? Math.sign(line.amount) * Math.abs(roundMoney(selection.amount))
+        : remaining;
+      if (amount === 0 || Math.abs(amount) > Math.abs(remaining)) {
+        throw new Error(`Amount is more than is left to match on ${item.reference || 'this item'}`);
+      }
+      if (Math.abs(amount) > Math.abs(open)) {
+        throw new Error('Matched amounts are more than the statement line');
+      }
+      line.matches.push(this.toMatch(item, amount, 'manual', userId));
+      taken.set(key, roundMoney((taken.get(key) || 0) + amount));
+      open = roundMoney(open - amount);
+    }
+
+    BankStatement.refreshLineStatus(line);
+    await statement.save();
+    return statement;
+  }
+
+  /**
+   * Remove all matches from a statement line
+   * @param {string} id - Statement ID
+   * @param {string} lineId - Statement line ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>} Updated statement
+   */
+  async unmatchLine(id, lineId, tenantId) {
+    const statement = await this.getStatementOrThrow(id, tenantId);
+    const line = this.getLineOrThrow(statement, lineId);
+    line.matches = [];
+    BankStatement.refreshLineStatus(line);
+    await statement.save();
+    return statement;
+  }
+
+  /**
+   * Book a statement line that has no book item (bank charges, interest, direct debits)
+   * as a journal entry against the bank and clear it with that entry
+   * @param {string} id - Statement ID
+   * @param {string} lineId - Statement line ID
+   * @param {object} data - { account, description } where account is the other side's ledger account ID
+   * @param {string} userId - User creating the entry
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>} Updated statement
+   */
+  async createEntry(id, lineId, data, userId, tenantId) {
+    const statement = await this.getStatementOrThrow(id, tenantId);
+    const line = this.getLineOrThrow(statement, lineId);
+    const amount = BankStatement.unmatchedAmount(line);
+    if (amount === 0) {
+      throw new Error('Statement line is already fully matched');
+    }
+    const account = await ChartOfAccounts.findOne({ _id: data.account, tenantId, isDeleted: { $ne: true } });
+    if (!account) {
+      throw new Error('Account not found');
+    }
+    const bankAccount = await journalEntryService.getOrCreateAccount(tenantId, ...BANK_ACCOUNT);
+    const description = data.description || line.description || `Bank statement ${statement.statementNumber}`;
+    const bankLine = { accountCode: bankAccount.accountCode, debit: Math.max(amount, 0), credit: Math.max(-amount, 0), description };
+    const otherLine = { accountCode: account.accountCode, debit: bankLine.credit, credit: bankLine.debit, description };
+
+    const entry = await journalEntryService.createJournalEntry({
+      tenantId,
+      entryDate: line.date,
+      referenceType: 'bank_statement',
+      referenceId: statement._id,
+      referenceNumber: statement.statementNumber,
+      description,
+      entries: [bankLine, otherLine],
+      createdBy: await journalEntryService.resolveCreatedBy(tenantId, userId),
+      metadata: { statementLine: line._id, bankReference: line.bankReference }
+    });
+
+    line.matches.push({
+      type: 'journal_entry',
+      document: entry._id,
+      lineIndex: 0,
+      reference: entry.entryNumber,
+      amount,
+      method: 'created',
+      matchedBy: userId
+    });
+    BankStatement.refreshLineStatus(line);
+    await statement.save();
+    return statement;
+  }
+
+  /**
+   * Delete an imported statement that has nothing matched on it
+   * @param {string} id - Statement ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<void>}
+   */
+  async deleteStatement(id, tenantId) {
+    const statement = await this.getStatementOrThrow(id, tenantId);
+    if (statement.lines.some(line => line.matches.length > 0)) {
+      throw new Error('Unmatch all lines before deleting the statement');
+    }
+    await statement.deleteOne();
+  }
+
+  /**
+   * Reconcile a bank account as of a date: the statement balance plus book items not yet
+   * cleared should equal the book balance plus statement lines not yet in the books
+   * @param {string} bankId - Bank account ID
+   * @param {Date} asOf - Reconciliation date
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async getReconciliation(bankId, asOf, tenantId) {
+    const bank = await this.getBankOrThrow(bankId, tenantId);
+    const endOfDay = new Date(new Date(asOf).setUTCHours(23, 59, 59, 999));
+
+    const statements = await BankStatement.find({ tenantId, bank: bank._id, periodStart: { $lte: endOfDay } })
+      .sort({ periodEnd: -1 });
+    const latest = statements[0] || null;
+    const statementBalance = latest
+      ? roundMoney(latest.lines.filter(line => line.date <= endOfDay).reduce((sum, line) => sum + line.amount, latest.openingBalance))
+      : null;
+
+    const items = await this.loadBookItems(bank, tenantId, { to: endOfDay });
+    const cleared = await this.clearedAmounts(tenantId, items.map(item => item.document), endOfDay);
+    const uncleared = items
+      .map(item => ({ ...item, uncleared: roundMoney(item.amount - (cleared.get(itemKey(item.type, item.document, item.lineIndex)) || 0)) }))
+      .filter(item => item.uncleared !== 0);
+    const bookBalance = roundMoney(items.reduce((sum, item) => sum + item.amount, bank.openingBalance || 0));
+
+    const unmatchedLines = [];
+    statements.forEach((statement) => {
+      statement.lines
+        .filter(line => line.date <= endOfDay && line.status !== 'matched')
+        .forEach(line => unmatchedLines.push({
+          statementNumber: statement.statementNumber,
+          date: line.date,
+          description: line.description,
+          reference: line.reference,
+          amount: line.amount,
+          unmatched: BankStatement.unmatchedAmount(line)
+        }));
+    });
+    unmatchedLines.sort((a, b) => a.date - b.date);
+
+    const sum = (rows, field) => roundMoney(rows.reduce((total, row) => total + row[field], 0));
+    const depositsInTransit = uncleared.filter(item => item.uncleared > 0);
+    const outstandingPayments = uncleared.filter(item => item.uncleared < 0);
+    const adjustedStatementBalance = statementBalance === null ? null : roundMoney(statementBalance + sum(uncleared, 'uncleared'));
+    const adjustedBookBalance = roundMoney(bookBalance + sum(unmatchedLines, 'unmatched'));
+
+    return {
+      bank: { _id: bank._id, bankName: bank.bankName, accountName: bank.accountName, accountNumber: bank.accountNumber },
+      asOf: endOfDay,
+      statement: latest && { _id: latest._id, statementNumber: latest.statementNumber, periodStart: latest.periodStart, periodEnd: latest.periodEnd },
+      statementBalance,
+      depositsInTransit,
+      outstandingPayments,
+      totalDepositsInTransit: sum(depositsInTransit, 'uncleared'),
+      totalOutstandingPayments: sum(outstandingPayments, 'uncleared'),
+      adjustedStatementBalance,
+      bookBalance,
+      unmatchedLines,
+      totalUnmatchedLines: sum(unmatchedLines, 'unmatched'),
+      adjustedBookBalance,
+      difference: adjustedStatementBalance === null ? null : roundMoney(adjustedStatementBalance - adjustedBookBalance)
+    };
+  }
+
+  /**
+   * Render a reconciliation statement for printing
+   * @param {object} report - Result of getReconciliation
+   * @returns {Promise<Buffer>}
+   */
+  async renderReconciliationPdf(report) {
+    const doc = new PDFDocument({ margin: 50, size: 'A4' });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    const money = (value) => (value === null || value === undefined ? '-' : value.toFixed(2));
+    const date = (value) => new Date(value).toLocaleDateString();
+    const total = (label, value, bold = false) => {
+      const y = doc.y;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+      doc.text(label, 50, y, { width: 380 });
+      doc.text(money(value), 430, y, { width: 115, align: 'right' });
+      doc.moveDown(0.3);
+    };
+    const items = (title, rows, field) => {
+      doc.moveDown(0.5).font('Helvetica-Bold').fontSize(10).text(title, 50);
+      if (rows.length === 0) {
+        doc.font('Helvetica').fontSize(9).text('None', 70);
+        return;
+      }
+      rows.forEach((row) => {
+        const y = doc.y;
+        doc.font('Helvetica').fontSize(9);
+        doc.text(date(row.date), 70, y, { width: 70 });
+        doc.text(row.reference || '', 140, y, { width: 110 });
+        doc.text(row.description || '', 250, y, { width: 180 });
+        doc.text(money(row[field]), 430, y, { width: 115, align: 'right' });
+        doc.moveDown(0.2);
+      });
+    };
+
+    doc.fontSize(18).font('Helvetica-Bold').text('BANK RECONCILIATION', { align: 'right' });
+    doc.fontSize(10).font('Helvetica')
+      .text(`${report.bank.bankName} - ${report.bank.accountNumber}`, { align: 'right' })
+      .text(`As of ${date(report.asOf)}`, { align: 'right' });
+    if (report.statement) {
+      doc.text(`Statement ${report.statement.statementNumber} (${date(report.statement.periodStart)} - ${date(report.statement.periodEnd)})`, { align: 'right' });
+    }
+    doc.moveDown(1.5);
+
+    total('Balance per bank statement', report.statementBalance, true);
+    items('Add: deposits in transit', report.depositsInTransit, 'uncleared');
+    items('Less: outstanding payments', report.outstandingPayments, 'uncleared');
+    doc.moveDown(0.5);
+    total('Adjusted bank balance', report.adjustedStatementBalance, true);
+
+    doc.moveDown();
+    total('Balance per books', report.bookBalance, true);
+    items('Add/less: statement items not yet in the books', report.unmatchedLines, 'unmatched');
+    doc.moveDown(0.5);
+    total('Adjusted book balance', report.adjustedBookBalance, true);
+
+    doc.moveDown();
+    doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+    doc.moveDown(0.3);
+    total('Unexplained difference', report.difference, true);
+
+    doc.end();
+    return finished;
+  }
+
+  /**
+   * Receipts, payments and bank-account journal lines for a bank account, signed money in
+   * positive. Journal lines are on the shared bank ledger account, so they are offered to
+   * every bank account until matched.
+   * @private
+   */
+  async loadBookItems(bank, tenantId, { from = null, to }) {
+    const dateRange = (field) => (from ? { [field]: { $gte: from, $lte: to } } : { [field]: { $lte: to } });
+    const [receipts, payments, bankCodes] = await Promise.all([
+      BankReceipt.find({ bank: bank._id, status: { $ne: 'cancelled' }, ...dateRange('date') }).lean(),
+      BankPayment.find({ bank: bank._id, status: { $ne: 'cancelled' }, ...dateRange('date') }).lean(),
+      this.getBankAccountCodes(tenantId)
+    ]);
+    const entries = await JournalEntry.find({
+      tenantId,
+      status: 'posted',
+      'entries.accountCode': { $in: bankCodes },
+      ...dateRange('entryDate')
+    }).lean();
+
+    const voucher = (type, sign) => (doc) => ({
+      type,
+      document: doc._id,
+      date: doc.date,
+      amount: roundMoney(sign * doc.amount),
+      reference: doc.voucherCode,
+      bankReference: doc.transactionReference,
+      description: doc.particular
+    });
+    const journalLines = entries.flatMap(entry => entry.entries
+      .map((line, lineIndex) => ({ line, lineIndex }))
+      .filter(({ line }) => bankCodes.includes(line.accountCode))
+      .map(({ line, lineIndex }) => ({
+        type: 'journal_entry',
+        document: entry._id,
+        lineIndex,
+        date: entry.entryDate,
+        amount: roundMoney((line.debit || 0) - (line.credit || 0)),
+        reference: entry.entryNumber,
+        bankReference: entry.referenceNumber,
+        description: line.description || entry.description
+      })));
+
+    return [
+      ...receipts.map(voucher('bank_receipt', 1)),
+      ...payments.map(voucher('bank_payment', -1)),
+      ...journalLines
+    ];
+  }
+
+  /**
+   * Amount of each book item cleared by statement lines (dated up to asOf when given)
+   * @private
+   */
+  async clearedAmounts(tenantId, documentIds, asOf = null) {
+    const cleared = new Map();
+    if (documentIds.length === 0) return cleared;
+    const statements = await BankStatement.find({ tenantId, 'lines.matches.document': { $in: documentIds } })
+      .select('lines.date lines.matches')
+      .lean();
+    statements.forEach(statement => statement.lines.forEach((line) => {
+      if (asOf && line.date > asOf) return;
+      line.matches.forEach((match) => {
+        const key = itemKey(match.type, match.document, match.lineIndex);
+        cleared.set(key, roundMoney((cleared.get(key) || 0) + match.amount));
+      });
+    }));
+    return cleared;
+  }
+
+  /** @private */
+  async getBookItem({ type, document, lineIndex }, bankId, tenantId) {
+    let item = null;
+    if (type === 'bank_receipt' || type === 'bank_payment') {
+      const Model = type === 'bank_receipt' ? BankReceipt : BankPayment;
+      const doc = await Model.findOne({ _id: document, bank: bankId, status: { $ne: 'cancelled' } }).lean();
+      if (doc) {
+        item = {
+          type,
+          document: doc._id,
+          amount: roundMoney((type === 'bank_receipt' ? 1 : -1) * doc.amount),
+          reference: doc.voucherCode
+        };
+      }
+    } else if (type === 'journal_entry') {
+      const [entry, bankCodes] = await Promise.all([
+        JournalEntry.findOne({ _id: document, tenantId, status: 'posted' }).lean(),
+        this.getBankAccountCodes(tenantId)
+      ]);
+      const line = entry?.entries[lineIndex];
+      if (line && bankCodes.includes(line.accountCode)) {
+        item = {
+          type,
+          document: entry._id,
+          lineIndex,
+          amount: roundMoney((line.debit || 0) - (line.credit || 0)),
+          reference: entry.entryNumber
+        };
+      }
+    }
+    if (!item) {
+      throw new Error('Book item not found');
+    }
+    return item;
+  }
+
+  /** @private */
+  async getBankAccountCodes(tenantId) {
+    const codes = await ChartOfAccounts.distinct('accountCode', {
+      tenantId,
+      accountType: 'asset',
+      $or: [{ accountCode: BANK_ACCOUNT[0] }, { accountName: /^bank\b/i }]
+    });
+    return codes.includes(BANK_ACCOUNT[0]) ? codes : [...codes, BANK_ACCOUNT[0]];
+  }
+
+  /** @private */
+  referencesMatch(line, item) {
+    const haystack = normalise(`${line.reference} ${line.description} ${line.bankReference}`);
+    const lineReference = normalise(line.reference);
+    return [item.reference, item.bankReference]
+      .map(normalise)
+      .filter(reference => reference.length >= 4)
+      .some(reference => haystack.includes(reference) || (lineReference.length >= 4 && reference.includes(lineReference)));
+  }
+
+  /** @private */
+  toMatch(item, amount, method, userId) {
+    return {
+      type: item.type,
+      document: item.document,
+      lineIndex: item.lineIndex,
+      reference: item.reference,
+      amount,
+      method,
+      matchedBy: userId
+    };
+  }
+
+  /** @private */
+  lineKey(line) {
+    return line.bankReference
+      ? `ref:${line.bankReference}`
+      : `${new Date(line.date).toISOString().slice(0, 10)}|${line.amount}|${normalise(line.description)}`;
+  }
+
+  /** @private */
+  async importedLineKeys(bankId, periodStart, periodEnd, tenantId) {
+    const statements = await BankStatement.find({
+      tenantId,
+      bank: bankId,
+      periodStart: { $lte: periodEnd },
+      periodEnd: { $gte: periodStart }
+    }).select('lines.date lines.amount lines.description lines.bankReference').lean();
+    return new Set(statements.flatMap(statement => statement.lines.map(line => this.lineKey(line))));
+  }
+
+  /** @private */
+  checkAccount(accountNumber, bank) {
+    const statementAccount = normalise(accountNumber);
+    if (!statementAccount) return;
+    const known = [bank.accountNumber, bank.iban].map(normalise).filter(Boolean);
+    if (known.length && !known.some(number => number.endsWith(statementAccount) || statementAccount.endsWith(number))) {
+      throw new Error(`Statement is for account ${accountNumber}, not this bank account`);
+    }
+  }
+
+  /** @private */
+  getLineOrThrow(statement, lineId) {
+    const line = statement.lines.id(lineId);
+    if (!line) {
+      throw new Error('Statement line not found');
+    }
+    return line;
+  }
+
+  /** @private */
+  async getBankOrThrow(bankId, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const bank = await Bank.findOne({ _id: bankId, tenantId, isDeleted: { $ne: true } });
+    if (!bank) {
+      throw new Error('Bank account not found');
+    }
+    return bank;
+  }
+
+  /** @private */
+  async getStatementOrThrow(id, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const statement = await BankStatement.findOne({ _id: id, tenantId });
+    if (!statement) {
+      throw new Error('Bank statement not found');
+    }
+    return statement;
+  }
+}
+
+module.exports = new BankReconciliationService();
@@ -52,6 +52,13 @@ class BankService {
     if (!tenantId) {
       throw new Error('tenantId is required for bank creation');
     }
+
+    // Foreign-currency accounts carry their opening balance at the rate on the day it was taken on
+    const currencyService = require('./currencyService');
+    const { currency, exchangeRate } = await currencyService.resolveCurrency({
+      currency: bankData.currency,
+      exchangeRate: bankData.openingExchangeRate
+    }, tenantId);
     
     const processedData = {
       accountName: bankData.accountName.trim(),
@@ -63,6 +70,9 @@ class BankService {
       routingNumber: bankData.routingNumber ? bankData.routingNumber.trim() : null,
       swiftCode: bankData.swiftCode ? bankData.swiftCode.trim() : null,
       iban: bankData.iban ? bankData.iban.trim() : null,
+      currency,
+      openingExchangeRate: exchangeRate,
+      ledgerAccountCode: bankData.ledgerAccountCode ? bankData.ledgerAccountCode.trim() : null,
       openingBalance: parseFloat(bankData.openingBalance || 0),
       currentBalance: parseFloat(bankData.openingBalance || 0),
       isActive: bankData.isActive !== undefined ? bankData.isActive : true,
@@ -103,6 +113,9 @@ class BankService {
     if (updateData.routingNumber !== undefined) processedData.routingNumber = updateData.routingNumber ? updateData.routingNumber.trim() : null;
     if (updateData.swiftCode !== undefined) processedData.swiftCode = updateData.swiftCode ? updateData.swiftCode.trim() : null;
     if (updateData.iban !== undefined) processedData.iban = updateData.iban ? updateData.iban.trim() : null;
+    if (updateData.ledgerAccountCode !== undefined) {
+      processedData.ledgerAccountCode = updateData.ledgerAccountCode ? updateData.ledgerAccountCode.trim() : null;
+    }
     if (updateData.openingBalance !== undefined) {
       const newOpeningBalance = parseFloat(updateData.openingBalance);
       const balanceDifference = newOpeningBalance - bank.openingBalance;
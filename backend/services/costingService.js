@@ -212,13 +212,14 @@ class CostingService {
    * @param {number} newQuantity - New quantity received
    * @param {number} newCost - Cost per unit of new stock
    * @param {string} tenantId - Tenant ID (required for tenant isolation)
+   * @param {object} session - Optional transaction session
    * @returns {Promise<number>} Updated average cost
    */
-  async updateAverageCost(productId, newQuantity, newCost, tenantId) {
+  async updateAverageCost(productId, newQuantity, newCost, tenantId, session) {
     if (!tenantId) {
       throw new Error('tenantId is required to update average cost');
     }
-    const inventory = await Inventory.findOne({ product: productId, tenantId });
+    const inventory = await Inventory.findOne({ product: productId, tenantId }, null, { session });
     
     if (!inventory) {
       throw new Error('Inventory record not found');
@@ -241,7 +242,7 @@ class CostingService {
       inventory.cost = {};
     }
     inventory.cost.average = newAverage;
-    await inventory.save();
+    await inventory.save({ session });
 
     return newAverage;
   }
@@ -254,9 +255,12 @@ class CostingService {
    * @param {string} tenantId - Tenant ID (required for tenant isolation)
    * @param {Date} date - Purchase date
    * @param {string} purchaseOrderId - Purchase order ID (optional)
+   * @param {object} options - { purchaseInvoice, invoiceItem, updateAverage } (updateAverage defaults
+   *   to true; turn it off when the stock movement has already averaged the receipt in)
    * @returns {Promise<void>}
    */
-  async addFIFOBatch(productId, quantity, cost, tenantId, date = new Date(), purchaseOrderId = null) {
+  async addFIFOBatch(productId, quantity, cost, tenantId, date = new Date(), purchaseOrderId = null, options = {}) {
+    const { purchaseInvoice = null, invoiceItem = null, updateAverage = true } = options;
     if (!tenantId) {
       throw new Error('tenantId is required to add FIFO batch');
     }
@@ -279,13 +283,90 @@ class CostingService {
       quantity,
       cost,
       date: date || new Date(),
-      purchaseOrder: purchaseOrderId
+      purchaseOrder: purchaseOrderId,
+      purchaseInvoice,
+      invoiceItem
     });
+    await inventory.save();
 
     // Update average cost
-    await this.updateAverageCost(productId, quantity, cost, tenantId);
-    
-    await inventory.save();
+    if (updateAverage) {
+      await this.updateAverageCost(productId, quantity, cost, tenantId);
+    }
+  }
+
+  /**
+   * Add a landed cost (freight, duty, clearing...) to stock received on a purchase invoice line.
+   * FIFO layers from the line carry the charge on their remaining units; without layers,
+   * the receipt is taken to be on hand up to the current stock. The average cost takes the
+   * on-hand share, and the rest belongs to stock already sold.
+   * @param {string} productId - Product ID
+   * @param {number} quantity - Quantity received on the invoice line
+   * @param {number} amount - Charge allocated to the line
+   * @param {string} tenantId - Tenant ID (required for tenant isolation)
+   * @param {string} purchaseInvoiceId - Purchase invoice the stock was received on
+   * @param {object} options - { invoiceItem, session }; invoiceItem is the line the charge belongs to
+   * @returns {Promise<{onHandQuantity: number, soldQuantity: number, inventoryAmount: number, cogsAmount: number, averageCost: number}>}
+   */
+  async applyLandedCost(productId, quantity, amount, tenantId, purchaseInvoiceId, options = {}) {
+    const { invoiceItem = null, session = null } = options;
+    if (!tenantId) {
+      throw new Error('tenantId is required to apply landed cost');
+    }
+    const inventory = await Inventory.findOne({ product: productId, tenantId }, null, { session });
+
+    if (!inventory) {
+      throw new Error('Inventory record not found');
+    }
+
+    if (!inventory.cost) {
+      inventory.cost = {};
+    }
+
+    const unitCharge = quantity > 0 ? amount / quantity : 0;
+    const currentStock = Math.max(0, inventory.currentStock || 0);
+    // An invoice can hold the product on several lines, each with its own layer and charge.
+    // Layers recorded before lines were kept fall back to matching the invoice.
+    const layers = (inventory.cost.fifo || []).filter(batch => (batch.invoiceItem && invoiceItem
+      ? String(batch.invoiceItem) === String(invoiceItem)
+      : batch.purchaseInvoice && String(batch.purchaseInvoice) === String(purchaseInvoiceId)));
+
+    let onHandQuantity;
+    if (layers.length > 0) {
+      layers.forEach((batch) => {
+        batch.cost += unitCharge;
+        batch.landedCost = (batch.landedCost || 0) + unitCharge;
+      });
+      onHandQuantity = Math.min(quantity, layers.reduce((sum, batch) => sum + batch.quantity, 0), currentStock);
+    } else {
+      onHandQuantity = Math.min(quantity, currentStock);
+    }
+
+    const inventoryAmount = Math.round(onHandQuantity * unitCharge * 100) / 100;
+    const cogsAmount = Math.round((amount - inventoryAmount) * 100) / 100;
+
+    if (currentStock > 0 && inventoryAmount > 0) {
+      inventory.cost.average = ((inventory.cost.average || 0) * currentStock + inventoryAmount) / currentStock;
+    }
+    await inventory.save({ session });
+
+    // Keep the product's cost in step with the inventory average, as stock receipts do
+    const product = await Product.findOne({ _id: productId, tenantId }, null, { session });
+    if (product && inventoryAmount > 0) {
+      if (!product.pricing) {
+        product.pricing = {};
+      }
+      product.pricing.cost = inventory.cost.average;
+      await product.save({ session });
+    }
+
+    return {
+      onHandQuantity,
+      soldQuantity: quantity - onHandQuantity,
+      inventoryAmount,
+      cogsAmount,
+      averageCost: inventory.cost.average || 0
+    };
   }
 
   /**
@@ -293,13 +374,14 @@ class CostingService {
    * @param {string} productId - Product ID
    * @param {number} quantity - Quantity to consume
    * @param {string} tenantId - Tenant ID (required for tenant isolation)
+   * @param {object} session - Optional transaction session
    * @returns {Promise<{totalCost: number, batches: Array}>}
    */
-  async consumeFIFOBatches(productId, quantity, tenantId) {
+  async consumeFIFOBatches(productId, quantity, tenantId, session) {
     if (!tenantId) {
       throw new Error('tenantId is required to consume FIFO batches');
     }
-    const inventory = await Inventory.findOne({ product: productId, tenantId });
+    const inventory = await Inventory.findOne({ product: productId, tenantId }, null, { session });
     
     if (!inventory || !inventory.cost?.fifo) {
       throw new Error('FIFO batches not found');
@@ -333,7 +415,7 @@ class CostingService {
     // Remove empty batches
     inventory.cost.fifo = inventory.cost.fifo.filter(batch => batch.quantity > 0);
     
-    await inventory.save();
+    await inventory.save({ session });
 
     return {
       totalCost,
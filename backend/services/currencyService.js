@@ -0,0 +1,512 @@
+const mongoose = require('mongoose');
+const ExchangeRate = require('../models/ExchangeRate');
+const CurrencyRevaluation = require('../models/CurrencyRevaluation');
+const Settings = require('../models/Settings');
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+const Sales = require('../models/Sales');
+const Bank = require('../models/Bank');
+const BankReceipt = require('../models/BankReceipt');
+const BankPayment = require('../models/BankPayment');
+const journalEntryService = require('./journalEntryService');
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const roundRate = (value) => Math.round(value * 1e6) / 1e6;
+const isoDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Control accounts foreign-currency balances sit on, and where exchange differences go
+const ACCOUNTS = {
+  payable: ['AP', 'Accounts Payable', 'liability', 'current_liabilities'],
+  receivable: ['AR', 'Accounts Receivable', 'asset', 'current_assets'],
+  bank: ['BANK', 'Bank', 'asset', 'current_assets'],
+  realized: ['FX_REALIZED', 'Realized Exchange Gain/Loss', 'revenue', 'other_revenue'],
+  unrealized: ['FX_UNREALIZED', 'Unrealized Exchange Gain/Loss', 'revenue', 'other_revenue']
+};
+
+// Documents a bank payment or receipt can settle, by the side of the books they sit on
+const SETTLED_DOCUMENTS = {
+  purchase_invoice: { Model: PurchaseInvoice, type: 'payable', label: 'Purchase invoice', number: 'invoiceNumber', paid: 'paidAmount' },
+  sale: { Model: Sales, type: 'receivable', label: 'Sale', number: 'orderNumber', paid: 'amountPaid' }
+};
+
+class CurrencyService {
+  /**
+   * The tenant's base currency, which the books are kept in
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<string>}
+   */
+  async getBaseCurrency(tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const settings = await Settings.getSettings(tenantId);
+    return (settings.currency || 'USD').toUpperCase();
+  }
+
+  /**
+   * List exchange rates, newest first
+   * @param {object} filters - { currency, page, limit }
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<{rates: Array, pagination: object}>}
+   */
+  async getRates(filters = {}, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const { currency, page = 1, limit = 50 } = filters;
+    const query = { tenantId };
+    if (currency) query.currency = currency.toUpperCase();
+
+    const [rates, total] = await Promise.all([
+      ExchangeRate.find(query)
+        .sort({ effectiveDate: -1, currency: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ExchangeRate.countDocuments(query)
+    ]);
+
+    return {
+      rates,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Latest rate of every foreign currency on a date
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @param {Date} at - Date the rates apply on
+   * @returns {Promise<{baseCurrency: string, rates: Array}>}
+   */
+  async getCurrentRates(tenantId, at = new Date()) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const [baseCurrency, rates] = await Promise.all([
+      this.getBaseCurrency(tenantId),
+      ExchangeRate.aggregate([
+        { $match: { tenantId: new mongoose.Types.ObjectId(String(tenantId)), effectiveDate: { $lte: at } } },
+        { $sort: { effectiveDate: -1 } },
+        { $group: { _id: '$currency', rate: { $first: '$rate' }, effectiveDate: { $first: '$effectiveDate' } } },
+        { $sort: { _id: 1 } }
+      ])
+    ]);
+    return {
+      baseCurrency,
+      rates: rates.map(({ _id, rate, effectiveDate }) => ({ currency: _id, rate, effectiveDate }))
+    };
+  }
+
+  /**
+   * Record a rate, replacing any rate already given for the currency on that date
+   * @param {object} data - { currency, effectiveDate, rate, notes, source }
+   * @param {string} userId - User recording the rate
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<ExchangeRate>}
+   */
+  async setRate(data, userId, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const currency = String(data.currency || '').toUpperCase();
+    const baseCurrency = await this.getBaseCurrency(tenantId);
+    if (currency === baseCurrency) {
+      throw new Error(`${currency} is the base currency and has no exchange rate`);
+    }
+    const effectiveDate = new Date(data.effectiveDate || Date.now());
+    effectiveDate.setUTCHours(0, 0, 0, 0);
+
+    let rate = await ExchangeRate.findOne({ tenantId, currency, effectiveDate });
+    if (!rate) {
+      rate = new ExchangeRate({ tenantId, currency, effectiveDate, createdBy: userId });
+    }
+    rate.rate = data.rate;
+    rate.notes = data.notes;
+    rate.source = data.source || 'manual';
+    return await rate.save();
+  }
+
+  /**
+   * Delete a rate
+   * @param {string} id - Exchange rate ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   */
+  async deleteRate(id, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const rate = await ExchangeRate.findOneAndDelete({ _id: id, tenantId });
+    if (!rate) {
+      throw new Error('Exchange rate not found');
+    }
+  }
+
+  /**
+   * Rate in force for a currency on a date: the latest one dated on or before it
+   * @param {string} currency - ISO code; empty or the base currency gives 1
+   * @param {Date} date - Transaction date
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<number>}
+   */
+  async getRate(currency, date, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const code = String(currency || '').toUpperCase();
+    if (!code || code === await this.getBaseCurrency(tenantId)) {
+      return 1;
+    }
+    const rate = await ExchangeRate.findOne({ tenantId, currency: code, effectiveDate: { $lte: date } })
+      .sort({ effectiveDate: -1 })
+      .select('rate')
+      .lean();
+    if (!rate) {
+      throw new Error(`No exchange rate for ${code} on or before ${isoDate(date)}`);
+    }
+    return rate.rate;
+  }
+
+  /**
+   * Currency and rate for a new document. A rate given on the document wins over the
+   * rate table; base-currency documents are stored without a currency.
+   * @param {object} data - { currency, exchangeRate, date }
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<{currency: string|null, exchangeRate: number}>}
+   */
+  async resolveCurrency({ currency, exchangeRate, date = new Date() } = {}, tenantId) {
+    const code = String(currency || '').toUpperCase();
+    if (!code || code === await this.getBaseCurrency(tenantId)) {
+      return { currency: null, exchangeRate: 1 };
+    }
+    return {
+      currency: code,
+      exchangeRate: exchangeRate ? Number(exchangeRate) : await this.getRate(code, date, tenantId)
+    };
+  }
+
+  /**
+   * Amount in base currency
+   * @param {number} amount - Amount in the document's currency
+   * @param {number} rate - Base units per document unit
+   * @returns {number}
+   */
+  toBase(amount, rate = 1) {
+    return rate === 1 ? amount : roundMoney(amount * rate);
+  }
+
+  /**
+   * Amount in a document's currency from a base amount, for base prices on foreign documents
+   * @param {number} amount - Base-currency amount
+   * @param {number} rate - Base units per document unit
+   * @returns {number}
+   */
+  fromBase(amount, rate = 1) {
+    return rate === 1 ? amount : roundMoney(amount / rate);
+  }
+
+  /**
+   * Settle part of a foreign-currency purchase invoice or sale with a bank payment or
+   * receipt. The invoice is carried at its own rate; the payment converts at what was
+   * actually paid, and the difference is posted as realized exchange gain or loss.
+   * @param {string} documentType - 'purchase_invoice' or 'sale'
+   * @param {string} documentId - Document ID
+   * @param {object} settlement - { paymentType, payment, date, amount (document currency), baseAmount, reference }
+   * @param {string} userId - User recording the payment
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<{gainLoss: number, rate: number, journalEntry: object|null}|null>} null for base-currency documents
+   */
+  async settle(documentType, documentId, settlement, userId, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const { Model, type, label, number, paid } = SETTLED_DOCUMENTS[documentType];
+    const document = await Model.findOne({ _id: documentId, tenantId });
+    if (!document) {
+      throw new Error(`${label} not found`);
+    }
+    if (!document.currency || document.currency === await this.getBaseCurrency(tenantId)) {
+      return null;
+    }
+
+    const amount = roundMoney(Number(settlement.amount) || 0);
+    const outstanding = roundMoney(document.pricing.total - (document.payment[paid] || 0));
+    if (amount <= 0) {
+      throw new Error(`Give the amount settled in ${document.currency}`);
+    }
+    if (amount > outstanding) {
+      throw new Error(`Settled amount is more than the ${outstanding} ${document.currency} outstanding on ${document[number]}`);
+    }
+
+    const rate = roundRate(settlement.baseAmount / amount);
+    const gainLoss = this.exchangeDifference(type, this.toBase(amount, document.exchangeRate), settlement.baseAmount);
+    let journalEntry = null;
+    if (gainLoss !== 0) {
+      journalEntry = await this.postExchangeDifference(type, gainLoss, {
+        entryDate: settlement.date,
+        referenceType: 'payment',
+        referenceId: settlement.payment,
+        referenceNumber: settlement.reference || document[number],
+        description: `Realized exchange ${gainLoss > 0 ? 'gain' : 'loss'} on ${document[number]}`,
+        account: ACCOUNTS.realized,
+        metadata: { documentType, document: document._id, currency: document.currency, amount, bookRate: document.exchangeRate, rate }
+      }, userId, tenantId);
+    }
+
+    document.payment[paid] = roundMoney((document.payment[paid] || 0) + amount);
+    document.payment.status = document.payment[paid] >= document.pricing.total ? 'paid' : 'partial';
+    if (documentType === 'sale') {
+      document.payment.remainingBalance = roundMoney(document.pricing.total - document.payment[paid]);
+    } else if (document.payment.status === 'paid') {
+      document.payment.paidDate = settlement.date;
+    }
+    document.fxSettlements.push({
+      paymentType: settlement.paymentType,
+      payment: settlement.payment,
+      date: settlement.date,
+      amount,
+      rate,
+      gainLoss,
+      journalEntry: journalEntry?._id
+    });
+    await document.save();
+
+    return { gainLoss, rate, journalEntry };
+  }
+
+  /**
+   * Restate open foreign-currency payables, receivables and bank balances at the rates on
+   * `asOf` and post the unrealized difference, reversed the next day
+   * @param {Date} asOf - Revaluation date, normally a month end
+   * @param {string} userId - User running it; the tenant admin for the scheduled job
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<CurrencyRevaluation|null>} null when nothing is open in a foreign currency
+   */
+  async revalue(asOf, userId, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const date = new Date(asOf);
+    date.setUTCHours(23, 59, 59, 999);
+    if (await CurrencyRevaluation.exists({ tenantId, asOf: date })) {
+      throw new Error(`Foreign currency balances were already revalued as of ${isoDate(date)}`);
+    }
+
+    const baseCurrency = await this.getBaseCurrency(tenantId);
+    const items = await this.getOpenItems(date, baseCurrency, tenantId);
+    if (items.length === 0) {
+      return null;
+    }
+
+    const rates = {};
+    for (const currency of new Set(items.map(item => item.currency))) {
+      rates[currency] = await this.getRate(currency, date, tenantId);
+    }
+
+    const lines = items
+      .map(item => {
+        const revalued = this.toBase(item.foreignAmount, rates[item.currency]);
+        return { ...item, rate: rates[item.currency], revalued, gainLoss: this.exchangeDifference(item.type, item.carried, revalued) };
+      })
+      .filter(line => line.gainLoss !== 0);
+
+    const revaluation = new CurrencyRevaluation({
+      tenantId,
+      asOf: date,
+      baseCurrency,
+      rates,
+      lines,
+      totalGainLoss: roundMoney(lines.reduce((sum, line) => sum + line.gainLoss, 0)),
+      postedBy: userId
+    });
+
+    if (lines.length > 0) {
+      const entries = await this.revaluationEntries(lines, tenantId);
+      const createdBy = await journalEntryService.resolveCreatedBy(tenantId, userId);
+      const entry = {
+        tenantId,
+        referenceType: 'fx_revaluation',
+        referenceId: revaluation._id,
+        referenceNumber: `FXR-${isoDate(date)}`,
+        createdBy
+      };
+      const journalEntry = await journalEntryService.createJournalEntry({
+        ...entry,
+        entryDate: date,
+        entries,
+        description: `Unrealized exchange ${revaluation.totalGainLoss >= 0 ? 'gain' : 'loss'} as of ${isoDate(date)}`,
+        metadata: { rates, baseCurrency }
+      });
+      const reversalEntry = await journalEntryService.createJournalEntry({
+        ...entry,
+        entryDate: new Date(date.getTime() + 1),
+        entries: entries.map(line => ({ ...line, debit: line.credit, credit: line.debit, description: `Reversal: ${line.description}` })),
+        description: `Reversal of unrealized exchange difference as of ${isoDate(date)}`,
+        metadata: { reversalOf: journalEntry._id }
+      });
+      revaluation.journalEntry = journalEntry._id;
+      revaluation.reversalEntry = reversalEntry._id;
+    }
+
+    return await revaluation.save();
+  }
+
+  /**
+   * List revaluation runs, newest first
+   * @param {object} filters - { page, limit }
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<{revaluations: Array, pagination: object}>}
+   */
+  async getRevaluations(filters = {}, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const { page = 1, limit = 20 } = filters;
+    const [revaluations, total] = await Promise.all([
+      CurrencyRevaluation.find({ tenantId })
+        .sort({ asOf: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      CurrencyRevaluation.countDocuments({ tenantId })
+    ]);
+    return {
+      revaluations,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Open foreign-currency balances on a date with the base amount the books carry them at
+   * @private
+   */
+  async getOpenItems(asOf, baseCurrency, tenantId) {
+    const foreign = { $nin: [null, '', baseCurrency] };
+    const [invoices, sales, banks] = await Promise.all([
+      PurchaseInvoice.find({ tenantId, currency: foreign, isDeleted: { $ne: true }, status: { $ne: 'cancelled' }, createdAt: { $lte: asOf } })
+        .select('invoiceNumber currency exchangeRate pricing.total payment.paidAmount fxSettlements')
+        .lean(),
+      Sales.find({ tenantId, currency: foreign, isDeleted: { $ne: true }, status: { $nin: ['cancelled', 'returned'] }, createdAt: { $lte: asOf } })
+        .select('orderNumber currency exchangeRate pricing.total payment.amountPaid fxSettlements')
+        .lean(),
+      Bank.find({ tenantId, currency: foreign, isDeleted: { $ne: true } })
+        .select('bankName accountNumber currency openingBalance openingExchangeRate')
+        .lean()
+    ]);
+
+    const items = [];
+    const addDocument = (type, document, paid, reference) => {
+      // Paid on the document less what later settlements paid is what was paid by asOf
+      const settledLater = (document.fxSettlements || [])
+        .filter(settlement => settlement.date > asOf)
+        .reduce((sum, settlement) => sum + settlement.amount, 0);
+      const foreignAmount = roundMoney(document.pricing.total - (paid || 0) + settledLater);
+      if (foreignAmount > 0) {
+        items.push({
+          type,
+          document: document._id,
+          reference,
+          accountCode: ACCOUNTS[type][0],
+          currency: document.currency,
+          foreignAmount,
+          carried: this.toBase(foreignAmount, document.exchangeRate)
+        });
+      }
+    };
+    invoices.forEach(invoice => addDocument('payable', invoice, invoice.payment?.paidAmount, invoice.invoiceNumber));
+    sales.forEach(sale => addDocument('receivable', sale, sale.payment?.amountPaid, sale.orderNumber));
+
+    for (const bank of banks) {
+      const dated = { bank: bank._id, date: { $lte: asOf }, status: { $ne: 'cancelled' } };
+      const [receipts, payments] = await Promise.all([
+        BankReceipt.find(dated).select('amount exchangeRate baseAmount').lean(),
+        BankPayment.find(dated).select('amount exchangeRate baseAmount').lean()
+      ]);
+      const baseOf = (item) => item.baseAmount ?? this.toBase(item.amount, item.exchangeRate || 1);
+      const foreignAmount = roundMoney((bank.openingBalance || 0)
+        + receipts.reduce((sum, receipt) => sum + receipt.amount, 0)
+        - payments.reduce((sum, payment) => sum + payment.amount, 0));
+      const carried = roundMoney(this.toBase(bank.openingBalance || 0, bank.openingExchangeRate || 1)
+        + receipts.reduce((sum, receipt) => sum + baseOf(receipt), 0)
+        - payments.reduce((sum, payment) => sum + baseOf(payment), 0));
+      if (foreignAmount !== 0 || carried !== 0) {
+        items.push({
+          type: 'bank',
+          document: bank._id,
+          reference: `${bank.bankName} ${bank.accountNumber}`,
+          accountCode: ACCOUNTS.bank[0],
+          currency: bank.currency,
+          foreignAmount,
+          carried
+        });
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Gain (positive) or loss when a balance carried at `carried` is worth `actual` in base:
+   * assets gain when they are worth more, payables when they cost less to clear
+   * @private
+   */
+  exchangeDifference(type, carried, actual) {
+    return type === 'payable' ? roundMoney(carried - actual) : roundMoney(actual - carried);
+  }
+
+  /**
+   * Journal lines moving each control account by its net revaluation against the
+   * unrealized gain/loss account
+   * @private
+   */
+  async revaluationEntries(lines, tenantId) {
+    const byAccount = new Map();
+    for (const line of lines) {
+      byAccount.set(line.type, roundMoney((byAccount.get(line.type) || 0) + line.gainLoss));
+    }
+
+    const entries = [];
+    let total = 0;
+    for (const [type, gainLoss] of byAccount) {
+      if (gainLoss === 0) continue;
+      const account = await journalEntryService.getOrCreateAccount(tenantId, ...ACCOUNTS[type]);
+      // A gain raises an asset or lowers a payable, so it is a debit on either
+      entries.push({
+        accountCode: account.accountCode,
+        debit: gainLoss > 0 ? gainLoss : 0,
+        credit: gainLoss < 0 ? -gainLoss : 0,
+        description: `Revaluation of foreign-currency ${type === 'bank' ? 'bank balances' : `${type}s`}`
+      });
+      total = roundMoney(total + gainLoss);
+    }
+    if (total !== 0) {
+      const account = await journalEntryService.getOrCreateAccount(tenantId, ...ACCOUNTS.unrealized);
+      entries.push({
+        accountCode: account.accountCode,
+        debit: total < 0 ? -total : 0,
+        credit: total > 0 ? total : 0,
+        description: `Unrealized exchange ${total > 0 ? 'gain' : 'loss'}`
+      });
+    }
+    return entries;
+  }
+
+  /**
+   * Post an exchange difference between a control account and a gain/loss account
+   * @private
+   */
+  async postExchangeDifference(type, gainLoss, { account, ...entry }, userId, tenantId) {
+    const control = await journalEntryService.getOrCreateAccount(tenantId, ...ACCOUNTS[type]);
+    const gainLossAccount = await journalEntryService.getOrCreateAccount(tenantId, ...account);
+    const amount = Math.abs(gainLoss);
+    return await journalEntryService.createJournalEntry({
+      tenantId,
+      ...entry,
+      entries: [
+        { accountCode: control.accountCode, debit: gainLoss > 0 ? amount : 0, credit: gainLoss < 0 ? amount : 0, description: entry.description },
+        { accountCode: gainLossAccount.accountCode, debit: gainLoss < 0 ? amount : 0, credit: gainLoss > 0 ? amount : 0, description: entry.description }
+      ],
+      createdBy: await journalEntryService.resolveCreatedBy(tenantId, userId)
+    });
+  }
+}
+
+module.exports = new CurrencyService();
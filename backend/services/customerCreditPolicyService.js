@@ -1,6 +1,7 @@
 const Customer = require('../models/Customer');
 const CustomerTransaction = require('../models/CustomerTransaction');
 const customerAuditLogService = require('./customerAuditLogService');
+const notificationService = require('./notificationService');
 const logger = require('../utils/logger');
 
 class CustomerCreditPolicyService {
@@ -230,8 +231,13 @@ class CustomerCreditPolicyService {
       }
     }
 
-    // TODO: Send actual notifications based on action type
-    // await notificationService.sendWarnings(customer, warnings);
+    if (warnings.length > 0) {
+      try {
+        await notificationService.sendOverdueWarnings(customer, warnings);
+      } catch (error) {
+        logger.error(`Error sending overdue warnings for customer ${customerId}:`, error);
+      }
+    }
 
     return {
       customerId,
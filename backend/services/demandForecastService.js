@@ -0,0 +1,371 @@
+const mongoose = require('mongoose');
+const DemandForecast = require('../models/DemandForecast');
+const Product = require('../models/Product');
+const Sales = require('../models/Sales');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Standard normal quantiles for the supported service levels (chance of not stocking out in a cycle)
+const Z_SCORES = { 0.9: 1.2816, 0.95: 1.6449, 0.975: 1.96, 0.98: 2.0537, 0.99: 2.3263 };
+
+// Holt-Winters smoothing parameters tried on each product
+const GRID = {
+  alpha: [0.1, 0.3, 0.5],
+  beta: [0, 0.05, 0.15],
+  gamma: [0.05, 0.15, 0.3]
+};
+
+const DEFAULTS = {
+  historyDays: 365,
+  seasonLength: 7,
+  holdoutDays: 28,
+  horizonDays: 90,
+  serviceLevel: 0.95
+};
+
+// Lead time assumed when neither purchase orders nor the supplier give one
+const DEFAULT_LEAD_TIME = 7;
+
+const round = (value, places = 4) => Math.round(value * 10 ** places) / 10 ** places;
+const mean = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+const stdDev = (values) => {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1));
+};
+const startOfDay = (date) => new Date(Math.floor(date.getTime() / DAY_MS) * DAY_MS);
+
+class DemandForecastService {
+  /**
+   * List stored forecasts (without the daily forecast quantities)
+   * @param {object} filters - { model, page, limit }
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<{forecasts: Array, pagination: object}>}
+   */
+  async getForecasts(filters = {}, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const { model, page = 1, limit = 50 } = filters;
+    const query = { tenantId };
+    if (model) query.model = model;
+
+    const [forecasts, total] = await Promise.all([
+      DemandForecast.find(query)
+        .select('-forecast')
+        .populate('product', 'name sku')
+        .sort({ reorderPoint: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      DemandForecast.countDocuments(query)
+    ]);
+
+    return {
+      forecasts,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Get the stored forecast for a product
+   * @param {string} productId - Product ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async getForecast(productId, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const forecast = await DemandForecast.findOne({ product: productId, tenantId }).populate('product', 'name sku');
+    if (!forecast) {
+      throw new Error('Forecast not found');
+    }
+    return forecast;
+  }
+
+  /**
+   * Stored forecasts for a set of products, for reorder decisions
+   * @param {Array} productIds - Product IDs; all of the tenant's forecasts when omitted
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<Map>} Product ID -> forecast document
+   */
+  async findForecasts(productIds, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const query = { tenantId };
+    if (productIds) query.product = { $in: productIds };
+    const forecasts = await DemandForecast.find(query);
+    return new Map(forecasts.map(forecast => [String(forecast.product), forecast]));
+  }
+
+  /**
+   * Re-forecast every active product of a tenant from its daily sales history. Products
+   * without enough history lose any stale forecast and fall back to their manual
+   * reorder levels.
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @param {object} options - { historyDays, seasonLength, holdoutDays, horizonDays, serviceLevel }
+   * @returns {Promise<{products: number, forecasts: number, skipped: number, errors: Array}>}
+   */
+  async runForecasts(tenantId, options = {}) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const settings = { ...DEFAULTS, ...options };
+    if (!Z_SCORES[settings.serviceLevel]) {
+      throw new Error(`Service level must be one of ${Object.keys(Z_SCORES).join(', ')}`);
+    }
+
+    const today = startOfDay(new Date());
+    const since = new Date(today.getTime() - settings.historyDays * DAY_MS);
+    const products = await Product.find({ tenantId, status: 'active' }).select('_id');
+    const productIds = products.map(product => product._id);
+    const history = await this.loadHistory(productIds, since, today, tenantId);
+    const leadTimes = await this.getLeadTimes(productIds, tenantId);
+
+    const results = { products: products.length, forecasts: 0, skipped: 0, errors: [] };
+    const forecasted = [];
+    for (const productId of productIds) {
+      try {
+        const fit = this.fit(history.get(String(productId)) || [], settings);
+        if (!fit) {
+          results.skipped++;
+          continue;
+        }
+        const leadTime = leadTimes.get(String(productId)) || { mean: DEFAULT_LEAD_TIME, stdDev: 0, observations: 0, source: 'default' };
+        const forecast = new DemandForecast({
+          tenantId,
+          product: productId,
+          ...fit,
+          seasonLength: settings.seasonLength,
+          forecastStart: today,
+          leadTime,
+          serviceLevel: settings.serviceLevel,
+          computedAt: new Date()
+        });
+        forecast.safetyStock = round(this.safetyStock({
+          dailyDemand: forecast.averageDailyDemand,
+          demandStdDev: forecast.demandStdDev,
+          leadTime: leadTime.mean,
+          leadTimeStdDev: leadTime.stdDev,
+          serviceLevel: settings.serviceLevel
+        }), 2);
+        forecast.reorderPoint = Math.ceil(forecast.demandOver(leadTime.mean, today) + forecast.safetyStock);
+
+        const { _id, ...fields } = forecast.toObject();
+        await DemandForecast.findOneAndUpdate({ tenantId, product: productId }, fields, { upsert: true, new: true });
+        forecasted.push(productId);
+        results.forecasts++;
+      } catch (error) {
+        logger.error(`Error forecasting demand for product ${productId}:`, error);
+        results.errors.push({ product: productId, error: error.message });
+      }
+    }
+
+    await DemandForecast.deleteMany({ tenantId, product: { $nin: forecasted } });
+    return results;
+  }
+
+  /**
+   * Fit a daily demand series. The most recent days are held out; Holt-Winters (over a grid
+   * of smoothing parameters) and seasonal-naive models are trained on the rest and the one
+   * with the lowest MAPE on the held-out days is refitted on the full series.
+   * @param {Array<number>} series - Daily quantities, oldest first
+   * @param {object} options - { seasonLength, holdoutDays, horizonDays }
+   * @returns {object|null} { model, parameters, observations, accuracy, averageDailyDemand, demandStdDev, forecast }, or null without enough history
+   */
+  fit(series, options = {}) {
+    const { seasonLength: m, holdoutDays, horizonDays } = { ...DEFAULTS, ...options };
+    if (series.length < 2 * m) {
+      return null;
+    }
+    const holdout = Math.min(holdoutDays, Math.floor(series.length / 3));
+    const train = series.slice(0, series.length - holdout);
+    const actual = series.slice(series.length - holdout);
+
+    const candidates = [];
+    if (train.length >= m) {
+      candidates.push({ model: 'seasonal_naive', parameters: {}, ...this.score(actual, this.seasonalNaive(train, m, holdout).forecast) });
+    }
+    if (train.length >= 2 * m) {
+      for (const alpha of GRID.alpha) {
+        for (const beta of GRID.beta) {
+          for (const gamma of GRID.gamma) {
+            const parameters = { alpha, beta, gamma };
+            candidates.push({ model: 'holt_winters', parameters, ...this.score(actual, this.holtWinters(train, m, parameters, holdout).forecast) });
+          }
+        }
+      }
+    }
+    // MAPE where it is defined, else absolute error when the held-out days had no sales
+    const byMape = candidates.every(candidate => candidate.mape !== null);
+    const best = candidates.reduce((a, b) => ((byMape ? b.mape < a.mape : b.mae < a.mae) ? b : a));
+
+    const full = best.model === 'holt_winters'
+      ? this.holtWinters(series, m, best.parameters, horizonDays)
+      : this.seasonalNaive(series, m, horizonDays);
+    const residuals = series.slice(m).map((value, index) => value - full.fitted[index + m]);
+
+    return {
+      model: best.model,
+      parameters: best.parameters,
+      observations: series.length,
+      accuracy: { mape: best.mape === null ? null : round(best.mape), holdoutDays: holdout },
+      averageDailyDemand: round(mean(full.forecast)),
+      demandStdDev: round(stdDev(residuals)),
+      forecast: full.forecast.map(value => round(value))
+    };
+  }
+
+  /**
+   * Additive Holt-Winters: level, trend and a seasonal index per position in the season
+   * @param {Array<number>} series - Daily quantities, at least two seasons long
+   * @param {number} m - Season length
+   * @param {object} parameters - { alpha, beta, gamma }
+   * @param {number} horizon - Days to forecast
+   * @returns {{fitted: Array<number>, forecast: Array<number>}} One-step-ahead fits and the forecast (never negative)
+   */
+  holtWinters(series, m, { alpha, beta, gamma }, horizon) {
+    let level = mean(series.slice(0, m));
+    let trend = (mean(series.slice(m, 2 * m)) - level) / m;
+    const season = series.slice(0, m).map(value => value - level);
+
+    const fitted = series.map((value, t) => {
+      const index = season[t % m];
+      const prediction = level + trend + index;
+      const previousLevel = level;
+      level = alpha * (value - index) + (1 - alpha) * (level + trend);
+      trend = beta * (level - previousLevel) + (1 - beta) * trend;
+      season[t % m] = gamma * (value - level) + (1 - gamma) * index;
+      return prediction;
+    });
+
+    const forecast = Array.from({ length: horizon }, (_, h) =>
+      Math.max(0, level + (h + 1) * trend + season[(series.length + h) % m]));
+    return { fitted, forecast };
+  }
+
+  /**
+   * Seasonal naive: each day repeats the same day of the last season
+   * @param {Array<number>} series - Daily quantities, at least one season long
+   * @param {number} m - Season length
+   * @param {number} horizon - Days to forecast
+   * @returns {{fitted: Array<number>, forecast: Array<number>}}
+   */
+  seasonalNaive(series, m, horizon) {
+    const fitted = series.map((value, t) => (t >= m ? series[t - m] : value));
+    const lastSeason = series.slice(series.length - m);
+    const forecast = Array.from({ length: horizon }, (_, h) => lastSeason[h % m]);
+    return { fitted, forecast };
+  }
+
+  /**
+   * Mean absolute percentage error over the days with actual demand
+   * @param {Array<number>} actual - Actual quantities
+   * @param {Array<number>} predicted - Forecast quantities
+   * @returns {number|null} MAPE as a fraction, or null when no day had demand
+   */
+  mape(actual, predicted) {
+    const errors = actual
+      .map((value, index) => (value > 0 ? Math.abs(value - predicted[index]) / value : null))
+      .filter(error => error !== null);
+    return errors.length ? mean(errors) : null;
+  }
+
+  /**
+   * Safety stock covering demand and lead-time variability:
+   * z × √(L × σd² + d² × σL²)
+   * @param {object} params - { dailyDemand, demandStdDev, leadTime, leadTimeStdDev, serviceLevel }
+   * @returns {number}
+   */
+  safetyStock({ dailyDemand, demandStdDev, leadTime, leadTimeStdDev, serviceLevel = DEFAULTS.serviceLevel }) {
+    const z = Z_SCORES[serviceLevel] || Z_SCORES[DEFAULTS.serviceLevel];
+    return z * Math.sqrt(leadTime * demandStdDev ** 2 + dailyDemand ** 2 * leadTimeStdDev ** 2);
+  }
+
+  /** @private */
+  score(actual, predicted) {
+    return {
+      mape: this.mape(actual, predicted),
+      mae: mean(actual.map((value, index) => Math.abs(value - predicted[index])))
+    };
+  }
+
+  /**
+   * Daily quantities sold per product from its first sale in the window up to yesterday
+   * @private
+   */
+  async loadHistory(productIds, since, until, tenantId) {
+    const rows = await Sales.aggregate([
+      {
+        $match: {
+          tenantId: new mongoose.Types.ObjectId(String(tenantId)),
+          createdAt: { $gte: since, $lt: until },
+          status: { $nin: ['cancelled', 'returned'] }
+        }
+      },
+      { $unwind: '$items' },
+      { $match: { 'items.product': { $in: productIds } } },
+      {
+        $group: {
+          _id: { product: '$items.product', day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } } },
+          quantity: { $sum: '$items.quantity' }
+        }
+      }
+    ]);
+
+    const days = Math.round((until - since) / DAY_MS);
+    const byProduct = new Map();
+    for (const row of rows) {
+      const key = String(row._id.product);
+      if (!byProduct.has(key)) byProduct.set(key, new Array(days).fill(0));
+      const index = Math.round((new Date(`${row._id.day}T00:00:00Z`) - since) / DAY_MS);
+      if (index >= 0 && index < days) byProduct.get(key)[index] += row.quantity;
+    }
+    for (const [key, series] of byProduct) {
+      const first = series.findIndex(quantity => quantity > 0);
+      byProduct.set(key, first < 0 ? [] : series.slice(first));
+    }
+    return byProduct;
+  }
+
+  /**
+   * Lead time per product from order to receipt on its purchase orders, else the last
+   * supplier's quoted lead time
+   * @private
+   */
+  async getLeadTimes(productIds, tenantId) {
+    const orders = await PurchaseOrder.find({
+      tenantId,
+      'items.product': { $in: productIds },
+      status: { $in: ['partially_received', 'fully_received', 'closed'] },
+      lastReceivedDate: { $ne: null }
+    })
+      .select('items.product orderDate confirmedDate lastReceivedDate supplier')
+      .populate('supplier', 'leadTime')
+      .sort({ orderDate: -1 })
+      .lean();
+
+    const samples = new Map();
+    for (const order of orders) {
+      const days = (new Date(order.lastReceivedDate) - new Date(order.confirmedDate || order.orderDate)) / DAY_MS;
+      for (const key of new Set(order.items.map(item => String(item.product)))) {
+        if (!samples.has(key)) samples.set(key, { days: [], supplierLeadTime: order.supplier?.leadTime });
+        if (days >= 0) samples.get(key).days.push(days);
+      }
+    }
+
+    const leadTimes = new Map();
+    for (const [key, { days, supplierLeadTime }] of samples) {
+      leadTimes.set(key, days.length > 0
+        ? { mean: round(mean(days), 2), stdDev: round(stdDev(days), 2), observations: days.length, source: 'purchase_orders' }
+        : { mean: supplierLeadTime ?? DEFAULT_LEAD_TIME, stdDev: 0, observations: 0, source: supplierLeadTime != null ? 'supplier' : 'default' });
+    }
+    return leadTimes;
+  }
+}
+
+module.exports = new DemandForecastService();
+module.exports.SERVICE_LEVELS = Object.keys(Z_SCORES).map(Number);
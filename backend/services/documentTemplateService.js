@@ -0,0 +1,607 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const DocumentTemplate = require('../models/DocumentTemplate');
+const Sales = require('../models/Sales');
+const SalesOrder = require('../models/SalesOrder');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+const Return = require('../models/Return');
+const Quotation = require('../models/Quotation');
+const settingsService = require('./settingsService');
+const invoicePdfService = require('./invoicePdfService');
+
+const { DOCUMENT_TYPES } = DocumentTemplate;
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Used when a tenant has no template for a document type; matches the original fixed invoice layout
+const BUILT_IN_TEMPLATE = {
+  name: 'Standard',
+  documentTypes: DOCUMENT_TYPES,
+  paperSize: 'LETTER',
+  orientation: 'portrait',
+  logo: { width: 120, align: 'left' },
+  header: { showCompanyName: true, showAddress: true, showContact: true, fields: [] },
+  taxRegistrations: [],
+  showItemTax: false,
+  showTaxBreakdown: true,
+  footer: 'Thank you for your business!',
+  qrCode: { enabled: false, size: 90 },
+  isBuiltIn: true
+};
+
+const TEMPLATE_FIELDS = [
+  'name', 'documentTypes', 'defaultFor', 'paperSize', 'orientation', 'logo', 'header',
+  'taxRegistrations', 'showItemTax', 'showTaxBreakdown', 'terms', 'footer', 'qrCode', 'isActive'
+];
+
+const CUSTOMER_FIELDS = 'businessName name email phone addresses taxId';
+const SUPPLIER_FIELDS = 'companyName contactPerson email phone addresses taxId';
+
+// Stand-in document for previewing a template before any real document exists
+const SAMPLE_DOCUMENT = {
+  number: 'SAMPLE-000001',
+  party: { label: 'Bill To', name: 'Sample Customer', lines: ['1 Sample Street, Springfield', 'customer@example.com'] },
+  items: [
+    { description: 'Sample product', sku: 'SKU-001', quantity: 2, unitPrice: 25, discountPercent: 0, tax: 2.5, total: 50 },
+    { description: 'Another product with a longer description', sku: 'SKU-002', quantity: 1, unitPrice: 40, discountPercent: 10, tax: 1.8, total: 36 }
+  ],
+  totals: { subtotal: 86, discount: 0, tax: 4.3, total: 90.3 },
+  taxes: [{ label: 'Sales Tax 5%', amount: 4.3, withholding: false }],
+  notes: 'Sample notes'
+};
+
+class DocumentTemplateService {
+  /**
+   * List document templates
+   * @param {object} filters - { documentType, isActive }
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<Array>}
+   */
+  async getTemplates(filters = {}, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const query = { tenantId };
+    if (filters.documentType) {
+      query.documentTypes = filters.documentType;
+    }
+    if (filters.isActive !== undefined) {
+      query.isActive = filters.isActive === true || filters.isActive === 'true';
+    }
+    return DocumentTemplate.find(query).sort({ name: 1 }).lean();
+  }
+
+  /**
+   * Get a document template
+   * @param {string} id - Template ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async getTemplate(id, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const template = await DocumentTemplate.findOne({ _id: id, tenantId });
+    if (!template) {
+      throw new Error('Document template not found');
+    }
+    return template;
+  }
+
+  /**
+   * Create a document template
+   * @param {object} data - Template fields
+   * @param {string} userId - User creating the template
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async createTemplate(data, userId, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const existing = await DocumentTemplate.findOne({ tenantId, name: String(data.name).trim() });
+    if (existing) {
+      throw new Error('Document template already exists');
+    }
+    const template = new DocumentTemplate({
+      ...this.pickFields(data),
+      tenantId,
+      createdBy: userId,
+      updatedBy: userId
+    });
+    this.assertDefaults(template);
+    await template.save();
+    await this.clearOtherDefaults(template);
+    return template;
+  }
+
+  /**
+   * Update a document template
+   * @param {string} id - Template ID
+   * @param {object} data - Fields to change
+   * @param {string} userId - User making the change
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async updateTemplate(id, data, userId, tenantId) {
+    const template = await this.getTemplate(id, tenantId);
+    if (data.name !== undefined && String(data.name).trim() !== template.name) {
+      const existing = await DocumentTemplate.findOne({ tenantId, name: String(data.name).trim(), _id: { $ne: template._id } });
+      if (existing) {
+        throw new Error('Document template already exists');
+      }
+    }
+    template.set(this.pickFields(data));
+    template.updatedBy = userId;
+    this.assertDefaults(template);
+    await template.save();
+    await this.clearOtherDefaults(template);
+    return template;
+  }
+
+  /**
+   * Delete a document template
+   * @param {string} id - Template ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<void>}
+   */
+  async deleteTemplate(id, tenantId) {
+    const template = await this.getTemplate(id, tenantId);
+    await DocumentTemplate.deleteOne({ _id: template._id, tenantId });
+  }
+
+  /**
+   * Template to print a document type with: the one asked for, else the tenant
+   * default for the type, else the built-in layout
+   * @param {string} documentType - One of DOCUMENT_TYPES
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @param {string} [templateId] - Explicit template
+   * @returns {Promise<object>}
+   */
+  async resolveTemplate(documentType, tenantId, templateId = null) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    if (templateId) {
+      const template = await this.getTemplate(templateId, tenantId);
+      if (!template.documentTypes.includes(documentType)) {
+        throw new Error(`Template ${template.name} does not print ${documentType} documents`);
+      }
+      return this.withDefaults(template.toObject());
+    }
+    const template = await DocumentTemplate.findOne({ tenantId, defaultFor: documentType, isActive: true }).lean();
+    return this.withDefaults(template || BUILT_IN_TEMPLATE);
+  }
+
+  /**
+   * Load a document in the printable shape the PDF layout draws from
+   * @param {string} documentType - One of DOCUMENT_TYPES
+   * @param {string} documentId - Document ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>} { documentType, number, date, fields, party, items, totals, taxes, notes, terms }
+   */
+  async loadDocument(documentType, documentId, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const loaders = {
+      sales_invoice: () => this.loadSale(documentId, tenantId),
+      sales_order: () => this.loadSalesOrder(documentId, tenantId),
+      purchase_order: () => this.loadPurchaseOrder(documentId, tenantId),
+      return: () => this.loadReturn(documentId, tenantId),
+      quotation: () => this.loadQuotation(documentId, tenantId)
+    };
+    if (!loaders[documentType]) {
+      throw new Error(`Unsupported document type: ${documentType}`);
+    }
+    const document = await loaders[documentType]();
+    if (!document) {
+      throw new Error('Document not found');
+    }
+    return { documentType, ...document };
+  }
+
+  /**
+   * Print a document with its template
+   * @param {string} documentType - One of DOCUMENT_TYPES
+   * @param {string} documentId - Document ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @param {object} [options] - { templateId }
+   * @returns {Promise<{buffer: Buffer, filename: string, document: object}>}
+   */
+  async renderDocument(documentType, documentId, tenantId, options = {}) {
+    const [template, document] = await Promise.all([
+      this.resolveTemplate(documentType, tenantId, options.templateId),
+      this.loadDocument(documentType, documentId, tenantId)
+    ]);
+    const buffer = await this.render(template, document, tenantId);
+    return {
+      buffer,
+      filename: `${documentType}_${String(document.number).replace(/[^\w-]/g, '_')}.pdf`,
+      document
+    };
+  }
+
+  /**
+   * Render unsaved template settings against a real document or sample data
+   * @param {object} templateData - Template fields as edited
+   * @param {object} options - { documentType, documentId }
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<Buffer>}
+   */
+  async previewTemplate(templateData, options, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const documentType = options.documentType || 'sales_invoice';
+    const template = this.withDefaults(this.pickFields(templateData));
+    const document = options.documentId
+      ? await this.loadDocument(documentType, options.documentId, tenantId)
+      : { ...SAMPLE_DOCUMENT, documentType, date: new Date() };
+    return this.render(template, document, tenantId);
+  }
+
+  /**
+   * Verification data carried in a document's QR code. The signature covers
+   * every other field, so altered totals or numbers fail verifyDocumentData.
+   * @param {object} document - Printable document
+   * @param {object} template - Document template
+   * @param {object} company - Company settings
+   * @param {string} tenantId - Tenant ID
+   * @returns {object}
+   */
+  verificationData(document, template, company, tenantId) {
+    const data = {
+      seller: company?.companyName || '',
+      taxNumber: invoicePdfService.taxRegistrations(template, company)[0]?.number || '',
+      type: document.documentType,
+      number: String(document.number),
+      date: new Date(document.date).toISOString(),
+      total: roundMoney(document.totals?.total),
+      tax: roundMoney(document.totals?.tax),
+      tenant: String(tenantId)
+    };
+    data.sig = this.sign(data);
+    return data;
+  }
+
+  /**
+   * Check scanned QR data against its signature
+   * @param {string} raw - QR contents (JSON)
+   * @returns {{valid: boolean, document: object|null}}
+   */
+  verifyDocumentData(raw) {
+    let data;
+    try {
+      data = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    } catch (error) {
+      return { valid: false, document: null };
+    }
+    if (!data || typeof data.sig !== 'string') {
+      return { valid: false, document: null };
+    }
+    const { sig, ...fields } = data;
+    const expected = this.sign(fields);
+    const valid = sig.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected));
+    return { valid, document: valid ? fields : null };
+  }
+
+  /**
+   * Fill in settings a stored or edited template leaves out
+   * @private
+   */
+  withDefaults(template) {
+    return {
+      ...BUILT_IN_TEMPLATE,
+      ...template,
+      logo: { ...BUILT_IN_TEMPLATE.logo, ...template.logo },
+      header: { ...BUILT_IN_TEMPLATE.header, ...template.header },
+      qrCode: { ...BUILT_IN_TEMPLATE.qrCode, ...template.qrCode },
+      isBuiltIn: template === BUILT_IN_TEMPLATE
+    };
+  }
+
+  /**
+   * @private
+   */
+  async render(template, document, tenantId) {
+    const company = await settingsService.getCompanySettings(tenantId);
+    let qrImage = null;
+    if (template.qrCode?.enabled) {
+      const data = this.verificationData(document, template, company, tenantId);
+      qrImage = await QRCode.toBuffer(JSON.stringify(data), { margin: 1, width: 300, errorCorrectionLevel: 'M' });
+    }
+    return invoicePdfService.renderPdf(template, document, company, qrImage);
+  }
+
+  /**
+   * @private
+   */
+  sign(fields) {
+    const secret = process.env.DOCUMENT_SIGNING_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+      throw new Error('Document signing secret is not configured');
+    }
+    const payload = Object.keys(fields).sort().map(key => `${key}=${fields[key]}`).join('|');
+    return crypto.createHmac('sha256', secret).update(payload).digest('hex').slice(0, 32);
+  }
+
+  /**
+   * @private
+   */
+  pickFields(data) {
+    const picked = {};
+    TEMPLATE_FIELDS.forEach((field) => {
+      if (data[field] !== undefined) {
+        picked[field] = data[field];
+      }
+    });
+    return picked;
+  }
+
+  /**
+   * @private
+   */
+  assertDefaults(template) {
+    const unprinted = (template.defaultFor || []).filter(type => !template.documentTypes.includes(type));
+    if (unprinted.length > 0) {
+      throw new Error('A template can only be the default for document types it prints');
+    }
+    if (template.defaultFor?.length > 0 && template.isActive === false) {
+      throw new Error('An inactive template cannot be a default');
+    }
+  }
+
+  /**
+   * A document type has one default template; taking it over releases it elsewhere
+   * @private
+   */
+  async clearOtherDefaults(template) {
+    if (!template.defaultFor?.length) {
+      return;
+    }
+    await DocumentTemplate.updateMany(
+      { tenantId: template.tenantId, _id: { $ne: template._id }, defaultFor: { $in: template.defaultFor } },
+      { $pullAll: { defaultFor: template.defaultFor } }
+    );
+  }
+
+  /**
+   * @private
+   */
+  async loadSale(id, tenantId) {
+    const sale = await Sales.findOne({ _id: id, tenantId })
+      .populate('customer', CUSTOMER_FIELDS)
+      .populate('items.product', 'name sku')
+      .lean();
+    if (!sale) {
+      return null;
+    }
+    const party = sale.customer
+      ? this.partyOf('Bill To', sale.customer.businessName || sale.customer.name, sale.customer)
+      : this.partyOf('Bill To', sale.customerInfo?.businessName || sale.customerInfo?.name, sale.customerInfo);
+    return {
+      number: sale.orderNumber,
+      date: sale.createdAt,
+      fields: [],
+      party,
+      items: sale.items.map(item => ({
+        description: item.product?.name || 'Product',
+        sku: item.product?.sku,
+        quantity: item.quantity || 0,
+        unitPrice: item.unitPrice || 0,
+        discountPercent: item.discountPercent || 0,
+        tax: roundMoney(item.taxAmount),
+        total: item.total ?? roundMoney((item.quantity || 0) * (item.unitPrice || 0))
+      })),
+      totals: {
+        subtotal: sale.pricing?.subtotal || 0,
+        discount: sale.pricing?.discountAmount || 0,
+        shipping: sale.pricing?.shippingAmount || 0,
+        tax: sale.pricing?.taxAmount || 0,
+        withholding: sale.pricing?.withholdingAmount || 0,
+        total: sale.pricing?.total || 0
+      },
+      taxes: this.summarizeTaxes(sale.taxes),
+      // Tender lines, or the single payment of a sale without split tenders
+      payments: sale.payment?.tenders?.length > 0
+        ? sale.payment.tenders.map(tender => ({
+          method: tender.method,
+          amount: tender.amount,
+          tendered: tender.tendered,
+          change: tender.change || 0
+        }))
+        : (sale.payment?.amountPaid > 0 ? [{ method: sale.payment.method, amount: sale.payment.amountPaid }] : []),
+      notes: sale.notes
+    };
+  }
+
+  /**
+   * @private
+   */
+  async loadSalesOrder(id, tenantId) {
+    const order = await SalesOrder.findOne({ _id: id, tenantId })
+      .populate('customer', CUSTOMER_FIELDS)
+      .populate('items.product', 'name sku')
+      .lean();
+    if (!order) {
+      return null;
+    }
+    return {
+      number: order.soNumber,
+      date: order.orderDate || order.createdAt,
+      fields: [['Expected Delivery', order.expectedDelivery]],
+      party: this.partyOf('Customer', order.customer?.businessName || order.customer?.name, order.customer),
+      items: order.items.map(item => ({
+        description: item.product?.name || 'Product',
+        sku: item.product?.sku,
+        quantity: item.quantity || 0,
+        unitPrice: item.unitPrice || 0,
+        total: item.totalPrice || 0
+      })),
+      totals: { subtotal: order.subtotal || 0, tax: order.tax || 0, total: order.total || 0 },
+      taxes: [],
+      notes: order.notes,
+      terms: order.terms
+    };
+  }
+
+  /**
+   * @private
+   */
+  async loadPurchaseOrder(id, tenantId) {
+    const order = await PurchaseOrder.findOne({ _id: id, tenantId })
+      .populate('supplier', SUPPLIER_FIELDS)
+      .populate('items.product', 'name sku')
+      .lean();
+    if (!order) {
+      return null;
+    }
+    return {
+      number: order.poNumber,
+      date: order.orderDate || order.createdAt,
+      fields: [['Expected Delivery', order.expectedDelivery]],
+      party: this.partyOf('Supplier', order.supplier?.companyName, order.supplier),
+      items: order.items.map(item => ({
+        description: item.product?.name || 'Product',
+        sku: item.product?.sku,
+        quantity: item.quantity || 0,
+        unitPrice: item.costPerUnit || 0,
+        total: item.totalCost || 0
+      })),
+      totals: { subtotal: order.subtotal || 0, tax: order.tax || 0, total: order.total || 0 },
+      taxes: [],
+      notes: order.notes,
+      terms: order.terms
+    };
+  }
+
+  /**
+   * @private
+   */
+  async loadQuotation(id, tenantId) {
+    const quotation = await Quotation.findOne({ _id: id, tenantId })
+      .populate('customer', CUSTOMER_FIELDS)
+      .populate('items.product', 'name sku')
+      .lean();
+    if (!quotation) {
+      return null;
+    }
+    return {
+      number: quotation.revision > 1 ? `${quotation.quotationNumber}-R${quotation.revision}` : quotation.quotationNumber,
+      date: quotation.issueDate || quotation.createdAt,
+      fields: [['Valid Until', quotation.validUntil]],
+      party: this.partyOf('Prepared For', quotation.customer?.businessName || quotation.customer?.name, quotation.customer),
+      items: quotation.items.map(item => ({
+        description: item.description || item.product?.name || 'Product',
+        sku: item.product?.sku,
+        quantity: item.quantity || 0,
+        unitPrice: item.unitPrice || 0,
+        discountPercent: item.discountPercent || 0,
+        tax: roundMoney(item.taxAmount),
+        total: item.total || 0
+      })),
+      totals: {
+        subtotal: quotation.subtotal || 0,
+        discount: quotation.discountAmount || 0,
+        tax: quotation.taxAmount || 0,
+        withholding: quotation.withholdingAmount || 0,
+        total: quotation.total || 0
+      },
+      taxes: this.summarizeTaxes(quotation.taxes),
+      notes: quotation.notes,
+      terms: quotation.terms
+    };
+  }
+
+  /**
+   * Returns carry no tenantId; they belong to the tenant that owns the original document
+   * @private
+   */
+  async loadReturn(id, tenantId) {
+    const returnDoc = await Return.findById(id)
+      .populate('customer', CUSTOMER_FIELDS)
+      .populate('supplier', SUPPLIER_FIELDS)
+      .populate('items.product', 'name sku')
+      .lean();
+    if (!returnDoc) {
+      return null;
+    }
+    const owners = returnDoc.origin === 'purchase' ? [PurchaseInvoice, PurchaseOrder] : [Sales, SalesOrder];
+    const owned = await Promise.all(owners.map(Model => Model.exists({ _id: returnDoc.originalOrder, tenantId })));
+    if (!owned.some(Boolean)) {
+      return null;
+    }
+    const party = returnDoc.origin === 'purchase'
+      ? this.partyOf('Supplier', returnDoc.supplier?.companyName, returnDoc.supplier)
+      : this.partyOf('Customer', returnDoc.customer?.businessName || returnDoc.customer?.name, returnDoc.customer);
+    const taxes = (returnDoc.items || []).flatMap(item => item.taxes || []);
+    return {
+      number: returnDoc.returnNumber,
+      date: returnDoc.returnDate || returnDoc.createdAt,
+      fields: [['Status', returnDoc.status]],
+      party,
+      items: returnDoc.items.map(item => ({
+        description: item.product?.name || 'Product',
+        sku: item.product?.sku,
+        quantity: item.quantity || 0,
+        unitPrice: item.originalPrice || 0,
+        tax: roundMoney(item.taxAmount),
+        total: item.refundAmount || 0
+      })),
+      totals: {
+        subtotal: returnDoc.totalRefundAmount || 0,
+        tax: returnDoc.totalTaxAmount || 0,
+        withholding: returnDoc.totalWithholdingAmount || 0,
+        adjustments: returnDoc.totalRestockingFee > 0
+          ? [{ label: 'Restocking Fee', amount: -returnDoc.totalRestockingFee }]
+          : [],
+        total: returnDoc.netRefundAmount || 0
+      },
+      taxes: this.summarizeTaxes(taxes),
+      notes: returnDoc.generalNotes
+    };
+  }
+
+  /**
+   * Bill-to or supplier block from a customer, supplier or inline customer info
+   * @private
+   */
+  partyOf(label, name, source) {
+    if (!name) {
+      return null;
+    }
+    const address = source?.addresses?.find(entry => entry.isDefault) || source?.addresses?.[0];
+    const lines = [
+      address && [address.street, address.city, address.state, address.zipCode, address.country].filter(Boolean).join(', '),
+      source?.phone,
+      source?.email,
+      source?.taxId && `Tax ID: ${source.taxId}`
+    ];
+    return { label, name, lines: lines.filter(Boolean) };
+  }
+
+  /**
+   * One printed line per tax code and rate
+   * @private
+   */
+  summarizeTaxes(taxes = []) {
+    const byCode = new Map();
+    (taxes || []).forEach((tax) => {
+      const key = `${tax.code}:${tax.rate}`;
+      const line = byCode.get(key) || {
+        label: `${tax.name || tax.code} ${roundMoney((tax.rate || 0) * 100)}%`,
+        amount: 0,
+        withholding: Boolean(tax.withholding)
+      };
+      line.amount = roundMoney(line.amount + (tax.amount || 0));
+      byCode.set(key, line);
+    });
+    return [...byCode.values()];
+  }
+}
+
+module.exports = new DocumentTemplateService();
+module.exports.BUILT_IN_TEMPLATE = BUILT_IN_TEMPLATE;
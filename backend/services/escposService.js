@@ -0,0 +1,498 @@
+/**
+ * ESC/POS Receipt Service
+ *
+ * Renders sales as raw ESC/POS bytes for thermal receipt printers and sends
+ * them to network printers over raw TCP (port 9100), kicking the cash drawer
+ * on cash tenders
+ */
+
+const net = require('net');
+const dns = require('dns').promises;
+const { PNG } = require('pngjs');
+const documentTemplateService = require('./documentTemplateService');
+const invoicePdfService = require('./invoicePdfService');
+const settingsService = require('./settingsService');
+const logger = require('../utils/logger');
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+// Font A characters per line and printable dots per line at 203dpi
+const PAPER = {
+  THERMAL_80: { columns: 48, dots: 576 },
+  THERMAL_58: { columns: 32, dots: 384 }
+};
+
+const COMMANDS = {
+  init: [ESC, 0x40],
+  // Code page 16 is Windows-1252 on Epson-compatible printers
+  codePage: [ESC, 0x74, 16],
+  alignLeft: [ESC, 0x61, 0],
+  alignCenter: [ESC, 0x61, 1],
+  boldOn: [ESC, 0x45, 1],
+  boldOff: [ESC, 0x45, 0],
+  doubleSize: [GS, 0x21, 0x11],
+  normalSize: [GS, 0x21, 0x00],
+  // Feed to the cutter and partial cut
+  cut: [GS, 0x56, 66, 0]
+};
+
+// Pulse drawer pin 2: 50ms on, 500ms off
+const DRAWER_KICK = [ESC, 0x70, 0x00, 0x19, 0xfa];
+
+const DEFAULT_PORT = 9100;
+const SEND_TIMEOUT_MS = 5000;
+
+// Windows-1252 bytes for the characters outside Latin-1 that receipts commonly carry
+const CP1252 = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+const PAYMENT_LABELS = {
+  cash: 'Cash',
+  credit_card: 'Credit card',
+  debit_card: 'Debit card',
+  check: 'Check',
+  bank: 'Bank transfer',
+  gift_card: 'Gift card',
+  store_credit: 'Store credit',
+  account: 'On account'
+};
+
+/**
+ * Accumulates ESC/POS commands and text for one receipt
+ * @private
+ */
+class ReceiptBuilder {
+  constructor(columns) {
+    this.columns = columns;
+    this.chunks = [];
+  }
+
+  raw(bytes) {
+    this.chunks.push(Buffer.from(bytes));
+    return this;
+  }
+
+  text(value) {
+    this.chunks.push(encodeText(value));
+    return this;
+  }
+
+  line(value = '') {
+    return this.text(`${value}\n`);
+  }
+
+  // Word-wrapped paragraph
+  paragraph(value) {
+    wrap(String(value || ''), this.columns).forEach(row => this.line(row));
+    return this;
+  }
+
+  // Left text and right-aligned value on one line, or two when they do not fit
+  pair(left, right) {
+    const gap = this.columns - left.length - right.length;
+    if (gap >= 1) {
+      return this.line(`${left}${' '.repeat(gap)}${right}`);
+    }
+    wrap(left, this.columns).forEach(row => this.line(row));
+    return this.line(right.padStart(this.columns));
+  }
+
+  rule(char = '-') {
+    return this.line(char.repeat(this.columns));
+  }
+
+  // CODE128 (code set B) with the number printed under the bars
+  barcode(data) {
+    const bytes = [...Buffer.from(`{B${data}`, 'ascii')];
+    return this.raw([GS, 0x68, 80, GS, 0x77, 2, GS, 0x48, 2, GS, 0x6b, 73, bytes.length, ...bytes]).line();
+  }
+
+  // Native QR code: model 2, module size, error correction M, store then print
+  qr(data, moduleSize) {
+    const bytes = Buffer.from(data, 'utf8');
+    const length = bytes.length + 3;
+    return this
+      .raw([GS, 0x28, 0x6b, 4, 0, 49, 65, 50, 0])
+      .raw([GS, 0x28, 0x6b, 3, 0, 49, 67, moduleSize])
+      .raw([GS, 0x28, 0x6b, 3, 0, 49, 69, 49])
+      .raw([GS, 0x28, 0x6b, length % 256, Math.floor(length / 256), 49, 80, 48])
+      .raw(bytes)
+      .raw([GS, 0x28, 0x6b, 3, 0, 49, 81, 48])
+      .line();
+  }
+
+  // Monochrome raster image (GS v 0)
+  image(raster) {
+    const { widthBytes, height, data } = raster;
+    return this.raw([GS, 0x76, 0x30, 0, widthBytes % 256, Math.floor(widthBytes / 256), height % 256, Math.floor(height / 256)])
+      .raw(data)
+      .line();
+  }
+
+  toBuffer() {
+    return Buffer.concat(this.chunks);
+  }
+}
+
+/**
+ * Text as Windows-1252 bytes; accents outside the code page are dropped, anything else prints as ?
+ * @private
+ */
+function encodeText(value) {
+  const bytes = [];
+  for (const char of String(value)) {
+    const code = char.codePointAt(0);
+    if (code < 0x80 || (code >= 0xa0 && code <= 0xff)) {
+      bytes.push(code);
+    } else if (CP1252[char]) {
+      bytes.push(CP1252[char]);
+    } else {
+      const plain = char.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+      bytes.push(...(/^[\x20-\x7e]+$/.test(plain) ? Buffer.from(plain, 'ascii') : [0x3f]));
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * @private
+ */
+function wrap(value, width) {
+  const rows = [];
+  value.split('\n').forEach((paragraph) => {
+    let row = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+      while (word.length > width) {
+        if (row) {
+          rows.push(row);
+          row = '';
+        }
+        rows.push(word.slice(0, width));
+        word = word.slice(width);
+      }
+      if (!row) {
+        row = word;
+      } else if (row.length + 1 + word.length <= width) {
+        row += ` ${word}`;
+      } else {
+        rows.push(row);
+        row = word;
+      }
+    });
+    rows.push(row);
+  });
+  return rows;
+}
+
+class EscPosService {
+  /**
+   * Render a sale as ESC/POS receipt bytes with the tenant's receipt template
+   * @param {string} saleId - Sale ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @param {object} [options] - { templateId, openDrawer, paperSize } - openDrawer defaults to whether the sale has a
+   *   cash tender; paperSize is the printer's roll width when it differs from the template's
+   * @returns {Promise<{bytes: Buffer, document: object, opensDrawer: boolean}>}
+   */
+  async renderSaleReceipt(saleId, tenantId, options = {}) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const [template, document, company] = await Promise.all([
+      documentTemplateService.resolveTemplate('sales_invoice', tenantId, options.templateId),
+      documentTemplateService.loadDocument('sales_invoice', saleId, tenantId),
+      settingsService.getCompanySettings(tenantId)
+    ]);
+    const opensDrawer = options.openDrawer ?? this.isCashSale(document);
+    const paperSize = options.paperSize || template.paperSize;
+    const bytes = this.buildReceipt(document, { ...template, paperSize }, company, { openDrawer: opensDrawer, tenantId });
+    return { bytes, document, opensDrawer };
+  }
+
+  /**
+   * Whether any tender on the sale was cash
+   * @param {object} document - Printable sale (see documentTemplateService.loadDocument)
+   * @returns {boolean}
+   */
+  isCashSale(document) {
+    return (document.payments || []).some(payment => payment.method === 'cash');
+  }
+
+  /**
+   * Lay out a printable document as an ESC/POS receipt
+   * @param {object} document - Printable document
+   * @param {object} template - Document template; THERMAL_58 prints 32 columns, anything else 48
+   * @param {object} company - Company settings
+   * @param {object} [options] - { openDrawer, tenantId }
+   * @returns {Buffer}
+   */
+  buildReceipt(document, template, company = {}, options = {}) {
+    const paper = PAPER[template.paperSize] || PAPER.THERMAL_80;
+    const currency = company.currency || 'USD';
+    const money = value => invoicePdfService.formatMoney(value, currency);
+    const receipt = new ReceiptBuilder(paper.columns).raw(COMMANDS.init).raw(COMMANDS.codePage);
+
+    // Kick first so the drawer is open while the receipt prints
+    if (options.openDrawer) {
+      receipt.raw(DRAWER_KICK);
+    }
+
+    receipt.raw(COMMANDS.alignCenter);
+    const logo = this.logoRaster(template.logo, paper.dots);
+    if (logo) {
+      receipt.image(logo);
+    }
+    const header = template.header || {};
+    if (header.showCompanyName !== false && company.companyName) {
+      receipt.raw(COMMANDS.boldOn).raw(COMMANDS.doubleSize);
+      wrap(company.companyName, Math.floor(paper.columns / 2)).forEach(row => receipt.line(row));
+      receipt.raw(COMMANDS.normalSize).raw(COMMANDS.boldOff);
+    }
+    if (header.showAddress !== false && company.address) {
+      receipt.paragraph(company.address);
+    }
+    if (header.showContact !== false) {
+      [company.contactNumber, company.email, company.website].filter(Boolean).forEach(value => receipt.paragraph(value));
+    }
+    invoicePdfService.taxRegistrations(template, company).forEach((registration) => {
+      receipt.paragraph(`${registration.label}: ${registration.number}`);
+    });
+    (header.fields || []).forEach(field => receipt.paragraph(`${field.label}: ${field.value || ''}`));
+
+    receipt.line().raw(COMMANDS.boldOn).line(header.title || 'RECEIPT').raw(COMMANDS.boldOff).raw(COMMANDS.alignLeft);
+    const date = new Date(document.date);
+    receipt.pair('No:', String(document.number));
+    receipt.pair('Date:', `${invoicePdfService.formatDate(date, company.dateFormat)} ${date.toTimeString().slice(0, 5)}`);
+    if (document.party?.name) {
+      receipt.pair(`${document.party.label || 'Customer'}:`, document.party.name);
+    }
+
+    receipt.rule();
+    document.items.forEach((item) => {
+      receipt.paragraph(item.description);
+      receipt.pair(`  ${item.quantity} x ${money(item.unitPrice)}`, money(item.total));
+    });
+    receipt.rule();
+
+    invoicePdfService.totalRows(document, template).forEach(([label, amount, bold]) => {
+      if (bold) receipt.raw(COMMANDS.boldOn);
+      receipt.pair(bold ? label.toUpperCase() : label, money(amount));
+      if (bold) receipt.raw(COMMANDS.boldOff);
+    });
+    if (document.payments?.length > 0) {
+      receipt.line();
+      document.payments.forEach((payment) => {
+        receipt.pair(PAYMENT_LABELS[payment.method] || payment.method, money(payment.amount));
+        if (payment.tendered > 0 && payment.tendered !== payment.amount) {
+          receipt.pair('  Tendered', money(payment.tendered));
+        }
+        if (payment.change > 0) {
+          receipt.pair('  Change', money(payment.change));
+        }
+      });
+    }
+    receipt.rule();
+
+    receipt.raw(COMMANDS.alignCenter);
+    if (/^[\x20-\x7e]{1,60}$/.test(String(document.number))) {
+      receipt.barcode(String(document.number));
+    }
+    if (template.qrCode?.enabled && options.tenantId) {
+      const data = documentTemplateService.verificationData(document, template, company, options.tenantId);
+      receipt.qr(JSON.stringify(data), paper.columns > 32 ? 5 : 4);
+    }
+    const terms = document.terms || template.terms;
+    if (terms) {
+      receipt.paragraph(terms);
+    }
+    if (template.footer) {
+      receipt.line().paragraph(template.footer);
+    }
+    return receipt.raw(COMMANDS.alignLeft).line().line().line().raw(COMMANDS.cut).toBuffer();
+  }
+
+  /**
+   * Bytes that only open the cash drawer
+   * @returns {Buffer}
+   */
+  drawerKick() {
+    return Buffer.from([...COMMANDS.init, ...DRAWER_KICK]);
+  }
+
+  /**
+   * Short page to check a printer's connection, code page and cutter
+   * @param {object} company - Company settings
+   * @param {string} [paperSize] - THERMAL_80 or THERMAL_58
+   * @returns {Buffer}
+   */
+  testPage(company = {}, paperSize = 'THERMAL_80') {
+    const paper = PAPER[paperSize] || PAPER.THERMAL_80;
+    return new ReceiptBuilder(paper.columns)
+      .raw(COMMANDS.init).raw(COMMANDS.codePage).raw(COMMANDS.alignCenter)
+      .raw(COMMANDS.boldOn).line('PRINTER TEST').raw(COMMANDS.boldOff)
+      .paragraph(company.companyName || '')
+      .line(new Date().toISOString().slice(0, 16).replace('T', ' '))
+      .rule()
+      .line('0123456789 ABCDEF abcdef €£¥ äéñ')
+      .rule()
+      .line().line().line()
+      .raw(COMMANDS.cut)
+      .toBuffer();
+  }
+
+  /**
+   * The tenant's receipt printers
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<Array>}
+   */
+  async listPrinters(tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const settings = await settingsService.getCompanySettings(tenantId);
+    return settings.receiptPrinters || [];
+  }
+
+  /**
+   * Replace the tenant's receipt printers
+   * @param {Array} printers - [{ _id, name, host, port, paperSize }]
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<Array>}
+   */
+  async savePrinters(printers, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    printers.forEach(printer => this.assertPortAllowed(printer.port));
+    const settings = await settingsService.getCompanySettings(tenantId);
+    settings.receiptPrinters = printers.map(({ _id, name, host, port, paperSize }) => ({
+      ...(_id && { _id }),
+      name,
+      host,
+      port: Number(port) || DEFAULT_PORT,
+      paperSize
+    }));
+    await settings.save();
+    return settings.receiptPrinters;
+  }
+
+  /**
+   * One of the tenant's receipt printers
+   * @param {string} printerId - Printer ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async getPrinter(printerId, tenantId) {
+    const printer = (await this.listPrinters(tenantId)).find(item => String(item._id) === String(printerId));
+    if (!printer) {
+      throw new Error('Receipt printer not found');
+    }
+    return printer;
+  }
+
+  /**
+   * Send raw bytes to a network printer
+   * @param {object} printer - { host, port }
+   * @param {Buffer} bytes - ESC/POS bytes
+   * @returns {Promise<void>}
+   */
+  async print(printer, bytes) {
+    const port = Number(printer.port) || DEFAULT_PORT;
+    this.assertPortAllowed(port);
+    const address = await this.resolvePrinterAddress(printer.host);
+    await new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: address, port });
+      let failed = false;
+      const fail = (message) => {
+        if (failed) return;
+        failed = true;
+        socket.destroy();
+        reject(new Error(message));
+      };
+      socket.setTimeout(SEND_TIMEOUT_MS, () => fail(`Printer ${printer.host}:${port} timed out`));
+      socket.on('error', (error) => {
+        logger.warn(`Receipt printer ${printer.host}:${port} error: ${error.message}`);
+        fail(`Printer ${printer.host}:${port} is unreachable`);
+      });
+      socket.on('connect', () => socket.end(bytes));
+      socket.on('close', () => {
+        if (!failed) resolve();
+      });
+    });
+  }
+
+  /**
+   * Raw printing ports; RECEIPT_PRINTER_PORTS (comma separated) replaces the default 9100
+   * @private
+   */
+  assertPortAllowed(port) {
+    const allowed = (process.env.RECEIPT_PRINTER_PORTS || String(DEFAULT_PORT)).split(',').map(Number);
+    if (!allowed.includes(Number(port) || DEFAULT_PORT)) {
+      throw new Error('Printer port is not allowed');
+    }
+  }
+
+  /**
+   * Receipt printers live on the shop network; refusing public addresses keeps
+   * the print endpoint from being used to reach arbitrary hosts. The server itself
+   * is only reachable outside production, where a printer may be emulated locally.
+   * @private
+   */
+  async resolvePrinterAddress(host) {
+    let address;
+    try {
+      ({ address } = await dns.lookup(String(host)));
+    } catch (error) {
+      throw new Error(`Printer ${host} could not be resolved`);
+    }
+    const isLoopback = net.isIPv4(address) ? address.startsWith('127.') : address === '::1';
+    const isPrivate = net.isIPv4(address)
+      ? /^(10\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.)/.test(address)
+      : /^(f[cd][0-9a-f]{2}:|fe80:)/i.test(address);
+    if (!isPrivate && !(isLoopback && process.env.NODE_ENV !== 'production')) {
+      throw new Error('Printer address must be on the local network');
+    }
+    return address;
+  }
+
+  /**
+   * Template logo as a raster bitmap at most the paper width; only PNG logos can be converted
+   * @private
+   */
+  logoRaster(logo, maxDots) {
+    const match = /^data:image\/png;base64,(.+)$/.exec(logo?.data || '');
+    if (!match) {
+      return null;
+    }
+    let png;
+    try {
+      png = PNG.sync.read(Buffer.from(match[1], 'base64'));
+    } catch (error) {
+      logger.warn(`Receipt logo could not be decoded: ${error.message}`);
+      return null;
+    }
+    // Template widths are in points; the printer has 203 dots per inch
+    const width = Math.max(8, Math.min(maxDots, Math.round((logo.width || 120) * 203 / 72), png.width * 4));
+    const height = Math.max(1, Math.round(png.height * width / png.width));
+    const widthBytes = Math.ceil(width / 8);
+    const data = Buffer.alloc(widthBytes * height);
+    for (let y = 0; y < height; y++) {
+      const sourceY = Math.min(png.height - 1, Math.floor(y * png.height / height));
+      for (let x = 0; x < width; x++) {
+        const sourceX = Math.min(png.width - 1, Math.floor(x * png.width / width));
+        const offset = (sourceY * png.width + sourceX) * 4;
+        const luminance = 0.299 * png.data[offset] + 0.587 * png.data[offset + 1] + 0.114 * png.data[offset + 2];
+        if (png.data[offset + 3] > 127 && luminance < 128) {
+          data[y * widthBytes + (x >> 3)] |= 0x80 >> (x & 7);
+        }
+      }
+    }
+    return { widthBytes, height, data };
+  }
+}
+
+module.exports = new EscPosService();
+module.exports.DRAWER_KICK = DRAWER_KICK;
+module.exports.PAPER = PAPER;
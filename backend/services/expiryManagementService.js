@@ -3,6 +3,8 @@ const Product = require('../models/Product');
 const Inventory = require('../models/Inventory');
 const StockMovement = require('../models/StockMovement');
 const auditLogService = require('./auditLogService');
+const notificationService = require('./notificationService');
+const logger = require('../utils/logger');
 
 class ExpiryManagementService {
   /**
@@ -20,7 +22,7 @@ class ExpiryManagementService {
       expiryDate: { $lte: expiryDate, $gte: new Date() },
       currentQuantity: { $gt: 0 }
     })
-    .populate('product', 'name sku')
+    .populate('product', 'name sku tenantId')
     .sort({ expiryDate: 1 });
 
     // Get products with expiry dates (non-batch tracking)
@@ -29,7 +31,7 @@ class ExpiryManagementService {
       status: 'active',
       'inventory.currentStock': { $gt: 0 }
     })
-    .select('name sku expiryDate inventory.currentStock')
+    .select('name sku tenantId expiryDate inventory.currentStock')
     .sort({ expiryDate: 1 });
 
     return {
@@ -52,7 +54,7 @@ class ExpiryManagementService {
       expiryDate: { $lt: now },
       currentQuantity: { $gt: 0 }
     })
-    .populate('product', 'name sku')
+    .populate('product', 'name sku tenantId')
     .sort({ expiryDate: 1 });
 
     // Get expired products
@@ -61,7 +63,7 @@ class ExpiryManagementService {
       status: 'active',
       'inventory.currentStock': { $gt: 0 }
     })
-    .select('name sku expiryDate inventory.currentStock')
+    .select('name sku tenantId expiryDate inventory.currentStock')
     .sort({ expiryDate: 1 });
 
     return {
@@ -224,9 +226,10 @@ class ExpiryManagementService {
   /**
    * Send expiry alerts
    * @param {number} days - Days before expiry to alert (default: 30, 15, 7)
+   * @param {object} options - Options; tenantId restricts notifications to one tenant
    * @returns {Promise<Object>}
    */
-  async sendExpiryAlerts(days = [30, 15, 7]) {
+  async sendExpiryAlerts(days = [30, 15, 7], options = {}) {
     const alerts = {
       expiring30Days: [],
       expiring15Days: [],
@@ -244,11 +247,50 @@ class ExpiryManagementService {
     const expired = await this.getExpired();
     alerts.expired = expired;
 
-    // TODO: Send notifications (email, SMS, etc.)
-    // await notificationService.sendExpiryAlerts(alerts);
+    alerts.totalItems = [alerts.expiring30Days, alerts.expiring15Days, alerts.expiring7Days, alerts.expired]
+      .reduce((sum, bucket) => sum + (bucket.totalItems || 0), 0);
+
+    // Items are fetched across tenants, so notify each tenant about its own items only
+    const alertsByTenant = this.groupAlertsByTenant(alerts);
+    for (const [tenantId, tenantAlerts] of alertsByTenant) {
+      if (options.tenantId && String(options.tenantId) !== tenantId) continue;
+      try {
+        await notificationService.sendExpiryAlerts(tenantAlerts, { tenantId });
+      } catch (error) {
+        logger.error(`Error sending expiry alerts for tenant ${tenantId}:`, error);
+      }
+    }
 
     return alerts;
   }
+
+  /**
+   * Split expiry alert buckets per tenant
+   * @param {object} alerts - Alerts keyed by window
+   * @returns {Map<string, object>}
+   */
+  groupAlertsByTenant(alerts) {
+    const byTenant = new Map();
+    const keys = ['expiring30Days', 'expiring15Days', 'expiring7Days', 'expired'];
+
+    for (const key of keys) {
+      const bucket = alerts[key] || {};
+      for (const type of ['batches', 'products']) {
+        for (const item of bucket[type] || []) {
+          const tenantId = type === 'batches' ? item.product?.tenantId : item.tenantId;
+          if (!tenantId) continue;
+
+          const id = String(tenantId);
+          if (!byTenant.has(id)) {
+            byTenant.set(id, Object.fromEntries(keys.map(k => [k, { batches: [], products: [] }])));
+          }
+          byTenant.get(id)[key][type].push(item);
+        }
+      }
+    }
+
+    return byTenant;
+  }
 }
 
 module.exports = new ExpiryManagementService();
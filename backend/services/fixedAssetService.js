@@ -0,0 +1,819 @@
+const FixedAsset = require('../models/FixedAsset');
+const DepreciationRun = require('../models/DepreciationRun');
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+const JournalVoucher = require('../models/JournalVoucher');
+const JournalEntry = require('../models/JournalEntry');
+const ChartOfAccountsRepository = require('../repositories/ChartOfAccountsRepository');
+const journalEntryService = require('./journalEntryService');
+const currencyService = require('./currencyService');
+const inventoryService = require('./inventoryService');
+const { runWithTransactionRetry } = require('./transactionUtils');
+const logger = require('../utils/logger');
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Asset account per category, named so the balance sheet sorts it into the matching
+// property, plant and equipment line
+const CATEGORY_ACCOUNTS = {
+  land: ['FA_LAND', 'Land'],
+  buildings: ['FA_BUILDINGS', 'Buildings'],
+  equipment: ['FA_EQUIPMENT', 'Equipment'],
+  vehicles: ['FA_VEHICLES', 'Vehicles'],
+  furniture_and_fixtures: ['FA_FURNITURE', 'Furniture and Fixtures'],
+  computer_equipment: ['FA_COMPUTERS', 'Computer Equipment']
+};
+
+const DEPRECIATION_EXPENSE = ['DEPRECIATION_EXP', 'Depreciation Expense', 'expense', 'operating_expenses'];
+const GAIN_ON_DISPOSAL = ['GAIN_ON_DISPOSAL', 'Gain on Disposal of Fixed Assets', 'revenue', 'other_revenue'];
+const LOSS_ON_DISPOSAL = ['LOSS_ON_DISPOSAL', 'Loss on Disposal of Fixed Assets', 'expense', 'other_expenses'];
+
+// Where each kind of document capitalizes from, and the account its line debited
+const SOURCES = {
+  purchase_invoice: {
+    Model: PurchaseInvoice,
+    modelName: 'PurchaseInvoice',
+    number: 'invoiceNumber',
+    label: 'Purchase invoice',
+    query: {},
+    lines: (document) => document.items,
+    date: (document) => document.createdAt,
+    // createPurchaseEntries debits the whole invoice to inventory, so the units capitalized
+    // are taken out of stock along with their cost
+    sourceAccountCode: () => 'INVENTORY',
+    lineAmount: (item, document) => currencyService.toBase(item.totalCost || 0, document.exchangeRate || 1),
+    lineName: (item) => item.product?.name || item.name,
+    lineQuantity: (item) => item.quantity
+  },
+  journal_voucher: {
+    Model: JournalVoucher,
+    modelName: 'JournalVoucher',
+    number: 'voucherNumber',
+    label: 'Journal voucher',
+    query: { status: 'posted' },
+    lines: (document) => document.entries,
+    date: (document) => document.voucherDate,
+    sourceAccountCode: (entry) => entry.accountCode,
+    lineAmount: (entry) => entry.debit || 0,
+    lineName: (entry) => entry.particulars || entry.accountName
+  },
+  journal_entry: {
+    Model: JournalEntry,
+    modelName: 'JournalEntry',
+    number: 'entryNumber',
+    label: 'Journal entry',
+    query: { status: 'posted' },
+    lines: (document) => document.entries,
+    date: (document) => document.entryDate,
+    sourceAccountCode: (entry) => entry.accountCode,
+    lineAmount: (entry) => entry.debit || 0,
+    lineName: (entry) => entry.description || entry.accountName
+  }
+};
+
+// Last instant of the UTC month `offset` months after `date`
+const monthEnd = (date, offset = 0) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + offset + 1, 0, 23, 59, 59, 999));
+const monthIndex = (from, to) => (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth();
+const monthLabel = (date) => date.toISOString().slice(0, 7);
+
+class FixedAssetService {
+  /**
+   * Depreciation for each month from the one after the asset was last charged through
+   * `through`, stopping once the book value is down to the salvage value
+   * @param {FixedAsset} asset - Asset to depreciate
+   * @param {Date} through - Last month to charge (any time within it)
+   * @returns {Array<{periodEnd: Date, amount: number, units?: number}>}
+   */
+  monthlyCharges(asset, through) {
+    const { method, usefulLifeMonths: life, decliningFactor = 2, totalUnits } = asset.depreciation;
+    if (method === 'none') return [];
+
+    const start = monthEnd(new Date(asset.depreciation.startDate));
+    const last = monthEnd(new Date(through));
+    const salvage = asset.salvageValue || 0;
+    const base = roundMoney(asset.cost - salvage);
+    let periodEnd = asset.depreciatedThrough ? monthEnd(new Date(asset.depreciatedThrough), 1) : start;
+    if (periodEnd < start) periodEnd = start;
+    let bookValue = roundMoney(asset.cost - (asset.accumulatedDepreciation || 0));
+
+    const charges = [];
+    while (periodEnd <= last && bookValue > salvage) {
+      const remaining = roundMoney(bookValue - salvage);
+      const month = monthIndex(start, periodEnd);
+      let amount;
+      let units;
+      if (method === 'units_of_production') {
+        units = (asset.usage || [])
+          .filter(reading => monthEnd(new Date(reading.date)).getTime() === periodEnd.getTime())
+          .reduce((sum, reading) => sum + reading.units, 0);
+        amount = roundMoney(base * units / totalUnits);
+      } else if (month >= life - 1) {
+        // The last month of the useful life takes whatever is left
+        amount = remaining;
+      } else if (method === 'declining_balance') {
+        // Switch to straight line over the remaining life once that charges more
+        amount = roundMoney(Math.max(bookValue * decliningFactor / life, remaining / (life - month)));
+      } else {
+        amount = roundMoney(base / life);
+      }
+      amount = Math.min(amount, remaining);
+      charges.push(units === undefined ? { periodEnd, amount } : { periodEnd, amount, units });
+      bookValue = roundMoney(bookValue - amount);
+      periodEnd = monthEnd(periodEnd, 1);
+    }
+    return charges;
+  }
+
+  /**
+   * Lines of a purchase invoice or journal, with how much of each is already capitalized
+   * @param {string} sourceType - 'purchase_invoice', 'journal_voucher' or 'journal_entry'
+   * @param {string} reference - Invoice, voucher or entry number
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async getSourceLines(sourceType, reference, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const source = SOURCES[sourceType];
+    const document = await this.findSource(source, { [source.number]: reference }, tenantId);
+    if (!document) {
+      throw new Error(`${source.label} ${reference} not found`);
+    }
+    const capitalized = await this.capitalizedByLine(document._id, tenantId);
+    return {
+      document: document._id,
+      reference: document[source.number],
+      date: source.date(document),
+      lines: source.lines(document).map((line, lineIndex) => ({
+        lineIndex,
+        name: source.lineName(line),
+        accountCode: source.sourceAccountCode(line),
+        amount: source.lineAmount(line, document),
+        capitalized: capitalized.get(lineIndex)?.cost || 0,
+        ...(source.lineQuantity && {
+          quantity: source.lineQuantity(line),
+          capitalizedQuantity: capitalized.get(lineIndex)?.quantity || 0
+        })
+      })).filter(line => line.amount > 0)
+    };
+  }
+
+  /**
+   * List assets
+   * @param {object} filters - { category, status, search, page, limit }
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<{assets: Array, pagination: object}>}
+   */
+  async getAssets(filters = {}, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const { category, status, search, page = 1, limit = 50 } = filters;
+    const query = { tenantId };
+    if (category) query.category = category;
+    if (status) query.status = status;
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ name: pattern }, { assetNumber: pattern }, { serialNumber: pattern }];
+    }
+
+    const [assets, total] = await Promise.all([
+      FixedAsset.find(query)
+        .select('-lines -usage')
+        .sort({ assetNumber: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      FixedAsset.countDocuments(query)
+    ]);
+
+    return {
+      assets,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Get an asset
+   * @param {string} id - Asset ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<FixedAsset>}
+   */
+  async getAsset(id, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const asset = await FixedAsset.findOne({ _id: id, tenantId });
+    if (!asset) {
+      throw new Error('Fixed asset not found');
+    }
+    return asset;
+  }
+
+  /**
+   * Charges still to come over the rest of the useful life (straight-line and declining
+   * balance only; units of production depend on usage not yet recorded)
+   * @param {string} id - Asset ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<Array<{periodEnd: Date, amount: number}>>}
+   */
+  async getProjection(id, tenantId) {
+    const asset = await this.getAsset(id, tenantId);
+    const { method, startDate, usefulLifeMonths } = asset.depreciation;
+    if (asset.status !== 'active' || !['straight_line', 'declining_balance'].includes(method)) {
+      return [];
+    }
+    return this.monthlyCharges(asset, monthEnd(new Date(startDate), usefulLifeMonths - 1));
+  }
+
+  /**
+   * Register an asset from a purchase invoice line or the debit line of a journal. The cost
+   * is moved off the account the line debited (inventory for purchase invoices) into the
+   * category's asset account as of the document date; a journal that already debited the
+   * asset account needs no entry. Purchase invoice lines are capitalized by quantity and the
+   * units leave stock, so they cannot also be sold.
+   * @param {object} data - { sourceType, document, lineIndex, amount, quantity, name, category,
+   *   description, serialNumber, location, salvageValue, method, usefulLifeMonths,
+   *   decliningFactor, totalUnits, startDate, assetAccountCode,
+   *   accumulatedDepreciationAccountCode, depreciationExpenseAccountCode }
+   * @param {string} userId - User registering the asset
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<FixedAsset>}
+   */
+  async createAsset(data, userId, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const source = SOURCES[data.sourceType];
+    const document = await this.findSource(source, { _id: data.document }, tenantId);
+    if (!document) {
+      throw new Error(`${source.label} not found`);
+    }
+    const lineIndex = Number(data.lineIndex);
+    const line = source.lines(document)[lineIndex];
+    const lineAmount = line ? source.lineAmount(line, document) : 0;
+    if (lineAmount <= 0) {
+      throw new Error(`${source.label} ${document[source.number]} has no debit on line ${lineIndex + 1}`);
+    }
+
+    const taken = (await this.capitalizedByLine(document._id, tenantId)).get(lineIndex) || { cost: 0, quantity: 0 };
+    let cost;
+    let quantity;
+    if (source.lineQuantity) {
+      if (data.amount) {
+        throw new Error('Stock lines are capitalized by quantity, not amount');
+      }
+      const lineQuantity = source.lineQuantity(line);
+      const availableQuantity = lineQuantity - taken.quantity;
+      quantity = data.quantity ? Number(data.quantity) : availableQuantity;
+      if (quantity <= 0 || quantity > availableQuantity) {
+        throw new Error(`Only ${availableQuantity} of line ${lineIndex + 1} is left to capitalize`);
+      }
+      // The last units take whatever cost is left so rounding does not strand a remainder
+      cost = quantity === availableQuantity
+        ? roundMoney(lineAmount - taken.cost)
+        : roundMoney(lineAmount * quantity / lineQuantity);
+    } else {
+      const available = roundMoney(lineAmount - taken.cost);
+      cost = data.amount ? roundMoney(data.amount) : available;
+      if (cost <= 0 || cost > available) {
+        throw new Error(`Only ${available} of line ${lineIndex + 1} is left to capitalize`);
+      }
+    }
+
+    const method = data.method || (data.category === 'land' ? 'none' : 'straight_line');
+    const salvageValue = roundMoney(data.salvageValue);
+    if (salvageValue >= cost && method !== 'none') {
+      throw new Error('Salvage value must be less than the cost');
+    }
+    if (['straight_line', 'declining_balance'].includes(method) && !data.usefulLifeMonths) {
+      throw new Error('Give a useful life in months');
+    }
+    if (method === 'units_of_production' && !data.totalUnits) {
+      throw new Error('Give the total units the asset is expected to produce');
+    }
+
+    const accounts = await this.resolveAccounts(data, tenantId);
+    const acquisitionDate = source.date(document) || new Date();
+    const sourceAccountCode = String(source.sourceAccountCode(line)).toUpperCase();
+
+    // The asset, the units leaving stock and the capitalization entry stand or fall together
+    return await runWithTransactionRetry(async (session) => {
+      const asset = new FixedAsset({
+        tenantId,
+        name: data.name || source.lineName(line) || `Line ${lineIndex + 1} of ${document[source.number]}`,
+        description: data.description,
+        category: data.category,
+        serialNumber: data.serialNumber,
+        location: data.location,
+        acquisition: {
+          sourceType: data.sourceType,
+          document: document._id,
+          documentModel: source.modelName,
+          reference: document[source.number],
+          lineIndex,
+          quantity,
+          date: acquisitionDate,
+          sourceAccountCode
+        },
+        cost,
+        salvageValue,
+        ...accounts,
+        depreciation: {
+          method,
+          startDate: data.startDate ? new Date(data.startDate) : acquisitionDate,
+          usefulLifeMonths: data.usefulLifeMonths,
+          decliningFactor: data.decliningFactor,
+          totalUnits: data.totalUnits
+        },
+        bookValue: cost,
+        createdBy: userId
+      });
+      await asset.save({ session });
+
+      if (quantity) {
+        // Fails when the units have since been sold, leaving nothing to capitalize
+        await inventoryService.updateStock({
+          productId: line.product?._id || line.product,
+          type: 'out',
+          quantity,
+          reason: 'Capitalized as fixed asset',
+          reference: asset.assetNumber,
+          referenceId: document._id,
+          referenceModel: source.modelName,
+          performedBy: userId,
+          notes: `Moved from stock into fixed asset ${asset.assetNumber} (${asset.name})`,
+          warehouse: document.warehouse,
+          tenantId,
+          session
+        });
+      }
+      if (sourceAccountCode !== asset.assetAccountCode) {
+        const description = `Capitalize ${asset.name} (${asset.assetNumber})`;
+        const entry = await this.postAssetEntry(asset, acquisitionDate, description, [
+          { accountCode: asset.assetAccountCode, debit: cost, credit: 0, description },
+          { accountCode: sourceAccountCode, debit: 0, credit: cost, description }
+        ], userId, session);
+        asset.acquisition.journalEntry = entry._id;
+        await asset.save({ session });
+      }
+      return asset;
+    });
+  }
+
+  /**
+   * Update an asset's description and, until it has been charged, its depreciation terms
+   * @param {string} id - Asset ID
+   * @param {object} data - { name, description, serialNumber, location, salvageValue,
+   *   method, usefulLifeMonths, decliningFactor, totalUnits, startDate }
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<FixedAsset>}
+   */
+  async updateAsset(id, data, tenantId) {
+    const asset = await this.getAsset(id, tenantId);
+    if (asset.status === 'disposed') {
+      throw new Error('Disposed assets cannot be changed');
+    }
+    ['name', 'description', 'serialNumber', 'location'].forEach((field) => {
+      if (data[field] !== undefined) asset[field] = data[field];
+    });
+
+    const terms = ['salvageValue', 'method', 'usefulLifeMonths', 'decliningFactor', 'totalUnits', 'startDate'];
+    if (terms.some(field => data[field] !== undefined)) {
+      if (asset.lines.length > 0) {
+        throw new Error('Depreciation terms cannot be changed once the asset has been depreciated');
+      }
+      if (data.salvageValue !== undefined) asset.salvageValue = roundMoney(data.salvageValue);
+      ['method', 'usefulLifeMonths', 'decliningFactor', 'totalUnits'].forEach((field) => {
+        if (data[field] !== undefined) asset.depreciation[field] = data[field];
+      });
+      if (data.startDate) asset.depreciation.startDate = new Date(data.startDate);
+      if (asset.salvageValue >= asset.cost && asset.depreciation.method !== 'none') {
+        throw new Error('Salvage value must be less than the cost');
+      }
+    }
+    return await asset.save();
+  }
+
+  /**
+   * Record units produced by a units-of-production asset
+   * @param {string} id - Asset ID
+   * @param {object} data - { date, units, notes }
+   * @param {string} userId - User recording the usage
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<FixedAsset>}
+   */
+  async recordUsage(id, data, userId, tenantId) {
+    const asset = await this.getAsset(id, tenantId);
+    if (asset.depreciation.method !== 'units_of_production') {
+      throw new Error('Usage is only recorded for units-of-production assets');
+    }
+    if (asset.status !== 'active') {
+      throw new Error(`Fixed asset is ${asset.status.replace('_', ' ')}`);
+    }
+    const date = new Date(data.date);
+    if (asset.depreciatedThrough && monthEnd(date) <= asset.depreciatedThrough) {
+      throw new Error(`Depreciation has already been charged for ${monthLabel(monthEnd(date))}`);
+    }
+    asset.usage.push({ date, units: Number(data.units), notes: data.notes, recordedBy: userId });
+    return await asset.save();
+  }
+
+  /**
+   * List depreciation runs
+   * @param {object} filters - { page, limit }
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<{runs: Array, pagination: object}>}
+   */
+  async getRuns(filters = {}, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const { page = 1, limit = 24 } = filters;
+    const [runs, total] = await Promise.all([
+      DepreciationRun.find({ tenantId })
+        .populate('journalEntry', 'entryNumber')
+        .sort({ periodEnd: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      DepreciationRun.countDocuments({ tenantId })
+    ]);
+    return {
+      runs,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Depreciate every active asset for a month that has ended, posting one entry dated the
+   * month end. Assets added since the last run are caught up month by month in the same
+   * entry.
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @param {Date} month - Any time in the month to depreciate
+   * @param {string} userId - User running the depreciation (default: system)
+   * @returns {Promise<DepreciationRun>}
+   */
+  async runMonth(tenantId, month, userId = null) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const periodEnd = monthEnd(new Date(month));
+    if (periodEnd > new Date()) {
+      throw new Error('Depreciation can only be run for months that have ended');
+    }
+    // The run, its entry and the charges on each asset are written together
+    const run = await runWithTransactionRetry(async (session) => {
+      const latest = await DepreciationRun.findOne({ tenantId, periodEnd: { $gte: periodEnd } }, null, { session })
+        .sort({ periodEnd: -1 });
+      if (latest) {
+        throw new Error(`Depreciation has already been run for ${monthLabel(latest.periodEnd)}`);
+      }
+
+      const assets = await FixedAsset.find({
+        tenantId,
+        status: 'active',
+        'depreciation.method': { $ne: 'none' },
+        'depreciation.startDate': { $lte: periodEnd },
+        $or: [{ depreciatedThrough: null }, { depreciatedThrough: { $lt: periodEnd } }]
+      }, null, { session }).sort({ assetNumber: 1 });
+
+      const charges = assets.map(asset => ({ asset, charges: this.monthlyCharges(asset, periodEnd) }));
+      const lines = charges
+        .map(({ asset, charges: months }) => ({
+          asset: asset._id,
+          assetNumber: asset.assetNumber,
+          name: asset.name,
+          category: asset.category,
+          months: months.length,
+          amount: roundMoney(months.reduce((sum, charge) => sum + charge.amount, 0))
+        }))
+        .filter(line => line.amount > 0);
+
+      const depreciationRun = new DepreciationRun({
+        tenantId,
+        periodEnd,
+        lines,
+        totalAmount: roundMoney(lines.reduce((sum, line) => sum + line.amount, 0)),
+        postedBy: userId
+      });
+
+      if (depreciationRun.totalAmount > 0) {
+        const description = `Depreciation for ${monthLabel(periodEnd)}`;
+        const entry = await journalEntryService.createJournalEntry({
+          tenantId,
+          entryDate: periodEnd,
+          referenceType: 'depreciation',
+          referenceId: depreciationRun._id,
+          referenceNumber: `DEP-${monthLabel(periodEnd)}`,
+          description,
+          entries: this.depreciationEntries(charges, description),
+          createdBy: await journalEntryService.resolveCreatedBy(tenantId, userId),
+          metadata: { periodEnd }
+        }, { session });
+        depreciationRun.journalEntry = entry._id;
+      }
+      await depreciationRun.save({ session });
+
+      for (const { asset, charges: months } of charges) {
+        this.applyCharges(asset, months, periodEnd, {
+          run: depreciationRun._id,
+          journalEntry: depreciationRun.journalEntry,
+          postedAt: periodEnd
+        });
+        await asset.save({ session });
+      }
+      return depreciationRun;
+    });
+
+    logger.info(`Depreciation ${monthLabel(periodEnd)} for tenant ${tenantId}: ${run.lines.length} assets, ${run.totalAmount}`);
+    return run;
+  }
+
+  /**
+   * Run every month that has ended since the last run. The first run for a tenant covers
+   * only the last month ended, catching registered assets up inside it.
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @param {Date} asOf - Run months ending on or before this time
+   * @param {string} userId - User running the depreciation (default: system)
+   * @returns {Promise<{runs: number, amount: number}>}
+   */
+  async runDue(tenantId, asOf = new Date(), userId = null) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const at = new Date(asOf);
+    const lastEnded = monthEnd(at) <= at ? monthEnd(at) : monthEnd(at, -1);
+    const lastRun = await DepreciationRun.findOne({ tenantId }).sort({ periodEnd: -1 });
+    const results = { runs: 0, amount: 0 };
+
+    let month = lastRun ? monthEnd(lastRun.periodEnd, 1) : lastEnded;
+    for (; month <= lastEnded; month = monthEnd(month, 1)) {
+      const run = await this.runMonth(tenantId, month, userId);
+      results.runs += 1;
+      results.amount = roundMoney(results.amount + run.totalAmount);
+    }
+    return results;
+  }
+
+  /**
+   * Dispose of an asset (sale, scrapping or write-off). Months not yet depreciated before the
+   * disposal month are charged first; the disposal month itself is not charged. Cost and
+   * accumulated depreciation come off the books and the difference between proceeds and
+   * book value is posted as a gain or loss.
+   * @param {string} id - Asset ID
+   * @param {object} data - { date, proceeds, proceedsAccountCode, notes }
+   * @param {string} userId - User disposing of the asset
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<FixedAsset>}
+   */
+  async disposeAsset(id, data, userId, tenantId) {
+    const asset = await this.getAsset(id, tenantId);
+    if (asset.status === 'disposed') {
+      throw new Error('Fixed asset is already disposed');
+    }
+    const date = data.date ? new Date(data.date) : new Date();
+    if (date < asset.acquisition.date) {
+      throw new Error('Disposal date is before the asset was acquired');
+    }
+    if (asset.depreciatedThrough && asset.depreciatedThrough > monthEnd(date)) {
+      throw new Error(`Depreciation has been charged through ${monthLabel(asset.depreciatedThrough)}, after the disposal date`);
+    }
+
+    const proceeds = roundMoney(data.proceeds);
+    const proceedsAccountCode = String(data.proceedsAccountCode || 'CASH').toUpperCase();
+    if (proceeds > 0 && !(await ChartOfAccountsRepository.findOne({ tenantId, accountCode: proceedsAccountCode, isActive: true }))) {
+      throw new Error(`Account ${proceedsAccountCode} not found`);
+    }
+
+    const catchUp = this.monthlyCharges(asset, monthEnd(date, -1));
+    const catchUpAmount = roundMoney(catchUp.reduce((sum, charge) => sum + charge.amount, 0));
+    const accumulated = roundMoney(asset.accumulatedDepreciation);
+    const bookValue = roundMoney(asset.cost - accumulated - catchUpAmount);
+    const gainLoss = roundMoney(proceeds - bookValue);
+
+    const description = `Dispose of ${asset.name} (${asset.assetNumber})`;
+    const entries = [];
+    if (catchUpAmount > 0) {
+      entries.push({ accountCode: asset.depreciationExpenseAccountCode, debit: catchUpAmount, credit: 0, description: `Depreciation to ${monthLabel(monthEnd(date, -1))}` });
+    }
+    // The catch-up would be credited to accumulated depreciation and cleared again here,
+    // so only what was already accumulated is debited
+    if (accumulated > 0) {
+      entries.push({ accountCode: asset.accumulatedDepreciationAccountCode, debit: accumulated, credit: 0, description });
+    }
+    if (proceeds > 0) {
+      entries.push({ accountCode: proceedsAccountCode, debit: proceeds, credit: 0, description });
+    }
+    if (gainLoss < 0) {
+      await journalEntryService.getOrCreateAccount(tenantId, ...LOSS_ON_DISPOSAL);
+      entries.push({ accountCode: LOSS_ON_DISPOSAL[0], debit: -gainLoss, credit: 0, description });
+    }
+    entries.push({ accountCode: asset.assetAccountCode, debit: 0, credit: asset.cost, description });
+    if (gainLoss > 0) {
+      await journalEntryService.getOrCreateAccount(tenantId, ...GAIN_ON_DISPOSAL);
+      entries.push({ accountCode: GAIN_ON_DISPOSAL[0], debit: 0, credit: gainLoss, description });
+    }
+
+    const entry = await this.postAssetEntry(asset, date, description, entries, userId);
+    this.applyCharges(asset, catchUp, monthEnd(date, -1), { journalEntry: entry._id, postedAt: date });
+    asset.status = 'disposed';
+    asset.bookValue = 0;
+    asset.disposal = {
+      date,
+      proceeds,
+      proceedsAccountCode: proceeds > 0 ? proceedsAccountCode : undefined,
+      gainLoss,
+      journalEntry: entry._id,
+      notes: data.notes,
+      disposedBy: userId
+    };
+    return await asset.save();
+  }
+
+  /**
+   * Cost, accumulated depreciation and book value per asset and category between two dates,
+   * rolled forward through additions, depreciation and disposals. Amounts follow the dates
+   * they were posted on, so the closing figures agree with the ledger.
+   * @param {object} options - { from, to } (default: the calendar year to date)
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<{from: Date, to: Date, assets: Array, categories: Array, totals: object}>}
+   */
+  async getAssetSchedule({ from, to } = {}, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(Date.UTC(end.getUTCFullYear(), 0, 1));
+    const before = new Date(start.getTime() - 1);
+
+    const assets = await FixedAsset.find({
+      tenantId,
+      'acquisition.date': { $lte: end },
+      $or: [{ 'disposal.date': null }, { 'disposal.date': { $gte: start } }]
+    }).sort({ assetNumber: 1 }).lean();
+
+    const held = (asset, at) => asset.acquisition.date <= at && !(asset.disposal?.date && asset.disposal.date <= at);
+    const accumulatedAt = (asset, at) => (held(asset, at)
+      ? roundMoney(asset.lines.filter(line => line.postedAt <= at).reduce((sum, line) => sum + line.amount, 0))
+      : 0);
+
+    const rows = assets.map((asset) => {
+      const disposed = Boolean(asset.disposal?.date && asset.disposal.date <= end);
+      const row = {
+        asset: asset._id,
+        assetNumber: asset.assetNumber,
+        name: asset.name,
+        category: asset.category,
+        method: asset.depreciation.method,
+        openingCost: held(asset, before) ? asset.cost : 0,
+        additions: asset.acquisition.date >= start ? asset.cost : 0,
+        disposals: disposed ? asset.cost : 0,
+        closingCost: held(asset, end) ? asset.cost : 0,
+        openingDepreciation: accumulatedAt(asset, before),
+        charge: roundMoney(asset.lines
+          .filter(line => line.postedAt >= start && line.postedAt <= end)
+          .reduce((sum, line) => sum + line.amount, 0)),
+        closingDepreciation: accumulatedAt(asset, end),
+        gainLoss: disposed ? asset.disposal.gainLoss : 0
+      };
+      row.depreciationOnDisposals = roundMoney(row.openingDepreciation + row.charge - row.closingDepreciation);
+      row.bookValue = roundMoney(row.closingCost - row.closingDepreciation);
+      return row;
+    });
+
+    const sum = (list) => {
+      const fields = ['openingCost', 'additions', 'disposals', 'closingCost', 'openingDepreciation', 'charge',
+        'depreciationOnDisposals', 'closingDepreciation', 'bookValue', 'gainLoss'];
+      return fields.reduce((totals, field) => {
+        totals[field] = roundMoney(list.reduce((total, row) => total + row[field], 0));
+        return totals;
+      }, { count: list.length });
+    };
+
+    return {
+      from: start,
+      to: end,
+      assets: rows,
+      categories: Object.keys(CATEGORY_ACCOUNTS)
+        .map(category => ({ category, ...sum(rows.filter(row => row.category === category)) }))
+        .filter(category => category.count > 0),
+      totals: sum(rows)
+    };
+  }
+
+  /**
+   * Asset, accumulated depreciation and expense accounts for a new asset: the category's
+   * own accounts unless others are chosen
+   * @private
+   */
+  async resolveAccounts(data, tenantId) {
+    const [code, name] = CATEGORY_ACCOUNTS[data.category];
+    const defaults = {
+      assetAccountCode: [code, name, 'asset', 'fixed_assets'],
+      accumulatedDepreciationAccountCode: [`ACC_DEP_${code.slice(3)}`, `Accumulated Depreciation - ${name}`, 'asset', 'fixed_assets'],
+      depreciationExpenseAccountCode: DEPRECIATION_EXPENSE
+    };
+    const accounts = {};
+    for (const [field, account] of Object.entries(defaults)) {
+      const chosen = data[field] && String(data[field]).toUpperCase();
+      if (chosen && chosen !== account[0]) {
+        const existing = await ChartOfAccountsRepository.findOne({ tenantId, accountCode: chosen, isActive: true });
+        if (!existing) {
+          throw new Error(`Account ${chosen} not found`);
+        }
+        accounts[field] = chosen;
+      } else {
+        accounts[field] = (await journalEntryService.getOrCreateAccount(tenantId, ...account)).accountCode;
+      }
+    }
+    return accounts;
+  }
+
+  /**
+   * Debit depreciation expense and credit accumulated depreciation, one line per account
+   * @private
+   */
+  depreciationEntries(charges, description) {
+    const debits = new Map();
+    const credits = new Map();
+    for (const { asset, charges: months } of charges) {
+      const amount = months.reduce((sum, charge) => sum + charge.amount, 0);
+      debits.set(asset.depreciationExpenseAccountCode, (debits.get(asset.depreciationExpenseAccountCode) || 0) + amount);
+      credits.set(asset.accumulatedDepreciationAccountCode, (credits.get(asset.accumulatedDepreciationAccountCode) || 0) + amount);
+    }
+    return [
+      ...[...debits].filter(([, amount]) => amount > 0)
+        .map(([accountCode, amount]) => ({ accountCode, debit: roundMoney(amount), credit: 0, description })),
+      ...[...credits].filter(([, amount]) => amount > 0)
+        .map(([accountCode, amount]) => ({ accountCode, debit: 0, credit: roundMoney(amount), description }))
+    ];
+  }
+
+  /**
+   * Record charged months on an asset and move its book value down
+   * @private
+   */
+  applyCharges(asset, charges, through, { run, journalEntry, postedAt }) {
+    for (const charge of charges) {
+      if (charge.amount > 0) {
+        asset.lines.push({ ...charge, run, journalEntry, postedAt });
+      }
+    }
+    asset.accumulatedDepreciation = roundMoney((asset.accumulatedDepreciation || 0) + charges.reduce((sum, charge) => sum + charge.amount, 0));
+    asset.bookValue = roundMoney(asset.cost - asset.accumulatedDepreciation);
+    if (!asset.depreciatedThrough || through > asset.depreciatedThrough) {
+      asset.depreciatedThrough = through;
+    }
+    if (asset.depreciation.method !== 'none' && asset.bookValue <= (asset.salvageValue || 0)) {
+      asset.status = 'fully_depreciated';
+    }
+  }
+
+  /**
+   * Post an acquisition or disposal entry against an asset
+   * @private
+   */
+  async postAssetEntry(asset, date, description, entries, userId, session = null) {
+    return await journalEntryService.createJournalEntry({
+      tenantId: asset.tenantId,
+      entryDate: date,
+      referenceType: 'fixed_asset',
+      referenceId: asset._id,
+      referenceNumber: asset.assetNumber,
+      description,
+      entries,
+      createdBy: await journalEntryService.resolveCreatedBy(asset.tenantId, userId),
+      metadata: { source: asset.acquisition.reference, sourceType: asset.acquisition.sourceType }
+    }, { session });
+  }
+
+  /**
+   * @private
+   */
+  async findSource(source, filter, tenantId) {
+    const query = source.Model.findOne({ tenantId, ...source.query, ...filter });
+    return source.modelName === 'PurchaseInvoice' ? await query.populate('items.product', 'name') : await query;
+  }
+
+  /**
+   * Cost and units already capitalized from each line of a document
+   * @private
+   */
+  async capitalizedByLine(documentId, tenantId) {
+    const assets = await FixedAsset.find({ tenantId, 'acquisition.document': documentId })
+      .select('acquisition.lineIndex acquisition.quantity cost')
+      .lean();
+    const byLine = new Map();
+    for (const asset of assets) {
+      const taken = byLine.get(asset.acquisition.lineIndex) || { cost: 0, quantity: 0 };
+      byLine.set(asset.acquisition.lineIndex, {
+        cost: roundMoney(taken.cost + asset.cost),
+        quantity: taken.quantity + (asset.acquisition.quantity || 0)
+      });
+    }
+    return byLine;
+  }
+}
+
+module.exports = new FixedAssetService();
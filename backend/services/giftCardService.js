@@ -0,0 +1,547 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const GiftCard = require('../models/GiftCard');
+const journalEntryService = require('./journalEntryService');
+const { runWithTransactionRetry } = require('./transactionUtils');
+const logger = require('../utils/logger');
+
+const roundMoney = (value) => Math.round(Number(value) * 100) / 100;
+
+// Unredeemed stored value is deferred revenue; whatever expires unused is breakage income
+const ACCOUNTS = {
+  liability: ['GIFT_CARD_LIABILITY', 'Gift Card & Store Credit Liability', 'liability', 'deferred_revenue'],
+  cash: ['CASH', 'Cash', 'asset', 'current_assets'],
+  bank: ['BANK', 'Bank', 'asset', 'current_assets'],
+  receivable: ['AR', 'Accounts Receivable', 'asset', 'current_assets'],
+  salesReturns: ['SALES_RETURNS', 'Sales Returns', 'revenue', 'sales_revenue'],
+  breakage: ['GIFT_CARD_BREAKAGE', 'Gift Card Breakage Income', 'revenue', 'other_revenue']
+};
+
+const tenderAccount = (paymentMethod) => (paymentMethod === 'cash' ? 'cash' : 'bank');
+
+class GiftCardService {
+  /**
+   * Generate a card code, e.g. GC-7F3A-91C2-0B4D
+   * @param {string} type - gift_card or store_credit
+   * @returns {string}
+   */
+  generateCode(type = 'gift_card') {
+    const prefix = type === 'store_credit' ? 'SC' : 'GC';
+    const hex = crypto.randomBytes(6).toString('hex').toUpperCase();
+    return `${prefix}-${hex.slice(0, 4)}-${hex.slice(4, 8)}-${hex.slice(8, 12)}`;
+  }
+
+  /**
+   * Find a card by its code or printed barcode
+   * @param {string} codeOrBarcode - Card code or barcode
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @param {object} session - Optional MongoDB session
+   * @returns {Promise<object|null>}
+   */
+  async findCard(codeOrBarcode, tenantId, session = null) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const value = String(codeOrBarcode || '').trim();
+    if (!value) return null;
+    return GiftCard.findOne({
+      tenantId,
+      $or: [{ code: value.toUpperCase() }, { barcode: value }]
+    }).session(session);
+  }
+
+  /**
+   * @private
+   */
+  async getCardOrThrow(codeOrBarcode, tenantId, session = null) {
+    const card = await this.findCard(codeOrBarcode, tenantId, session);
+    if (!card) {
+      throw new Error('Gift card not found');
+    }
+    return card;
+  }
+
+  /**
+   * Balance lookup for the POS and customer enquiries
+   * @param {string} codeOrBarcode - Card code or barcode
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async getBalance(codeOrBarcode, tenantId) {
+    const card = await this.getCardOrThrow(codeOrBarcode, tenantId);
+    const expired = card.status === 'expired' || (card.status === 'active' && card.isExpired());
+    return {
+      code: card.code,
+      type: card.type,
+      status: expired ? 'expired' : card.status,
+      balance: expired ? 0 : card.balance,
+      currency: card.currency,
+      expiresAt: card.expiresAt,
+      customer: card.customer
+    };
+  }
+
+  /**
+   * Card with its full ledger
+   * @param {string} codeOrBarcode - Card code or barcode
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async getCard(codeOrBarcode, tenantId) {
+    const card = await this.getCardOrThrow(codeOrBarcode, tenantId);
+    await card.populate([
+      { path: 'customer', select: 'name businessName displayName phone' },
+      { path: 'transactions.performedBy', select: 'firstName lastName' }
+    ]);
+    return card;
+  }
+
+  /**
+   * @param {object} filters - { type, status, customer, search, page, limit }
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<{cards: Array, pagination: object}>}
+   */
+  async listCards(filters = {}, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const { type, status, customer, search, page = 1, limit = 20 } = filters;
+    const query = { tenantId };
+    if (type) query.type = type;
+    if (status) query.status = status;
+    if (customer) query.customer = customer;
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ code: pattern }, { barcode: pattern }];
+    }
+
+    const [cards, total] = await Promise.all([
+      GiftCard.find(query)
+        .select('-transactions')
+        .populate('customer', 'name businessName displayName')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      GiftCard.countDocuments(query)
+    ]);
+
+    return {
+      cards,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Issue a new card. It holds no balance until activated.
+   * @param {object} data - { type, amount, customer, expiresAt, barcode, code, notes, activate, paymentMethod }
+   * @param {string} userId - Issuing user
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @param {object} options - { session, fundingAccount, referenceType, referenceId }
+   * @returns {Promise<object>} Card
+   */
+  async issueCard(data, userId, tenantId, options = {}) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const amount = roundMoney(data.amount);
+    if (!(amount > 0)) {
+      throw new Error('Gift card amount must be greater than zero');
+    }
+    if (data.expiresAt && new Date(data.expiresAt) <= new Date()) {
+      throw new Error('Expiry date must be in the future');
+    }
+
+    const type = data.type || 'gift_card';
+    const card = new GiftCard({
+      tenantId,
+      type,
+      code: data.code || this.generateCode(type),
+      barcode: data.barcode || undefined,
+      initialValue: amount,
+      currency: data.currency,
+      customer: data.customer || undefined,
+      sourceReturn: data.sourceReturn,
+      expiresAt: data.expiresAt || undefined,
+      issuedBy: userId,
+      notes: data.notes
+    });
+
+    try {
+      await card.save({ session: options.session });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('A card with this code or barcode already exists');
+      }
+      throw error;
+    }
+
+    if (!data.activate) return card;
+    return this.activateCard(card.code, { ...options, paymentMethod: data.paymentMethod }, userId, tenantId);
+  }
+
+  /**
+   * Activate an issued card, loading its initial value (Dr tender / Cr liability)
+   * @param {string} codeOrBarcode - Card code or barcode
+   * @param {object} options - { paymentMethod, fundingAccount, referenceType, referenceId, session }
+   * @param {string} userId - Acting user
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>} Activated card
+   */
+  async activateCard(codeOrBarcode, options = {}, userId, tenantId) {
+    return this.runInTransaction(options, async (session) => {
+      const card = await this.getCardOrThrow(codeOrBarcode, tenantId, session);
+      if (card.status !== 'inactive') {
+        throw new Error('Gift card is already activated');
+      }
+      if (card.isExpired()) {
+        throw new Error('Gift card has expired');
+      }
+
+      const { card: activated, transaction } = await this.applyChange(card, {
+        type: 'activate',
+        amount: card.initialValue,
+        set: { status: 'active', activatedAt: new Date() },
+        referenceType: options.referenceType || 'manual',
+        referenceId: options.referenceId,
+        paymentMethod: options.paymentMethod,
+        performedBy: userId
+      }, session);
+
+      await this.postEntry(activated, transaction, {
+        debit: options.fundingAccount || tenderAccount(options.paymentMethod),
+        credit: 'liability',
+        description: `${this.label(card)} ${card.code} activated`
+      }, userId, session);
+
+      return activated;
+    });
+  }
+
+  /**
+   * Add value to an active card (Dr tender / Cr liability)
+   * @param {string} codeOrBarcode - Card code or barcode
+   * @param {number} amount - Amount to load
+   * @param {object} options - { paymentMethod, session }
+   * @param {string} userId - Acting user
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>} Card
+   */
+  async reloadCard(codeOrBarcode, amount, options = {}, userId, tenantId) {
+    return this.creditCard(codeOrBarcode, amount, {
+      ...options,
+      type: 'reload',
+      counterAccount: tenderAccount(options.paymentMethod),
+      referenceType: 'manual'
+    }, userId, tenantId);
+  }
+
+  /**
+   * Return value to a card, e.g. a refunded payment or a returned sale
+   * @param {string} codeOrBarcode - Card code or barcode
+   * @param {number} amount - Amount to credit back
+   * @param {object} options - { counterAccount, referenceType, referenceId, notes, session }
+   * @param {string} userId - Acting user
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>} Card
+   */
+  async refundToCard(codeOrBarcode, amount, options = {}, userId, tenantId) {
+    return this.creditCard(codeOrBarcode, amount, {
+      ...options,
+      type: 'refund',
+      counterAccount: options.counterAccount || 'receivable'
+    }, userId, tenantId);
+  }
+
+  /**
+   * Check a card can pay the given amount; throws with the reason when it cannot
+   * @param {object|null} card - GiftCard document
+   * @param {number} amount - Amount to redeem
+   * @param {string} expectedType - gift_card or store_credit, when the tender dictates one
+   */
+  validateRedemption(card, amount, expectedType = null) {
+    if (!card) {
+      throw new Error('Gift card not found');
+    }
+    if (expectedType && card.type !== expectedType) {
+      throw new Error(expectedType === 'store_credit' ? 'Card is not a store credit account' : 'Card is not a gift card');
+    }
+    if (card.status === 'inactive') {
+      throw new Error('Gift card has not been activated');
+    }
+    if (card.status === 'expired' || card.isExpired()) {
+      throw new Error('Gift card has expired');
+    }
+    if (!(Number(amount) > 0)) {
+      throw new Error('Redemption amount must be greater than zero');
+    }
+    if (card.status === 'redeemed' || roundMoney(amount) > card.balance) {
+      throw new Error('Insufficient gift card balance');
+    }
+  }
+
+  /**
+   * Check value can be put back on a card; throws with the reason when it cannot
+   * @param {object|null} card - GiftCard document
+   * @param {string} customerId - Customer receiving the credit, when known
+   */
+  validateCredit(card, customerId = null) {
+    if (!card) {
+      throw new Error('Gift card not found');
+    }
+    if (card.status === 'inactive') {
+      throw new Error('Gift card has not been activated');
+    }
+    if (card.status === 'expired' || card.isExpired()) {
+      throw new Error('Gift card has expired');
+    }
+    if (customerId && card.customer && String(card.customer) !== String(customerId)) {
+      throw new Error('Card belongs to another customer');
+    }
+  }
+
+  /**
+   * Pay with a card. Partial redemptions leave the remainder on the card.
+   * Posts Dr liability / Cr counter account (receivable by default).
+   * @param {string} codeOrBarcode - Card code or barcode
+   * @param {number} amount - Amount to redeem
+   * @param {object} options - { expectedType, counterAccount, referenceType, referenceId, notes, journal, session }
+   * @param {string} userId - Acting user
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<{card: object, transaction: object}>}
+   */
+  async redeem(codeOrBarcode, amount, options = {}, userId, tenantId) {
+    return this.runInTransaction(options, async (session) => {
+      const card = await this.findCard(codeOrBarcode, tenantId, session);
+      this.validateRedemption(card, amount, options.expectedType);
+
+      const value = roundMoney(amount);
+      const remaining = roundMoney(card.balance - value);
+      const result = await this.applyChange(card, {
+        type: 'redeem',
+        amount: -value,
+        set: remaining === 0 ? { status: 'redeemed' } : {},
+        referenceType: options.referenceType,
+        referenceId: options.referenceId,
+        notes: options.notes,
+        performedBy: userId
+      }, session);
+
+      // A sale tendered with the card debits the liability in its own entry
+      if (options.journal !== false) {
+        await this.postEntry(result.card, result.transaction, {
+          debit: 'liability',
+          credit: options.counterAccount || 'receivable',
+          description: `${this.label(card)} ${card.code} redeemed`
+        }, userId, session);
+      }
+
+      return result;
+    });
+  }
+
+  /**
+   * Credit a customer's store credit for a return (Dr sales returns / Cr liability).
+   * Uses the given code, else the customer's open store credit account, else issues a new one.
+   * @param {object} data - { customer, amount, returnId, code }
+   * @param {string} userId - Acting user
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @param {object} options - { session }
+   * @returns {Promise<object>} Card credited
+   */
+  async issueStoreCredit({ customer, amount, returnId, code }, userId, tenantId, options = {}) {
+    if (!customer) {
+      throw new Error('A customer is required for store credit');
+    }
+    const creditOptions = {
+      ...options,
+      type: 'refund',
+      counterAccount: 'salesReturns',
+      referenceType: 'return',
+      referenceId: returnId
+    };
+
+    if (code) {
+      const card = await this.findCard(code, tenantId, options.session);
+      this.validateCredit(card, customer);
+      return this.creditCard(card.code, amount, creditOptions, userId, tenantId);
+    }
+
+    const existing = await GiftCard.findOne({
+      tenantId,
+      customer,
+      type: 'store_credit',
+      status: { $in: ['active', 'redeemed'] },
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    }).session(options.session || null);
+    if (existing) {
+      return this.creditCard(existing.code, amount, creditOptions, userId, tenantId);
+    }
+
+    return this.issueCard({
+      type: 'store_credit',
+      amount,
+      customer,
+      sourceReturn: returnId,
+      activate: true
+    }, userId, tenantId, { ...options, fundingAccount: 'salesReturns', referenceType: 'return', referenceId: returnId });
+  }
+
+  /**
+   * Expire cards past their expiry date; any remaining balance is recognised as breakage
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @param {Date} asOf - Expiry cut-off
+   * @returns {Promise<{expired: number, breakage: number}>}
+   */
+  async expireCards(tenantId, asOf = new Date()) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const cards = await GiftCard.find({
+      tenantId,
+      status: { $in: ['inactive', 'active', 'redeemed'] },
+      expiresAt: { $lte: asOf }
+    }).select('_id code');
+
+    let expired = 0;
+    let breakage = 0;
+    for (const { _id } of cards) {
+      try {
+        const released = await this.runInTransaction({}, async (session) => {
+          const card = await GiftCard.findOne({ _id, tenantId }).session(session);
+          if (card.balance <= 0 || card.status === 'inactive') {
+            await GiftCard.updateOne({ _id, tenantId }, { $set: { status: 'expired' } }, { session });
+            return 0;
+          }
+          const { card: updated, transaction } = await this.applyChange(card, {
+            type: 'expire',
+            amount: -card.balance,
+            set: { status: 'expired' },
+            referenceType: 'manual',
+            notes: 'Expired unused balance'
+          }, session);
+          await this.postEntry(updated, transaction, {
+            debit: 'liability',
+            credit: 'breakage',
+            description: `${this.label(card)} ${card.code} expired`
+          }, null, session);
+          return card.balance;
+        });
+        expired += 1;
+        breakage = roundMoney(breakage + released);
+      } catch (error) {
+        logger.error(`Error expiring gift card ${_id}:`, error);
+      }
+    }
+
+    return { expired, breakage };
+  }
+
+  /**
+   * @private
+   */
+  async creditCard(codeOrBarcode, amount, options, userId, tenantId) {
+    return this.runInTransaction(options, async (session) => {
+      const card = await this.findCard(codeOrBarcode, tenantId, session);
+      this.validateCredit(card);
+      const value = roundMoney(amount);
+      if (!(value > 0)) {
+        throw new Error('Amount must be greater than zero');
+      }
+
+      const { card: credited, transaction } = await this.applyChange(card, {
+        type: options.type,
+        amount: value,
+        set: { status: 'active' },
+        referenceType: options.referenceType,
+        referenceId: options.referenceId,
+        paymentMethod: options.paymentMethod,
+        notes: options.notes,
+        performedBy: userId
+      }, session);
+
+      await this.postEntry(credited, transaction, {
+        debit: options.counterAccount,
+        credit: 'liability',
+        description: `${this.label(card)} ${card.code} ${options.type === 'reload' ? 'reloaded' : 'credited'}`
+      }, userId, session);
+
+      return credited;
+    });
+  }
+
+  /**
+   * Apply a balance change and append it to the card's ledger. The update only matches
+   * the balance that was read, so two tills redeeming the same card cannot both succeed.
+   * @private
+   */
+  async applyChange(card, change, session = null) {
+    const { set = {}, ...details } = change;
+    const balanceAfter = roundMoney(card.balance + details.amount);
+    if (balanceAfter < 0) {
+      throw new Error('Insufficient gift card balance');
+    }
+
+    const transaction = { _id: new mongoose.Types.ObjectId(), ...details, balanceAfter, createdAt: new Date() };
+    const updated = await GiftCard.findOneAndUpdate(
+      { _id: card._id, tenantId: card.tenantId, status: card.status, balance: card.balance },
+      { $set: { ...set, balance: balanceAfter }, $push: { transactions: transaction } },
+      { new: true, session }
+    );
+    if (!updated) {
+      throw new Error('Gift card was updated by another transaction, please retry');
+    }
+    return { card: updated, transaction };
+  }
+
+  /**
+   * @private
+   */
+  async postEntry(card, transaction, { debit, credit, description }, userId, session = null) {
+    const tenantId = card.tenantId;
+    const amount = Math.abs(transaction.amount);
+    const debitAccount = await journalEntryService.getOrCreateAccount(tenantId, ...ACCOUNTS[debit], session);
+    const creditAccount = await journalEntryService.getOrCreateAccount(tenantId, ...ACCOUNTS[credit], session);
+
+    const entry = await journalEntryService.createJournalEntry({
+      tenantId,
+      entryDate: new Date(),
+      referenceType: 'gift_card',
+      referenceId: card._id,
+      referenceNumber: card.code,
+      description,
+      entries: [
+        { accountCode: debitAccount.accountCode, debit: amount, credit: 0, description },
+        { accountCode: creditAccount.accountCode, debit: 0, credit: amount, description }
+      ],
+      createdBy: await journalEntryService.resolveCreatedBy(tenantId, userId),
+      metadata: { giftCardTransaction: transaction._id, transactionType: transaction.type }
+    }, { session });
+
+    await GiftCard.updateOne(
+      { _id: card._id, 'transactions._id': transaction._id },
+      { $set: { 'transactions.$.journalEntry': entry._id } },
+      { session }
+    );
+    return entry;
+  }
+
+  /**
+   * Run work in the caller's session, or in a transaction of our own
+   * @private
+   */
+  async runInTransaction(options, work) {
+    if (options.session) {
+      return work(options.session);
+    }
+    return runWithTransactionRetry(work);
+  }
+
+  /**
+   * @private
+   */
+  label(card) {
+    return card.type === 'store_credit' ? 'Store credit' : 'Gift card';
+  }
+}
+
+module.exports = new GiftCardService();
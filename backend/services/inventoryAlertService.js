@@ -1,11 +1,18 @@
 const ProductRepository = require('../repositories/ProductRepository');
 const InventoryRepository = require('../repositories/InventoryRepository');
 const SalesRepository = require('../repositories/SalesRepository');
+const Warehouse = require('../models/Warehouse');
+const warehouseStockService = require('./warehouseStockService');
+const notificationService = require('./notificationService');
+const demandForecastService = require('./demandForecastService');
 const logger = require('../utils/logger');
 
 class InventoryAlertService {
   /**
-   * Get all products with low stock
+   * Get all products with low stock. With `warehouse` (or `byWarehouse`) each warehouse's
+   * stock is checked against that warehouse's reorder point instead of the product total.
+   * Products with a demand forecast are checked against its reorder point, and their days
+   * until out of stock follow the forecast.
    * @param {Object} options - Alert options
    * @returns {Promise<Array>} Array of low stock alerts
    */
@@ -16,6 +23,7 @@ class InventoryAlertService {
         includeCritical = true,
         includeWarning = true,
         warehouse = null,
+        byWarehouse = false,
         tenantId = null
       } = options;
 
@@ -34,6 +42,14 @@ class InventoryAlertService {
         }
       );
 
+      const warehouseLevels = (warehouse || byWarehouse) && tenantId
+        ? await this.getWarehouseLevels(warehouse, tenantId)
+        : null;
+
+      const forecasts = tenantId
+        ? await demandForecastService.findForecasts(null, tenantId)
+        : new Map();
+
       const alerts = [];
 
       for (const product of products) {
@@ -42,57 +58,70 @@ class InventoryAlertService {
         
         if (!inventory) continue;
 
-        const currentStock = inventory.currentStock || 0;
-        const reorderPoint = inventory.reorderPoint || product.inventory?.reorderPoint || 10;
         const minStock = product.inventory?.minStock || 0;
+        const forecast = forecasts.get(String(product._id));
+        const positions = warehouseLevels
+          ? this.getWarehousePositions(product, inventory, warehouseLevels)
+          : [{
+            warehouse: null,
+            currentStock: inventory.currentStock || 0,
+            reorderPoint: forecast ? forecast.reorderPoint : (inventory.reorderPoint || product.inventory?.reorderPoint || 10),
+            reorderQuantity: inventory.reorderQuantity || 50,
+            maxStock: inventory.maxStock || product.inventory?.maxStock,
+            reorderSource: forecast ? 'forecast' : 'manual'
+          }];
 
-        // Determine alert level
-        let alertLevel = null;
-        let stockStatus = 'in_stock';
-
-        if (currentStock === 0 && includeOutOfStock) {
-          alertLevel = 'critical';
-          stockStatus = 'out_of_stock';
-        } else if (currentStock <= minStock && includeCritical) {
-          alertLevel = 'critical';
-          stockStatus = 'critical';
-        } else if (currentStock <= reorderPoint && includeWarning) {
-          alertLevel = 'warning';
-          stockStatus = 'low_stock';
-        }
+        for (const { warehouse: stockWarehouse, currentStock, reorderPoint, reorderQuantity, maxStock, reorderSource = 'manual' } of positions) {
+          // Determine alert level
+          let alertLevel = null;
+          let stockStatus = 'in_stock';
 
-        if (alertLevel) {
-          // Calculate days until out of stock (based on average daily sales)
-          const daysUntilOutOfStock = await this.calculateDaysUntilOutOfStock(
-            product._id,
-            currentStock
-          );
-
-          alerts.push({
-            product: {
-              _id: product._id,
-              name: product.name,
-              sku: product.sku,
-              category: product.category
-            },
-            inventory: {
-              currentStock,
-              reorderPoint,
-              minStock,
-              reorderQuantity: inventory.reorderQuantity || 50,
-              maxStock: inventory.maxStock || product.inventory?.maxStock
-            },
-            alertLevel,
-            stockStatus,
-            daysUntilOutOfStock,
-            suggestedReorderQuantity: this.calculateSuggestedReorderQuantity(
-              currentStock,
-              reorderPoint,
-              inventory.reorderQuantity || 50,
-              inventory.maxStock || product.inventory?.maxStock
-            ),
-            urgency: this.calculateUrgency(currentStock, reorderPoint, daysUntilOutOfStock)
-          });
+          if (currentStock === 0 && includeOutOfStock) {
+            alertLevel = 'critical';
+            stockStatus = 'out_of_stock';
+          } else if (currentStock <= minStock && includeCritical) {
+            alertLevel = 'critical';
+            stockStatus = 'critical';
+          } else if (currentStock <= reorderPoint && includeWarning) {
+            alertLevel = 'warning';
+            stockStatus = 'low_stock';
+          }
+
+          if (alertLevel) {
+            // Calculate days until out of stock (from the forecast, else average daily sales)
+            const daysUntilOutOfStock = reorderSource === 'forecast'
+              ? forecast.daysOfCover(currentStock)
+              : await this.calculateDaysUntilOutOfStock(product._id, currentStock);
+
+            alerts.push({
+              product: {
+                _id: product._id,
+                name: product.name,
+                sku: product.sku,
+                category: product.category
+              },
+              warehouse: stockWarehouse,
+              inventory: {
+                currentStock,
+                reorderPoint,
+                minStock,
+                reorderQuantity,
+                maxStock,
+                reorderSource,
+                safetyStock: reorderSource === 'forecast' ? forecast.safetyStock : undefined
+              },
+              alertLevel,
+              stockStatus,
+              daysUntilOutOfStock,
+              suggestedReorderQuantity: this.calculateSuggestedReorderQuantity(
+                currentStock,
+                reorderPoint,
+                reorderQuantity,
+                maxStock
+              ),
+              urgency: this.calculateUrgency(currentStock, reorderPoint, daysUntilOutOfStock)
+            });
+          }
         }
       }
 
@@ -112,6 +141,51 @@ class InventoryAlertService {
     }
   }
 
+  /**
+   * Load per-warehouse stock levels, grouped by product
+   * @param {String|null} warehouseId - Limit to one warehouse
+   * @param {String} tenantId - Tenant ID
+   * @returns {Promise<Map>} Product ID -> [{ warehouse, quantity, reorderPoint, reorderQuantity, maxStock }]
+   */
+  static async getWarehouseLevels(warehouseId, tenantId) {
+    await warehouseStockService.ensureTenantSeeded(tenantId);
+    const levels = await warehouseStockService.getStockLevels({ warehouses: warehouseId ? [warehouseId] : null }, tenantId);
+    const warehouses = await Warehouse.find({ tenantId }).select('name code').lean();
+    const warehouseById = new Map(warehouses.map(w => [String(w._id), w]));
+
+    const byProduct = new Map();
+    for (const level of levels) {
+      const stockWarehouse = warehouseById.get(String(level.warehouse));
+      const key = String(level.product);
+      if (!byProduct.has(key)) byProduct.set(key, []);
+      byProduct.get(key).push({
+        ...level,
+        warehouse: stockWarehouse
+          ? { _id: stockWarehouse._id, name: stockWarehouse.name, code: stockWarehouse.code }
+          : { _id: level.warehouse }
+      });
+    }
+    return byProduct;
+  }
+
+  /**
+   * Stock positions of one product per warehouse. Unset warehouse levels fall back to the
+   * product's Inventory levels.
+   * @param {Object} product - Product
+   * @param {Object} inventory - Inventory record
+   * @param {Map} warehouseLevels - Result of getWarehouseLevels
+   * @returns {Array} [{ warehouse, currentStock, reorderPoint, reorderQuantity, maxStock }]
+   */
+  static getWarehousePositions(product, inventory, warehouseLevels) {
+    return (warehouseLevels.get(String(product._id)) || []).map(level => ({
+      warehouse: level.warehouse,
+      currentStock: level.quantity || 0,
+      reorderPoint: level.reorderPoint ?? (inventory.reorderPoint || product.inventory?.reorderPoint || 10),
+      reorderQuantity: level.reorderQuantity || inventory.reorderQuantity || 50,
+      maxStock: level.maxStock || inventory.maxStock || product.inventory?.maxStock
+    }));
+  }
+
   /**
    * Calculate days until product runs out of stock
    * @param {String} productId - Product ID
@@ -229,6 +303,25 @@ class InventoryAlertService {
       throw error;
     }
   }
+
+  /**
+   * Send low stock alerts for a tenant through the notification service
+   * @param {string} tenantId - Tenant ID for multi-tenant isolation
+   * @returns {Promise<Object>} Alert count and delivery records
+   */
+  static async sendLowStockAlerts(tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required to send low stock alerts');
+    }
+
+    const alerts = await this.getLowStockAlerts({ tenantId });
+    const deliveries = await notificationService.sendLowStockAlerts(alerts, { tenantId });
+
+    return {
+      alerts: alerts.length,
+      deliveries
+    };
+  }
 }
 
 module.exports = InventoryAlertService;
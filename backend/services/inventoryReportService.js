@@ -3,6 +3,9 @@ const Product = require('../models/Product');
 const Sales = require('../models/Sales');
 const Category = require('../models/Category');
 const Supplier = require('../models/Supplier');
+const Warehouse = require('../models/Warehouse');
+const warehouseStockService = require('./warehouseStockService');
+const logger = require('../utils/logger');
 
 class InventoryReportService {
   constructor() {
@@ -24,7 +27,7 @@ class InventoryReportService {
   }
 
   // Generate comprehensive inventory report
-  async generateInventoryReport(config, generatedBy) {
+  async generateInventoryReport(config, generatedBy, tenantId) {
     try {
       const {
         reportType = 'comprehensive',
@@ -65,7 +68,7 @@ class InventoryReportService {
         // Generate report data based on type
         switch (reportType) {
           case 'stock_levels':
-            await this.generateStockLevelsData(report);
+            await this.generateStockLevelsData(report, tenantId);
             break;
           case 'turnover_rates':
             await this.generateTurnoverRatesData(report);
@@ -74,7 +77,7 @@ class InventoryReportService {
             await this.generateAgingAnalysisData(report);
             break;
           case 'comprehensive':
-            await this.generateComprehensiveData(report);
+            await this.generateComprehensiveData(report, tenantId);
             break;
           default:
             throw new Error('Invalid report type');
@@ -101,8 +104,9 @@ class InventoryReportService {
     }
   }
 
-  // Generate stock levels data
-  async generateStockLevelsData(report) {
+  // Generate stock levels data. With filters.warehouses, stock is counted in those warehouses only;
+  // each row carries its per-warehouse breakdown either way.
+  async generateStockLevelsData(report, tenantId) {
     try {
       const { startDate, endDate, config } = report;
       const { filters, thresholds } = config;
@@ -144,11 +148,20 @@ class InventoryReportService {
       const previousPeriod = this.getPreviousPeriod(startDate, endDate, report.periodType);
       const previousStockLevels = await this.getPreviousStockLevels(previousPeriod.startDate, previousPeriod.endDate, products.map(p => p._id));
 
+      const warehouseFilter = filters.warehouses && filters.warehouses.length > 0 ? filters.warehouses : null;
+      const warehouseLevels = await this.getWarehouseBreakdown(products.map(p => p._id), warehouseFilter, tenantId);
+
       // Calculate stock levels and categorize
       const stockLevels = await Promise.all(products.map(async (product, index) => {
         const previousStock = previousStockLevels.find(p => p._id.toString() === product._id.toString());
-        const currentStock = product.inventory.currentStock;
-        const reorderPoint = product.inventory.reorderPoint;
+        const warehouses = warehouseLevels.get(product._id.toString()) || [];
+        const currentStock = warehouseFilter
+          ? warehouses.reduce((sum, level) => sum + level.quantity, 0)
+          : product.inventory.currentStock;
+        const warehouseReorderPoints = warehouses.filter(level => level.reorderPoint !== undefined && level.reorderPoint !== null);
+        const reorderPoint = warehouseFilter && warehouseReorderPoints.length > 0
+          ? warehouseReorderPoints.reduce((sum, level) => sum + level.reorderPoint, 0)
+          : product.inventory.reorderPoint;
         const minStock = product.inventory.minStock;
         const maxStock = product.inventory.maxStock;
         const stockValue = currentStock * product.pricing.cost;
@@ -174,6 +187,7 @@ class InventoryReportService {
             stockValue,
             stockStatus
           },
+          warehouses,
           trend: {
             previousStock: previousStock?.currentStock || 0,
             stockChange: currentStock - (previousStock?.currentStock || 0),
@@ -192,6 +206,31 @@ class InventoryReportService {
     }
   }
 
+  // Per-warehouse quantities for report rows, keyed by product ID
+  async getWarehouseBreakdown(productIds, warehouseIds, tenantId) {
+    const byProduct = new Map();
+    if (!tenantId) {
+      return byProduct;
+    }
+    await warehouseStockService.ensureTenantSeeded(tenantId);
+    const levels = await warehouseStockService.getStockLevels({ products: productIds, warehouses: warehouseIds }, tenantId);
+    const warehouses = await Warehouse.find({ tenantId }).select('name code');
+    const warehouseById = new Map(warehouses.map(w => [w._id.toString(), w]));
+
+    for (const level of levels) {
+      const key = level.product.toString();
+      if (!byProduct.has(key)) byProduct.set(key, []);
+      byProduct.get(key).push({
+        warehouse: level.warehouse,
+        warehouseName: warehouseById.get(level.warehouse.toString())?.name,
+        quantity: level.quantity,
+        reorderPoint: level.reorderPoint,
+        bins: level.bins
+      });
+    }
+    return byProduct;
+  }
+
   // Generate turnover rates data
   async generateTurnoverRatesData(report) {
     try {
@@ -403,13 +442,13 @@ class InventoryReportService {
   }
 
   // Generate comprehensive data (all types)
-  async generateComprehensiveData(report) {
+  async generateComprehensiveData(report, tenantId) {
     // Run methods sequentially to avoid parallel save conflicts
-    await this.generateStockLevelsData(report);
+    await this.generateStockLevelsData(report, tenantId);
     await this.generateTurnoverRatesData(report);
     await this.generateAgingAnalysisData(report);
     await this.generateCategoryPerformanceData(report);
-    await this.generateSupplierPerformanceData(report);
+    await this.generateSupplierPerformanceData(report, tenantId);
   }
 
   // Generate category performance data
@@ -506,111 +545,41 @@ class InventoryReportService {
   }
 
   // Generate supplier performance data
-  async generateSupplierPerformanceData(report) {
+  async generateSupplierPerformanceData(report, tenantId) {
     try {
       const { startDate, endDate } = report;
-      const PurchaseOrder = require('../models/PurchaseOrder');
-      const PurchaseInvoice = require('../models/PurchaseInvoice');
-      const Product = require('../models/Product');
-const logger = require('../utils/logger');
-
-      // Get all products with suppliers
-      const productsWithSuppliers = await Product.find({
-        $or: [
-          { suppliers: { $exists: true, $ne: [] } },
-          { primarySupplier: { $exists: true } }
-        ]
-      }).select('_id suppliers primarySupplier').lean();
-
-      // Create a map of supplier to products
-      const supplierProductMap = new Map();
-      productsWithSuppliers.forEach(product => {
-        const suppliers = product.suppliers || [];
-        if (product.primarySupplier) {
-          suppliers.push(product.primarySupplier);
-        }
-        const uniqueSuppliers = [...new Set(suppliers.map(s => s.toString()))];
-        uniqueSuppliers.forEach(supplierId => {
-          if (!supplierProductMap.has(supplierId)) {
-            supplierProductMap.set(supplierId, []);
-          }
-          supplierProductMap.get(supplierId).push(product._id);
-        });
+      const SupplierProduct = require('../models/SupplierProduct');
+      const supplierCatalogService = require('./supplierCatalogService');
+
+      const performance = await supplierCatalogService.getSupplierPerformance(tenantId, { startDate, endDate });
+      const catalogItems = await SupplierProduct.find({ tenantId, isActive: true }).select('supplier').lean();
+      const productsBySupplier = new Map();
+      catalogItems.forEach(item => {
+        const supplierId = item.supplier.toString();
+        productsBySupplier.set(supplierId, (productsBySupplier.get(supplierId) || 0) + 1);
       });
 
-      // Get purchase orders and invoices for the period
-      const purchaseOrders = await PurchaseOrder.find({
-        orderDate: { $gte: startDate, $lte: endDate },
-        status: { $in: ['confirmed', 'partially_received', 'fully_received'] }
-      }).populate('supplier', 'companyName').lean();
-
-      const purchaseInvoices = await PurchaseInvoice.find({
-        createdAt: { $gte: startDate, $lte: endDate },
-        invoiceType: 'purchase',
-        status: { $in: ['confirmed', 'received', 'paid'] }
-      }).populate('supplier', 'companyName').lean();
-
-      // Calculate performance metrics per supplier
-      const supplierPerformance = new Map();
-      
-      // Process purchase orders
-      purchaseOrders.forEach(po => {
-        if (!po.supplier) return;
-        const supplierId = po.supplier._id.toString();
-        if (!supplierPerformance.has(supplierId)) {
-          supplierPerformance.set(supplierId, {
-            supplierId: supplierId,
-            supplierName: po.supplier.companyName || 'Unknown',
-            totalOrders: 0,
-            totalInvoices: 0,
-            totalValue: 0,
-            averageOrderValue: 0,
-            onTimeDelivery: 0,
-            totalDeliveries: 0
-          });
-        }
-        const perf = supplierPerformance.get(supplierId);
-        perf.totalOrders++;
-        perf.totalValue += po.total || 0;
-      });
-
-      // Process purchase invoices
-      purchaseInvoices.forEach(inv => {
-        if (!inv.supplier) return;
-        const supplierId = inv.supplier._id.toString();
-        if (!supplierPerformance.has(supplierId)) {
-          supplierPerformance.set(supplierId, {
-            supplierId: supplierId,
-            supplierName: inv.supplier.companyName || 'Unknown',
-            totalOrders: 0,
-            totalInvoices: 0,
-            totalValue: 0,
-            averageOrderValue: 0,
-            onTimeDelivery: 0,
-            totalDeliveries: 0
-          });
-        }
-        const perf = supplierPerformance.get(supplierId);
-        perf.totalInvoices++;
-        perf.totalValue += inv.pricing?.total || 0;
-        if (inv.actualDelivery && inv.expectedDelivery) {
-          perf.totalDeliveries++;
-          if (inv.actualDelivery <= inv.expectedDelivery) {
-            perf.onTimeDelivery++;
-          }
-        }
-      });
+      const supplierPerformance = performance.map(row => ({
+        supplier: row.supplier._id,
+        metrics: {
+          totalProducts: productsBySupplier.get(row.supplier._id.toString()) || 0,
+          averageLeadTime: row.averageLeadTime || 0,
+          totalOrders: row.orders,
+          totalValue: row.totalValue,
+          onTimeDeliveryRate: row.onTimeRate === null ? 0 : Math.round(row.onTimeRate * 10000) / 100,
+          fillRate: row.fillRate === null ? 0 : Math.round(row.fillRate * 10000) / 100
+        },
+        rank: 0 // Will be set after sorting
+      }));
 
-      // Calculate averages and convert to array
-      const performanceArray = Array.from(supplierPerformance.values()).map(perf => {
-        perf.averageOrderValue = perf.totalOrders > 0 ? perf.totalValue / perf.totalOrders : 0;
-        perf.onTimeDeliveryRate = perf.totalDeliveries > 0 
-          ? (perf.onTimeDelivery / perf.totalDeliveries) * 100 
-          : 0;
-        return perf;
+      // Most reliable first (on time and complete), then by purchase value
+      const reliability = item => item.metrics.onTimeDeliveryRate * item.metrics.fillRate;
+      supplierPerformance.sort((a, b) => reliability(b) - reliability(a) || b.metrics.totalValue - a.metrics.totalValue);
+      supplierPerformance.forEach((item, index) => {
+        item.rank = index + 1;
       });
 
-      report.supplierPerformance = performanceArray;
+      report.supplierPerformance = supplierPerformance;
       // Don't save here - will be saved at the end
     } catch (error) {
       logger.error('Error generating supplier performance data:', error);
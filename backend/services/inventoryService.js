@@ -1,14 +1,35 @@
 const Inventory = require('../models/Inventory');
 const StockAdjustment = require('../models/StockAdjustment');
 const Product = require('../models/Product');
+const warehouseStockService = require('./warehouseStockService');
 const logger = require('../utils/logger');
 
-// Update stock levels
-const updateStock = async ({ productId, type, quantity, reason, reference, referenceId, referenceModel, cost, performedBy, notes, tenantId }) => {
+const OUTBOUND_TYPES = ['out', 'damage', 'theft'];
+
+// Update stock levels. `warehouse` defaults to the tenant's primary warehouse; tenants without
+// warehouses only track the product total. Pass `session` to write inside a transaction.
+const updateStock = async ({ productId, type, quantity, reason, reference, referenceId, referenceModel, cost, performedBy, notes, warehouse, bin, tenantId, session }) => {
   if (!tenantId) {
     throw new Error('tenantId is required to update stock');
   }
   try {
+    const target = await warehouseStockService.resolveWarehouse(warehouse, tenantId);
+    let previousStock = 0;
+    let taken = [];
+    if (target) {
+      await warehouseStockService.ensureSeeded(productId, tenantId, session);
+      if (type === 'adjustment') {
+        const current = await Inventory.findOne({ product: productId, tenantId }, null, { session }).select('currentStock');
+        previousStock = current?.currentStock || 0;
+      }
+      // Take outbound stock from the warehouse first so a short warehouse blocks the movement
+      if (OUTBOUND_TYPES.includes(type)) {
+        taken = await warehouseStockService.remove(productId, target._id, quantity, {
+          bin, tenantId, warehouseName: target.name, session
+        });
+      }
+    }
+
     const movement = {
       type,
       quantity,
@@ -19,10 +40,26 @@ const updateStock = async ({ productId, type, quantity, reason, reference, refer
       cost,
       performedBy,
       notes,
+      warehouse: target?._id,
+      bin: bin || undefined,
       date: new Date(),
     };
 
-    const updatedInventory = await Inventory.updateStock(productId, movement);
+    let updatedInventory;
+    try {
+      updatedInventory = await Inventory.updateStock(productId, movement, { session });
+    } catch (error) {
+      for (const t of taken) {
+        await warehouseStockService.add(productId, target._id, t.quantity, { bin: t.bin, tenantId, session });
+      }
+      throw error;
+    }
+
+    if (target && (type === 'in' || type === 'return')) {
+      await warehouseStockService.add(productId, target._id, quantity, { bin, tenantId, session });
+    } else if (target && type === 'adjustment' && updatedInventory.currentStock !== previousStock) {
+      await warehouseStockService.applyAdjustment(productId, target, updatedInventory.currentStock - previousStock, { bin, tenantId, session });
+    }
     
     // Update product's current stock field for quick access
     const productUpdate = {
@@ -33,14 +70,14 @@ const updateStock = async ({ productId, type, quantity, reason, reference, refer
     // If cost is provided and inventory cost was updated, sync to product pricing.cost
     if (cost !== undefined && cost !== null && (type === 'in' || type === 'return')) {
       // Get updated inventory to check if cost was set
-      const inventory = await Inventory.findOne({ product: productId, tenantId });
+      const inventory = await Inventory.findOne({ product: productId, tenantId }, null, { session });
       if (inventory && inventory.cost && inventory.cost.average) {
         // Sync average cost to product pricing.cost
         productUpdate['pricing.cost'] = inventory.cost.average;
       }
     }
     
-    await Product.findOneAndUpdate({ _id: productId, tenantId }, productUpdate);
+    await Product.findOneAndUpdate({ _id: productId, tenantId }, productUpdate, { session });
     
     return updatedInventory;
   } catch (error) {
@@ -1,7 +1,8 @@
 /**
  * Invoice PDF Generation Service
- * 
- * Generates invoice PDFs asynchronously
+ *
+ * Generates invoice PDFs asynchronously and lays out any printable
+ * document (invoices, orders, returns, quotations) from a document template
  */
 
 const PDFDocument = require('pdfkit');
@@ -10,6 +11,23 @@ const path = require('path');
 const Sales = require('../models/Sales');
 const logger = require('../utils/logger');
 
+// Thermal roll widths in points (1mm = 72 / 25.4pt)
+const THERMAL_WIDTHS = {
+  THERMAL_80: 80 * 72 / 25.4,
+  THERMAL_58: 58 * 72 / 25.4
+};
+
+// Receipts are laid out once on a tall page to measure them, then cut to length
+const RECEIPT_MEASURE_HEIGHT = 14400;
+
+const DOCUMENT_TITLES = {
+  sales_invoice: 'INVOICE',
+  sales_order: 'SALES ORDER',
+  purchase_order: 'PURCHASE ORDER',
+  return: 'RETURN',
+  quotation: 'QUOTATION'
+};
+
 class InvoicePdfService {
   /**
    * Generate invoice PDF for sales order
@@ -18,18 +36,16 @@ class InvoicePdfService {
    */
   async generateInvoicePdf(orderId) {
     try {
-      // Get order with populated data
-      const order = await Sales.findById(orderId)
-        .populate('customer', 'businessName name firstName lastName email phone address')
-        .populate('items.product', 'name description pricing')
-        .populate('createdBy', 'firstName lastName');
+      const order = await Sales.findById(orderId).select('tenantId orderNumber').lean();
 
       if (!order) {
         throw new Error(`Order ${orderId} not found`);
       }
 
-      // Create PDF
-      const doc = new PDFDocument({ margin: 50, size: 'LETTER' });
+      // Laid out with the tenant's default invoice template
+      const documentTemplateService = require('./documentTemplateService');
+      const { buffer } = await documentTemplateService.renderDocument('sales_invoice', orderId, order.tenantId);
+
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
       const filename = `invoice_${order.orderNumber}_${timestamp}.pdf`;
       const filepath = path.join(__dirname, '../exports', filename);
@@ -40,24 +56,8 @@ class InvoicePdfService {
         fs.mkdirSync(exportsDir, { recursive: true });
       }
 
-      // Create write stream
-      const stream = fs.createWriteStream(filepath);
-      doc.pipe(stream);
-
-      // Generate PDF content
-      this.generatePdfContent(doc, order);
-
-      // Finalize PDF
-      doc.end();
-
-      // Wait for stream to finish
-      await new Promise((resolve, reject) => {
-        stream.on('finish', () => {
-          logger.info(`Invoice PDF generated: ${filepath}`, { orderId, orderNumber: order.orderNumber });
-          resolve(filepath);
-        });
-        stream.on('error', reject);
-      });
+      await fs.promises.writeFile(filepath, buffer);
+      logger.info(`Invoice PDF generated: ${filepath}`, { orderId, orderNumber: order.orderNumber });
 
       // Update order with PDF path (optional)
       await Sales.findByIdAndUpdate(orderId, {
@@ -71,91 +71,404 @@ class InvoicePdfService {
     }
   }
 
+  /**
+   * PDFDocument options for a template's paper size
+   * @param {object} template - Document template
+   * @param {number} [height] - Receipt length in points, for thermal paper
+   * @returns {object}
+   */
+  pageOptions(template, height = RECEIPT_MEASURE_HEIGHT) {
+    const thermalWidth = THERMAL_WIDTHS[template.paperSize];
+    if (thermalWidth) {
+      return { size: [thermalWidth, height], margin: 8 };
+    }
+    return { size: template.paperSize || 'LETTER', layout: template.orientation || 'portrait', margin: 50 };
+  }
+
+  /**
+   * Render a document with a template
+   * @param {object} template - Document template
+   * @param {object} document - Printable document (see documentTemplateService.loadDocument)
+   * @param {object} company - Company settings
+   * @param {Buffer} [qrImage] - PNG of the verification QR code
+   * @returns {Promise<Buffer>}
+   */
+  renderPdf(template, document, company, qrImage = null) {
+    let options = this.pageOptions(template);
+    if (THERMAL_WIDTHS[template.paperSize]) {
+      const measure = new PDFDocument(options);
+      this.generatePdfContent(measure, document, template, company, qrImage);
+      options = this.pageOptions(template, Math.ceil(measure.y + options.margin));
+    }
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument(options);
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+      try {
+        this.generatePdfContent(doc, document, template, company, qrImage);
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
   /**
    * Generate PDF content
    * @param {PDFDocument} doc - PDF document
-   * @param {Object} order - Sales order
+   * @param {object} document - Printable document
+   * @param {object} template - Document template
+   * @param {object} company - Company settings
+   * @param {Buffer} [qrImage] - PNG of the verification QR code
+   */
+  generatePdfContent(doc, document, template, company, qrImage = null) {
+    const context = {
+      document,
+      template,
+      company: company || {},
+      qrImage,
+      title: template.header?.title || DOCUMENT_TITLES[document.documentType] || 'DOCUMENT',
+      currency: company?.currency || 'USD',
+      dateFormat: company?.dateFormat || 'MM/DD/YYYY'
+    };
+    if (THERMAL_WIDTHS[template.paperSize]) {
+      this.drawReceipt(doc, context);
+    } else {
+      this.drawPage(doc, context);
+    }
+  }
+
+  /**
+   * Full-page layout: company and document details side by side, an items table,
+   * totals with the QR code beside them, then terms and footer
+   * @private
    */
-  generatePdfContent(doc, order) {
-    // Header
-    doc.fontSize(20).text('INVOICE', { align: 'center' });
+  drawPage(doc, context) {
+    const { document, template, company, qrImage } = context;
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+    const width = right - left;
+
+    this.drawLogo(doc, template.logo, left, width, 60);
+
+    doc.font('Helvetica-Bold').fontSize(20).text(context.title, left, doc.y, { width, align: 'center' });
     doc.moveDown();
 
-    // Order Information
-    doc.fontSize(12);
-    doc.text(`Order Number: ${order.orderNumber}`, { align: 'left' });
-    doc.text(`Date: ${order.createdAt.toLocaleDateString()}`, { align: 'left' });
+    // Company on the left, document details on the right
+    const top = doc.y;
+    const half = width / 2;
+    doc.font('Helvetica').fontSize(10);
+    this.companyLines(template, company).forEach(([text, bold]) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').text(text, left, doc.y, { width: half - 10 });
+    });
+    const companyBottom = doc.y;
+
+    doc.font('Helvetica');
+    doc.y = top;
+    this.documentFields(document, template, context).forEach(([label, value]) => {
+      doc.text(`${label}: ${value}`, left + half, doc.y, { width: half, align: 'right' });
+    });
+    doc.y = Math.max(companyBottom, doc.y);
     doc.moveDown();
 
-    // Customer Information
-    if (order.customer) {
-      doc.text('Bill To:', { underline: true });
-      doc.text(order.customer.businessName || order.customer.name || '');
-      if (order.customer.address) {
-        doc.text(order.customer.address);
-      }
+    if (document.party?.name) {
+      doc.font('Helvetica-Bold').text(document.party.label || 'Bill To', left, doc.y, { underline: true });
+      doc.font('Helvetica').text(document.party.name, left, doc.y, { width });
+      (document.party.lines || []).filter(Boolean).forEach(line => doc.text(line, left, doc.y, { width }));
       doc.moveDown();
     }
 
-    // Items Table
-    doc.text('Items:', { underline: true });
-    doc.moveDown(0.5);
+    this.drawItemsTable(doc, context, left, width);
 
-    // Table Header
-    doc.fontSize(10);
-    doc.text('Product', 50, doc.y, { width: 200 });
-    doc.text('Qty', 250, doc.y, { width: 50 });
-    doc.text('Price', 300, doc.y, { width: 80 });
-    doc.text('Total', 380, doc.y, { width: 80 });
-    doc.moveDown(0.5);
-    doc.moveTo(50, doc.y).lineTo(460, doc.y).stroke();
+    // Totals on the right, QR code on the left
+    doc.moveDown();
+    const totalsTop = doc.y;
+    const labelX = right - 220;
+    this.totalRows(document, template).forEach(([label, amount, bold]) => {
+      const y = doc.y;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 12 : 10);
+      doc.text(label, labelX, y, { width: 130, align: 'right' });
+      doc.text(this.formatMoney(amount, context.currency), labelX + 130, y, { width: 90, align: 'right' });
+    });
+    let bottom = doc.y;
+    if (qrImage) {
+      const size = template.qrCode?.size || 90;
+      doc.image(qrImage, left, totalsTop, { width: size });
+      bottom = Math.max(bottom, totalsTop + size);
+    }
+    doc.y = bottom;
+    doc.font('Helvetica').fontSize(10);
+
+    if (document.notes) {
+      doc.moveDown();
+      doc.font('Helvetica-Bold').text('Notes', left, doc.y);
+      doc.font('Helvetica').text(document.notes, left, doc.y, { width });
+    }
+    const terms = document.terms || template.terms;
+    if (terms) {
+      doc.moveDown();
+      doc.font('Helvetica-Bold').text('Terms & Conditions', left, doc.y);
+      doc.font('Helvetica').fontSize(9).text(terms, left, doc.y, { width });
+    }
+    if (template.footer) {
+      doc.moveDown(2);
+      doc.font('Helvetica').fontSize(10).text(template.footer, left, doc.y, { width, align: 'center' });
+    }
+  }
+
+  /**
+   * Items table that wraps long descriptions and breaks across pages
+   * @private
+   */
+  drawItemsTable(doc, context, left, width) {
+    const { document, template } = context;
+    const showSku = document.items.some(item => item.sku);
+    const showDiscount = document.items.some(item => item.discountPercent > 0);
+    const showTax = template.showItemTax && document.items.some(item => item.tax > 0);
+
+    const columns = [{ key: 'description', label: 'Item' }];
+    if (showSku) columns.push({ key: 'sku', label: 'SKU', width: 70 });
+    columns.push({ key: 'quantity', label: 'Qty', width: 45, align: 'right' });
+    columns.push({ key: 'unitPrice', label: 'Price', width: 70, align: 'right', money: true });
+    if (showDiscount) columns.push({ key: 'discountPercent', label: 'Disc %', width: 45, align: 'right' });
+    if (showTax) columns.push({ key: 'tax', label: 'Tax', width: 60, align: 'right', money: true });
+    columns.push({ key: 'total', label: 'Total', width: 80, align: 'right', money: true });
+    columns[0].width = width - columns.slice(1).reduce((sum, column) => sum + column.width, 0);
+
+    const drawRow = (cells, font) => {
+      doc.font(font).fontSize(10);
+      const height = Math.max(...columns.map((column, index) =>
+        doc.heightOfString(cells[index], { width: column.width - 4 })));
+      if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+      }
+      const y = doc.y;
+      let x = left;
+      columns.forEach((column, index) => {
+        doc.text(cells[index], x, y, { width: column.width - 4, align: column.align || 'left' });
+        x += column.width;
+      });
+      doc.y = y + height + 4;
+    };
+
+    drawRow(columns.map(column => column.label), 'Helvetica-Bold');
+    doc.moveTo(left, doc.y - 2).lineTo(left + width, doc.y - 2).stroke();
+    doc.y += 2;
+    document.items.forEach((item) => {
+      drawRow(columns.map((column) => {
+        const value = item[column.key];
+        if (column.money) return this.formatMoney(value, context.currency);
+        return value === undefined || value === null ? '' : String(value);
+      }), 'Helvetica');
+    });
+    doc.moveTo(left, doc.y).lineTo(left + width, doc.y).stroke();
+  }
+
+  /**
+   * Narrow single-column layout for 80mm and 58mm receipt printers
+   * @private
+   */
+  drawReceipt(doc, context) {
+    const { document, template, company, qrImage } = context;
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const small = template.paperSize === 'THERMAL_58' ? 7 : 8;
+    const centered = { width, align: 'center' };
+
+    const line = (label, value, bold = false) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? small + 1 : small);
+      const y = doc.y;
+      doc.text(label, left, y, { width: width * 0.6 });
+      const labelBottom = doc.y;
+      doc.text(value, left + width * 0.6, y, { width: width * 0.4, align: 'right' });
+      doc.y = Math.max(labelBottom, doc.y);
+    };
+    const rule = () => {
+      doc.moveDown(0.3);
+      doc.moveTo(left, doc.y).lineTo(left + width, doc.y).dash(2, { space: 2 }).stroke().undash();
+      doc.moveDown(0.3);
+    };
+
+    this.drawLogo(doc, template.logo, left, width, 50, 'center');
+
+    this.companyLines(template, company).forEach(([text, bold]) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? small + 2 : small).text(text, left, doc.y, centered);
+    });
     doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(small + 2).text(context.title, left, doc.y, centered);
+    doc.font('Helvetica').fontSize(small);
+    this.documentFields(document, template, context).forEach(([label, value]) => {
+      doc.text(`${label}: ${value}`, left, doc.y, centered);
+    });
+    if (document.party?.name) {
+      doc.text(`${document.party.label || 'Customer'}: ${document.party.name}`, left, doc.y, centered);
+    }
+
+    rule();
+    document.items.forEach((item) => {
+      doc.font('Helvetica').fontSize(small).text(item.description, left, doc.y, { width });
+      line(`  ${item.quantity} x ${this.formatMoney(item.unitPrice, context.currency)}`, this.formatMoney(item.total, context.currency));
+    });
+    rule();
 
-    // Items
-    let total = 0;
-    for (const item of order.items) {
-      const productName = item.product?.name || 'Product';
-      const quantity = item.quantity || 0;
-      const unitPrice = item.unitPrice || 0;
-      const itemTotal = item.total || (quantity * unitPrice);
-
-      doc.text(productName, 50, doc.y, { width: 200 });
-      doc.text(quantity.toString(), 250, doc.y, { width: 50 });
-      doc.text(`$${unitPrice.toFixed(2)}`, 300, doc.y, { width: 80 });
-      doc.text(`$${itemTotal.toFixed(2)}`, 380, doc.y, { width: 80 });
+    this.totalRows(document, template).forEach(([label, amount, bold]) => {
+      line(label, this.formatMoney(amount, context.currency), bold);
+    });
+
+    if (qrImage) {
+      const size = Math.min(template.qrCode?.size || 90, width);
+      doc.moveDown(0.5);
+      doc.image(qrImage, left + (width - size) / 2, doc.y, { width: size });
+      doc.y += size;
+    }
+    const terms = document.terms || template.terms;
+    if (terms) {
       doc.moveDown(0.5);
+      doc.font('Helvetica').fontSize(small - 1).text(terms, left, doc.y, centered);
+    }
+    if (template.footer) {
+      doc.moveDown(0.5);
+      doc.font('Helvetica').fontSize(small).text(template.footer, left, doc.y, centered);
+    }
+  }
 
-      total += itemTotal;
+  /**
+   * Draw the template logo and move below it
+   * @private
+   */
+  drawLogo(doc, logo, left, width, maxHeight, forceAlign = null) {
+    if (!logo?.data) {
+      return;
     }
+    const logoWidth = Math.min(logo.width || 120, width);
+    const align = forceAlign || logo.align || 'left';
+    let x = left;
+    if (align === 'center') x = left + (width - logoWidth) / 2;
+    if (align === 'right') x = left + width - logoWidth;
+    const top = doc.y;
+    doc.image(logo.data, x, top, { fit: [logoWidth, maxHeight], align: 'center', valign: 'center' });
+    doc.y = top + maxHeight + 5;
+  }
 
-    doc.moveDown();
-    doc.moveTo(50, doc.y).lineTo(460, doc.y).stroke();
-    doc.moveDown(0.5);
+  /**
+   * Company block lines as [text, bold]
+   * @private
+   */
+  companyLines(template, company) {
+    const header = template.header || {};
+    const lines = [];
+    if (header.showCompanyName !== false && company.companyName) {
+      lines.push([company.companyName, true]);
+    }
+    if (header.showAddress !== false && company.address) {
+      lines.push([company.address]);
+    }
+    if (header.showContact !== false) {
+      [company.contactNumber, company.email, company.website].filter(Boolean).forEach(text => lines.push([text]));
+    }
+    this.taxRegistrations(template, company).forEach((registration) => {
+      lines.push([`${registration.label}: ${registration.number}`]);
+    });
+    return lines;
+  }
 
-    // Totals
-    doc.fontSize(12);
-    const subtotal = order.pricing?.subtotal || total;
-    const discount = order.pricing?.discountAmount || 0;
-    const tax = order.pricing?.taxAmount || 0;
-    const orderTotal = order.pricing?.total || total;
+  /**
+   * Tax registration numbers to print, defaulting to the company tax ID
+   * @param {object} template - Document template
+   * @param {object} company - Company settings
+   * @returns {Array<{label: string, number: string}>}
+   */
+  taxRegistrations(template, company) {
+    if (template.taxRegistrations?.length > 0) {
+      return template.taxRegistrations;
+    }
+    return company?.taxId ? [{ label: 'Tax ID', number: company.taxId }] : [];
+  }
 
-    doc.text(`Subtotal: $${subtotal.toFixed(2)}`, { align: 'right' });
-    if (discount > 0) {
-      doc.text(`Discount: -$${discount.toFixed(2)}`, { align: 'right' });
+  /**
+   * Document number, dates and custom header fields as [label, value]
+   * @private
+   */
+  documentFields(document, template, context) {
+    const fields = [
+      ['Number', document.number],
+      ['Date', this.formatDate(document.date, context.dateFormat)]
+    ];
+    (document.fields || []).forEach(([label, value]) => {
+      fields.push([label, value instanceof Date ? this.formatDate(value, context.dateFormat) : value]);
+    });
+    (template.header?.fields || []).forEach(field => fields.push([field.label, field.value || '']));
+    return fields.filter(([, value]) => value !== undefined && value !== null && value !== '');
+  }
+
+  /**
+   * Totals block rows as [label, amount, bold]
+   * @param {object} document - Printable document
+   * @param {object} template - Document template
+   * @returns {Array}
+   */
+  totalRows(document, template) {
+    const totals = document.totals || {};
+    const taxes = document.taxes || [];
+    const rows = [['Subtotal', totals.subtotal || 0]];
+    if (totals.discount > 0) {
+      rows.push(['Discount', -totals.discount]);
     }
-    if (tax > 0) {
-      doc.text(`Tax: $${tax.toFixed(2)}`, { align: 'right' });
+    if (totals.shipping > 0) {
+      rows.push(['Shipping', totals.shipping]);
     }
-    doc.moveDown(0.5);
-    doc.fontSize(14).font('Helvetica-Bold');
-    doc.text(`Total: $${orderTotal.toFixed(2)}`, { align: 'right' });
-    doc.font('Helvetica').fontSize(12);
+    const charged = taxes.filter(tax => !tax.withholding);
+    if (template.showTaxBreakdown !== false && charged.length > 0) {
+      charged.forEach(tax => rows.push([tax.label, tax.amount]));
+    } else if (totals.tax > 0) {
+      rows.push(['Tax', totals.tax]);
+    }
+    if (totals.withholding > 0) {
+      rows.push(['Withholding', -totals.withholding]);
+    }
+    (totals.adjustments || []).forEach(adjustment => rows.push([adjustment.label, adjustment.amount]));
+    rows.push(['Total', totals.total || 0, true]);
+    return rows;
+  }
+
+  /**
+   * Amount in the company currency
+   * @param {number} value - Amount
+   * @param {string} currency - ISO currency code
+   * @returns {string}
+   */
+  formatMoney(value, currency) {
+    const amount = Number(value) || 0;
+    try {
+      return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+    } catch (error) {
+      return `${currency} ${amount.toFixed(2)}`;
+    }
+  }
 
-    // Footer
-    doc.moveDown(2);
-    doc.fontSize(10).text('Thank you for your business!', { align: 'center' });
+  /**
+   * Date in the company date format
+   * @param {Date|string} value - Date
+   * @param {string} format - Settings.dateFormat
+   * @returns {string}
+   */
+  formatDate(value, format) {
+    if (!value) {
+      return '';
+    }
+    const date = new Date(value);
+    const day = String(date.getDate()).padStart(2, '0');
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const year = date.getFullYear();
+    if (format === 'DD/MM/YYYY') return `${day}/${month}/${year}`;
+    if (format === 'YYYY-MM-DD') return `${year}-${month}-${day}`;
+    return `${month}/${day}/${year}`;
   }
 }
 
 module.exports = new InvoicePdfService();
-
+module.exports.THERMAL_WIDTHS = THERMAL_WIDTHS;
+module.exports.DOCUMENT_TITLES = DOCUMENT_TITLES;
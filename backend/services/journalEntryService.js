@@ -8,9 +8,25 @@
 const mongoose = require('mongoose');
 const JournalEntry = require('../models/JournalEntry');
 const ChartOfAccounts = require('../models/ChartOfAccounts');
+const Bank = require('../models/Bank');
 const logger = require('../utils/logger');
 const periodValidationService = require('./periodValidationService');
 const accountBalanceService = require('./accountBalanceService');
+const taxEngineService = require('./taxEngineService');
+
+// Where each split tender line lands: [accountCode, name, type, category]
+const TENDER_ACCOUNTS = {
+  cash: ['CASH', 'Cash', 'asset', 'current_assets'],
+  bank: ['BANK', 'Bank', 'asset', 'current_assets'],
+  credit_card: ['CARD_CLEARING', 'Card Payments Clearing', 'asset', 'current_assets'],
+  debit_card: ['CARD_CLEARING', 'Card Payments Clearing', 'asset', 'current_assets'],
+  check: ['CHECK_CLEARING', 'Undeposited Checks', 'asset', 'current_assets'],
+  gift_card: ['GIFT_CARD_LIABILITY', 'Gift Card Liability', 'liability', 'deferred_revenue'],
+  store_credit: ['GIFT_CARD_LIABILITY', 'Gift Card Liability', 'liability', 'deferred_revenue']
+};
+
+// Document amount in base currency at the document's exchange rate
+const toBase = (amount, rate) => (rate === 1 ? amount : Math.round(amount * rate * 100) / 100);
 
 class JournalEntryService {
   /**
@@ -209,9 +225,12 @@ class JournalEntryService {
       throw new Error('tenantId is required');
     }
 
-    const saleTotal = sale.pricing?.total || 0;
-    const amountPaid = sale.payment?.amountPaid || 0;
-    const unpaidAmount = saleTotal - amountPaid;
+    // Foreign-currency sales post at their exchange rate; item costs are already in base
+    const rate = sale.exchangeRate || 1;
+    const saleTotal = toBase(sale.pricing?.total || 0, rate);
+    const amountPaid = toBase(sale.payment?.amountPaid || 0, rate);
+    const loyaltyRedemption = sale.loyalty?.redemptionValue || 0;
+    const unpaidAmount = Math.round((saleTotal - amountPaid - loyaltyRedemption) * 100) / 100;
     const paymentMethod = sale.payment?.method || 'cash';
 
     // Get account codes (with fallbacks)
@@ -232,8 +251,25 @@ class JournalEntryService {
 
     const entries = [];
 
+    const tenders = sale.payment?.tenders || [];
+    // Converted tender lines add up to the converted amount paid, the last one taking the rounding
+    let tenderBalance = amountPaid;
+
     // Entry 1: Revenue recognition
-    if (amountPaid > 0) {
+    if (tenders.length > 0) {
+      // Split payment: debit each tender line's own cash, bank or clearing account
+      for (const [index, tender] of tenders.entries()) {
+        const account = await this.getTenderAccount(tender, tenantId, session);
+        const debit = index === tenders.length - 1 && rate !== 1 ? tenderBalance : toBase(tender.amount, rate);
+        tenderBalance = Math.round((tenderBalance - debit) * 100) / 100;
+        entries.push({
+          accountCode: account.accountCode,
+          debit,
+          credit: 0,
+          description: `Sale payment (${tender.method}${tender.reference ? ` ${tender.reference}` : ''}): ${sale.orderNumber || sale._id}`
+        });
+      }
+    } else if (amountPaid > 0) {
       // Debit Cash (if paid)
       entries.push({
         accountCode: cashAccount.accountCode,
@@ -243,6 +279,19 @@ class JournalEntryService {
       });
     }
 
+    if (loyaltyRedemption > 0) {
+      // Debit Loyalty Liability (points tendered settle part of the sale)
+      const loyaltyAccount = await this.getOrCreateAccount(
+        tenantId, 'LOYALTY_LIABILITY', 'Loyalty Points Liability', 'liability', 'current_liabilities', session
+      );
+      entries.push({
+        accountCode: loyaltyAccount.accountCode,
+        debit: loyaltyRedemption,
+        credit: 0,
+        description: `Loyalty points redeemed: ${sale.orderNumber || sale._id}`
+      });
+    }
+
     if (unpaidAmount > 0) {
       // Debit Accounts Receivable (if unpaid)
       entries.push({
@@ -253,13 +302,20 @@ class JournalEntryService {
       });
     }
 
+    // Tax components go to their own accounts; revenue is what is left
+    const taxEntries = (await this.buildTaxEntries(sale.taxes, 'sales', {
+      tenantId, session, reference: sale.orderNumber || sale._id
+    })).map(entry => ({ ...entry, debit: toBase(entry.debit, rate), credit: toBase(entry.credit, rate) }));
+    const taxCredits = taxEntries.reduce((sum, entry) => sum + entry.credit - entry.debit, 0);
+
     // Credit Sales Revenue
     entries.push({
       accountCode: salesRevenueAccount.accountCode,
       debit: 0,
-      credit: saleTotal,
+      credit: Math.round((saleTotal - taxCredits) * 100) / 100,
       description: `Sale revenue: ${sale.orderNumber || sale._id}`
     });
+    entries.push(...taxEntries);
 
     // Entry 2: COGS and Inventory
     if (totalCOGS > 0) {
@@ -293,7 +349,10 @@ class JournalEntryService {
         paymentMethod,
         amountPaid,
         unpaidAmount,
-        totalCOGS
+        loyaltyRedemption,
+        totalCOGS,
+        tenders: tenders.map(tender => ({ method: tender.method, amount: tender.amount, reference: tender.reference })),
+        ...(rate !== 1 && { currency: sale.currency, exchangeRate: rate, foreignTotal: sale.pricing?.total || 0 })
       }
     }, { session });
   }
@@ -311,9 +370,11 @@ class JournalEntryService {
       throw new Error('tenantId is required');
     }
 
-    const purchaseTotal = purchase.pricing?.total || 0;
-    const amountPaid = purchase.payment?.paidAmount || 0;
-    const unpaidAmount = purchaseTotal - amountPaid;
+    // Foreign-currency invoices post at their exchange rate
+    const rate = purchase.exchangeRate || 1;
+    const purchaseTotal = toBase(purchase.pricing?.total || 0, rate);
+    const amountPaid = toBase(purchase.payment?.paidAmount || 0, rate);
+    const unpaidAmount = Math.round((purchaseTotal - amountPaid) * 100) / 100;
     const paymentMethod = purchase.payment?.method || 'cash';
 
     // Get account codes
@@ -323,13 +384,20 @@ class JournalEntryService {
 
     const entries = [];
 
+    // Recoverable tax is reclaimed rather than added to the inventory cost
+    const taxEntries = (await this.buildTaxEntries(purchase.taxes, 'purchase', {
+      tenantId, session, reference: purchase.invoiceNumber || purchase._id
+    })).map(entry => ({ ...entry, debit: toBase(entry.debit, rate), credit: toBase(entry.credit, rate) }));
+    const taxDebits = taxEntries.reduce((sum, entry) => sum + entry.debit - entry.credit, 0);
+
     // Debit Inventory
     entries.push({
       accountCode: inventoryAccount.accountCode,
-      debit: purchaseTotal,
+      debit: Math.round((purchaseTotal - taxDebits) * 100) / 100,
       credit: 0,
       description: `Purchase inventory: ${purchase.invoiceNumber || purchase._id}`
     });
+    entries.push(...taxEntries);
 
     // Credit Cash or Accounts Payable
     if (amountPaid > 0) {
@@ -362,11 +430,116 @@ class JournalEntryService {
       metadata: {
         paymentMethod,
         amountPaid,
-        unpaidAmount
+        unpaidAmount,
+        ...(rate !== 1 && { currency: purchase.currency, exchangeRate: rate, foreignTotal: purchase.pricing?.total || 0 })
       }
     }, { session });
   }
 
+  /**
+   * Reverse the tax on a return. Sales refunds are booked gross on Sales Returns, so their tax
+   * moves off it onto the tax accounts the sale posted; on a purchase return the input tax
+   * reclaimed on the invoice is credited back against Accounts Payable.
+   * @param {Object} returnDoc - Return with per-item taxes
+   * @param {Object} options - { session, tenantId, createdBy }
+   * @returns {Promise<JournalEntry|null>} null when no tax was refunded
+   */
+  async createReturnTaxEntries(returnDoc, options = {}) {
+    const { session = null, tenantId, createdBy } = options;
+
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+
+    const isPurchase = returnDoc.origin === 'purchase';
+    const taxes = taxEngineService.summarize((returnDoc.items || []).map(item => item.taxes || []));
+    const reference = returnDoc.returnNumber || returnDoc._id;
+    // Reversing the document: each tax line posts the other way round
+    const entries = (await this.buildTaxEntries(taxes, isPurchase ? 'purchase' : 'sales', { tenantId, session, reference }))
+      .map(entry => ({ ...entry, debit: entry.credit, credit: entry.debit, description: `Tax ${isPurchase ? 'reversed' : 'refunded'}: ${reference}` }));
+    if (entries.length === 0) {
+      return null;
+    }
+
+    const net = Math.round(entries.reduce((sum, entry) => sum + entry.debit - entry.credit, 0) * 100) / 100;
+    const offsetAccount = isPurchase
+      ? await this.getOrCreateAccount(tenantId, 'AP', 'Accounts Payable', 'liability', 'current_liabilities', session)
+      : await this.getOrCreateAccount(tenantId, 'SALES_RETURNS', 'Sales Returns', 'revenue', 'sales_revenue', session);
+    entries.push({
+      accountCode: offsetAccount.accountCode,
+      debit: net < 0 ? -net : 0,
+      credit: net > 0 ? net : 0,
+      description: `Tax part of refund: ${reference}`
+    });
+
+    return await this.createJournalEntry({
+      tenantId,
+      entryDate: new Date(),
+      referenceType: 'return',
+      referenceId: returnDoc._id,
+      referenceNumber: returnDoc.returnNumber,
+      entries: entries.filter(entry => entry.debit > 0 || entry.credit > 0),
+      description: `${isPurchase ? 'Purchase' : 'Sales'} return tax: ${reference}`,
+      createdBy
+    }, { session });
+  }
+
+  /**
+   * Account a split tender line is debited to: the ledger account of the bank it was paid
+   * into when that bank has one, otherwise the tender method's account
+   * @private
+   */
+  async getTenderAccount(tender, tenantId, session = null) {
+    if (tender.bankAccount) {
+      const bank = await Bank.findOne({ _id: tender.bankAccount, tenantId }, 'accountName ledgerAccountCode', { session });
+      if (bank?.ledgerAccountCode) {
+        return this.getOrCreateAccount(tenantId, bank.ledgerAccountCode, bank.accountName, 'asset', 'current_assets', session);
+      }
+    }
+    const [code, name, type, category] = TENDER_ACCOUNTS[tender.method] || TENDER_ACCOUNTS.cash;
+    return this.getOrCreateAccount(tenantId, code, name, type, category, session);
+  }
+
+  /**
+   * Journal lines for a document's tax components, one per payable/receivable account
+   * @param {Array} taxes - Document tax summary
+   * @param {String} direction - 'sales' or 'purchase'
+   * @param {Object} options - { tenantId, session, reference }
+   * @returns {Promise<Array>}
+   */
+  async buildTaxEntries(taxes, direction, { tenantId, session = null, reference } = {}) {
+    const entries = [];
+    for (const line of taxEngineService.postingLines(taxes || [], direction)) {
+      const account = line.liability
+        ? await this.getOrCreateAccount(tenantId, line.account, line.name, 'liability', 'current_liabilities', session)
+        : await this.getOrCreateAccount(tenantId, line.account, line.name, 'asset', 'current_assets', session);
+      entries.push({
+        accountCode: account.accountCode,
+        debit: line.debit,
+        credit: line.credit,
+        description: `${line.label}: ${reference}`
+      });
+    }
+    return entries;
+  }
+
+  /**
+   * User to record as creator of entries posted by scheduled jobs
+   * (journal entries require createdBy; falls back to the tenant's admin user)
+   * @param {String} tenantId - Tenant ID
+   * @param {String} userId - Acting user, when there is one
+   * @returns {Promise<ObjectId>}
+   */
+  async resolveCreatedBy(tenantId, userId = null) {
+    if (userId) return userId;
+    const Tenant = require('../models/Tenant');
+    const tenant = await Tenant.findById(tenantId).select('adminUserId');
+    if (!tenant?.adminUserId) {
+      throw new Error(`No admin user configured for tenant ${tenantId}`);
+    }
+    return tenant.adminUserId;
+  }
+
   /**
    * Get or create an account (helper method)
    * @private
@@ -0,0 +1,375 @@
+const LandedCost = require('../models/LandedCost');
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+const Product = require('../models/Product');
+const Supplier = require('../models/Supplier');
+const costingService = require('./costingService');
+const journalEntryService = require('./journalEntryService');
+const { runWithTransactionRetry } = require('./transactionUtils');
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Charges capitalise into inventory, or into COGS for stock already sold, against the settlement account
+const ACCOUNTS = {
+  inventory: ['INVENTORY', 'Inventory', 'asset', 'inventory'],
+  cogs: ['COGS', 'Cost of Goods Sold', 'expense', 'cost_of_goods_sold'],
+  accounts_payable: ['AP', 'Accounts Payable', 'liability', 'current_liabilities'],
+  cash: ['CASH', 'Cash', 'asset', 'current_assets'],
+  bank: ['BANK', 'Bank', 'asset', 'current_assets']
+};
+
+class LandedCostService {
+  /**
+   * List landed cost vouchers (without their allocations)
+   * @param {object} filters - { status, purchaseInvoice, supplier, page, limit }
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<{landedCosts: Array, pagination: object}>}
+   */
+  async getLandedCosts(filters = {}, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const { status, purchaseInvoice, supplier, page = 1, limit = 20 } = filters;
+    const query = { tenantId };
+    if (status) query.status = status;
+    if (purchaseInvoice) query.purchaseInvoices = purchaseInvoice;
+    if (supplier) query.supplier = supplier;
+
+    const [landedCosts, total] = await Promise.all([
+      LandedCost.find(query)
+        .select('-allocations')
+        .populate('supplier', 'companyName name')
+        .populate('purchaseInvoices', 'invoiceNumber')
+        .sort({ date: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      LandedCost.countDocuments(query)
+    ]);
+
+    return {
+      landedCosts,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Get a landed cost voucher with its allocations
+   * @param {string} id - Landed cost ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async getLandedCost(id, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const landedCost = await LandedCost.findOne({ _id: id, tenantId })
+      .populate('supplier', 'companyName name')
+      .populate('purchaseInvoices', 'invoiceNumber supplierInfo pricing.total createdAt')
+      .populate('createdBy postedBy', 'firstName lastName');
+    if (!landedCost) {
+      throw new Error('Landed cost not found');
+    }
+    return landedCost;
+  }
+
+  /**
+   * Create a draft voucher and allocate its charges over the lines of its invoices
+   * @param {object} data - { purchaseInvoices, charges, allocationMethod, settlement, supplier, supplierReference, date, notes }
+   * @param {string} userId - Creating user
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async createLandedCost(data, userId, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    await this.checkSupplier(data.supplier, tenantId);
+    const landedCost = new LandedCost({
+      tenantId,
+      date: data.date || new Date(),
+      supplier: data.supplier || undefined,
+      supplierReference: data.supplierReference,
+      purchaseInvoices: data.purchaseInvoices || [],
+      allocationMethod: data.allocationMethod || 'value',
+      settlement: data.settlement || 'accounts_payable',
+      charges: data.charges || [],
+      notes: data.notes,
+      createdBy: userId
+    });
+    await this.buildAllocations(landedCost, tenantId);
+    await landedCost.save();
+    return landedCost;
+  }
+
+  /**
+   * Update a draft voucher; the allocations are rebuilt from the invoices as they stand
+   * @param {string} id - Landed cost ID
+   * @param {object} data - Fields to change (see createLandedCost)
+   * @param {string} userId - Updating user
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async updateLandedCost(id, data, userId, tenantId) {
+    const landedCost = await this.getLandedCostOrThrow(id, tenantId);
+    if (landedCost.status !== 'draft') {
+      throw new Error('Only draft landed costs can be edited');
+    }
+    if (data.supplier !== undefined) {
+      await this.checkSupplier(data.supplier, tenantId);
+      landedCost.supplier = data.supplier || undefined;
+    }
+    ['date', 'supplierReference', 'purchaseInvoices', 'allocationMethod', 'settlement', 'charges', 'notes'].forEach((field) => {
+      if (data[field] !== undefined) {
+        landedCost[field] = data[field];
+      }
+    });
+    landedCost.updatedBy = userId;
+    await this.buildAllocations(landedCost, tenantId);
+    await landedCost.save();
+    return landedCost;
+  }
+
+  /**
+   * Post a voucher: add each line's charge to its product's cost layers and average cost,
+   * re-state COGS for the share already sold, and journal the charges against the
+   * settlement account. Charges owed to the supplier are added to their balance.
+   * All of it commits together or not at all.
+   * @param {string} id - Landed cost ID
+   * @param {string} userId - Posting user
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async postLandedCost(id, userId, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    return runWithTransactionRetry(session => this.postClaimed(id, userId, tenantId, session));
+  }
+
+  /**
+   * @private
+   */
+  async postClaimed(id, userId, tenantId, session) {
+    // Claiming the draft stops a second request from posting it again
+    const landedCost = await LandedCost.findOneAndUpdate(
+      { _id: id, tenantId, status: 'draft' },
+      { $set: { status: 'posted', postedBy: userId, postedAt: new Date() } },
+      { new: true, session }
+    );
+    if (!landedCost) {
+      await this.getLandedCostOrThrow(id, tenantId);
+      throw new Error('Only draft landed costs can be posted');
+    }
+    // Stock may have moved since the draft was saved
+    await this.buildAllocations(landedCost, tenantId, session);
+
+    for (const allocation of landedCost.allocations) {
+      if (!(allocation.amount > 0)) continue;
+      const result = await costingService.applyLandedCost(
+        allocation.product,
+        allocation.quantity,
+        allocation.amount,
+        tenantId,
+        allocation.purchaseInvoice,
+        { invoiceItem: allocation.invoiceItem, session }
+      );
+      allocation.onHandQuantity = result.onHandQuantity;
+      allocation.soldQuantity = result.soldQuantity;
+      allocation.inventoryAmount = result.inventoryAmount;
+      allocation.cogsAmount = result.cogsAmount;
+
+      await PurchaseInvoice.updateOne(
+        { _id: allocation.purchaseInvoice, tenantId, 'items._id': allocation.invoiceItem },
+        { $inc: { 'items.$.landedCost': allocation.amount } },
+        { session }
+      );
+    }
+
+    landedCost.totals.inventory = roundMoney(landedCost.allocations.reduce((sum, allocation) => sum + allocation.inventoryAmount, 0));
+    landedCost.totals.cogs = roundMoney(landedCost.totals.charges - landedCost.totals.inventory);
+
+    const entry = await this.postEntry(landedCost, userId, session);
+    landedCost.journalEntry = entry._id;
+    await landedCost.save({ session });
+
+    if (landedCost.settlement === 'accounts_payable' && landedCost.supplier) {
+      await Supplier.updateOne(
+        { _id: landedCost.supplier, tenantId },
+        { $inc: { pendingBalance: landedCost.totals.charges } },
+        { session }
+      );
+    }
+
+    return landedCost;
+  }
+
+  /**
+   * Cancel a draft voucher
+   * @param {string} id - Landed cost ID
+   * @param {string} userId - Cancelling user
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async cancelLandedCost(id, userId, tenantId) {
+    const landedCost = await this.getLandedCostOrThrow(id, tenantId);
+    if (landedCost.status !== 'draft') {
+      throw new Error('Only draft landed costs can be cancelled');
+    }
+    landedCost.status = 'cancelled';
+    landedCost.cancelledBy = userId;
+    landedCost.cancelledAt = new Date();
+    await landedCost.save();
+    return landedCost;
+  }
+
+  /**
+   * Split a total over lines in proportion to their basis for the method: line value,
+   * quantity, or quantity times the product's unit weight or volume. The last line with a
+   * basis takes the rounding remainder so the shares add up to the total.
+   * @param {Array} lines - { quantity, totalCost, weight, volume }
+   * @param {number} total - Amount to allocate
+   * @param {string} method - value | quantity | weight | volume
+   * @returns {Array} The lines with basis, amount and unitLandedCost
+   */
+  allocate(lines, total, method) {
+    const basisOf = {
+      value: line => line.totalCost || 0,
+      quantity: line => line.quantity || 0,
+      weight: line => (line.quantity || 0) * (line.weight || 0),
+      volume: line => (line.quantity || 0) * (line.volume || 0)
+    }[method];
+    if (!basisOf) {
+      throw new Error(`Unknown allocation method: ${method}`);
+    }
+
+    const bases = lines.map(basisOf);
+    const totalBasis = bases.reduce((sum, basis) => sum + basis, 0);
+    if (!(totalBasis > 0)) {
+      throw new Error(`Products on these invoices have no ${method}`);
+    }
+
+    const lastIndex = bases.reduce((last, basis, index) => (basis > 0 ? index : last), -1);
+    let allocated = 0;
+    return lines.map((line, index) => {
+      const amount = index === lastIndex
+        ? roundMoney(total - allocated)
+        : roundMoney(total * (bases[index] / totalBasis));
+      allocated += amount;
+      return {
+        ...line,
+        basis: bases[index],
+        amount,
+        unitLandedCost: line.quantity > 0 ? Math.round((amount / line.quantity) * 10000) / 10000 : 0
+      };
+    });
+  }
+
+  /**
+   * Rebuild the voucher's allocations from the lines of its invoices
+   * @private
+   */
+  async buildAllocations(landedCost, tenantId, session = null) {
+    const invoiceIds = [...new Set(landedCost.purchaseInvoices.map(String))];
+    if (invoiceIds.length === 0) {
+      throw new Error('At least one purchase invoice is required');
+    }
+    const invoices = await PurchaseInvoice.find({ _id: { $in: invoiceIds }, tenantId, isDeleted: { $ne: true } }, null, { session })
+      .select('invoiceNumber invoiceType status items exchangeRate');
+    if (invoices.length !== invoiceIds.length) {
+      throw new Error('Purchase invoice not found');
+    }
+    if (invoices.some(invoice => invoice.invoiceType !== 'purchase' || invoice.status === 'cancelled')) {
+      throw new Error('Landed costs can only be added to purchase invoices that are not cancelled');
+    }
+
+    const items = invoices.flatMap(invoice => invoice.items.map(item => ({ invoice, item })));
+    const products = await Product.find({ _id: { $in: items.map(({ item }) => item.product) }, tenantId }, null, { session })
+      .select('name weight dimensions');
+    const productById = new Map(products.map(product => [String(product._id), product]));
+
+    const lines = items.map(({ invoice, item }) => {
+      const product = productById.get(String(item.product));
+      const dimensions = product?.dimensions || {};
+      // Values are compared in base currency across invoices billed in different currencies
+      const rate = invoice.exchangeRate || 1;
+      return {
+        purchaseInvoice: invoice._id,
+        invoiceNumber: invoice.invoiceNumber,
+        invoiceItem: item._id,
+        product: item.product,
+        productName: product?.name,
+        quantity: item.quantity,
+        unitCost: item.unitCost * rate,
+        totalCost: item.totalCost * rate,
+        weight: product?.weight || 0,
+        volume: (dimensions.length || 0) * (dimensions.width || 0) * (dimensions.height || 0)
+      };
+    });
+
+    const total = roundMoney(landedCost.charges.reduce((sum, charge) => sum + (charge.amount || 0), 0));
+    if (!(total > 0)) {
+      throw new Error('Charges must add up to more than zero');
+    }
+
+    landedCost.purchaseInvoices = invoiceIds;
+    landedCost.allocations = this.allocate(lines, total, landedCost.allocationMethod)
+      .map(({ totalCost, weight, volume, ...allocation }) => allocation);
+    landedCost.totals = { charges: total, inventory: 0, cogs: 0 };
+  }
+
+  /** @private */
+  async checkSupplier(supplierId, tenantId) {
+    if (supplierId && !(await Supplier.exists({ _id: supplierId, tenantId }))) {
+      throw new Error('Supplier not found');
+    }
+  }
+
+  /** @private */
+  async getLandedCostOrThrow(id, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const landedCost = await LandedCost.findOne({ _id: id, tenantId });
+    if (!landedCost) {
+      throw new Error('Landed cost not found');
+    }
+    return landedCost;
+  }
+
+  /**
+   * Journal the voucher: inventory and COGS against the settlement account
+   * @private
+   */
+  async postEntry(landedCost, userId, session) {
+    const tenantId = landedCost.tenantId;
+    const description = `Landed cost ${landedCost.voucherNumber}`;
+    const lines = [
+      { account: 'inventory', debit: landedCost.totals.inventory },
+      { account: 'cogs', debit: landedCost.totals.cogs },
+      { account: landedCost.settlement, credit: landedCost.totals.charges }
+    ];
+    const entries = [];
+    for (const line of lines.filter(l => (l.debit || l.credit) > 0)) {
+      const account = await journalEntryService.getOrCreateAccount(tenantId, ...ACCOUNTS[line.account], session);
+      entries.push({
+        accountCode: account.accountCode,
+        debit: line.debit || 0,
+        credit: line.credit || 0,
+        description
+      });
+    }
+
+    return journalEntryService.createJournalEntry({
+      tenantId,
+      entryDate: landedCost.date || new Date(),
+      referenceType: 'landed_cost',
+      referenceId: landedCost._id,
+      referenceNumber: landedCost.voucherNumber,
+      description,
+      entries,
+      createdBy: await journalEntryService.resolveCreatedBy(tenantId, userId),
+      metadata: { totals: landedCost.totals, purchaseInvoices: landedCost.purchaseInvoices }
+    }, { session });
+  }
+}
+
+module.exports = new LandedCostService();
@@ -0,0 +1,493 @@
+const mongoose = require('mongoose');
+const LoyaltyProgram = require('../models/LoyaltyProgram');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const Customer = require('../models/Customer');
+const Product = require('../models/Product');
+const journalEntryService = require('./journalEntryService');
+const logger = require('../utils/logger');
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+class LoyaltyService {
+  /**
+   * Get the tenant's loyalty program (an unsaved default when none is configured)
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async getProgram(tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const program = await LoyaltyProgram.findOne({ tenantId });
+    return program || new LoyaltyProgram({ tenantId });
+  }
+
+  /**
+   * Create or update the tenant's loyalty program
+   * @param {object} data - Program settings
+   * @param {string} userId - User ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async updateProgram(data, userId, tenantId) {
+    const program = await this.getProgram(tenantId);
+    const fields = [
+      'name', 'isActive', 'earnRules', 'pointValue', 'minRedeemPoints',
+      'maxRedeemPercent', 'pointsExpiryDays', 'tierWindowDays', 'tiers'
+    ];
+    fields.forEach((field) => {
+      if (data[field] !== undefined) program[field] = data[field];
+    });
+    program.updatedBy = userId;
+    return program.save();
+  }
+
+  /**
+   * Points a set of sale lines earns under the program's earn rules
+   * @param {Array} items - Sale items ({ product, subtotal, discountAmount })
+   * @param {object} program - LoyaltyProgram document
+   * @param {number} multiplier - Tier earn multiplier
+   * @returns {Promise<number>}
+   */
+  async calculateEarnPoints(items, program, multiplier = 1) {
+    const rules = (program.earnRules || []).filter(r => r.isActive);
+    if (rules.length === 0 || !Array.isArray(items) || items.length === 0) return 0;
+
+    const productRules = new Map(rules.filter(r => r.type === 'product').map(r => [String(r.product), r]));
+    const categoryRules = new Map(rules.filter(r => r.type === 'category').map(r => [String(r.category), r]));
+    const spendRule = rules.find(r => r.type === 'spend');
+
+    const productIds = items.map(item => item.product?._id || item.product);
+    const products = categoryRules.size > 0
+      ? await Product.find({ _id: { $in: productIds }, tenantId: program.tenantId }).select('category').lean()
+      : [];
+    const categoryByProduct = new Map(products.map(p => [String(p._id), String(p.category)]));
+
+    const points = items.reduce((sum, item) => {
+      const productId = String(item.product?._id || item.product);
+      const rule = productRules.get(productId) ||
+        categoryRules.get(categoryByProduct.get(productId)) ||
+        spendRule;
+      if (!rule) return sum;
+      const netAmount = Math.max(0, Number(item.subtotal || 0) - Number(item.discountAmount || 0));
+      return sum + netAmount * rule.pointsPerUnit;
+    }, 0);
+
+    return Math.floor(points * multiplier);
+  }
+
+  /**
+   * Award points for a completed sale and re-evaluate the customer's tier
+   * @param {object} order - Sales document
+   * @param {object} options - { userId }
+   * @returns {Promise<object|null>} Earn transaction, or null when nothing was earned
+   */
+  async earnPointsForSale(order, options = {}) {
+    const tenantId = order.tenantId;
+    if (!order.customer) return null;
+
+    const program = await this.getProgram(tenantId);
+    if (!program.isActive) return null;
+
+    const customer = await Customer.findOne({ _id: order.customer, tenantId });
+    if (!customer) return null;
+
+    const currentTier = program.tiers.find(t => t.tier === customer.customerTier);
+    const points = await this.calculateEarnPoints(order.items, program, currentTier?.earnMultiplier || 1);
+    if (points <= 0) return null;
+
+    const transaction = await this.creditPoints(customer, points, program, {
+      sale: order._id,
+      description: `Points earned on ${order.orderNumber || order._id}`,
+      createdBy: options.userId
+    });
+
+    await mongoose.model('Sales').updateOne(
+      { _id: order._id, tenantId },
+      { $set: { 'loyalty.pointsEarned': points } }
+    );
+
+    await this.evaluateTier(customer._id, tenantId, program);
+    return transaction;
+  }
+
+  /**
+   * Add a points lot to a customer and accrue its value as a liability
+   * @private
+   */
+  async creditPoints(customer, points, program, details = {}) {
+    const tenantId = customer.tenantId;
+    const expiresAt = program.pointsExpiryDays > 0
+      ? new Date(Date.now() + program.pointsExpiryDays * 24 * 60 * 60 * 1000)
+      : undefined;
+
+    const updated = await Customer.findOneAndUpdate(
+      { _id: customer._id, tenantId },
+      { $inc: { 'loyalty.pointsBalance': points, 'loyalty.lifetimePoints': details.type === 'adjust' ? 0 : points } },
+      { new: true }
+    );
+
+    const value = roundMoney(points * program.pointValue);
+    const transaction = await LoyaltyTransaction.create({
+      tenantId,
+      customer: customer._id,
+      type: details.type || 'earn',
+      points,
+      remainingPoints: points,
+      expiresAt,
+      value,
+      balanceAfter: updated.loyalty.pointsBalance,
+      sale: details.sale,
+      description: details.description,
+      createdBy: details.createdBy
+    });
+
+    if (value > 0) {
+      const entry = await this.postLiability(tenantId, value, 'accrue', transaction, details.createdBy);
+      transaction.journalEntry = entry._id;
+      await transaction.save();
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Validate a redemption request and price it
+   * @param {object} customer - Customer document
+   * @param {number} points - Points to redeem
+   * @param {number} orderTotal - Sale total the points are tendered against
+   * @param {object} program - LoyaltyProgram document
+   * @returns {{points: number, value: number}}
+   */
+  quoteRedemption(customer, points, orderTotal, program) {
+    const requested = Math.floor(Number(points) || 0);
+    if (!program.isActive) {
+      throw new Error('Loyalty program is not active');
+    }
+    if (requested <= 0) {
+      throw new Error('Points to redeem must be greater than zero');
+    }
+    if (requested < program.minRedeemPoints) {
+      throw new Error(`Minimum redemption is ${program.minRedeemPoints} points`);
+    }
+    if (requested > (customer.loyalty?.pointsBalance || 0)) {
+      throw new Error('Insufficient loyalty points');
+    }
+
+    const value = roundMoney(requested * program.pointValue);
+    const maxValue = roundMoney(orderTotal * (program.maxRedeemPercent / 100));
+    if (value > maxValue) {
+      throw new Error(`Points can cover at most ${maxValue.toFixed(2)} of this sale`);
+    }
+
+    return { points: requested, value };
+  }
+
+  /**
+   * Redeem points as a tender. The sale's journal entry debits the liability.
+   * @param {object} params - { customerId, points, value, saleId, userId, tenantId }
+   * @param {object} options - { session }
+   * @returns {Promise<object>} Redeem transaction
+   */
+  async redeemPoints({ customerId, points, value, saleId, userId, tenantId }, options = {}) {
+    const { session = null } = options;
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+
+    // Conditional decrement so two tills cannot spend the same points
+    const customer = await Customer.findOneAndUpdate(
+      { _id: customerId, tenantId, 'loyalty.pointsBalance': { $gte: points } },
+      { $inc: { 'loyalty.pointsBalance': -points } },
+      { new: true, session }
+    );
+    if (!customer) {
+      throw new Error('Insufficient loyalty points');
+    }
+
+    await this.consumeLots(customerId, tenantId, points, session);
+
+    const [transaction] = await LoyaltyTransaction.create([{
+      tenantId,
+      customer: customerId,
+      type: 'redeem',
+      points: -points,
+      value: roundMoney(value),
+      balanceAfter: customer.loyalty.pointsBalance,
+      sale: saleId,
+      description: 'Points redeemed at checkout',
+      createdBy: userId
+    }], { session });
+
+    return transaction;
+  }
+
+  /**
+   * Consume points from the oldest unexpired lots first
+   * @private
+   */
+  async consumeLots(customerId, tenantId, points, session = null) {
+    const lots = await LoyaltyTransaction.find({
+      tenantId,
+      customer: customerId,
+      remainingPoints: { $gt: 0 }
+    }).sort({ expiresAt: 1, createdAt: 1 }).session(session);
+
+    let remaining = points;
+    for (const lot of lots) {
+      if (remaining <= 0) break;
+      const used = Math.min(lot.remainingPoints, remaining);
+      lot.remainingPoints -= used;
+      remaining -= used;
+      await lot.save({ session });
+    }
+  }
+
+  /**
+   * Manually credit or debit a customer's points
+   * @param {string} customerId - Customer ID
+   * @param {number} points - Signed points
+   * @param {string} reason - Reason for the adjustment
+   * @param {string} userId - User ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async adjustPoints(customerId, points, reason, userId, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const amount = Math.trunc(Number(points) || 0);
+    if (amount === 0) {
+      throw new Error('Adjustment must be a non-zero number of points');
+    }
+
+    const customer = await Customer.findOne({ _id: customerId, tenantId });
+    if (!customer) {
+      throw new Error('Customer not found');
+    }
+    const program = await this.getProgram(tenantId);
+
+    if (amount > 0) {
+      return this.creditPoints(customer, amount, program, { type: 'adjust', description: reason, createdBy: userId });
+    }
+
+    const debit = Math.abs(amount);
+    const updated = await Customer.findOneAndUpdate(
+      { _id: customerId, tenantId, 'loyalty.pointsBalance': { $gte: debit } },
+      { $inc: { 'loyalty.pointsBalance': -debit } },
+      { new: true }
+    );
+    if (!updated) {
+      throw new Error('Insufficient loyalty points');
+    }
+    await this.consumeLots(customerId, tenantId, debit);
+
+    const value = roundMoney(debit * program.pointValue);
+    const transaction = await LoyaltyTransaction.create({
+      tenantId,
+      customer: customerId,
+      type: 'adjust',
+      points: amount,
+      value,
+      balanceAfter: updated.loyalty.pointsBalance,
+      description: reason,
+      createdBy: userId
+    });
+    if (value > 0) {
+      const entry = await this.postLiability(tenantId, value, 'release', transaction, userId);
+      transaction.journalEntry = entry._id;
+      await transaction.save();
+    }
+    return transaction;
+  }
+
+  /**
+   * Expire lots past their expiry date and release the liability
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @param {Date} asOf - Expiry cut-off
+   * @returns {Promise<{customers: number, points: number, value: number}>}
+   */
+  async expirePoints(tenantId, asOf = new Date()) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+
+    const lots = await LoyaltyTransaction.find({
+      tenantId,
+      remainingPoints: { $gt: 0 },
+      expiresAt: { $lte: asOf }
+    });
+    if (lots.length === 0) {
+      return { customers: 0, points: 0, value: 0 };
+    }
+
+    const program = await this.getProgram(tenantId);
+    const byCustomer = new Map();
+    for (const lot of lots) {
+      const key = String(lot.customer);
+      byCustomer.set(key, (byCustomer.get(key) || 0) + lot.remainingPoints);
+      lot.remainingPoints = 0;
+      await lot.save();
+    }
+
+    let totalPoints = 0;
+    const expired = [];
+    for (const [customerId, points] of byCustomer) {
+      const customer = await Customer.findOne({ _id: customerId, tenantId });
+      if (!customer) continue;
+      // Balance can already be lower than the lots if points were adjusted out
+      const deduct = Math.min(points, customer.loyalty?.pointsBalance || 0);
+      customer.loyalty.pointsBalance -= deduct;
+      await customer.save();
+
+      expired.push(await LoyaltyTransaction.create({
+        tenantId,
+        customer: customerId,
+        type: 'expire',
+        points: -deduct,
+        value: roundMoney(deduct * program.pointValue),
+        balanceAfter: customer.loyalty.pointsBalance,
+        description: 'Points expired'
+      }));
+      totalPoints += deduct;
+    }
+
+    const value = roundMoney(totalPoints * program.pointValue);
+    if (value > 0) {
+      const entry = await this.postLiability(tenantId, value, 'release', { _id: new mongoose.Types.ObjectId() });
+      await LoyaltyTransaction.updateMany(
+        { _id: { $in: expired.map(t => t._id) } },
+        { $set: { journalEntry: entry._id } }
+      );
+    }
+
+    logger.info(`Expired ${totalPoints} loyalty points for ${byCustomer.size} customers in tenant ${tenantId}`);
+    return { customers: byCustomer.size, points: totalPoints, value };
+  }
+
+  /**
+   * Promote or demote a customer based on points earned within the tier window
+   * @param {string} customerId - Customer ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @param {object} program - LoyaltyProgram document (loaded when omitted)
+   * @returns {Promise<{from: string, to: string, changed: boolean}>}
+   */
+  async evaluateTier(customerId, tenantId, program = null) {
+    const activeProgram = program || await this.getProgram(tenantId);
+    const since = new Date(Date.now() - activeProgram.tierWindowDays * 24 * 60 * 60 * 1000);
+
+    const [result] = await LoyaltyTransaction.aggregate([
+      {
+        $match: {
+          tenantId: new mongoose.Types.ObjectId(String(tenantId)),
+          customer: new mongoose.Types.ObjectId(String(customerId)),
+          type: 'earn',
+          createdAt: { $gte: since }
+        }
+      },
+      { $group: { _id: null, points: { $sum: '$points' } } }
+    ]);
+
+    const qualifyingPoints = result?.points || 0;
+    const target = activeProgram.getTierFor(qualifyingPoints).tier;
+    const customer = await Customer.findOne({ _id: customerId, tenantId }).select('customerTier loyalty');
+    const from = customer.customerTier;
+
+    if (from !== target) {
+      await Customer.updateOne(
+        { _id: customerId, tenantId },
+        { $set: { customerTier: target, 'loyalty.tierUpdatedAt': new Date() } }
+      );
+      logger.info(`Customer ${customerId} moved from ${from} to ${target} tier (${qualifyingPoints} points)`);
+    }
+
+    return { from, to: target, changed: from !== target, qualifyingPoints };
+  }
+
+  /**
+   * Re-evaluate tiers for every loyalty member; demotes customers whose points aged out
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<{evaluated: number, changed: number}>}
+   */
+  async reevaluateTiers(tenantId) {
+    const program = await this.getProgram(tenantId);
+    if (!program.isActive) return { evaluated: 0, changed: 0 };
+
+    const customers = await Customer.find({ tenantId, 'loyalty.lifetimePoints': { $gt: 0 } }).select('_id');
+    let changed = 0;
+    for (const customer of customers) {
+      const result = await this.evaluateTier(customer._id, tenantId, program);
+      if (result.changed) changed += 1;
+    }
+    return { evaluated: customers.length, changed };
+  }
+
+  /**
+   * Points balance, tier and recent ledger for a customer
+   * @param {string} customerId - Customer ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @param {object} options - { page, limit }
+   * @returns {Promise<object>}
+   */
+  async getCustomerLoyalty(customerId, tenantId, options = {}) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const { page = 1, limit = 20 } = options;
+
+    const customer = await Customer.findOne({ _id: customerId, tenantId }).select('customerTier loyalty');
+    if (!customer) {
+      throw new Error('Customer not found');
+    }
+    const program = await this.getProgram(tenantId);
+
+    const [transactions, total] = await Promise.all([
+      LoyaltyTransaction.find({ tenantId, customer: customerId })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      LoyaltyTransaction.countDocuments({ tenantId, customer: customerId })
+    ]);
+
+    return {
+      tier: customer.customerTier,
+      pointsBalance: customer.loyalty?.pointsBalance || 0,
+      lifetimePoints: customer.loyalty?.lifetimePoints || 0,
+      balanceValue: roundMoney((customer.loyalty?.pointsBalance || 0) * program.pointValue),
+      pointValue: program.pointValue,
+      minRedeemPoints: program.minRedeemPoints,
+      transactions,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Accrue (Dr expense / Cr liability) or release (Dr liability / Cr expense) points value
+   * @private
+   */
+  async postLiability(tenantId, value, direction, reference, createdBy = null) {
+    const liability = await journalEntryService.getOrCreateAccount(
+      tenantId, 'LOYALTY_LIABILITY', 'Loyalty Points Liability', 'liability', 'current_liabilities'
+    );
+    const expense = await journalEntryService.getOrCreateAccount(
+      tenantId, 'LOYALTY_EXP', 'Loyalty Program Expense', 'expense', 'operating_expenses'
+    );
+    const accrue = direction === 'accrue';
+    const description = accrue ? 'Loyalty points issued' : 'Loyalty points released';
+
+    return journalEntryService.createJournalEntry({
+      tenantId,
+      entryDate: new Date(),
+      referenceType: 'loyalty',
+      referenceId: reference._id,
+      description,
+      entries: [
+        { accountCode: accrue ? expense.accountCode : liability.accountCode, debit: value, credit: 0, description },
+        { accountCode: accrue ? liability.accountCode : expense.accountCode, debit: 0, credit: value, description }
+      ],
+      createdBy: await journalEntryService.resolveCreatedBy(tenantId, createdBy)
+    });
+  }
+}
+
+module.exports = new LoyaltyService();
@@ -1,5 +1,7 @@
 const stockReservationService = require('./stockReservationService');
 const expiryManagementService = require('./expiryManagementService');
+const InventoryAlertService = require('./inventoryAlertService');
+const Tenant = require('../models/Tenant');
 const logger = require('../utils/logger');
 
 /**
@@ -38,6 +40,235 @@ class MaintenanceService {
     }
   }
 
+  /**
+   * Send low stock alerts to every active tenant's subscribers
+   * Should be run daily
+   * @returns {Promise<Object>}
+   */
+  async sendLowStockAlerts() {
+    const tenants = await Tenant.find({ status: 'active' }).select('_id');
+    const results = { tenants: tenants.length, alerts: 0, errors: [] };
+
+    for (const tenant of tenants) {
+      try {
+        const result = await InventoryAlertService.sendLowStockAlerts(tenant._id);
+        results.alerts += result.alerts;
+      } catch (error) {
+        logger.error(`[Maintenance] Error sending low stock alerts for tenant ${tenant._id}:`, error);
+        results.errors.push({ tenantId: tenant._id, error: error.message });
+      }
+    }
+
+    logger.info(`[Maintenance] Low stock alert run completed for ${results.tenants} tenants, ${results.alerts} alerts`);
+    return results;
+  }
+
+  /**
+   * Expire loyalty points and re-evaluate tiers for every active tenant
+   * Should be run daily
+   * @returns {Promise<Object>}
+   */
+  async processLoyalty() {
+    const loyaltyService = require('./loyaltyService');
+    const tenants = await Tenant.find({ status: 'active' }).select('_id');
+    const results = { tenants: tenants.length, expiredPoints: 0, tierChanges: 0, errors: [] };
+
+    for (const tenant of tenants) {
+      try {
+        const expired = await loyaltyService.expirePoints(tenant._id);
+        const tiers = await loyaltyService.reevaluateTiers(tenant._id);
+        results.expiredPoints += expired.points;
+        results.tierChanges += tiers.changed;
+      } catch (error) {
+        logger.error(`[Maintenance] Error processing loyalty for tenant ${tenant._id}:`, error);
+        results.errors.push({ tenantId: tenant._id, error: error.message });
+      }
+    }
+
+    logger.info(`[Maintenance] Loyalty run completed: ${results.expiredPoints} points expired, ${results.tierChanges} tier changes`);
+    return results;
+  }
+
+  /**
+   * Expire gift cards and store credit past their expiry date for every active tenant
+   * Should be run daily
+   * @returns {Promise<Object>}
+   */
+  async processGiftCardExpiry() {
+    const giftCardService = require('./giftCardService');
+    const tenants = await Tenant.find({ status: 'active' }).select('_id');
+    const results = { tenants: tenants.length, expired: 0, breakage: 0, errors: [] };
+
+    for (const tenant of tenants) {
+      try {
+        const expired = await giftCardService.expireCards(tenant._id);
+        results.expired += expired.expired;
+        results.breakage += expired.breakage;
+      } catch (error) {
+        logger.error(`[Maintenance] Error expiring gift cards for tenant ${tenant._id}:`, error);
+        results.errors.push({ tenantId: tenant._id, error: error.message });
+      }
+    }
+
+    logger.info(`[Maintenance] Gift card expiry completed: ${results.expired} cards expired, ${results.breakage.toFixed(2)} breakage`);
+    return results;
+  }
+
+  /**
+   * Expire quotations past their validity date and release the stock they held
+   * Should be run daily
+   * @returns {Promise<Object>}
+   */
+  async processQuotationExpiry() {
+    const quotationService = require('./quotationService');
+    const tenants = await Tenant.find({ status: 'active' }).select('_id');
+    const results = { tenants: tenants.length, expired: 0, errors: [] };
+
+    for (const tenant of tenants) {
+      try {
+        const expired = await quotationService.expireQuotations(tenant._id);
+        results.expired += expired.expired;
+      } catch (error) {
+        logger.error(`[Maintenance] Error expiring quotations for tenant ${tenant._id}:`, error);
+        results.errors.push({ tenantId: tenant._id, error: error.message });
+      }
+    }
+
+    logger.info(`[Maintenance] Quotation expiry completed: ${results.expired} quotations expired`);
+    return results;
+  }
+
+  /**
+   * Recompute demand forecasts, safety stock and reorder points for every active tenant
+   * Should be run nightly, before the low stock alerts go out
+   * @returns {Promise<Object>}
+   */
+  async processDemandForecasts() {
+    const demandForecastService = require('./demandForecastService');
+    const tenants = await Tenant.find({ status: 'active' }).select('_id');
+    const results = { tenants: tenants.length, forecasts: 0, skipped: 0, errors: [] };
+
+    for (const tenant of tenants) {
+      try {
+        const run = await demandForecastService.runForecasts(tenant._id);
+        results.forecasts += run.forecasts;
+        results.skipped += run.skipped;
+      } catch (error) {
+        logger.error(`[Maintenance] Error forecasting demand for tenant ${tenant._id}:`, error);
+        results.errors.push({ tenantId: tenant._id, error: error.message });
+      }
+    }
+
+    logger.info(`[Maintenance] Demand forecasts completed: ${results.forecasts} products forecast, ${results.skipped} without enough history`);
+    return results;
+  }
+
+  /**
+   * Revalue open foreign-currency balances at last month's closing rates for every active tenant
+   * Should be run on the first of the month
+   * @param {Date} asOf - Revaluation date (default: the last day of the previous month)
+   * @returns {Promise<Object>}
+   */
+  async processCurrencyRevaluation(asOf = null) {
+    const currencyService = require('./currencyService');
+    const now = new Date();
+    const date = asOf || new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 0));
+    const tenants = await Tenant.find({ status: 'active' }).select('_id');
+    const results = { tenants: tenants.length, revalued: 0, lines: 0, errors: [] };
+
+    for (const tenant of tenants) {
+      try {
+        const revaluation = await currencyService.revalue(date, null, tenant._id);
+        if (revaluation) {
+          results.revalued += 1;
+          results.lines += revaluation.lines.length;
+        }
+      } catch (error) {
+        logger.error(`[Maintenance] Error revaluing foreign currency balances for tenant ${tenant._id}:`, error);
+        results.errors.push({ tenantId: tenant._id, error: error.message });
+      }
+    }
+
+    logger.info(`[Maintenance] Currency revaluation completed: ${results.revalued} tenants revalued, ${results.lines} balances restated`);
+    return results;
+  }
+
+  /**
+   * Generate the recurring journal vouchers that have fallen due for every active tenant
+   * Should be run hourly
+   * @returns {Promise<Object>}
+   */
+  async processRecurringJournals() {
+    const recurringJournalService = require('./recurringJournalService');
+    const tenants = await Tenant.find({ status: 'active' }).select('_id');
+    const results = { tenants: tenants.length, generated: 0, failed: 0, errors: [] };
+
+    for (const tenant of tenants) {
+      try {
+        const run = await recurringJournalService.runDue(tenant._id);
+        results.generated += run.generated;
+        results.failed += run.failed;
+      } catch (error) {
+        logger.error(`[Maintenance] Error generating recurring journals for tenant ${tenant._id}:`, error);
+        results.errors.push({ tenantId: tenant._id, error: error.message });
+      }
+    }
+
+    logger.info(`[Maintenance] Recurring journals completed: ${results.generated} vouchers generated, ${results.failed} occurrences failed`);
+    return results;
+  }
+
+  /**
+   * Post the prepaid expense and deferred revenue recognition that has fallen due for every
+   * active tenant
+   * Should be run daily
+   * @returns {Promise<Object>}
+   */
+  async processAmortization() {
+    const amortizationService = require('./amortizationService');
+    const tenants = await Tenant.find({ status: 'active' }).select('_id');
+    const results = { tenants: tenants.length, posted: 0, failed: 0, errors: [] };
+
+    for (const tenant of tenants) {
+      try {
+        const run = await amortizationService.runDue(tenant._id);
+        results.posted += run.posted;
+        results.failed += run.failed;
+      } catch (error) {
+        logger.error(`[Maintenance] Error posting amortization for tenant ${tenant._id}:`, error);
+        results.errors.push({ tenantId: tenant._id, error: error.message });
+      }
+    }
+
+    logger.info(`[Maintenance] Amortization completed: ${results.posted} months recognized, ${results.failed} failed`);
+    return results;
+  }
+
+  /**
+   * Run fixed asset depreciation for every month that has ended, for every active tenant
+   * Should be run daily
+   * @returns {Promise<Object>}
+   */
+  async processDepreciation() {
+    const fixedAssetService = require('./fixedAssetService');
+    const tenants = await Tenant.find({ status: 'active' }).select('_id');
+    const results = { tenants: tenants.length, runs: 0, amount: 0, errors: [] };
+
+    for (const tenant of tenants) {
+      try {
+        const run = await fixedAssetService.runDue(tenant._id);
+        results.runs += run.runs;
+        results.amount += run.amount;
+      } catch (error) {
+        logger.error(`[Maintenance] Error running depreciation for tenant ${tenant._id}:`, error);
+        results.errors.push({ tenantId: tenant._id, error: error.message });
+      }
+    }
+
+    logger.info(`[Maintenance] Depreciation completed: ${results.runs} monthly runs, ${results.errors.length} tenants failed`);
+    return results;
+  }
+
   /**
    * Auto-write off expired inventory
    * Should be run daily (optional - may want manual approval)
@@ -0,0 +1,129 @@
+// Email notification channel
+// Speaks plain SMTP to a local relay (MailHog/smtp4dev in development,
+// a Postfix relay in production). Configure with SMTP_HOST/SMTP_PORT.
+
+const net = require('net');
+const os = require('os');
+
+class EmailChannel {
+  constructor(options = {}) {
+    this.name = 'email';
+    this.host = options.host || process.env.SMTP_HOST || '127.0.0.1';
+    this.port = Number(options.port || process.env.SMTP_PORT || 1025);
+    this.from = options.from || process.env.SMTP_FROM || 'alerts@pos.local';
+    this.timeout = options.timeout || 10000;
+  }
+
+  // Deliver a notification to delivery.recipient
+  async send(delivery) {
+    return this.sendMessage({
+      to: delivery.recipient,
+      subject: delivery.title,
+      body: delivery.message
+    });
+  }
+
+  // Send a message, optionally with attachments [{ filename, contentType, content: Buffer }]
+  async sendMessage({ to, subject, body, attachments = [] }) {
+    if (!to) {
+      throw new Error('Email recipient is required');
+    }
+
+    const message = this.buildMessage({ to, subject, body, attachments });
+    const transcript = await this.transmit(to, message);
+    return { accepted: [to], transcript };
+  }
+
+  // Build an RFC 5322 message with dot-stuffing applied to the body;
+  // attachments turn it into multipart/mixed with base64 parts
+  buildMessage({ to, subject, body, attachments = [] }) {
+    const headers = [
+      `From: ${this.from}`,
+      `To: ${to}`,
+      `Subject: ${(subject || '').replace(/[\r\n]+/g, ' ')}`,
+      `Date: ${new Date().toUTCString()}`,
+      'MIME-Version: 1.0'
+    ];
+    const text = String(body || '');
+    let content;
+    if (attachments.length === 0) {
+      headers.push('Content-Type: text/plain; charset=utf-8');
+      content = text;
+    } else {
+      const boundary = `----=_Part_${Date.now().toString(36)}${Math.random().toString(36).slice(2)}`;
+      headers.push(`Content-Type: multipart/mixed; boundary="${boundary}"`);
+      const parts = [
+        ['Content-Type: text/plain; charset=utf-8', '', text].join('\n'),
+        ...attachments.map(attachment => [
+          `Content-Type: ${attachment.contentType || 'application/octet-stream'}; name="${attachment.filename}"`,
+          'Content-Transfer-Encoding: base64',
+          `Content-Disposition: attachment; filename="${attachment.filename}"`,
+          '',
+          Buffer.from(attachment.content).toString('base64').replace(/.{1,76}/g, '$&\n').trimEnd()
+        ].join('\n'))
+      ];
+      content = `${parts.map(part => `--${boundary}\n${part}`).join('\n')}\n--${boundary}--`;
+    }
+    const lines = content.split(/\r?\n/).map(line => (line.startsWith('.') ? `.${line}` : line));
+    return `${headers.join('\r\n')}\r\n\r\n${lines.join('\r\n')}`;
+  }
+
+  // Run the SMTP dialogue; resolves with the server replies
+  transmit(to, message) {
+    const commands = [
+      { send: null, expect: 220 },
+      { send: `EHLO ${os.hostname() || 'localhost'}`, expect: 250 },
+      { send: `MAIL FROM:<${this.from}>`, expect: 250 },
+      { send: `RCPT TO:<${to}>`, expect: 250 },
+      { send: 'DATA', expect: 354 },
+      { send: `${message}\r\n.`, expect: 250 },
+      { send: 'QUIT', expect: 221 }
+    ];
+
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      const transcript = [];
+      let buffer = '';
+      let step = 0;
+      let settled = false;
+
+      const finish = (error) => {
+        if (settled) return;
+        settled = true;
+        socket.destroy();
+        if (error) reject(error);
+        else resolve(transcript);
+      };
+
+      socket.setEncoding('utf8');
+      socket.setTimeout(this.timeout, () => finish(new Error('SMTP connection timed out')));
+      socket.on('error', finish);
+      socket.on('data', (chunk) => {
+        buffer += chunk;
+        // A reply is complete when its last line has a space after the code
+        const lines = buffer.split('\r\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+          if (!/^\d{3} /.test(line)) continue;
+          transcript.push(line);
+          const code = parseInt(line.slice(0, 3), 10);
+          if (code !== commands[step].expect) {
+            return finish(new Error(`SMTP error: ${line}`));
+          }
+          step++;
+          if (step >= commands.length) {
+            return finish();
+          }
+          socket.write(`${commands[step].send}\r\n`);
+        }
+      });
+      socket.on('end', () => {
+        if (step < commands.length) {
+          finish(new Error('SMTP connection closed unexpectedly'));
+        }
+      });
+    });
+  }
+}
+
+module.exports = new EmailChannel();
@@ -0,0 +1,26 @@
+// In-app notification channel
+// Writes the alert into the recipient's notification inbox
+
+const Notification = require('../../models/Notification');
+
+class InAppChannel {
+  constructor() {
+    this.name = 'in_app';
+  }
+
+  async send(delivery) {
+    const notification = await Notification.create({
+      tenantId: delivery.tenantId,
+      user: delivery.recipient,
+      eventType: delivery.eventType,
+      severity: delivery.severity,
+      title: delivery.title,
+      message: delivery.message,
+      data: delivery.data
+    });
+
+    return { notificationId: notification._id };
+  }
+}
+
+module.exports = new InAppChannel();
@@ -0,0 +1,69 @@
+// Webhook notification channel
+// POSTs the alert as JSON; when a secret is configured the body is signed
+// with HMAC-SHA256 in the X-POS-Signature header.
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+class WebhookChannel {
+  constructor(options = {}) {
+    this.name = 'webhook';
+    this.timeout = options.timeout || 10000;
+  }
+
+  async send(delivery, subscription = {}) {
+    const url = delivery.recipient;
+    if (!url) {
+      throw new Error('Webhook URL is required');
+    }
+
+    const body = JSON.stringify({
+      id: String(delivery._id || ''),
+      event: delivery.eventType,
+      severity: delivery.severity,
+      title: delivery.title,
+      message: delivery.message,
+      data: delivery.data,
+      sentAt: new Date().toISOString()
+    });
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'X-POS-Event': delivery.eventType
+    };
+    const secret = subscription.target?.secret;
+    if (secret) {
+      headers['X-POS-Signature'] = crypto.createHmac('sha256', secret).update(body).digest('hex');
+    }
+
+    return this.post(url, body, headers);
+  }
+
+  post(url, body, headers) {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = client.request(target, { method: 'POST', headers, timeout: this.timeout }, (response) => {
+        let responseBody = '';
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => { responseBody += chunk; });
+        response.on('end', () => {
+          if (response.statusCode >= 200 && response.statusCode < 300) {
+            resolve({ statusCode: response.statusCode, body: responseBody.slice(0, 1000) });
+          } else {
+            reject(new Error(`Webhook responded with status ${response.statusCode}`));
+          }
+        });
+      });
+      request.on('timeout', () => request.destroy(new Error('Webhook request timed out')));
+      request.on('error', reject);
+      request.write(body);
+      request.end();
+    });
+  }
+}
+
+module.exports = new WebhookChannel();
@@ -0,0 +1,416 @@
+const NotificationSubscription = require('../models/NotificationSubscription');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const Notification = require('../models/Notification');
+const logger = require('../utils/logger');
+
+const SEVERITY_RANK = { info: 0, warning: 1, critical: 2 };
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+
+class NotificationService {
+  constructor() {
+    this.channels = new Map();
+    this.initializeChannels();
+  }
+
+  // Register delivery channels
+  initializeChannels() {
+    this.channels.set('email', require('./notificationChannels/emailChannel'));
+    this.channels.set('in_app', require('./notificationChannels/inAppChannel'));
+    this.channels.set('webhook', require('./notificationChannels/webhookChannel'));
+  }
+
+  /**
+   * Dispatch an alert to every active subscription of the tenant
+   * @param {string} eventType - One of NotificationSubscription.NOTIFICATION_EVENTS
+   * @param {object} alert - { severity, title, message, data }
+   * @param {object} options - Options including tenantId
+   * @returns {Promise<Array>} Delivery log records
+   */
+  async notify(eventType, alert, options = {}) {
+    const { tenantId } = options;
+    if (!tenantId) {
+      throw new Error('tenantId is required to send notifications');
+    }
+
+    const severity = alert.severity || 'info';
+    const subscriptions = await NotificationSubscription.find({
+      tenantId,
+      eventType,
+      isActive: true
+    }).select('+target.secret');
+
+    const deliveries = [];
+    for (const subscription of subscriptions) {
+      if (SEVERITY_RANK[severity] < SEVERITY_RANK[subscription.minSeverity || 'info']) {
+        continue;
+      }
+
+      const delivery = await NotificationDelivery.create({
+        tenantId,
+        subscription: subscription._id,
+        eventType,
+        channel: subscription.channel,
+        recipient: this.getRecipient(subscription),
+        severity,
+        title: alert.title,
+        message: alert.message,
+        data: alert.data,
+        maxAttempts: subscription.maxAttempts || 3,
+        nextAttemptAt: new Date()
+      });
+
+      deliveries.push(await this.attemptDelivery(delivery, subscription));
+    }
+
+    return deliveries;
+  }
+
+  /**
+   * Resolve the channel specific recipient of a subscription
+   * @param {object} subscription - Notification subscription
+   * @returns {string}
+   */
+  getRecipient(subscription) {
+    switch (subscription.channel) {
+      case 'email':
+        return subscription.target.email;
+      case 'in_app':
+        return String(subscription.target.user);
+      case 'webhook':
+        return subscription.target.url;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Try to deliver once, scheduling a retry with exponential backoff on failure
+   * @param {object} delivery - NotificationDelivery document
+   * @param {object} subscription - Subscription (with target.secret selected)
+   * @returns {Promise<object>} Updated delivery
+   */
+  async attemptDelivery(delivery, subscription) {
+    const channel = this.channels.get(delivery.channel);
+    delivery.attempts += 1;
+
+    try {
+      if (!channel) {
+        throw new Error(`Unsupported notification channel: ${delivery.channel}`);
+      }
+      const response = await channel.send(delivery, subscription);
+      delivery.status = 'sent';
+      delivery.sentAt = new Date();
+      delivery.response = response;
+      delivery.lastError = undefined;
+      delivery.nextAttemptAt = undefined;
+    } catch (error) {
+      delivery.lastError = error.message;
+      if (delivery.attempts >= delivery.maxAttempts) {
+        delivery.status = 'failed';
+        delivery.nextAttemptAt = undefined;
+        logger.error(`Notification delivery ${delivery._id} failed permanently:`, error);
+      } else {
+        delivery.status = 'pending';
+        delivery.nextAttemptAt = new Date(Date.now() + RETRY_BASE_DELAY_MS * Math.pow(2, delivery.attempts - 1));
+        logger.warn(`Notification delivery ${delivery._id} failed, retry ${delivery.attempts}/${delivery.maxAttempts} scheduled`);
+      }
+    }
+
+    await delivery.save();
+    return delivery;
+  }
+
+  /**
+   * Retry pending deliveries whose backoff has elapsed (run from cron)
+   * @param {object} options - { limit }
+   * @returns {Promise<{retried: number, sent: number, failed: number}>}
+   */
+  async retryPendingDeliveries(options = {}) {
+    const { limit = 100 } = options;
+    const due = await NotificationDelivery.find({
+      status: 'pending',
+      attempts: { $gt: 0 },
+      nextAttemptAt: { $lte: new Date() }
+    })
+      .sort({ nextAttemptAt: 1 })
+      .limit(limit);
+
+    const results = { retried: 0, sent: 0, failed: 0 };
+    for (const delivery of due) {
+      const subscription = await NotificationSubscription.findById(delivery.subscription).select('+target.secret');
+      if (!subscription || !subscription.isActive) {
+        delivery.status = 'failed';
+        delivery.lastError = 'Subscription no longer active';
+        delivery.nextAttemptAt = undefined;
+        await delivery.save();
+        results.failed++;
+        continue;
+      }
+
+      await this.attemptDelivery(delivery, subscription);
+      results.retried++;
+      if (delivery.status === 'sent') results.sent++;
+      if (delivery.status === 'failed') results.failed++;
+    }
+
+    return results;
+  }
+
+  /**
+   * Manually re-send a failed or pending delivery
+   * @param {string} deliveryId - Delivery ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<object>}
+   */
+  async retryDelivery(deliveryId, tenantId) {
+    const delivery = await NotificationDelivery.findOne({ _id: deliveryId, tenantId });
+    if (!delivery) {
+      throw new Error('Notification delivery not found');
+    }
+    if (delivery.status === 'sent') {
+      throw new Error('Notification already delivered');
+    }
+
+    const subscription = await NotificationSubscription.findOne({ _id: delivery.subscription, tenantId }).select('+target.secret');
+    if (!subscription) {
+      throw new Error('Notification subscription not found');
+    }
+
+    // Manual retries get a fresh attempt budget
+    delivery.maxAttempts = delivery.attempts + 1;
+    return this.attemptDelivery(delivery, subscription);
+  }
+
+  /**
+   * Send expiry alerts produced by expiryManagementService
+   * @param {object} alerts - { expiring30Days, expiring15Days, expiring7Days, expired }
+   * @param {object} options - Options including tenantId
+   * @returns {Promise<Array>}
+   */
+  async sendExpiryAlerts(alerts, options = {}) {
+    const windows = [
+      { key: 'expired', label: 'Expired' },
+      { key: 'expiring7Days', label: 'Expiring within 7 days' },
+      { key: 'expiring15Days', label: 'Expiring within 15 days' },
+      { key: 'expiring30Days', label: 'Expiring within 30 days' }
+    ];
+
+    const counts = {};
+    const lines = [];
+    for (const { key, label } of windows) {
+      const bucket = alerts[key] || {};
+      const items = [...(bucket.batches || []), ...(bucket.products || [])];
+      counts[key] = items.length;
+      if (items.length === 0) continue;
+
+      lines.push(`${label}: ${items.length}`);
+      items.slice(0, 20).forEach(item => {
+        const name = item.product?.name || item.name || 'Unknown product';
+        const batch = item.batchNumber ? ` (batch ${item.batchNumber})` : '';
+        const expiry = item.expiryDate ? new Date(item.expiryDate).toISOString().slice(0, 10) : 'n/a';
+        lines.push(`  - ${name}${batch}, expires ${expiry}`);
+      });
+    }
+
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    if (total === 0) {
+      return [];
+    }
+
+    let severity = 'info';
+    if (counts.expired > 0 || counts.expiring7Days > 0) {
+      severity = 'critical';
+    } else if (counts.expiring15Days > 0) {
+      severity = 'warning';
+    }
+
+    return this.notify('expiry_alert', {
+      severity,
+      title: `Expiry alert: ${total} item(s) need attention`,
+      message: lines.join('\n'),
+      data: counts
+    }, options);
+  }
+
+  /**
+   * Send low stock alerts produced by inventoryAlertService
+   * @param {Array} lowStockAlerts - Alerts from InventoryAlertService.getLowStockAlerts
+   * @param {object} options - Options including tenantId
+   * @returns {Promise<Array>}
+   */
+  async sendLowStockAlerts(lowStockAlerts, options = {}) {
+    if (!lowStockAlerts || lowStockAlerts.length === 0) {
+      return [];
+    }
+
+    const critical = lowStockAlerts.filter(alert => alert.alertLevel === 'critical');
+    const lines = lowStockAlerts.slice(0, 50).map(alert =>
+      `- ${alert.product.name}${alert.product.sku ? ` (${alert.product.sku})` : ''}: ` +
+      `${alert.inventory.currentStock} in stock, reorder point ${alert.inventory.reorderPoint}, ` +
+      `suggested reorder ${alert.suggestedReorderQuantity}`
+    );
+
+    return this.notify('low_stock_alert', {
+      severity: critical.length > 0 ? 'critical' : 'warning',
+      title: `Low stock: ${lowStockAlerts.length} product(s), ${critical.length} critical`,
+      message: lines.join('\n'),
+      data: {
+        total: lowStockAlerts.length,
+        critical: critical.length,
+        products: lowStockAlerts.map(alert => ({
+          productId: alert.product._id,
+          currentStock: alert.inventory.currentStock,
+          alertLevel: alert.alertLevel
+        }))
+      }
+    }, options);
+  }
+
+  /**
+   * Send overdue credit warnings for a customer
+   * @param {object} customer - Customer document
+   * @param {Array} warnings - Warnings from customerCreditPolicyService
+   * @param {object} options - Options including tenantId
+   * @returns {Promise<Array>}
+   */
+  async sendOverdueWarnings(customer, warnings, options = {}) {
+    if (!warnings || warnings.length === 0) {
+      return [];
+    }
+
+    const customerName = customer.businessName || customer.name || 'Customer';
+    const totalOverdue = warnings.reduce((sum, warning) => sum + (warning.amount || 0), 0);
+    // Thresholds that call for a letter or a phone call are the escalated ones
+    const escalated = warnings.some(warning => ['letter', 'call'].includes(warning.action));
+
+    return this.notify('overdue_credit_warning', {
+      severity: escalated ? 'critical' : 'warning',
+      title: `Overdue invoices for ${customerName}`,
+      message: warnings.map(warning => `- ${warning.message} (${warning.amount})`).join('\n'),
+      data: {
+        customerId: customer._id,
+        totalOverdue,
+        warnings
+      }
+    }, { tenantId: options.tenantId || customer.tenantId });
+  }
+
+  /**
+   * Get in-app inbox for a user
+   * @param {string} userId - User ID
+   * @param {string} tenantId - Tenant ID
+   * @param {object} options - { unreadOnly, page, limit }
+   * @returns {Promise<{notifications: Array, unreadCount: number, pagination: object}>}
+   */
+  async getInbox(userId, tenantId, options = {}) {
+    const { unreadOnly = false, page = 1, limit = 20 } = options;
+    const filter = { tenantId, user: userId };
+    if (unreadOnly) {
+      filter.readAt = null;
+    }
+
+    const skip = (page - 1) * limit;
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ tenantId, user: userId, readAt: null })
+    ]);
+
+    return {
+      notifications,
+      unreadCount,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    };
+  }
+
+  /**
+   * Mark inbox notifications as read
+   * @param {string} userId - User ID
+   * @param {string} tenantId - Tenant ID
+   * @param {Array<string>|null} ids - Notification IDs, or null for all
+   * @returns {Promise<number>} Number of notifications updated
+   */
+  async markAsRead(userId, tenantId, ids = null) {
+    const filter = { tenantId, user: userId, readAt: null };
+    if (ids) {
+      filter._id = { $in: ids };
+    }
+    const result = await Notification.updateMany(filter, { $set: { readAt: new Date() } });
+    return result.modifiedCount || 0;
+  }
+
+  /**
+   * List subscriptions for a tenant
+   * @param {string} tenantId - Tenant ID
+   * @param {object} filters - { eventType, channel }
+   * @returns {Promise<Array>}
+   */
+  async getSubscriptions(tenantId, filters = {}) {
+    const query = { tenantId };
+    if (filters.eventType) query.eventType = filters.eventType;
+    if (filters.channel) query.channel = filters.channel;
+    return NotificationSubscription.find(query).sort({ eventType: 1, createdAt: -1 });
+  }
+
+  async createSubscription(data, userId, tenantId) {
+    return NotificationSubscription.create({
+      ...data,
+      tenantId,
+      createdBy: userId
+    });
+  }
+
+  async updateSubscription(id, data, tenantId) {
+    const subscription = await NotificationSubscription.findOne({ _id: id, tenantId });
+    if (!subscription) {
+      throw new Error('Notification subscription not found');
+    }
+
+    const { tenantId: _ignored, createdBy, ...updates } = data;
+    subscription.set(updates);
+    await subscription.save();
+    return subscription;
+  }
+
+  async deleteSubscription(id, tenantId) {
+    const subscription = await NotificationSubscription.findOneAndDelete({ _id: id, tenantId });
+    if (!subscription) {
+      throw new Error('Notification subscription not found');
+    }
+    return subscription;
+  }
+
+  /**
+   * Delivery log for a tenant
+   * @param {string} tenantId - Tenant ID
+   * @param {object} filters - { status, eventType, channel, page, limit }
+   * @returns {Promise<{deliveries: Array, pagination: object}>}
+   */
+  async getDeliveries(tenantId, filters = {}) {
+    const { status, eventType, channel, page = 1, limit = 50 } = filters;
+    const query = { tenantId };
+    if (status) query.status = status;
+    if (eventType) query.eventType = eventType;
+    if (channel) query.channel = channel;
+
+    const [deliveries, total] = await Promise.all([
+      NotificationDelivery.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      NotificationDelivery.countDocuments(query)
+    ]);
+
+    return {
+      deliveries,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    };
+  }
+}
+
+module.exports = new NotificationService();
@@ -4,6 +4,7 @@ const SalesRepository = require('../repositories/SalesRepository');
 const TransactionRepository = require('../repositories/TransactionRepository');
 const Payment = require('../models/Payment'); // Still needed for model methods
 const Transaction = require('../models/Transaction');
+const giftCardService = require('./giftCardService');
 const logger = require('../utils/logger'); // Still needed for model methods
 
 class PaymentService {
@@ -61,6 +62,7 @@ class PaymentService {
         gateway = 'manual',
         cardDetails,
         walletDetails,
+        giftCardCode,
         metadata = {}
       } = paymentData;
 
@@ -82,6 +84,11 @@ class PaymentService {
         throw new Error('Order is already fully paid');
       }
 
+      // Gift cards and store credit are redeemed from their own ledger rather than a gateway
+      const storedValueCard = this.isStoredValueMethod(paymentMethod)
+        ? await this.validateStoredValueTender(giftCardCode, paymentMethod, amount, order, tenantId)
+        : null;
+
       // Create payment record
       const paymentRecord = {
         paymentId: this.generatePaymentId(),
@@ -95,6 +102,7 @@ class PaymentService {
         },
         cardDetails: cardDetails ? this.sanitizeCardDetails(cardDetails) : undefined,
         walletDetails,
+        giftCard: storedValueCard ? { card: storedValueCard._id, code: storedValueCard.code } : undefined,
         tenantId: tenantId,
         metadata: {
           ...metadata,
@@ -156,18 +164,20 @@ class PaymentService {
       const transaction = await TransactionRepository.create(transactionData);
 
       // Process through gateway
-      const gatewayResult = await gatewayService.processPayment({
-        amount,
-        currency,
-        paymentMethod,
-        cardDetails: payment.cardDetails,
-        walletDetails: payment.walletDetails,
-        metadata: {
-          orderId: order._id,
-          paymentId: payment.paymentId,
-          transactionId: transaction.transactionId
-        }
-      });
+      const gatewayResult = storedValueCard
+        ? await this.redeemStoredValue(storedValueCard, payment, user, tenantId)
+        : await gatewayService.processPayment({
+          amount,
+          currency,
+          paymentMethod,
+          cardDetails: payment.cardDetails,
+          walletDetails: payment.walletDetails,
+          metadata: {
+            orderId: order._id,
+            paymentId: payment.paymentId,
+            transactionId: transaction.transactionId
+          }
+        });
 
       // Update transaction with gateway response
       transaction.gateway.transactionId = gatewayResult.transactionId;
@@ -197,8 +207,8 @@ class PaymentService {
 
       return {
         success: true,
-        payment: updatedPayment,
-        transaction: updatedTransaction,
+        payment,
+        transaction,
         gatewayResult
       };
 
@@ -235,15 +245,17 @@ class PaymentService {
         throw new Error(`Payment gateway '${payment.gateway.name}' not available`);
       }
 
-      const gatewayResult = await gatewayService.processRefund({
-        transactionId: payment.gateway.transactionId,
-        amount,
-        reason,
-        metadata: {
-          paymentId: payment.paymentId,
-          orderId: payment.orderId
-        }
-      });
+      const gatewayResult = payment.giftCard?.code
+        ? await this.refundStoredValue(payment, amount, reason, user, tenantId)
+        : await gatewayService.processRefund({
+          transactionId: payment.gateway.transactionId,
+          amount,
+          reason,
+          metadata: {
+            paymentId: payment.paymentId,
+            orderId: payment.orderId
+          }
+        });
 
       // Create refund record (using model method)
       const refund = payment.processRefund(amount, reason, user._id);
@@ -437,6 +449,64 @@ class PaymentService {
     }
   }
 
+  isStoredValueMethod(paymentMethod) {
+    return paymentMethod === 'gift_card' || paymentMethod === 'store_credit';
+  }
+
+  // Validate a gift card / store credit tender before any payment record is created
+  async validateStoredValueTender(giftCardCode, paymentMethod, amount, order, tenantId) {
+    if (!giftCardCode) {
+      throw new Error('Gift card code is required');
+    }
+    const card = await giftCardService.findCard(giftCardCode, tenantId);
+    giftCardService.validateRedemption(card, amount, paymentMethod);
+
+    if (card.type === 'store_credit' && String(card.customer) !== String(order.customer?._id || order.customer)) {
+      throw new Error('Store credit belongs to another customer');
+    }
+    return card;
+  }
+
+  // Redeem from the card; a decline is reported like a gateway failure
+  async redeemStoredValue(card, payment, user, tenantId) {
+    try {
+      const { card: redeemed, transaction } = await giftCardService.redeem(card.code, payment.amount, {
+        expectedType: payment.paymentMethod,
+        referenceType: 'payment',
+        referenceId: payment._id
+      }, user._id, tenantId);
+
+      return {
+        status: 'completed',
+        transactionId: String(transaction._id),
+        response: { giftCardCode: redeemed.code, remainingBalance: redeemed.balance },
+        fees: 0
+      };
+    } catch (error) {
+      return {
+        status: 'failed',
+        response: { giftCardCode: card.code },
+        errorCode: 'GIFT_CARD_DECLINED',
+        errorMessage: error.message
+      };
+    }
+  }
+
+  // Put refunded value back on the card it was paid from
+  async refundStoredValue(payment, amount, reason, user, tenantId) {
+    const card = await giftCardService.refundToCard(payment.giftCard.code, amount, {
+      referenceType: 'payment',
+      referenceId: payment._id,
+      notes: reason
+    }, user._id, tenantId);
+
+    return {
+      status: 'completed',
+      transactionId: payment.gateway.transactionId,
+      response: { giftCardCode: card.code, remainingBalance: card.balance }
+    };
+  }
+
   // Sanitize card details
   sanitizeCardDetails(cardDetails) {
     if (!cardDetails) return undefined;
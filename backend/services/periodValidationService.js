@@ -18,43 +18,7 @@ class PeriodValidationService {
    * @returns {Promise<void>} Throws error if validation fails
    */
   async validateTransactionDate(transactionDate, tenantId, accountCode = null) {
-    // Find fiscal year for this date
-    let fiscalYear = await FiscalYear.findFiscalYearForDate(tenantId, transactionDate);
-
-    // Auto-create fiscal year if it doesn't exist
-    if (!fiscalYear) {
-      const transactionYear = transactionDate.getFullYear();
-      const yearStart = new Date(transactionYear, 0, 1); // January 1st
-      const yearEnd = new Date(transactionYear, 11, 31, 23, 59, 59, 999); // December 31st
-      
-      try {
-        logger.info(`Auto-creating fiscal year ${transactionYear} for tenant ${tenantId}`);
-        fiscalYear = await FiscalYear.createFiscalYear({
-          tenantId,
-          year: transactionYear,
-          startDate: yearStart,
-          endDate: yearEnd,
-          createdBy: null, // System-created
-          description: `Auto-created fiscal year for ${transactionYear}`
-        });
-        logger.info(`Successfully auto-created fiscal year ${transactionYear}`);
-      } catch (error) {
-        // If creation fails (e.g., duplicate key from race condition), try to fetch it
-        if (error.code === 11000) {
-          logger.warn(`Fiscal year ${transactionYear} was created by another process, fetching it`);
-          fiscalYear = await FiscalYear.findFiscalYearForDate(tenantId, transactionDate);
-        }
-        
-        // If still not found after retry, throw original error
-        if (!fiscalYear) {
-          logger.error(`Failed to auto-create fiscal year ${transactionYear}: ${error.message}`);
-          throw new Error(
-            `No fiscal year found for transaction date ${transactionDate.toISOString().split('T')[0]}. ` +
-            `Please create a fiscal year covering this date.`
-          );
-        }
-      }
-    }
+    const fiscalYear = await this.findOrCreateFiscalYear(transactionDate, tenantId);
 
     // Check if fiscal year is closed
     if (fiscalYear.isClosed) {
@@ -96,6 +60,53 @@ class PeriodValidationService {
     return true;
   }
 
+  /**
+   * Find the tenant's fiscal year covering a date, creating the calendar year when none does
+   * @param {Date} transactionDate - Transaction date
+   * @param {ObjectId} tenantId - Tenant ID
+   * @returns {Promise<FiscalYear>}
+   */
+  async findOrCreateFiscalYear(transactionDate, tenantId) {
+    let fiscalYear = await FiscalYear.findFiscalYearForDate(tenantId, transactionDate);
+
+    // Auto-create fiscal year if it doesn't exist
+    if (!fiscalYear) {
+      const transactionYear = transactionDate.getFullYear();
+      const yearStart = new Date(transactionYear, 0, 1); // January 1st
+      const yearEnd = new Date(transactionYear, 11, 31, 23, 59, 59, 999); // December 31st
+      
+      try {
+        logger.info(`Auto-creating fiscal year ${transactionYear} for tenant ${tenantId}`);
+        fiscalYear = await FiscalYear.createFiscalYear({
+          tenantId,
+          year: transactionYear,
+          startDate: yearStart,
+          endDate: yearEnd,
+          createdBy: null, // System-created
+          description: `Auto-created fiscal year for ${transactionYear}`
+        });
+        logger.info(`Successfully auto-created fiscal year ${transactionYear}`);
+      } catch (error) {
+        // If creation fails (e.g., duplicate key from race condition), try to fetch it
+        if (error.code === 11000) {
+          logger.warn(`Fiscal year ${transactionYear} was created by another process, fetching it`);
+          fiscalYear = await FiscalYear.findFiscalYearForDate(tenantId, transactionDate);
+        }
+        
+        // If still not found after retry, throw original error
+        if (!fiscalYear) {
+          logger.error(`Failed to auto-create fiscal year ${transactionYear}: ${error.message}`);
+          throw new Error(
+            `No fiscal year found for transaction date ${transactionDate.toISOString().split('T')[0]}. ` +
+            `Please create a fiscal year covering this date.`
+          );
+        }
+      }
+    }
+
+    return fiscalYear;
+  }
+
   /**
    * Get current fiscal year
    * @param {ObjectId} tenantId - Tenant ID
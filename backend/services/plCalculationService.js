@@ -163,6 +163,8 @@ class PLCalculationService {
     const returnsByCategory = {};
     const discountsByType = {};
     const discountDetails = [];
+    let promotionCost = 0;
+    const promotionsByCode = {};
 
     // Calculate total sales revenue from transactions
     revenueTransactions.forEach(transaction => {
@@ -194,7 +196,7 @@ class PLCalculationService {
       createdAt: { $gte: period.startDate, $lte: period.endDate },
       status: { $in: ['completed', 'delivered', 'shipped', 'confirmed'] }
     }, {
-      select: 'orderNumber pricing.total pricing.subtotal pricing.discountAmount items.discountAmount items.discountPercent createdAt customer orderType'
+      select: 'orderNumber pricing.total pricing.subtotal pricing.discountAmount pricing.promotionAmount promotions items.discountAmount items.promotionDiscount items.discountPercent createdAt customer orderType'
     });
 
     // FALLBACK: If no transactions found, calculate from Sales orders directly
@@ -226,16 +228,37 @@ class PLCalculationService {
       
       if (orderDiscount > 0) {
         salesDiscounts += orderDiscount;
+
+        // Promotion engine discounts are recorded on the sale, so they are reported per promotion
+        // rather than guessed at below
+        const promotionAmount = Math.min(order.pricing?.promotionAmount || 0, orderDiscount);
+        if (promotionAmount > 0) {
+          promotionCost += promotionAmount;
+
+          // Split over the sale's promotions in proportion to what each gave
+          const applied = order.promotions || [];
+          const appliedTotal = applied.reduce((sum, promotion) => sum + (promotion.discountAmount || 0), 0);
+          applied.forEach(promotion => {
+            const entry = promotionsByCode[promotion.code] || { code: promotion.code, name: promotion.name, sales: 0, amount: 0 };
+            entry.sales += 1;
+            entry.amount += appliedTotal > 0 ? promotionAmount * (promotion.discountAmount || 0) / appliedTotal : 0;
+            promotionsByCode[promotion.code] = entry;
+          });
+        }
+        const otherDiscount = orderDiscount - promotionAmount;
+        if (otherDiscount <= 0) {
+          return;
+        }
         
         // Categorize discount by type based on item discounts
         let discountType = 'other';
         
         // Check if discount is from item-level (bulk, customer discount, etc.)
-        const hasItemDiscounts = order.items?.some(item => (item.discountAmount || 0) > 0);
+        const hasItemDiscounts = order.items?.some(item => (item.discountAmount || 0) - (item.promotionDiscount || 0) > 0);
         if (hasItemDiscounts) {
           // Calculate average discount percentage
           const totalItemDiscount = order.items.reduce((sum, item) => 
-            sum + (item.discountAmount || 0), 0);
+            sum + (item.discountAmount || 0) - (item.promotionDiscount || 0), 0);
           const totalItemSubtotal = order.items.reduce((sum, item) => 
             sum + (item.subtotal || (item.quantity * item.unitPrice)), 0);
           const avgDiscountPercent = totalItemSubtotal > 0 ? 
@@ -259,12 +282,12 @@ class PLCalculationService {
         discountDetails.push({
           orderNumber: order.orderNumber,
           date: order.createdAt,
-          amount: orderDiscount,
+          amount: otherDiscount,
           type: discountType,
         });
         
         // Sum by discount type
-        discountsByType[discountType] = (discountsByType[discountType] || 0) + orderDiscount;
+        discountsByType[discountType] = (discountsByType[discountType] || 0) + otherDiscount;
       }
     });
 
@@ -307,6 +330,8 @@ class PLCalculationService {
       returnsByCategory,
       discountsByType,
       discountDetails,
+      promotionCost,
+      promotionsByCode,
     };
   }
 
@@ -960,6 +985,7 @@ class PLCalculationService {
     statement.revenue.grossSales.amount = data.revenue.grossSales;
     statement.revenue.salesReturns.amount = data.revenue.salesReturns;
     statement.revenue.salesDiscounts.amount = data.revenue.salesDiscounts;
+    statement.revenue.salesDiscounts.promotionCost = data.revenue.promotionCost || 0;
     statement.revenue.otherRevenue.amount = data.otherIncome.interestIncome + 
       data.otherIncome.rentalIncome + data.otherIncome.other;
 
@@ -981,6 +1007,15 @@ class PLCalculationService {
           description: `${type} discounts`,
         });
       });
+
+      // Cost of each promotion the engine applied
+      Object.values(data.revenue.promotionsByCode || {}).forEach(promotion => {
+        statement.revenue.salesDiscounts.details.push({
+          type: `promotion:${promotion.code}`,
+          amount: Math.round(promotion.amount * 100) / 100,
+          description: `${promotion.name} (${promotion.sales} sales)`,
+        });
+      });
       
       // Add individual discount transaction details if available
       if (data.revenue.discountDetails && data.revenue.discountDetails.length > 0) {
@@ -0,0 +1,257 @@
+const PriceList = require('../models/PriceList');
+const Product = require('../models/Product');
+const Customer = require('../models/Customer');
+const Sales = require('../models/Sales');
+const SalesOrder = require('../models/SalesOrder');
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const EDITABLE_FIELDS = [
+  'name', 'description', 'effectiveFrom', 'effectiveTo', 'customers', 'customerTypes',
+  'items', 'defaultRule', 'isActive'
+];
+
+class PriceListService {
+  /**
+   * List price lists
+   * @param {object} filters - { isActive, customer, search }
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<Array>}
+   */
+  async getPriceLists(filters = {}, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const query = { tenantId };
+    if (filters.isActive !== undefined) query.isActive = String(filters.isActive) === 'true';
+    if (filters.customer) query.customers = filters.customer;
+    if (filters.search) {
+      const pattern = { $regex: filters.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+      query.$or = [{ code: pattern }, { name: pattern }];
+    }
+    return PriceList.find(query)
+      .select('-items')
+      .populate('customers', 'businessName name')
+      .sort({ code: 1 });
+  }
+
+  /**
+   * Get a price list with its product overrides
+   * @param {string} id - Price list ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<PriceList>}
+   */
+  async getPriceList(id, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const priceList = await PriceList.findOne({ _id: id, tenantId })
+      .populate('customers', 'businessName name businessType')
+      .populate('items.product', 'name sku pricing');
+    if (!priceList) {
+      throw new Error('Price list not found');
+    }
+    return priceList;
+  }
+
+  /**
+   * Create a price list
+   * @param {object} data - Price list fields
+   * @param {string} userId - User creating the list
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<PriceList>}
+   */
+  async createPriceList(data, userId, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const existing = await PriceList.findOne({ tenantId, code: String(data.code).trim().toUpperCase() });
+    if (existing) {
+      throw new Error('Price list already exists');
+    }
+    const priceList = new PriceList({ ...data, tenantId, createdBy: userId });
+    return priceList.save();
+  }
+
+  /**
+   * Update a price list. Changes apply to sales priced from now on; lines already
+   * priced keep the price they were sold at.
+   * @param {string} id - Price list ID
+   * @param {object} data - Fields to change
+   * @param {string} userId - User making the change
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<PriceList>}
+   */
+  async updatePriceList(id, data, userId, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const priceList = await PriceList.findOne({ _id: id, tenantId });
+    if (!priceList) {
+      throw new Error('Price list not found');
+    }
+    EDITABLE_FIELDS.forEach((field) => {
+      if (data[field] !== undefined) priceList[field] = data[field];
+    });
+    priceList.updatedBy = userId;
+    return priceList.save();
+  }
+
+  /**
+   * Delete a price list that has never priced a sale or sales order
+   * @param {string} id - Price list ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   */
+  async deletePriceList(id, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const priceList = await PriceList.findOne({ _id: id, tenantId });
+    if (!priceList) {
+      throw new Error('Price list not found');
+    }
+    const [onSales, onSalesOrders] = await Promise.all([
+      Sales.exists({ tenantId, 'items.priceList': priceList._id }),
+      SalesOrder.exists({ tenantId, 'items.priceList': priceList._id })
+    ]);
+    if (onSales || onSalesOrders) {
+      throw new Error('Price list has been used on sales; deactivate it instead');
+    }
+    await priceList.deleteOne();
+  }
+
+  /**
+   * Price lists in force for a customer: those naming the customer (contract pricing)
+   * and those assigned to the customer's type. Walk-in sales price as 'retail'.
+   * @param {object|null} customer - Customer document, if any
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @param {Date} [asOf] - Pricing date (defaults to now)
+   * @returns {Promise<Array>}
+   */
+  async getApplicableLists(customer, tenantId, asOf = new Date()) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const assignment = [{ customerTypes: customer?.businessType || 'retail' }];
+    if (customer?._id) {
+      assignment.unshift({ customers: customer._id });
+    }
+    return PriceList.find({
+      tenantId,
+      isActive: true,
+      effectiveFrom: { $lte: asOf },
+      $and: [
+        { $or: [{ effectiveTo: null }, { effectiveTo: { $gte: asOf } }] },
+        { $or: assignment }
+      ]
+    });
+  }
+
+  /**
+   * Price a product from one list, or null when the list does not price it
+   * @param {PriceList} priceList - Price list
+   * @param {object} product - Product document
+   * @param {number} quantity - Line quantity (for quantity breaks)
+   * @param {string} customerType - Customer business type (for list adjustments)
+   * @returns {number|null}
+   */
+  priceFromList(priceList, product, quantity, customerType) {
+    const item = (priceList.items || []).find(entry => String(entry.product?._id || entry.product) === String(product._id));
+    const rule = item || priceList.defaultRule;
+    if (!rule || rule.method === 'none') {
+      return null;
+    }
+
+    let price = this.applyMethod(rule.method, item ? item.price : null, rule.percent, product, customerType);
+    const quantityBreak = [...(rule.quantityBreaks || [])]
+      .filter(entry => Number(quantity) >= entry.minQuantity)
+      .sort((a, b) => b.minQuantity - a.minQuantity)[0];
+    if (quantityBreak) {
+      price = quantityBreak.price != null
+        ? Number(quantityBreak.price)
+        : price * (1 - (Number(quantityBreak.discountPercent) || 0) / 100);
+    }
+    return Math.max(0, roundMoney(price));
+  }
+
+  /**
+   * Best price for a product across the applicable lists. The lowest list price wins;
+   * on a tie the customer's own contract list is preferred over a customer type list.
+   * Products no list prices fall back to their product pricing.
+   * @param {object} product - Product document
+   * @param {number} quantity - Line quantity
+   * @param {object|null} customer - Customer document, if any
+   * @param {Array} priceLists - Lists from getApplicableLists
+   * @returns {{unitPrice: number, priceList: object|null}}
+   */
+  bestPrice(product, quantity, customer, priceLists = []) {
+    const customerType = customer?.businessType || 'retail';
+    let best = null;
+    for (const priceList of priceLists) {
+      const unitPrice = this.priceFromList(priceList, product, quantity, customerType);
+      if (unitPrice === null) continue;
+      const isContract = Boolean(customer?._id) &&
+        (priceList.customers || []).some(id => String(id?._id || id) === String(customer._id));
+      if (!best || unitPrice < best.unitPrice || (unitPrice === best.unitPrice && isContract && !best.isContract)) {
+        best = { unitPrice, priceList, isContract };
+      }
+    }
+    if (best) {
+      return { unitPrice: best.unitPrice, priceList: best.priceList };
+    }
+    return { unitPrice: product.getPriceForCustomerType(customerType, quantity), priceList: null };
+  }
+
+  /**
+   * Price a product for a customer the way a sale would, for price checks and order entry
+   * @param {object} params - { product, customer?, quantity?, asOf? }
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<{unitPrice: number, listPrice: number, priceList: object|null}>}
+   */
+  async previewPrice({ product: productId, customer: customerId, quantity = 1, asOf }, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const product = await Product.findOne({ _id: productId, tenantId });
+    if (!product) {
+      throw new Error('Product not found');
+    }
+    let customer = null;
+    if (customerId) {
+      customer = await Customer.findOne({ _id: customerId, tenantId });
+      if (!customer) {
+        throw new Error('Customer not found');
+      }
+    }
+
+    const priceLists = await this.getApplicableLists(customer, tenantId, asOf ? new Date(asOf) : new Date());
+    const { unitPrice, priceList } = this.bestPrice(product, quantity, customer, priceLists);
+    return {
+      unitPrice,
+      listPrice: product.getPriceForCustomerType(customer?.businessType || 'retail', quantity),
+      priceList: priceList ? { _id: priceList._id, code: priceList.code, name: priceList.name } : null
+    };
+  }
+
+  /**
+   * @private
+   */
+  applyMethod(method, price, percent, product, customerType) {
+    const cost = Number(product.pricing?.cost) || 0;
+    const rate = (Number(percent) || 0) / 100;
+    switch (method) {
+      case 'fixed':
+        return Number(price) || 0;
+      case 'cost_markup':
+        return cost * (1 + rate);
+      case 'percent_of_cost':
+        return cost * rate;
+      case 'list_adjustment':
+      default:
+        // Bulk discounts on the product are left to the list's own quantity breaks
+        return product.getPriceForCustomerType(customerType, 1) * (1 + rate);
+    }
+  }
+}
+
+module.exports = new PriceListService();
@@ -0,0 +1,521 @@
+const Promotion = require('../models/Promotion');
+const Product = require('../models/Product');
+const Customer = require('../models/Customer');
+const Sales = require('../models/Sales');
+const salesService = require('./salesService');
+const priceListService = require('./priceListService');
+const currencyService = require('./currencyService');
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const EDITABLE_FIELDS = [
+  'name', 'description', 'type', 'products', 'categories', 'percent', 'buyQuantity', 'getQuantity',
+  'getProducts', 'getCategories', 'getDiscountPercent', 'bundleItems', 'bundlePrice', 'groupQuantity',
+  'groupPrice', 'minSpend', 'giftProduct', 'giftQuantity', 'maxApplications', 'startDate', 'endDate',
+  'daysOfWeek', 'startTime', 'endTime', 'customerTypes', 'priority', 'stackable', 'isActive'
+];
+
+const idSet = (ids = []) => new Set(ids.map(id => String(id?._id || id)));
+
+class PromotionService {
+  /**
+   * List promotions
+   * @param {object} filters - { isActive, type, search }
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<Array>}
+   */
+  async getPromotions(filters = {}, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const query = { tenantId };
+    if (filters.isActive !== undefined) query.isActive = String(filters.isActive) === 'true';
+    if (filters.type) query.type = filters.type;
+    if (filters.search) {
+      const pattern = { $regex: filters.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+      query.$or = [{ code: pattern }, { name: pattern }];
+    }
+    return Promotion.find(query).sort({ priority: -1, code: 1 });
+  }
+
+  /**
+   * Get a promotion with its products
+   * @param {string} id - Promotion ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<Promotion>}
+   */
+  async getPromotion(id, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const promotion = await Promotion.findOne({ _id: id, tenantId })
+      .populate('products getProducts bundleItems.product giftProduct', 'name sku pricing')
+      .populate('categories getCategories', 'name');
+    if (!promotion) {
+      throw new Error('Promotion not found');
+    }
+    return promotion;
+  }
+
+  /**
+   * Create a promotion
+   * @param {object} data - Promotion fields
+   * @param {string} userId - User creating the promotion
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<Promotion>}
+   */
+  async createPromotion(data, userId, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const existing = await Promotion.findOne({ tenantId, code: String(data.code).trim().toUpperCase() });
+    if (existing) {
+      throw new Error('Promotion already exists');
+    }
+    const promotion = new Promotion({ ...data, tenantId, createdBy: userId });
+    return promotion.save();
+  }
+
+  /**
+   * Update a promotion
+   * @param {string} id - Promotion ID
+   * @param {object} data - Fields to change
+   * @param {string} userId - User making the change
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<Promotion>}
+   */
+  async updatePromotion(id, data, userId, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const promotion = await Promotion.findOne({ _id: id, tenantId });
+    if (!promotion) {
+      throw new Error('Promotion not found');
+    }
+    EDITABLE_FIELDS.forEach((field) => {
+      if (data[field] !== undefined) promotion[field] = data[field];
+    });
+    promotion.updatedBy = userId;
+    return promotion.save();
+  }
+
+  /**
+   * Delete a promotion that no sale has used
+   * @param {string} id - Promotion ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   */
+  async deletePromotion(id, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const promotion = await Promotion.findOne({ _id: id, tenantId });
+    if (!promotion) {
+      throw new Error('Promotion not found');
+    }
+    if (await Sales.exists({ tenantId, 'promotions.promotion': promotion._id })) {
+      throw new Error('Promotion has been used on sales; deactivate it instead');
+    }
+    await promotion.deleteOne();
+  }
+
+  /**
+   * Promotions running at a moment for a customer, highest priority first
+   * @param {object|null} customer - Customer document, if any (walk-ins count as retail)
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @param {Date} [at] - Moment of the sale (defaults to now)
+   * @returns {Promise<Array>}
+   */
+  async getRunningPromotions(customer, tenantId, at = new Date()) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const customerType = customer?.businessType || 'retail';
+    const promotions = await Promotion.find({
+      tenantId,
+      isActive: true,
+      startDate: { $lte: at },
+      $or: [{ endDate: null }, { endDate: { $gte: at } }]
+    }).sort({ priority: -1, createdAt: 1 });
+    return promotions.filter(promotion =>
+      promotion.isRunningAt(at) &&
+      (!promotion.customerTypes?.length || promotion.customerTypes.includes(customerType)));
+  }
+
+  /**
+   * Price a cart as the Sales page builds it and evaluate the running promotions,
+   * without writing anything
+   * @param {object} cart - { customer?, items: [{ product, quantity, unitPrice?, discountPercent? }] }
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>} - { lines, applied, gifts, totalDiscount }
+   */
+  async evaluateCart({ customer: customerId, items = [] }, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    let customer = null;
+    if (customerId) {
+      customer = await Customer.findOne({ _id: customerId, tenantId });
+      if (!customer) {
+        throw new Error('Customer not found');
+      }
+    }
+    const products = await Product.find({ _id: { $in: items.map(item => item.product) }, tenantId });
+    const productById = new Map(products.map(product => [String(product._id), product]));
+    const customerDiscount = customer ? customer.getEffectiveDiscount() : 0;
+    const isUnpriced = item => item.unitPrice === undefined || item.unitPrice === null || item.unitPrice === '';
+    const priceLists = items.some(isUnpriced)
+      ? await priceListService.getApplicableLists(customer, tenantId)
+      : [];
+
+    const lines = [];
+    for (const item of items) {
+      const product = productById.get(String(item.product));
+      if (!product) {
+        throw new Error(`Product ${item.product} not found`);
+      }
+      const quantity = Number(item.quantity);
+      const unitPrice = isUnpriced(item)
+        ? (await salesService.resolveUnitPrice(product, quantity, customer, tenantId, priceLists)).unitPrice
+        : Number(item.unitPrice);
+      const subtotal = quantity * unitPrice;
+      const discountPercent = Math.max(Number(item.discountPercent) || 0, customerDiscount);
+      lines.push({
+        product: product._id,
+        category: product.category,
+        quantity,
+        unitPrice,
+        subtotal,
+        discountAmount: subtotal * (discountPercent / 100)
+      });
+    }
+
+    const promotions = await this.getRunningPromotions(customer, tenantId);
+    const result = this.evaluate(lines, promotions);
+
+    // Gifts still to be rung up come back with the product so the till can add them
+    if (result.gifts.length > 0) {
+      const giftProducts = await Product.find({ _id: { $in: result.gifts.map(gift => gift.product) }, tenantId })
+        .select('name sku pricing inventory');
+      const giftById = new Map(giftProducts.map(product => [String(product._id), product]));
+      result.gifts = result.gifts.map(gift => ({ ...gift, product: giftById.get(String(gift.product)) || gift.product }));
+    }
+
+    return {
+      ...result,
+      lines: lines.map((line, index) => ({
+        product: line.product,
+        quantity: line.quantity,
+        unitPrice: line.unitPrice,
+        subtotal: roundMoney(line.subtotal),
+        discountAmount: roundMoney(line.discountAmount),
+        promotionDiscount: result.lines[index].promotionDiscount
+      }))
+    };
+  }
+
+  /**
+   * Apply the running promotions to priced sale lines. Each line's promotion discount is
+   * added to its discountAmount so tax is charged on the promoted price. Promotion prices
+   * and spend thresholds are in base currency, so a foreign-currency sale is evaluated in
+   * base and its discounts converted back.
+   * @param {Array} orderItems - Sale lines ({ product, quantity, subtotal, discountAmount, ... })
+   * @param {object|null} customer - Customer document, if any
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @param {object} [options] - { at: moment of the sale (defaults to now), exchangeRate: the sale's rate to base }
+   * @returns {Promise<{applied: Array, gifts: Array, totalDiscount: number}>} - discounts in the sale's currency
+   */
+  async applyToOrderItems(orderItems, customer, tenantId, { at = new Date(), exchangeRate = 1 } = {}) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const promotions = await this.getRunningPromotions(customer, tenantId, at);
+    if (promotions.length === 0) {
+      return { applied: [], gifts: [], totalDiscount: 0 };
+    }
+
+    const products = await Product.find({ _id: { $in: orderItems.map(item => item.product) }, tenantId }).select('category');
+    const categoryById = new Map(products.map(product => [String(product._id), product.category]));
+    const result = this.evaluate(orderItems.map(item => ({
+      product: item.product,
+      category: categoryById.get(String(item.product)),
+      quantity: item.quantity,
+      subtotal: currencyService.toBase(item.subtotal, exchangeRate),
+      discountAmount: currencyService.toBase(item.discountAmount || 0, exchangeRate)
+    })), promotions);
+
+    result.lines.forEach(({ promotionDiscount }, index) => {
+      const discount = currencyService.fromBase(promotionDiscount, exchangeRate);
+      orderItems[index].promotionDiscount = discount;
+      orderItems[index].discountAmount = roundMoney(orderItems[index].discountAmount + discount);
+    });
+    const applied = result.applied.map(entry => ({
+      ...entry,
+      discountAmount: currencyService.fromBase(entry.discountAmount, exchangeRate)
+    }));
+    return {
+      applied,
+      gifts: result.gifts,
+      totalDiscount: roundMoney(applied.reduce((sum, entry) => sum + entry.discountAmount, 0))
+    };
+  }
+
+  /**
+   * Count a sale's promotions in their usage totals
+   * @param {Array} applied - Promotions applied to the sale ({ promotion, discountAmount })
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   */
+  async recordUsage(applied, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    await Promise.all(applied.map(entry => Promotion.updateOne(
+      { _id: entry.promotion, tenantId },
+      {
+        $inc: { 'usage.timesApplied': 1, 'usage.totalDiscount': entry.discountAmount },
+        $set: { 'usage.lastAppliedAt': new Date() }
+      }
+    )));
+  }
+
+  /**
+   * Evaluate promotions against cart lines, highest priority first
+   * @param {Array} cartLines - [{ product, category, quantity, subtotal, discountAmount }]
+   * @param {Array} promotions - Running promotions, in evaluation order
+   * @returns {{lines: Array, applied: Array, gifts: Array, totalDiscount: number}}
+   */
+  evaluate(cartLines, promotions) {
+    const lines = cartLines.map((line, index) => {
+      const quantity = Number(line.quantity) || 0;
+      const net = Math.max(0, Number(line.subtotal) - (Number(line.discountAmount) || 0));
+      return {
+        index,
+        product: String(line.product?._id || line.product),
+        category: line.category ? String(line.category?._id || line.category) : null,
+        quantity,
+        unitValue: quantity > 0 ? net / quantity : 0,
+        remaining: net,
+        exclusiveQty: 0,
+        stackedQty: 0,
+        promotionDiscount: 0
+      };
+    });
+    const applied = [];
+    const gifts = [];
+
+    for (const promotion of promotions) {
+      const outcome = this.evaluatePromotion(promotion, lines);
+      if (outcome.gift) {
+        gifts.push({
+          promotion: promotion._id,
+          code: promotion.code,
+          name: promotion.name,
+          product: promotion.giftProduct?._id || promotion.giftProduct,
+          quantity: outcome.gift
+        });
+      }
+      if (!outcome.picks.length) continue;
+
+      const discountAmount = this.allocate(outcome.picks, promotion.stackable);
+      if (discountAmount > 0) {
+        applied.push({
+          promotion: promotion._id,
+          code: promotion.code,
+          name: promotion.name,
+          type: promotion.type,
+          applications: outcome.applications,
+          discountAmount
+        });
+      }
+    }
+
+    return {
+      lines: lines.map(line => ({ index: line.index, promotionDiscount: roundMoney(line.promotionDiscount) })),
+      applied,
+      gifts,
+      totalDiscount: roundMoney(applied.reduce((sum, entry) => sum + entry.discountAmount, 0))
+    };
+  }
+
+  /**
+   * Work out which units a promotion takes and the discount on each
+   * @private
+   * @returns {{picks: Array, applications: number, gift?: number}} - picks are { line, qty, discount }
+   */
+  evaluatePromotion(promotion, lines) {
+    const none = { picks: [], applications: 0 };
+    const cap = (count) => (promotion.maxApplications ? Math.min(count, promotion.maxApplications) : count);
+    const qualifying = lines.filter(line => this.matches(line, promotion.products, promotion.categories));
+
+    switch (promotion.type) {
+      case 'percent_off': {
+        const picks = qualifying
+          .map(line => ({ line, qty: this.available(line, promotion) }))
+          .filter(pick => pick.qty > 0)
+          .map(pick => ({ ...pick, discount: pick.qty * pick.line.unitValue * (promotion.percent / 100) }));
+        return { picks, applications: picks.length ? 1 : 0 };
+      }
+
+      case 'buy_x_get_y': {
+        const buyQty = promotion.buyQuantity;
+        const getQty = promotion.getQuantity;
+        const sameItems = !promotion.getProducts?.length && !promotion.getCategories?.length;
+        const getLines = sameItems
+          ? qualifying
+          : lines.filter(line => this.matches(line, promotion.getProducts, promotion.getCategories));
+
+        const units = (pool) => pool.reduce((sum, line) => sum + this.available(line, promotion), 0);
+        let sets = sameItems
+          ? cap(Math.floor(units(qualifying) / (buyQty + getQty)))
+          : cap(Math.min(Math.floor(units(qualifying) / buyQty), Math.floor(units(getLines) / getQty)));
+
+        // Most expensive items pay, the cheapest go at the discount
+        while (sets > 0) {
+          const taken = new Map();
+          const bought = this.take(qualifying, buyQty * sets, promotion, taken, 'desc');
+          const given = this.take(getLines, getQty * sets, promotion, taken, 'asc');
+          const boughtQty = bought.reduce((sum, pick) => sum + pick.qty, 0);
+          const givenQty = given.reduce((sum, pick) => sum + pick.qty, 0);
+          if (boughtQty === buyQty * sets && givenQty === getQty * sets) {
+            const rate = (promotion.getDiscountPercent ?? 100) / 100;
+            return {
+              picks: [
+                ...bought.map(pick => ({ ...pick, discount: 0 })),
+                ...given.map(pick => ({ ...pick, discount: pick.qty * pick.line.unitValue * rate }))
+              ],
+              applications: sets
+            };
+          }
+          sets -= 1;
+        }
+        return none;
+      }
+
+      case 'bundle': {
+        const components = promotion.bundleItems.map(component => ({
+          quantity: component.quantity,
+          lines: lines.filter(line => line.product === String(component.product?._id || component.product))
+        }));
+        const sets = cap(Math.min(...components.map(component =>
+          Math.floor(component.lines.reduce((sum, line) => sum + this.available(line, promotion), 0) / component.quantity))));
+        if (!(sets > 0)) return none;
+
+        const taken = new Map();
+        const picks = components.flatMap(component => this.take(component.lines, component.quantity * sets, promotion, taken, 'desc'));
+        return this.priceGroup(picks, promotion.bundlePrice * sets, sets);
+      }
+
+      case 'mix_and_match': {
+        const groupQty = promotion.groupQuantity;
+        const available = qualifying.reduce((sum, line) => sum + this.available(line, promotion), 0);
+        const groups = cap(Math.floor(available / groupQty));
+        if (!(groups > 0)) return none;
+        const picks = this.take(qualifying, groupQty * groups, promotion, new Map(), 'desc');
+        return this.priceGroup(picks, promotion.groupPrice * groups, groups);
+      }
+
+      case 'spend_gift': {
+        const giftProduct = String(promotion.giftProduct?._id || promotion.giftProduct);
+        const spend = qualifying
+          .filter(line => line.product !== giftProduct)
+          .reduce((sum, line) => sum + line.remaining, 0);
+        const times = promotion.minSpend > 0
+          ? Math.min(Math.floor(spend / promotion.minSpend), promotion.maxApplications || 1)
+          : 1;
+        if (!(times > 0)) return none;
+
+        const wanted = (promotion.giftQuantity || 1) * times;
+        const picks = this.take(lines.filter(line => line.product === giftProduct), wanted, promotion, new Map(), 'asc')
+          .map(pick => ({ ...pick, discount: pick.qty * pick.line.unitValue }));
+        const given = picks.reduce((sum, pick) => sum + pick.qty, 0);
+        // The gift has to be rung up to be given; the Sales page offers to add what is missing
+        return { picks, applications: times, gift: wanted - given };
+      }
+
+      default:
+        return none;
+    }
+  }
+
+  /**
+   * Spread a group's saving (its value over the group price) across the units in it
+   * @private
+   */
+  priceGroup(picks, groupPrice, applications) {
+    const value = picks.reduce((sum, pick) => sum + pick.qty * pick.line.unitValue, 0);
+    const saving = Math.max(0, value - groupPrice);
+    if (!(saving > 0)) {
+      return { picks: [], applications: 0 };
+    }
+    return {
+      picks: picks.map(pick => ({ ...pick, discount: saving * (pick.qty * pick.line.unitValue) / value })),
+      applications
+    };
+  }
+
+  /**
+   * Take units from lines in price order, skipping units already taken in this evaluation
+   * @private
+   */
+  take(pool, count, promotion, taken, order) {
+    const sorted = [...pool].sort((a, b) => (order === 'asc' ? a.unitValue - b.unitValue : b.unitValue - a.unitValue));
+    const picks = [];
+    let needed = count;
+    for (const line of sorted) {
+      if (needed <= 0) break;
+      const free = this.available(line, promotion) - (taken.get(line.index) || 0);
+      const qty = Math.min(free, needed);
+      if (qty <= 0) continue;
+      taken.set(line.index, (taken.get(line.index) || 0) + qty);
+      picks.push({ line, qty });
+      needed -= qty;
+    }
+    return picks;
+  }
+
+  /**
+   * Book a promotion's discounts on its lines and mark the units it used
+   * @private
+   * @returns {number} - Discount actually given
+   */
+  allocate(picks, stackable) {
+    let total = 0;
+    for (const pick of picks) {
+      const { line } = pick;
+      const discount = roundMoney(Math.min(pick.discount, line.remaining));
+      line.remaining -= discount;
+      line.promotionDiscount += discount;
+      total += discount;
+
+      if (stackable) {
+        // Stacking promotions use untouched units first
+        const untouched = line.quantity - line.exclusiveQty - line.stackedQty;
+        line.stackedQty += Math.min(pick.qty, untouched);
+      } else {
+        line.exclusiveQty += pick.qty;
+      }
+    }
+    return roundMoney(total);
+  }
+
+  /**
+   * Units of a line a promotion may use: untouched ones, plus those other stacking
+   * promotions used when it stacks itself
+   * @private
+   */
+  available(line, promotion) {
+    const untouched = line.quantity - line.exclusiveQty - line.stackedQty;
+    return promotion.stackable ? untouched + line.stackedQty : untouched;
+  }
+
+  /**
+   * @private
+   */
+  matches(line, products = [], categories = []) {
+    if (!products?.length && !categories?.length) {
+      return true;
+    }
+    return idSet(products).has(line.product) || (line.category !== null && idSet(categories).has(line.category));
+  }
+}
+
+module.exports = new PromotionService();
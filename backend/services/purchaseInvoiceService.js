@@ -1,5 +1,10 @@
 const purchaseInvoiceRepository = require('../repositories/PurchaseInvoiceRepository');
 const supplierRepository = require('../repositories/SupplierRepository');
+const Product = require('../models/Product');
+const taxEngineService = require('./taxEngineService');
+const costingService = require('./costingService');
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
 
 class PurchaseInvoiceService {
   /**
@@ -80,6 +85,11 @@ class PurchaseInvoiceService {
       filter['payment.status'] = queryParams.paymentStatus;
     }
 
+    // Supplier filter
+    if (queryParams.supplier) {
+      filter.supplier = queryParams.supplier;
+    }
+
     // Invoice type filter
     if (queryParams.invoiceType) {
       filter.invoiceType = queryParams.invoiceType;
@@ -187,6 +197,102 @@ class PurchaseInvoiceService {
 
     return invoice;
   }
+
+  /**
+   * Tax invoice lines through the tax engine. A line uses its own tax group or flat
+   * taxRate, else its product's tax group; product flat rates are sales rates and are not
+   * used. Invoices keyed with only a tax total keep that total as input tax.
+   * @param {Array} items - Invoice lines { product, quantity, unitCost, discountPercent, taxGroup, taxRate }
+   * @param {object} pricing - { discountAmount, taxAmount, isTaxExempt } document discount is spread over the lines
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @param {Date} date - Invoice date; picks the rates in force
+   * @returns {Promise<{items: Array, taxes: Array, pricing: object}>}
+   */
+  async taxInvoice(items, pricing = {}, tenantId, date = new Date()) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const products = await Product.find({ _id: { $in: items.map(item => item.product) }, tenantId }).select('taxSettings');
+    const productById = new Map(products.map(product => [String(product._id), product]));
+
+    const lines = items.map((item) => {
+      const gross = item.quantity * item.unitCost;
+      return { gross, lineDiscount: gross * ((item.discountPercent || 0) / 100) };
+    });
+    const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.gross, 0));
+    const lineDiscounts = lines.reduce((sum, line) => sum + line.lineDiscount, 0);
+    const discountAmount = roundMoney(lineDiscounts > 0 ? lineDiscounts : (Number(pricing.discountAmount) || 0));
+    const share = lineDiscounts > 0 || subtotal <= 0 ? 1 : (subtotal - discountAmount) / subtotal;
+
+    const result = await taxEngineService.calculate({
+      lines: items.map((item, index) => ({
+        amount: (lines[index].gross - lines[index].lineDiscount) * share,
+        taxGroup: item.taxGroup || (item.taxRate ? undefined : productById.get(String(item.product))?.taxSettings?.taxGroup),
+        taxRate: item.taxRate || 0
+      })),
+      direction: 'purchase',
+      date,
+      isTaxExempt: pricing.isTaxExempt
+    }, tenantId);
+
+    const taxedItems = items.map((item, index) => ({
+      ...item,
+      taxGroup: result.lines[index].taxGroup,
+      taxes: result.lines[index].taxes,
+      taxAmount: result.lines[index].taxAmount,
+      withholdingAmount: result.lines[index].withholdingAmount
+    }));
+    let { taxes, taxAmount } = result;
+    const keyedTax = roundMoney(pricing.taxAmount);
+    if (taxes.length === 0 && !pricing.isTaxExempt && keyedTax > 0) {
+      const base = roundMoney(subtotal - discountAmount);
+      taxes = [{
+        ...taxEngineService.LEGACY_TAX.purchase,
+        rate: base > 0 ? Math.round((keyedTax / base) * 1e6) / 1e6 : 0,
+        base,
+        amount: keyedTax
+      }];
+      taxAmount = keyedTax;
+    }
+
+    return {
+      items: taxedItems,
+      taxes,
+      pricing: {
+        subtotal,
+        discountAmount,
+        taxAmount,
+        isTaxExempt: Boolean(pricing.isTaxExempt),
+        withholdingAmount: result.withholdingAmount,
+        total: roundMoney(subtotal - discountAmount + taxAmount - result.withholdingAmount)
+      }
+    };
+  }
+
+  /**
+   * Record the cost layer for a received line of a FIFO or LIFO product, linked to the
+   * invoice line so landed cost vouchers can find it. The stock movement has already averaged
+   * the receipt in, so the average cost is left alone.
+   * @param {object} item - Invoice line { _id, product, quantity, unitCost }
+   * @param {string} invoiceId - Purchase invoice ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<boolean>} Whether a layer was added
+   */
+  async addCostLayer(item, invoiceId, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const product = await Product.findOne({ _id: item.product, tenantId }).select('costingMethod');
+    if (!product || !['fifo', 'lifo'].includes(product.costingMethod)) {
+      return false;
+    }
+    await costingService.addFIFOBatch(item.product, item.quantity, item.unitCost, tenantId, new Date(), null, {
+      purchaseInvoice: invoiceId,
+      invoiceItem: item._id,
+      updateAverage: false
+    });
+    return true;
+  }
 }
 
 module.exports = new PurchaseInvoiceService();
@@ -0,0 +1,598 @@
+const Quotation = require('../models/Quotation');
+const Customer = require('../models/Customer');
+const Product = require('../models/Product');
+const SalesOrder = require('../models/SalesOrder');
+const taxEngineService = require('./taxEngineService');
+const salesService = require('./salesService');
+const priceListService = require('./priceListService');
+const stockReservationService = require('./stockReservationService');
+const emailChannel = require('./notificationChannels/emailChannel');
+const logger = require('../utils/logger');
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const DEFAULT_VALIDITY_DAYS = 30;
+
+// Statuses a quotation can still be changed in; anything but a draft is changed by a new revision
+const REVISABLE_STATUSES = ['draft', 'sent', 'rejected', 'expired'];
+
+// Last moment of the given day; a quotation is valid through its validUntil date
+const endOfDay = (value) => {
+  const date = new Date(value);
+  date.setHours(23, 59, 59, 999);
+  return date;
+};
+
+class QuotationService {
+  /**
+   * List quotations (without their revision history)
+   * @param {object} filters - { status, customer, search, page, limit }
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<{quotations: Array, pagination: object}>}
+   */
+  async getQuotations(filters = {}, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const { status, customer, search, page = 1, limit = 20 } = filters;
+    const query = { tenantId };
+    if (status) query.status = status;
+    if (customer) query.customer = customer;
+    if (search) {
+      query.quotationNumber = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+
+    const [quotations, total] = await Promise.all([
+      Quotation.find(query)
+        .select('-revisions')
+        .populate('customer', 'businessName name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Quotation.countDocuments(query)
+    ]);
+
+    return {
+      quotations,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Get a quotation with its revision history
+   * @param {string} id - Quotation ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<Quotation>}
+   */
+  async getQuotation(id, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const quotation = await Quotation.findOne({ _id: id, tenantId })
+      .populate('customer', 'businessName name email phone businessType')
+      .populate('items.product', 'name sku')
+      .populate('createdBy', 'firstName lastName');
+    if (!quotation) {
+      throw new Error('Quotation not found');
+    }
+    return quotation;
+  }
+
+  /**
+   * Create a draft quotation. Prices default to the customer's price level and discount,
+   * and are fixed from here on.
+   * @param {object} data - { customer, items: [{ product, quantity, unitPrice?, discountPercent?, description? }], validUntil?, isTaxExempt?, notes?, terms? }
+   * @param {string} userId - User creating the quotation
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<Quotation>}
+   */
+  async createQuotation(data, userId, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const customer = await this.findCustomer(data.customer, tenantId);
+    const issueDate = data.issueDate ? new Date(data.issueDate) : new Date();
+    const validUntil = data.validUntil
+      ? endOfDay(data.validUntil)
+      : endOfDay(new Date(issueDate.getTime() + DEFAULT_VALIDITY_DAYS * 24 * 60 * 60 * 1000));
+    this.assertValidity(validUntil, issueDate);
+
+    const quotation = new Quotation({
+      tenantId,
+      customer: customer._id,
+      issueDate,
+      validUntil,
+      isTaxExempt: Boolean(data.isTaxExempt),
+      notes: data.notes,
+      terms: data.terms,
+      createdBy: userId,
+      updatedBy: userId
+    });
+    await this.priceItems(quotation, data.items, customer, tenantId);
+    await quotation.save();
+    return quotation;
+  }
+
+  /**
+   * Change a quotation. A draft is edited in place; a quotation the customer has already
+   * seen is archived as a revision and comes back as a new draft revision.
+   * @param {string} id - Quotation ID
+   * @param {object} data - Fields as for createQuotation, plus an optional revision reason
+   * @param {string} userId - User making the change
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<Quotation>}
+   */
+  async updateQuotation(id, data, userId, tenantId) {
+    const quotation = await this.getQuotation(id, tenantId);
+    if (!REVISABLE_STATUSES.includes(quotation.status)) {
+      throw new Error('Only draft, sent, rejected or expired quotations can be changed');
+    }
+
+    if (quotation.status !== 'draft') {
+      quotation.revisions.push({
+        revision: quotation.revision,
+        status: quotation.status,
+        items: quotation.items.map(item => item.toObject()),
+        subtotal: quotation.subtotal,
+        discountAmount: quotation.discountAmount,
+        taxAmount: quotation.taxAmount,
+        total: quotation.total,
+        validUntil: quotation.validUntil,
+        sentAt: quotation.sentAt,
+        response: quotation.response?.decision ? quotation.response.toObject() : undefined,
+        reason: data.reason,
+        revisedBy: userId
+      });
+      quotation.revision += 1;
+      quotation.status = 'draft';
+      quotation.issueDate = new Date();
+      quotation.sentAt = undefined;
+      quotation.sentTo = undefined;
+      quotation.response = undefined;
+    }
+
+    if (data.validUntil !== undefined) {
+      quotation.validUntil = endOfDay(data.validUntil);
+    }
+    this.assertValidity(quotation.validUntil, quotation.issueDate);
+    ['notes', 'terms'].forEach((field) => {
+      if (data[field] !== undefined) quotation[field] = data[field];
+    });
+    if (data.isTaxExempt !== undefined) {
+      quotation.isTaxExempt = Boolean(data.isTaxExempt);
+    }
+
+    const customer = await this.findCustomer(data.customer || quotation.customer._id, tenantId);
+    quotation.customer = customer._id;
+    // Lines keep the prices they were quoted at unless new lines are given
+    const items = data.items || quotation.items.map(item => ({
+      product: item.product._id || item.product,
+      description: item.description,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      priceList: item.priceList,
+      discountPercent: item.discountPercent
+    }));
+    await this.priceItems(quotation, items, customer, tenantId);
+    quotation.updatedBy = userId;
+    await quotation.save();
+    return quotation;
+  }
+
+  /**
+   * Email the quotation PDF to the customer and mark it sent
+   * @param {string} id - Quotation ID
+   * @param {object} options - { to?, message?, templateId? }; to defaults to the customer's email
+   * @param {string} userId - User sending the quotation
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<Quotation>}
+   */
+  async sendQuotation(id, options = {}, userId, tenantId) {
+    const quotation = await this.getQuotation(id, tenantId);
+    if (!['draft', 'sent'].includes(quotation.status)) {
+      throw new Error('Only draft or sent quotations can be sent');
+    }
+    if (quotation.isExpired()) {
+      throw new Error('Quotation has expired');
+    }
+    const to = options.to || quotation.customer?.email;
+    if (!to) {
+      throw new Error('Customer has no email address');
+    }
+
+    // Lazy require: documentTemplateService loads quotations for printing
+    const documentTemplateService = require('./documentTemplateService');
+    const { buffer, filename } = await documentTemplateService.renderDocument('quotation', quotation._id, tenantId, {
+      templateId: options.templateId
+    });
+    await emailChannel.sendMessage({
+      to,
+      subject: `Quotation ${quotation.displayNumber}`,
+      body: options.message ||
+        `Please find attached quotation ${quotation.displayNumber}, valid until ${quotation.validUntil.toISOString().slice(0, 10)}.`,
+      attachments: [{ filename, contentType: 'application/pdf', content: buffer }]
+    });
+
+    quotation.status = 'sent';
+    quotation.sentAt = new Date();
+    quotation.sentTo = to;
+    quotation.updatedBy = userId;
+    await quotation.save();
+    return quotation;
+  }
+
+  /**
+   * Record the customer's acceptance or rejection. Acceptance holds the quoted stock
+   * until the quotation is converted or runs out; nothing is held before that.
+   * @param {string} id - Quotation ID
+   * @param {object} response - { decision: 'accepted'|'rejected', contactName?, note? }
+   * @param {string} userId - User recording the response
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<Quotation>}
+   */
+  async respondToQuotation(id, response, userId, tenantId) {
+    const quotation = await this.getQuotation(id, tenantId);
+    if (!['draft', 'sent'].includes(quotation.status)) {
+      throw new Error('Only draft or sent quotations can be accepted or rejected');
+    }
+    if (response.decision === 'accepted' && quotation.isExpired()) {
+      throw new Error('Quotation has expired');
+    }
+
+    if (response.decision === 'accepted') {
+      await this.reserveStock(quotation, userId, tenantId);
+    }
+    quotation.status = response.decision;
+    quotation.response = {
+      decision: response.decision,
+      respondedAt: new Date(),
+      contactName: response.contactName,
+      note: response.note,
+      recordedBy: userId
+    };
+    quotation.updatedBy = userId;
+    try {
+      await quotation.save();
+    } catch (error) {
+      if (response.decision === 'accepted') {
+        await this.releaseStock(quotation, tenantId);
+      }
+      throw error;
+    }
+    return quotation;
+  }
+
+  /**
+   * Turn an accepted quotation into a draft sales order at the quoted prices and discounts.
+   * The quotation's stock hold is released; the order takes stock when it is confirmed.
+   * @param {string} id - Quotation ID
+   * @param {object} options - { expectedDelivery? }
+   * @param {string} userId - User converting the quotation
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<{quotation: Quotation, salesOrder: SalesOrder}>}
+   */
+  async convertToSalesOrder(id, options = {}, userId, tenantId) {
+    const quotation = await this.getConvertible(id, tenantId);
+
+    const salesOrder = new SalesOrder({
+      tenantId,
+      soNumber: SalesOrder.generateSONumber(),
+      customer: quotation.customer._id || quotation.customer,
+      items: quotation.items.map(item => ({
+        product: item.product._id || item.product,
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        priceList: item.priceList,
+        discountPercent: item.discountPercent,
+        totalPrice: roundMoney(item.subtotal - item.discountAmount),
+        remainingQuantity: item.quantity
+      })),
+      subtotal: roundMoney(quotation.subtotal - quotation.discountAmount),
+      tax: quotation.taxAmount,
+      isTaxExempt: quotation.isTaxExempt,
+      total: quotation.total,
+      expectedDelivery: options.expectedDelivery,
+      notes: quotation.notes ? `${quotation.displayNumber}: ${quotation.notes}` : `From quotation ${quotation.displayNumber}`,
+      terms: quotation.terms,
+      quotation: quotation._id,
+      createdBy: userId
+    });
+    await salesOrder.save();
+
+    await this.releaseStock(quotation, tenantId);
+    await this.markConverted(quotation, {
+      documentType: 'sales_order',
+      documentId: salesOrder._id,
+      documentNumber: salesOrder.soNumber
+    }, userId);
+    return { quotation, salesOrder };
+  }
+
+  /**
+   * An accepted quotation that has not been converted yet
+   * @param {string} id - Quotation ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<Quotation>}
+   */
+  async getConvertible(id, tenantId) {
+    const quotation = await this.getQuotation(id, tenantId);
+    if (quotation.status === 'converted') {
+      throw new Error(`Quotation already converted to ${quotation.convertedTo.documentNumber}`);
+    }
+    if (quotation.status !== 'accepted') {
+      throw new Error('Only accepted quotations can be converted');
+    }
+    return quotation;
+  }
+
+  /**
+   * Sale lines for invoicing a quotation, at the quoted prices and discounts
+   * @param {Quotation} quotation - Quotation being invoiced
+   * @returns {Array<{product: string, quantity: number, unitPrice: number, discountPercent: number}>}
+   */
+  saleItems(quotation) {
+    return quotation.items.map(item => ({
+      product: String(item.product._id || item.product),
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      priceList: item.priceList || null,
+      discountPercent: item.discountPercent
+    }));
+  }
+
+  /**
+   * Quantity of a product held for a quotation
+   * @param {Quotation} quotation - Quotation holding stock
+   * @param {string} productId - Product ID
+   * @returns {number}
+   */
+  heldQuantity(quotation, productId) {
+    return (quotation.reservations || [])
+      .filter(reservation => String(reservation.product) === String(productId))
+      .reduce((sum, reservation) => sum + reservation.quantity, 0);
+  }
+
+  /**
+   * Claim an accepted quotation for the sale being written in `session` and release the stock
+   * it holds for that sale to take. A concurrent sale finds it claimed; if the sale aborts, the
+   * quotation stays accepted with its hold.
+   * @param {Quotation} quotation - Accepted quotation
+   * @param {string} userId - User converting the quotation
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @param {object} session - Transaction session of the sale
+   * @returns {Promise<Quotation>}
+   */
+  async claimForSale(quotation, userId, tenantId, session) {
+    const claimed = await Quotation.findOneAndUpdate(
+      { _id: quotation._id, tenantId, status: 'accepted' },
+      { $set: { status: 'converting', updatedBy: userId } },
+      { new: true, session }
+    );
+    if (!claimed) {
+      throw new Error('Quotation is already being converted');
+    }
+    await this.releaseStock(quotation, tenantId, session);
+    return quotation;
+  }
+
+  /**
+   * Link a quotation to the document it was converted into
+   * @param {Quotation} quotation - Accepted quotation
+   * @param {object} target - { documentType, documentId, documentNumber }
+   * @param {string} userId - User converting the quotation
+   * @param {object} [session] - Transaction session of the converting document
+   * @returns {Promise<Quotation>}
+   */
+  async markConverted(quotation, target, userId, session) {
+    quotation.status = 'converted';
+    quotation.convertedTo = { ...target, convertedAt: new Date(), convertedBy: userId };
+    quotation.reservations = [];
+    quotation.updatedBy = userId;
+    await quotation.save({ session });
+    return quotation;
+  }
+
+  /**
+   * Cancel a quotation, releasing any stock held for it
+   * @param {string} id - Quotation ID
+   * @param {string} userId - User cancelling the quotation
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<Quotation>}
+   */
+  async cancelQuotation(id, userId, tenantId) {
+    const quotation = await this.getQuotation(id, tenantId);
+    if (['converted', 'cancelled'].includes(quotation.status)) {
+      throw new Error('Converted or cancelled quotations cannot be cancelled');
+    }
+    await this.releaseStock(quotation, tenantId);
+    quotation.status = 'cancelled';
+    quotation.updatedBy = userId;
+    await quotation.save();
+    return quotation;
+  }
+
+  /**
+   * Delete a draft that was never sent
+   * @param {string} id - Quotation ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<void>}
+   */
+  async deleteQuotation(id, tenantId) {
+    const quotation = await this.getQuotation(id, tenantId);
+    if (quotation.status !== 'draft' || quotation.revision > 1) {
+      throw new Error('Only unsent draft quotations can be deleted');
+    }
+    await Quotation.deleteOne({ _id: quotation._id, tenantId });
+  }
+
+  /**
+   * Expire sent and accepted quotations whose validity has passed, releasing held stock
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @param {Date} [asOf] - Reference time (defaults to now)
+   * @returns {Promise<{expired: number}>}
+   */
+  async expireQuotations(tenantId, asOf = new Date()) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const quotations = await Quotation.find({
+      tenantId,
+      status: { $in: ['sent', 'accepted'] },
+      validUntil: { $lt: asOf }
+    });
+
+    let expired = 0;
+    for (const quotation of quotations) {
+      try {
+        await this.releaseStock(quotation, tenantId);
+        quotation.status = 'expired';
+        await quotation.save();
+        expired++;
+      } catch (error) {
+        logger.error(`Could not expire quotation ${quotation.quotationNumber}:`, error);
+      }
+    }
+    return { expired };
+  }
+
+  /**
+   * Hold the quoted quantities until the end of the validity date. Holds already placed
+   * are released again if any line cannot be reserved.
+   * @param {Quotation} quotation - Quotation being accepted
+   * @param {string} userId - User accepting the quotation
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<Array>} Reservations placed
+   */
+  async reserveStock(quotation, userId, tenantId) {
+    const expiresInMinutes = Math.max(1, Math.ceil((quotation.validUntil.getTime() - Date.now()) / 60000));
+    const reservations = [];
+    try {
+      for (const [index, item] of quotation.items.entries()) {
+        const productId = item.product._id || item.product;
+        const reservation = await stockReservationService.reserveStock(productId, item.quantity, {
+          userId,
+          tenantId,
+          expiresInMinutes,
+          referenceType: 'quotation',
+          referenceId: quotation._id,
+          reservationId: `${quotation.quotationNumber}-${quotation.revision}-${index + 1}`
+        });
+        reservations.push({ product: productId, reservationId: reservation.reservationId, quantity: item.quantity });
+      }
+    } catch (error) {
+      quotation.reservations = reservations;
+      await this.releaseStock(quotation, tenantId);
+      const product = quotation.items[reservations.length]?.product;
+      throw new Error(`Cannot hold stock for ${product?.name || 'a quoted product'}: ${error.message}`);
+    }
+    quotation.reservations = reservations;
+    return reservations;
+  }
+
+  /**
+   * Release the stock held for a quotation. Holds that already lapsed are skipped; other
+   * failures are only logged unless the release is part of a transaction.
+   * @param {Quotation} quotation - Quotation holding stock
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @param {object} [session] - Optional transaction session
+   * @returns {Promise<void>}
+   */
+  async releaseStock(quotation, tenantId, session) {
+    for (const reservation of quotation.reservations || []) {
+      try {
+        await stockReservationService.releaseReservation(reservation.product, reservation.reservationId, tenantId, session);
+      } catch (error) {
+        if (error.message === 'Reservation not found') continue;
+        // Inside a sale's transaction the hold has to come off with the stock
+        if (session) throw error;
+        logger.warn(`Could not release ${reservation.reservationId} for quotation ${quotation.quotationNumber}: ${error.message}`);
+      }
+    }
+    quotation.reservations = [];
+  }
+
+  /**
+   * @private
+   */
+  async findCustomer(customerId, tenantId) {
+    const customer = await Customer.findOne({ _id: customerId, tenantId });
+    if (!customer) {
+      throw new Error('Customer not found');
+    }
+    return customer;
+  }
+
+  /**
+   * @private
+   */
+  assertValidity(validUntil, issueDate) {
+    if (Number.isNaN(validUntil.getTime()) || validUntil < endOfDay(issueDate)) {
+      throw new Error('Valid until date must be on or after the issue date');
+    }
+  }
+
+  /**
+   * Price quotation lines the way a sale would and total them with the tax engine
+   * @private
+   */
+  async priceItems(quotation, items = [], customer, tenantId) {
+    if (items.length === 0) {
+      throw new Error('A quotation needs at least one item');
+    }
+    const productIds = [...new Set(items.map(item => String(item.product)))];
+    const products = await Product.find({ _id: { $in: productIds }, tenantId });
+    const productById = new Map(products.map(product => [String(product._id), product]));
+    const customerDiscount = customer.getEffectiveDiscount ? customer.getEffectiveDiscount() : 0;
+    const priceLists = await priceListService.getApplicableLists(customer, tenantId, quotation.issueDate || new Date());
+
+    const lines = [];
+    for (const item of items) {
+      const product = productById.get(String(item.product));
+      if (!product) {
+        throw new Error(`Product ${item.product} not found`);
+      }
+      const quantity = Number(item.quantity);
+      const { unitPrice, priceList } = item.unitPrice !== undefined && item.unitPrice !== null
+        ? { unitPrice: Number(item.unitPrice), priceList: item.priceList || null }
+        : await salesService.resolveUnitPrice(product, quantity, customer, tenantId, priceLists);
+      const discountPercent = Math.max(Number(item.discountPercent) || 0, customerDiscount || 0);
+      const subtotal = roundMoney(quantity * unitPrice);
+      lines.push({
+        product: product._id,
+        description: item.description || product.name,
+        quantity,
+        unitPrice,
+        priceList,
+        discountPercent,
+        taxRate: product.taxSettings?.taxRate || 0,
+        taxGroup: product.taxSettings?.taxGroup || undefined,
+        priceIncludesTax: Boolean(product.taxSettings?.priceIncludesTax),
+        subtotal,
+        discountAmount: roundMoney(subtotal * (discountPercent / 100))
+      });
+    }
+
+    const taxResult = await taxEngineService.calculate({
+      lines: lines.map(line => ({
+        amount: line.subtotal - line.discountAmount,
+        taxGroup: line.taxGroup,
+        taxRate: line.taxRate,
+        priceIncludesTax: line.priceIncludesTax
+      })),
+      direction: 'sales',
+      customerCategory: customer.taxCategory,
+      isTaxExempt: quotation.isTaxExempt
+    }, tenantId);
+    lines.forEach((line, index) => taxEngineService.applyToLine(line, taxResult.lines[index]));
+
+    quotation.items = lines;
+    quotation.taxes = taxResult.taxes;
+    quotation.subtotal = roundMoney(lines.reduce((sum, line) => sum + line.subtotal, 0));
+    quotation.discountAmount = roundMoney(lines.reduce((sum, line) => sum + line.discountAmount, 0));
+    quotation.taxAmount = taxResult.taxAmount;
+    quotation.withholdingAmount = taxResult.withholdingAmount;
+    quotation.total = roundMoney(quotation.subtotal - quotation.discountAmount + quotation.taxAmount - quotation.withholdingAmount);
+  }
+}
+
+module.exports = new QuotationService();
@@ -0,0 +1,727 @@
+const RecurringJournal = require('../models/RecurringJournal');
+const JournalVoucher = require('../models/JournalVoucher');
+const Counter = require('../models/Counter');
+const chartOfAccountsRepository = require('../repositories/ChartOfAccountsRepository');
+const periodValidationService = require('./periodValidationService');
+const { runWithTransactionRetry } = require('./transactionUtils');
+const logger = require('../utils/logger');
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Most occurrences one run will catch up on for a single template
+const MAX_CATCH_UP = 24;
+// How far ahead a custom cron schedule is searched for its next match
+const CRON_SEARCH_DAYS = 366 * 5;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const FORMULA_FUNCTIONS = {
+  round: (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places,
+  min: Math.min,
+  max: Math.max,
+  abs: Math.abs
+};
+
+const daysInMonth = (date) => new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+
+/**
+ * `date` moved on by whole months, clamped to the last day of shorter months
+ */
+const addMonths = (date, months, anchorDay = date.getDate()) => {
+  const target = new Date(date.getTime());
+  target.setDate(1);
+  target.setMonth(target.getMonth() + months);
+  target.setDate(Math.min(anchorDay, daysInMonth(target)));
+  return target;
+};
+
+/**
+ * Values a cron field matches, e.g. '1-5', '*\/15', '0,30'
+ */
+const parseCronField = (text, { name, min, max }) => {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid cron ${name}: ${part}`);
+    }
+    const step = match[2] ? Number(match[2]) : 1;
+    let from = min;
+    let end = max;
+    if (match[1] !== '*') {
+      [from, end] = match[1].split('-').map(Number);
+      // A single value with a step ('5/15') runs to the end of the range
+      if (end === undefined) end = match[2] ? max : from;
+    }
+    if (from < min || end > max || from > end || step < 1) {
+      throw new Error(`Invalid cron ${name}: ${part}`);
+    }
+    for (let value = from; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+};
+
+class RecurringJournalService {
+  /**
+   * Parse a five-field cron expression (minute hour day-of-month month day-of-week)
+   * @param {string} expression - Cron expression
+   * @returns {object} Sets of matching values per field
+   */
+  parseCron(expression) {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== 5) {
+      throw new Error('Cron schedule needs five fields: minute hour day-of-month month day-of-week');
+    }
+    const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+    if (weekdays.has(7)) {
+      weekdays.add(0);
+    }
+    return {
+      minutes,
+      hours,
+      days,
+      months,
+      weekdays,
+      // Standard cron: when both day fields are restricted either one matching is enough
+      anyDay: parts[2] !== '*' && parts[4] !== '*'
+    };
+  }
+
+  /**
+   * First time after `after` that a cron expression matches
+   * @param {string} expression - Cron expression
+   * @param {Date} after - Exclusive lower bound
+   * @returns {Date|null} null when nothing matches within five years
+   */
+  nextCronDate(expression, after) {
+    const cron = typeof expression === 'string' ? this.parseCron(expression) : expression;
+    const hours = [...cron.hours].sort((a, b) => a - b);
+    const minutes = [...cron.minutes].sort((a, b) => a - b);
+    const from = new Date(after.getTime());
+    from.setSeconds(0, 0);
+    from.setMinutes(from.getMinutes() + 1);
+
+    const day = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+    for (let i = 0; i < CRON_SEARCH_DAYS; i++, day.setDate(day.getDate() + 1)) {
+      const dayOfMonth = cron.days.has(day.getDate());
+      const dayOfWeek = cron.weekdays.has(day.getDay());
+      if (!cron.months.has(day.getMonth() + 1) || !(cron.anyDay ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek)) {
+        continue;
+      }
+      for (const hour of hours) {
+        for (const minute of minutes) {
+          const candidate = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, minute);
+          if (candidate >= from) {
+            return candidate;
+          }
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Date of the nth occurrence (0-based) of an interval schedule
+   * @param {object} schedule - { frequency, interval, startDate }
+   * @param {number} n - Occurrence index
+   * @returns {Date}
+   */
+  occurrenceDate(schedule, n) {
+    const start = new Date(schedule.startDate);
+    const steps = n * (schedule.interval || 1);
+    switch (schedule.frequency) {
+      case 'daily': {
+        const date = new Date(start.getTime());
+        date.setDate(date.getDate() + steps);
+        return date;
+      }
+      case 'weekly': {
+        const date = new Date(start.getTime());
+        date.setDate(date.getDate() + steps * 7);
+        return date;
+      }
+      case 'quarterly':
+        return addMonths(start, steps * 3);
+      case 'yearly':
+        return addMonths(start, steps * 12);
+      default:
+        return addMonths(start, steps);
+    }
+  }
+
+  /**
+   * When a template next falls due, or null once its schedule has ended
+   * @param {object} template - Recurring journal (schedule, occurrenceCount, lastRunDate)
+   * @returns {Date|null}
+   */
+  nextRunDate(template) {
+    const { schedule } = template;
+    if (schedule.maxOccurrences && template.occurrenceCount >= schedule.maxOccurrences) {
+      return null;
+    }
+    const next = schedule.frequency === 'custom'
+      ? this.nextCronDate(schedule.cron, template.lastRunDate || new Date(new Date(schedule.startDate).getTime() - 60000))
+      : this.occurrenceDate(schedule, template.occurrenceCount);
+    if (!next || (schedule.endDate && next > schedule.endDate)) {
+      return null;
+    }
+    return next;
+  }
+
+  /**
+   * Evaluate an amount formula. Arithmetic with + - * / and parentheses over the variables
+   * `last`, `amount`, `occurrence` and `days`, and the functions round, min, max, abs and
+   * balance("ACCOUNT_CODE").
+   * @param {string} formula - Formula text
+   * @param {object} variables - Variable values
+   * @param {object} balances - Current balance by account code
+   * @returns {number}
+   */
+  evaluateFormula(formula, variables = {}, balances = {}) {
+    const tokens = String(formula).match(/\d+(?:\.\d+)?|"[^"]*"|'[^']*'|[A-Za-z_]\w*|[-+*/(),]|\S/g) || [];
+    let position = 0;
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const expect = (token) => {
+      if (next() !== token) {
+        throw new Error(`Formula error: expected "${token}" in ${formula}`);
+      }
+    };
+
+    const expression = () => {
+      let value = term();
+      while (peek() === '+' || peek() === '-') {
+        value = next() === '+' ? value + term() : value - term();
+      }
+      return value;
+    };
+    const term = () => {
+      let value = factor();
+      while (peek() === '*' || peek() === '/') {
+        if (next() === '*') {
+          value *= factor();
+        } else {
+          const divisor = factor();
+          if (divisor === 0) {
+            throw new Error(`Formula error: division by zero in ${formula}`);
+          }
+          value /= divisor;
+        }
+      }
+      return value;
+    };
+    const factor = () => {
+      const token = next();
+      if (token === undefined) {
+        throw new Error(`Formula error: unexpected end of ${formula}`);
+      }
+      if (token === '-') return -factor();
+      if (token === '+') return factor();
+      if (token === '(') {
+        const value = expression();
+        expect(')');
+        return value;
+      }
+      if (/^\d/.test(token)) return Number(token);
+      if (/^[A-Za-z_]/.test(token)) {
+        const name = token.toLowerCase();
+        if (peek() !== '(') {
+          if (!(name in variables)) {
+            throw new Error(`Formula error: unknown variable ${token}`);
+          }
+          return Number(variables[name]) || 0;
+        }
+        next();
+        if (name === 'balance') {
+          const code = next();
+          if (!/^["']/.test(code || '')) {
+            throw new Error('Formula error: balance() takes an account code in quotes');
+          }
+          expect(')');
+          return Number(balances[code.slice(1, -1).toUpperCase()]) || 0;
+        }
+        const fn = FORMULA_FUNCTIONS[name];
+        if (!fn) {
+          throw new Error(`Formula error: unknown function ${token}`);
+        }
+        const args = [];
+        if (peek() !== ')') {
+          args.push(expression());
+          while (peek() === ',') {
+            next();
+            args.push(expression());
+          }
+        }
+        expect(')');
+        return fn(...args);
+      }
+      throw new Error(`Formula error: unexpected "${token}" in ${formula}`);
+    };
+
+    const value = expression();
+    if (position < tokens.length) {
+      throw new Error(`Formula error: unexpected "${tokens[position]}" in ${formula}`);
+    }
+    if (!Number.isFinite(value)) {
+      throw new Error(`Formula error: ${formula} is not a number`);
+    }
+    return value;
+  }
+
+  /**
+   * List templates
+   * @param {object} filters - { status, type, page, limit }
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<{templates: Array, pagination: object}>}
+   */
+  async getTemplates(filters = {}, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const { status, type, page = 1, limit = 50 } = filters;
+    const query = { tenantId };
+    if (status) query.status = status;
+    if (type) query.type = type;
+
+    const [templates, total] = await Promise.all([
+      RecurringJournal.find(query)
+        .select('-occurrences')
+        .populate('createdBy', 'firstName lastName')
+        .sort({ status: 1, nextRunDate: 1, name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      RecurringJournal.countDocuments(query)
+    ]);
+
+    return {
+      templates,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Get a template with its generation history
+   * @param {string} id - Template ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<RecurringJournal>}
+   */
+  async getTemplate(id, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const template = await RecurringJournal.findOne({ _id: id, tenantId })
+      .populate('createdBy', 'firstName lastName')
+      .populate('supplier', 'name companyName');
+    if (!template) {
+      throw new Error('Recurring journal not found');
+    }
+    return template;
+  }
+
+  /**
+   * Create a template
+   * @param {object} data - Template fields; lines for journal vouchers, expenseAccount,
+   *   paymentAccount and an amount rule for expenses
+   * @param {string} userId - User creating the template; generated vouchers are raised in their name
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<RecurringJournal>}
+   */
+  async createTemplate(data, userId, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const template = new RecurringJournal({ tenantId, createdBy: userId });
+    await this.applyTemplateData(template, data, tenantId);
+    template.nextRunDate = this.nextRunDate(template);
+    if (!template.nextRunDate) {
+      throw new Error('The schedule has no occurrences before its end date');
+    }
+    return await template.save();
+  }
+
+  /**
+   * Update a template. Schedule changes apply from the next occurrence.
+   * @param {string} id - Template ID
+   * @param {object} data - Fields to change
+   * @param {string} userId - User making the change
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<RecurringJournal>}
+   */
+  async updateTemplate(id, data, userId, tenantId) {
+    const template = await this.getTemplate(id, tenantId);
+    if (template.status === 'completed') {
+      throw new Error('Completed recurring journals cannot be changed');
+    }
+    const current = template.toObject();
+    await this.applyTemplateData(template, { ...current, ...data, schedule: { ...current.schedule, ...data.schedule } }, tenantId);
+    template.updatedBy = userId;
+    template.nextRunDate = this.nextRunDate(template);
+    if (!template.nextRunDate) {
+      template.status = 'completed';
+    }
+    return await template.save();
+  }
+
+  /**
+   * Pause or resume a template
+   * @param {string} id - Template ID
+   * @param {string} status - 'active' or 'paused'
+   * @param {string} userId - User making the change
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<RecurringJournal>}
+   */
+  async setStatus(id, status, userId, tenantId) {
+    const template = await this.getTemplate(id, tenantId);
+    if (template.status === 'completed') {
+      throw new Error('Completed recurring journals cannot be changed');
+    }
+    template.status = status;
+    template.updatedBy = userId;
+    return await template.save();
+  }
+
+  /**
+   * Delete a template that has not generated anything yet
+   * @param {string} id - Template ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   */
+  async deleteTemplate(id, tenantId) {
+    const template = await this.getTemplate(id, tenantId);
+    if (template.occurrenceCount > 0) {
+      throw new Error('Recurring journals that have generated vouchers can be paused but not deleted');
+    }
+    await RecurringJournal.deleteOne({ _id: template._id, tenantId });
+  }
+
+  /**
+   * Upcoming run dates and what the next voucher would come to
+   * @param {string} id - Template ID
+   * @param {number} count - How many dates to list
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<{dates: Date[], entries: Array}>}
+   */
+  async preview(id, count, tenantId) {
+    const template = await this.getTemplate(id, tenantId);
+    const dates = [];
+    const cursor = { schedule: template.schedule, occurrenceCount: template.occurrenceCount, lastRunDate: template.lastRunDate };
+    while (dates.length < count) {
+      const date = this.nextRunDate(cursor);
+      if (!date) break;
+      dates.push(date);
+      cursor.occurrenceCount += 1;
+      cursor.lastRunDate = date;
+    }
+    const entries = dates.length > 0
+      ? (await this.buildEntries(template, dates[0], tenantId)).entries
+      : [];
+    return { dates, entries };
+  }
+
+  /**
+   * Generate every occurrence that has fallen due, catching up on missed runs. An
+   * occurrence that fails (a closed period, a formula error) is recorded on the template
+   * and the schedule moves on.
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @param {Date} asOf - Generate occurrences due on or before this time
+   * @returns {Promise<{templates: number, generated: number, failed: number}>}
+   */
+  async runDue(tenantId, asOf = new Date()) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const templates = await RecurringJournal.find({ tenantId, status: 'active', nextRunDate: { $lte: asOf } });
+    const results = { templates: templates.length, generated: 0, failed: 0 };
+
+    for (const template of templates) {
+      for (let i = 0; i < MAX_CATCH_UP && template.nextRunDate && template.nextRunDate <= asOf; i++) {
+        const occurrence = await this.generateOccurrence(template, template.nextRunDate, tenantId);
+        if (occurrence.status === 'failed') {
+          results.failed += 1;
+        } else {
+          results.generated += 1;
+        }
+        template.lastRunDate = occurrence.scheduledFor;
+        template.occurrenceCount += 1;
+        template.nextRunDate = this.nextRunDate(template);
+        if (!template.nextRunDate) {
+          template.status = 'completed';
+        }
+      }
+      await template.save();
+    }
+
+    return results;
+  }
+
+  /**
+   * Generate a voucher from a template for a given date outside the schedule, e.g. to
+   * redo an occurrence that failed. The schedule is not moved.
+   * @param {string} id - Template ID
+   * @param {Date} date - Voucher date
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>} The occurrence recorded
+   */
+  async generateNow(id, date, tenantId) {
+    const template = await this.getTemplate(id, tenantId);
+    const occurrence = await this.generateOccurrence(template, date, tenantId);
+    await template.save();
+    if (occurrence.status === 'failed') {
+      throw new Error(occurrence.error);
+    }
+    return occurrence;
+  }
+
+  /**
+   * Raise the voucher for one occurrence and record the outcome on the template
+   * @private
+   */
+  async generateOccurrence(template, scheduledFor, tenantId) {
+    let occurrence;
+    try {
+      const voucher = await this.createVoucher(template, scheduledFor, tenantId);
+      occurrence = {
+        scheduledFor,
+        journalVoucher: voucher._id,
+        voucherNumber: voucher.voucherNumber,
+        amount: voucher.totalDebit,
+        status: voucher.status === 'posted' ? 'posted' : 'pending_approval'
+      };
+      template.lastError = undefined;
+    } catch (error) {
+      logger.warn(`Recurring journal ${template.name} failed for ${scheduledFor.toISOString()}: ${error.message}`);
+      occurrence = { scheduledFor, amount: 0, status: 'failed', error: error.message };
+      template.lastError = error.message;
+    }
+    template.occurrences.push(occurrence);
+    return occurrence;
+  }
+
+  /**
+   * Create the journal voucher for an occurrence. It is raised in the name of the
+   * template's author so segregation of duties stops them approving it, goes to approval
+   * in draft mode or at the approval threshold, and is refused in closed or locked periods.
+   * @private
+   */
+  async createVoucher(template, voucherDate, tenantId) {
+    await periodValidationService.validateTransactionDate(voucherDate, tenantId);
+    const { entries, accounts, amounts } = await this.buildEntries(template, voucherDate, tenantId);
+
+    const totalDebit = roundMoney(entries.reduce((sum, entry) => sum + entry.debit, 0));
+    const requiresApproval = template.postingMode === 'draft' || totalDebit >= template.approvalThreshold;
+    const counter = await Counter.findOneAndUpdate(
+      { _id: 'journalVoucherNumber' },
+      { $inc: { seq: 1 } },
+      { upsert: true, new: true }
+    );
+
+    const voucher = await runWithTransactionRetry(async (session) => {
+      const journalVoucher = new JournalVoucher({
+        tenantId,
+        voucherNumber: `JV-${String(counter.seq).padStart(6, '0')}`,
+        voucherDate,
+        reference: template.reference || template.name,
+        description: template.description || template.name,
+        entries,
+        totalDebit,
+        totalCredit: totalDebit,
+        createdBy: template.createdBy,
+        status: requiresApproval ? 'pending_approval' : 'posted',
+        requiresApproval,
+        approvalThreshold: template.approvalThreshold,
+        approvalWorkflow: requiresApproval ? { status: 'pending', approvers: [], currentApproverIndex: 0 } : undefined,
+        metadata: {
+          recurringJournal: template._id,
+          occurrence: template.occurrenceCount + 1,
+          supplier: template.supplier || undefined
+        }
+      });
+      await journalVoucher.save({ session });
+
+      // Account balances move when the voucher is raised, as for manual vouchers
+      for (const entry of entries) {
+        const account = accounts.get(entry.account.toString());
+        const isDebitEntry = entry.debit > 0;
+        const amount = isDebitEntry ? entry.debit : entry.credit;
+        const delta = (account.normalBalance === 'debit') === isDebitEntry ? amount : -amount;
+        await chartOfAccountsRepository.updateBalance(account._id, { $inc: { currentBalance: delta } }, { session, tenantId });
+      }
+      return journalVoucher;
+    });
+
+    template.lines.forEach((line, index) => {
+      line.lastAmount = amounts[index];
+    });
+    return voucher;
+  }
+
+  /**
+   * Work out each line's amount for an occurrence
+   * @private
+   */
+  async buildEntries(template, date, tenantId) {
+    const accountIds = template.lines.map(line => line.account);
+    const found = await chartOfAccountsRepository.findAll({ _id: { $in: accountIds }, tenantId });
+    const accounts = new Map(found.map(account => [account._id.toString(), account]));
+    const balances = Object.fromEntries(found.map(account => [account.accountCode, account.currentBalance]));
+
+    // Accounts a formula reads that are not on the voucher itself
+    const referenced = new Set();
+    for (const line of template.lines) {
+      for (const [, code] of (line.formula || '').matchAll(/balance\(\s*["']([^"']+)["']\s*\)/gi)) {
+        if (!(code.toUpperCase() in balances)) referenced.add(code.toUpperCase());
+      }
+    }
+    if (referenced.size > 0) {
+      const others = await chartOfAccountsRepository.findAll({ accountCode: { $in: [...referenced] }, tenantId });
+      others.forEach(account => { balances[account.accountCode] = account.currentBalance; });
+    }
+
+    const variables = { occurrence: template.occurrenceCount + 1, days: daysInMonth(new Date(date)) };
+    const amounts = template.lines.map(line => {
+      if (line.amountType === 'balance') return null;
+      const amount = line.amountType === 'formula'
+        ? this.evaluateFormula(line.formula, { ...variables, amount: line.amount, last: line.lastAmount ?? line.amount }, balances)
+        : line.amountType === 'last_value' ? (line.lastAmount ?? line.amount) : line.amount;
+      if (amount < 0) {
+        throw new Error(`${line.accountName || line.accountCode} came to a negative amount (${roundMoney(amount)})`);
+      }
+      return roundMoney(amount);
+    });
+
+    const signed = template.lines.reduce((sum, line, index) => sum + (amounts[index] || 0) * (line.side === 'debit' ? 1 : -1), 0);
+    const balanceIndex = template.lines.findIndex(line => line.amountType === 'balance');
+    if (balanceIndex >= 0) {
+      const balancing = roundMoney(template.lines[balanceIndex].side === 'debit' ? -signed : signed);
+      if (balancing < 0) {
+        throw new Error(`The balancing line on ${template.lines[balanceIndex].accountName || template.lines[balanceIndex].accountCode} would be negative`);
+      }
+      amounts[balanceIndex] = balancing;
+    } else if (Math.abs(signed) > 0.005) {
+      throw new Error(`Debits and credits differ by ${roundMoney(Math.abs(signed))}`);
+    }
+
+    const entries = [];
+    template.lines.forEach((line, index) => {
+      const account = accounts.get(line.account.toString());
+      if (!account) {
+        throw new Error(`Account ${line.accountCode || line.account} not found`);
+      }
+      if (amounts[index] > 0) {
+        entries.push({
+          account: account._id,
+          accountCode: account.accountCode,
+          accountName: account.accountName,
+          particulars: line.particulars || template.name,
+          debit: line.side === 'debit' ? amounts[index] : 0,
+          credit: line.side === 'credit' ? amounts[index] : 0
+        });
+      }
+    });
+    if (entries.length < 2) {
+      throw new Error('Nothing to post: the lines came to zero');
+    }
+    return { entries, accounts, amounts };
+  }
+
+  /**
+   * Validate and copy template fields, resolving accounts
+   * @private
+   */
+  async applyTemplateData(template, data, tenantId) {
+    const type = data.type || 'journal_voucher';
+    let lines = data.lines || [];
+    if (type === 'expense') {
+      if (!data.expenseAccount || !data.paymentAccount) {
+        throw new Error('Expense templates need an expense account and a payment account');
+      }
+      // The amount rule comes with the request, or from the expense line when only other fields change
+      const rule = ['amountType', 'amount', 'formula'].some(key => data[key] !== undefined)
+        ? data
+        : (data.lines || []).find(line => String(line.account) === String(data.expenseAccount)) || data;
+      lines = [
+        { account: data.expenseAccount, side: 'debit', amountType: rule.amountType || 'fixed', amount: rule.amount, formula: rule.formula, lastAmount: rule.lastAmount },
+        { account: data.paymentAccount, side: 'credit', amountType: 'balance' }
+      ];
+    }
+
+    if (lines.length < 2 || !lines.some(line => line.side === 'debit') || !lines.some(line => line.side === 'credit')) {
+      throw new Error('A recurring journal needs at least one debit and one credit line');
+    }
+    if (lines.filter(line => line.amountType === 'balance').length > 1) {
+      throw new Error('Only one line can take the balancing amount');
+    }
+
+    const accountIds = [...new Set(lines.map(line => String(line.account)))];
+    const accounts = await chartOfAccountsRepository.findAll({ _id: { $in: accountIds }, tenantId });
+    if (accounts.length !== accountIds.length) {
+      throw new Error('One or more selected accounts were not found.');
+    }
+    const byId = new Map(accounts.map(account => [account._id.toString(), account]));
+
+    template.lines = lines.map(line => {
+      const account = byId.get(String(line.account));
+      const amountType = line.amountType || 'fixed';
+      if (amountType === 'formula') {
+        if (!line.formula) {
+          throw new Error(`Give a formula for ${account.accountName}`);
+        }
+        // Catch syntax errors now rather than at the first run
+        this.evaluateFormula(line.formula, { last: 0, amount: 0, occurrence: 1, days: 30 }, {});
+      }
+      if (amountType === 'fixed' && !(line.amount > 0)) {
+        throw new Error(`Give an amount for ${account.accountName}`);
+      }
+      return {
+        account: account._id,
+        accountCode: account.accountCode,
+        accountName: account.accountName,
+        side: line.side,
+        amountType,
+        amount: Number(line.amount) || 0,
+        formula: amountType === 'formula' ? line.formula : undefined,
+        particulars: line.particulars,
+        lastAmount: line.lastAmount
+      };
+    });
+
+    const schedule = { interval: 1, ...data.schedule };
+    if (!schedule.startDate) {
+      throw new Error('Give a start date');
+    }
+    if (schedule.frequency === 'custom') {
+      this.parseCron(schedule.cron);
+    }
+    if (schedule.endDate && new Date(schedule.endDate) < new Date(schedule.startDate)) {
+      throw new Error('End date is before the start date');
+    }
+
+    template.name = data.name;
+    template.description = data.description;
+    template.type = type;
+    template.expenseAccount = type === 'expense' ? data.expenseAccount : undefined;
+    template.paymentAccount = type === 'expense' ? data.paymentAccount : undefined;
+    template.supplier = data.supplier || undefined;
+    template.schedule = {
+      frequency: schedule.frequency || 'monthly',
+      interval: schedule.interval,
+      cron: schedule.frequency === 'custom' ? schedule.cron : undefined,
+      startDate: schedule.startDate,
+      endDate: schedule.endDate || undefined,
+      maxOccurrences: schedule.maxOccurrences || undefined
+    };
+    template.postingMode = data.postingMode || 'draft';
+    if (data.approvalThreshold !== undefined) template.approvalThreshold = data.approvalThreshold;
+    template.reference = data.reference;
+  }
+}
+
+module.exports = new RecurringJournalService();
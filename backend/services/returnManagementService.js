@@ -7,9 +7,15 @@ const Product = require('../models/Product');
 const Inventory = require('../models/Inventory');
 const Transaction = require('../models/Transaction');
 const Customer = require('../models/Customer');
+const Payment = require('../models/Payment');
+const GiftCard = require('../models/GiftCard');
 const CustomerBalanceService = require('../services/customerBalanceService');
 const ReturnRepository = require('../repositories/ReturnRepository');
 const SalesRepository = require('../repositories/SalesRepository');
+const TillSessionRepository = require('../repositories/TillSessionRepository');
+const giftCardService = require('./giftCardService');
+const taxEngineService = require('./taxEngineService');
+const journalEntryService = require('./journalEntryService');
 const logger = require('../utils/logger');
 
 class ReturnManagementService {
@@ -69,6 +75,12 @@ class ReturnManagementService {
 
         // Validate return items
         await this.validateReturnItems(originalOrder, returnData.items);
+
+        // A chosen store credit account must be able to take the credit
+        if (returnData.refundMethod === 'store_credit' && returnData.storeCredit?.code) {
+          const card = await giftCardService.findCard(returnData.storeCredit.code, originalOrder.tenantId);
+          giftCardService.validateCredit(card, originalOrder.customer?._id || originalOrder.customer);
+        }
       }
 
       // Create return object
@@ -78,7 +90,8 @@ class ReturnManagementService {
         supplier: isPurchaseReturn ? (originalOrder.supplier?._id || originalOrder.supplier) : null,
         requestedBy,
         returnDate: new Date(),
-        status: 'pending'
+        status: 'pending',
+        storeCredit: returnData.storeCredit?.code ? { code: returnData.storeCredit.code } : undefined
       });
 
       // Ensure policy object exists before any calculations
@@ -87,7 +100,7 @@ class ReturnManagementService {
       }
 
       // Calculate refund amounts
-      await this.calculateRefundAmounts(returnRequest);
+      await this.calculateRefundAmounts(returnRequest, originalOrder);
       
       logger.info('Return amounts after calculation:', {
         totalRefundAmount: returnRequest.totalRefundAmount,
@@ -202,10 +215,18 @@ class ReturnManagementService {
     }
   }
 
-  // Calculate refund amounts for return items
-  async calculateRefundAmounts(returnRequest) {
+  // Calculate refund amounts for return items. With the original order, tax is refunded
+  // pro rata from the original line and tax-inclusive prices are refunded net plus tax.
+  async calculateRefundAmounts(returnRequest, originalOrder = null) {
     logger.info('Calculating refund amounts for return items...');
     for (const item of returnRequest.items) {
+      const originalItem = originalOrder?.items?.find(orderItem =>
+        item.originalOrderItem && orderItem._id.toString() === item.originalOrderItem.toString()
+      );
+      if (originalItem?.priceIncludesTax) {
+        item.originalPrice = Math.round((item.originalPrice / (1 + (Number(originalItem.taxRate) || 0))) * 100) / 100;
+      }
+
       logger.info(`Processing item: ${item.product}, originalPrice: ${item.originalPrice}, quantity: ${item.quantity}`);
       
       // Calculate restocking fee based on condition and policy
@@ -222,6 +243,12 @@ class ReturnManagementService {
       
       // Calculate refund amount
       item.refundAmount = (item.originalPrice * item.quantity) - item.restockingFee;
+
+      if (originalItem && originalItem.quantity > 0) {
+        item.taxes = taxEngineService.prorate(originalItem.taxes || [], item.quantity / originalItem.quantity);
+        item.taxAmount = item.taxes.filter(tax => !tax.withholding).reduce((sum, tax) => sum + tax.amount, 0);
+        item.withholdingAmount = item.taxes.filter(tax => tax.withholding).reduce((sum, tax) => sum + tax.amount, 0);
+      }
       
       logger.info(`Calculated amounts - refundAmount: ${item.refundAmount}, restockingFee: ${item.restockingFee}`);
     }
@@ -369,7 +396,7 @@ class ReturnManagementService {
 
       // Process refund or exchange
       if (returnRequest.returnType === 'return') {
-        await this.processRefund(returnRequest);
+        await this.processRefund(returnRequest, receivedBy);
       } else if (returnRequest.returnType === 'exchange') {
         await this.processExchange(returnRequest);
       }
@@ -423,8 +450,20 @@ class ReturnManagementService {
   }
 
   // Process refund
-  async processRefund(returnRequest) {
+  async processRefund(returnRequest, processedBy = null) {
     try {
+      const tenantId = returnRequest.originalOrder?.tenantId;
+
+      // Cash refunds come out of the processing user's open till drawer
+      if (returnRequest.refundMethod === 'cash' && processedBy && !returnRequest.tillSession) {
+        const tillSession = tenantId
+          ? await TillSessionRepository.findOpenSessionByUser(processedBy, { tenantId })
+          : null;
+        if (tillSession) {
+          returnRequest.tillSession = tillSession._id;
+        }
+      }
+
       // Create refund transaction
       const refundTransaction = new Transaction({
         transactionId: `REF-${Date.now()}`,
@@ -443,6 +482,21 @@ class ReturnManagementService {
 
       await refundTransaction.save();
 
+      // Value refunded onto store credit or back onto gift cards does not touch the customer balance
+      let refundedToCards = 0;
+      if (returnRequest.refundMethod === 'store_credit') {
+        const card = await giftCardService.issueStoreCredit({
+          customer: returnRequest.customer,
+          amount: returnRequest.netRefundAmount,
+          returnId: returnRequest._id,
+          code: returnRequest.storeCredit?.code
+        }, processedBy, tenantId);
+        returnRequest.storeCredit = { giftCard: card._id, code: card.code, amount: returnRequest.netRefundAmount };
+        refundedToCards = Number(returnRequest.netRefundAmount) || 0;
+      } else if (returnRequest.refundMethod === 'original_payment') {
+        refundedToCards = await this.refundGiftCardPayments(returnRequest, processedBy, tenantId);
+      }
+
       // Update return with refund details
       returnRequest.refundDetails = {
         refundTransaction: refundTransaction._id,
@@ -452,16 +506,36 @@ class ReturnManagementService {
 
       await returnRequest.save();
 
+      // Refunded tax comes off the tax accounts: output tax on sales returns, input tax on purchase returns
+      if (tenantId && returnRequest.totalTaxAmount + returnRequest.totalWithholdingAmount > 0) {
+        try {
+          const taxEntry = await journalEntryService.createReturnTaxEntries(returnRequest, {
+            tenantId,
+            createdBy: await journalEntryService.resolveCreatedBy(tenantId, processedBy)
+          });
+          if (taxEntry) {
+            returnRequest.taxJournalEntry = taxEntry._id;
+            await returnRequest.save();
+          }
+        } catch (taxErr) {
+          // Log but do not fail the whole return completion
+          logger.error('Error posting return tax entries:', taxErr);
+        }
+      }
+
       // Adjust customer balance (credit note behavior)
-      try {
-        await CustomerBalanceService.recordRefund(
-          returnRequest.customer,
-          Number(returnRequest.netRefundAmount) || 0,
-          returnRequest.originalOrder
-        );
-      } catch (balanceErr) {
-        // Log but do not fail the whole return completion
-        logger.error('Error updating customer balance for return refund:', balanceErr);
+      const balanceRefund = (Number(returnRequest.netRefundAmount) || 0) - refundedToCards;
+      if (balanceRefund > 0) {
+        try {
+          await CustomerBalanceService.recordRefund(
+            returnRequest.customer,
+            balanceRefund,
+            returnRequest.originalOrder
+          );
+        } catch (balanceErr) {
+          // Log but do not fail the whole return completion
+          logger.error('Error updating customer balance for return refund:', balanceErr);
+        }
       }
 
       return refundTransaction;
@@ -471,6 +545,74 @@ class ReturnManagementService {
     }
   }
 
+  // Credit the refund back onto gift cards / store credit the original order was paid with.
+  // Returns the amount refunded to cards; anything a card cannot take falls back to the customer balance.
+  async refundGiftCardPayments(returnRequest, processedBy, tenantId) {
+    const orderId = returnRequest.originalOrder?._id || returnRequest.originalOrder;
+    if (!tenantId || !orderId) return 0;
+
+    const payments = await Payment.find({
+      tenantId,
+      orderId,
+      status: 'completed',
+      'giftCard.code': { $exists: true }
+    }).sort({ createdAt: 1 });
+
+    let remaining = Number(returnRequest.netRefundAmount) || 0;
+
+    // Cards tendered at the till sit on the sale itself rather than in Payment documents
+    const order = await Sales.findOne({ _id: orderId, tenantId });
+    const cardTenders = (order?.payment?.tenders || []).filter(tender => tender.giftCard);
+    if (cardTenders.length > 0) {
+      const cards = await GiftCard.find({ _id: { $in: cardTenders.map(tender => tender.giftCard) }, tenantId }).select('code');
+      const codeById = new Map(cards.map(card => [String(card._id), card.code]));
+      let tendersRefunded = false;
+      for (const tender of cardTenders) {
+        const code = codeById.get(String(tender.giftCard));
+        const amount = Math.min(remaining, tender.amount - (tender.refundedAmount || 0));
+        if (!code || amount <= 0) continue;
+        try {
+          await giftCardService.refundToCard(code, amount, {
+            counterAccount: 'salesReturns',
+            referenceType: 'return',
+            referenceId: returnRequest._id,
+            notes: `Return ${returnRequest.returnNumber}`
+          }, processedBy, tenantId);
+          tender.refundedAmount = (tender.refundedAmount || 0) + amount;
+          tendersRefunded = true;
+          remaining -= amount;
+        } catch (error) {
+          logger.warn(`Could not refund return ${returnRequest.returnNumber} to gift card ${code}: ${error.message}`);
+        }
+      }
+      if (tendersRefunded) {
+        await order.save();
+      }
+    }
+
+    for (const payment of payments) {
+      const amount = Math.min(remaining, payment.remainingAmount);
+      if (amount <= 0) continue;
+      try {
+        await giftCardService.refundToCard(payment.giftCard.code, amount, {
+          counterAccount: 'salesReturns',
+          referenceType: 'return',
+          referenceId: returnRequest._id,
+          notes: `Return ${returnRequest.returnNumber}`
+        }, processedBy, tenantId);
+
+        const refund = payment.processRefund(amount, `Return ${returnRequest.returnNumber}`, processedBy);
+        refund.status = 'completed';
+        await payment.save();
+        remaining -= amount;
+      } catch (error) {
+        logger.warn(`Could not refund return ${returnRequest.returnNumber} to gift card ${payment.giftCard.code}: ${error.message}`);
+      }
+    }
+
+    return (Number(returnRequest.netRefundAmount) || 0) - remaining;
+  }
+
   // Process exchange
   async processExchange(returnRequest) {
     try {
@@ -1,6 +1,13 @@
 const salesRepository = require('../repositories/SalesRepository');
 const productRepository = require('../repositories/ProductRepository');
 const customerRepository = require('../repositories/CustomerRepository');
+const Inventory = require('../models/Inventory');
+const giftCardService = require('./giftCardService');
+const priceListService = require('./priceListService');
+const warehouseStockService = require('./warehouseStockService');
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const STORED_VALUE_TENDERS = ['gift_card', 'store_credit'];
 
 class SalesService {
   /**
@@ -299,7 +306,206 @@ class SalesService {
 
     return order;
   }
+
+  /**
+   * Compare an offline-queued sale against current stock and prices
+   * Prices are compared on the price list (or customer type) price the POS had
+   * cached for the line, so manual rate overrides made at the till are not flagged.
+   * @param {Array} items - Sale items ({ product, quantity, cachedPrice })
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @param {object|null} customerData - Customer document, if any
+   * @param {string|null} warehouseId - Warehouse the sale ships from, if any
+   * @returns {Promise<Array>} - Conflicts ({ type: 'stock'|'price', product, ... })
+   */
+  async detectOfflineConflicts(items, tenantId, customerData = null, warehouseId = null) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+
+    const priceLists = items.some(item => item.cachedPrice !== undefined && item.cachedPrice !== null)
+      ? await priceListService.getApplicableLists(customerData, tenantId)
+      : [];
+    const conflicts = [];
+
+    for (const item of items) {
+      const product = await productRepository.findById(item.product, { tenantId });
+      if (!product) {
+        conflicts.push({ type: 'missing', product: item.product, message: 'Product no longer exists' });
+        continue;
+      }
+
+      const availableStock = warehouseId
+        ? await warehouseStockService.getAvailable(item.product, warehouseId, tenantId)
+        : await this.getTotalAvailableStock(product, tenantId);
+      if (availableStock < Number(item.quantity)) {
+        conflicts.push({
+          type: 'stock',
+          product: product._id,
+          productName: product.name,
+          requestedQuantity: Number(item.quantity),
+          availableStock
+        });
+      }
+
+      if (item.cachedPrice !== undefined && item.cachedPrice !== null) {
+        const { unitPrice: currentPrice } = await this.resolveUnitPrice(
+          product, Number(item.quantity), customerData, tenantId, priceLists
+        );
+        if (Math.abs(currentPrice - Number(item.cachedPrice)) > 0.005) {
+          conflicts.push({
+            type: 'price',
+            product: product._id,
+            productName: product.name,
+            cachedPrice: Number(item.cachedPrice),
+            currentPrice
+          });
+        }
+      }
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Stock available across all warehouses, by the same rule as sale creation:
+   * Inventory is the source of truth unless the Product cache holds more (it gets synced up on sale)
+   * @private
+   */
+  async getTotalAvailableStock(product, tenantId) {
+    const inventory = await Inventory.findOne({ product: product._id, tenantId });
+    const productStock = Number(product.inventory?.currentStock || 0);
+    return inventory
+      ? Math.max(0, Math.max(productStock, Number(inventory.currentStock || 0)) - Number(inventory.reservedStock || 0))
+      : productStock;
+  }
+
+  /**
+   * Allocate split-payment tender lines against the amount due.
+   * Non-cash lines are taken at face value and may not exceed what is owed; the single
+   * cash line settles the rest and anything handed over beyond that is change.
+   * @param {Array} tenders - [{ method, amount, tendered, reference, bankAccount, gateway }]
+   * @param {number} amountDue - Amount the tenders have to settle
+   * @returns {{tenders: Array, amountPaid: number, change: number, remainingBalance: number}}
+   */
+  allocateTenders(tenders, amountDue) {
+    if (!Array.isArray(tenders) || tenders.length === 0) {
+      throw new Error('Split payment requires at least one tender line');
+    }
+    if (tenders.filter(t => t.method === 'cash').length > 1) {
+      throw new Error('Only one cash tender line is allowed');
+    }
+    if (tenders.some(t => ['declined', 'failed'].includes(t.gateway?.status))) {
+      throw new Error('A declined tender cannot be used to settle the sale');
+    }
+
+    const due = roundMoney(amountDue);
+    const nonCashTotal = roundMoney(tenders
+      .filter(t => t.method !== 'cash')
+      .reduce((sum, t) => sum + roundMoney(t.amount), 0));
+    if (tenders.some(t => t.method !== 'cash' && !(roundMoney(t.amount) > 0))) {
+      throw new Error('Tender amounts must be greater than zero');
+    }
+    if (nonCashTotal > due) {
+      throw new Error('Non-cash tenders exceed the amount due');
+    }
+
+    let change = 0;
+    const allocated = tenders.map(tender => {
+      if (tender.method !== 'cash') {
+        return { ...tender, amount: roundMoney(tender.amount), change: 0 };
+      }
+      const tendered = roundMoney(tender.tendered ?? tender.amount);
+      const applied = roundMoney(Math.min(tendered, due - nonCashTotal));
+      if (!(applied > 0)) {
+        throw new Error('Cash tender is not needed: other tenders already cover the amount due');
+      }
+      change = roundMoney(tendered - applied);
+      return { ...tender, amount: applied, tendered, change };
+    });
+
+    const amountPaid = roundMoney(allocated.reduce((sum, t) => sum + t.amount, 0));
+    return {
+      tenders: allocated,
+      amountPaid,
+      change,
+      remainingBalance: roundMoney(due - amountPaid)
+    };
+  }
+
+  /**
+   * Check gift card and store credit tender lines can be redeemed before the sale is written
+   * @param {Array} tenders - Allocated tender lines (reference holds the card code)
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @param {string|null} customerId - Customer on the sale
+   */
+  async validateStoredValueTenders(tenders, tenantId, customerId = null) {
+    const byCard = new Map();
+    for (const tender of tenders.filter(t => STORED_VALUE_TENDERS.includes(t.method))) {
+      if (!tender.reference) {
+        throw new Error('Gift card code is required');
+      }
+      const card = await giftCardService.findCard(tender.reference, tenantId);
+      const key = String(card?._id);
+      const amount = roundMoney((byCard.get(key) || 0) + tender.amount);
+      giftCardService.validateRedemption(card, amount, tender.method);
+      if (card.type === 'store_credit' && String(card.customer) !== String(customerId)) {
+        throw new Error('Store credit belongs to another customer');
+      }
+      byCard.set(key, amount);
+    }
+  }
+
+  /**
+   * Unit price for a sale or sales order line: the best applicable price list price,
+   * or the product's pricing for the customer type when no list prices it
+   * @param {object} product - Product document
+   * @param {number} quantity - Line quantity
+   * @param {object|null} customerData - Customer document, if any
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @param {Array|null} priceLists - Applicable price lists, when already loaded for the document
+   * @returns {Promise<{unitPrice: number, priceList: string|null}>}
+   */
+  async resolveUnitPrice(product, quantity, customerData, tenantId, priceLists = null) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const lists = priceLists || await priceListService.getApplicableLists(customerData, tenantId);
+    const { unitPrice, priceList } = priceListService.bestPrice(product, quantity, customerData, lists);
+    return { unitPrice, priceList: priceList ? priceList._id : null };
+  }
+
+  /**
+   * Price sales order lines that were entered without a unit price
+   * @param {Array} items - Sales order items ({ product, quantity, unitPrice, ... })
+   * @param {object|null} customerData - Customer document
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<Array>} - Items with unitPrice and priceList filled in
+   */
+  async priceSalesOrderItems(items, customerData, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const isUnpriced = item => item.unitPrice === undefined || item.unitPrice === null || item.unitPrice === '';
+    const priceLists = items.some(isUnpriced)
+      ? await priceListService.getApplicableLists(customerData, tenantId)
+      : [];
+
+    const priced = [];
+    for (const item of items) {
+      // A price typed in on the order is a manual price, whatever list the client names
+      if (!isUnpriced(item)) {
+        priced.push({ ...item, priceList: undefined });
+        continue;
+      }
+      const product = await productRepository.findById(item.product, { tenantId });
+      if (!product) {
+        throw new Error(`Product ${item.product} not found`);
+      }
+      const { unitPrice, priceList } = await this.resolveUnitPrice(product, item.quantity, customerData, tenantId, priceLists);
+      priced.push({ ...item, unitPrice, priceList });
+    }
+    return priced;
+  }
 }
 
 module.exports = new SalesService();
-
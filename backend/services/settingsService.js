@@ -29,7 +29,9 @@ class SettingsService {
       throw new Error('Company name, contact number, and address are required');
     }
 
-    return await SettingsRepository.updateSettings(updateData, tenantId);
+    // Receipt printers are managed through escposService.savePrinters, which checks them
+    const { receiptPrinters, ...companyData } = updateData;
+    return await SettingsRepository.updateSettings(companyData, tenantId);
   }
 
   /**
@@ -9,9 +9,11 @@ class StockMovementService {
    * Create a stock movement record
    * @param {Object} movementData - Movement data
    * @param {Object} user - User performing the action
+   * @param {Object} options - { session } to write inside a transaction
    * @returns {Promise<StockMovement>}
    */
-  static async createMovement(movementData, user) {
+  static async createMovement(movementData, user, options = {}) {
+    const { session } = options;
     try {
       const {
         productId,
@@ -41,7 +43,7 @@ class StockMovementService {
       }
 
       // Get product details
-      const product = await ProductRepository.findById(productId, { tenantId });
+      const product = await ProductRepository.findById(productId, { tenantId, session });
       if (!product) {
         throw new Error('Product not found');
       }
@@ -88,6 +90,7 @@ class StockMovementService {
       }
 
       const stockMovementRecord = {
+        tenantId,
         product: productId,
         productName: product.name,
         productSku: product.sku,
@@ -115,7 +118,7 @@ class StockMovementService {
         systemGenerated: true
       };
 
-      const movement = await StockMovementRepository.create(stockMovementRecord);
+      const movement = await StockMovementRepository.create(stockMovementRecord, { session });
 
       if (!skipInventoryUpdate) {
         try {
@@ -132,7 +135,7 @@ class StockMovementService {
             cost: resolvedUnitCost,
             performedBy: user._id,
             notes,
-          });
+          }, { session });
         } catch (invErr) {
           logger.error('Error updating Inventory record for stock movement:', invErr);
         }
@@ -14,10 +14,11 @@ class StockReservationService {
       expiresInMinutes = 15, // Default 15 minutes for cart reservations
       referenceType = 'cart',
       referenceId = null,
-      reservationId = null
+      reservationId = null,
+      tenantId = null
     } = options;
 
-    const inventory = await Inventory.findOne({ product: productId });
+    const inventory = await Inventory.findOne(tenantId ? { product: productId, tenantId } : { product: productId });
     if (!inventory) {
       throw new Error('Inventory record not found');
     }
@@ -70,10 +71,12 @@ class StockReservationService {
    * Release reserved stock
    * @param {string} productId - Product ID
    * @param {string} reservationId - Reservation ID
+   * @param {string} [tenantId] - Tenant ID, to scope the inventory lookup
+   * @param {Object} [session] - Optional transaction session
    * @returns {Promise<Object>}
    */
-  async releaseReservation(productId, reservationId) {
-    const inventory = await Inventory.findOne({ product: productId });
+  async releaseReservation(productId, reservationId, tenantId = null, session = null) {
+    const inventory = await Inventory.findOne(tenantId ? { product: productId, tenantId } : { product: productId }, null, { session });
     if (!inventory) {
       throw new Error('Inventory record not found');
     }
@@ -97,7 +100,7 @@ class StockReservationService {
     inventory.reservedStock = totalReserved;
     inventory.availableStock = Math.max(0, inventory.currentStock - inventory.reservedStock);
 
-    await inventory.save();
+    await inventory.save({ session });
 
     return {
       released: true,
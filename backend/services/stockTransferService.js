@@ -0,0 +1,610 @@
+const PDFDocument = require('pdfkit');
+const StockTransfer = require('../models/StockTransfer');
+const { IN_TRANSIT_LOCATION } = require('../models/StockTransfer');
+const Warehouse = require('../models/Warehouse');
+const Product = require('../models/Product');
+const Inventory = require('../models/Inventory');
+const inventoryService = require('./inventoryService');
+const warehouseStockService = require('./warehouseStockService');
+const costingService = require('./costingService');
+const StockMovementService = require('./stockMovementService');
+const journalEntryService = require('./journalEntryService');
+const { runWithTransactionRetry } = require('./transactionUtils');
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Goods on the road are still ours: they sit in an in-transit asset until received or written off
+const ACCOUNTS = {
+  inventory: ['INVENTORY', 'Inventory', 'asset', 'inventory'],
+  inTransit: ['INVENTORY_IN_TRANSIT', 'Inventory in Transit', 'asset', 'inventory'],
+  shrinkage: ['INVENTORY_SHRINKAGE', 'Inventory Shrinkage', 'expense', 'cost_of_goods_sold']
+};
+
+const layerValue = (layers) => roundMoney(layers.reduce((sum, layer) => sum + layer.quantity * layer.unitCost, 0));
+
+class StockTransferService {
+  /**
+   * List transfers
+   * @param {object} filters - { status, warehouse, page, limit }
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<{transfers: Array, pagination: object}>}
+   */
+  async getTransfers(filters = {}, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const { status, warehouse, page = 1, limit = 20 } = filters;
+    const query = { tenantId };
+    if (status) query.status = status;
+    if (warehouse) query.$or = [{ fromWarehouse: warehouse }, { toWarehouse: warehouse }];
+
+    const [transfers, total] = await Promise.all([
+      StockTransfer.find(query)
+        .populate('fromWarehouse', 'name code')
+        .populate('toWarehouse', 'name code')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      StockTransfer.countDocuments(query)
+    ]);
+
+    return {
+      transfers,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Get a transfer with its warehouses populated
+   * @param {string} id - Transfer ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async getTransferById(id, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const transfer = await StockTransfer.findOne({ _id: id, tenantId })
+      .populate('fromWarehouse', 'name code address contact')
+      .populate('toWarehouse', 'name code address contact')
+      .populate('requestedBy approvedBy dispatchedBy receipts.receivedBy', 'firstName lastName');
+    if (!transfer) {
+      throw new Error('Stock transfer not found');
+    }
+    return transfer;
+  }
+
+  /**
+   * Raise a transfer request between two warehouses
+   * @param {object} data - { fromWarehouse, toWarehouse, items: [{ product, quantity }], expectedDeliveryDate, notes }
+   * @param {string} userId - Requesting user
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async createTransfer(data, userId, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    if (String(data.fromWarehouse) === String(data.toWarehouse)) {
+      throw new Error('Source and destination warehouse must differ');
+    }
+    await this.getActiveWarehouse(data.fromWarehouse, tenantId);
+    await this.getActiveWarehouse(data.toWarehouse, tenantId);
+
+    // One line per product; repeated products are summed
+    const quantities = new Map();
+    for (const line of data.items || []) {
+      const quantity = Number(line.quantity);
+      if (!(quantity > 0)) {
+        throw new Error('Quantity must be greater than zero');
+      }
+      const key = String(line.product);
+      quantities.set(key, (quantities.get(key) || 0) + quantity);
+    }
+    if (quantities.size === 0) {
+      throw new Error('A transfer needs at least one item');
+    }
+
+    const products = await Product.find({ _id: { $in: [...quantities.keys()] }, tenantId }).select('name sku');
+    if (products.length !== quantities.size) {
+      throw new Error('Product not found');
+    }
+
+    const transfer = new StockTransfer({
+      tenantId,
+      fromWarehouse: data.fromWarehouse,
+      toWarehouse: data.toWarehouse,
+      items: products.map(product => ({
+        product: product._id,
+        productName: product.name,
+        productSku: product.sku,
+        requestedQuantity: quantities.get(String(product._id))
+      })),
+      expectedDeliveryDate: data.expectedDeliveryDate,
+      notes: data.notes,
+      requestedBy: userId
+    });
+    await transfer.save();
+    return transfer;
+  }
+
+  /**
+   * Approve a requested transfer
+   * @param {string} id - Transfer ID
+   * @param {string} userId - Approving user
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async approveTransfer(id, userId, tenantId) {
+    const transfer = await this.getTransferOrThrow(id, tenantId);
+    if (transfer.status !== 'requested') {
+      throw new Error('Only requested transfers can be approved');
+    }
+    if (transfer.requestedBy && String(transfer.requestedBy) === String(userId)) {
+      throw new Error('Segregation of duties violation: Cannot approve own transfer request');
+    }
+    transfer.status = 'approved';
+    transfer.approvedBy = userId;
+    transfer.approvedAt = new Date();
+    await transfer.save();
+    return transfer;
+  }
+
+  /**
+   * Cancel a transfer that has not left the source warehouse
+   * @param {string} id - Transfer ID
+   * @param {string} reason - Cancellation reason
+   * @param {string} userId - Acting user
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async cancelTransfer(id, reason, userId, tenantId) {
+    const transfer = await this.getTransferOrThrow(id, tenantId);
+    if (!['requested', 'approved'].includes(transfer.status)) {
+      throw new Error('Only transfers that have not been dispatched can be cancelled');
+    }
+    transfer.status = 'cancelled';
+    transfer.cancelledBy = userId;
+    transfer.cancelledAt = new Date();
+    transfer.cancelReason = reason;
+    await transfer.save();
+    return transfer;
+  }
+
+  /**
+   * Ship an approved transfer: stock leaves the source warehouse at its FIFO cost layers
+   * and sits in transit (Dr inventory in transit / Cr inventory). The stock moves, the entry
+   * and the new status commit together.
+   * @param {string} id - Transfer ID
+   * @param {object} data - { items: [{ product, quantity }], carrier, trackingNumber } - quantities default to the request
+   * @param {object} user - Dispatching user
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async dispatchTransfer(id, data = {}, user, tenantId) {
+    // A concurrent dispatch hits a write conflict, then finds the transfer in transit on retry
+    return runWithTransactionRetry(session => this.dispatchInSession(id, data, user, tenantId, session));
+  }
+
+  /**
+   * @private
+   */
+  async dispatchInSession(id, data, user, tenantId, session) {
+    const transfer = await this.getTransferOrThrow(id, tenantId, session);
+    if (transfer.status !== 'approved') {
+      throw new Error('Only approved transfers can be dispatched');
+    }
+    const fromWarehouse = await this.getActiveWarehouse(transfer.fromWarehouse, tenantId);
+
+    const overrides = new Map((data.items || []).map(line => [String(line.product), Number(line.quantity)]));
+    for (const item of transfer.items) {
+      const quantity = overrides.has(String(item.product)) ? overrides.get(String(item.product)) : item.requestedQuantity;
+      if (!(quantity >= 0) || quantity > item.requestedQuantity) {
+        throw new Error('Dispatch quantity cannot exceed the requested quantity');
+      }
+      if (quantity === 0) continue;
+
+      const available = await warehouseStockService.getAvailable(item.product, fromWarehouse._id, tenantId);
+      if (quantity > available) {
+        throw new Error(`Insufficient stock for ${item.productName} in ${fromWarehouse.code}`);
+      }
+
+      const cost = await costingService.calculateFIFOCost(item.product, quantity, tenantId);
+      item.dispatchedQuantity = quantity;
+      item.costMethod = cost.method === 'FIFO' ? 'FIFO' : 'fallback';
+      item.costLayers = cost.batches.length > 0
+        ? cost.batches.map(batch => ({ quantity: batch.quantity, unitCost: batch.unitCost, date: batch.date || new Date() }))
+        : [{ quantity, unitCost: cost.unitCost, date: new Date() }];
+      item.dispatchedValue = layerValue(item.costLayers);
+    }
+
+    const dispatched = transfer.items.filter(item => item.dispatchedQuantity > 0);
+    if (dispatched.length === 0) {
+      throw new Error('Nothing to dispatch');
+    }
+
+    transfer.status = 'in_transit';
+    transfer.dispatchedBy = user._id;
+    transfer.dispatchedAt = new Date();
+    if (data.carrier) transfer.carrier = data.carrier;
+    if (data.trackingNumber) transfer.trackingNumber = data.trackingNumber;
+
+    for (const item of dispatched) {
+      if (item.costMethod === 'FIFO') {
+        await costingService.consumeFIFOBatches(item.product, item.dispatchedQuantity, tenantId, session);
+      }
+      await inventoryService.updateStock({
+        productId: item.product,
+        type: 'out',
+        quantity: item.dispatchedQuantity,
+        reason: 'Stock transfer dispatched',
+        reference: transfer.transferNumber,
+        referenceId: transfer._id,
+        referenceModel: 'Transfer',
+        performedBy: user._id,
+        warehouse: fromWarehouse._id,
+        tenantId,
+        session
+      });
+      await StockMovementService.createMovement({
+        productId: item.product,
+        movementType: 'transfer_out',
+        quantity: item.dispatchedQuantity,
+        unitCost: roundMoney(item.dispatchedValue / item.dispatchedQuantity),
+        referenceType: 'transfer',
+        referenceId: transfer._id,
+        referenceNumber: transfer.transferNumber,
+        location: fromWarehouse.code,
+        fromLocation: fromWarehouse.code,
+        toLocation: IN_TRANSIT_LOCATION,
+        reason: 'Stock transfer dispatched',
+        notes: `Transfer: ${transfer.transferNumber}`,
+        skipInventoryUpdate: true,
+        tenantId
+      }, user, { session });
+    }
+
+    const value = roundMoney(dispatched.reduce((sum, item) => sum + item.dispatchedValue, 0));
+    const entry = await this.postEntry(transfer, [
+      { account: 'inTransit', debit: value },
+      { account: 'inventory', credit: value }
+    ], `Stock transfer ${transfer.transferNumber} dispatched`, user._id, session);
+    transfer.dispatchJournalEntry = entry?._id;
+    await transfer.save({ session });
+
+    return transfer;
+  }
+
+  /**
+   * Receive goods at the destination. Quantities not received can be left in transit for a
+   * later receipt or closed as a discrepancy, which is written off to inventory shrinkage.
+   * The stock moves, the entry and the receipt commit together.
+   * @param {string} id - Transfer ID
+   * @param {object} data - { items: [{ product, quantity, discrepancyQuantity, discrepancyReason }], notes }
+   *   Without items everything still in transit is received.
+   * @param {object} user - Receiving user
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async receiveTransfer(id, data = {}, user, tenantId) {
+    // A concurrent receipt hits a write conflict, then retries against the quantities left in transit
+    return runWithTransactionRetry(session => this.receiveInSession(id, data, user, tenantId, session));
+  }
+
+  /**
+   * @private
+   */
+  async receiveInSession(id, data, user, tenantId, session) {
+    const transfer = await this.getTransferOrThrow(id, tenantId, session);
+    if (!['in_transit', 'partially_received'].includes(transfer.status)) {
+      throw new Error('Only dispatched transfers can be received');
+    }
+    const toWarehouse = await this.getActiveWarehouse(transfer.toWarehouse, tenantId);
+
+    const lines = data.items && data.items.length > 0
+      ? data.items
+      : transfer.items.map(item => ({ product: item.product, quantity: item.inTransitQuantity }));
+
+    const postings = [];
+    for (const line of lines) {
+      const item = transfer.items.find(i => String(i.product) === String(line.product));
+      if (!item) {
+        throw new Error('Product is not on this transfer');
+      }
+      const quantity = Number(line.quantity || 0);
+      const discrepancy = Number(line.discrepancyQuantity || 0);
+      if (quantity < 0 || discrepancy < 0) {
+        throw new Error('Quantities cannot be negative');
+      }
+      if (quantity + discrepancy > item.inTransitQuantity) {
+        throw new Error(`Cannot receive more ${item.productName} than is in transit`);
+      }
+      if (discrepancy > 0 && !line.discrepancyReason) {
+        throw new Error('A reason is required for a discrepancy');
+      }
+      if (quantity + discrepancy === 0) continue;
+
+      const received = this.splitLayers(item.costLayers, quantity);
+      const lost = this.splitLayers(received.remaining, discrepancy);
+      item.costLayers = lost.remaining;
+      item.receivedQuantity += quantity;
+      item.discrepancyQuantity += discrepancy;
+      if (discrepancy > 0) item.discrepancyReason = line.discrepancyReason;
+
+      postings.push({
+        item,
+        quantity,
+        discrepancy,
+        discrepancyReason: line.discrepancyReason,
+        bin: line.bin,
+        receivedLayers: received.taken,
+        lostLayers: lost.taken
+      });
+    }
+    if (postings.length === 0) {
+      throw new Error('Nothing to receive');
+    }
+
+    const complete = transfer.items.every(item => item.inTransitQuantity === 0);
+    transfer.status = complete ? 'received' : 'partially_received';
+    if (complete) transfer.receivedAt = new Date();
+    transfer.receipts.push({
+      receivedBy: user._id,
+      items: postings.map(p => ({
+        product: p.item.product,
+        quantity: p.quantity,
+        discrepancyQuantity: p.discrepancy,
+        discrepancyReason: p.discrepancyReason
+      })),
+      notes: data.notes
+    });
+    const receipt = transfer.receipts[transfer.receipts.length - 1];
+
+    for (const posting of postings) {
+      const { item } = posting;
+      if (posting.quantity > 0) {
+        // Arriving goods keep the cost layers (and dates) they left the source with
+        if (item.costMethod === 'FIFO') {
+          await Inventory.updateOne(
+            { product: item.product, tenantId },
+            { $push: { 'cost.fifo': { $each: posting.receivedLayers.map(layer => ({ quantity: layer.quantity, cost: layer.unitCost, date: layer.date })) } } },
+            { session }
+          );
+        }
+        await inventoryService.updateStock({
+          productId: item.product,
+          type: 'in',
+          quantity: posting.quantity,
+          reason: 'Stock transfer received',
+          reference: transfer.transferNumber,
+          referenceId: transfer._id,
+          referenceModel: 'Transfer',
+          performedBy: user._id,
+          warehouse: toWarehouse._id,
+          bin: posting.bin,
+          tenantId,
+          session
+        });
+        await StockMovementService.createMovement({
+          productId: item.product,
+          movementType: 'transfer_in',
+          quantity: posting.quantity,
+          unitCost: roundMoney(layerValue(posting.receivedLayers) / posting.quantity),
+          referenceType: 'transfer',
+          referenceId: transfer._id,
+          referenceNumber: transfer.transferNumber,
+          location: toWarehouse.code,
+          fromLocation: IN_TRANSIT_LOCATION,
+          toLocation: toWarehouse.code,
+          reason: 'Stock transfer received',
+          notes: `Transfer: ${transfer.transferNumber}`,
+          skipInventoryUpdate: true,
+          tenantId
+        }, user, { session });
+      }
+      if (posting.discrepancy > 0) {
+        await StockMovementService.createMovement({
+          productId: item.product,
+          movementType: 'adjustment_out',
+          quantity: posting.discrepancy,
+          unitCost: roundMoney(layerValue(posting.lostLayers) / posting.discrepancy),
+          referenceType: 'transfer',
+          referenceId: transfer._id,
+          referenceNumber: transfer.transferNumber,
+          location: IN_TRANSIT_LOCATION,
+          fromLocation: IN_TRANSIT_LOCATION,
+          toLocation: toWarehouse.code,
+          reason: posting.discrepancyReason,
+          notes: `Transfer discrepancy: ${transfer.transferNumber}`,
+          skipInventoryUpdate: true,
+          tenantId
+        }, user, { session });
+      }
+    }
+
+    const receivedValue = roundMoney(postings.reduce((sum, p) => sum + layerValue(p.receivedLayers), 0));
+    const lostValue = roundMoney(postings.reduce((sum, p) => sum + layerValue(p.lostLayers), 0));
+    const entry = await this.postEntry(transfer, [
+      { account: 'inventory', debit: receivedValue },
+      { account: 'shrinkage', debit: lostValue },
+      { account: 'inTransit', credit: roundMoney(receivedValue + lostValue) }
+    ], `Stock transfer ${transfer.transferNumber} received`, user._id, session);
+    receipt.journalEntry = entry?._id;
+    await transfer.save({ session });
+
+    return transfer;
+  }
+
+  /**
+   * Take a quantity off the front of a list of FIFO cost layers
+   * @param {Array} layers - [{ quantity, unitCost, date }] oldest first
+   * @param {number} quantity - Quantity to take
+   * @returns {{taken: Array, remaining: Array}}
+   */
+  splitLayers(layers, quantity) {
+    const taken = [];
+    const remaining = [];
+    let left = quantity;
+    for (const layer of layers) {
+      const { quantity: layerQuantity, unitCost, date } = layer;
+      if (left <= 0) {
+        remaining.push({ quantity: layerQuantity, unitCost, date });
+        continue;
+      }
+      const use = Math.min(layerQuantity, left);
+      taken.push({ quantity: use, unitCost, date });
+      if (layerQuantity - use > 0) {
+        remaining.push({ quantity: layerQuantity - use, unitCost, date });
+      }
+      left -= use;
+    }
+    return { taken, remaining };
+  }
+
+  /**
+   * Render a delivery note to travel with the goods
+   * @param {object} transfer - Transfer with warehouses populated
+   * @returns {Promise<Buffer>}
+   */
+  async renderDeliveryNotePdf(transfer) {
+    const doc = new PDFDocument({ margin: 50, size: 'A4' });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    const address = (warehouse) => {
+      const parts = [warehouse?.address?.line1, warehouse?.address?.line2, warehouse?.address?.city, warehouse?.address?.country];
+      return parts.filter(Boolean).join(', ');
+    };
+    const party = (title, warehouse, x, y) => {
+      doc.fontSize(9).font('Helvetica-Bold').text(title, x, y);
+      doc.font('Helvetica').text(`${warehouse?.name || ''} (${warehouse?.code || ''})`, x, doc.y, { width: 230 });
+      if (address(warehouse)) doc.text(address(warehouse), x, doc.y, { width: 230 });
+      if (warehouse?.contact?.name) doc.text(`${warehouse.contact.name} ${warehouse.contact.phone || ''}`, x, doc.y, { width: 230 });
+    };
+
+    doc.fontSize(18).font('Helvetica-Bold').text('DELIVERY NOTE', { align: 'right' });
+    doc.fontSize(10).font('Helvetica').text(transfer.transferNumber, { align: 'right' });
+    if (transfer.dispatchedAt) {
+      doc.text(`Dispatched: ${new Date(transfer.dispatchedAt).toLocaleDateString()}`, { align: 'right' });
+    }
+    if (transfer.expectedDeliveryDate) {
+      doc.text(`Expected: ${new Date(transfer.expectedDeliveryDate).toLocaleDateString()}`, { align: 'right' });
+    }
+
+    const top = doc.y + 20;
+    party('FROM', transfer.fromWarehouse, 50, top);
+    const fromBottom = doc.y;
+    party('TO', transfer.toWarehouse, 310, top);
+    doc.y = Math.max(fromBottom, doc.y) + 10;
+    if (transfer.carrier || transfer.trackingNumber) {
+      doc.fontSize(9).text(`Carrier: ${transfer.carrier || '-'}    Tracking: ${transfer.trackingNumber || '-'}`, 50);
+    }
+
+    const columns = [
+      { label: 'SKU', x: 50, width: 90 },
+      { label: 'Product', x: 140, width: 230 },
+      { label: 'Requested', x: 370, width: 60, align: 'right' },
+      { label: 'Dispatched', x: 430, width: 60, align: 'right' },
+      { label: 'Received', x: 490, width: 55, align: 'right' }
+    ];
+    const row = (values, bold = false) => {
+      const y = doc.y;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+      columns.forEach((column, i) => doc.text(String(values[i] ?? ''), column.x, y, { width: column.width, align: column.align }));
+      doc.moveDown(0.3);
+    };
+
+    doc.moveDown();
+    row(columns.map(column => column.label), true);
+    doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+    doc.moveDown(0.3);
+    transfer.items.forEach(item => row([
+      item.productSku || '',
+      item.productName,
+      item.requestedQuantity,
+      item.dispatchedQuantity,
+      ''
+    ]));
+
+    if (transfer.notes) {
+      doc.moveDown().font('Helvetica').fontSize(9).text(`Notes: ${transfer.notes}`, 50);
+    }
+
+    const signatureY = Math.max(doc.y + 50, 680);
+    doc.fontSize(9).font('Helvetica');
+    doc.moveTo(50, signatureY).lineTo(250, signatureY).stroke();
+    doc.text('Dispatched by / date', 50, signatureY + 5);
+    doc.moveTo(345, signatureY).lineTo(545, signatureY).stroke();
+    doc.text('Received by / date', 345, signatureY + 5);
+
+    doc.end();
+    return finished;
+  }
+
+  /**
+   * @private
+   */
+  async getTransferOrThrow(id, tenantId, session) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const transfer = await StockTransfer.findOne({ _id: id, tenantId }, null, { session });
+    if (!transfer) {
+      throw new Error('Stock transfer not found');
+    }
+    return transfer;
+  }
+
+  /**
+   * @private
+   */
+  async getActiveWarehouse(id, tenantId) {
+    const warehouse = await Warehouse.findOne({ _id: id, tenantId, isDeleted: { $ne: true } });
+    if (!warehouse) {
+      throw new Error('Warehouse not found');
+    }
+    if (!warehouse.isActive) {
+      throw new Error('Warehouse is inactive');
+    }
+    return warehouse;
+  }
+
+  /**
+   * Post a balanced entry for the transfer; zero-value lines are dropped
+   * @private
+   */
+  async postEntry(transfer, lines, description, userId, session) {
+    const tenantId = transfer.tenantId;
+    const entries = [];
+    for (const line of lines.filter(l => (l.debit || l.credit) > 0)) {
+      const account = await journalEntryService.getOrCreateAccount(tenantId, ...ACCOUNTS[line.account], session);
+      entries.push({
+        accountCode: account.accountCode,
+        debit: line.debit || 0,
+        credit: line.credit || 0,
+        description
+      });
+    }
+    if (entries.length === 0) {
+      return null;
+    }
+
+    return journalEntryService.createJournalEntry({
+      tenantId,
+      entryDate: new Date(),
+      referenceType: 'stock_transfer',
+      referenceId: transfer._id,
+      referenceNumber: transfer.transferNumber,
+      description,
+      entries,
+      createdBy: await journalEntryService.resolveCreatedBy(tenantId, userId),
+      metadata: { status: transfer.status }
+    }, { session });
+  }
+}
+
+module.exports = new StockTransferService();
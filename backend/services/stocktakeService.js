@@ -0,0 +1,599 @@
+const mongoose = require('mongoose');
+const Stocktake = require('../models/Stocktake');
+const Product = require('../models/Product');
+const Inventory = require('../models/Inventory');
+const Sales = require('../models/Sales');
+const WarehouseStock = require('../models/WarehouseStock');
+const inventoryService = require('./inventoryService');
+const warehouseStockService = require('./warehouseStockService');
+const StockMovementService = require('./stockMovementService');
+const journalEntryService = require('./journalEntryService');
+const { runWithTransactionRetry } = require('./transactionUtils');
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Counted gains and losses settle against inventory shrinkage
+const ACCOUNTS = {
+  inventory: ['INVENTORY', 'Inventory', 'asset', 'inventory'],
+  shrinkage: ['INVENTORY_SHRINKAGE', 'Inventory Shrinkage', 'expense', 'cost_of_goods_sold']
+};
+
+// Share of annual consumption value covered by A items, then by A and B items together
+const ABC_LIMITS = { A: 0.8, B: 0.95 };
+
+// Fields a blind counter must not see while counting is open
+const BLIND_FIELDS = ['systemQuantity', 'unitCost', 'variance', 'varianceValue'];
+
+class StocktakeService {
+  /**
+   * List stocktakes (without their items)
+   * @param {object} filters - { status, warehouse, page, limit }
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<{stocktakes: Array, pagination: object}>}
+   */
+  async getStocktakes(filters = {}, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const { status, warehouse, page = 1, limit = 20 } = filters;
+    const query = { tenantId };
+    if (status) query.status = status;
+    if (warehouse) query.warehouse = warehouse;
+
+    const [stocktakes, total] = await Promise.all([
+      Stocktake.find(query)
+        .select('-items')
+        .populate('warehouse', 'name code')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Stocktake.countDocuments(query)
+    ]);
+
+    return {
+      stocktakes,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Get a stocktake. Blind stocktakes hide system quantities and variances while counting
+   * unless `reveal` is set (for supervisors).
+   * @param {string} id - Stocktake ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @param {object} options - { reveal, sheet }
+   * @returns {Promise<object>}
+   */
+  async getStocktakeById(id, tenantId, { reveal = false, sheet = null } = {}) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const stocktake = await Stocktake.findOne({ _id: id, tenantId })
+      .populate('warehouse', 'name code')
+      .populate('startedBy postedBy', 'firstName lastName');
+    if (!stocktake) {
+      throw new Error('Stocktake not found');
+    }
+    return this.toView(stocktake, { reveal, sheet });
+  }
+
+  /**
+   * Start a stocktake: freeze the system quantities of everything in scope and split the
+   * items into count sheets
+   * @param {object} data - { name, type, warehouse, scope: { categories, bins, abcClasses }, sheetBy, blind, recountThreshold, notes }
+   * @param {object} user - User starting the count
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async createStocktake(data, user, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const warehouse = await warehouseStockService.resolveWarehouse(data.warehouse, tenantId);
+    if (!warehouse) {
+      throw new Error('Warehouse not found');
+    }
+    const type = data.type || 'cycle';
+    const scope = type === 'full' ? {} : (data.scope || {});
+    const bins = (scope.bins || []).map(bin => String(bin).trim().toUpperCase());
+    const abcClasses = scope.abcClasses || [];
+
+    await warehouseStockService.ensureTenantSeeded(tenantId);
+    const rowFilter = { tenantId, warehouse: warehouse._id };
+    if (bins.length > 0) rowFilter.bin = { $in: bins };
+    const rows = await WarehouseStock.find(rowFilter);
+
+    const productFilter = { _id: { $in: [...new Set(rows.map(row => String(row.product)))] }, tenantId };
+    if (scope.categories && scope.categories.length > 0) {
+      productFilter.category = { $in: scope.categories };
+    }
+    const products = await Product.find(productFilter).populate('category', 'name');
+    const productById = new Map(products.map(product => [String(product._id), product]));
+
+    const sheetBy = data.sheetBy || 'none';
+    const needsAbc = abcClasses.length > 0 || sheetBy === 'abc';
+    const abc = needsAbc ? await this.classifyABC(products, tenantId) : new Map();
+    const costs = await this.getUnitCosts(products, tenantId);
+
+    const items = [];
+    for (const row of rows) {
+      const product = productById.get(String(row.product));
+      if (!product) continue;
+      const abcClass = abc.get(String(product._id));
+      if (abcClasses.length > 0 && !abcClasses.includes(abcClass)) continue;
+      // Empty unbinned rows are artefacts of stock that has since been put away
+      if (row.bin === '' && row.quantity === 0 && rows.some(r => String(r.product) === String(row.product) && r.bin !== '')) continue;
+
+      const categoryName = product.category?.name || 'Uncategorised';
+      items.push({
+        product: product._id,
+        productName: product.name,
+        productSku: product.sku,
+        barcode: product.barcode,
+        categoryName,
+        bin: row.bin,
+        abcClass,
+        sheet: this.sheetName(sheetBy, { categoryName, bin: row.bin, abcClass }),
+        systemQuantity: row.quantity,
+        unitCost: costs.get(String(product._id)) || 0
+      });
+    }
+    if (items.length === 0) {
+      throw new Error('Nothing to count in this scope');
+    }
+    items.sort((a, b) => a.sheet.localeCompare(b.sheet) || a.bin.localeCompare(b.bin) || a.productName.localeCompare(b.productName));
+
+    const stocktake = new Stocktake({
+      tenantId,
+      name: data.name,
+      type,
+      warehouse: warehouse._id,
+      scope: { categories: scope.categories || [], bins, abcClasses },
+      sheetBy,
+      blind: data.blind !== false,
+      recountThreshold: data.recountThreshold || {},
+      items,
+      snapshotAt: new Date(),
+      startedBy: user._id,
+      notes: data.notes
+    });
+    await stocktake.save();
+    return stocktake;
+  }
+
+  /**
+   * Record counts from a count sheet or scanner. In 'add' mode each line adds to the
+   * item's count for the current round (one scan = one unit); 'set' replaces it.
+   * @param {string} id - Stocktake ID
+   * @param {object} data - { mode: 'add'|'set', counts: [{ product | code, bin, quantity }] }
+   * @param {object} user - Counting user
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<{items: Array, progress: object}>} The counted items (blind view)
+   */
+  async recordCounts(id, data, user, tenantId) {
+    const stocktake = await this.getStocktakeOrThrow(id, tenantId);
+    if (!['counting', 'recount'].includes(stocktake.status)) {
+      throw new Error('Counting is closed for this stocktake');
+    }
+    const mode = data.mode || 'set';
+    const round = stocktake.status === 'recount' ? 2 : 1;
+
+    const touched = [];
+    for (const line of data.counts || []) {
+      const quantity = Number(line.quantity ?? (mode === 'add' ? 1 : NaN));
+      if (!(quantity >= 0)) {
+        throw new Error('Counted quantity cannot be negative');
+      }
+      const item = this.findItem(stocktake, line);
+      if (round === 2 && item.status !== 'recount') {
+        throw new Error(`${item.productName} does not need a recount`);
+      }
+
+      const roundCounts = item.counts.filter(count => count.round === round);
+      if (mode === 'set') {
+        item.counts = item.counts.filter(count => count.round !== round);
+      }
+      item.counts.push({ quantity, round, countedBy: user._id, countedAt: new Date() });
+      item.countedQuantity = (mode === 'set' ? 0 : roundCounts.reduce((sum, count) => sum + count.quantity, 0)) + quantity;
+      if (round === 1) item.status = 'counted';
+      touched.push(item);
+    }
+    if (touched.length === 0) {
+      throw new Error('No counts given');
+    }
+    await stocktake.save();
+
+    const view = this.toView(stocktake, { reveal: false });
+    const touchedIds = new Set(touched.map(item => String(item._id)));
+    return {
+      items: view.items.filter(item => touchedIds.has(String(item._id))),
+      progress: view.progress
+    };
+  }
+
+  /**
+   * Close the current counting round. Variances above the recount threshold send the
+   * stocktake back for a recount of those items; otherwise it is ready to post.
+   * @param {string} id - Stocktake ID
+   * @param {object} data - { uncountedAsZero } treat items nobody counted as not found
+   * @param {object} user - Supervisor
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async finishCounting(id, data, user, tenantId) {
+    const stocktake = await this.getStocktakeOrThrow(id, tenantId);
+
+    if (stocktake.status === 'counting') {
+      const pending = stocktake.items.filter(item => item.status === 'pending');
+      if (pending.length > 0 && !data.uncountedAsZero) {
+        throw new Error(`${pending.length} item(s) have not been counted`);
+      }
+      for (const item of pending) {
+        item.counts.push({ quantity: 0, round: 1, countedBy: user._id });
+        item.countedQuantity = 0;
+        item.status = 'counted';
+      }
+
+      let recounts = 0;
+      for (const item of stocktake.items) {
+        this.computeVariance(item);
+        if (this.exceedsThreshold(item, stocktake.recountThreshold)) {
+          item.status = 'recount';
+          recounts++;
+        } else {
+          item.status = 'final';
+        }
+      }
+      stocktake.status = recounts > 0 ? 'recount' : 'review';
+    } else if (stocktake.status === 'recount') {
+      const outstanding = stocktake.items.filter(item => item.status === 'recount' && !item.counts.some(count => count.round === 2));
+      if (outstanding.length > 0) {
+        throw new Error(`${outstanding.length} item(s) still need a recount`);
+      }
+      // The recount replaces the first count
+      for (const item of stocktake.items.filter(i => i.status === 'recount')) {
+        this.computeVariance(item);
+        item.status = 'final';
+      }
+      stocktake.status = 'review';
+    } else {
+      throw new Error('Counting is closed for this stocktake');
+    }
+
+    this.computeTotals(stocktake);
+    await stocktake.save();
+    return this.toView(stocktake, { reveal: true });
+  }
+
+  /**
+   * Post every variance as a stock adjustment at the snapshot cost, with one journal entry
+   * against inventory shrinkage. Variances are applied as deltas, so sales made while
+   * counting are not undone. The adjustments, the entry and the posted status are written
+   * in one transaction, so a failure leaves the stocktake in review with stock untouched.
+   * @param {string} id - Stocktake ID
+   * @param {object} user - Posting user
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async postStocktake(id, user, tenantId) {
+    const stocktake = await this.getStocktakeOrThrow(id, tenantId);
+    if (stocktake.status !== 'review') {
+      throw new Error('Only reviewed stocktakes can be posted');
+    }
+    const warehouse = await warehouseStockService.resolveWarehouse(stocktake.warehouse, tenantId);
+    const variances = stocktake.items.filter(item => item.variance !== 0);
+
+    // Losses come out of the counted bin; check now for a clearer message than the stock update gives
+    for (const item of variances.filter(i => i.variance < 0)) {
+      const available = await warehouseStockService.getAvailable(item.product, warehouse._id, tenantId, item.bin);
+      if (available < -item.variance) {
+        throw new Error(`Insufficient stock for ${item.productName} in ${item.bin || warehouse.code} to post a loss of ${-item.variance}`);
+      }
+    }
+
+    const posted = await runWithTransactionRetry(async (session) => {
+      // A second post of the same stocktake hits a write conflict, then finds it posted on retry
+      const current = await Stocktake.findOne({ _id: id, tenantId, status: 'review' }, null, { session });
+      if (!current) {
+        throw new Error('Only reviewed stocktakes can be posted');
+      }
+
+      for (const item of variances) {
+        const gain = item.variance > 0;
+        const quantity = Math.abs(item.variance);
+        await inventoryService.updateStock({
+          productId: item.product,
+          type: gain ? 'in' : 'out',
+          quantity,
+          cost: gain ? item.unitCost : undefined,
+          reason: 'Stocktake variance',
+          reference: current.stocktakeNumber,
+          referenceId: current._id,
+          referenceModel: 'StockAdjustment',
+          performedBy: user._id,
+          warehouse: warehouse._id,
+          bin: item.bin || undefined,
+          tenantId,
+          session
+        });
+        await StockMovementService.createMovement({
+          productId: item.product,
+          movementType: gain ? 'adjustment_in' : 'adjustment_out',
+          quantity,
+          unitCost: item.unitCost,
+          referenceType: 'adjustment',
+          referenceId: current._id,
+          referenceNumber: current.stocktakeNumber,
+          location: warehouse.code,
+          reason: 'Stocktake variance',
+          notes: `Stocktake ${current.stocktakeNumber}${item.bin ? `, bin ${item.bin}` : ''}: system ${item.systemQuantity}, counted ${item.countedQuantity}`,
+          skipInventoryUpdate: true,
+          tenantId
+        }, user, { session });
+      }
+
+      this.computeTotals(current);
+      const net = roundMoney(current.totals.lossValue - current.totals.gainValue);
+      const entry = await this.postEntry(current, net > 0
+        ? [{ account: 'shrinkage', debit: net }, { account: 'inventory', credit: net }]
+        : [{ account: 'inventory', debit: -net }, { account: 'shrinkage', credit: -net }],
+      `Stocktake ${current.stocktakeNumber} variances`, user._id, session);
+
+      current.journalEntry = entry?._id;
+      current.status = 'posted';
+      current.postedBy = user._id;
+      current.postedAt = new Date();
+      await current.save({ session });
+      return current;
+    });
+
+    return this.toView(posted, { reveal: true });
+  }
+
+  /**
+   * Abandon a stocktake that has not been posted
+   * @param {string} id - Stocktake ID
+   * @param {string} userId - Cancelling user
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async cancelStocktake(id, userId, tenantId) {
+    const stocktake = await this.getStocktakeOrThrow(id, tenantId);
+    if (['posted', 'cancelled'].includes(stocktake.status)) {
+      throw new Error('Only open stocktakes can be cancelled');
+    }
+    stocktake.status = 'cancelled';
+    stocktake.cancelledBy = userId;
+    stocktake.cancelledAt = new Date();
+    await stocktake.save();
+    return stocktake;
+  }
+
+  /**
+   * Classify products by last year's consumption value: A items make up the first 80% of
+   * value, B the next 15% and C the rest (including products that did not sell)
+   * @param {Array} products - Products to classify
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<Map>} Product ID -> 'A' | 'B' | 'C'
+   */
+  async classifyABC(products, tenantId) {
+    const since = new Date();
+    since.setFullYear(since.getFullYear() - 1);
+    const ids = products.map(product => product._id);
+
+    const usage = await Sales.aggregate([
+      { $match: { tenantId: new mongoose.Types.ObjectId(String(tenantId)), createdAt: { $gte: since }, status: { $nin: ['cancelled', 'returned'] } } },
+      { $unwind: '$items' },
+      { $match: { 'items.product': { $in: ids } } },
+      {
+        $group: {
+          _id: '$items.product',
+          value: { $sum: { $multiply: ['$items.quantity', { $ifNull: ['$items.unitCost', '$items.unitPrice'] }] } }
+        }
+      },
+      { $sort: { value: -1 } }
+    ]);
+
+    const total = usage.reduce((sum, row) => sum + row.value, 0);
+    const classes = new Map(products.map(product => [String(product._id), 'C']));
+    let cumulative = 0;
+    for (const row of usage) {
+      if (!(row.value > 0)) break;
+      const share = cumulative / total;
+      classes.set(String(row._id), share < ABC_LIMITS.A ? 'A' : share < ABC_LIMITS.B ? 'B' : 'C');
+      cumulative += row.value;
+    }
+    return classes;
+  }
+
+  /**
+   * Whether a variance is large enough to need a second count
+   * @param {object} item - Stocktake item with variance computed
+   * @param {object} threshold - { quantity, percent }; zero disables a limit
+   * @returns {boolean}
+   */
+  exceedsThreshold(item, threshold = {}) {
+    const difference = Math.abs(item.variance);
+    if (difference === 0) return false;
+    if (threshold.quantity > 0 && difference > threshold.quantity) return true;
+    if (threshold.percent > 0) {
+      if (item.systemQuantity === 0) return true;
+      return (difference / item.systemQuantity) * 100 > threshold.percent;
+    }
+    return false;
+  }
+
+  /**
+   * @private
+   */
+  computeVariance(item) {
+    const latestRound = Math.max(...item.counts.map(count => count.round));
+    item.countedQuantity = item.counts
+      .filter(count => count.round === latestRound)
+      .reduce((sum, count) => sum + count.quantity, 0);
+    item.variance = item.countedQuantity - item.systemQuantity;
+    item.varianceValue = roundMoney(item.variance * item.unitCost);
+  }
+
+  /**
+   * @private
+   */
+  computeTotals(stocktake) {
+    const totals = { gainQuantity: 0, lossQuantity: 0, gainValue: 0, lossValue: 0 };
+    for (const item of stocktake.items) {
+      if (item.variance > 0) {
+        totals.gainQuantity += item.variance;
+        totals.gainValue += item.varianceValue;
+      } else if (item.variance < 0) {
+        totals.lossQuantity -= item.variance;
+        totals.lossValue -= item.varianceValue;
+      }
+    }
+    totals.gainValue = roundMoney(totals.gainValue);
+    totals.lossValue = roundMoney(totals.lossValue);
+    stocktake.totals = totals;
+  }
+
+  /**
+   * Match a count line to a stocktake item by product ID or by scanned barcode/SKU
+   * @private
+   */
+  findItem(stocktake, line) {
+    const code = line.code ? String(line.code).trim().toUpperCase() : null;
+    const candidates = stocktake.items.filter(item => (line.product
+      ? String(item.product) === String(line.product)
+      : code && (String(item.barcode || '').toUpperCase() === code || String(item.productSku || '').toUpperCase() === code)));
+    if (candidates.length === 0) {
+      throw new Error(`${line.code || line.product} is not on this stocktake`);
+    }
+    if (line.bin !== undefined && line.bin !== null) {
+      const bin = String(line.bin).trim().toUpperCase();
+      const match = candidates.find(item => item.bin === bin);
+      if (!match) {
+        throw new Error(`${candidates[0].productName} is not expected in bin ${bin || '(unbinned)'}`);
+      }
+      return match;
+    }
+    if (candidates.length > 1) {
+      throw new Error(`${candidates[0].productName} is in several bins; specify the bin`);
+    }
+    return candidates[0];
+  }
+
+  /**
+   * @private
+   */
+  sheetName(sheetBy, { categoryName, bin, abcClass }) {
+    switch (sheetBy) {
+      case 'category':
+        return categoryName;
+      case 'location':
+        return bin || 'Unbinned';
+      case 'abc':
+        return `Class ${abcClass || 'C'}`;
+      default:
+        return 'All items';
+    }
+  }
+
+  /**
+   * Average cost at the time of the snapshot, falling back to the product's cost price
+   * @private
+   */
+  async getUnitCosts(products, tenantId) {
+    const inventories = await Inventory.find({ tenantId, product: { $in: products.map(p => p._id) } }).select('product cost');
+    const averages = new Map(inventories.map(inv => [String(inv.product), inv.cost?.average]));
+    return new Map(products.map(product => [
+      String(product._id),
+      averages.get(String(product._id)) || product.pricing?.cost || 0
+    ]));
+  }
+
+  /**
+   * Plain object for the API, with per-sheet progress; blind stocktakes hide system
+   * quantities until counting closes
+   * @private
+   */
+  toView(stocktake, { reveal = false, sheet = null } = {}) {
+    const view = stocktake.toObject();
+    const hide = view.blind && ['counting', 'recount'].includes(view.status) && !reveal;
+
+    const sheets = new Map();
+    for (const item of view.items) {
+      const entry = sheets.get(item.sheet) || { name: item.sheet, items: 0, counted: 0, recount: 0 };
+      entry.items++;
+      if (item.status !== 'pending') entry.counted++;
+      if (item.status === 'recount') entry.recount++;
+      sheets.set(item.sheet, entry);
+    }
+    view.sheets = [...sheets.values()];
+    view.progress = {
+      items: view.items.length,
+      counted: view.items.filter(item => item.status !== 'pending').length,
+      recount: view.items.filter(item => item.status === 'recount').length
+    };
+
+    if (sheet) {
+      view.items = view.items.filter(item => item.sheet === sheet);
+    }
+    if (hide) {
+      view.items = view.items.map(item => {
+        const blindItem = { ...item };
+        BLIND_FIELDS.forEach(field => delete blindItem[field]);
+        delete blindItem.counts;
+        return blindItem;
+      });
+      delete view.totals;
+    }
+    return view;
+  }
+
+  /**
+   * @private
+   */
+  async getStocktakeOrThrow(id, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const stocktake = await Stocktake.findOne({ _id: id, tenantId });
+    if (!stocktake) {
+      throw new Error('Stocktake not found');
+    }
+    return stocktake;
+  }
+
+  /**
+   * Post a balanced entry for the stocktake; zero-value lines are dropped
+   * @private
+   */
+  async postEntry(stocktake, lines, description, userId, session) {
+    const tenantId = stocktake.tenantId;
+    const entries = [];
+    for (const line of lines.filter(l => (l.debit || l.credit) > 0)) {
+      const account = await journalEntryService.getOrCreateAccount(tenantId, ...ACCOUNTS[line.account], session);
+      entries.push({
+        accountCode: account.accountCode,
+        debit: line.debit || 0,
+        credit: line.credit || 0,
+        description
+      });
+    }
+    if (entries.length === 0) {
+      return null;
+    }
+
+    return journalEntryService.createJournalEntry({
+      tenantId,
+      entryDate: new Date(),
+      referenceType: 'stocktake',
+      referenceId: stocktake._id,
+      referenceNumber: stocktake.stocktakeNumber,
+      description,
+      entries,
+      createdBy: await journalEntryService.resolveCreatedBy(tenantId, userId),
+      metadata: { totals: stocktake.totals }
+    }, { session });
+  }
+}
+
+module.exports = new StocktakeService();
@@ -0,0 +1,349 @@
+const SupplierProduct = require('../models/SupplierProduct');
+const Supplier = require('../models/Supplier');
+const Product = require('../models/Product');
+const PurchaseOrder = require('../models/PurchaseOrder');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How much price, lead time and reliability count when choosing a supplier
+const WEIGHTS = {
+  primary: { cost: 0.5, leadTime: 0.25, reliability: 0.25 },
+  cheapest: { cost: 0.7, leadTime: 0.15, reliability: 0.15 },
+  fastest: { cost: 0.15, leadTime: 0.7, reliability: 0.15 }
+};
+
+// Purchase orders that have been placed with the supplier
+const PLACED_STATUSES = ['confirmed', 'partially_received', 'fully_received', 'closed'];
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+class SupplierCatalogService {
+  /**
+   * List catalog entries
+   * @param {object} filters - { supplier, product, isActive, page, limit }
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<{items: Array, pagination: object}>}
+   */
+  async getCatalog(filters = {}, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const { supplier, product, isActive, page = 1, limit = 50 } = filters;
+    const query = { tenantId };
+    if (supplier) query.supplier = supplier;
+    if (product) query.product = product;
+    if (isActive !== undefined) query.isActive = isActive === true || isActive === 'true';
+
+    const [items, total] = await Promise.all([
+      SupplierProduct.find(query)
+        .populate('supplier', 'companyName name leadTime')
+        .populate('product', 'name sku')
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      SupplierProduct.countDocuments(query)
+    ]);
+
+    return {
+      items,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Add a product to a supplier's catalog
+   * @param {object} data - { supplier, product, supplierSku, packSize, moq, price, validFrom, validUntil, leadTimeDays, isPreferred, isActive, notes }
+   * @param {string} userId - Creating user
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async createEntry(data, userId, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    await this.checkReferences(data.supplier, data.product, tenantId);
+    if (await SupplierProduct.exists({ tenantId, supplier: data.supplier, product: data.product })) {
+      throw new Error('Product is already in this supplier\'s catalog');
+    }
+    const entry = new SupplierProduct({
+      ...this.pickFields(data),
+      tenantId,
+      supplier: data.supplier,
+      product: data.product,
+      createdBy: userId
+    });
+    await entry.save();
+    if (entry.isPreferred) {
+      await this.clearOtherPreferred(entry, tenantId);
+    }
+    return entry;
+  }
+
+  /**
+   * Update a catalog entry; the supplier and product are fixed
+   * @param {string} id - Entry ID
+   * @param {object} data - Fields to change (see createEntry)
+   * @param {string} userId - Updating user
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async updateEntry(id, data, userId, tenantId) {
+    const entry = await this.getEntryOrThrow(id, tenantId);
+    Object.assign(entry, this.pickFields(data));
+    entry.updatedBy = userId;
+    await entry.save();
+    if (entry.isPreferred) {
+      await this.clearOtherPreferred(entry, tenantId);
+    }
+    return entry;
+  }
+
+  /**
+   * Remove a catalog entry
+   * @param {string} id - Entry ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<void>}
+   */
+  async deleteEntry(id, tenantId) {
+    const entry = await this.getEntryOrThrow(id, tenantId);
+    await entry.deleteOne();
+  }
+
+  /**
+   * Record a goods receipt against a purchase order: each received line's catalog entry
+   * takes the days from order (or confirmation) to receipt into its measured lead time
+   * @param {object} purchaseOrder - Purchase order received against
+   * @param {Array} items - Received lines { product, quantity }
+   * @param {Date} receivedAt - Receipt date
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<number>} Entries updated
+   */
+  async recordReceipt(purchaseOrder, items, receivedAt, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const orderedAt = purchaseOrder.confirmedDate || purchaseOrder.orderDate;
+    const days = Math.max(0, (receivedAt - orderedAt) / DAY_MS);
+    const products = [...new Set(items.filter(item => item.quantity > 0).map(item => String(item.product)))];
+    const entries = await SupplierProduct.find({
+      tenantId,
+      supplier: purchaseOrder.supplier?._id || purchaseOrder.supplier,
+      product: { $in: products }
+    });
+
+    for (const entry of entries) {
+      // Welford's update keeps the running mean and variance without the full history
+      const { average = 0, stdDev = 0, observations = 0 } = entry.measuredLeadTime || {};
+      const count = observations + 1;
+      const mean = average + (days - average) / count;
+      const sumSquares = stdDev ** 2 * Math.max(0, observations - 1) + (days - average) * (days - mean);
+      entry.measuredLeadTime = {
+        average: round(mean),
+        stdDev: round(count > 1 ? Math.sqrt(sumSquares / (count - 1)) : 0),
+        observations: count,
+        lastReceivedAt: receivedAt
+      };
+      await entry.save();
+    }
+    return entries.length;
+  }
+
+  /**
+   * Rank the catalog suppliers of a product by a weighted score of price, lead time and
+   * reliability (on-time rate × fill rate over the last year). With the 'primary'
+   * preference a preferred entry wins outright.
+   * @param {string} productId - Product ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @param {object} options - { preference: 'primary' | 'cheapest' | 'fastest', at }
+   * @returns {Promise<Array>} [{ entry, supplier, price, leadTime, reliability, score }] best first
+   */
+  async rankSuppliers(productId, tenantId, { preference = 'primary', at = new Date() } = {}) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const entries = (await SupplierProduct.find({ tenantId, product: productId, isActive: true })
+      .populate('supplier', 'companyName name email phone paymentTerms leadTime status'))
+      .filter(entry => entry.supplier && entry.supplier.status === 'active' && entry.isPriceValidAt(at));
+    if (entries.length === 0) {
+      return [];
+    }
+
+    const performance = await this.getSupplierPerformance(tenantId, {
+      startDate: new Date(at.getTime() - 365 * DAY_MS),
+      endDate: at,
+      suppliers: entries.map(entry => entry.supplier._id)
+    });
+    const reliabilityBySupplier = new Map(performance
+      .filter(row => row.onTimeRate !== null && row.fillRate !== null)
+      .map(row => [String(row.supplier._id), row.onTimeRate * row.fillRate]));
+
+    const candidates = entries.map(entry => ({
+      entry,
+      supplier: entry.supplier,
+      price: entry.price,
+      leadTime: entry.effectiveLeadTime(entry.supplier.leadTime),
+      reliability: reliabilityBySupplier.has(String(entry.supplier._id))
+        ? reliabilityBySupplier.get(String(entry.supplier._id))
+        : null
+    }));
+    const ranked = this.score(candidates, WEIGHTS[preference] || WEIGHTS.primary);
+
+    if (preference === 'primary') {
+      const preferred = ranked.findIndex(candidate => candidate.entry.isPreferred);
+      if (preferred > 0) ranked.unshift(...ranked.splice(preferred, 1));
+    }
+    return ranked;
+  }
+
+  /**
+   * Score candidates (lower is better): price and lead time as a fraction of the worst
+   * candidate's, reliability as its shortfall from perfect. Suppliers without history get
+   * the average reliability.
+   * @param {Array} candidates - { price, leadTime, reliability }
+   * @param {object} weights - { cost, leadTime, reliability }
+   * @returns {Array} Candidates with score, best first
+   */
+  score(candidates, weights) {
+    const maxPrice = Math.max(...candidates.map(c => c.price));
+    const maxLeadTime = Math.max(...candidates.map(c => c.leadTime));
+    const rated = candidates.filter(c => c.reliability !== null);
+    const averageReliability = rated.length ? rated.reduce((sum, c) => sum + c.reliability, 0) / rated.length : 1;
+
+    return candidates
+      .map((candidate) => {
+        const reliability = candidate.reliability ?? averageReliability;
+        const score = weights.cost * (maxPrice > 0 ? candidate.price / maxPrice : 0)
+          + weights.leadTime * ((candidate.leadTime + 1) / (maxLeadTime + 1))
+          + weights.reliability * (1 - reliability);
+        return { ...candidate, score: round(score, 4) };
+      })
+      .sort((a, b) => a.score - b.score);
+  }
+
+  /**
+   * Supplier performance over a period from their purchase orders: fill rate (units
+   * received of units ordered, on orders that are due or fully received), on-time rate
+   * (receipts by the expected delivery date, else the supplier's lead time) and the
+   * average lead time from order to receipt
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @param {object} options - { startDate, endDate, suppliers }
+   * @returns {Promise<Array>} One row per supplier with orders in the period
+   */
+  async getSupplierPerformance(tenantId, { startDate, endDate = new Date(), suppliers = null } = {}) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const supplierQuery = { tenantId };
+    if (suppliers) supplierQuery._id = { $in: suppliers };
+    const tenantSuppliers = await Supplier.find(supplierQuery).select('companyName name leadTime').lean();
+    const supplierById = new Map(tenantSuppliers.map(supplier => [String(supplier._id), supplier]));
+
+    const orderQuery = {
+      supplier: { $in: tenantSuppliers.map(supplier => supplier._id) },
+      status: { $in: PLACED_STATUSES },
+      isDeleted: { $ne: true },
+      orderDate: { $lte: endDate }
+    };
+    if (startDate) orderQuery.orderDate.$gte = startDate;
+    const orders = await PurchaseOrder.find(orderQuery)
+      .select('supplier status items orderDate confirmedDate expectedDelivery conversions total')
+      .lean();
+
+    const rows = new Map();
+    for (const order of orders) {
+      const key = String(order.supplier);
+      const supplier = supplierById.get(key);
+      if (!rows.has(key)) {
+        rows.set(key, {
+          supplier: { _id: supplier._id, companyName: supplier.companyName || supplier.name },
+          orders: 0,
+          totalValue: 0,
+          orderedQuantity: 0,
+          receivedQuantity: 0,
+          deliveries: 0,
+          onTimeDeliveries: 0,
+          leadTimeDays: 0
+        });
+      }
+      const row = rows.get(key);
+      row.orders++;
+      row.totalValue += order.total || 0;
+
+      const orderedAt = new Date(order.confirmedDate || order.orderDate);
+      const due = order.expectedDelivery
+        ? new Date(order.expectedDelivery)
+        : new Date(orderedAt.getTime() + (supplier.leadTime ?? 7) * DAY_MS);
+      // Deliveries count as on time up to the end of the due day
+      const dueBy = new Date(due.getTime() + DAY_MS - 1);
+      const settled = ['fully_received', 'closed'].includes(order.status) || dueBy < endDate;
+      if (settled) {
+        for (const item of order.items) {
+          row.orderedQuantity += item.quantity;
+          row.receivedQuantity += Math.min(item.receivedQuantity || 0, item.quantity);
+        }
+      }
+      for (const conversion of order.conversions || []) {
+        if (!(conversion.items || []).some(item => item.status !== 'error')) continue;
+        const receivedAt = new Date(conversion.convertedAt);
+        row.deliveries++;
+        if (receivedAt <= dueBy) row.onTimeDeliveries++;
+        row.leadTimeDays += Math.max(0, (receivedAt - orderedAt) / DAY_MS);
+      }
+    }
+
+    return Array.from(rows.values()).map(row => ({
+      supplier: row.supplier,
+      orders: row.orders,
+      totalValue: round(row.totalValue),
+      orderedQuantity: row.orderedQuantity,
+      receivedQuantity: row.receivedQuantity,
+      fillRate: row.orderedQuantity > 0 ? round(row.receivedQuantity / row.orderedQuantity, 4) : null,
+      deliveries: row.deliveries,
+      onTimeDeliveries: row.onTimeDeliveries,
+      onTimeRate: row.deliveries > 0 ? round(row.onTimeDeliveries / row.deliveries, 4) : null,
+      averageLeadTime: row.deliveries > 0 ? round(row.leadTimeDays / row.deliveries, 1) : null
+    }));
+  }
+
+  /** @private */
+  pickFields(data) {
+    const fields = {};
+    ['supplierSku', 'packSize', 'moq', 'price', 'validFrom', 'validUntil', 'leadTimeDays', 'isPreferred', 'isActive', 'notes']
+      .forEach((field) => {
+        if (data[field] !== undefined) fields[field] = data[field];
+      });
+    return fields;
+  }
+
+  /** @private */
+  async checkReferences(supplierId, productId, tenantId) {
+    if (!(await Supplier.exists({ _id: supplierId, tenantId }))) {
+      throw new Error('Supplier not found');
+    }
+    if (!(await Product.exists({ _id: productId, tenantId }))) {
+      throw new Error('Product not found');
+    }
+  }
+
+  /** @private */
+  async clearOtherPreferred(entry, tenantId) {
+    await SupplierProduct.updateMany(
+      { tenantId, product: entry.product, _id: { $ne: entry._id }, isPreferred: true },
+      { $set: { isPreferred: false } }
+    );
+  }
+
+  /** @private */
+  async getEntryOrThrow(id, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const entry = await SupplierProduct.findOne({ _id: id, tenantId });
+    if (!entry) {
+      throw new Error('Catalog entry not found');
+    }
+    return entry;
+  }
+}
+
+module.exports = new SupplierCatalogService();
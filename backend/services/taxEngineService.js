@@ -0,0 +1,398 @@
+const mongoose = require('mongoose');
+const TaxCode = require('../models/TaxCode');
+const TaxGroup = require('../models/TaxGroup');
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Products that only carry Product.taxSettings.taxRate are taxed under these codes
+const LEGACY_TAX = {
+  sales: { code: 'SALES_TAX', name: 'Sales Tax', account: '2120' },
+  purchase: { code: 'INPUT_TAX', name: 'Input Tax', account: 'TAX_RECEIVABLE' }
+};
+
+class TaxEngineService {
+  /**
+   * List tax codes
+   * @param {object} filters - { isActive, appliesTo }
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<Array>}
+   */
+  async getTaxCodes(filters = {}, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const query = { tenantId };
+    if (filters.isActive !== undefined) {
+      query.isActive = filters.isActive === true || filters.isActive === 'true';
+    }
+    if (filters.appliesTo) {
+      query.appliesTo = { $in: [filters.appliesTo, 'both'] };
+    }
+    return TaxCode.find(query).sort({ code: 1 });
+  }
+
+  /**
+   * Create a tax code
+   * @param {object} data - { code, name, appliesTo, rates, compound, withholding, recoverable, exemptCategories, payableAccount, receivableAccount }
+   * @param {string} userId - User ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async createTaxCode(data, userId, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const existing = await TaxCode.findOne({ tenantId, code: String(data.code).trim().toUpperCase() });
+    if (existing) {
+      throw new Error('Tax code already exists');
+    }
+    return TaxCode.create({ ...data, tenantId, createdBy: userId });
+  }
+
+  /**
+   * Update a tax code. Rate changes should be added as new effective-dated rates so
+   * documents already taxed at the old rate can still be recalculated.
+   * @param {string} id - Tax code ID
+   * @param {object} data - Fields to change
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async updateTaxCode(id, data, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const taxCode = await TaxCode.findOne({ _id: id, tenantId });
+    if (!taxCode) {
+      throw new Error('Tax code not found');
+    }
+    const fields = [
+      'name', 'appliesTo', 'rates', 'compound', 'withholding', 'recoverable',
+      'exemptCategories', 'payableAccount', 'receivableAccount', 'isActive'
+    ];
+    fields.forEach((field) => {
+      if (data[field] !== undefined) taxCode[field] = data[field];
+    });
+    return taxCode.save();
+  }
+
+  /**
+   * List tax groups with their codes
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<Array>}
+   */
+  async getTaxGroups(tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    return TaxGroup.find({ tenantId }).populate('taxCodes').sort({ code: 1 });
+  }
+
+  /**
+   * Create a tax group
+   * @param {object} data - { code, name, taxCodes } with taxCodes in the order they apply
+   * @param {string} userId - User ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async createTaxGroup(data, userId, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const existing = await TaxGroup.findOne({ tenantId, code: String(data.code).trim().toUpperCase() });
+    if (existing) {
+      throw new Error('Tax group already exists');
+    }
+    await this.assertTaxCodes(data.taxCodes, tenantId);
+    const group = await TaxGroup.create({ ...data, tenantId, createdBy: userId });
+    return group.populate('taxCodes');
+  }
+
+  /**
+   * Update a tax group
+   * @param {string} id - Tax group ID
+   * @param {object} data - { name, taxCodes, isActive }
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async updateTaxGroup(id, data, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const group = await TaxGroup.findOne({ _id: id, tenantId });
+    if (!group) {
+      throw new Error('Tax group not found');
+    }
+    if (data.taxCodes !== undefined) {
+      await this.assertTaxCodes(data.taxCodes, tenantId);
+      group.taxCodes = data.taxCodes;
+    }
+    if (data.name !== undefined) group.name = data.name;
+    if (data.isActive !== undefined) group.isActive = data.isActive;
+    await group.save();
+    return group.populate('taxCodes');
+  }
+
+  /**
+   * Tax a set of document lines.
+   *
+   * Each line is taxed by its tax group when it has one, otherwise by its flat taxRate
+   * (the pre-tax-code Product.taxSettings.taxRate). Lines priced tax-inclusive have the
+   * tax backed out of their amount.
+   * @param {object} params
+   * @param {Array} params.lines - [{ amount, taxGroup, taxRate, priceIncludesTax }] amount is after discounts
+   * @param {string} params.direction - 'sales' or 'purchase'
+   * @param {Date} params.date - Document date; picks the rates in force
+   * @param {string} params.customerCategory - Customer taxCategory for exemptions
+   * @param {boolean} params.isTaxExempt - Exempt the whole document
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<{lines: Array, taxes: Array, taxAmount: number, withholdingAmount: number}>}
+   */
+  async calculate({ lines = [], direction = 'sales', date = new Date(), customerCategory = null, isTaxExempt = false }, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const groupIds = isTaxExempt ? [] : [...new Set(lines.filter(line => line.taxGroup).map(line => String(line.taxGroup)))];
+    const groups = groupIds.length > 0
+      ? await TaxGroup.find({ _id: { $in: groupIds }, tenantId }).populate('taxCodes')
+      : [];
+    const groupById = new Map(groups.map(group => [String(group._id), group]));
+    const category = customerCategory ? String(customerCategory).trim().toLowerCase() : null;
+
+    const results = lines.map((line) => {
+      let definitions = [];
+      if (!isTaxExempt) {
+        const group = line.taxGroup ? groupById.get(String(line.taxGroup)) : null;
+        if (line.taxGroup && !group) {
+          throw new Error('Tax group not found');
+        }
+        definitions = group
+          ? this.resolveGroup(group, { direction, date, category })
+          : this.legacyDefinitions(line.taxRate, direction);
+      }
+      return {
+        ...this.computeLine(line.amount, definitions, { priceIncludesTax: line.priceIncludesTax }),
+        taxGroup: line.taxGroup || undefined,
+        priceIncludesTax: Boolean(line.priceIncludesTax)
+      };
+    });
+
+    const taxes = this.summarize(results.map(result => result.taxes));
+    return {
+      lines: results,
+      taxes,
+      taxAmount: roundMoney(results.reduce((sum, result) => sum + result.taxAmount, 0)),
+      withholdingAmount: roundMoney(results.reduce((sum, result) => sum + result.withholdingAmount, 0))
+    };
+  }
+
+  /**
+   * Tax one amount with already-resolved tax definitions, in order. Compound taxes are
+   * charged on the net amount plus the taxes before them; withholding taxes are worked
+   * out on the net amount and are never part of an inclusive price.
+   * @param {number} amount - Net amount, or gross when priceIncludesTax
+   * @param {Array} definitions - [{ code, name, rate, compound, withholding, recoverable, account, taxCode }]
+   * @param {object} options - { priceIncludesTax }
+   * @returns {{net: number, taxAmount: number, withholdingAmount: number, total: number, taxRate: number, taxes: Array}}
+   */
+  computeLine(amount, definitions = [], { priceIncludesTax = false } = {}) {
+    const applyRates = (net) => {
+      let added = 0;
+      const taxes = definitions.map((definition) => {
+        const base = definition.compound && !definition.withholding ? net + added : net;
+        const taxAmount = base * definition.rate;
+        if (!definition.withholding) added += taxAmount;
+        return { ...definition, base, amount: taxAmount };
+      });
+      return { taxes, added };
+    };
+
+    const gross = Number(amount) || 0;
+    const net = priceIncludesTax ? gross / (1 + applyRates(1).added) : gross;
+    const { taxes } = applyRates(net);
+    const rounded = taxes.map(tax => ({ ...tax, base: roundMoney(tax.base), amount: roundMoney(tax.amount) }));
+    let roundedNet = roundMoney(net);
+
+    // The inclusive price is what the customer pays; rounding differences go to the last tax
+    if (priceIncludesTax) {
+      const added = rounded.filter(tax => !tax.withholding);
+      const difference = roundMoney(gross - roundedNet - added.reduce((sum, tax) => sum + tax.amount, 0));
+      if (difference !== 0) {
+        if (added.length > 0) {
+          added[added.length - 1].amount = roundMoney(added[added.length - 1].amount + difference);
+        } else {
+          roundedNet = roundMoney(roundedNet + difference);
+        }
+      }
+    }
+
+    const taxAmount = roundMoney(rounded.filter(tax => !tax.withholding).reduce((sum, tax) => sum + tax.amount, 0));
+    const withholdingAmount = roundMoney(rounded.filter(tax => tax.withholding).reduce((sum, tax) => sum + tax.amount, 0));
+    return {
+      net: roundedNet,
+      taxAmount,
+      withholdingAmount,
+      total: roundMoney(roundedNet + taxAmount - withholdingAmount),
+      taxRate: roundedNet > 0 ? Math.round((taxAmount / roundedNet) * 1e6) / 1e6 : 0,
+      taxes: rounded.filter(tax => tax.amount > 0)
+    };
+  }
+
+  /**
+   * Copy a calculated line onto a document line with subtotal and discountAmount set.
+   * Tax-inclusive lines have both restated net of tax so that
+   * total = subtotal - discountAmount + taxAmount - withholdingAmount still holds.
+   * @param {object} item - Document line (mutated)
+   * @param {object} result - Line result from calculate()
+   * @returns {object} item
+   */
+  applyToLine(item, result) {
+    if (result.priceIncludesTax) {
+      const gross = item.subtotal - item.discountAmount;
+      const factor = gross > 0 ? result.net / gross : 1;
+      item.subtotal = roundMoney(item.subtotal * factor);
+      item.discountAmount = Math.max(0, roundMoney(item.subtotal - result.net));
+      if (item.promotionDiscount) {
+        item.promotionDiscount = roundMoney(item.promotionDiscount * factor);
+      }
+    }
+    // Flat-rate lines keep their configured rate; grouped lines record the effective rate
+    if (item.taxGroup) {
+      item.taxRate = Math.min(1, result.taxRate);
+    }
+    item.priceIncludesTax = result.priceIncludesTax;
+    item.taxes = result.taxes;
+    item.taxAmount = result.taxAmount;
+    item.withholdingAmount = result.withholdingAmount;
+    item.total = result.total;
+    return item;
+  }
+
+  /**
+   * Total tax components across lines, one entry per code, rate and account
+   * @param {Array<Array>} taxLists - Tax components of each line
+   * @returns {Array}
+   */
+  summarize(taxLists) {
+    const totals = new Map();
+    taxLists.flat().forEach((tax) => {
+      const key = [tax.code, tax.rate, tax.account, tax.withholding].join('|');
+      const entry = totals.get(key) || { ...tax, base: 0, amount: 0 };
+      entry.base = roundMoney(entry.base + tax.base);
+      entry.amount = roundMoney(entry.amount + tax.amount);
+      totals.set(key, entry);
+    });
+    return [...totals.values()];
+  }
+
+  /**
+   * Scale tax components to part of a line, e.g. the returned quantity
+   * @param {Array} taxes - Tax components of the original line
+   * @param {number} fraction - Share of the line (0-1)
+   * @returns {Array}
+   */
+  prorate(taxes = [], fraction = 1) {
+    return taxes
+      .map(tax => ({
+        ...(typeof tax.toObject === 'function' ? tax.toObject() : tax),
+        base: roundMoney(tax.base * fraction),
+        amount: roundMoney(tax.amount * fraction)
+      }))
+      .filter(tax => tax.amount > 0);
+  }
+
+  /**
+   * Journal lines for tax components. Sales tax is owed (credit) and purchase tax is
+   * reclaimable (debit); withheld tax sits on the opposite side. Non-recoverable purchase
+   * tax stays in the inventory cost and gets no line.
+   * @param {Array} taxes - Document tax summary
+   * @param {string} direction - 'sales' or 'purchase'
+   * @returns {Array<{account: string, label: string, name: string, liability: boolean, debit: number, credit: number}>}
+   */
+  postingLines(taxes = [], direction = 'sales') {
+    return taxes
+      .filter(tax => tax.amount > 0 && tax.account && (direction === 'sales' || tax.withholding || tax.recoverable !== false))
+      .map((tax) => {
+        const liability = direction === 'sales' ? !tax.withholding : Boolean(tax.withholding);
+        const amount = roundMoney(tax.amount);
+        return {
+          account: tax.account,
+          label: tax.name || tax.code,
+          name: `${tax.name || tax.code} ${liability ? 'Payable' : 'Receivable'}`,
+          liability,
+          debit: liability ? 0 : amount,
+          credit: liability ? amount : 0
+        };
+      });
+  }
+
+  /**
+   * Tax codes of a group that apply on this date, direction and customer
+   * @private
+   */
+  resolveGroup(group, { direction, date, category }) {
+    if (!group.isActive) {
+      return [];
+    }
+    return group.taxCodes
+      .filter(taxCode => taxCode && taxCode.isActive)
+      .filter(taxCode => taxCode.appliesTo === 'both' || taxCode.appliesTo === direction)
+      .filter(taxCode => !(category && (taxCode.exemptCategories || []).includes(category)))
+      .map(taxCode => ({ taxCode, rate: taxCode.rateOn(date) }))
+      .filter(({ rate }) => rate !== null && rate > 0)
+      .map(({ taxCode, rate }) => ({
+        taxCode: taxCode._id,
+        code: taxCode.code,
+        name: taxCode.name,
+        rate,
+        compound: Boolean(taxCode.compound),
+        withholding: Boolean(taxCode.withholding),
+        recoverable: taxCode.recoverable !== false,
+        account: this.accountFor(taxCode, direction)
+      }));
+  }
+
+  /**
+   * @private
+   */
+  legacyDefinitions(taxRate, direction) {
+    const rate = Number(taxRate) || 0;
+    if (rate <= 0) {
+      return [];
+    }
+    const legacy = LEGACY_TAX[direction] || LEGACY_TAX.sales;
+    return [{
+      code: legacy.code,
+      name: legacy.name,
+      rate,
+      compound: false,
+      withholding: false,
+      recoverable: true,
+      account: legacy.account
+    }];
+  }
+
+  /**
+   * Sales tax is payable and purchase tax receivable; withholding is the other way round
+   * @private
+   */
+  accountFor(taxCode, direction) {
+    const payable = direction === 'sales' ? !taxCode.withholding : taxCode.withholding;
+    return payable
+      ? (taxCode.payableAccount || `${taxCode.code}_PAYABLE`)
+      : (taxCode.receivableAccount || `${taxCode.code}_RECEIVABLE`);
+  }
+
+  /**
+   * @private
+   */
+  async assertTaxCodes(taxCodes = [], tenantId) {
+    const ids = (taxCodes || []).filter(id => mongoose.Types.ObjectId.isValid(id));
+    const count = await TaxCode.countDocuments({ _id: { $in: ids }, tenantId });
+    if (ids.length !== (taxCodes || []).length || count !== new Set(ids.map(String)).size) {
+      throw new Error('Tax code not found');
+    }
+  }
+}
+
+module.exports = new TaxEngineService();
+module.exports.LEGACY_TAX = LEGACY_TAX;
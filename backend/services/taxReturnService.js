@@ -0,0 +1,490 @@
+const mongoose = require('mongoose');
+const TaxReturn = require('../models/TaxReturn');
+const Sales = require('../models/Sales');
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+const Return = require('../models/Return');
+const JournalEntry = require('../models/JournalEntry');
+const taxEngineService = require('./taxEngineService');
+const periodValidationService = require('./periodValidationService');
+const currencyService = require('./currencyService');
+const { runWithTransactionRetry } = require('./transactionUtils');
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const LINE_BOX = {
+  sales: 'sales',
+  sales_returns: 'salesReturns',
+  purchases: 'purchases',
+  purchase_returns: 'purchaseReturns'
+};
+
+class TaxReturnService {
+  /**
+   * Work out the tax return for a period: output tax on sales less sales returns, input
+   * tax on purchase invoices less purchase returns, broken down by tax code with the
+   * documents behind each box and a check against the tax accounts in the ledger.
+   * @param {object} params - { startDate, endDate }
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>} { periodStart, periodEnd, boxes, lines, documents, reconciliation }
+   */
+  async buildReport({ startDate, endDate }, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const { periodStart, periodEnd } = this.normalizePeriod(startDate, endDate);
+    const dateRange = { $gte: periodStart, $lte: periodEnd };
+
+    const [sales, invoices, returns] = await Promise.all([
+      Sales.find({ tenantId, createdAt: dateRange, status: { $ne: 'cancelled' } })
+        .select('orderNumber createdAt customerInfo pricing taxes exchangeRate')
+        .lean(),
+      PurchaseInvoice.find({ tenantId, createdAt: dateRange, status: { $ne: 'cancelled' } })
+        .select('invoiceNumber createdAt supplierInfo pricing taxes exchangeRate')
+        .lean(),
+      this.findTenantReturns(dateRange, tenantId)
+    ]);
+
+    const documents = [];
+    const taxable = { sales: 0, purchases: 0 };
+    // Foreign-currency documents are reported at the rate they were booked at
+    const inBase = (amount, doc) => currencyService.toBase(amount || 0, doc.exchangeRate || 1);
+    const taxesInBase = (taxes, doc) => taxes.map(tax => ({ ...tax, base: inBase(tax.base, doc), amount: inBase(tax.amount, doc) }));
+    const addDocument = (box, documentType, doc, taxes, party, date) => {
+      taxes.forEach((tax) => {
+        documents.push({
+          box,
+          documentType,
+          documentId: doc._id,
+          documentNumber: doc.orderNumber || doc.invoiceNumber || doc.returnNumber,
+          date,
+          party,
+          code: tax.code,
+          base: roundMoney(tax.base),
+          tax: roundMoney(tax.amount),
+          account: tax.account,
+          withholding: Boolean(tax.withholding),
+          recoverable: tax.recoverable !== false,
+          name: tax.name
+        });
+      });
+    };
+
+    sales.forEach((sale) => {
+      const taxes = taxesInBase(this.documentTaxes(sale, 'sales'), sale);
+      if (taxes.length === 0) return;
+      taxable.sales += inBase((sale.pricing?.subtotal || 0) - (sale.pricing?.discountAmount || 0), sale);
+      addDocument('sales', 'sale', sale, taxes, sale.customerInfo?.businessName || sale.customerInfo?.name, sale.createdAt);
+    });
+    invoices.forEach((invoice) => {
+      const taxes = taxesInBase(this.documentTaxes(invoice, 'purchase'), invoice);
+      if (taxes.length === 0) return;
+      taxable.purchases += inBase((invoice.pricing?.subtotal || 0) - (invoice.pricing?.discountAmount || 0), invoice);
+      addDocument('purchases', 'purchase_invoice', invoice, taxes, invoice.supplierInfo?.companyName || invoice.supplierInfo?.name, invoice.createdAt);
+    });
+    returns.forEach((returnDoc) => {
+      const taxes = taxesInBase(taxEngineService.summarize((returnDoc.items || []).map(item => item.taxes || [])), returnDoc);
+      if (taxes.length === 0) return;
+      const isPurchase = returnDoc.origin === 'purchase';
+      taxable[isPurchase ? 'purchases' : 'sales'] -= inBase(returnDoc.totalRefundAmount, returnDoc);
+      addDocument(isPurchase ? 'purchase_returns' : 'sales_returns', 'return', returnDoc, taxes, undefined, returnDoc.refundDetails?.refundDate);
+    });
+
+    const lines = this.buildLines(documents);
+    const boxes = this.buildBoxes(lines, taxable);
+    const reconciliation = await this.reconcile(lines, { periodStart, periodEnd }, tenantId);
+
+    return {
+      periodStart,
+      periodEnd,
+      boxes,
+      lines,
+      documents: documents.map(({ account, withholding, recoverable, name, ...document }) => document),
+      reconciliation
+    };
+  }
+
+  /**
+   * List tax returns
+   * @param {object} filters - { status }
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<Array>}
+   */
+  async getReturns(filters = {}, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const query = { tenantId };
+    if (filters.status) query.status = filters.status;
+    return TaxReturn.find(query)
+      .select('-documents')
+      .populate('filedBy', 'firstName lastName')
+      .sort({ periodStart: -1 });
+  }
+
+  /**
+   * Get a tax return with its supporting documents
+   * @param {string} id - Tax return ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async getReturn(id, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const taxReturn = await TaxReturn.findOne({ _id: id, tenantId })
+      .populate('filedBy', 'firstName lastName');
+    if (!taxReturn) {
+      throw new Error('Tax return not found');
+    }
+    return taxReturn;
+  }
+
+  /**
+   * Save a draft return for a period with the figures as they stand now
+   * @param {object} data - { startDate, endDate, notes }
+   * @param {string} userId - User ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async createReturn(data, userId, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const { periodStart, periodEnd } = this.normalizePeriod(data.startDate, data.endDate);
+    await this.assertNotFiled(periodStart, periodEnd, tenantId);
+
+    const report = await this.buildReport({ startDate: periodStart, endDate: periodEnd }, tenantId);
+    return TaxReturn.create({
+      ...report,
+      tenantId,
+      status: 'draft',
+      calculatedAt: new Date(),
+      notes: data.notes,
+      createdBy: userId
+    });
+  }
+
+  /**
+   * Recalculate a draft return, e.g. after late documents were entered
+   * @param {string} id - Tax return ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async recalculateReturn(id, tenantId) {
+    const taxReturn = await this.getReturn(id, tenantId);
+    if (taxReturn.status !== 'draft') {
+      throw new Error('Only draft tax returns can be recalculated');
+    }
+    await this.applyReport(taxReturn, tenantId);
+    return taxReturn.save();
+  }
+
+  /**
+   * File a draft return. Figures are recalculated one last time and the tenant's fiscal
+   * periods it covers are locked, so nothing more can be posted into them.
+   * @param {string} id - Tax return ID
+   * @param {object} data - { filingReference, notes }
+   * @param {object} user - User filing the return
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async fileReturn(id, data, user, tenantId) {
+    const taxReturn = await this.getReturn(id, tenantId);
+    if (taxReturn.status !== 'draft') {
+      throw new Error('Tax return is already filed');
+    }
+    await this.applyReport(taxReturn, tenantId);
+
+    // The periods are locked only if the return is filed, and the return filed only if they lock
+    return await runWithTransactionRetry(async (session) => {
+      await this.assertNotFiled(taxReturn.periodStart, taxReturn.periodEnd, tenantId, session);
+      taxReturn.lockedPeriods = await this.lockPeriods(taxReturn, user, tenantId, session);
+      taxReturn.status = 'filed';
+      taxReturn.filingReference = data.filingReference;
+      if (data.notes !== undefined) taxReturn.notes = data.notes;
+      taxReturn.filedBy = user._id;
+      taxReturn.filedAt = new Date();
+      return taxReturn.save({ session });
+    });
+  }
+
+  /**
+   * Rows for CSV/XLSX/PDF export: the boxes, then each tax code, then the documents
+   * @param {object} report - Tax return or buildReport() result
+   * @returns {{headers: Array<string>, rows: Array<Array>}}
+   */
+  exportRows(report) {
+    const headers = ['Section', 'Code', 'Reference', 'Date', 'Party', 'Base', 'Tax'];
+    const boxes = report.boxes || {};
+    const rows = [
+      ['Box', '', 'Output tax on sales', '', '', roundMoney(boxes.taxableSales), roundMoney(boxes.outputTax)],
+      ['Box', '', 'Output tax refunded on returns', '', '', '', roundMoney(boxes.outputTaxReturns)],
+      ['Box', '', 'Input tax on purchases', '', '', roundMoney(boxes.taxablePurchases), roundMoney(boxes.inputTax)],
+      ['Box', '', 'Input tax reversed on purchase returns', '', '', '', roundMoney(boxes.inputTaxReturns)],
+      ['Box', '', 'Tax withheld from suppliers', '', '', '', roundMoney(boxes.withholdingPayable)],
+      ['Box', '', 'Tax withheld by customers', '', '', '', roundMoney(boxes.withholdingCredit)],
+      ['Box', '', 'Net tax payable', '', '', '', roundMoney(boxes.netPayable)]
+    ];
+    (report.lines || []).forEach((line) => {
+      rows.push(['Tax code', line.code, `${line.name || line.code} sales`, '', '', line.sales?.base || 0, line.sales?.tax || 0]);
+      rows.push(['Tax code', line.code, `${line.name || line.code} sales returns`, '', '', line.salesReturns?.base || 0, line.salesReturns?.tax || 0]);
+      rows.push(['Tax code', line.code, `${line.name || line.code} purchases`, '', '', line.purchases?.base || 0, line.purchases?.tax || 0]);
+      rows.push(['Tax code', line.code, `${line.name || line.code} purchase returns`, '', '', line.purchaseReturns?.base || 0, line.purchaseReturns?.tax || 0]);
+      rows.push(['Tax code', line.code, `${line.name || line.code} net`, '', '', '', line.net]);
+    });
+    (report.documents || []).forEach((document) => {
+      rows.push([
+        document.box.replace('_', ' '),
+        document.code,
+        document.documentNumber || '',
+        document.date ? new Date(document.date).toISOString().slice(0, 10) : '',
+        document.party || '',
+        document.base,
+        document.tax
+      ]);
+    });
+    return { headers, rows };
+  }
+
+  /**
+   * Returns refunded in the period. Returns carry no tenantId, so they are matched to the
+   * tenant through the sale or purchase invoice they were raised against, and take that
+   * document's exchange rate.
+   * @private
+   */
+  async findTenantReturns(dateRange, tenantId) {
+    const returns = await Return.find({
+      'refundDetails.refundDate': dateRange,
+      status: { $nin: ['cancelled', 'rejected'] }
+    })
+      .select('returnNumber origin originalOrder refundDetails items totalRefundAmount')
+      .lean();
+    if (returns.length === 0) {
+      return [];
+    }
+    const orderIds = returns.map(returnDoc => returnDoc.originalOrder);
+    const [sales, invoices] = await Promise.all([
+      Sales.find({ _id: { $in: orderIds }, tenantId }).select('exchangeRate').lean(),
+      PurchaseInvoice.find({ _id: { $in: orderIds }, tenantId }).select('exchangeRate').lean()
+    ]);
+    const rates = new Map([...sales, ...invoices].map(doc => [String(doc._id), doc.exchangeRate || 1]));
+    return returns
+      .filter(returnDoc => rates.has(String(returnDoc.originalOrder)))
+      .map(returnDoc => ({ ...returnDoc, exchangeRate: rates.get(String(returnDoc.originalOrder)) }));
+  }
+
+  /**
+   * Tax components of a sale or purchase invoice. Documents from before tax codes only
+   * carry pricing.taxAmount and are reported under the legacy code.
+   * @private
+   */
+  documentTaxes(doc, direction) {
+    if (Array.isArray(doc.taxes) && doc.taxes.length > 0) {
+      return doc.taxes;
+    }
+    const taxAmount = roundMoney(doc.pricing?.taxAmount);
+    if (taxAmount <= 0 || doc.pricing?.isTaxExempt) {
+      return [];
+    }
+    const base = roundMoney((doc.pricing?.subtotal || 0) - (doc.pricing?.discountAmount || 0));
+    return [{
+      ...taxEngineService.LEGACY_TAX[direction],
+      rate: base > 0 ? Math.round((taxAmount / base) * 1e6) / 1e6 : 0,
+      base,
+      amount: taxAmount
+    }];
+  }
+
+  /**
+   * Totals per tax code and account, with what each one nets to
+   * @private
+   */
+  buildLines(documents) {
+    const lines = new Map();
+    documents.forEach((document) => {
+      const key = [document.code, document.account, document.withholding].join('|');
+      const line = lines.get(key) || {
+        code: document.code,
+        name: document.name,
+        account: document.account,
+        withholding: document.withholding,
+        recoverable: document.recoverable,
+        sales: { base: 0, tax: 0 },
+        salesReturns: { base: 0, tax: 0 },
+        purchases: { base: 0, tax: 0 },
+        purchaseReturns: { base: 0, tax: 0 }
+      };
+      const box = line[LINE_BOX[document.box]];
+      box.base = roundMoney(box.base + document.base);
+      box.tax = roundMoney(box.tax + document.tax);
+      lines.set(key, line);
+    });
+
+    return [...lines.values()].map((line) => {
+      const sales = line.sales.tax - line.salesReturns.tax;
+      const purchases = line.purchases.tax - line.purchaseReturns.tax;
+      const net = line.withholding
+        ? purchases - sales
+        : sales - (line.recoverable ? purchases : 0);
+      return { ...line, net: roundMoney(net) };
+    }).sort((a, b) => a.code.localeCompare(b.code));
+  }
+
+  /**
+   * @private
+   */
+  buildBoxes(lines, taxable) {
+    const sum = (filter, pick) => roundMoney(lines.filter(filter).reduce((total, line) => total + pick(line), 0));
+    const added = line => !line.withholding;
+    const reclaimable = line => !line.withholding && line.recoverable;
+
+    const boxes = {
+      outputTax: sum(added, line => line.sales.tax),
+      outputTaxReturns: sum(added, line => line.salesReturns.tax),
+      inputTax: sum(reclaimable, line => line.purchases.tax),
+      inputTaxReturns: sum(reclaimable, line => line.purchaseReturns.tax),
+      withholdingPayable: sum(line => line.withholding, line => line.purchases.tax - line.purchaseReturns.tax),
+      withholdingCredit: sum(line => line.withholding, line => line.sales.tax - line.salesReturns.tax),
+      taxableSales: roundMoney(taxable.sales),
+      taxablePurchases: roundMoney(taxable.purchases)
+    };
+    boxes.netPayable = roundMoney(
+      boxes.outputTax - boxes.outputTaxReturns - (boxes.inputTax - boxes.inputTaxReturns) +
+      boxes.withholdingPayable - boxes.withholdingCredit
+    );
+    return boxes;
+  }
+
+  /**
+   * Compare each tax account's movement in posted journal entries (credit less debit)
+   * with what the documents say it should be
+   * @private
+   */
+  async reconcile(lines, { periodStart, periodEnd }, tenantId) {
+    const expected = new Map();
+    lines.forEach((line) => {
+      if (!line.account) return;
+      const sales = line.sales.tax - line.salesReturns.tax;
+      const purchases = line.purchases.tax - line.purchaseReturns.tax;
+      let movement;
+      if (line.withholding) {
+        movement = purchases - sales;
+      } else {
+        movement = sales - (line.recoverable ? purchases : 0);
+      }
+      expected.set(line.account, (expected.get(line.account) || 0) + movement);
+    });
+    if (expected.size === 0) {
+      return [];
+    }
+
+    const ledger = await JournalEntry.aggregate([
+      {
+        $match: {
+          tenantId: new mongoose.Types.ObjectId(String(tenantId)),
+          status: 'posted',
+          entryDate: { $gte: periodStart, $lte: periodEnd }
+        }
+      },
+      { $unwind: '$entries' },
+      { $match: { 'entries.accountCode': { $in: [...expected.keys()] } } },
+      {
+        $group: {
+          _id: '$entries.accountCode',
+          movement: { $sum: { $subtract: ['$entries.credit', '$entries.debit'] } }
+        }
+      }
+    ]);
+    const ledgerByAccount = new Map(ledger.map(row => [row._id, row.movement]));
+
+    return [...expected.entries()].map(([account, amount]) => {
+      const ledgerAmount = roundMoney(ledgerByAccount.get(account));
+      return {
+        account,
+        expected: roundMoney(amount),
+        ledger: ledgerAmount,
+        difference: roundMoney(ledgerAmount - amount)
+      };
+    });
+  }
+
+  /**
+   * @private
+   */
+  async applyReport(taxReturn, tenantId) {
+    const report = await this.buildReport({ startDate: taxReturn.periodStart, endDate: taxReturn.periodEnd }, tenantId);
+    taxReturn.boxes = report.boxes;
+    taxReturn.lines = report.lines;
+    taxReturn.documents = report.documents;
+    taxReturn.reconciliation = report.reconciliation;
+    taxReturn.calculatedAt = new Date();
+  }
+
+  /**
+   * Lock every fiscal period the return overlaps. These are the periods journal postings
+   * are validated against, so the lock holds for this tenant only. A return that ends
+   * partway through a period would lock days it does not report, so it is refused.
+   * @private
+   */
+  async lockPeriods(taxReturn, user, tenantId, session = null) {
+    const { periodStart, periodEnd } = taxReturn;
+    const locked = [];
+    let date = new Date(periodStart);
+    while (date <= periodEnd) {
+      const fiscalYear = await periodValidationService.findOrCreateFiscalYear(date, tenantId);
+      if (fiscalYear.isClosed) {
+        throw new Error(`Fiscal year ${fiscalYear.year} is closed`);
+      }
+      for (const period of fiscalYear.periods) {
+        if (period.endDate < periodStart || period.startDate > periodEnd) continue;
+        if (period.endDate > periodEnd) {
+          throw new Error(`Tax return ends partway through period ${period.period} of fiscal year ${fiscalYear.year}; file it to the end of the period`);
+        }
+        if (!period.isLocked) {
+          period.isLocked = true;
+          period.lockedAt = new Date();
+          period.lockedBy = user._id;
+        }
+        locked.push({ fiscalYear: fiscalYear._id, period: period.period });
+      }
+      await fiscalYear.save({ session });
+      date = new Date(fiscalYear.endDate.getTime() + 1);
+    }
+    return locked;
+  }
+
+  /**
+   * @private
+   */
+  async assertNotFiled(periodStart, periodEnd, tenantId, session = null) {
+    const filed = await TaxReturn.findOne({
+      tenantId,
+      status: 'filed',
+      periodStart: { $lte: periodEnd },
+      periodEnd: { $gte: periodStart }
+    }, null, { session });
+    if (filed) {
+      throw new Error(`Tax return ${filed.returnNumber} is already filed for this period`);
+    }
+  }
+
+  /**
+   * Whole days from the start of startDate to the end of endDate
+   * @private
+   */
+  normalizePeriod(startDate, endDate) {
+    const periodStart = new Date(startDate);
+    const periodEnd = new Date(endDate);
+    if (Number.isNaN(periodStart.getTime()) || Number.isNaN(periodEnd.getTime())) {
+      throw new Error('Valid start and end dates are required');
+    }
+    periodStart.setHours(0, 0, 0, 0);
+    periodEnd.setHours(23, 59, 59, 999);
+    if (periodStart > periodEnd) {
+      throw new Error('Start date must be before end date');
+    }
+    return { periodStart, periodEnd };
+  }
+}
+
+module.exports = new TaxReturnService();
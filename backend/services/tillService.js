@@ -1,4 +1,15 @@
+const PDFDocument = require('pdfkit');
+const mongoose = require('mongoose');
 const TillSessionRepository = require('../repositories/TillSessionRepository');
+const TillSession = require('../models/TillSession');
+const Sales = require('../models/Sales');
+const Return = require('../models/Return');
+const CashPayment = require('../models/CashPayment');
+const User = require('../models/User');
+const AccountingService = require('./accountingService');
+const { runWithTransactionRetry } = require('./transactionUtils');
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
 
 class TillService {
   /**
@@ -42,7 +53,9 @@ class TillService {
 
   /**
    * Close a till session
-   * @param {object} closeData - Close data
+   * Expected cash is computed from the session's cash activity; the declared
+   * amount comes from the denomination count when one is supplied.
+   * @param {object} closeData - Close data ({ closingDeclaredAmount, denominations, notesClose })
    * @param {string} userId - User ID
    * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
    * @returns {Promise<object>}
@@ -57,17 +70,425 @@ class TillService {
       throw new Error('No open till to close');
     }
 
+    const denominations = this.normalizeDenominations(closeData.denominations);
+    const declaredAmount = denominations.length > 0
+      ? roundMoney(TillSession.sumDenominations(denominations))
+      : Number(closeData.closingDeclaredAmount);
+    if (!Number.isFinite(declaredAmount)) {
+      throw new Error('Closing amount or denomination count is required');
+    }
+
+    const expected = await this.computeExpectedCash(session);
+    session.expectedBreakdown = expected.breakdown;
+    session.closingDenominations = denominations;
+
     // Use the model's closeTill method
     session.closeTill(
-      Number(closeData.closingDeclaredAmount),
-      typeof closeData.expectedAmount !== 'undefined' ? Number(closeData.expectedAmount) : undefined,
+      declaredAmount,
+      expected.expectedAmount,
       closeData.notesClose
     );
+    session.varianceAmount = roundMoney(session.varianceAmount);
+
+    const reportData = await this.buildReportData(session, 'Z', expected);
+    session.addReport('Z', reportData, userId);
 
     await session.save();
     return session;
   }
 
+  /**
+   * Validate and total a denomination count
+   * @param {Array} denominations - [{ value, count }]
+   * @returns {Array} Denominations with line totals, zero counts removed
+   */
+  normalizeDenominations(denominations) {
+    if (!Array.isArray(denominations)) return [];
+    return denominations
+      .map(d => ({ value: Number(d.value), count: Number(d.count) }))
+      .filter(d => {
+        if (!Number.isFinite(d.value) || d.value <= 0 || !Number.isInteger(d.count) || d.count < 0) {
+          throw new Error('Invalid denomination count');
+        }
+        return d.count > 0;
+      })
+      .sort((a, b) => b.value - a.value)
+      .map(d => ({ ...d, total: roundMoney(d.value * d.count) }));
+  }
+
+  /**
+   * Compute the cash that should be in the drawer for a session
+   * @param {object} session - TillSession document
+   * @returns {Promise<{expectedAmount: number, breakdown: object, counts: object}>}
+   */
+  async computeExpectedCash(session) {
+    const sessionId = new mongoose.Types.ObjectId(String(session._id));
+    const tenantId = new mongoose.Types.ObjectId(String(session.tenantId));
+
+    const [salesTotals, refundTotals, payoutTotals] = await Promise.all([
+      Sales.aggregate([
+        {
+          $match: {
+            tenantId,
+            tillSession: sessionId,
+            'payment.method': { $in: ['cash', 'split'] },
+            status: { $ne: 'cancelled' },
+            isDeleted: { $ne: true }
+          }
+        },
+        // Split sales only put their cash tender line (net of change) in the drawer. Cash is
+        // counted in base currency, at the rate each sale was booked at.
+        {
+          $project: {
+            cash: {
+              $multiply: [
+                { $ifNull: ['$exchangeRate', 1] },
+                {
+                  $cond: [
+                    { $eq: ['$payment.method', 'split'] },
+                    {
+                      $sum: {
+                        $map: {
+                          input: {
+                            $filter: {
+                              input: { $ifNull: ['$payment.tenders', []] },
+                              as: 'tender',
+                              cond: { $eq: ['$$tender.method', 'cash'] }
+                            }
+                          },
+                          as: 'tender',
+                          in: '$$tender.amount'
+                        }
+                      }
+                    },
+                    '$payment.amountPaid'
+                  ]
+                }
+              ]
+            }
+          }
+        },
+        { $match: { cash: { $gt: 0 } } },
+        { $group: { _id: null, total: { $sum: '$cash' }, count: { $sum: 1 } } }
+      ]),
+      Return.aggregate([
+        {
+          $match: {
+            tillSession: sessionId,
+            refundMethod: 'cash',
+            status: { $nin: ['cancelled', 'rejected'] }
+          }
+        },
+        // Refunds are in the sale's currency
+        { $lookup: { from: Sales.collection.name, localField: 'originalOrder', foreignField: '_id', as: 'order' } },
+        {
+          $group: {
+            _id: null,
+            total: {
+              $sum: {
+                $multiply: ['$netRefundAmount', { $ifNull: [{ $arrayElemAt: ['$order.exchangeRate', 0] }, 1] }]
+              }
+            },
+            count: { $sum: 1 }
+          }
+        }
+      ]),
+      CashPayment.aggregate([
+        {
+          $match: {
+            tenantId,
+            tillSession: sessionId,
+            status: { $ne: 'cancelled' }
+          }
+        },
+        { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const movements = session.cashMovements || [];
+    const movementTotals = session.getMovementTotals();
+    const breakdown = {
+      openingAmount: roundMoney(session.openingAmount),
+      cashSales: roundMoney(salesTotals[0]?.total),
+      cashRefunds: roundMoney(refundTotals[0]?.total),
+      cashPayouts: roundMoney(payoutTotals[0]?.total),
+      payIns: roundMoney(movementTotals.payIns),
+      payOuts: roundMoney(movementTotals.payOuts),
+      cashDrops: roundMoney(movementTotals.cashDrops)
+    };
+
+    return {
+      expectedAmount: roundMoney(
+        breakdown.openingAmount + breakdown.cashSales - breakdown.cashRefunds - breakdown.cashPayouts +
+        breakdown.payIns - breakdown.payOuts - breakdown.cashDrops
+      ),
+      breakdown,
+      counts: {
+        cashSales: salesTotals[0]?.count || 0,
+        cashRefunds: refundTotals[0]?.count || 0,
+        cashPayouts: payoutTotals[0]?.count || 0,
+        payIns: movements.filter(m => m.type === 'pay_in').length,
+        payOuts: movements.filter(m => m.type === 'pay_out').length,
+        cashDrops: movements.filter(m => m.type === 'cash_drop').length
+      }
+    };
+  }
+
+  /**
+   * Build the data stored on an X or Z report
+   * @param {object} session - TillSession document
+   * @param {string} type - 'X' or 'Z'
+   * @param {object} expected - Result of computeExpectedCash
+   * @returns {Promise<object>}
+   */
+  async buildReportData(session, type, expected) {
+    // Report totals are in base currency, at the rate each sale was booked at
+    const rate = { $ifNull: ['$exchangeRate', 1] };
+    const byMethod = await Sales.aggregate([
+      {
+        $match: {
+          tenantId: new mongoose.Types.ObjectId(String(session.tenantId)),
+          tillSession: new mongoose.Types.ObjectId(String(session._id)),
+          status: { $ne: 'cancelled' },
+          isDeleted: { $ne: true }
+        }
+      },
+      {
+        $group: {
+          _id: '$payment.method',
+          count: { $sum: 1 },
+          subtotal: { $sum: { $multiply: ['$pricing.subtotal', rate] } },
+          discount: { $sum: { $multiply: ['$pricing.discountAmount', rate] } },
+          tax: { $sum: { $multiply: ['$pricing.taxAmount', rate] } },
+          total: { $sum: { $multiply: ['$pricing.total', rate] } },
+          collected: { $sum: { $multiply: ['$payment.amountPaid', rate] } }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const totals = byMethod.reduce((acc, row) => ({
+      transactions: acc.transactions + row.count,
+      subtotal: roundMoney(acc.subtotal + row.subtotal),
+      discount: roundMoney(acc.discount + row.discount),
+      tax: roundMoney(acc.tax + row.tax),
+      total: roundMoney(acc.total + row.total)
+    }), { transactions: 0, subtotal: 0, discount: 0, tax: 0, total: 0 });
+
+    const data = {
+      sessionId: session._id,
+      storeId: session.storeId || null,
+      deviceId: session.deviceId || null,
+      cashier: session.user,
+      openedAt: session.openedAt,
+      reportAt: new Date(),
+      salesByMethod: byMethod.map(row => ({
+        method: row._id,
+        count: row.count,
+        total: roundMoney(row.total),
+        collected: roundMoney(row.collected)
+      })),
+      totals,
+      cash: {
+        ...expected.breakdown,
+        counts: expected.counts,
+        expectedAmount: expected.expectedAmount
+      },
+      cashMovements: (session.cashMovements || []).map(m => ({
+        type: m.type,
+        amount: roundMoney(m.amount),
+        reason: m.reason,
+        approvedBy: m.approvedBy || null,
+        createdAt: m.createdAt
+      }))
+    };
+
+    if (type === 'Z') {
+      data.closedAt = session.closedAt;
+      data.declaredAmount = session.closingDeclaredAmount;
+      data.denominations = session.closingDenominations;
+      data.varianceAmount = session.varianceAmount;
+      data.varianceType = session.varianceType;
+    }
+
+    return data;
+  }
+
+  /**
+   * Record a pay-in, pay-out or cash drop against the user's open session
+   * and post it to the cash accounts
+   * @param {object} movementData - { type, amount, reason, approvedBy, counterAccount }
+   * @param {string} userId - User ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<{session: object, movement: object}>}
+   */
+  async recordCashMovement(movementData, userId, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required to record cash movement');
+    }
+
+    const session = await TillSessionRepository.findOpenSessionByUser(userId, { tenantId });
+    if (!session) {
+      throw new Error('No open till session');
+    }
+
+    const amount = roundMoney(movementData.amount);
+    if (!(amount > 0)) {
+      throw new Error('Movement amount must be greater than zero');
+    }
+    if (!movementData.reason || !String(movementData.reason).trim()) {
+      throw new Error('A reason is required for cash movements');
+    }
+
+    if (movementData.approvedBy) {
+      if (String(movementData.approvedBy) === String(userId)) {
+        throw new Error('Cash movements cannot be self-approved');
+      }
+      const approver = await User.findOne({ _id: movementData.approvedBy, tenantId, status: 'active' }).select('_id');
+      if (!approver) {
+        throw new Error('Approver not found');
+      }
+    }
+
+    // Drops and pay-outs cannot take more cash than the drawer should hold
+    if (movementData.type !== 'pay_in') {
+      const expected = await this.computeExpectedCash(session);
+      if (amount > expected.expectedAmount) {
+        throw new Error('Movement exceeds expected cash in drawer');
+      }
+    }
+
+    // The movement and its journal entry are stored together, so a failed posting records nothing
+    return runWithTransactionRetry(async (transactionSession) => {
+      const current = await TillSessionRepository.findOpenSessionByUser(userId, { tenantId, session: transactionSession });
+      if (!current) {
+        throw new Error('No open till session');
+      }
+      current.cashMovements.push({
+        type: movementData.type,
+        amount,
+        reason: String(movementData.reason).trim(),
+        counterAccount: movementData.counterAccount || undefined,
+        performedBy: userId,
+        approvedBy: movementData.approvedBy || undefined,
+        createdAt: new Date()
+      });
+      const movement = current.cashMovements[current.cashMovements.length - 1];
+      const entry = await AccountingService.recordTillCashMovement(movement, current, transactionSession);
+      movement.journalEntry = entry._id;
+      await current.save({ session: transactionSession });
+      return { session: current, movement };
+    });
+  }
+
+  /**
+   * Generate a mid-shift X report for the user's open session
+   * @param {string} userId - User ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<{session: object, report: object}>}
+   */
+  async generateXReport(userId, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required to generate X report');
+    }
+
+    const session = await TillSessionRepository.findOpenSessionByUser(userId, { tenantId });
+    if (!session) {
+      throw new Error('No open till session');
+    }
+
+    const expected = await this.computeExpectedCash(session);
+    const reportData = await this.buildReportData(session, 'X', expected);
+    const report = session.addReport('X', reportData, userId);
+    await session.save();
+
+    return { session, report };
+  }
+
+  /**
+   * Get a session by ID within a tenant
+   * @param {string} sessionId - Session ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>}
+   */
+  async getSessionById(sessionId, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required to get till session');
+    }
+    const session = await TillSessionRepository.findOne({ _id: sessionId, tenantId }, { tenantId });
+    if (!session) {
+      throw new Error('Till session not found');
+    }
+    return session;
+  }
+
+  /**
+   * Render a stored X/Z report as a PDF sized for an 80mm receipt printer
+   * @param {object} session - TillSession document
+   * @param {string} reportId - Report subdocument ID
+   * @returns {Promise<Buffer>}
+   */
+  async renderReportPdf(session, reportId) {
+    const report = session.reports.id(reportId);
+    if (!report) {
+      throw new Error('Till report not found');
+    }
+
+    const data = report.data;
+    const doc = new PDFDocument({ size: [227, 800], margin: 12 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    const line = (label, value) => {
+      const y = doc.y;
+      doc.text(label, 12, y, { width: 130 });
+      doc.text(value, 142, y, { width: 73, align: 'right' });
+    };
+    const money = value => roundMoney(value).toFixed(2);
+
+    doc.fontSize(11).text(`${report.type} REPORT #${report.reportNumber}`, { align: 'center' });
+    doc.fontSize(7).text(new Date(report.generatedAt).toLocaleString(), { align: 'center' });
+    doc.moveDown(0.5);
+    doc.fontSize(8);
+    line('Opened', new Date(data.openedAt).toLocaleString());
+    if (data.closedAt) line('Closed', new Date(data.closedAt).toLocaleString());
+    if (data.storeId) line('Store', data.storeId);
+    if (data.deviceId) line('Device', data.deviceId);
+
+    doc.moveDown(0.5).text('SALES BY TENDER', { underline: true });
+    (data.salesByMethod || []).forEach(row => line(`${row.method} (${row.count})`, money(row.total)));
+    line('Transactions', String(data.totals.transactions));
+    line('Discounts', money(data.totals.discount));
+    line('Tax', money(data.totals.tax));
+    line('Gross sales', money(data.totals.total));
+
+    doc.moveDown(0.5).text('CASH DRAWER', { underline: true });
+    line('Opening float', money(data.cash.openingAmount));
+    line('+ Cash sales', money(data.cash.cashSales));
+    line('- Cash refunds', money(data.cash.cashRefunds));
+    line('- Cash payouts', money(data.cash.cashPayouts));
+    line('+ Pay-ins', money(data.cash.payIns));
+    line('- Pay-outs', money(data.cash.payOuts));
+    line('- Cash drops', money(data.cash.cashDrops));
+    line('Expected cash', money(data.cash.expectedAmount));
+
+    if (report.type === 'Z') {
+      if (data.denominations && data.denominations.length > 0) {
+        doc.moveDown(0.5).text('COUNT', { underline: true });
+        data.denominations.forEach(d => line(`${d.value} x ${d.count}`, money(d.total)));
+      }
+      line('Declared cash', money(data.declaredAmount));
+      line(`Variance (${data.varianceType})`, money(data.varianceAmount));
+    }
+
+    doc.end();
+    return finished;
+  }
+
   /**
    * Get variance/sessions for a user
    * @param {string} userId - User ID
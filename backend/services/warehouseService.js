@@ -1,5 +1,6 @@
 const WarehouseRepository = require('../repositories/WarehouseRepository');
 const InventoryRepository = require('../repositories/InventoryRepository');
+const WarehouseStock = require('../models/WarehouseStock');
 
 class WarehouseService {
   /**
@@ -152,6 +153,10 @@ class WarehouseService {
     if (inventoryCount > 0) {
       throw new Error(`Cannot delete warehouse. It has ${inventoryCount} inventory item(s). Please transfer or remove inventory first.`);
     }
+    const stockedCount = await WarehouseStock.countDocuments({ tenantId, warehouse: id, quantity: { $gt: 0 } });
+    if (stockedCount > 0) {
+      throw new Error(`Cannot delete warehouse. It holds stock of ${stockedCount} product location(s). Please transfer the stock first.`);
+    }
 
     await WarehouseRepository.softDelete(id, { tenantId });
     return { message: 'Warehouse deleted successfully' };
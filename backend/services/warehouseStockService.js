@@ -0,0 +1,317 @@
+const mongoose = require('mongoose');
+const WarehouseStock = require('../models/WarehouseStock');
+const Warehouse = require('../models/Warehouse');
+const Inventory = require('../models/Inventory');
+const Product = require('../models/Product');
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+const normalizeBin = (bin) => String(bin || '').trim().toUpperCase();
+
+class WarehouseStockService {
+  /**
+   * Resolve the warehouse a movement applies to: the given one, else the tenant's primary
+   * (or first active) warehouse. Returns null for tenants that have no warehouses set up.
+   * @param {string|null} warehouseId - Requested warehouse
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object|null>}
+   */
+  async resolveWarehouse(warehouseId, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    if (warehouseId) {
+      const warehouse = await Warehouse.findOne({ _id: warehouseId, tenantId, isDeleted: { $ne: true } });
+      if (!warehouse) {
+        throw new Error('Warehouse not found');
+      }
+      if (!warehouse.isActive) {
+        throw new Error('Warehouse is inactive');
+      }
+      return warehouse;
+    }
+    return this.getDefaultWarehouse(tenantId);
+  }
+
+  /**
+   * The tenant's primary warehouse, or its oldest active one
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object|null>}
+   */
+  async getDefaultWarehouse(tenantId) {
+    const base = { tenantId, isActive: true, isDeleted: { $ne: true } };
+    return (await Warehouse.findOne({ ...base, isPrimary: true })) ||
+      Warehouse.findOne(base).sort({ createdAt: 1 });
+  }
+
+  /**
+   * Stock recorded before warehouses were tracked is placed in the default warehouse the
+   * first time the product moves, so warehouse rows keep summing to Inventory.currentStock.
+   * @param {string} productId - Product ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @param {object} session - Optional transaction session
+   */
+  async ensureSeeded(productId, tenantId, session) {
+    if (await WarehouseStock.exists({ tenantId, product: productId }, { session })) {
+      return;
+    }
+    const warehouse = await this.getDefaultWarehouse(tenantId);
+    if (!warehouse) {
+      return;
+    }
+    const inventory = await Inventory.findOne({ product: productId, tenantId }, null, { session }).select('currentStock');
+    await WarehouseStock.updateOne(
+      { tenantId, product: productId, warehouse: warehouse._id, bin: '' },
+      { $setOnInsert: { quantity: inventory?.currentStock || 0, lastMovementAt: new Date() } },
+      { upsert: true, session }
+    );
+  }
+
+  /**
+   * Quantity on hand in a warehouse (all bins, or one bin)
+   * @param {string} productId - Product ID
+   * @param {string} warehouseId - Warehouse ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @param {string} bin - Optional bin
+   * @returns {Promise<number>}
+   */
+  async getAvailable(productId, warehouseId, tenantId, bin = null) {
+    await this.ensureSeeded(productId, tenantId);
+    const filter = { tenantId, product: productId, warehouse: warehouseId };
+    if (bin !== null && bin !== undefined) filter.bin = normalizeBin(bin);
+    const rows = await WarehouseStock.find(filter).select('quantity');
+    return rows.reduce((sum, row) => sum + row.quantity, 0);
+  }
+
+  /**
+   * Put stock into a warehouse bin
+   * @param {string} productId - Product ID
+   * @param {string} warehouseId - Warehouse ID
+   * @param {number} quantity - Quantity to add
+   * @param {object} options - { bin, tenantId, session }
+   */
+  async add(productId, warehouseId, quantity, { bin = '', tenantId, session } = {}) {
+    await WarehouseStock.updateOne(
+      { tenantId, product: productId, warehouse: warehouseId, bin: normalizeBin(bin) },
+      { $inc: { quantity }, $set: { lastMovementAt: new Date() } },
+      { upsert: true, session }
+    );
+  }
+
+  /**
+   * Take stock out of a warehouse. Without a bin, unbinned stock goes first and then the
+   * fullest bins. Throws when the warehouse (or bin) does not hold enough.
+   * @param {string} productId - Product ID
+   * @param {string} warehouseId - Warehouse ID
+   * @param {number} quantity - Quantity to remove
+   * @param {object} options - { bin, tenantId, warehouseName, session }
+   * @returns {Promise<Array>} [{ bin, quantity }] taken per bin
+   */
+  async remove(productId, warehouseId, quantity, { bin = null, tenantId, warehouseName = 'the selected warehouse', session } = {}) {
+    const filter = { tenantId, product: productId, warehouse: warehouseId, quantity: { $gt: 0 } };
+    if (bin) filter.bin = normalizeBin(bin);
+    const rows = (await WarehouseStock.find(filter, null, { session }))
+      .sort((a, b) => (a.bin === '' ? -1 : b.bin === '' ? 1 : b.quantity - a.quantity));
+
+    const available = rows.reduce((sum, row) => sum + row.quantity, 0);
+    if (available < quantity) {
+      throw new Error(`Insufficient stock in ${warehouseName}${bin ? ` bin ${normalizeBin(bin)}` : ''}. Available: ${available}, Requested: ${quantity}`);
+    }
+
+    const taken = [];
+    let left = quantity;
+    for (const row of rows) {
+      if (left <= 0) break;
+      const take = Math.min(row.quantity, left);
+      // Guard on the quantity so two tills cannot both take the last units
+      const result = await WarehouseStock.updateOne(
+        { _id: row._id, quantity: { $gte: take } },
+        { $inc: { quantity: -take }, $set: { lastMovementAt: new Date() } },
+        { session }
+      );
+      if (result.modifiedCount === 0) {
+        for (const t of taken) {
+          await this.add(productId, warehouseId, t.quantity, { bin: t.bin, tenantId, session });
+        }
+        throw new Error(`Insufficient stock in ${warehouseName}: stock changed while updating, please retry`);
+      }
+      taken.push({ bin: row.bin, quantity: take });
+      left -= take;
+    }
+    return taken;
+  }
+
+  /**
+   * Move stock between bins of the same warehouse
+   * @param {object} data - { product, warehouse, fromBin, toBin, quantity }
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<Array>} Stock rows for the product in that warehouse
+   */
+  async moveBin({ product, warehouse, fromBin, toBin, quantity }, tenantId) {
+    const target = await this.resolveWarehouse(warehouse, tenantId);
+    if (normalizeBin(fromBin) === normalizeBin(toBin)) {
+      throw new Error('Source and destination bin must differ');
+    }
+    await this.ensureSeeded(product, tenantId);
+    await this.remove(product, target._id, quantity, { bin: normalizeBin(fromBin) || null, tenantId, warehouseName: target.name });
+    await this.add(product, target._id, quantity, { bin: toBin, tenantId });
+    return WarehouseStock.find({ tenantId, product, warehouse: target._id, quantity: { $gt: 0 } }).sort({ bin: 1 });
+  }
+
+  /**
+   * Apply an absolute stock adjustment's net change. Increases land in the target warehouse;
+   * decreases come out of it first and then out of other warehouses, so the rows never go
+   * negative and keep summing to the new total.
+   * @param {string} productId - Product ID
+   * @param {object} warehouse - Target warehouse
+   * @param {number} delta - New total minus old total
+   * @param {object} options - { bin, tenantId, session }
+   */
+  async applyAdjustment(productId, warehouse, delta, { bin = '', tenantId, session } = {}) {
+    if (delta > 0) {
+      await this.add(productId, warehouse._id, delta, { bin, tenantId, session });
+      return;
+    }
+    let left = -delta;
+    const rows = (await WarehouseStock.find({ tenantId, product: productId, quantity: { $gt: 0 } }, null, { session }))
+      .sort((a, b) => Number(String(b.warehouse) === String(warehouse._id)) - Number(String(a.warehouse) === String(warehouse._id)));
+    for (const row of rows) {
+      if (left <= 0) break;
+      const take = Math.min(row.quantity, left);
+      await WarehouseStock.updateOne({ _id: row._id }, { $inc: { quantity: -take }, $set: { lastMovementAt: new Date() } }, { session });
+      left -= take;
+    }
+  }
+
+  /**
+   * Set per-warehouse replenishment levels for a product
+   * @param {string} productId - Product ID
+   * @param {string} warehouseId - Warehouse ID
+   * @param {object} levels - { reorderPoint, reorderQuantity, maxStock }
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<object>} The warehouse's unbinned row, which carries the levels
+   */
+  async updateLevels(productId, warehouseId, levels, tenantId) {
+    await this.resolveWarehouse(warehouseId, tenantId);
+    await this.ensureSeeded(productId, tenantId);
+    const $set = {};
+    ['reorderPoint', 'reorderQuantity', 'maxStock'].forEach(field => {
+      if (levels[field] !== undefined) $set[field] = levels[field];
+    });
+    return WarehouseStock.findOneAndUpdate(
+      { tenantId, product: productId, warehouse: warehouseId, bin: '' },
+      { $set },
+      { upsert: true, new: true, runValidators: true }
+    );
+  }
+
+  /**
+   * Per-warehouse totals for products, with bin detail and replenishment levels
+   * @param {object} filter - { products, warehouses }
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<Array>} [{ product, warehouse, quantity, bins, reorderPoint, reorderQuantity, maxStock }]
+   */
+  async getStockLevels({ products = null, warehouses = null } = {}, tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const match = { tenantId: toObjectId(tenantId) };
+    if (products) match.product = { $in: products.map(toObjectId) };
+    if (warehouses) match.warehouse = { $in: warehouses.map(toObjectId) };
+
+    return WarehouseStock.aggregate([
+      { $match: match },
+      { $sort: { bin: 1 } },
+      {
+        $group: {
+          _id: { product: '$product', warehouse: '$warehouse' },
+          quantity: { $sum: '$quantity' },
+          bins: { $push: { bin: '$bin', quantity: '$quantity' } },
+          reorderPoint: { $max: '$reorderPoint' },
+          reorderQuantity: { $max: '$reorderQuantity' },
+          maxStock: { $max: '$maxStock' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          product: '$_id.product',
+          warehouse: '$_id.warehouse',
+          quantity: 1,
+          bins: {
+            $filter: { input: '$bins', as: 'row', cond: { $and: [{ $ne: ['$$row.bin', ''] }, { $gt: ['$$row.quantity', 0] }] } }
+          },
+          reorderPoint: 1,
+          reorderQuantity: 1,
+          maxStock: 1
+        }
+      }
+    ]);
+  }
+
+  /**
+   * Seed every product that has no warehouse rows yet, so tenant-wide views (alerts,
+   * reports) see all stock in a warehouse
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<number>} Number of products seeded
+   */
+  async ensureTenantSeeded(tenantId) {
+    if (!tenantId) {
+      throw new Error('tenantId is required');
+    }
+    const warehouse = await this.getDefaultWarehouse(tenantId);
+    if (!warehouse) {
+      return 0;
+    }
+    const tracked = await WarehouseStock.distinct('product', { tenantId });
+    const untracked = await Inventory.find({ tenantId, product: { $nin: tracked } }).select('product currentStock');
+    if (untracked.length === 0) {
+      return 0;
+    }
+    await WarehouseStock.bulkWrite(untracked.map(inventory => ({
+      updateOne: {
+        filter: { tenantId, product: inventory.product, warehouse: warehouse._id, bin: '' },
+        update: { $setOnInsert: { quantity: inventory.currentStock || 0, lastMovementAt: new Date() } },
+        upsert: true
+      }
+    })));
+    return untracked.length;
+  }
+
+  /**
+   * Stock held in one warehouse, product by product
+   * @param {string} warehouseId - Warehouse ID
+   * @param {object} options - { page, limit }
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<{items: Array, pagination: object}>}
+   */
+  async getWarehouseStock(warehouseId, { page = 1, limit = 50 } = {}, tenantId) {
+    await this.resolveWarehouse(warehouseId, tenantId);
+    const levels = await this.getStockLevels({ warehouses: [warehouseId] }, tenantId);
+    const products = await Product.find({ _id: { $in: levels.map(l => l.product) }, tenantId }).select('name sku');
+    const byId = new Map(products.map(p => [String(p._id), p]));
+
+    const items = levels
+      .map(level => ({ ...level, product: byId.get(String(level.product)) || level.product }))
+      .sort((a, b) => String(a.product?.name || '').localeCompare(String(b.product?.name || '')));
+    return {
+      items: items.slice((page - 1) * limit, page * limit),
+      pagination: { page, limit, total: items.length, pages: Math.ceil(items.length / limit) }
+    };
+  }
+
+  /**
+   * Where a product's stock is, warehouse by warehouse
+   * @param {string} productId - Product ID
+   * @param {string} tenantId - Tenant ID (required for multi-tenant isolation)
+   * @returns {Promise<Array>}
+   */
+  async getProductStock(productId, tenantId) {
+    await this.ensureSeeded(productId, tenantId);
+    const levels = await this.getStockLevels({ products: [productId] }, tenantId);
+    const warehouses = await Warehouse.find({ _id: { $in: levels.map(l => l.warehouse) }, tenantId }).select('name code isPrimary');
+    const byId = new Map(warehouses.map(w => [String(w._id), w]));
+    return levels.map(level => ({ ...level, warehouse: byId.get(String(level.warehouse)) || level.warehouse }));
+  }
+}
+
+module.exports = new WarehouseStockService();
@@ -0,0 +1,303 @@
+/**
+ * Amortization Service Tests
+ * Tests for spreading bill and invoice lines over months, the deferral and monthly
+ * recognition postings, locked periods holding up a schedule and balances as of a date
+ */
+
+const mongoose = require('mongoose');
+const amortizationService = require('../services/amortizationService');
+const journalEntryService = require('../services/journalEntryService');
+const inventoryService = require('../services/inventoryService');
+const ChartOfAccountsRepository = require('../repositories/ChartOfAccountsRepository');
+const AmortizationSchedule = require('../models/AmortizationSchedule');
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+const Sales = require('../models/Sales');
+
+const tenantId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+const invoiceId = new mongoose.Types.ObjectId();
+
+const utc = (year, month, day) => new Date(Date.UTC(year, month, day));
+const months = lines => lines.map(line => line.periodEnd.toISOString().slice(0, 7));
+const populated = (result) => ({ populate: jest.fn().mockResolvedValue(result) });
+const lean = (result) => ({ select: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue(result) }), lean: jest.fn().mockResolvedValue(result) });
+
+const schedule = (overrides = {}) => new AmortizationSchedule({
+  tenantId,
+  scheduleNumber: 'AMS-000001',
+  type: 'prepaid_expense',
+  description: 'Shop insurance',
+  source: {
+    documentType: 'purchase_invoice',
+    document: invoiceId,
+    documentModel: 'PurchaseInvoice',
+    reference: 'PI-1001',
+    lineIndex: 0,
+    documentDate: utc(2024, 0, 1)
+  },
+  totalAmount: 1200,
+  sourceAccountCode: 'INVENTORY',
+  balanceAccountCode: 'PREPAID_EXPENSES',
+  recognitionAccountCode: 'INSURANCE',
+  startDate: utc(2024, 0, 1),
+  months: 12,
+  lines: amortizationService.buildLines(1200, utc(2024, 0, 1), 12),
+  remainingAmount: 1200,
+  ...overrides
+});
+
+describe('AmortizationService', () => {
+  let entries;
+  let session;
+
+  beforeEach(() => {
+    entries = [];
+    session = { withTransaction: jest.fn(work => work()), abortTransaction: jest.fn(), endSession: jest.fn() };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(AmortizationSchedule, 'updateOne').mockResolvedValue({});
+    jest.spyOn(journalEntryService, 'getOrCreateAccount').mockImplementation((_tenant, accountCode) => Promise.resolve({ accountCode }));
+    jest.spyOn(journalEntryService, 'resolveCreatedBy').mockResolvedValue(userId);
+    jest.spyOn(journalEntryService, 'createJournalEntry').mockImplementation((entry) => {
+      entries.push(entry);
+      return Promise.resolve({ _id: new mongoose.Types.ObjectId(), ...entry });
+    });
+    jest.spyOn(AmortizationSchedule.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(inventoryService, 'updateStock').mockResolvedValue({ currentStock: 0 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('buildLines', () => {
+    it('spreads equally and leaves the rounding on the last month', () => {
+      const lines = amortizationService.buildLines(1000, utc(2024, 0, 15), 3);
+
+      expect(months(lines)).toEqual(['2024-01', '2024-02', '2024-03']);
+      expect(lines.map(line => line.amount)).toEqual([333.33, 333.33, 333.34]);
+    });
+
+    it('spreads by days covered, including a part month at each end', () => {
+      // 15 Jan to 15 Mar 2024: 17 days of January, 29 of February, 14 of March
+      const lines = amortizationService.buildLines(600, utc(2024, 0, 15), 2, 'daily');
+
+      expect(months(lines)).toEqual(['2024-01', '2024-02', '2024-03']);
+      expect(lines.map(line => line.amount)).toEqual([170, 290, 140]);
+    });
+  });
+
+  describe('createSchedule', () => {
+    const warehouseId = new mongoose.Types.ObjectId();
+    const bill = (item) => ({
+      _id: invoiceId,
+      invoiceNumber: 'PI-1001',
+      createdAt: utc(2024, 0, 1),
+      warehouse: warehouseId,
+      items: [{ product: { _id: new mongoose.Types.ObjectId(), name: 'Annual insurance' }, quantity: 1, totalCost: 1200, ...item }]
+    });
+
+    it('moves the line off inventory into prepaid expenses as of the bill date', async () => {
+      const invoice = bill();
+      jest.spyOn(PurchaseInvoice, 'findOne').mockReturnValue(populated(invoice));
+      jest.spyOn(AmortizationSchedule, 'find').mockReturnValue(lean([]));
+      jest.spyOn(ChartOfAccountsRepository, 'findOne').mockResolvedValue({ accountCode: 'INSURANCE', accountType: 'expense' });
+
+      const result = await amortizationService.createSchedule({
+        documentType: 'purchase_invoice',
+        document: invoiceId,
+        lineIndex: 0,
+        months: 12,
+        recognitionAccountCode: 'insurance'
+      }, userId, tenantId);
+
+      expect(result.description).toBe('Annual insurance on PI-1001');
+      expect(result.recognitionAccountCode).toBe('INSURANCE');
+      expect(result.lines).toHaveLength(12);
+      expect(entries).toHaveLength(1);
+      expect(entries[0].entryDate).toEqual(utc(2024, 0, 1));
+      expect(entries[0].entries).toEqual([
+        expect.objectContaining({ accountCode: 'PREPAID_EXPENSES', debit: 1200, credit: 0 }),
+        expect.objectContaining({ accountCode: 'INVENTORY', debit: 0, credit: 1200 })
+      ]);
+      expect(result.source.quantity).toBe(1);
+      expect(inventoryService.updateStock).toHaveBeenCalledWith(expect.objectContaining({
+        productId: invoice.items[0].product._id,
+        type: 'out',
+        quantity: 1,
+        referenceModel: 'PurchaseInvoice',
+        warehouse: warehouseId,
+        tenantId
+      }));
+    });
+
+    it('defers part of a bill line by quantity and leaves the rest of the cost to the last units', async () => {
+      jest.spyOn(PurchaseInvoice, 'findOne').mockReturnValue(populated(bill({ quantity: 3, totalCost: 1000 })));
+      jest.spyOn(AmortizationSchedule, 'find').mockReturnValue(lean([
+        { source: { lineIndex: 0, quantity: 1 }, totalAmount: 333.33, recognizedAmount: 0, status: 'active' }
+      ]));
+      jest.spyOn(ChartOfAccountsRepository, 'findOne').mockResolvedValue({ accountCode: 'INSURANCE', accountType: 'expense' });
+
+      const result = await amortizationService.createSchedule({
+        documentType: 'purchase_invoice', document: invoiceId, lineIndex: 0, quantity: 2, months: 12, recognitionAccountCode: 'INSURANCE'
+      }, userId, tenantId);
+
+      expect(result.totalAmount).toBe(666.67);
+      expect(inventoryService.updateStock).toHaveBeenCalledWith(expect.objectContaining({ type: 'out', quantity: 2 }));
+    });
+
+    it('will not defer a bill line by amount or out of another account', async () => {
+      jest.spyOn(PurchaseInvoice, 'findOne').mockReturnValue(populated(bill()));
+      jest.spyOn(AmortizationSchedule, 'find').mockReturnValue(lean([]));
+
+      await expect(amortizationService.createSchedule({
+        documentType: 'purchase_invoice', document: invoiceId, lineIndex: 0, amount: 600, months: 12
+      }, userId, tenantId)).rejects.toThrow('Stock lines are deferred by quantity, not amount');
+      await expect(amortizationService.createSchedule({
+        documentType: 'purchase_invoice', document: invoiceId, lineIndex: 0, months: 12, sourceAccountCode: 'CASH'
+      }, userId, tenantId)).rejects.toThrow('Bill lines are deferred out of inventory');
+      expect(inventoryService.updateStock).not.toHaveBeenCalled();
+    });
+
+    it('takes the units out of stock and posts the deferral in one transaction', async () => {
+      jest.spyOn(PurchaseInvoice, 'findOne').mockReturnValue(populated(bill({ quantity: 2 })));
+      jest.spyOn(AmortizationSchedule, 'find').mockReturnValue(lean([]));
+      jest.spyOn(ChartOfAccountsRepository, 'findOne').mockResolvedValue({ accountCode: 'INSURANCE', accountType: 'expense' });
+      journalEntryService.createJournalEntry.mockRejectedValue(new Error('Period is locked'));
+
+      await expect(amortizationService.createSchedule({
+        documentType: 'purchase_invoice', document: invoiceId, lineIndex: 0, months: 12, recognitionAccountCode: 'INSURANCE'
+      }, userId, tenantId)).rejects.toThrow('Period is locked');
+      expect(inventoryService.updateStock).toHaveBeenCalledTimes(1);
+      expect(inventoryService.updateStock).toHaveBeenCalledWith(expect.objectContaining({ type: 'out', quantity: 2, session }));
+      expect(journalEntryService.createJournalEntry).toHaveBeenCalledWith(expect.any(Object), { session });
+      expect(AmortizationSchedule.prototype.save).toHaveBeenCalledWith({ session });
+      expect(session.abortTransaction).toHaveBeenCalled();
+    });
+
+    it('will not schedule more of a line than is left', async () => {
+      const sale = {
+        _id: invoiceId,
+        orderNumber: 'SO-55',
+        createdAt: utc(2024, 0, 1),
+        items: [{ product: { name: 'Service contract' }, quantity: 1, subtotal: 2400, discountAmount: 0 }]
+      };
+      jest.spyOn(Sales, 'findOne').mockReturnValue(populated(sale));
+      jest.spyOn(AmortizationSchedule, 'find').mockReturnValue(lean([
+        { source: { lineIndex: 0 }, totalAmount: 2000, recognizedAmount: 500, status: 'active' }
+      ]));
+
+      await expect(amortizationService.createSchedule({
+        documentType: 'sale', document: invoiceId, lineIndex: 0, amount: 1000, months: 12
+      }, userId, tenantId)).rejects.toThrow('Only 400 of line 1 is left to schedule');
+      expect(entries).toHaveLength(0);
+    });
+  });
+
+  describe('runDue', () => {
+    it('recognizes each month that has ended and completes the schedule on the last', async () => {
+      const prepaid = schedule({ months: 2, totalAmount: 200, lines: amortizationService.buildLines(200, utc(2024, 0, 1), 2) });
+      jest.spyOn(AmortizationSchedule, 'find').mockResolvedValue([prepaid]);
+      jest.spyOn(AmortizationSchedule, 'findOne').mockResolvedValue(prepaid);
+
+      const result = await amortizationService.runDue(tenantId, utc(2024, 2, 1));
+
+      expect(result).toEqual({ schedules: 1, posted: 2, failed: 0 });
+      expect(prepaid.status).toBe('completed');
+      expect(prepaid.remainingAmount).toBe(0);
+      expect(entries[0].entryDate).toEqual(prepaid.lines[0].periodEnd);
+      // Each month is posted and saved in its own transaction
+      expect(mongoose.startSession).toHaveBeenCalledTimes(2);
+      expect(journalEntryService.createJournalEntry).toHaveBeenCalledWith(expect.any(Object), { session });
+      expect(prepaid.save).toHaveBeenCalledWith({ session });
+      expect(entries[0].entries).toEqual([
+        expect.objectContaining({ accountCode: 'INSURANCE', debit: 100 }),
+        expect.objectContaining({ accountCode: 'PREPAID_EXPENSES', credit: 100 })
+      ]);
+    });
+
+    it('credits revenue out of deferred revenue', async () => {
+      const deferred = schedule({
+        type: 'deferred_revenue',
+        sourceAccountCode: 'SALES_REV',
+        balanceAccountCode: 'DEFERRED_REVENUE',
+        recognitionAccountCode: 'SALES_REV'
+      });
+      jest.spyOn(AmortizationSchedule, 'find').mockResolvedValue([deferred]);
+      jest.spyOn(AmortizationSchedule, 'findOne').mockResolvedValue(deferred);
+
+      await amortizationService.runDue(tenantId, utc(2024, 1, 1));
+
+      expect(entries).toHaveLength(1);
+      expect(entries[0].entries).toEqual([
+        expect.objectContaining({ accountCode: 'DEFERRED_REVENUE', debit: 100 }),
+        expect.objectContaining({ accountCode: 'SALES_REV', credit: 100 })
+      ]);
+    });
+
+    it('stops at a month that cannot be posted and keeps the error for the next run', async () => {
+      const prepaid = schedule();
+      jest.spyOn(AmortizationSchedule, 'find').mockResolvedValue([prepaid]);
+      jest.spyOn(AmortizationSchedule, 'findOne').mockResolvedValue(prepaid);
+      journalEntryService.createJournalEntry
+        .mockImplementationOnce(() => Promise.reject(new Error('Period 1 is closed. Cannot post transactions to closed periods.')));
+
+      const result = await amortizationService.runDue(tenantId, utc(2024, 3, 1));
+
+      expect(result).toEqual({ schedules: 1, posted: 0, failed: 1 });
+      expect(prepaid.lines.every(line => line.status === 'scheduled')).toBe(true);
+      expect(AmortizationSchedule.updateOne).toHaveBeenCalledWith(
+        { _id: prepaid._id, tenantId },
+        { $set: { lastError: expect.stringMatching(/is closed/) } }
+      );
+      expect(prepaid.status).toBe('active');
+    });
+  });
+
+  describe('cancelSchedule', () => {
+    it('moves what is left back to the account it came from', async () => {
+      const prepaid = schedule();
+      prepaid.lines[0].status = 'posted';
+      prepaid.recognizedAmount = 100;
+      jest.spyOn(AmortizationSchedule, 'findOne').mockResolvedValue(prepaid);
+
+      await amortizationService.cancelSchedule(prepaid._id, utc(2024, 1, 10), userId, tenantId);
+
+      expect(prepaid.status).toBe('cancelled');
+      expect(prepaid.remainingAmount).toBe(0);
+      expect(entries[0].entries).toEqual([
+        expect.objectContaining({ accountCode: 'INVENTORY', debit: 1100 }),
+        expect.objectContaining({ accountCode: 'PREPAID_EXPENSES', credit: 1100 })
+      ]);
+    });
+
+    it('recognizes what is left of units taken out of stock instead of returning it to inventory', async () => {
+      const prepaid = schedule();
+      prepaid.source.quantity = 1;
+      prepaid.lines[0].status = 'posted';
+      prepaid.recognizedAmount = 100;
+      jest.spyOn(AmortizationSchedule, 'findOne').mockResolvedValue(prepaid);
+
+      await amortizationService.cancelSchedule(prepaid._id, utc(2024, 1, 10), userId, tenantId);
+
+      expect(entries[0].entries).toEqual([
+        expect.objectContaining({ accountCode: 'INSURANCE', debit: 1100 }),
+        expect.objectContaining({ accountCode: 'PREPAID_EXPENSES', credit: 1100 })
+      ]);
+    });
+  });
+
+  describe('getBalances', () => {
+    it('counts only months recognized by the balance date', async () => {
+      const prepaid = schedule().toObject();
+      prepaid.lines.slice(0, 3).forEach(line => { line.status = 'posted'; });
+      jest.spyOn(AmortizationSchedule, 'find').mockReturnValue(lean([prepaid]));
+
+      const balances = await amortizationService.getBalances('prepaid_expense', utc(2024, 1, 29), tenantId);
+
+      // March is posted but falls after the balance date
+      expect(balances).toEqual([expect.objectContaining({ scheduleNumber: 'AMS-000001', recognized: 100, remaining: 1100 })]);
+    });
+  });
+});
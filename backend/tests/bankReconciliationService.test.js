@@ -0,0 +1,227 @@
+/**
+ * Bank Reconciliation Service Tests
+ * Tests for CSV, OFX, camt.053 and MT940 statement parsing, auto-matching by amount, date
+ * window and reference, split matches and the reconciliation statement
+ */
+
+const mongoose = require('mongoose');
+const bankReconciliationService = require('../services/bankReconciliationService');
+const { parseStatement } = require('../utils/bankStatementParsers');
+const BankStatement = require('../models/BankStatement');
+const Bank = require('../models/Bank');
+const BankReceipt = require('../models/BankReceipt');
+const BankPayment = require('../models/BankPayment');
+const JournalEntry = require('../models/JournalEntry');
+const ChartOfAccounts = require('../models/ChartOfAccounts');
+
+const tenantId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+const bankId = new mongoose.Types.ObjectId();
+
+const lean = (result) => {
+  const query = { select: jest.fn(), lean: jest.fn().mockResolvedValue(result), sort: jest.fn() };
+  query.select.mockReturnValue(query);
+  return query;
+};
+
+const mockBooks = ({ receipts = [], payments = [], entries = [], statements = [] }) => {
+  jest.spyOn(BankReceipt, 'find').mockReturnValue(lean(receipts));
+  jest.spyOn(BankPayment, 'find').mockReturnValue(lean(payments));
+  jest.spyOn(JournalEntry, 'find').mockReturnValue(lean(entries));
+  jest.spyOn(ChartOfAccounts, 'distinct').mockResolvedValue(['1002']);
+  jest.spyOn(BankStatement, 'find').mockReturnValue(lean(statements));
+};
+
+const statementWith = (lines) => new BankStatement({
+  tenantId,
+  bank: bankId,
+  format: 'csv',
+  periodStart: new Date('2024-03-01'),
+  periodEnd: new Date('2024-03-31'),
+  openingBalance: 1000,
+  lines
+});
+
+describe('BankReconciliationService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('statement parsers', () => {
+    it('reads CSV debit and credit columns, newest first', () => {
+      const csv = [
+        'Date,Description,Reference,Debit,Credit,Balance',
+        '05/03/2024,"Card payment, fuel",,45.10,,1404.90',
+        '02/03/2024,Deposit ACME,INV-77,,"1,450.00",1450.00'
+      ].join('\n');
+
+      const statement = parseStatement(csv, { fileName: 'march.csv' });
+
+      expect(statement.format).toBe('csv');
+      expect(statement.lines.map(line => line.amount)).toEqual([1450, -45.1]);
+      expect(statement.lines[0].date.toISOString().slice(0, 10)).toBe('2024-03-02');
+      expect(statement.lines[1].description).toBe('Card payment, fuel');
+      expect(statement.openingBalance).toBe(0);
+      expect(statement.closingBalance).toBe(1404.9);
+    });
+
+    it('reads OFX transactions and the ledger balance', () => {
+      const ofx = `OFXHEADER:100
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><CURDEF>USD<BANKACCTFROM><ACCTID>12345678</BANKACCTFROM>
+<BANKTRANLIST><DTSTART>20240301<DTEND>20240331
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240304120000<TRNAMT>-250.00<FITID>F1<NAME>Landlord<MEMO>March rent
+</STMTTRN>
+<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20240302<TRNAMT>400.00<FITID>F2<NAME>Customer<CHECKNUM>1001
+</STMTTRN>
+</BANKTRANLIST><LEDGERBAL><BALAMT>1150.00<DTASOF>20240331</LEDGERBAL></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+
+      const statement = parseStatement(ofx);
+
+      expect(statement).toMatchObject({ format: 'ofx', accountNumber: '12345678', currency: 'USD', openingBalance: 1000, closingBalance: 1150 });
+      expect(statement.lines.map(line => [line.amount, line.bankReference, line.reference])).toEqual([[400, 'F2', '1001'], [-250, 'F1', '']]);
+      expect(statement.lines[1].description).toBe('Landlord - March rent');
+    });
+
+    it('reads camt.053 entries with debit/credit indicators and balances', () => {
+      const camt = `<?xml version="1.0"?><Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02"><BkToCstmrStmt><Stmt>
+<FrToDt><FrDtTm>2024-03-01T00:00:00</FrDtTm><ToDtTm>2024-03-31T23:59:59</ToDtTm></FrToDt>
+<Acct><Id><IBAN>DE89370400440532013000</IBAN></Id><Ccy>EUR</Ccy></Acct>
+<Bal><Tp><CdOrPrtry><Cd>OPBD</Cd></CdOrPrtry></Tp><Amt Ccy="EUR">500.00</Amt><CdtDbtInd>CRDT</CdtDbtInd></Bal>
+<Bal><Tp><CdOrPrtry><Cd>CLBD</Cd></CdOrPrtry></Tp><Amt Ccy="EUR">380.00</Amt><CdtDbtInd>CRDT</CdtDbtInd></Bal>
+<Ntry><Amt Ccy="EUR">120.00</Amt><CdtDbtInd>DBIT</CdtDbtInd><BookgDt><Dt>2024-03-07</Dt></BookgDt><ValDt><Dt>2024-03-08</Dt></ValDt>
+<AcctSvcrRef>BANK-9</AcctSvcrRef><NtryDtls><TxDtls><Refs><EndToEndId>PO-55</EndToEndId></Refs>
+<RltdPties><Cdtr><Nm>Widget Co</Nm></Cdtr></RltdPties><RmtInf><Ustrd>Invoice 55</Ustrd></RmtInf></TxDtls></NtryDtls></Ntry>
+</Stmt></BkToCstmrStmt></Document>`;
+
+      const statement = parseStatement(camt, { fileName: 'stmt.xml' });
+
+      expect(statement).toMatchObject({ format: 'camt053', accountNumber: 'DE89370400440532013000', openingBalance: 500, closingBalance: 380 });
+      expect(statement.lines[0]).toMatchObject({
+        amount: -120,
+        reference: 'PO-55',
+        counterparty: 'Widget Co',
+        description: 'Invoice 55',
+        bankReference: 'BANK-9'
+      });
+    });
+
+    it('reads MT940 :61: lines with their :86: details', () => {
+      const mt940 = [
+        ':20:STMT1',
+        ':25:NL91ABNA0417164300',
+        ':28C:1/1',
+        ':60F:C240301EUR1000,00',
+        ':61:2403050305D75,50NTRFINV-12//B123',
+        ':86:Office supplies ?32Paper Ltd',
+        ':61:240306C200,00NTRFNONREF',
+        ':86:Cash deposit',
+        ':62F:C240306EUR1124,50',
+        '-'
+      ].join('\n');
+
+      const statement = parseStatement(mt940, { fileName: 'mt940.sta' });
+
+      expect(statement).toMatchObject({ format: 'mt940', openingBalance: 1000, closingBalance: 1124.5 });
+      expect(statement.lines[0]).toMatchObject({ amount: -75.5, reference: 'INV-12', bankReference: 'B123', counterparty: 'Paper Ltd' });
+      expect(statement.lines[1]).toMatchObject({ amount: 200, reference: '', description: 'Cash deposit' });
+    });
+  });
+
+  describe('auto-matching', () => {
+    it('matches on amount within the date window, preferring a shared reference', async () => {
+      const statement = statementWith([
+        { date: new Date('2024-03-10'), amount: 300, reference: 'BR-0002' },
+        { date: new Date('2024-03-12'), amount: -80, description: 'Card' },
+        { date: new Date('2024-03-20'), amount: 55, description: 'Unknown' }
+      ]);
+      const [first, second] = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+      const payment = new mongoose.Types.ObjectId();
+      mockBooks({
+        receipts: [
+          { _id: first, date: new Date('2024-03-09'), amount: 300, voucherCode: 'BR-0001' },
+          { _id: second, date: new Date('2024-03-07'), amount: 300, voucherCode: 'BR-0002' },
+          { _id: new mongoose.Types.ObjectId(), date: new Date('2024-03-01'), amount: 55, voucherCode: 'BR-0003' }
+        ],
+        payments: [{ _id: payment, date: new Date('2024-03-11'), amount: 80, voucherCode: 'BP-0001' }]
+      });
+      jest.spyOn(statement, 'save').mockResolvedValue(statement);
+
+      const matched = await bankReconciliationService.matchStatement(statement, {}, userId);
+
+      expect(matched).toBe(2);
+      expect(statement.lines[0].matches[0]).toMatchObject({ document: second, amount: 300, method: 'auto' });
+      expect(statement.lines[1].matches[0]).toMatchObject({ type: 'bank_payment', document: payment, amount: -80 });
+      expect(statement.lines.map(line => line.status)).toEqual(['matched', 'matched', 'unmatched']);
+    });
+  });
+
+  describe('matchLine', () => {
+    it('splits a deposit over several receipts and rejects over-matching', async () => {
+      const statement = statementWith([{ date: new Date('2024-03-10'), amount: 500 }]);
+      const line = statement.lines[0];
+      const [a, b] = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+      jest.spyOn(BankStatement, 'findOne').mockResolvedValue(statement);
+      jest.spyOn(statement, 'save').mockResolvedValue(statement);
+      jest.spyOn(BankStatement, 'find').mockReturnValue(lean([]));
+      jest.spyOn(BankReceipt, 'findOne').mockImplementation(({ _id }) => lean({ _id, amount: _id === a ? 300 : 400, voucherCode: String(_id) }));
+
+      await bankReconciliationService.matchLine(statement._id, line._id, [
+        { type: 'bank_receipt', document: a },
+        { type: 'bank_receipt', document: b, amount: 150 }
+      ], userId, tenantId);
+      expect(line.status).toBe('partial');
+      expect(BankStatement.unmatchedAmount(line)).toBe(50);
+
+      await expect(bankReconciliationService.matchLine(statement._id, line._id, [
+        { type: 'bank_receipt', document: b, amount: 100 }
+      ], userId, tenantId)).rejects.toThrow('Matched amounts are more than the statement line');
+    });
+
+    it('counts what the same call already took from an item', async () => {
+      const statement = statementWith([{ date: new Date('2024-03-10'), amount: 500 }]);
+      const line = statement.lines[0];
+      const receipt = new mongoose.Types.ObjectId();
+      jest.spyOn(BankStatement, 'findOne').mockResolvedValue(statement);
+      jest.spyOn(statement, 'save').mockResolvedValue(statement);
+      jest.spyOn(BankStatement, 'find').mockReturnValue(lean([]));
+      jest.spyOn(BankReceipt, 'findOne').mockImplementation(({ _id }) => lean({ _id, amount: 300, voucherCode: 'BR-1' }));
+
+      await expect(bankReconciliationService.matchLine(statement._id, line._id, [
+        { type: 'bank_receipt', document: receipt, amount: 200 },
+        { type: 'bank_receipt', document: receipt, amount: 200 }
+      ], userId, tenantId)).rejects.toThrow('Amount is more than is left to match on BR-1');
+      expect(statement.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getReconciliation', () => {
+    it('explains the difference between bank and books with uncleared items', async () => {
+      const receipt = new mongoose.Types.ObjectId();
+      const statement = statementWith([
+        { date: new Date('2024-03-05'), amount: 200, status: 'matched', matches: [{ type: 'bank_receipt', document: receipt, amount: 200 }] },
+        { date: new Date('2024-03-28'), amount: -15, description: 'Bank fee' }
+      ]);
+      jest.spyOn(Bank, 'findOne').mockResolvedValue(new Bank({ _id: bankId, tenantId, accountName: 'Ops', accountNumber: '123', bankName: 'First', openingBalance: 1000, createdBy: userId }));
+      const statements = lean([statement.toObject()]);
+      statements.sort.mockResolvedValue([statement]);
+      mockBooks({
+        receipts: [{ _id: receipt, date: new Date('2024-03-04'), amount: 200 }],
+        payments: [{ _id: new mongoose.Types.ObjectId(), date: new Date('2024-03-30'), amount: 120, voucherCode: 'BP-9' }]
+      });
+      BankStatement.find.mockReturnValueOnce(statements).mockReturnValue(lean([statement.toObject()]));
+
+      const report = await bankReconciliationService.getReconciliation(bankId, new Date('2024-03-31'), tenantId);
+
+      expect(report.statementBalance).toBe(1185);
+      expect(report.totalOutstandingPayments).toBe(-120);
+      expect(report.adjustedStatementBalance).toBe(1065);
+      expect(report.bookBalance).toBe(1080);
+      expect(report.totalUnmatchedLines).toBe(-15);
+      expect(report.adjustedBookBalance).toBe(1065);
+      expect(report.difference).toBe(0);
+
+      const pdf = await bankReconciliationService.renderReconciliationPdf(report);
+      expect(pdf.slice(0, 4).toString()).toBe('%PDF');
+    });
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Currency Service Tests
+ * Tests for dated exchange rates, realized exchange differences on settlement, month-end
+ * revaluation of open balances and base-currency posting of foreign documents
+ */
+
+const mongoose = require('mongoose');
+const currencyService = require('../services/currencyService');
+const journalEntryService = require('../services/journalEntryService');
+const ExchangeRate = require('../models/ExchangeRate');
+const CurrencyRevaluation = require('../models/CurrencyRevaluation');
+const Settings = require('../models/Settings');
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+const Sales = require('../models/Sales');
+const Bank = require('../models/Bank');
+const BankReceipt = require('../models/BankReceipt');
+const BankPayment = require('../models/BankPayment');
+
+const tenantId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+
+const rateQuery = (result) => ({
+  sort: jest.fn().mockReturnValue({ select: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue(result) }) })
+});
+const listQuery = (result) => ({ select: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue(result) }) });
+
+const mockJournal = () => {
+  jest.spyOn(journalEntryService, 'getOrCreateAccount').mockImplementation(async (tenant, accountCode) => ({ accountCode }));
+  jest.spyOn(journalEntryService, 'resolveCreatedBy').mockResolvedValue(userId);
+  return jest.spyOn(journalEntryService, 'createJournalEntry').mockImplementation(async (entry) => ({ _id: new mongoose.Types.ObjectId(), ...entry }));
+};
+const lines = (entry) => entry.entries.map(({ accountCode, debit, credit }) => [accountCode, debit, credit]);
+
+describe('CurrencyService', () => {
+  beforeEach(() => {
+    jest.spyOn(Settings, 'getSettings').mockResolvedValue({ currency: 'USD' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getRate', () => {
+    it('uses the latest rate on or before the date and 1 for the base currency', async () => {
+      const findOne = jest.spyOn(ExchangeRate, 'findOne').mockReturnValue(rateQuery({ rate: 1.08 }));
+
+      expect(await currencyService.getRate('eur', new Date('2024-03-15'), tenantId)).toBe(1.08);
+      expect(findOne.mock.calls[0][0]).toMatchObject({ currency: 'EUR', effectiveDate: { $lte: new Date('2024-03-15') } });
+      expect(await currencyService.getRate('USD', new Date('2024-03-15'), tenantId)).toBe(1);
+      expect(await currencyService.getRate(null, new Date('2024-03-15'), tenantId)).toBe(1);
+    });
+
+    it('refuses a currency with no rate yet', async () => {
+      jest.spyOn(ExchangeRate, 'findOne').mockReturnValue(rateQuery(null));
+
+      await expect(currencyService.getRate('GBP', new Date('2024-03-15'), tenantId))
+        .rejects.toThrow('No exchange rate for GBP on or before 2024-03-15');
+    });
+  });
+
+  describe('settle', () => {
+    const invoice = () => {
+      const document = new PurchaseInvoice({
+        tenantId,
+        invoiceNumber: 'PI-7',
+        createdBy: userId,
+        currency: 'EUR',
+        exchangeRate: 1.1,
+        pricing: { total: 1000 },
+        payment: { status: 'pending', paidAmount: 0 }
+      });
+      jest.spyOn(PurchaseInvoice, 'findOne').mockResolvedValue(document);
+      jest.spyOn(document, 'save').mockResolvedValue(document);
+      return document;
+    };
+
+    it('realizes a gain when a payable costs less to clear than it was booked at', async () => {
+      const document = invoice();
+      const createEntry = mockJournal();
+      const payment = new mongoose.Types.ObjectId();
+
+      // 400 EUR booked at 1.10 (440) paid when the euro bought 1.05 (420)
+      const result = await currencyService.settle('purchase_invoice', document._id, {
+        paymentType: 'bank_payment', payment, date: new Date('2024-04-02'), amount: 400, baseAmount: 420
+      }, userId, tenantId);
+
+      expect(result.gainLoss).toBe(20);
+      expect(result.rate).toBe(1.05);
+      expect(lines(createEntry.mock.calls[0][0])).toEqual([['AP', 20, 0], ['FX_REALIZED', 0, 20]]);
+      expect(document.payment.paidAmount).toBe(400);
+      expect(document.payment.status).toBe('partial');
+      expect(document.fxSettlements[0].toObject()).toMatchObject({ paymentType: 'bank_payment', payment, amount: 400, rate: 1.05, gainLoss: 20 });
+    });
+
+    it('refuses more than is outstanding and leaves base-currency documents alone', async () => {
+      const document = invoice();
+      document.payment.paidAmount = 900;
+
+      await expect(currencyService.settle('purchase_invoice', document._id, {
+        paymentType: 'bank_payment', payment: new mongoose.Types.ObjectId(), date: new Date(), amount: 150, baseAmount: 160
+      }, userId, tenantId)).rejects.toThrow('Settled amount is more than the 100 EUR outstanding on PI-7');
+
+      document.currency = undefined;
+      expect(await currencyService.settle('purchase_invoice', document._id, { amount: 50, baseAmount: 50 }, userId, tenantId)).toBeNull();
+    });
+  });
+
+  describe('getOpenItems', () => {
+    it('carries invoices and sales at their own rates and banks at what was booked', async () => {
+      const asOf = new Date('2024-03-31T23:59:59.999Z');
+      const bankId = new mongoose.Types.ObjectId();
+      jest.spyOn(PurchaseInvoice, 'find').mockReturnValue(listQuery([{
+        _id: new mongoose.Types.ObjectId(),
+        invoiceNumber: 'PI-7',
+        currency: 'EUR',
+        exchangeRate: 1.1,
+        pricing: { total: 1000 },
+        payment: { paidAmount: 600 },
+        // Paid in April, so still open at the end of March
+        fxSettlements: [{ date: new Date('2024-04-02'), amount: 200 }]
+      }]));
+      jest.spyOn(Sales, 'find').mockReturnValue(listQuery([]));
+      jest.spyOn(Bank, 'find').mockReturnValue(listQuery([{
+        _id: bankId, bankName: 'City Bank', accountNumber: '001', currency: 'EUR', openingBalance: 500, openingExchangeRate: 1.2
+      }]));
+      jest.spyOn(BankReceipt, 'find').mockReturnValue(listQuery([{ amount: 300, exchangeRate: 1.1, baseAmount: 330 }]));
+      jest.spyOn(BankPayment, 'find').mockReturnValue(listQuery([{ amount: 100, exchangeRate: 1.15 }]));
+
+      const items = await currencyService.getOpenItems(asOf, 'USD', tenantId);
+
+      expect(items).toEqual([
+        expect.objectContaining({ type: 'payable', reference: 'PI-7', accountCode: 'AP', foreignAmount: 600, carried: 660 }),
+        expect.objectContaining({ type: 'bank', document: bankId, accountCode: 'BANK', foreignAmount: 700, carried: 815 })
+      ]);
+    });
+  });
+
+  describe('revalue', () => {
+    it('posts the unrealized difference at the closing rate and reverses it the next instant', async () => {
+      jest.spyOn(CurrencyRevaluation, 'exists').mockResolvedValue(null);
+      jest.spyOn(CurrencyRevaluation.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+      jest.spyOn(ExchangeRate, 'findOne').mockReturnValue(rateQuery({ rate: 1.2 }));
+      jest.spyOn(currencyService, 'getOpenItems').mockResolvedValue([
+        { type: 'payable', document: new mongoose.Types.ObjectId(), reference: 'PI-7', accountCode: 'AP', currency: 'EUR', foreignAmount: 600, carried: 660 },
+        { type: 'receivable', document: new mongoose.Types.ObjectId(), reference: 'SO-3', accountCode: 'AR', currency: 'EUR', foreignAmount: 500, carried: 550 },
+        { type: 'bank', document: new mongoose.Types.ObjectId(), reference: 'City Bank 001', accountCode: 'BANK', currency: 'EUR', foreignAmount: 700, carried: 840 }
+      ]);
+      const createEntry = mockJournal();
+
+      const revaluation = await currencyService.revalue(new Date('2024-03-31'), userId, tenantId);
+
+      // Payable now costs 720 (loss 60), receivable is worth 600 (gain 50), the bank balance is unchanged
+      expect(revaluation.lines.map(line => [line.type, line.revalued, line.gainLoss])).toEqual([
+        ['payable', 720, -60],
+        ['receivable', 600, 50]
+      ]);
+      expect(revaluation.totalGainLoss).toBe(-10);
+      const [entry, reversal] = createEntry.mock.calls.map(call => call[0]);
+      expect(entry.entryDate.toISOString()).toBe('2024-03-31T23:59:59.999Z');
+      expect(lines(entry)).toEqual([['AP', 0, 60], ['AR', 50, 0], ['FX_UNREALIZED', 10, 0]]);
+      expect(reversal.entryDate.toISOString()).toBe('2024-04-01T00:00:00.000Z');
+      expect(lines(reversal)).toEqual([['AP', 60, 0], ['AR', 0, 50], ['FX_UNREALIZED', 0, 10]]);
+    });
+
+    it('refuses to revalue the same date twice', async () => {
+      jest.spyOn(CurrencyRevaluation, 'exists').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+      await expect(currencyService.revalue(new Date('2024-03-31'), userId, tenantId))
+        .rejects.toThrow('Foreign currency balances were already revalued as of 2024-03-31');
+    });
+  });
+
+  describe('journalEntryService.createPurchaseEntries', () => {
+    it('posts a foreign invoice in base at its exchange rate', async () => {
+      const createEntry = mockJournal();
+      jest.spyOn(journalEntryService, 'buildTaxEntries').mockResolvedValue([]);
+
+      await journalEntryService.createPurchaseEntries({
+        _id: new mongoose.Types.ObjectId(),
+        invoiceNumber: 'PI-7',
+        currency: 'EUR',
+        exchangeRate: 1.1,
+        pricing: { total: 1000 },
+        payment: { paidAmount: 250 }
+      }, { tenantId, createdBy: userId });
+
+      const entry = createEntry.mock.calls[0][0];
+      expect(lines(entry)).toEqual([['INVENTORY', 1100, 0], ['CASH', 0, 275], ['AP', 0, 825]]);
+      expect(entry.metadata).toMatchObject({ currency: 'EUR', exchangeRate: 1.1, foreignTotal: 1000 });
+    });
+  });
+});
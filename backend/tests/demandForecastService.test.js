@@ -0,0 +1,110 @@
+/**
+ * Demand Forecast Service Tests
+ * Tests for seasonal model fitting, MAPE, safety stock from lead-time variability and the
+ * reorder points fed to auto purchase orders
+ */
+
+const mongoose = require('mongoose');
+const demandForecastService = require('../services/demandForecastService');
+const AutoPurchaseOrderService = require('../services/autoPurchaseOrderService');
+const DemandForecast = require('../models/DemandForecast');
+const Product = require('../models/Product');
+const Sales = require('../models/Sales');
+const PurchaseOrder = require('../models/PurchaseOrder');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const tenantId = new mongoose.Types.ObjectId();
+const productId = new mongoose.Types.ObjectId();
+
+const weekly = [2, 2, 2, 2, 5, 9, 8];
+const repeat = (pattern, weeks) => Array.from({ length: weeks }, () => pattern).flat();
+
+describe('DemandForecastService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('fit', () => {
+    it('learns a weekly pattern and forecasts it forward', () => {
+      const fit = demandForecastService.fit(repeat(weekly, 8), { horizonDays: 14 });
+
+      expect(fit.accuracy.mape).toBeLessThan(0.05);
+      expect(fit.forecast).toHaveLength(14);
+      fit.forecast.slice(0, 7).forEach((quantity, day) => expect(quantity).toBeCloseTo(weekly[day], 0));
+      expect(fit.averageDailyDemand).toBeCloseTo(30 / 7, 1);
+    });
+
+    it('needs two seasons of history', () => {
+      expect(demandForecastService.fit(repeat(weekly, 1).concat([3, 4]))).toBeNull();
+    });
+
+    it('scores MAPE only on days that had demand', () => {
+      expect(demandForecastService.mape([10, 0, 5], [8, 3, 5])).toBeCloseTo(0.1);
+      expect(demandForecastService.mape([0, 0], [1, 2])).toBeNull();
+    });
+  });
+
+  describe('safetyStock', () => {
+    it('covers both demand and lead-time variability', () => {
+      const safetyStock = demandForecastService.safetyStock({
+        dailyDemand: 10, demandStdDev: 4, leadTime: 9, leadTimeStdDev: 2, serviceLevel: 0.95
+      });
+      // 1.6449 × √(9 × 16 + 100 × 4)
+      expect(safetyStock).toBeCloseTo(38.37, 2);
+    });
+  });
+
+  describe('runForecasts', () => {
+    it('stores the forecast with a reorder point covering the observed lead time', async () => {
+      const today = new Date(Math.floor(Date.now() / DAY_MS) * DAY_MS);
+      const rows = Array.from({ length: 60 }, (_, i) => ({
+        _id: { product: productId, day: new Date(today - (i + 1) * DAY_MS).toISOString().slice(0, 10) },
+        quantity: 4
+      }));
+      jest.spyOn(Product, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([{ _id: productId }]) });
+      jest.spyOn(Sales, 'aggregate').mockResolvedValue(rows);
+      const ordered = (days) => ({
+        items: [{ product: productId }],
+        orderDate: new Date(2024, 0, 1),
+        lastReceivedDate: new Date(new Date(2024, 0, 1).getTime() + days * DAY_MS),
+        supplier: { leadTime: 3 }
+      });
+      const chain = { select: jest.fn(), populate: jest.fn(), sort: jest.fn(), lean: jest.fn().mockResolvedValue([ordered(5), ordered(9)]) };
+      ['select', 'populate', 'sort'].forEach(step => chain[step].mockReturnValue(chain));
+      jest.spyOn(PurchaseOrder, 'find').mockReturnValue(chain);
+      const upsert = jest.spyOn(DemandForecast, 'findOneAndUpdate').mockResolvedValue({});
+      const prune = jest.spyOn(DemandForecast, 'deleteMany').mockResolvedValue({});
+
+      const result = await demandForecastService.runForecasts(tenantId);
+
+      expect(result).toEqual({ products: 1, forecasts: 1, skipped: 0, errors: [] });
+      expect(PurchaseOrder.find).toHaveBeenCalledWith(expect.objectContaining({ tenantId }));
+      const stored = upsert.mock.calls[0][1];
+      expect(stored.leadTime).toEqual({ mean: 7, stdDev: 2.83, observations: 2, source: 'purchase_orders' });
+      expect(stored.demandStdDev).toBe(0);
+      // 28 units over the 7-day lead time plus 1.6449 × √(16 × 2.83²) of safety stock
+      expect(stored.safetyStock).toBeCloseTo(18.62, 1);
+      expect(stored.reorderPoint).toBe(47);
+      expect(prune).toHaveBeenCalledWith({ tenantId, product: { $nin: [productId] } });
+    });
+  });
+
+  describe('AutoPurchaseOrderService.forecastDemand', () => {
+    it('orders up to lead time and review period demand plus safety stock', async () => {
+      const forecast = new DemandForecast({
+        tenantId,
+        product: productId,
+        model: 'seasonal_naive',
+        forecastStart: new Date(),
+        forecast: Array(90).fill(4),
+        leadTime: { mean: 7 },
+        safetyStock: 10
+      });
+      jest.spyOn(demandForecastService, 'findForecasts').mockResolvedValue(new Map([[String(productId), forecast]]));
+
+      const quantity = await AutoPurchaseOrderService.forecastDemand(productId, 50, 3, { tenantId, currentStock: 12 });
+      // (7 + 30 days) × 4 + 10 safety stock - 12 on hand
+      expect(quantity).toBe(146);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Document Template Service Tests
+ * Tests for template resolution, default handling, thermal receipts and QR verification data
+ */
+
+const mongoose = require('mongoose');
+const documentTemplateService = require('../services/documentTemplateService');
+const settingsService = require('../services/settingsService');
+const DocumentTemplate = require('../models/DocumentTemplate');
+const Sales = require('../models/Sales');
+
+const tenantId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+const company = { companyName: 'Acme Ltd', address: '1 Main St', contactNumber: '555-0100', taxId: 'TAX-1', currency: 'USD' };
+
+// Stand-in for findOne().populate().populate().lean()
+const populatedQuery = (doc) => {
+  const chain = { populate: () => chain, lean: () => Promise.resolve(doc) };
+  return chain;
+};
+
+const sale = {
+  _id: new mongoose.Types.ObjectId(),
+  tenantId,
+  orderNumber: 'SO-1001',
+  createdAt: new Date('2026-03-05T10:00:00Z'),
+  customerInfo: { name: 'Walk-in' },
+  items: [
+    { product: { name: 'Coffee', sku: 'CF-1' }, quantity: 2, unitPrice: 4, taxAmount: 0.4, total: 8 }
+  ],
+  pricing: { subtotal: 8, discountAmount: 0, taxAmount: 0.4, total: 8.4 },
+  taxes: [{ code: 'GST', name: 'GST', rate: 0.05, base: 8, amount: 0.4 }]
+};
+
+describe('DocumentTemplateService', () => {
+  const originalSecret = process.env.DOCUMENT_SIGNING_SECRET;
+
+  beforeAll(() => {
+    process.env.DOCUMENT_SIGNING_SECRET = 'test-signing-secret';
+  });
+
+  afterAll(() => {
+    process.env.DOCUMENT_SIGNING_SECRET = originalSecret;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('resolveTemplate', () => {
+    it('falls back to the built-in layout when the tenant has no default', async () => {
+      jest.spyOn(DocumentTemplate, 'findOne').mockReturnValue({ lean: () => Promise.resolve(null) });
+
+      const template = await documentTemplateService.resolveTemplate('purchase_order', tenantId);
+
+      expect(template).toMatchObject({ paperSize: 'LETTER', isBuiltIn: true, footer: 'Thank you for your business!' });
+    });
+
+    it('fills settings a stored default leaves out', async () => {
+      jest.spyOn(DocumentTemplate, 'findOne').mockReturnValue({
+        lean: () => Promise.resolve({ name: 'Till', paperSize: 'THERMAL_58', header: { title: 'RECEIPT' } })
+      });
+
+      const template = await documentTemplateService.resolveTemplate('sales_invoice', tenantId);
+
+      expect(DocumentTemplate.findOne).toHaveBeenCalledWith({ tenantId, defaultFor: 'sales_invoice', isActive: true });
+      expect(template).toMatchObject({
+        paperSize: 'THERMAL_58',
+        isBuiltIn: false,
+        header: { title: 'RECEIPT', showCompanyName: true },
+        qrCode: { enabled: false, size: 90 }
+      });
+    });
+  });
+
+  describe('createTemplate', () => {
+    it('takes over the default from other templates for the same document types', async () => {
+      jest.spyOn(DocumentTemplate, 'findOne').mockResolvedValue(null);
+      jest.spyOn(DocumentTemplate.prototype, 'save').mockImplementation(function() {
+        return Promise.resolve(this);
+      });
+      const updateMany = jest.spyOn(DocumentTemplate, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+      const template = await documentTemplateService.createTemplate({
+        name: 'Receipt 80mm',
+        documentTypes: ['sales_invoice', 'return'],
+        defaultFor: ['sales_invoice'],
+        paperSize: 'THERMAL_80'
+      }, userId, tenantId);
+
+      expect(updateMany).toHaveBeenCalledWith(
+        { tenantId, _id: { $ne: template._id }, defaultFor: { $in: ['sales_invoice'] } },
+        { $pullAll: { defaultFor: ['sales_invoice'] } }
+      );
+    });
+
+    it('refuses to default a document type the template does not print', async () => {
+      jest.spyOn(DocumentTemplate, 'findOne').mockResolvedValue(null);
+
+      await expect(documentTemplateService.createTemplate({
+        name: 'Orders',
+        documentTypes: ['sales_order'],
+        defaultFor: ['purchase_order']
+      }, userId, tenantId)).rejects.toThrow('A template can only be the default for document types it prints');
+    });
+  });
+
+  describe('renderDocument', () => {
+    it('prints a sale on an 80mm roll cut to the receipt length', async () => {
+      jest.spyOn(DocumentTemplate, 'findOne').mockReturnValue({
+        lean: () => Promise.resolve({ name: 'Till', paperSize: 'THERMAL_80', qrCode: { enabled: true } })
+      });
+      jest.spyOn(Sales, 'findOne').mockReturnValue(populatedQuery(sale));
+      jest.spyOn(settingsService, 'getCompanySettings').mockResolvedValue(company);
+
+      const { buffer, filename, document } = await documentTemplateService.renderDocument('sales_invoice', sale._id, tenantId);
+
+      expect(filename).toBe('sales_invoice_SO-1001.pdf');
+      expect(document.taxes).toEqual([{ label: 'GST 5%', amount: 0.4, withholding: false }]);
+      expect(buffer.slice(0, 5).toString()).toBe('%PDF-');
+      const [, width, height] = buffer.toString('latin1').match(/\/MediaBox \[0 0 ([\d.]+) ([\d.]+)\]/);
+      expect(Number(width)).toBeCloseTo(226.77, 1);
+      expect(Number(height)).toBeGreaterThan(150);
+      expect(Number(height)).toBeLessThan(1000);
+    });
+
+    it('reports a document from another tenant as not found', async () => {
+      jest.spyOn(DocumentTemplate, 'findOne').mockReturnValue({ lean: () => Promise.resolve(null) });
+      jest.spyOn(Sales, 'findOne').mockReturnValue(populatedQuery(null));
+
+      await expect(documentTemplateService.renderDocument('sales_invoice', sale._id, tenantId))
+        .rejects.toThrow('Document not found');
+    });
+  });
+
+  describe('verifyDocumentData', () => {
+    it('accepts the QR data it signed and rejects altered totals', () => {
+      const data = documentTemplateService.verificationData(
+        { documentType: 'sales_invoice', number: 'SO-1001', date: sale.createdAt, totals: { total: 8.4, tax: 0.4 } },
+        { taxRegistrations: [{ label: 'VAT No.', number: 'VAT-99' }] },
+        company,
+        tenantId
+      );
+
+      expect(data).toMatchObject({ seller: 'Acme Ltd', taxNumber: 'VAT-99', number: 'SO-1001', total: 8.4, tax: 0.4 });
+      expect(documentTemplateService.verifyDocumentData(JSON.stringify(data))).toEqual({
+        valid: true,
+        document: expect.objectContaining({ number: 'SO-1001', total: 8.4 })
+      });
+      expect(documentTemplateService.verifyDocumentData(JSON.stringify({ ...data, total: 1 })))
+        .toEqual({ valid: false, document: null });
+      expect(documentTemplateService.verifyDocumentData('not json')).toEqual({ valid: false, document: null });
+    });
+  });
+});
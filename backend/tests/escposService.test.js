@@ -0,0 +1,148 @@
+/**
+ * ESC/POS Service Tests
+ * Tests for receipt bytes, drawer kicks on cash tenders, raw TCP printing and the
+ * addresses a printer may be sent to
+ */
+
+const net = require('net');
+const mongoose = require('mongoose');
+const escposService = require('../services/escposService');
+const documentTemplateService = require('../services/documentTemplateService');
+const settingsService = require('../services/settingsService');
+
+const { DRAWER_KICK } = escposService;
+const tenantId = new mongoose.Types.ObjectId();
+const company = { companyName: 'Corner Café', address: '1 Main St', currency: 'EUR', taxId: 'VAT-1' };
+const template = { paperSize: 'THERMAL_58', header: {}, footer: 'Merci!', qrCode: { enabled: false } };
+
+const receiptSale = (payments) => ({
+  documentType: 'sales_invoice',
+  number: 'SO-000042',
+  date: new Date('2026-03-05T10:15:00'),
+  items: [{ description: 'Espresso', quantity: 2, unitPrice: 2.5, total: 5 }],
+  totals: { subtotal: 5, tax: 0, total: 5 },
+  taxes: [],
+  payments
+});
+
+const contains = (buffer, bytes) => buffer.indexOf(Buffer.from(bytes)) !== -1;
+
+describe('EscPosService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('buildReceipt', () => {
+    it('lays out a 58mm receipt with a CODE128 barcode and a cut', () => {
+      const bytes = escposService.buildReceipt(receiptSale([]), template, company);
+      const text = bytes.toString('latin1');
+
+      expect(bytes.slice(0, 2)).toEqual(Buffer.from([0x1b, 0x40]));
+      expect(text).toContain('-'.repeat(32) + '\n');
+      expect(text).not.toContain('-'.repeat(33));
+      expect(text).toContain('Corner Caf\xe9');
+      expect(text).toContain('  2 x \x802.50');
+      expect(contains(bytes, [0x1d, 0x6b, 73, 11, ...Buffer.from('{BSO-000042')])).toBe(true);
+      expect(contains(bytes, [0x1d, 0x56, 66, 0])).toBe(true);
+      expect(contains(bytes, DRAWER_KICK)).toBe(false);
+    });
+
+    it('prints the template logo as a raster image', () => {
+      // 1x1 opaque black PNG
+      const logo = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAAC0lEQVR4AWMAgv8AAQQBAP8H9UQAAAAASUVORK5CYII=';
+      const bytes = escposService.buildReceipt(receiptSale([]), { ...template, logo: { data: logo, width: 20 } }, company);
+
+      const start = bytes.indexOf(Buffer.from([0x1d, 0x76, 0x30, 0]));
+      expect(start).toBeGreaterThan(0);
+      // Scaled up to the 8-dot minimum: one byte per row, eight rows, all black
+      expect([...bytes.slice(start + 4, start + 8)]).toEqual([1, 0, 8, 0]);
+      expect([...bytes.slice(start + 8, start + 16)]).toEqual(new Array(8).fill(0xff));
+    });
+  });
+
+  describe('renderSaleReceipt', () => {
+    it('kicks the drawer only when a tender was cash', async () => {
+      jest.spyOn(documentTemplateService, 'resolveTemplate').mockResolvedValue(template);
+      jest.spyOn(settingsService, 'getCompanySettings').mockResolvedValue(company);
+      const loadDocument = jest.spyOn(documentTemplateService, 'loadDocument');
+
+      loadDocument.mockResolvedValueOnce(receiptSale([
+        { method: 'credit_card', amount: 3 },
+        { method: 'cash', amount: 2, tendered: 5, change: 3 }
+      ]));
+      const cash = await escposService.renderSaleReceipt('sale-1', tenantId);
+      expect(cash.opensDrawer).toBe(true);
+      expect(contains(cash.bytes, DRAWER_KICK)).toBe(true);
+      expect(cash.bytes.toString('latin1')).toMatch(/ {2}Change +\x803\.00\n/);
+
+      loadDocument.mockResolvedValueOnce(receiptSale([{ method: 'debit_card', amount: 5 }]));
+      const card = await escposService.renderSaleReceipt('sale-2', tenantId);
+      expect(card.opensDrawer).toBe(false);
+      expect(contains(card.bytes, DRAWER_KICK)).toBe(false);
+    });
+  });
+
+  describe('print', () => {
+    it('sends the bytes to a raw TCP printer', async () => {
+      const received = [];
+      const server = net.createServer((socket) => {
+        socket.on('data', chunk => received.push(chunk));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      process.env.RECEIPT_PRINTER_PORTS = String(server.address().port);
+
+      try {
+        await escposService.print({ host: '127.0.0.1', port: server.address().port }, escposService.drawerKick());
+        await new Promise(resolve => setImmediate(resolve));
+        expect(Buffer.concat(received)).toEqual(Buffer.from([0x1b, 0x40, ...DRAWER_KICK]));
+      } finally {
+        delete process.env.RECEIPT_PRINTER_PORTS;
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+
+    it('only sends to the raw printing port', async () => {
+      await expect(escposService.print({ host: '192.168.1.50', port: 22 }, Buffer.from([0x1b, 0x40])))
+        .rejects.toThrow('Printer port is not allowed');
+    });
+
+    it('refuses the server itself in production', async () => {
+      const nodeEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+      try {
+        await expect(escposService.print({ host: '127.0.0.1', port: 9100 }, Buffer.from([0x1b, 0x40])))
+          .rejects.toThrow('Printer address must be on the local network');
+      } finally {
+        process.env.NODE_ENV = nodeEnv;
+      }
+    });
+
+    it('refuses printers outside the local network', async () => {
+      await expect(escposService.print({ host: '8.8.8.8', port: 9100 }, Buffer.from([0x1b, 0x40])))
+        .rejects.toThrow('Printer address must be on the local network');
+    });
+  });
+
+  describe('printers', () => {
+    const printerId = new mongoose.Types.ObjectId();
+
+    it('looks printers up in the tenant settings', async () => {
+      jest.spyOn(settingsService, 'getCompanySettings').mockResolvedValue({
+        receiptPrinters: [{ _id: printerId, name: 'Front till', host: '192.168.1.50', port: 9100 }]
+      });
+
+      await expect(escposService.getPrinter(printerId.toString(), tenantId)).resolves.toMatchObject({ host: '192.168.1.50' });
+      await expect(escposService.getPrinter(new mongoose.Types.ObjectId(), tenantId)).rejects.toThrow('Receipt printer not found');
+      expect(settingsService.getCompanySettings).toHaveBeenCalledWith(tenantId);
+    });
+
+    it('will not save a printer on another port', async () => {
+      const settings = { receiptPrinters: [], save: jest.fn() };
+      jest.spyOn(settingsService, 'getCompanySettings').mockResolvedValue(settings);
+
+      await expect(escposService.savePrinters([{ name: 'Router', host: '192.168.1.1', port: 80 }], tenantId))
+        .rejects.toThrow('Printer port is not allowed');
+      expect(settings.save).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,345 @@
+/**
+ * Fixed Asset Service Tests
+ * Tests for straight-line, declining-balance and units-of-production depreciation,
+ * capitalizing from journals and stock purchases, monthly depreciation runs, disposals and the
+ * asset schedule
+ */
+
+const mongoose = require('mongoose');
+const fixedAssetService = require('../services/fixedAssetService');
+const journalEntryService = require('../services/journalEntryService');
+const ChartOfAccountsRepository = require('../repositories/ChartOfAccountsRepository');
+const FixedAsset = require('../models/FixedAsset');
+const DepreciationRun = require('../models/DepreciationRun');
+const JournalVoucher = require('../models/JournalVoucher');
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+const inventoryService = require('../services/inventoryService');
+
+const tenantId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+
+const utc = (year, month, day) => new Date(Date.UTC(year, month, day));
+const amounts = charges => charges.map(charge => charge.amount);
+const sorted = (result) => ({ sort: jest.fn().mockResolvedValue(result) });
+const lean = (result) => ({ select: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue(result) }) });
+
+const acquisition = {
+  sourceType: 'journal_voucher',
+  document: new mongoose.Types.ObjectId(),
+  documentModel: 'JournalVoucher',
+  reference: 'JV-000010',
+  lineIndex: 0,
+  date: utc(2024, 0, 10),
+  sourceAccountCode: 'SUSPENSE'
+};
+
+const asset = (overrides = {}, depreciation = {}) => new FixedAsset({
+  tenantId,
+  assetNumber: 'FA-000001',
+  name: 'Delivery van',
+  category: 'vehicles',
+  acquisition,
+  cost: 12000,
+  salvageValue: 0,
+  assetAccountCode: 'FA_VEHICLES',
+  accumulatedDepreciationAccountCode: 'ACC_DEP_VEHICLES',
+  depreciationExpenseAccountCode: 'DEPRECIATION_EXP',
+  depreciation: { method: 'straight_line', startDate: utc(2024, 0, 10), usefulLifeMonths: 12, ...depreciation },
+  bookValue: 12000,
+  ...overrides
+});
+
+describe('FixedAssetService', () => {
+  let entries;
+  let session;
+
+  beforeEach(() => {
+    entries = [];
+    session = { withTransaction: jest.fn(work => work()), abortTransaction: jest.fn(), endSession: jest.fn() };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(journalEntryService, 'getOrCreateAccount').mockImplementation((_tenant, accountCode) => Promise.resolve({ accountCode }));
+    jest.spyOn(journalEntryService, 'resolveCreatedBy').mockResolvedValue(userId);
+    jest.spyOn(journalEntryService, 'createJournalEntry').mockImplementation((entry) => {
+      entries.push(entry);
+      return Promise.resolve({ _id: new mongoose.Types.ObjectId(), ...entry });
+    });
+    jest.spyOn(FixedAsset.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(DepreciationRun.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('monthlyCharges', () => {
+    it('charges straight line down to the salvage value over the useful life', () => {
+      const van = asset({ cost: 1000, salvageValue: 100 }, { usefulLifeMonths: 7 });
+
+      const charges = fixedAssetService.monthlyCharges(van, utc(2025, 0, 1));
+
+      expect(charges).toHaveLength(7);
+      expect(charges[0].periodEnd.toISOString().slice(0, 7)).toBe('2024-01');
+      expect(amounts(charges)).toEqual([128.57, 128.57, 128.57, 128.57, 128.57, 128.57, 128.58]);
+    });
+
+    it('charges declining balance and switches to straight line when that is more', () => {
+      const van = asset({ cost: 1000 }, { method: 'declining_balance', usefulLifeMonths: 4, decliningFactor: 2 });
+
+      // Half the book value for two months, then the 250 left spread over the last two
+      expect(amounts(fixedAssetService.monthlyCharges(van, utc(2024, 11, 31)))).toEqual([500, 250, 125, 125]);
+    });
+
+    it('charges units of production by the usage dated in each month', () => {
+      const press = asset({
+        cost: 10000,
+        salvageValue: 1000,
+        usage: [
+          { date: utc(2024, 0, 15), units: 300 },
+          { date: utc(2024, 0, 28), units: 200 },
+          { date: utc(2024, 2, 3), units: 1000 }
+        ]
+      }, { method: 'units_of_production', usefulLifeMonths: undefined, totalUnits: 9000 });
+
+      const charges = fixedAssetService.monthlyCharges(press, utc(2024, 2, 31));
+
+      expect(amounts(charges)).toEqual([500, 0, 1000]);
+      expect(charges.map(charge => charge.units)).toEqual([500, 0, 1000]);
+    });
+
+    it('picks up from the month after the last one charged', () => {
+      const van = asset({ accumulatedDepreciation: 3000, depreciatedThrough: utc(2024, 2, 31) });
+
+      const charges = fixedAssetService.monthlyCharges(van, utc(2024, 4, 31));
+
+      expect(charges.map(charge => charge.periodEnd.toISOString().slice(0, 7))).toEqual(['2024-04', '2024-05']);
+      expect(amounts(charges)).toEqual([1000, 1000]);
+    });
+  });
+
+  describe('createAsset', () => {
+    it('capitalizes a journal voucher debit and moves it into the category account', async () => {
+      const voucher = {
+        _id: new mongoose.Types.ObjectId(),
+        voucherNumber: 'JV-000010',
+        voucherDate: utc(2024, 0, 10),
+        entries: [
+          { accountCode: 'SUSPENSE', accountName: 'Suspense', particulars: 'Delivery van', debit: 12000, credit: 0 },
+          { accountCode: 'BANK', accountName: 'Bank', debit: 0, credit: 12000 }
+        ]
+      };
+      jest.spyOn(JournalVoucher, 'findOne').mockResolvedValue(voucher);
+      jest.spyOn(FixedAsset, 'find').mockReturnValue(lean([]));
+
+      const result = await fixedAssetService.createAsset({
+        sourceType: 'journal_voucher',
+        document: voucher._id,
+        lineIndex: 0,
+        category: 'vehicles',
+        usefulLifeMonths: 60
+      }, userId, tenantId);
+
+      expect(result.name).toBe('Delivery van');
+      expect(result.cost).toBe(12000);
+      expect(result.accumulatedDepreciationAccountCode).toBe('ACC_DEP_VEHICLES');
+      expect(entries).toHaveLength(1);
+      expect(entries[0].entryDate).toEqual(utc(2024, 0, 10));
+      expect(entries[0].entries).toEqual([
+        expect.objectContaining({ accountCode: 'FA_VEHICLES', debit: 12000 }),
+        expect.objectContaining({ accountCode: 'SUSPENSE', credit: 12000 })
+      ]);
+    });
+
+    describe('from a purchase invoice line', () => {
+      const invoice = {
+        _id: new mongoose.Types.ObjectId(),
+        invoiceNumber: 'PI-000020',
+        createdAt: utc(2024, 1, 3),
+        warehouse: new mongoose.Types.ObjectId(),
+        exchangeRate: 1,
+        items: [{ product: { _id: new mongoose.Types.ObjectId(), name: 'Laptop' }, quantity: 3, unitCost: 800, totalCost: 2400 }]
+      };
+      const data = { sourceType: 'purchase_invoice', document: invoice._id, lineIndex: 0, category: 'computer_equipment', usefulLifeMonths: 36 };
+
+      beforeEach(() => {
+        jest.spyOn(PurchaseInvoice, 'findOne').mockReturnValue({ populate: jest.fn().mockResolvedValue(invoice) });
+        jest.spyOn(FixedAsset, 'find').mockReturnValue(lean([]));
+      });
+
+      it('takes the units capitalized out of stock with their share of the cost', async () => {
+        const updateStock = jest.spyOn(inventoryService, 'updateStock').mockResolvedValue({ currentStock: 2 });
+
+        const result = await fixedAssetService.createAsset({ ...data, quantity: 1 }, userId, tenantId);
+
+        expect(result.cost).toBe(800);
+        expect(result.acquisition.quantity).toBe(1);
+        expect(updateStock).toHaveBeenCalledWith(expect.objectContaining({
+          productId: invoice.items[0].product._id,
+          type: 'out',
+          quantity: 1,
+          warehouse: invoice.warehouse,
+          tenantId,
+          session
+        }));
+        expect(entries[0].entries).toEqual([
+          expect.objectContaining({ accountCode: 'FA_COMPUTERS', debit: 800 }),
+          expect.objectContaining({ accountCode: 'INVENTORY', credit: 800 })
+        ]);
+      });
+
+      it('refuses units that have already left stock and posts nothing', async () => {
+        jest.spyOn(inventoryService, 'updateStock').mockRejectedValue(
+          new Error('NEGATIVE_STOCK_PREVENTED: Insufficient stock. Current: 0, Reserved: 0, Available: 0, Requested: 3')
+        );
+
+        await expect(fixedAssetService.createAsset(data, userId, tenantId)).rejects.toThrow('NEGATIVE_STOCK_PREVENTED');
+        expect(entries).toHaveLength(0);
+        expect(session.abortTransaction).toHaveBeenCalled();
+      });
+
+      it('posts the asset, the stock movement and the entry in one transaction', async () => {
+        const updateStock = jest.spyOn(inventoryService, 'updateStock').mockResolvedValue({});
+        journalEntryService.createJournalEntry.mockRejectedValue(new Error('Period 2024-02 is closed.'));
+
+        await expect(fixedAssetService.createAsset(data, userId, tenantId)).rejects.toThrow('is closed');
+        expect(updateStock).toHaveBeenCalledTimes(1);
+        expect(journalEntryService.createJournalEntry).toHaveBeenCalledWith(expect.any(Object), { session });
+        expect(FixedAsset.prototype.save).toHaveBeenCalledWith({ session });
+        expect(session.abortTransaction).toHaveBeenCalled();
+      });
+
+      it('capitalizes stock lines by quantity only', async () => {
+        await expect(fixedAssetService.createAsset({ ...data, amount: 500 }, userId, tenantId))
+          .rejects.toThrow('Stock lines are capitalized by quantity, not amount');
+      });
+    });
+
+    it('will not capitalize a credit line', async () => {
+      jest.spyOn(JournalVoucher, 'findOne').mockResolvedValue({
+        _id: new mongoose.Types.ObjectId(),
+        voucherNumber: 'JV-000011',
+        entries: [{ accountCode: 'FA_VEHICLES', debit: 500 }, { accountCode: 'BANK', debit: 0, credit: 500 }]
+      });
+
+      await expect(fixedAssetService.createAsset({
+        sourceType: 'journal_voucher', document: new mongoose.Types.ObjectId(), lineIndex: 1, category: 'vehicles', usefulLifeMonths: 60
+      }, userId, tenantId)).rejects.toThrow('Journal voucher JV-000011 has no debit on line 2');
+    });
+  });
+
+  describe('runMonth', () => {
+    it('posts one entry for the month and catches up assets added since the last run', async () => {
+      const van = asset({ accumulatedDepreciation: 1000, depreciatedThrough: utc(2024, 0, 31) });
+      const laptop = asset({
+        assetNumber: 'FA-000002',
+        name: 'Laptop',
+        category: 'computer_equipment',
+        cost: 2400,
+        assetAccountCode: 'FA_COMPUTERS',
+        accumulatedDepreciationAccountCode: 'ACC_DEP_COMPUTERS'
+      }, { startDate: utc(2024, 0, 20), usefulLifeMonths: 24 });
+      jest.spyOn(DepreciationRun, 'findOne').mockReturnValue(sorted(null));
+      jest.spyOn(FixedAsset, 'find').mockReturnValue(sorted([van, laptop]));
+
+      const run = await fixedAssetService.runMonth(tenantId, utc(2024, 1, 10), userId);
+
+      expect(run.totalAmount).toBe(1200);
+      expect(run.lines.map(line => [line.assetNumber, line.months, line.amount])).toEqual([['FA-000001', 1, 1000], ['FA-000002', 2, 200]]);
+      expect(entries).toHaveLength(1);
+      expect(entries[0].entryDate.toISOString()).toBe('2024-02-29T23:59:59.999Z');
+      expect(entries[0].entries).toEqual([
+        expect.objectContaining({ accountCode: 'DEPRECIATION_EXP', debit: 1200 }),
+        expect.objectContaining({ accountCode: 'ACC_DEP_VEHICLES', credit: 1000 }),
+        expect.objectContaining({ accountCode: 'ACC_DEP_COMPUTERS', credit: 200 })
+      ]);
+      expect(journalEntryService.createJournalEntry).toHaveBeenCalledWith(expect.any(Object), { session });
+      expect(DepreciationRun.prototype.save).toHaveBeenCalledWith({ session });
+      expect(FixedAsset.prototype.save).toHaveBeenCalledTimes(2);
+      expect(laptop.lines).toHaveLength(2);
+      expect(laptop.bookValue).toBe(2200);
+      expect(van.depreciatedThrough.toISOString().slice(0, 7)).toBe('2024-02');
+    });
+
+    it('refuses a month already run', async () => {
+      jest.spyOn(DepreciationRun, 'findOne').mockReturnValue(sorted({ periodEnd: utc(2024, 2, 31) }));
+
+      await expect(fixedAssetService.runMonth(tenantId, utc(2024, 1, 1), userId))
+        .rejects.toThrow('Depreciation has already been run for 2024-03');
+    });
+  });
+
+  describe('disposeAsset', () => {
+    it('charges the months before disposal and posts the gain over book value', async () => {
+      const van = asset({ accumulatedDepreciation: 3000, depreciatedThrough: utc(2024, 2, 31), bookValue: 9000 });
+      jest.spyOn(FixedAsset, 'findOne').mockResolvedValue(van);
+      jest.spyOn(ChartOfAccountsRepository, 'findOne').mockResolvedValue({ accountCode: 'BANK' });
+
+      await fixedAssetService.disposeAsset(van._id, { date: utc(2024, 5, 15), proceeds: 7500, proceedsAccountCode: 'bank' }, userId, tenantId);
+
+      // April and May are charged, leaving a book value of 7000
+      expect(van.status).toBe('disposed');
+      expect(van.accumulatedDepreciation).toBe(5000);
+      expect(van.disposal.gainLoss).toBe(500);
+      expect(entries[0].entries).toEqual([
+        expect.objectContaining({ accountCode: 'DEPRECIATION_EXP', debit: 2000 }),
+        expect.objectContaining({ accountCode: 'ACC_DEP_VEHICLES', debit: 3000 }),
+        expect.objectContaining({ accountCode: 'BANK', debit: 7500 }),
+        expect.objectContaining({ accountCode: 'FA_VEHICLES', credit: 12000 }),
+        expect.objectContaining({ accountCode: 'GAIN_ON_DISPOSAL', credit: 500 })
+      ]);
+    });
+
+    it('posts a loss when proceeds fall short of book value', async () => {
+      const van = asset({ accumulatedDepreciation: 6000, depreciatedThrough: utc(2024, 5, 30), bookValue: 6000 });
+      jest.spyOn(FixedAsset, 'findOne').mockResolvedValue(van);
+
+      await fixedAssetService.disposeAsset(van._id, { date: utc(2024, 6, 1) }, userId, tenantId);
+
+      expect(van.disposal.gainLoss).toBe(-6000);
+      expect(entries[0].entries).toEqual([
+        expect.objectContaining({ accountCode: 'ACC_DEP_VEHICLES', debit: 6000 }),
+        expect.objectContaining({ accountCode: 'LOSS_ON_DISPOSAL', debit: 6000 }),
+        expect.objectContaining({ accountCode: 'FA_VEHICLES', credit: 12000 })
+      ]);
+    });
+  });
+
+  describe('getAssetSchedule', () => {
+    it('rolls cost and depreciation forward through additions and disposals', async () => {
+      const held = asset({
+        acquisition: { ...acquisition, date: utc(2023, 5, 1) },
+        lines: [
+          { periodEnd: utc(2023, 11, 31), amount: 1000, postedAt: utc(2023, 11, 31) },
+          { periodEnd: utc(2024, 0, 31), amount: 1000, postedAt: utc(2024, 0, 31) }
+        ]
+      }).toObject();
+      const sold = asset({
+        assetNumber: 'FA-000002',
+        cost: 5000,
+        acquisition: { ...acquisition, date: utc(2024, 0, 5) },
+        lines: [{ periodEnd: utc(2024, 0, 31), amount: 500, postedAt: utc(2024, 0, 31) }],
+        disposal: { date: utc(2024, 1, 10), gainLoss: 250 }
+      }).toObject();
+      jest.spyOn(FixedAsset, 'find').mockReturnValue({ sort: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue([held, sold]) }) });
+
+      const schedule = await fixedAssetService.getAssetSchedule({ from: utc(2024, 0, 1), to: utc(2024, 2, 31) }, tenantId);
+
+      expect(schedule.totals).toEqual(expect.objectContaining({
+        openingCost: 12000,
+        additions: 5000,
+        disposals: 5000,
+        closingCost: 12000,
+        openingDepreciation: 1000,
+        charge: 1500,
+        depreciationOnDisposals: 500,
+        closingDepreciation: 2000,
+        bookValue: 10000,
+        gainLoss: 250
+      }));
+      expect(schedule.categories).toEqual([expect.objectContaining({ category: 'vehicles', count: 2, bookValue: 10000 })]);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Gift Card Service Tests
+ * Tests for redemption validation, partial redemption, store credit and tender checks
+ */
+
+const mongoose = require('mongoose');
+const giftCardService = require('../services/giftCardService');
+const paymentService = require('../services/paymentService');
+const journalEntryService = require('../services/journalEntryService');
+const GiftCard = require('../models/GiftCard');
+
+const tenantId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+const session = {};
+
+const buildCard = (overrides = {}) => new GiftCard({
+  tenantId,
+  code: 'GC-AAAA-BBBB-CCCC',
+  initialValue: 50,
+  balance: 50,
+  status: 'active',
+  ...overrides
+});
+
+const mockFindOne = (card) => {
+  jest.spyOn(GiftCard, 'findOne').mockReturnValue({
+    session: () => Promise.resolve(card)
+  });
+};
+
+describe('GiftCardService', () => {
+  beforeEach(() => {
+    jest.spyOn(journalEntryService, 'getOrCreateAccount').mockImplementation(
+      async (tid, accountCode) => ({ accountCode })
+    );
+    jest.spyOn(journalEntryService, 'createJournalEntry').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    jest.spyOn(journalEntryService, 'resolveCreatedBy').mockImplementation(async (tid, id) => id);
+    jest.spyOn(GiftCard, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validateRedemption', () => {
+    it('rejects cards that cannot pay', () => {
+      expect(() => giftCardService.validateRedemption(null, 10)).toThrow('Gift card not found');
+      expect(() => giftCardService.validateRedemption(buildCard({ status: 'inactive', balance: 0 }), 10))
+        .toThrow('Gift card has not been activated');
+      expect(() => giftCardService.validateRedemption(buildCard({ expiresAt: new Date(Date.now() - 1000) }), 10))
+        .toThrow('Gift card has expired');
+      expect(() => giftCardService.validateRedemption(buildCard(), 60))
+        .toThrow('Insufficient gift card balance');
+    });
+
+    it('rejects a card used as the wrong tender type', () => {
+      expect(() => giftCardService.validateRedemption(buildCard(), 10, 'store_credit'))
+        .toThrow('Card is not a store credit account');
+    });
+  });
+
+  describe('redeem', () => {
+    it('leaves the remainder on the card and posts Dr liability / Cr receivable', async () => {
+      const card = buildCard();
+      mockFindOne(card);
+      jest.spyOn(GiftCard, 'findOneAndUpdate').mockImplementation(async (filter, update) => ({
+        ...card.toObject(),
+        ...update.$set
+      }));
+
+      const { card: redeemed, transaction } = await giftCardService.redeem(card.code, 20, { session }, userId, tenantId);
+
+      expect(GiftCard.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: card._id, status: 'active', balance: 50 }),
+        expect.objectContaining({ $set: { balance: 30 } }),
+        expect.anything()
+      );
+      expect(redeemed.balance).toBe(30);
+      expect(transaction).toMatchObject({ type: 'redeem', amount: -20, balanceAfter: 30 });
+
+      const [entry] = journalEntryService.createJournalEntry.mock.calls[0];
+      expect(entry.referenceType).toBe('gift_card');
+      expect(entry.entries).toEqual([
+        expect.objectContaining({ accountCode: 'GIFT_CARD_LIABILITY', debit: 20 }),
+        expect.objectContaining({ accountCode: 'AR', credit: 20 })
+      ]);
+    });
+
+    it('marks the card redeemed when the balance is used up', async () => {
+      const card = buildCard();
+      mockFindOne(card);
+      jest.spyOn(GiftCard, 'findOneAndUpdate').mockImplementation(async (filter, update) => ({
+        ...card.toObject(),
+        ...update.$set
+      }));
+
+      const { card: redeemed } = await giftCardService.redeem(card.code, 50, { session }, userId, tenantId);
+
+      expect(redeemed).toMatchObject({ balance: 0, status: 'redeemed' });
+    });
+
+    it('fails when another till changed the balance first', async () => {
+      mockFindOne(buildCard());
+      jest.spyOn(GiftCard, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(giftCardService.redeem('GC-AAAA-BBBB-CCCC', 20, { session }, userId, tenantId))
+        .rejects.toThrow('Gift card was updated by another transaction, please retry');
+      expect(journalEntryService.createJournalEntry).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('issueStoreCredit', () => {
+    it('refuses to credit a card that belongs to another customer', async () => {
+      mockFindOne(buildCard({ type: 'store_credit', customer: new mongoose.Types.ObjectId() }));
+
+      await expect(giftCardService.issueStoreCredit({
+        customer: new mongoose.Types.ObjectId(),
+        amount: 10,
+        code: 'SC-AAAA-BBBB-CCCC'
+      }, userId, tenantId, { session })).rejects.toThrow('Card belongs to another customer');
+    });
+  });
+
+  describe('paymentService stored value tenders', () => {
+    it('requires a card code and a matching customer for store credit', async () => {
+      const customer = new mongoose.Types.ObjectId();
+      const order = { _id: new mongoose.Types.ObjectId(), customer };
+
+      await expect(paymentService.validateStoredValueTender(undefined, 'gift_card', 10, order, tenantId))
+        .rejects.toThrow('Gift card code is required');
+
+      mockFindOne(buildCard({ type: 'store_credit', customer: new mongoose.Types.ObjectId() }));
+      await expect(paymentService.validateStoredValueTender('SC-AAAA-BBBB-CCCC', 'store_credit', 10, order, tenantId))
+        .rejects.toThrow('Store credit belongs to another customer');
+    });
+
+    it('reports a declined redemption as a failed gateway result', async () => {
+      const card = buildCard({ balance: 5 });
+      mockFindOne(card);
+      jest.spyOn(GiftCard, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(giftCardService, 'runInTransaction').mockImplementation((options, work) => work(session));
+
+      const result = await paymentService.redeemStoredValue(
+        card,
+        { _id: new mongoose.Types.ObjectId(), amount: 10, paymentMethod: 'gift_card' },
+        { _id: userId },
+        tenantId
+      );
+
+      expect(result).toMatchObject({ status: 'failed', errorCode: 'GIFT_CARD_DECLINED', errorMessage: 'Insufficient gift card balance' });
+    });
+  });
+});
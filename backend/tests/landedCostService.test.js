@@ -0,0 +1,182 @@
+/**
+ * Landed Cost Service Tests
+ * Tests for allocating charges by value, quantity, weight and volume, and for applying them
+ * to FIFO layers, the average cost and COGS for stock already sold, and for posting a
+ * voucher in one transaction
+ */
+
+const mongoose = require('mongoose');
+const landedCostService = require('../services/landedCostService');
+const costingService = require('../services/costingService');
+const journalEntryService = require('../services/journalEntryService');
+const LandedCost = require('../models/LandedCost');
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+const Inventory = require('../models/Inventory');
+const Product = require('../models/Product');
+
+const tenantId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+const invoiceId = new mongoose.Types.ObjectId();
+const otherInvoiceId = new mongoose.Types.ObjectId();
+const chairs = new mongoose.Types.ObjectId();
+const lamps = new mongoose.Types.ObjectId();
+
+const lines = [
+  { product: chairs, quantity: 10, totalCost: 600, weight: 5, volume: 0.2 },
+  { product: lamps, quantity: 30, totalCost: 300, weight: 1, volume: 0.05 }
+];
+
+const query = (result) => ({ select: jest.fn().mockResolvedValue(result) });
+
+describe('LandedCostService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('allocate', () => {
+    it('splits charges by value, quantity, weight and volume', () => {
+      const amounts = method => landedCostService.allocate(lines, 100, method).map(line => line.amount);
+
+      expect(amounts('value')).toEqual([66.67, 33.33]);
+      expect(amounts('quantity')).toEqual([25, 75]);
+      // 50 kg of chairs against 30 kg of lamps
+      expect(amounts('weight')).toEqual([62.5, 37.5]);
+      // 2 m³ of chairs against 1.5 m³ of lamps
+      expect(amounts('volume')).toEqual([57.14, 42.86]);
+      expect(landedCostService.allocate(lines, 100, 'quantity')[1].unitLandedCost).toBe(2.5);
+    });
+
+    it('refuses a method the products have no measure for', () => {
+      const weightless = lines.map(line => ({ ...line, weight: 0 }));
+      expect(() => landedCostService.allocate(weightless, 100, 'weight')).toThrow('Products on these invoices have no weight');
+    });
+  });
+
+  describe('applyLandedCost', () => {
+    it('loads the invoice layers and the average with the on-hand share and leaves the rest for COGS', async () => {
+      const inventory = new Inventory({
+        tenantId,
+        product: chairs,
+        currentStock: 6,
+        cost: {
+          average: 60,
+          fifo: [
+            { quantity: 4, cost: 55, date: new Date(2024, 0, 1), purchaseInvoice: otherInvoiceId },
+            { quantity: 10, cost: 60, date: new Date(2024, 1, 1), purchaseInvoice: invoiceId }
+          ]
+        }
+      });
+      jest.spyOn(Inventory, 'findOne').mockResolvedValue(inventory);
+      jest.spyOn(inventory, 'save').mockResolvedValue(inventory);
+      const product = new Product({ tenantId, name: 'Chair', pricing: { cost: 60 } });
+      jest.spyOn(Product, 'findOne').mockResolvedValue(product);
+      jest.spyOn(product, 'save').mockResolvedValue(product);
+
+      const result = await costingService.applyLandedCost(chairs, 10, 50, tenantId, invoiceId);
+
+      // Four of the ten chairs have been sold since the invoice was received
+      expect(result).toEqual({ onHandQuantity: 6, soldQuantity: 4, inventoryAmount: 30, cogsAmount: 20, averageCost: 65 });
+      expect(inventory.cost.fifo.map(batch => batch.cost)).toEqual([55, 65]);
+      expect(inventory.cost.fifo[1].landedCost).toBe(5);
+      expect(product.pricing.cost).toBe(65);
+    });
+
+    it('charges only the layer of the invoice line the charge was allocated to', async () => {
+      const firstLine = new mongoose.Types.ObjectId();
+      const secondLine = new mongoose.Types.ObjectId();
+      const inventory = new Inventory({
+        tenantId,
+        product: chairs,
+        currentStock: 15,
+        cost: {
+          average: 60,
+          fifo: [
+            { quantity: 10, cost: 60, date: new Date(2024, 1, 1), purchaseInvoice: invoiceId, invoiceItem: firstLine },
+            { quantity: 5, cost: 60, date: new Date(2024, 1, 1), purchaseInvoice: invoiceId, invoiceItem: secondLine }
+          ]
+        }
+      });
+      jest.spyOn(Inventory, 'findOne').mockResolvedValue(inventory);
+      jest.spyOn(inventory, 'save').mockResolvedValue(inventory);
+      jest.spyOn(Product, 'findOne').mockResolvedValue(null);
+
+      const result = await costingService.applyLandedCost(chairs, 5, 25, tenantId, invoiceId, { invoiceItem: secondLine });
+
+      expect(result).toMatchObject({ onHandQuantity: 5, inventoryAmount: 25, cogsAmount: 0 });
+      expect(inventory.cost.fifo.map(batch => batch.cost)).toEqual([60, 65]);
+    });
+  });
+
+  describe('postLandedCost', () => {
+    let invoice;
+    let landedCost;
+    let session;
+
+    beforeEach(() => {
+      invoice = new PurchaseInvoice({
+        tenantId,
+        invoiceNumber: 'PI-1',
+        createdBy: userId,
+        items: [{ product: chairs, quantity: 10, unitCost: 60, totalCost: 600 }]
+      });
+      invoice._id = invoiceId;
+      landedCost = new LandedCost({
+        tenantId,
+        voucherNumber: 'LC-000001',
+        purchaseInvoices: [invoiceId],
+        settlement: 'bank',
+        charges: [{ type: 'freight', amount: 35 }, { type: 'customs_duty', amount: 15 }]
+      });
+      // The transaction runs the work once; nothing is written when it throws
+      session = { withTransaction: jest.fn(work => work()), abortTransaction: jest.fn(), endSession: jest.fn() };
+      jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+      // Only a draft can be claimed, as the status filter on the update does
+      jest.spyOn(LandedCost, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+        if (landedCost.status !== filter.status) return null;
+        landedCost.set(update.$set);
+        return landedCost;
+      });
+      jest.spyOn(LandedCost, 'findOne').mockResolvedValue(landedCost);
+      jest.spyOn(landedCost, 'save').mockResolvedValue(landedCost);
+      jest.spyOn(PurchaseInvoice, 'find').mockReturnValue(query([invoice]));
+      jest.spyOn(Product, 'find').mockReturnValue(query([{ _id: chairs, name: 'Chair' }]));
+      jest.spyOn(PurchaseInvoice, 'updateOne').mockResolvedValue({});
+      jest.spyOn(costingService, 'applyLandedCost').mockResolvedValue({
+        onHandQuantity: 6, soldQuantity: 4, inventoryAmount: 30, cogsAmount: 20, averageCost: 65
+      });
+      jest.spyOn(journalEntryService, 'getOrCreateAccount').mockImplementation(async (tenant, accountCode) => ({ accountCode }));
+      jest.spyOn(journalEntryService, 'resolveCreatedBy').mockResolvedValue(userId);
+    });
+
+    it('journals the on-hand share to inventory and the sold share to COGS', async () => {
+      const updateInvoice = PurchaseInvoice.updateOne;
+      const createEntry = jest.spyOn(journalEntryService, 'createJournalEntry').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+      const posted = await landedCostService.postLandedCost(landedCost._id, userId, tenantId);
+
+      expect(posted.status).toBe('posted');
+      expect(posted.totals.toObject()).toEqual({ charges: 50, inventory: 30, cogs: 20 });
+      expect(costingService.applyLandedCost).toHaveBeenCalledWith(chairs, 10, 50, tenantId, invoiceId, {
+        invoiceItem: invoice.items[0]._id,
+        session
+      });
+      expect(createEntry.mock.calls[0][1]).toEqual({ session });
+      expect(updateInvoice.mock.calls[0][1]).toEqual({ $inc: { 'items.$.landedCost': 50 } });
+      expect(createEntry.mock.calls[0][0].entries.map(({ accountCode, debit, credit }) => [accountCode, debit, credit])).toEqual([
+        ['INVENTORY', 30, 0],
+        ['COGS', 20, 0],
+        ['BANK', 0, 50]
+      ]);
+      await expect(landedCostService.postLandedCost(landedCost._id, userId, tenantId)).rejects.toThrow('Only draft landed costs can be posted');
+    });
+
+    it('fails the posting when the journal entry cannot be made', async () => {
+      jest.spyOn(journalEntryService, 'createJournalEntry').mockRejectedValue(new Error('Period 3 is closed. Cannot post transactions to closed periods.'));
+
+      await expect(landedCostService.postLandedCost(landedCost._id, userId, tenantId))
+        .rejects.toThrow('Period 3 is closed');
+      expect(session.abortTransaction).toHaveBeenCalled();
+      expect(landedCost.save).not.toHaveBeenCalled();
+    });
+  });
+});
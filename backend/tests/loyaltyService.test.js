@@ -0,0 +1,159 @@
+/**
+ * Loyalty Service Tests
+ * Tests for earn-rule precedence, redemption limits and tier evaluation
+ */
+
+const mongoose = require('mongoose');
+const loyaltyService = require('../services/loyaltyService');
+const LoyaltyProgram = require('../models/LoyaltyProgram');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const Customer = require('../models/Customer');
+const Product = require('../models/Product');
+
+const tenantId = new mongoose.Types.ObjectId();
+
+const buildProgram = (overrides = {}) => new LoyaltyProgram({
+  tenantId,
+  isActive: true,
+  ...overrides
+});
+
+describe('LoyaltyService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('calculateEarnPoints', () => {
+    const featuredProduct = new mongoose.Types.ObjectId();
+    const categorisedProduct = new mongoose.Types.ObjectId();
+    const plainProduct = new mongoose.Types.ObjectId();
+    const category = new mongoose.Types.ObjectId();
+
+    beforeEach(() => {
+      jest.spyOn(Product, 'find').mockReturnValue({
+        select: () => ({
+          lean: () => Promise.resolve([
+            { _id: featuredProduct, category },
+            { _id: categorisedProduct, category },
+            { _id: plainProduct, category: new mongoose.Types.ObjectId() }
+          ])
+        })
+      });
+    });
+
+    it('prefers product rules over category rules over the spend rule', async () => {
+      const program = buildProgram({
+        earnRules: [
+          { type: 'spend', pointsPerUnit: 1 },
+          { type: 'category', category, pointsPerUnit: 2 },
+          { type: 'product', product: featuredProduct, pointsPerUnit: 5 }
+        ]
+      });
+
+      const points = await loyaltyService.calculateEarnPoints([
+        { product: featuredProduct, subtotal: 10, discountAmount: 0 },
+        { product: categorisedProduct, subtotal: 10, discountAmount: 0 },
+        { product: plainProduct, subtotal: 10, discountAmount: 0 }
+      ], program);
+
+      expect(points).toBe(50 + 20 + 10);
+    });
+
+    it('earns on the discounted amount and applies the tier multiplier', async () => {
+      const program = buildProgram({ earnRules: [{ type: 'spend', pointsPerUnit: 1 }] });
+
+      const points = await loyaltyService.calculateEarnPoints([
+        { product: plainProduct, subtotal: 100, discountAmount: 25 }
+      ], program, 1.5);
+
+      expect(points).toBe(112);
+      expect(Product.find).not.toHaveBeenCalled();
+    });
+
+    it('earns nothing when no rule is active', async () => {
+      const program = buildProgram({ earnRules: [{ type: 'spend', pointsPerUnit: 1, isActive: false }] });
+
+      const points = await loyaltyService.calculateEarnPoints([
+        { product: plainProduct, subtotal: 100 }
+      ], program);
+
+      expect(points).toBe(0);
+    });
+  });
+
+  describe('quoteRedemption', () => {
+    const customer = { loyalty: { pointsBalance: 500 } };
+
+    it('values points at the program point value', () => {
+      const program = buildProgram({ pointValue: 0.05, minRedeemPoints: 100 });
+
+      expect(loyaltyService.quoteRedemption(customer, 200, 50, program)).toEqual({ points: 200, value: 10 });
+    });
+
+    it('enforces the minimum redemption and the customer balance', () => {
+      const program = buildProgram({ minRedeemPoints: 100 });
+
+      expect(() => loyaltyService.quoteRedemption(customer, 50, 50, program))
+        .toThrow('Minimum redemption is 100 points');
+      expect(() => loyaltyService.quoteRedemption(customer, 600, 50, program))
+        .toThrow('Insufficient loyalty points');
+    });
+
+    it('caps the redemption at the configured share of the sale', () => {
+      const program = buildProgram({ pointValue: 0.1, minRedeemPoints: 0, maxRedeemPercent: 50 });
+
+      expect(() => loyaltyService.quoteRedemption(customer, 300, 40, program))
+        .toThrow('Points can cover at most 20.00 of this sale');
+    });
+
+    it('rejects redemption when the program is inactive', () => {
+      const program = buildProgram({ isActive: false });
+
+      expect(() => loyaltyService.quoteRedemption(customer, 200, 50, program))
+        .toThrow('Loyalty program is not active');
+    });
+  });
+
+  describe('evaluateTier', () => {
+    const customerId = new mongoose.Types.ObjectId();
+
+    const mockCustomerTier = (tier) => {
+      jest.spyOn(Customer, 'findOne').mockReturnValue({
+        select: () => Promise.resolve({ _id: customerId, customerTier: tier })
+      });
+      jest.spyOn(Customer, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    };
+
+    it('promotes a customer whose window points reach a higher tier', async () => {
+      mockCustomerTier('bronze');
+      jest.spyOn(LoyaltyTransaction, 'aggregate').mockResolvedValue([{ _id: null, points: 5200 }]);
+
+      const result = await loyaltyService.evaluateTier(customerId, tenantId, buildProgram());
+
+      expect(result).toMatchObject({ from: 'bronze', to: 'gold', changed: true });
+      expect(Customer.updateOne).toHaveBeenCalledWith(
+        { _id: customerId, tenantId },
+        expect.objectContaining({ $set: expect.objectContaining({ customerTier: 'gold' }) })
+      );
+    });
+
+    it('demotes a customer whose qualifying points have aged out', async () => {
+      mockCustomerTier('gold');
+      jest.spyOn(LoyaltyTransaction, 'aggregate').mockResolvedValue([]);
+
+      const result = await loyaltyService.evaluateTier(customerId, tenantId, buildProgram());
+
+      expect(result).toMatchObject({ from: 'gold', to: 'bronze', changed: true });
+    });
+
+    it('leaves the tier alone when it already matches', async () => {
+      mockCustomerTier('silver');
+      jest.spyOn(LoyaltyTransaction, 'aggregate').mockResolvedValue([{ _id: null, points: 1500 }]);
+
+      const result = await loyaltyService.evaluateTier(customerId, tenantId, buildProgram());
+
+      expect(result.changed).toBe(false);
+      expect(Customer.updateOne).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Notification Service Tests
+ * Tests for subscription dispatch, retries and the SMTP email channel
+ */
+
+const net = require('net');
+const notificationService = require('../services/notificationService');
+const emailChannel = require('../services/notificationChannels/emailChannel');
+const NotificationSubscription = require('../models/NotificationSubscription');
+const NotificationDelivery = require('../models/NotificationDelivery');
+
+jest.mock('../models/NotificationSubscription');
+jest.mock('../models/NotificationDelivery');
+jest.mock('../models/Notification');
+
+const mockDelivery = (overrides = {}) => ({
+  _id: 'delivery1',
+  tenantId: 'tenant1',
+  channel: 'webhook',
+  eventType: 'low_stock_alert',
+  recipient: 'http://localhost/hook',
+  attempts: 0,
+  maxAttempts: 3,
+  status: 'pending',
+  save: jest.fn().mockResolvedValue(true),
+  ...overrides
+});
+
+describe('NotificationService', () => {
+  let webhookSend;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    webhookSend = jest.fn().mockResolvedValue({ statusCode: 200 });
+    notificationService.channels.set('webhook', { send: webhookSend });
+  });
+
+  describe('notify', () => {
+    it('should require a tenant', async () => {
+      await expect(notificationService.notify('low_stock_alert', { title: 'x' }))
+        .rejects.toThrow('tenantId is required to send notifications');
+    });
+
+    it('should skip subscriptions whose minimum severity is not met', async () => {
+      const subscriptions = [
+        { _id: 'sub1', channel: 'webhook', minSeverity: 'critical', target: { url: 'http://localhost/a' } },
+        { _id: 'sub2', channel: 'webhook', minSeverity: 'info', target: { url: 'http://localhost/b' } }
+      ];
+      NotificationSubscription.find.mockReturnValue({ select: jest.fn().mockResolvedValue(subscriptions) });
+      NotificationDelivery.create.mockImplementation(async (data) => mockDelivery(data));
+
+      const deliveries = await notificationService.notify('low_stock_alert', {
+        severity: 'warning',
+        title: 'Low stock'
+      }, { tenantId: 'tenant1' });
+
+      expect(NotificationDelivery.create).toHaveBeenCalledTimes(1);
+      expect(NotificationDelivery.create.mock.calls[0][0].recipient).toBe('http://localhost/b');
+      expect(deliveries[0].status).toBe('sent');
+      expect(webhookSend).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('attemptDelivery', () => {
+    it('should schedule a retry with backoff when the channel fails', async () => {
+      webhookSend.mockRejectedValue(new Error('connection refused'));
+      const delivery = mockDelivery();
+
+      await notificationService.attemptDelivery(delivery, {});
+
+      expect(delivery.status).toBe('pending');
+      expect(delivery.attempts).toBe(1);
+      expect(delivery.lastError).toBe('connection refused');
+      expect(delivery.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+      expect(delivery.save).toHaveBeenCalled();
+    });
+
+    it('should mark the delivery failed once attempts are exhausted', async () => {
+      webhookSend.mockRejectedValue(new Error('timeout'));
+      const delivery = mockDelivery({ attempts: 2, maxAttempts: 3 });
+
+      await notificationService.attemptDelivery(delivery, {});
+
+      expect(delivery.status).toBe('failed');
+      expect(delivery.nextAttemptAt).toBeUndefined();
+    });
+  });
+
+  describe('sendExpiryAlerts', () => {
+    it('should rate expired items as critical', async () => {
+      const notifySpy = jest.spyOn(notificationService, 'notify').mockResolvedValue([]);
+
+      await notificationService.sendExpiryAlerts({
+        expired: { batches: [{ batchNumber: 'B1', product: { name: 'Milk' }, expiryDate: new Date() }], products: [] },
+        expiring7Days: { batches: [], products: [] }
+      }, { tenantId: 'tenant1' });
+
+      expect(notifySpy).toHaveBeenCalledWith('expiry_alert', expect.objectContaining({ severity: 'critical' }), { tenantId: 'tenant1' });
+      notifySpy.mockRestore();
+    });
+
+    it('should not notify when nothing is expiring', async () => {
+      const notifySpy = jest.spyOn(notificationService, 'notify');
+
+      const result = await notificationService.sendExpiryAlerts({}, { tenantId: 'tenant1' });
+
+      expect(result).toEqual([]);
+      expect(notifySpy).not.toHaveBeenCalled();
+      notifySpy.mockRestore();
+    });
+  });
+});
+
+describe('EmailChannel', () => {
+  let server;
+  let received;
+
+  beforeEach((done) => {
+    received = [];
+    // Minimal SMTP stand-in that accepts every command
+    server = net.createServer((socket) => {
+      let inData = false;
+      socket.write('220 localhost ESMTP\r\n');
+      socket.on('data', (chunk) => {
+        for (const line of chunk.toString().split('\r\n').filter(Boolean)) {
+          received.push(line);
+          if (inData) {
+            if (line === '.') {
+              inData = false;
+              socket.write('250 OK queued\r\n');
+            }
+          } else if (line === 'DATA') {
+            inData = true;
+            socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+          } else if (line === 'QUIT') {
+            socket.end('221 Bye\r\n');
+          } else {
+            socket.write('250 OK\r\n');
+          }
+        }
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      emailChannel.host = '127.0.0.1';
+      emailChannel.port = server.address().port;
+      done();
+    });
+  });
+
+  afterEach((done) => {
+    server.close(done);
+  });
+
+  it('should deliver a message over SMTP', async () => {
+    const result = await emailChannel.send({
+      recipient: 'manager@example.com',
+      title: 'Low stock',
+      message: 'Milk is low\n.hidden line'
+    });
+
+    expect(result.accepted).toEqual(['manager@example.com']);
+    expect(received).toContain('RCPT TO:<manager@example.com>');
+    expect(received).toContain('Subject: Low stock');
+    // Lines starting with a dot are dot-stuffed
+    expect(received).toContain('..hidden line');
+  });
+});
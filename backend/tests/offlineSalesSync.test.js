@@ -0,0 +1,131 @@
+/**
+ * Offline Sales Sync Tests
+ * Tests for persisted idempotency replays and offline conflict detection
+ */
+
+const salesService = require('../services/salesService');
+const productRepository = require('../repositories/ProductRepository');
+const Inventory = require('../models/Inventory');
+const priceListService = require('../services/priceListService');
+const warehouseStockService = require('../services/warehouseStockService');
+const { preventDuplicates } = require('../middleware/duplicatePrevention');
+
+jest.mock('../repositories/ProductRepository');
+
+const mockResponse = () => {
+  const handlers = {};
+  const res = { statusCode: 200, handlers, on: jest.fn((event, handler) => { handlers[event] = handler; }) };
+  res.status = jest.fn((code) => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('preventDuplicates with persisted keys', () => {
+  it('should return the stored response for a replayed client key', async () => {
+    const stored = { success: true, duplicate: true, order: { _id: 'order1' } };
+    const findExisting = jest.fn().mockResolvedValue(stored);
+    const middleware = preventDuplicates({ findExisting });
+    const req = { method: 'POST', path: '/', headers: { 'idempotency-key': 'offline-key-1' }, body: {} };
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await middleware(req, res, next);
+
+    expect(findExisting).toHaveBeenCalledWith(req, 'offline-key-1');
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(stored);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should not look up body-hash keys', async () => {
+    const findExisting = jest.fn();
+    const middleware = preventDuplicates({ findExisting });
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await middleware({ method: 'POST', path: '/', headers: {}, body: { a: Date.now() } }, res, next);
+    res.handlers.finish();
+
+    expect(findExisting).not.toHaveBeenCalled();
+    expect(next).toHaveBeenCalled();
+  });
+});
+
+describe('SalesService.detectOfflineConflicts', () => {
+  const product = {
+    _id: 'product1',
+    name: 'Milk',
+    pricing: { retail: 12, wholesale: 10 },
+    inventory: { currentStock: 3 },
+    getPriceForCustomerType(customerType) {
+      return this.pricing[customerType];
+    }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    productRepository.findById.mockResolvedValue(product);
+    jest.spyOn(Inventory, 'findOne').mockResolvedValue({ currentStock: 3, reservedStock: 1 });
+    jest.spyOn(priceListService, 'getApplicableLists').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should report stock shortfalls and list price changes', async () => {
+    const conflicts = await salesService.detectOfflineConflicts(
+      [{ product: 'product1', quantity: 5, cachedPrice: 11 }],
+      'tenant1'
+    );
+
+    expect(conflicts).toEqual([
+      expect.objectContaining({ type: 'stock', requestedQuantity: 5, availableStock: 2 }),
+      expect.objectContaining({ type: 'price', cachedPrice: 11, currentPrice: 12 })
+    ]);
+  });
+
+  it('should compare against the customer type price', async () => {
+    const conflicts = await salesService.detectOfflineConflicts(
+      [{ product: 'product1', quantity: 1, cachedPrice: 10 }],
+      'tenant1',
+      { businessType: 'wholesale' }
+    );
+
+    expect(conflicts).toEqual([]);
+  });
+
+  it('should compare against the price list price', async () => {
+    jest.spyOn(priceListService, 'getApplicableLists').mockResolvedValue([{ _id: 'list1' }]);
+    jest.spyOn(priceListService, 'priceFromList').mockReturnValue(9);
+
+    const conflicts = await salesService.detectOfflineConflicts(
+      [{ product: 'product1', quantity: 1, cachedPrice: 12 }],
+      'tenant1'
+    );
+
+    expect(conflicts).toEqual([
+      expect.objectContaining({ type: 'price', cachedPrice: 12, currentPrice: 9 })
+    ]);
+  });
+
+  it('should check stock in the selling warehouse', async () => {
+    jest.spyOn(warehouseStockService, 'getAvailable').mockResolvedValue(1);
+
+    const conflicts = await salesService.detectOfflineConflicts(
+      [{ product: 'product1', quantity: 2 }],
+      'tenant1',
+      null,
+      'warehouse1'
+    );
+
+    expect(warehouseStockService.getAvailable).toHaveBeenCalledWith('product1', 'warehouse1', 'tenant1');
+    expect(Inventory.findOne).not.toHaveBeenCalled();
+    expect(conflicts).toEqual([
+      expect.objectContaining({ type: 'stock', requestedQuantity: 2, availableStock: 1 })
+    ]);
+  });
+});
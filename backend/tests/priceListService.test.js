@@ -0,0 +1,122 @@
+/**
+ * Price List Service Tests
+ * Tests for price list rules, quantity breaks, best-price selection and sale line pricing
+ */
+
+const mongoose = require('mongoose');
+const priceListService = require('../services/priceListService');
+const salesService = require('../services/salesService');
+const productRepository = require('../repositories/ProductRepository');
+const PriceList = require('../models/PriceList');
+const Product = require('../models/Product');
+const Customer = require('../models/Customer');
+
+const tenantId = new mongoose.Types.ObjectId();
+
+const customer = new Customer({ tenantId, name: 'Acme Wholesale', businessType: 'wholesale' });
+const flour = new Product({ tenantId, name: 'Flour 25kg', pricing: { cost: 5, retail: 10, wholesale: 8 } });
+const sugar = new Product({ tenantId, name: 'Sugar 10kg', pricing: { cost: 12, retail: 25, wholesale: 22 } });
+
+const buildList = (overrides = {}) => new PriceList({
+  tenantId,
+  code: 'WHOLESALE-24',
+  name: 'Wholesale 2024',
+  customerTypes: ['wholesale'],
+  ...overrides
+});
+
+describe('PriceListService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('priceFromList', () => {
+    it('prices product overrides by fixed price, cost markup, share of cost and list adjustment', () => {
+      const list = buildList({
+        items: [
+          { product: flour._id, method: 'fixed', price: 7.25 },
+          { product: sugar._id, method: 'cost_markup', percent: 50 }
+        ]
+      });
+      expect(priceListService.priceFromList(list, flour, 1, 'wholesale')).toBe(7.25);
+      expect(priceListService.priceFromList(list, sugar, 1, 'wholesale')).toBe(18);
+
+      const ofCost = buildList({ items: [{ product: sugar._id, method: 'percent_of_cost', percent: 125 }] });
+      expect(priceListService.priceFromList(ofCost, sugar, 1, 'wholesale')).toBe(15);
+
+      const adjusted = buildList({ items: [{ product: flour._id, method: 'list_adjustment', percent: -10 }] });
+      expect(priceListService.priceFromList(adjusted, flour, 1, 'wholesale')).toBe(7.2);
+    });
+
+    it('uses the default rule for other products and leaves them alone without one', () => {
+      const list = buildList({ defaultRule: { method: 'cost_markup', percent: 40 } });
+      expect(priceListService.priceFromList(list, flour, 1, 'wholesale')).toBe(7);
+      expect(priceListService.priceFromList(buildList(), flour, 1, 'wholesale')).toBeNull();
+    });
+
+    it('applies the highest quantity break reached', () => {
+      const list = buildList({
+        items: [{
+          product: flour._id,
+          price: 7.5,
+          quantityBreaks: [
+            { minQuantity: 10, discountPercent: 4 },
+            { minQuantity: 50, price: 6.5 }
+          ]
+        }]
+      });
+      expect(priceListService.priceFromList(list, flour, 9, 'wholesale')).toBe(7.5);
+      expect(priceListService.priceFromList(list, flour, 10, 'wholesale')).toBe(7.2);
+      expect(priceListService.priceFromList(list, flour, 60, 'wholesale')).toBe(6.5);
+    });
+  });
+
+  describe('bestPrice', () => {
+    it('takes the lowest list price and prefers the contract list on a tie', () => {
+      const typeList = buildList({ items: [{ product: flour._id, price: 7 }, { product: sugar._id, price: 20 }] });
+      const contract = buildList({
+        code: 'ACME',
+        customers: [customer._id],
+        customerTypes: [],
+        items: [{ product: flour._id, price: 7 }, { product: sugar._id, price: 21 }]
+      });
+
+      expect(priceListService.bestPrice(flour, 1, customer, [typeList, contract]).priceList).toBe(contract);
+      expect(priceListService.bestPrice(sugar, 1, customer, [typeList, contract]))
+        .toEqual({ unitPrice: 20, priceList: typeList });
+    });
+
+    it('falls back to product pricing when no list prices the product', () => {
+      expect(priceListService.bestPrice(sugar, 1, customer, [buildList()])).toEqual({ unitPrice: 22, priceList: null });
+      expect(priceListService.bestPrice(sugar, 1, null, [])).toEqual({ unitPrice: 25, priceList: null });
+    });
+  });
+
+  describe('salesService pricing', () => {
+    it('records the list each sales order line was priced from and keeps manual prices', async () => {
+      const list = buildList({ items: [{ product: flour._id, price: 7 }] });
+      jest.spyOn(priceListService, 'getApplicableLists').mockResolvedValue([list]);
+      jest.spyOn(productRepository, 'findById').mockResolvedValue(flour);
+
+      const items = await salesService.priceSalesOrderItems([
+        { product: flour._id, quantity: 5 },
+        { product: sugar._id, quantity: 1, unitPrice: 19, priceList: list._id }
+      ], customer, tenantId);
+
+      expect(items[0]).toMatchObject({ unitPrice: 7, priceList: list._id });
+      expect(items[1]).toMatchObject({ unitPrice: 19, priceList: undefined });
+      expect(priceListService.getApplicableLists).toHaveBeenCalledWith(customer, tenantId);
+    });
+  });
+
+  describe('model validation', () => {
+    it('rejects a list that ends before it starts or prices a product twice', async () => {
+      await expect(buildList({ effectiveFrom: new Date('2024-06-01'), effectiveTo: new Date('2024-05-01') }).validate())
+        .rejects.toThrow('Effective to date must be on or after the effective from date');
+      await expect(buildList({ items: [{ product: flour._id, price: 7 }, { product: flour._id, price: 6 }] }).validate())
+        .rejects.toThrow('A product can only appear once in a price list');
+      await expect(buildList({ items: [{ product: flour._id, method: 'cost_markup' }] }).validate())
+        .rejects.toThrow('Each price list item needs a price or a percent');
+    });
+  });
+});
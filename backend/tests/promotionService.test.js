@@ -0,0 +1,179 @@
+/**
+ * Promotion Service Tests
+ * Tests for buy-X-get-Y, bundles, mix-and-match, spend gifts, time windows and stacking rules
+ */
+
+const mongoose = require('mongoose');
+const promotionService = require('../services/promotionService');
+const Promotion = require('../models/Promotion');
+const Product = require('../models/Product');
+
+const tenantId = new mongoose.Types.ObjectId();
+const snacks = new mongoose.Types.ObjectId();
+
+const chips = new mongoose.Types.ObjectId();
+const nuts = new mongoose.Types.ObjectId();
+const soda = new mongoose.Types.ObjectId();
+const burger = new mongoose.Types.ObjectId();
+const tote = new mongoose.Types.ObjectId();
+
+const line = (product, quantity, unitPrice, category = null, discountAmount = 0) => ({
+  product,
+  category,
+  quantity,
+  subtotal: quantity * unitPrice,
+  discountAmount
+});
+
+const buildPromotion = (overrides = {}) => new Promotion({
+  tenantId,
+  code: 'PROMO',
+  name: 'Promotion',
+  type: 'percent_off',
+  percent: 10,
+  ...overrides
+});
+
+describe('PromotionService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('evaluate', () => {
+    it('gives the cheapest items free on buy-X-get-Y and caps the applications', () => {
+      const bogo = buildPromotion({ code: 'SNACK-B2G1', type: 'buy_x_get_y', categories: [snacks], buyQuantity: 2, getQuantity: 1 });
+      const cart = [line(chips, 4, 3, snacks), line(nuts, 2, 5, snacks)];
+
+      const result = promotionService.evaluate(cart, [bogo]);
+      // Six snacks make two sets: the four dearest are paid for, the two cheapest chips are free
+      expect(result.applied).toEqual([expect.objectContaining({ code: 'SNACK-B2G1', applications: 2, discountAmount: 6 })]);
+      expect(result.lines.map(entry => entry.promotionDiscount)).toEqual([6, 0]);
+
+      bogo.maxApplications = 1;
+      expect(promotionService.evaluate(cart, [bogo]).totalDiscount).toBe(3);
+    });
+
+    it('gives a different product on buy-X-get-Y at a partial discount', () => {
+      const meal = buildPromotion({
+        type: 'buy_x_get_y',
+        products: [burger],
+        buyQuantity: 1,
+        getQuantity: 1,
+        getProducts: [soda],
+        getDiscountPercent: 50
+      });
+      const result = promotionService.evaluate([line(burger, 3, 8), line(soda, 2, 2)], [meal]);
+      expect(result.applied[0].applications).toBe(2);
+      expect(result.lines.map(entry => entry.promotionDiscount)).toEqual([0, 2]);
+    });
+
+    it('prices bundles and mix-and-match groups and spreads the saving by value', () => {
+      const combo = buildPromotion({
+        type: 'bundle',
+        bundleItems: [{ product: burger, quantity: 1 }, { product: soda, quantity: 1 }],
+        bundlePrice: 8
+      });
+      const bundled = promotionService.evaluate([line(burger, 2, 8), line(soda, 1, 2)], [combo]);
+      expect(bundled.totalDiscount).toBe(2);
+      expect(bundled.lines.map(entry => entry.promotionDiscount)).toEqual([1.6, 0.4]);
+
+      const anyThree = buildPromotion({ type: 'mix_and_match', categories: [snacks], groupQuantity: 3, groupPrice: 10 });
+      const mixed = promotionService.evaluate([line(chips, 2, 3, snacks), line(nuts, 2, 5, snacks), line(soda, 1, 2)], [anyThree]);
+      // The dearest three snacks (5 + 5 + 3) go for 10; the fourth and the soda are untouched
+      expect(mixed.totalDiscount).toBe(3);
+      expect(mixed.lines.map(entry => entry.promotionDiscount)).toEqual([0.69, 2.31, 0]);
+    });
+
+    it('gives the gift free once spend is reached and asks for gifts not yet in the cart', () => {
+      const gift = buildPromotion({ type: 'spend_gift', minSpend: 50, giftProduct: tote });
+
+      const missing = promotionService.evaluate([line(burger, 7, 8)], [gift]);
+      expect(missing.totalDiscount).toBe(0);
+      expect(missing.gifts).toEqual([expect.objectContaining({ product: tote, quantity: 1 })]);
+
+      const given = promotionService.evaluate([line(burger, 7, 8), line(tote, 1, 4)], [gift]);
+      expect(given.totalDiscount).toBe(4);
+      expect(given.gifts).toEqual([]);
+
+      expect(promotionService.evaluate([line(burger, 5, 8), line(tote, 1, 4)], [gift]).totalDiscount).toBe(0);
+    });
+
+    it('lets the higher priority promotion keep its items unless both stack', () => {
+      const clearance = buildPromotion({ code: 'CLEAR', percent: 50, products: [chips], priority: 10 });
+      const happyHour = buildPromotion({ code: 'HAPPY', percent: 10, priority: 1 });
+      const cart = [line(chips, 2, 10), line(nuts, 1, 10)];
+
+      const exclusive = promotionService.evaluate(cart, [clearance, happyHour]);
+      expect(exclusive.lines.map(entry => entry.promotionDiscount)).toEqual([10, 1]);
+
+      clearance.stackable = true;
+      happyHour.stackable = true;
+      const stacked = promotionService.evaluate(cart, [clearance, happyHour]);
+      // Stacked percentages add up on the clearance items
+      expect(stacked.lines.map(entry => entry.promotionDiscount)).toEqual([12, 1]);
+      expect(stacked.applied.map(entry => entry.code)).toEqual(['CLEAR', 'HAPPY']);
+    });
+  });
+
+  describe('isRunningAt', () => {
+    it('runs happy hours on their days and across midnight', () => {
+      const happyHour = buildPromotion({
+        startDate: new Date(2024, 0, 1),
+        daysOfWeek: ['friday', 'saturday'],
+        startTime: '22:00',
+        endTime: '02:00'
+      });
+      expect(happyHour.isRunningAt(new Date(2024, 4, 3, 23, 30))).toBe(true); // Friday night
+      expect(happyHour.isRunningAt(new Date(2024, 4, 4, 1, 15))).toBe(true); // Saturday small hours
+      expect(happyHour.isRunningAt(new Date(2024, 4, 3, 18, 0))).toBe(false);
+      expect(happyHour.isRunningAt(new Date(2024, 4, 1, 23, 0))).toBe(false); // Wednesday
+      expect(happyHour.isRunningAt(new Date(2023, 11, 29, 23, 0))).toBe(false); // Before it starts
+    });
+  });
+
+  describe('applyToOrderItems', () => {
+    it('adds promotion discounts to sale lines so they are taxed at the promoted price', async () => {
+      const bogo = buildPromotion({ type: 'buy_x_get_y', buyQuantity: 1, getQuantity: 1, products: [chips] });
+      jest.spyOn(promotionService, 'getRunningPromotions').mockResolvedValue([bogo]);
+      jest.spyOn(Product, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([{ _id: chips, category: snacks }]) });
+
+      const orderItems = [{ product: chips, quantity: 2, unitPrice: 3, subtotal: 6, discountAmount: 0.6 }];
+      const result = await promotionService.applyToOrderItems(orderItems, null, tenantId);
+
+      expect(result.totalDiscount).toBe(2.7);
+      expect(orderItems[0]).toMatchObject({ promotionDiscount: 2.7, discountAmount: 3.3 });
+    });
+
+    it('evaluates a foreign-currency sale against base-currency bundle prices', async () => {
+      const combo = buildPromotion({
+        type: 'bundle',
+        bundleItems: [{ product: burger, quantity: 1 }, { product: soda, quantity: 1 }],
+        bundlePrice: 8
+      });
+      jest.spyOn(promotionService, 'getRunningPromotions').mockResolvedValue([combo]);
+      jest.spyOn(Product, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+
+      // At 2 base units per sale unit the lines are worth 10 in base, so the bundle saves 2 base = 1 here
+      const orderItems = [
+        { product: burger, quantity: 1, unitPrice: 4, subtotal: 4, discountAmount: 0 },
+        { product: soda, quantity: 1, unitPrice: 1, subtotal: 1, discountAmount: 0 }
+      ];
+      const result = await promotionService.applyToOrderItems(orderItems, null, tenantId, { exchangeRate: 2 });
+
+      expect(result.totalDiscount).toBe(1);
+      expect(result.applied[0].discountAmount).toBe(1);
+      expect(orderItems.map(item => item.promotionDiscount)).toEqual([0.8, 0.2]);
+    });
+  });
+
+  describe('model validation', () => {
+    it('rejects promotions missing their rule or with half a time window', async () => {
+      await expect(buildPromotion({ type: 'buy_x_get_y', buyQuantity: 2 }).validate())
+        .rejects.toThrow('A buy_x_get_y promotion needs getQuantity');
+      await expect(buildPromotion({ type: 'bundle', bundleItems: [{ product: burger }], bundlePrice: 5 }).validate())
+        .rejects.toThrow('A bundle needs at least two items');
+      await expect(buildPromotion({ startTime: '17:00' }).validate())
+        .rejects.toThrow('A time window needs both a start and an end time');
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Purchase Invoice Currency Tests
+ * Tests that supplier balances move in base currency when a foreign-currency invoice is
+ * created and moved back by the same amount when it is deleted
+ */
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+// Referenced from jest.mock factories, which only allow `mock`-prefixed outer variables
+const mockTenantId = new mongoose.Types.ObjectId();
+const mockUserId = new mongoose.Types.ObjectId();
+
+jest.mock('../middleware/auth', () => ({
+  auth: (req, res, next) => {
+    req.user = { _id: mockUserId, tenantId: mockTenantId };
+    next();
+  },
+  requirePermission: () => (req, res, next) => next()
+}));
+jest.mock('../middleware/tenantMiddleware', () => ({
+  tenantMiddleware: (req, res, next) => {
+    req.tenantId = mockTenantId;
+    next();
+  }
+}));
+
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+const JournalEntry = require('../models/JournalEntry');
+const purchaseInvoiceService = require('../services/purchaseInvoiceService');
+const currencyService = require('../services/currencyService');
+const warehouseStockService = require('../services/warehouseStockService');
+const inventoryService = require('../services/inventoryService');
+const journalEntryService = require('../services/journalEntryService');
+const purchaseInvoiceRepository = require('../repositories/PurchaseInvoiceRepository');
+const supplierRepository = require('../repositories/SupplierRepository');
+const purchaseInvoiceRoutes = require('../routes/purchaseInvoices');
+
+const app = express();
+app.use(express.json());
+app.use('/api/purchase-invoices', purchaseInvoiceRoutes);
+
+describe('Purchase invoice supplier balances in foreign currency', () => {
+  const supplierId = new mongoose.Types.ObjectId();
+  const productId = new mongoose.Types.ObjectId();
+  let balance;
+  let saved;
+
+  beforeEach(() => {
+    balance = { pendingBalance: 0, advanceBalance: 0 };
+    saved = null;
+    const session = { startTransaction: jest.fn(), commitTransaction: jest.fn(), abortTransaction: jest.fn(), endSession: jest.fn() };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(warehouseStockService, 'resolveWarehouse').mockResolvedValue(null);
+    jest.spyOn(purchaseInvoiceService, 'taxInvoice').mockImplementation(async (items, pricing) => ({ items, taxes: [], pricing }));
+    jest.spyOn(purchaseInvoiceService, 'addCostLayer').mockResolvedValue();
+    jest.spyOn(currencyService, 'resolveCurrency').mockResolvedValue({ currency: 'USD', exchangeRate: 280 });
+    jest.spyOn(inventoryService, 'updateStock').mockResolvedValue({ currentStock: 10 });
+    jest.spyOn(journalEntryService, 'createPurchaseEntries').mockResolvedValue([]);
+    jest.spyOn(JournalEntry, 'findOne').mockResolvedValue(null);
+    jest.spyOn(PurchaseInvoice.prototype, 'save').mockImplementation(function() {
+      saved = this;
+      return Promise.resolve(this);
+    });
+    jest.spyOn(PurchaseInvoice.prototype, 'populate').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(purchaseInvoiceRepository, 'findOne').mockImplementation(async () => saved);
+    jest.spyOn(purchaseInvoiceRepository, 'delete').mockResolvedValue({});
+    jest.spyOn(supplierRepository, 'findById').mockResolvedValue({ _id: supplierId });
+    jest.spyOn(supplierRepository, 'updateById').mockImplementation(async (id, update) => {
+      Object.entries(update.$inc).forEach(([field, amount]) => {
+        balance[field] += amount;
+      });
+      return balance;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns the supplier balance to zero when the invoice is deleted', async () => {
+    const created = await request(app)
+      .post('/api/purchase-invoices')
+      .send({
+        supplier: supplierId.toString(),
+        invoiceNumber: 'PI-USD-1',
+        currency: 'USD',
+        exchangeRate: 280,
+        items: [{ product: productId.toString(), quantity: 1, unitCost: 100, totalCost: 100 }],
+        pricing: { subtotal: 100, total: 100 }
+      });
+
+    expect(created.status).toBe(201);
+    expect(balance.pendingBalance).toBe(28000);
+    expect(inventoryService.updateStock).toHaveBeenCalledWith(expect.objectContaining({ type: 'in', cost: 28000 }));
+
+    const deleted = await request(app).delete(`/api/purchase-invoices/${saved._id}`);
+
+    expect(deleted.status).toBe(200);
+    expect(balance.pendingBalance).toBe(0);
+    expect(balance.advanceBalance).toBe(0);
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * Quotation Service Tests
+ * Tests for quoted pricing, revisions, stock holds on acceptance and conversion
+ */
+
+const mongoose = require('mongoose');
+const quotationService = require('../services/quotationService');
+const stockReservationService = require('../services/stockReservationService');
+const priceListService = require('../services/priceListService');
+const documentTemplateService = require('../services/documentTemplateService');
+const emailChannel = require('../services/notificationChannels/emailChannel');
+const Quotation = require('../models/Quotation');
+const Customer = require('../models/Customer');
+const Product = require('../models/Product');
+const SalesOrder = require('../models/SalesOrder');
+
+const tenantId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+
+const customer = new Customer({ tenantId, name: 'Acme Wholesale', email: 'buyer@acme.test', businessType: 'wholesale', customerTier: 'silver' });
+const flour = new Product({ tenantId, name: 'Flour 25kg', pricing: { cost: 5, retail: 10, wholesale: 8 }, taxSettings: { taxRate: 0.1 } });
+const sugar = new Product({ tenantId, name: 'Sugar 10kg', pricing: { cost: 12, retail: 25, wholesale: 22 } });
+
+// Thenable stand-in for a populated findOne query
+const queryOf = (doc) => {
+  const chain = {
+    populate: () => chain,
+    then: (resolve, reject) => Promise.resolve(doc).then(resolve, reject)
+  };
+  return chain;
+};
+
+const buildQuotation = (overrides = {}) => {
+  const quotation = new Quotation({
+    tenantId,
+    quotationNumber: 'QT-000007',
+    customer: customer._id,
+    validUntil: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+    items: [
+      { product: flour._id, description: 'Flour 25kg', quantity: 10, unitPrice: 8, discountPercent: 5, subtotal: 80, discountAmount: 4, taxAmount: 7.6, total: 83.6 },
+      { product: sugar._id, description: 'Sugar 10kg', quantity: 1, unitPrice: 20, discountPercent: 10, subtotal: 20, discountAmount: 2, total: 18 }
+    ],
+    subtotal: 100,
+    discountAmount: 6,
+    taxAmount: 7.6,
+    total: 101.6,
+    ...overrides
+  });
+  quotation.save = jest.fn().mockResolvedValue(quotation);
+  return quotation;
+};
+
+describe('QuotationService', () => {
+  beforeEach(() => {
+    jest.spyOn(Customer, 'findOne').mockResolvedValue(customer);
+    jest.spyOn(Product, 'find').mockResolvedValue([flour, sugar]);
+    jest.spyOn(priceListService, 'getApplicableLists').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createQuotation', () => {
+    it('quotes wholesale prices with the customer discount and totals the tax', async () => {
+      jest.spyOn(Quotation.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+
+      const quotation = await quotationService.createQuotation({
+        customer: customer._id,
+        items: [
+          { product: flour._id, quantity: 10 },
+          { product: sugar._id, quantity: 1, unitPrice: 20, discountPercent: 10 }
+        ]
+      }, userId, tenantId);
+
+      expect(quotation.items[0]).toMatchObject({ unitPrice: 8, discountPercent: 5, subtotal: 80, discountAmount: 4, taxAmount: 7.6, total: 83.6 });
+      expect(quotation.items[1]).toMatchObject({ unitPrice: 20, discountPercent: 10, total: 18 });
+      expect(quotation).toMatchObject({ status: 'draft', subtotal: 100, discountAmount: 6, taxAmount: 7.6, total: 101.6 });
+      expect(quotation.validUntil.getTime()).toBeGreaterThan(Date.now() + 29 * 24 * 60 * 60 * 1000);
+    });
+  });
+
+  describe('updateQuotation', () => {
+    it('archives a sent quotation as a revision and reopens it as a draft', async () => {
+      const quotation = buildQuotation({ status: 'sent', sentAt: new Date(), sentTo: 'buyer@acme.test' });
+      jest.spyOn(Quotation, 'findOne').mockReturnValue(queryOf(quotation));
+
+      const revised = await quotationService.updateQuotation(quotation._id, {
+        items: [{ product: flour._id, quantity: 20, unitPrice: 7.5 }],
+        reason: 'Volume price'
+      }, userId, tenantId);
+
+      expect(revised).toMatchObject({ revision: 2, status: 'draft', displayNumber: 'QT-000007-R2' });
+      expect(revised.sentAt).toBeUndefined();
+      expect(revised.revisions).toHaveLength(1);
+      expect(revised.revisions[0]).toMatchObject({ revision: 1, status: 'sent', total: 101.6, reason: 'Volume price' });
+      expect(revised.items[0]).toMatchObject({ quantity: 20, unitPrice: 7.5, subtotal: 150 });
+    });
+
+    it('refuses to change an accepted quotation', async () => {
+      jest.spyOn(Quotation, 'findOne').mockReturnValue(queryOf(buildQuotation({ status: 'accepted' })));
+
+      await expect(quotationService.updateQuotation('q1', { notes: 'x' }, userId, tenantId))
+        .rejects.toThrow('Only draft, sent, rejected or expired quotations can be changed');
+    });
+  });
+
+  describe('sendQuotation', () => {
+    it('emails the quotation PDF to the customer', async () => {
+      const quotation = buildQuotation({ customer });
+      jest.spyOn(Quotation, 'findOne').mockReturnValue(queryOf(quotation));
+      const render = jest.spyOn(documentTemplateService, 'renderDocument')
+        .mockResolvedValue({ buffer: Buffer.from('%PDF'), filename: 'quotation_QT-000007.pdf' });
+      const sendMessage = jest.spyOn(emailChannel, 'sendMessage').mockResolvedValue({ accepted: ['buyer@acme.test'] });
+
+      const sent = await quotationService.sendQuotation(quotation._id, {}, userId, tenantId);
+
+      expect(render).toHaveBeenCalledWith('quotation', quotation._id, tenantId, { templateId: undefined });
+      expect(sendMessage).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'buyer@acme.test',
+        subject: 'Quotation QT-000007',
+        attachments: [{ filename: 'quotation_QT-000007.pdf', contentType: 'application/pdf', content: Buffer.from('%PDF') }]
+      }));
+      expect(sent).toMatchObject({ status: 'sent', sentTo: 'buyer@acme.test' });
+    });
+  });
+
+  describe('respondToQuotation', () => {
+    it('holds the quoted stock only once the customer accepts', async () => {
+      const rejected = buildQuotation({ status: 'sent' });
+      const accepted = buildQuotation({ status: 'sent' });
+      jest.spyOn(Quotation, 'findOne')
+        .mockReturnValueOnce(queryOf(rejected))
+        .mockReturnValueOnce(queryOf(accepted));
+      const reserve = jest.spyOn(stockReservationService, 'reserveStock')
+        .mockImplementation(async (productId, quantity, options) => ({ reservationId: options.reservationId }));
+
+      await quotationService.respondToQuotation(rejected._id, { decision: 'rejected', note: 'Too expensive' }, userId, tenantId);
+      expect(reserve).not.toHaveBeenCalled();
+      expect(rejected.status).toBe('rejected');
+
+      await quotationService.respondToQuotation(accepted._id, { decision: 'accepted', contactName: 'Dana' }, userId, tenantId);
+      expect(reserve).toHaveBeenCalledTimes(2);
+      expect(reserve).toHaveBeenCalledWith(flour._id, 10, expect.objectContaining({ tenantId, referenceType: 'quotation', reservationId: 'QT-000007-1-1' }));
+      expect(accepted.status).toBe('accepted');
+      expect(accepted.reservations.map(r => r.reservationId)).toEqual(['QT-000007-1-1', 'QT-000007-1-2']);
+    });
+
+    it('releases holds already placed when a line is short', async () => {
+      const quotation = buildQuotation({ status: 'sent' });
+      jest.spyOn(Quotation, 'findOne').mockReturnValue(queryOf(quotation));
+      jest.spyOn(stockReservationService, 'reserveStock')
+        .mockResolvedValueOnce({ reservationId: 'QT-000007-1-1' })
+        .mockRejectedValueOnce(new Error('Insufficient available stock. Available: 0, Requested: 1'));
+      const release = jest.spyOn(stockReservationService, 'releaseReservation').mockResolvedValue({ released: true });
+
+      await expect(quotationService.respondToQuotation(quotation._id, { decision: 'accepted' }, userId, tenantId))
+        .rejects.toThrow(/^Cannot hold stock for .*Insufficient available stock/);
+      expect(release).toHaveBeenCalledWith(flour._id, 'QT-000007-1-1', tenantId, undefined);
+      expect(quotation.status).toBe('sent');
+      expect(quotation.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('convertToSalesOrder', () => {
+    it('carries quoted prices and discounts into a draft sales order and releases the hold', async () => {
+      const quotation = buildQuotation({
+        status: 'accepted',
+        reservations: [{ product: flour._id, reservationId: 'QT-000007-1-1', quantity: 10 }]
+      });
+      jest.spyOn(Quotation, 'findOne').mockReturnValue(queryOf(quotation));
+      jest.spyOn(SalesOrder.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+      const release = jest.spyOn(stockReservationService, 'releaseReservation').mockResolvedValue({ released: true });
+
+      const { salesOrder } = await quotationService.convertToSalesOrder(quotation._id, {}, userId, tenantId);
+
+      expect(String(salesOrder.tenantId)).toBe(String(tenantId));
+      expect(salesOrder.items.map(item => [item.unitPrice, item.discountPercent, item.totalPrice])).toEqual([[8, 5, 76], [20, 10, 18]]);
+      expect(salesOrder).toMatchObject({ status: 'draft', tax: 7.6, total: 101.6 });
+      expect(release).toHaveBeenCalledWith(flour._id, 'QT-000007-1-1', tenantId, undefined);
+      expect(quotation.status).toBe('converted');
+      expect(quotation.convertedTo).toMatchObject({ documentType: 'sales_order', documentNumber: salesOrder.soNumber });
+    });
+
+    it('only converts accepted quotations', async () => {
+      jest.spyOn(Quotation, 'findOne').mockReturnValue(queryOf(buildQuotation({ status: 'sent' })));
+
+      await expect(quotationService.convertToSalesOrder('q1', {}, userId, tenantId))
+        .rejects.toThrow('Only accepted quotations can be converted');
+    });
+  });
+
+  describe('claimForSale', () => {
+    const session = {};
+
+    it('claims the quotation and releases its hold in the sale\'s transaction', async () => {
+      const quotation = buildQuotation({
+        status: 'accepted',
+        reservations: [{ product: flour._id, reservationId: 'QT-000007-1-1', quantity: 10 }]
+      });
+      const claim = jest.spyOn(Quotation, 'findOneAndUpdate').mockResolvedValue({ ...quotation.toObject(), status: 'converting' });
+      const release = jest.spyOn(stockReservationService, 'releaseReservation').mockResolvedValue({ released: true });
+
+      expect(quotationService.heldQuantity(quotation, flour._id)).toBe(10);
+      await quotationService.claimForSale(quotation, userId, tenantId, session);
+
+      expect(claim).toHaveBeenCalledWith(
+        { _id: quotation._id, tenantId, status: 'accepted' },
+        { $set: { status: 'converting', updatedBy: userId } },
+        { new: true, session }
+      );
+      expect(release).toHaveBeenCalledWith(flour._id, 'QT-000007-1-1', tenantId, session);
+      expect(quotation.reservations).toHaveLength(0);
+    });
+
+    it('refuses a quotation another sale has claimed and keeps its hold', async () => {
+      const quotation = buildQuotation({
+        status: 'accepted',
+        reservations: [{ product: flour._id, reservationId: 'QT-000007-1-1', quantity: 10 }]
+      });
+      jest.spyOn(Quotation, 'findOneAndUpdate').mockResolvedValue(null);
+      const release = jest.spyOn(stockReservationService, 'releaseReservation').mockResolvedValue({ released: true });
+
+      await expect(quotationService.claimForSale(quotation, userId, tenantId, session))
+        .rejects.toThrow('Quotation is already being converted');
+      expect(release).not.toHaveBeenCalled();
+    });
+
+    it('fails the sale when a hold cannot be released', async () => {
+      const quotation = buildQuotation({
+        status: 'accepted',
+        reservations: [{ product: flour._id, reservationId: 'QT-000007-1-1', quantity: 10 }]
+      });
+      jest.spyOn(Quotation, 'findOneAndUpdate').mockResolvedValue({ status: 'converting' });
+      jest.spyOn(stockReservationService, 'releaseReservation').mockRejectedValue(new Error('Write conflict'));
+
+      await expect(quotationService.claimForSale(quotation, userId, tenantId, session)).rejects.toThrow('Write conflict');
+    });
+  });
+});
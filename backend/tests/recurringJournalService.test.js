@@ -0,0 +1,169 @@
+/**
+ * Recurring Journal Service Tests
+ * Tests for schedule dates, custom cron schedules, amount formulas and generation of
+ * journal vouchers that respect period locks and the approval threshold
+ */
+
+jest.mock('../services/transactionUtils', () => ({
+  runWithTransactionRetry: jest.fn((fn) => fn(null))
+}));
+
+const mongoose = require('mongoose');
+const recurringJournalService = require('../services/recurringJournalService');
+const periodValidationService = require('../services/periodValidationService');
+const chartOfAccountsRepository = require('../repositories/ChartOfAccountsRepository');
+const RecurringJournal = require('../models/RecurringJournal');
+const JournalVoucher = require('../models/JournalVoucher');
+const Counter = require('../models/Counter');
+
+const tenantId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+const rent = { _id: new mongoose.Types.ObjectId(), accountCode: 'RENT', accountName: 'Rent Expense', normalBalance: 'debit', currentBalance: 0 };
+const bank = { _id: new mongoose.Types.ObjectId(), accountCode: 'BANK', accountName: 'Bank', normalBalance: 'debit', currentBalance: 5000 };
+
+const localDate = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate()].join('-');
+
+const template = (overrides = {}) => new RecurringJournal({
+  tenantId,
+  name: 'Office rent',
+  lines: [
+    { account: rent._id, accountCode: 'RENT', accountName: 'Rent Expense', side: 'debit', amountType: 'fixed', amount: 1200 },
+    { account: bank._id, accountCode: 'BANK', accountName: 'Bank', side: 'credit', amountType: 'balance' }
+  ],
+  schedule: { frequency: 'monthly', startDate: new Date(2024, 0, 31) },
+  nextRunDate: new Date(2024, 0, 31),
+  postingMode: 'auto_post',
+  createdBy: userId,
+  ...overrides
+});
+
+describe('RecurringJournalService', () => {
+  let savedVouchers;
+
+  beforeEach(() => {
+    savedVouchers = [];
+    jest.spyOn(periodValidationService, 'validateTransactionDate').mockResolvedValue(true);
+    jest.spyOn(chartOfAccountsRepository, 'findAll').mockResolvedValue([rent, bank]);
+    jest.spyOn(chartOfAccountsRepository, 'updateBalance').mockResolvedValue({});
+    jest.spyOn(Counter, 'findOneAndUpdate').mockResolvedValue({ seq: 42 });
+    jest.spyOn(JournalVoucher.prototype, 'save').mockImplementation(function() {
+      savedVouchers.push(this);
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('schedules', () => {
+    it('steps interval schedules from the start date, clamping to short months', () => {
+      const schedule = { frequency: 'monthly', interval: 1, startDate: new Date(2024, 0, 31) };
+      expect([0, 1, 2, 3].map(n => localDate(recurringJournalService.occurrenceDate(schedule, n))))
+        .toEqual(['2024-1-31', '2024-2-29', '2024-3-31', '2024-4-30']);
+
+      expect(localDate(recurringJournalService.occurrenceDate({ ...schedule, frequency: 'quarterly' }, 1))).toBe('2024-4-30');
+      expect(localDate(recurringJournalService.occurrenceDate({ ...schedule, frequency: 'weekly', interval: 2 }, 1))).toBe('2024-2-14');
+      expect(localDate(recurringJournalService.occurrenceDate({ ...schedule, frequency: 'yearly' }, 1))).toBe('2025-1-31');
+    });
+
+    it('finds the next match of a custom cron schedule', () => {
+      // 09:00 on weekdays, from a Friday afternoon
+      const next = recurringJournalService.nextCronDate('0 9 * * 1-5', new Date(2024, 2, 15, 14, 0));
+      expect(next).toEqual(new Date(2024, 2, 18, 9, 0));
+
+      // Last-day style: the 1st of every third month at midnight
+      expect(recurringJournalService.nextCronDate('0 0 1 */3 *', new Date(2024, 1, 10))).toEqual(new Date(2024, 3, 1));
+
+      expect(() => recurringJournalService.parseCron('0 25 * * *')).toThrow('Invalid cron hour: 25');
+      expect(() => recurringJournalService.parseCron('0 9 * *')).toThrow('Cron schedule needs five fields');
+    });
+  });
+
+  describe('evaluateFormula', () => {
+    it('evaluates arithmetic, functions, variables and account balances', () => {
+      const variables = { last: 100, amount: 80, occurrence: 3, days: 30 };
+      expect(recurringJournalService.evaluateFormula('last * 1.05', variables)).toBeCloseTo(105);
+      expect(recurringJournalService.evaluateFormula('round(balance("BANK") * 0.01, 0) + max(amount, 50)', variables, { BANK: 5040 })).toBe(130);
+      expect(recurringJournalService.evaluateFormula('-(2 + 3) * -2', variables)).toBe(10);
+    });
+
+    it('refuses anything it does not understand', () => {
+      expect(() => recurringJournalService.evaluateFormula('process.exit()', {})).toThrow('Formula error: unknown variable process');
+      expect(() => recurringJournalService.evaluateFormula('1 / 0', {})).toThrow('Formula error: division by zero');
+      expect(() => recurringJournalService.evaluateFormula('(1 + 2', {})).toThrow('Formula error: expected ")"');
+    });
+  });
+
+  describe('runDue', () => {
+    it('catches up on missed months, posting below the threshold and carrying the balancing line', async () => {
+      const doc = template();
+      jest.spyOn(RecurringJournal, 'find').mockResolvedValue([doc]);
+      jest.spyOn(doc, 'save').mockResolvedValue(doc);
+
+      const result = await recurringJournalService.runDue(tenantId, new Date(2024, 2, 31, 12));
+
+      expect(result).toEqual({ templates: 1, generated: 3, failed: 0 });
+      expect(savedVouchers.map(voucher => voucher.status)).toEqual(['posted', 'posted', 'posted']);
+      expect(savedVouchers[1].voucherDate).toEqual(new Date(2024, 1, 29));
+      expect(savedVouchers[0].entries.map(({ accountCode, debit, credit }) => [accountCode, debit, credit]))
+        .toEqual([['RENT', 1200, 0], ['BANK', 0, 1200]]);
+      expect(savedVouchers[0].createdBy).toEqual(userId);
+      expect(chartOfAccountsRepository.updateBalance).toHaveBeenCalledWith(bank._id, { $inc: { currentBalance: -1200 } }, { session: null, tenantId });
+      expect(doc.occurrenceCount).toBe(3);
+      expect(localDate(doc.nextRunDate)).toBe('2024-4-30');
+    });
+
+    it('leaves vouchers for approval in draft mode or at the threshold', async () => {
+      const doc = template({ postingMode: 'auto_post', approvalThreshold: 1000 });
+      const draft = template({ postingMode: 'draft' });
+      jest.spyOn(RecurringJournal, 'find').mockResolvedValue([doc, draft]);
+      jest.spyOn(doc, 'save').mockResolvedValue(doc);
+      jest.spyOn(draft, 'save').mockResolvedValue(draft);
+
+      await recurringJournalService.runDue(tenantId, new Date(2024, 0, 31, 12));
+
+      expect(savedVouchers.map(voucher => [voucher.status, voucher.requiresApproval])).toEqual([
+        ['pending_approval', true],
+        ['pending_approval', true]
+      ]);
+      expect(savedVouchers[0].approvalWorkflow.status).toBe('pending');
+      // The template's author raised it, so segregation of duties keeps them from approving it
+      expect(savedVouchers[0].canBeApprovedBy(userId)).toMatchObject({ allowed: false });
+      expect(doc.occurrences[0]).toMatchObject({ status: 'pending_approval', voucherNumber: 'JV-000042', amount: 1200 });
+    });
+
+    it('records occurrences in locked periods as failed and completes at the end date', async () => {
+      const doc = template({ schedule: { frequency: 'monthly', startDate: new Date(2024, 0, 31), endDate: new Date(2024, 1, 29) } });
+      jest.spyOn(RecurringJournal, 'find').mockResolvedValue([doc]);
+      jest.spyOn(doc, 'save').mockResolvedValue(doc);
+      periodValidationService.validateTransactionDate
+        .mockRejectedValueOnce(new Error('Period January 2024 is locked. No transactions can be posted to locked periods.'));
+
+      const result = await recurringJournalService.runDue(tenantId, new Date(2024, 5, 1));
+
+      expect(result).toEqual({ templates: 1, generated: 1, failed: 1 });
+      expect(doc.occurrences.map(occurrence => occurrence.status)).toEqual(['failed', 'posted']);
+      expect(doc.occurrences[0].error).toMatch(/is locked/);
+      expect(doc.lastError).toBeUndefined();
+      expect(doc.status).toBe('completed');
+      expect(doc.nextRunDate).toBeNull();
+    });
+
+    it('uses the last value and formulas for variable amounts', async () => {
+      const doc = template({
+        lines: [
+          { account: rent._id, side: 'debit', amountType: 'formula', formula: 'round(last * 1.1, 2)', amount: 100, lastAmount: 200 },
+          { account: bank._id, side: 'credit', amountType: 'last_value', amount: 50, lastAmount: 220 }
+        ]
+      });
+      jest.spyOn(RecurringJournal, 'find').mockResolvedValue([doc]);
+      jest.spyOn(doc, 'save').mockResolvedValue(doc);
+
+      await recurringJournalService.runDue(tenantId, new Date(2024, 0, 31, 12));
+
+      expect(savedVouchers[0].entries.map(({ debit, credit }) => [debit, credit])).toEqual([[220, 0], [0, 220]]);
+      expect(doc.lines.map(line => line.lastAmount)).toEqual([220, 220]);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Split Tender Tests
+ * Tests for tender allocation, change on the cash line and per-tender sale postings
+ */
+
+const mongoose = require('mongoose');
+const salesService = require('../services/salesService');
+const journalEntryService = require('../services/journalEntryService');
+const giftCardService = require('../services/giftCardService');
+const GiftCard = require('../models/GiftCard');
+const Bank = require('../models/Bank');
+
+const tenantId = new mongoose.Types.ObjectId();
+
+describe('Split tender', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('allocateTenders', () => {
+    it('gives change only on the cash line', () => {
+      const result = salesService.allocateTenders([
+        { method: 'credit_card', amount: 60, reference: 'AUTH123' },
+        { method: 'cash', tendered: 50 }
+      ], 100);
+
+      expect(result.tenders).toEqual([
+        expect.objectContaining({ method: 'credit_card', amount: 60, change: 0 }),
+        expect.objectContaining({ method: 'cash', amount: 40, tendered: 50, change: 10 })
+      ]);
+      expect(result).toMatchObject({ amountPaid: 100, change: 10, remainingBalance: 0 });
+    });
+
+    it('leaves a balance when the tenders fall short', () => {
+      const result = salesService.allocateTenders([
+        { method: 'check', amount: 30 },
+        { method: 'cash', amount: 20 }
+      ], 100);
+
+      expect(result).toMatchObject({ amountPaid: 50, change: 0, remainingBalance: 50 });
+    });
+
+    it('rejects non-cash tenders that overpay the sale', () => {
+      expect(() => salesService.allocateTenders([
+        { method: 'credit_card', amount: 70 },
+        { method: 'gift_card', amount: 40, reference: 'GC-1' }
+      ], 100)).toThrow('Non-cash tenders exceed the amount due');
+    });
+
+    it('allows a single cash line and no declined tenders', () => {
+      expect(() => salesService.allocateTenders([
+        { method: 'cash', tendered: 50 },
+        { method: 'cash', tendered: 50 }
+      ], 100)).toThrow('Only one cash tender line is allowed');
+      expect(() => salesService.allocateTenders([
+        { method: 'credit_card', amount: 100, gateway: { status: 'declined' } }
+      ], 100)).toThrow('A declined tender cannot be used to settle the sale');
+    });
+  });
+
+  describe('validateStoredValueTenders', () => {
+    it('checks the combined amount drawn from one card against its balance', async () => {
+      const card = new GiftCard({ tenantId, code: 'GC-AAAA-BBBB-CCCC', initialValue: 50, balance: 50, status: 'active' });
+      jest.spyOn(giftCardService, 'findCard').mockResolvedValue(card);
+
+      await expect(salesService.validateStoredValueTenders([
+        { method: 'gift_card', amount: 30, reference: card.code },
+        { method: 'gift_card', amount: 30, reference: card.code }
+      ], tenantId)).rejects.toThrow('Insufficient gift card balance');
+    });
+  });
+
+  describe('createSaleEntries', () => {
+    it('debits each tender line to its own account', async () => {
+      jest.spyOn(journalEntryService, 'getOrCreateAccount').mockImplementation(
+        async (tid, accountCode) => ({ accountCode })
+      );
+      jest.spyOn(journalEntryService, 'createJournalEntry').mockImplementation(async (entry) => entry);
+
+      const entry = await journalEntryService.createSaleEntries({
+        _id: new mongoose.Types.ObjectId(),
+        orderNumber: 'SO-1',
+        pricing: { total: 100 },
+        payment: {
+          method: 'split',
+          amountPaid: 100,
+          tenders: [
+            { method: 'credit_card', amount: 50 },
+            { method: 'gift_card', amount: 20, reference: 'GC-1' },
+            { method: 'cash', amount: 30, tendered: 40, change: 10 }
+          ]
+        },
+        items: []
+      }, { tenantId });
+
+      expect(entry.entries).toEqual([
+        expect.objectContaining({ accountCode: 'CARD_CLEARING', debit: 50 }),
+        expect.objectContaining({ accountCode: 'GIFT_CARD_LIABILITY', debit: 20 }),
+        expect.objectContaining({ accountCode: 'CASH', debit: 30 }),
+        expect.objectContaining({ accountCode: 'SALES_REV', credit: 100 })
+      ]);
+    });
+
+    it('debits a bank tender to the ledger account of the bank it was paid into', async () => {
+      const getOrCreateAccount = jest.spyOn(journalEntryService, 'getOrCreateAccount').mockImplementation(
+        async (tid, accountCode) => ({ accountCode })
+      );
+      jest.spyOn(journalEntryService, 'createJournalEntry').mockImplementation(async (entry) => entry);
+      const operating = new mongoose.Types.ObjectId();
+      const savings = new mongoose.Types.ObjectId();
+      jest.spyOn(Bank, 'findOne').mockImplementation(async (filter) => (String(filter._id) === String(operating)
+        ? { accountName: 'Operating account', ledgerAccountCode: 'BANK_OPERATING' }
+        : { accountName: 'Savings account' }));
+
+      const entry = await journalEntryService.createSaleEntries({
+        _id: new mongoose.Types.ObjectId(),
+        orderNumber: 'SO-2',
+        pricing: { total: 100 },
+        payment: {
+          method: 'split',
+          amountPaid: 100,
+          tenders: [
+            { method: 'bank', amount: 60, bankAccount: operating },
+            { method: 'bank', amount: 40, bankAccount: savings }
+          ]
+        },
+        items: []
+      }, { tenantId });
+
+      expect(Bank.findOne).toHaveBeenCalledWith({ _id: operating, tenantId }, 'accountName ledgerAccountCode', { session: null });
+      expect(getOrCreateAccount).toHaveBeenCalledWith(tenantId, 'BANK_OPERATING', 'Operating account', 'asset', 'current_assets', null);
+      // A bank without its own ledger account falls back to the shared bank account
+      expect(entry.entries).toEqual([
+        expect.objectContaining({ accountCode: 'BANK_OPERATING', debit: 60 }),
+        expect.objectContaining({ accountCode: 'BANK', debit: 40 }),
+        expect.objectContaining({ accountCode: 'SALES_REV', credit: 100 })
+      ]);
+    });
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Stock Transfer Service Tests
+ * Tests for the transfer workflow, FIFO layer carry-over and receipt discrepancies
+ */
+
+const mongoose = require('mongoose');
+const stockTransferService = require('../services/stockTransferService');
+const inventoryService = require('../services/inventoryService');
+const warehouseStockService = require('../services/warehouseStockService');
+const costingService = require('../services/costingService');
+const StockMovementService = require('../services/stockMovementService');
+const journalEntryService = require('../services/journalEntryService');
+const StockTransfer = require('../models/StockTransfer');
+const Warehouse = require('../models/Warehouse');
+const Inventory = require('../models/Inventory');
+
+const tenantId = new mongoose.Types.ObjectId();
+const user = { _id: new mongoose.Types.ObjectId(), firstName: 'Sam', lastName: 'Stock' };
+const productId = new mongoose.Types.ObjectId();
+
+const buildTransfer = (overrides = {}) => {
+  const transfer = new StockTransfer({
+    tenantId,
+    transferNumber: 'TRF-000001',
+    fromWarehouse: new mongoose.Types.ObjectId(),
+    toWarehouse: new mongoose.Types.ObjectId(),
+    status: 'approved',
+    items: [{ product: productId, productName: 'Widget', requestedQuantity: 10 }],
+    ...overrides
+  });
+  transfer.save = jest.fn().mockResolvedValue(transfer);
+  return transfer;
+};
+
+describe('StockTransferService', () => {
+  let session;
+
+  beforeEach(() => {
+    session = { withTransaction: jest.fn(work => work()), abortTransaction: jest.fn(), endSession: jest.fn() };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(Warehouse, 'findOne').mockResolvedValue({ _id: new mongoose.Types.ObjectId(), code: 'WH1', isActive: true });
+    jest.spyOn(inventoryService, 'updateStock').mockResolvedValue({});
+    jest.spyOn(StockMovementService, 'createMovement').mockResolvedValue({});
+    jest.spyOn(journalEntryService, 'getOrCreateAccount').mockImplementation(
+      async (tid, accountCode) => ({ accountCode })
+    );
+    jest.spyOn(journalEntryService, 'createJournalEntry').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    jest.spyOn(journalEntryService, 'resolveCreatedBy').mockImplementation(async (tid, id) => id);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('splitLayers', () => {
+    it('takes quantities off the oldest layers first', () => {
+      const { taken, remaining } = stockTransferService.splitLayers([
+        { quantity: 4, unitCost: 2 },
+        { quantity: 6, unitCost: 3 }
+      ], 5);
+
+      expect(taken).toEqual([
+        expect.objectContaining({ quantity: 4, unitCost: 2 }),
+        expect.objectContaining({ quantity: 1, unitCost: 3 })
+      ]);
+      expect(remaining).toEqual([expect.objectContaining({ quantity: 5, unitCost: 3 })]);
+    });
+  });
+
+  describe('approveTransfer', () => {
+    it('refuses approval by the user who requested the transfer', async () => {
+      const transfer = buildTransfer({ status: 'requested', requestedBy: user._id });
+      jest.spyOn(StockTransfer, 'findOne').mockResolvedValue(transfer);
+
+      await expect(stockTransferService.approveTransfer(transfer._id, user._id, tenantId))
+        .rejects.toThrow('Segregation of duties violation: Cannot approve own transfer request');
+      expect(transfer.save).not.toHaveBeenCalled();
+    });
+
+    it('lets another user approve', async () => {
+      const transfer = buildTransfer({ status: 'requested', requestedBy: new mongoose.Types.ObjectId() });
+      jest.spyOn(StockTransfer, 'findOne').mockResolvedValue(transfer);
+
+      const result = await stockTransferService.approveTransfer(transfer._id, user._id, tenantId);
+
+      expect(result.status).toBe('approved');
+      expect(result.approvedBy).toEqual(user._id);
+    });
+  });
+
+  describe('dispatchTransfer', () => {
+    it('moves stock in transit at its FIFO cost', async () => {
+      const transfer = buildTransfer();
+      jest.spyOn(StockTransfer, 'findOne').mockResolvedValue(transfer);
+      jest.spyOn(warehouseStockService, 'getAvailable').mockResolvedValue(25);
+      jest.spyOn(costingService, 'calculateFIFOCost').mockResolvedValue({
+        unitCost: 2.6,
+        totalCost: 26,
+        method: 'FIFO',
+        batches: [{ quantity: 4, unitCost: 2 }, { quantity: 6, unitCost: 3 }]
+      });
+      jest.spyOn(costingService, 'consumeFIFOBatches').mockResolvedValue({});
+
+      const result = await stockTransferService.dispatchTransfer(transfer._id, {}, user, tenantId);
+
+      expect(result.status).toBe('in_transit');
+      expect(result.items[0]).toMatchObject({ dispatchedQuantity: 10, dispatchedValue: 26, costMethod: 'FIFO' });
+      expect(costingService.consumeFIFOBatches).toHaveBeenCalledWith(productId, 10, tenantId, session);
+      expect(inventoryService.updateStock).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'out', quantity: 10, warehouse: expect.any(mongoose.Types.ObjectId), session })
+      );
+      expect(StockMovementService.createMovement).toHaveBeenCalledWith(
+        expect.objectContaining({ movementType: 'transfer_out', toLocation: 'IN_TRANSIT', unitCost: 2.6 }),
+        user,
+        { session }
+      );
+
+      const [entry] = journalEntryService.createJournalEntry.mock.calls[0];
+      expect(entry.entries).toEqual([
+        expect.objectContaining({ accountCode: 'INVENTORY_IN_TRANSIT', debit: 26 }),
+        expect.objectContaining({ accountCode: 'INVENTORY', credit: 26 })
+      ]);
+      expect(transfer.save).toHaveBeenCalledWith({ session });
+    });
+
+    it('rolls the dispatch back when the journal entry fails', async () => {
+      const transfer = buildTransfer();
+      jest.spyOn(StockTransfer, 'findOne').mockResolvedValue(transfer);
+      jest.spyOn(warehouseStockService, 'getAvailable').mockResolvedValue(25);
+      jest.spyOn(costingService, 'calculateFIFOCost').mockResolvedValue({
+        unitCost: 2.6,
+        totalCost: 26,
+        method: 'FIFO',
+        batches: [{ quantity: 4, unitCost: 2 }, { quantity: 6, unitCost: 3 }]
+      });
+      jest.spyOn(costingService, 'consumeFIFOBatches').mockResolvedValue({});
+      journalEntryService.createJournalEntry.mockRejectedValue(new Error('Period 2026-10 is locked.'));
+
+      await expect(stockTransferService.dispatchTransfer(transfer._id, {}, user, tenantId))
+        .rejects.toThrow('Period 2026-10 is locked.');
+      expect(inventoryService.updateStock).toHaveBeenCalledWith(expect.objectContaining({ session }));
+      expect(transfer.save).not.toHaveBeenCalled();
+      expect(session.endSession).toHaveBeenCalled();
+    });
+
+    it('refuses to ship more than the source warehouse holds', async () => {
+      jest.spyOn(StockTransfer, 'findOne').mockResolvedValue(buildTransfer());
+      jest.spyOn(warehouseStockService, 'getAvailable').mockResolvedValue(3);
+
+      await expect(stockTransferService.dispatchTransfer(productId, {}, user, tenantId))
+        .rejects.toThrow('Insufficient stock for Widget in WH1');
+      expect(inventoryService.updateStock).not.toHaveBeenCalled();
+    });
+
+    it('only dispatches approved transfers', async () => {
+      jest.spyOn(StockTransfer, 'findOne').mockResolvedValue(buildTransfer({ status: 'requested' }));
+
+      await expect(stockTransferService.dispatchTransfer(productId, {}, user, tenantId))
+        .rejects.toThrow('Only approved transfers can be dispatched');
+    });
+  });
+
+  describe('receiveTransfer', () => {
+    const inTransit = () => buildTransfer({
+      status: 'in_transit',
+      items: [{
+        product: productId,
+        productName: 'Widget',
+        requestedQuantity: 10,
+        dispatchedQuantity: 10,
+        dispatchedValue: 26,
+        costMethod: 'FIFO',
+        costLayers: [{ quantity: 4, unitCost: 2 }, { quantity: 6, unitCost: 3 }]
+      }]
+    });
+
+    it('writes a short delivery off to shrinkage and leaves the rest in transit', async () => {
+      const transfer = inTransit();
+      jest.spyOn(StockTransfer, 'findOne').mockResolvedValue(transfer);
+      jest.spyOn(Inventory, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const result = await stockTransferService.receiveTransfer(transfer._id, {
+        items: [{ product: productId, quantity: 5, discrepancyQuantity: 1, discrepancyReason: 'Damaged in transit' }]
+      }, user, tenantId);
+
+      expect(result.status).toBe('partially_received');
+      expect(result.items[0]).toMatchObject({ receivedQuantity: 5, discrepancyQuantity: 1, inTransitQuantity: 4 });
+      expect(Inventory.updateOne).toHaveBeenCalledWith(
+        { product: productId, tenantId },
+        { $push: { 'cost.fifo': { $each: [
+          expect.objectContaining({ quantity: 4, cost: 2 }),
+          expect.objectContaining({ quantity: 1, cost: 3 })
+        ] } } },
+        { session }
+      );
+      expect(StockMovementService.createMovement).toHaveBeenCalledWith(
+        expect.objectContaining({ movementType: 'adjustment_out', quantity: 1, reason: 'Damaged in transit' }),
+        user,
+        { session }
+      );
+
+      const [entry] = journalEntryService.createJournalEntry.mock.calls[0];
+      expect(entry.entries).toEqual([
+        expect.objectContaining({ accountCode: 'INVENTORY', debit: 11 }),
+        expect.objectContaining({ accountCode: 'INVENTORY_SHRINKAGE', debit: 3 }),
+        expect.objectContaining({ accountCode: 'INVENTORY_IN_TRANSIT', credit: 14 })
+      ]);
+    });
+
+    it('requires a reason for a discrepancy and caps receipts at the in-transit quantity', async () => {
+      jest.spyOn(StockTransfer, 'findOne').mockResolvedValue(inTransit());
+
+      await expect(stockTransferService.receiveTransfer(productId, {
+        items: [{ product: productId, quantity: 9, discrepancyQuantity: 1 }]
+      }, user, tenantId)).rejects.toThrow('A reason is required for a discrepancy');
+      await expect(stockTransferService.receiveTransfer(productId, {
+        items: [{ product: productId, quantity: 11 }]
+      }, user, tenantId)).rejects.toThrow('Cannot receive more Widget than is in transit');
+    });
+
+    it('completes the transfer when everything has arrived', async () => {
+      const transfer = inTransit();
+      jest.spyOn(StockTransfer, 'findOne').mockResolvedValue(transfer);
+      jest.spyOn(Inventory, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const result = await stockTransferService.receiveTransfer(transfer._id, {}, user, tenantId);
+
+      expect(result.status).toBe('received');
+      expect(result.receivedAt).toBeInstanceOf(Date);
+    });
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Stocktake Service Tests
+ * Tests for blind counting, recount thresholds and variance posting in one transaction
+ */
+
+const mongoose = require('mongoose');
+const stocktakeService = require('../services/stocktakeService');
+const inventoryService = require('../services/inventoryService');
+const warehouseStockService = require('../services/warehouseStockService');
+const StockMovementService = require('../services/stockMovementService');
+const journalEntryService = require('../services/journalEntryService');
+const Stocktake = require('../models/Stocktake');
+
+const tenantId = new mongoose.Types.ObjectId();
+const user = { _id: new mongoose.Types.ObjectId(), firstName: 'Casey', lastName: 'Count' };
+const warehouse = { _id: new mongoose.Types.ObjectId(), name: 'Main', code: 'MAIN', isActive: true };
+const widget = new mongoose.Types.ObjectId();
+const gadget = new mongoose.Types.ObjectId();
+
+const buildStocktake = (overrides = {}) => {
+  const stocktake = new Stocktake({
+    tenantId,
+    stocktakeNumber: 'STK-000001',
+    warehouse: warehouse._id,
+    recountThreshold: { quantity: 2 },
+    items: [
+      { product: widget, productName: 'Widget', barcode: '111', sheet: 'All items', systemQuantity: 10, unitCost: 5 },
+      { product: gadget, productName: 'Gadget', barcode: '222', sheet: 'All items', bin: 'A1', systemQuantity: 4, unitCost: 2 }
+    ],
+    ...overrides
+  });
+  stocktake.save = jest.fn().mockResolvedValue(stocktake);
+  return stocktake;
+};
+
+describe('StocktakeService', () => {
+  beforeEach(() => {
+    jest.spyOn(journalEntryService, 'getOrCreateAccount').mockImplementation(
+      async (tid, accountCode) => ({ accountCode })
+    );
+    jest.spyOn(journalEntryService, 'createJournalEntry').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    jest.spyOn(journalEntryService, 'resolveCreatedBy').mockImplementation(async (tid, id) => id);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('recordCounts', () => {
+    it('adds one unit per scan and keeps system quantities hidden', async () => {
+      const stocktake = buildStocktake();
+      jest.spyOn(Stocktake, 'findOne').mockResolvedValue(stocktake);
+
+      await stocktakeService.recordCounts(stocktake._id, { mode: 'add', counts: [{ code: '111' }] }, user, tenantId);
+      const result = await stocktakeService.recordCounts(stocktake._id, { mode: 'add', counts: [{ code: '111' }] }, user, tenantId);
+
+      expect(result.items[0]).toMatchObject({ productName: 'Widget', countedQuantity: 2, status: 'counted' });
+      expect(result.items[0].systemQuantity).toBeUndefined();
+      expect(result.progress).toEqual({ items: 2, counted: 1, recount: 0 });
+    });
+
+    it('rejects codes that are not on the stocktake', async () => {
+      jest.spyOn(Stocktake, 'findOne').mockResolvedValue(buildStocktake());
+
+      await expect(stocktakeService.recordCounts(widget, { counts: [{ code: '999', quantity: 1 }] }, user, tenantId))
+        .rejects.toThrow('999 is not on this stocktake');
+    });
+  });
+
+  describe('finishCounting', () => {
+    it('sends variances above the threshold back for a recount', async () => {
+      const stocktake = buildStocktake();
+      stocktake.items[0].counts.push({ quantity: 6, round: 1 });
+      stocktake.items[0].status = 'counted';
+      stocktake.items[1].counts.push({ quantity: 3, round: 1 });
+      stocktake.items[1].status = 'counted';
+      jest.spyOn(Stocktake, 'findOne').mockResolvedValue(stocktake);
+
+      const result = await stocktakeService.finishCounting(stocktake._id, {}, user, tenantId);
+
+      expect(result.status).toBe('recount');
+      expect(result.items.map(item => [item.productName, item.status, item.variance])).toEqual([
+        ['Widget', 'recount', -4],
+        ['Gadget', 'final', -1]
+      ]);
+    });
+
+    it('refuses to close counting while items are uncounted', async () => {
+      jest.spyOn(Stocktake, 'findOne').mockResolvedValue(buildStocktake());
+
+      await expect(stocktakeService.finishCounting(widget, {}, user, tenantId))
+        .rejects.toThrow('2 item(s) have not been counted');
+    });
+
+    it('takes the recount over the first count', async () => {
+      const stocktake = buildStocktake({ status: 'recount' });
+      stocktake.items[0].counts.push({ quantity: 6, round: 1 }, { quantity: 9, round: 2 });
+      stocktake.items[0].status = 'recount';
+      stocktake.items[1].counts.push({ quantity: 4, round: 1 });
+      stocktake.items[1].status = 'final';
+      jest.spyOn(Stocktake, 'findOne').mockResolvedValue(stocktake);
+
+      const result = await stocktakeService.finishCounting(stocktake._id, {}, user, tenantId);
+
+      expect(result.status).toBe('review');
+      expect(result.items[0]).toMatchObject({ countedQuantity: 9, variance: -1, varianceValue: -5 });
+      expect(result.totals).toMatchObject({ lossQuantity: 1, lossValue: 5 });
+    });
+  });
+
+  describe('postStocktake', () => {
+    let stocktake;
+    let session;
+
+    beforeEach(() => {
+      stocktake = buildStocktake({ status: 'review' });
+      Object.assign(stocktake.items[0], { countedQuantity: 7, variance: -3, varianceValue: -15, status: 'final' });
+      Object.assign(stocktake.items[1], { countedQuantity: 5, variance: 1, varianceValue: 2, status: 'final' });
+      // The transaction runs the work once; nothing is written when it throws
+      session = { withTransaction: jest.fn(work => work()), abortTransaction: jest.fn(), endSession: jest.fn() };
+      jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+      jest.spyOn(warehouseStockService, 'resolveWarehouse').mockResolvedValue(warehouse);
+      jest.spyOn(warehouseStockService, 'getAvailable').mockResolvedValue(10);
+      jest.spyOn(inventoryService, 'updateStock').mockResolvedValue({});
+      jest.spyOn(StockMovementService, 'createMovement').mockResolvedValue({});
+    });
+
+    it('adjusts stock by the variance and posts the net loss to shrinkage', async () => {
+      jest.spyOn(Stocktake, 'findOne').mockResolvedValue(stocktake);
+
+      const result = await stocktakeService.postStocktake(stocktake._id, user, tenantId);
+
+      expect(result.status).toBe('posted');
+      expect(inventoryService.updateStock).toHaveBeenCalledWith(
+        expect.objectContaining({ productId: widget, type: 'out', quantity: 3, warehouse: warehouse._id, session })
+      );
+      expect(inventoryService.updateStock).toHaveBeenCalledWith(
+        expect.objectContaining({ productId: gadget, type: 'in', quantity: 1, bin: 'A1', cost: 2 })
+      );
+      const [entry, options] = journalEntryService.createJournalEntry.mock.calls[0];
+      expect(entry).toMatchObject({ referenceType: 'stocktake', referenceNumber: 'STK-000001' });
+      expect(options).toEqual({ session });
+      expect(entry.entries).toEqual([
+        expect.objectContaining({ accountCode: 'INVENTORY_SHRINKAGE', debit: 13 }),
+        expect.objectContaining({ accountCode: 'INVENTORY', credit: 13 })
+      ]);
+    });
+
+    it('only posts reviewed stocktakes', async () => {
+      jest.spyOn(Stocktake, 'findOne').mockResolvedValue(buildStocktake());
+
+      await expect(stocktakeService.postStocktake(widget, user, tenantId))
+        .rejects.toThrow('Only reviewed stocktakes can be posted');
+    });
+
+    it('fails and leaves the stocktake in review when the journal entry cannot be made', async () => {
+      jest.spyOn(Stocktake, 'findOne').mockResolvedValue(stocktake);
+      journalEntryService.createJournalEntry.mockRejectedValue(new Error('Period 4 is locked'));
+
+      await expect(stocktakeService.postStocktake(stocktake._id, user, tenantId)).rejects.toThrow('Period 4 is locked');
+      expect(session.abortTransaction).toHaveBeenCalled();
+      expect(stocktake.status).toBe('review');
+      expect(stocktake.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('exceedsThreshold', () => {
+    it('flags percentage variances and anything found where none was expected', () => {
+      expect(stocktakeService.exceedsThreshold({ variance: -2, systemQuantity: 10 }, { percent: 10 })).toBe(true);
+      expect(stocktakeService.exceedsThreshold({ variance: -1, systemQuantity: 10 }, { percent: 10 })).toBe(false);
+      expect(stocktakeService.exceedsThreshold({ variance: 1, systemQuantity: 0 }, { percent: 50 })).toBe(true);
+      expect(stocktakeService.exceedsThreshold({ variance: 5, systemQuantity: 10 }, {})).toBe(false);
+    });
+  });
+});
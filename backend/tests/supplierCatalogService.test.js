@@ -0,0 +1,156 @@
+/**
+ * Supplier Catalog Service Tests
+ * Tests for pack and MOQ rounding, measured lead times from goods receipts, on-time and
+ * fill-rate performance, and supplier ranking for auto purchase orders
+ */
+
+const mongoose = require('mongoose');
+const supplierCatalogService = require('../services/supplierCatalogService');
+const AutoPurchaseOrderService = require('../services/autoPurchaseOrderService');
+const SupplierProduct = require('../models/SupplierProduct');
+const Supplier = require('../models/Supplier');
+const PurchaseOrder = require('../models/PurchaseOrder');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const tenantId = new mongoose.Types.ObjectId();
+const productId = new mongoose.Types.ObjectId();
+
+const chain = (result) => {
+  const query = { select: jest.fn(), populate: jest.fn(), lean: jest.fn().mockResolvedValue(result) };
+  query.select.mockReturnValue(query);
+  query.populate.mockReturnValue(query);
+  query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return query;
+};
+
+const supplier = (companyName, leadTime = 7) => new Supplier({
+  tenantId, companyName, contactPerson: { name: 'Buyer' }, leadTime, status: 'active'
+});
+
+describe('SupplierCatalogService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('SupplierProduct.orderQuantity', () => {
+    it('rounds up to the minimum order and whole packs', () => {
+      const entry = new SupplierProduct({ tenantId, product: productId, price: 2, packSize: 12, moq: 30 });
+
+      expect(entry.orderQuantity(5)).toBe(36);
+      expect(entry.orderQuantity(40)).toBe(48);
+      expect(entry.orderQuantity(48)).toBe(48);
+    });
+  });
+
+  describe('recordReceipt', () => {
+    it('folds each receipt into the running lead time mean and deviation', async () => {
+      const entry = new SupplierProduct({ tenantId, product: productId, price: 2, leadTimeDays: 3 });
+      jest.spyOn(SupplierProduct, 'find').mockResolvedValue([entry]);
+      jest.spyOn(entry, 'save').mockResolvedValue(entry);
+      const orderDate = new Date(2024, 0, 1);
+      const po = { supplier: new mongoose.Types.ObjectId(), orderDate };
+
+      for (const days of [4, 8, 6]) {
+        await supplierCatalogService.recordReceipt(po, [{ product: productId, quantity: 5 }], new Date(orderDate.getTime() + days * DAY_MS), tenantId);
+      }
+
+      expect(entry.measuredLeadTime.observations).toBe(3);
+      expect(entry.measuredLeadTime.average).toBe(6);
+      expect(entry.measuredLeadTime.stdDev).toBe(2);
+      expect(entry.effectiveLeadTime()).toBe(6);
+    });
+  });
+
+  describe('getSupplierPerformance', () => {
+    it('counts on-time receipts and units received on due orders', async () => {
+      const acme = supplier('Acme', 5);
+      const orderDate = new Date(2024, 0, 1);
+      jest.spyOn(Supplier, 'find').mockReturnValue(chain([acme.toObject()]));
+      jest.spyOn(PurchaseOrder, 'find').mockReturnValue(chain([
+        {
+          supplier: acme._id,
+          status: 'fully_received',
+          orderDate,
+          expectedDelivery: new Date(2024, 0, 6),
+          total: 100,
+          items: [{ quantity: 10, receivedQuantity: 10 }],
+          conversions: [{ convertedAt: new Date(2024, 0, 5), items: [{ status: 'success' }] }]
+        },
+        {
+          supplier: acme._id,
+          status: 'partially_received',
+          orderDate,
+          expectedDelivery: new Date(2024, 0, 6),
+          total: 50,
+          items: [{ quantity: 10, receivedQuantity: 6 }],
+          conversions: [{ convertedAt: new Date(2024, 0, 11), items: [{ status: 'success' }] }]
+        }
+      ]));
+
+      const [row] = await supplierCatalogService.getSupplierPerformance(tenantId, { endDate: new Date(2024, 1, 1) });
+
+      expect(row).toMatchObject({
+        orders: 2,
+        totalValue: 150,
+        fillRate: 0.8,
+        deliveries: 2,
+        onTimeDeliveries: 1,
+        onTimeRate: 0.5,
+        averageLeadTime: 7
+      });
+    });
+  });
+
+  describe('rankSuppliers', () => {
+    const catalog = () => {
+      const cheap = supplier('Cheap', 14);
+      const fast = supplier('Fast', 2);
+      return [
+        new SupplierProduct({ tenantId, supplier: cheap, product: productId, price: 8, leadTimeDays: 14 }),
+        new SupplierProduct({ tenantId, supplier: fast, product: productId, price: 10, leadTimeDays: 2 })
+      ];
+    };
+
+    it('weighs price against lead time by preference', async () => {
+      const entries = catalog();
+      jest.spyOn(SupplierProduct, 'find').mockReturnValue(chain(entries));
+      jest.spyOn(supplierCatalogService, 'getSupplierPerformance').mockResolvedValue([]);
+
+      const cheapest = await supplierCatalogService.rankSuppliers(productId, tenantId, { preference: 'cheapest' });
+      const fastest = await supplierCatalogService.rankSuppliers(productId, tenantId, { preference: 'fastest' });
+
+      expect(cheapest[0].supplier.companyName).toBe('Cheap');
+      expect(fastest[0].supplier.companyName).toBe('Fast');
+    });
+
+    it('penalises unreliable suppliers and puts the preferred entry first', async () => {
+      const entries = catalog();
+      jest.spyOn(SupplierProduct, 'find').mockReturnValue(chain(entries));
+      jest.spyOn(supplierCatalogService, 'getSupplierPerformance').mockResolvedValue([
+        { supplier: { _id: entries[0].supplier._id }, onTimeRate: 0.4, fillRate: 0.5 },
+        { supplier: { _id: entries[1].supplier._id }, onTimeRate: 1, fillRate: 1 }
+      ]);
+
+      const ranked = await supplierCatalogService.rankSuppliers(productId, tenantId, { preference: 'cheapest' });
+      expect(ranked[0].supplier.companyName).toBe('Fast');
+
+      entries[0].isPreferred = true;
+      const primary = await supplierCatalogService.rankSuppliers(productId, tenantId);
+      expect(primary[0].supplier.companyName).toBe('Cheap');
+    });
+
+    it('gives auto purchase orders the catalog price, lead time and pack rounding', async () => {
+      const [entry] = catalog();
+      entry.packSize = 24;
+      jest.spyOn(supplierCatalogService, 'rankSuppliers').mockResolvedValue([
+        { entry, supplier: entry.supplier, price: 8, leadTime: 14 }
+      ]);
+
+      const found = await AutoPurchaseOrderService.findSupplierForProduct(productId, 'primary', tenantId);
+
+      expect(found.companyName).toBe('Cheap');
+      expect(found.leadTime).toBe(14);
+      expect(found.catalogItem.orderQuantity(30)).toBe(48);
+    });
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Tax Engine Service Tests
+ * Tests for compound, inclusive and withholding taxes, exemptions, effective-dated rates
+ * and per-component postings
+ */
+
+const mongoose = require('mongoose');
+const taxEngineService = require('../services/taxEngineService');
+const journalEntryService = require('../services/journalEntryService');
+const purchaseInvoiceService = require('../services/purchaseInvoiceService');
+const TaxCode = require('../models/TaxCode');
+const TaxGroup = require('../models/TaxGroup');
+const Product = require('../models/Product');
+
+const tenantId = new mongoose.Types.ObjectId();
+
+const gst = { code: 'GST', name: 'GST', rate: 0.05, compound: false, withholding: false, account: 'GST_PAYABLE' };
+const pst = { code: 'PST', name: 'PST', rate: 0.08, compound: false, withholding: false, account: 'PST_PAYABLE' };
+
+const buildGroup = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  isActive: true,
+  taxCodes: [
+    new TaxCode({ tenantId, code: 'GST', name: 'GST', rates: [{ rate: 0.05, effectiveFrom: new Date('2020-01-01') }] }),
+    new TaxCode({
+      tenantId,
+      code: 'PST',
+      name: 'PST',
+      exemptCategories: ['reseller'],
+      rates: [
+        { rate: 0.07, effectiveFrom: new Date('2020-01-01') },
+        { rate: 0.08, effectiveFrom: new Date('2025-07-01') }
+      ]
+    })
+  ]
+});
+
+describe('TaxEngineService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('computeLine', () => {
+    it('charges compound taxes on the net amount plus the taxes before them', () => {
+      const result = taxEngineService.computeLine(100, [gst, { ...pst, code: 'QST', rate: 0.09975, compound: true }]);
+
+      expect(result.taxes.map(tax => [tax.code, tax.base, tax.amount])).toEqual([
+        ['GST', 100, 5],
+        ['QST', 105, 10.47]
+      ]);
+      expect(result).toMatchObject({ net: 100, taxAmount: 15.47, total: 115.47 });
+    });
+
+    it('backs tax out of inclusive prices and keeps the price whole', () => {
+      const result = taxEngineService.computeLine(1, [gst, pst], { priceIncludesTax: true });
+
+      expect(result.net).toBe(0.88);
+      expect(result.taxes.map(tax => tax.amount)).toEqual([0.04, 0.08]);
+      expect(result.total).toBe(1);
+    });
+
+    it('takes withholding off the total without adding it to the tax', () => {
+      const result = taxEngineService.computeLine(100, [gst, { code: 'WHT', rate: 0.02, withholding: true, account: 'WHT_RECEIVABLE' }]);
+
+      expect(result).toMatchObject({ taxAmount: 5, withholdingAmount: 2, total: 103, taxRate: 0.05 });
+    });
+  });
+
+  describe('calculate', () => {
+    it('uses the rate in force on the document date', async () => {
+      const group = buildGroup();
+      jest.spyOn(TaxGroup, 'find').mockReturnValue({ populate: () => Promise.resolve([group]) });
+
+      const before = await taxEngineService.calculate({ lines: [{ amount: 100, taxGroup: group._id }], date: new Date('2025-01-15') }, tenantId);
+      const after = await taxEngineService.calculate({ lines: [{ amount: 100, taxGroup: group._id }], date: new Date('2025-08-01') }, tenantId);
+
+      expect(before.taxes.map(tax => [tax.code, tax.amount, tax.account])).toEqual([['GST', 5, 'GST_PAYABLE'], ['PST', 7, 'PST_PAYABLE']]);
+      expect(after.taxAmount).toBe(13);
+    });
+
+    it('skips taxes the customer category is exempt from', async () => {
+      const group = buildGroup();
+      jest.spyOn(TaxGroup, 'find').mockReturnValue({ populate: () => Promise.resolve([group]) });
+
+      const result = await taxEngineService.calculate({
+        lines: [{ amount: 100, taxGroup: group._id }],
+        customerCategory: 'Reseller'
+      }, tenantId);
+
+      expect(result.taxes.map(tax => tax.code)).toEqual(['GST']);
+      expect(result.taxAmount).toBe(5);
+    });
+
+    it('taxes ungrouped lines at their flat rate under the legacy sales tax code', async () => {
+      const result = await taxEngineService.calculate({ lines: [{ amount: 50, taxRate: 0.1 }, { amount: 30, taxRate: 0.1 }] }, tenantId);
+
+      expect(result.taxes).toEqual([expect.objectContaining({ code: 'SALES_TAX', account: '2120', base: 80, amount: 8 })]);
+    });
+  });
+
+  describe('postingLines', () => {
+    it('reclaims recoverable purchase tax and owes withheld tax', () => {
+      const lines = taxEngineService.postingLines([
+        { code: 'GST', amount: 5, account: 'GST_RECEIVABLE' },
+        { code: 'PST', amount: 8, account: 'PST_RECEIVABLE', recoverable: false },
+        { code: 'WHT', amount: 2, account: 'WHT_PAYABLE', withholding: true }
+      ], 'purchase');
+
+      expect(lines.map(line => [line.account, line.debit, line.credit])).toEqual([
+        ['GST_RECEIVABLE', 5, 0],
+        ['WHT_PAYABLE', 0, 2]
+      ]);
+    });
+  });
+
+  describe('sale postings', () => {
+    it('posts each tax component to its own account and revenue net of tax', async () => {
+      jest.spyOn(journalEntryService, 'getOrCreateAccount').mockImplementation(async (tid, accountCode) => ({ accountCode }));
+      jest.spyOn(journalEntryService, 'createJournalEntry').mockImplementation(async entry => entry);
+
+      const entry = await journalEntryService.createSaleEntries({
+        orderNumber: 'SO-1',
+        pricing: { total: 103 },
+        payment: { amountPaid: 103, method: 'cash' },
+        items: [],
+        taxes: [
+          { ...gst, amount: 5 },
+          { code: 'WHT', name: 'WHT', withholding: true, amount: 2, account: 'WHT_RECEIVABLE' }
+        ]
+      }, { tenantId });
+
+      expect(entry.entries).toEqual(expect.arrayContaining([
+        expect.objectContaining({ accountCode: 'CASH', debit: 103 }),
+        expect.objectContaining({ accountCode: 'SALES_REV', credit: 100 }),
+        expect.objectContaining({ accountCode: 'GST_PAYABLE', credit: 5 }),
+        expect.objectContaining({ accountCode: 'WHT_RECEIVABLE', debit: 2 })
+      ]));
+    });
+  });
+
+  describe('return postings', () => {
+    beforeEach(() => {
+      jest.spyOn(journalEntryService, 'getOrCreateAccount').mockImplementation(async (tid, accountCode) => ({ accountCode }));
+      jest.spyOn(journalEntryService, 'createJournalEntry').mockImplementation(async entry => entry);
+    });
+
+    it('debits output tax back off Sales Returns on a sales return', async () => {
+      const entry = await journalEntryService.createReturnTaxEntries({
+        returnNumber: 'RET-1',
+        origin: 'sales',
+        items: [{ taxes: [{ ...gst, amount: 5 }] }]
+      }, { tenantId });
+
+      expect(entry.entries).toEqual([
+        expect.objectContaining({ accountCode: 'GST_PAYABLE', debit: 5, credit: 0 }),
+        expect.objectContaining({ accountCode: 'SALES_RETURNS', debit: 0, credit: 5 })
+      ]);
+    });
+
+    it('credits input tax back against payables on a purchase return', async () => {
+      const entry = await journalEntryService.createReturnTaxEntries({
+        returnNumber: 'RET-2',
+        origin: 'purchase',
+        items: [{
+          taxes: [
+            { code: 'GST', name: 'GST', amount: 5, account: 'GST_RECEIVABLE' },
+            { code: 'PST', name: 'PST', amount: 8, account: 'PST_RECEIVABLE', recoverable: false },
+            { code: 'WHT', name: 'WHT', amount: 2, account: 'WHT_PAYABLE', withholding: true }
+          ]
+        }]
+      }, { tenantId });
+
+      expect(entry.description).toBe('Purchase return tax: RET-2');
+      expect(entry.entries).toEqual([
+        expect.objectContaining({ accountCode: 'GST_RECEIVABLE', debit: 0, credit: 5 }),
+        expect.objectContaining({ accountCode: 'WHT_PAYABLE', debit: 2, credit: 0 }),
+        expect.objectContaining({ accountCode: 'AP', debit: 3, credit: 0 })
+      ]);
+    });
+  });
+
+  describe('purchase invoices', () => {
+    it('keeps a keyed tax total as input tax when no line is taxed', async () => {
+      jest.spyOn(Product, 'find').mockReturnValue({ select: () => Promise.resolve([]) });
+
+      const result = await purchaseInvoiceService.taxInvoice(
+        [{ product: new mongoose.Types.ObjectId(), quantity: 2, unitCost: 50 }],
+        { discountAmount: 20, taxAmount: 8 },
+        tenantId
+      );
+
+      expect(result.taxes).toEqual([expect.objectContaining({ code: 'INPUT_TAX', account: 'TAX_RECEIVABLE', base: 80, rate: 0.1, amount: 8 })]);
+      expect(result.pricing).toMatchObject({ subtotal: 100, discountAmount: 20, taxAmount: 8, total: 88 });
+    });
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Tax Return Service Tests
+ * Tests for netting output tax against input tax, ledger reconciliation and period locking
+ */
+
+const mongoose = require('mongoose');
+const taxReturnService = require('../services/taxReturnService');
+const TaxReturn = require('../models/TaxReturn');
+const Sales = require('../models/Sales');
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+const Return = require('../models/Return');
+const JournalEntry = require('../models/JournalEntry');
+const FiscalYear = require('../models/FiscalYear');
+const periodValidationService = require('../services/periodValidationService');
+
+const tenantId = new mongoose.Types.ObjectId();
+const user = { _id: new mongoose.Types.ObjectId() };
+
+// Stand-in for a find() query: select/lean resolve to the documents, distinct to their ids
+const queryOf = (docs) => ({
+  select: () => ({ lean: () => Promise.resolve(docs) }),
+  distinct: () => Promise.resolve(docs.map(doc => doc._id))
+});
+
+const gst = { code: 'GST', name: 'GST', rate: 0.05, account: 'GST_PAYABLE' };
+
+describe('TaxReturnService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('buildReport', () => {
+    it('nets output tax less returns against reclaimable input tax', async () => {
+      const sale = {
+        _id: new mongoose.Types.ObjectId(),
+        orderNumber: 'SO-1',
+        createdAt: new Date('2026-02-10'),
+        customerInfo: { name: 'Ada' },
+        pricing: { subtotal: 100, discountAmount: 0, taxAmount: 5 },
+        taxes: [{ ...gst, base: 100, amount: 5 }]
+      };
+      const legacySale = {
+        _id: new mongoose.Types.ObjectId(),
+        orderNumber: 'SO-2',
+        createdAt: new Date('2026-02-11'),
+        pricing: { subtotal: 100, discountAmount: 0, taxAmount: 8 }
+      };
+      const invoice = {
+        _id: new mongoose.Types.ObjectId(),
+        invoiceNumber: 'PI-1',
+        createdAt: new Date('2026-02-12'),
+        supplierInfo: { companyName: 'Acme' },
+        pricing: { subtotal: 40, discountAmount: 0, taxAmount: 5.2 },
+        taxes: [
+          { code: 'GST', name: 'GST', rate: 0.05, base: 40, amount: 2, account: 'GST_RECEIVABLE' },
+          { code: 'PST', name: 'PST', rate: 0.08, base: 40, amount: 3.2, account: 'PST_RECEIVABLE', recoverable: false }
+        ]
+      };
+      const salesReturn = {
+        _id: new mongoose.Types.ObjectId(),
+        returnNumber: 'RET-1',
+        origin: 'sales',
+        originalOrder: sale._id,
+        totalRefundAmount: 20,
+        refundDetails: { refundDate: new Date('2026-02-20') },
+        items: [{ taxes: [{ ...gst, base: 20, amount: 1 }] }]
+      };
+      jest.spyOn(Sales, 'find').mockImplementation(filter => queryOf(filter._id ? [sale] : [sale, legacySale]));
+      jest.spyOn(PurchaseInvoice, 'find').mockImplementation(filter => queryOf(filter._id ? [] : [invoice]));
+      jest.spyOn(Return, 'find').mockReturnValue(queryOf([salesReturn]));
+      jest.spyOn(JournalEntry, 'aggregate').mockResolvedValue([
+        { _id: 'GST_PAYABLE', movement: 5 },
+        { _id: '2120', movement: 8 },
+        { _id: 'GST_RECEIVABLE', movement: -2 }
+      ]);
+
+      const report = await taxReturnService.buildReport({ startDate: '2026-02-01', endDate: '2026-02-28' }, tenantId);
+
+      expect(report.boxes).toMatchObject({
+        outputTax: 13,
+        outputTaxReturns: 1,
+        inputTax: 2,
+        inputTaxReturns: 0,
+        taxableSales: 180,
+        taxablePurchases: 40,
+        netPayable: 10
+      });
+      expect(report.lines.map(line => [line.code, line.account, line.net])).toEqual([
+        ['GST', 'GST_PAYABLE', 4],
+        ['GST', 'GST_RECEIVABLE', -2],
+        ['PST', 'PST_RECEIVABLE', 0],
+        ['SALES_TAX', '2120', 8]
+      ]);
+      expect(report.documents.filter(document => document.box === 'sales_returns')).toEqual([
+        expect.objectContaining({ documentNumber: 'RET-1', code: 'GST', tax: 1 })
+      ]);
+      // The return's tax was never posted, so the payable account is 1 short of the documents
+      expect(report.reconciliation).toEqual(expect.arrayContaining([
+        { account: 'GST_PAYABLE', expected: 4, ledger: 5, difference: 1 },
+        { account: '2120', expected: 8, ledger: 8, difference: 0 },
+        { account: 'PST_RECEIVABLE', expected: 0, ledger: 0, difference: 0 }
+      ]));
+    });
+
+    it('reports foreign-currency documents and their returns in base currency', async () => {
+      const sale = {
+        _id: new mongoose.Types.ObjectId(),
+        orderNumber: 'SO-3',
+        createdAt: new Date('2026-02-10'),
+        pricing: { subtotal: 100, discountAmount: 0, taxAmount: 5 },
+        taxes: [{ ...gst, base: 100, amount: 5 }],
+        exchangeRate: 1.5
+      };
+      const salesReturn = {
+        _id: new mongoose.Types.ObjectId(),
+        returnNumber: 'RET-2',
+        origin: 'sales',
+        originalOrder: sale._id,
+        totalRefundAmount: 20,
+        refundDetails: { refundDate: new Date('2026-02-20') },
+        items: [{ taxes: [{ ...gst, base: 20, amount: 1 }] }]
+      };
+      jest.spyOn(Sales, 'find').mockReturnValue(queryOf([sale]));
+      jest.spyOn(PurchaseInvoice, 'find').mockReturnValue(queryOf([]));
+      jest.spyOn(Return, 'find').mockReturnValue(queryOf([salesReturn]));
+      jest.spyOn(JournalEntry, 'aggregate').mockResolvedValue([]);
+
+      const report = await taxReturnService.buildReport({ startDate: '2026-02-01', endDate: '2026-02-28' }, tenantId);
+
+      expect(report.boxes).toMatchObject({ outputTax: 7.5, outputTaxReturns: 1.5, taxableSales: 120 });
+      expect(report.documents.map(document => [document.documentNumber, document.base, document.tax])).toEqual([
+        ['SO-3', 150, 7.5],
+        ['RET-2', 30, 1.5]
+      ]);
+    });
+  });
+
+  describe('createReturn', () => {
+    it('refuses a period that overlaps a filed return', async () => {
+      jest.spyOn(TaxReturn, 'findOne').mockResolvedValue({ returnNumber: 'TXR-000001' });
+
+      await expect(taxReturnService.createReturn({ startDate: '2026-01-15', endDate: '2026-02-15' }, user._id, tenantId))
+        .rejects.toThrow('Tax return TXR-000001 is already filed for this period');
+    });
+  });
+
+  describe('fileReturn', () => {
+    const otherTenantId = new mongoose.Types.ObjectId();
+    let fiscalYears;
+    let session;
+
+    beforeEach(() => {
+      session = { withTransaction: jest.fn(work => work()), abortTransaction: jest.fn(), endSession: jest.fn() };
+      jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+      // Fiscal years kept in memory, one list per tenant as the real collection would
+      fiscalYears = [];
+      jest.spyOn(FiscalYear, 'findFiscalYearForDate').mockImplementation(async (forTenant, date) =>
+        fiscalYears.find(year => String(year.tenantId) === String(forTenant) && year.startDate <= date && year.endDate >= date) || null);
+      jest.spyOn(FiscalYear.prototype, 'save').mockImplementation(function() {
+        if (!fiscalYears.includes(this)) fiscalYears.push(this);
+        return Promise.resolve(this);
+      });
+    });
+
+    let taxReturn;
+    const fileQ1 = async (periodEnd = new Date(2026, 2, 31, 23, 59, 59, 999)) => {
+      taxReturn = new TaxReturn({
+        tenantId,
+        returnNumber: 'TXR-000002',
+        periodStart: new Date(2026, 0, 1),
+        periodEnd
+      });
+      taxReturn.save = jest.fn().mockResolvedValue(taxReturn);
+      jest.spyOn(taxReturnService, 'getReturn').mockResolvedValue(taxReturn);
+      jest.spyOn(TaxReturn, 'findOne').mockResolvedValue(null);
+      jest.spyOn(taxReturnService, 'buildReport').mockResolvedValue({
+        boxes: { netPayable: 10 }, lines: [], documents: [], reconciliation: []
+      });
+      return taxReturnService.fileReturn(taxReturn._id, { filingReference: 'ACK-42' }, user, tenantId);
+    };
+
+    it('files the return and locks the fiscal periods it covers', async () => {
+      const result = await fileQ1();
+
+      expect(result).toMatchObject({ status: 'filed', filingReference: 'ACK-42', filedBy: user._id });
+      expect(result.lockedPeriods.map(locked => locked.period)).toEqual([1, 2, 3]);
+      const [fiscalYear] = fiscalYears;
+      expect(String(fiscalYear.tenantId)).toBe(String(tenantId));
+      expect(fiscalYear.periods.filter(period => period.isLocked).map(period => period.period)).toEqual([1, 2, 3]);
+      expect(fiscalYear.periods[0].lockedBy).toEqual(user._id);
+      // The locks and the filed return are saved in the same transaction
+      expect(FiscalYear.prototype.save).toHaveBeenLastCalledWith({ session });
+      expect(taxReturn.save).toHaveBeenCalledWith({ session });
+    });
+
+    it('refuses a return that ends partway through a period', async () => {
+      await expect(fileQ1(new Date(2026, 2, 15, 23, 59, 59, 999)))
+        .rejects.toThrow('Tax return ends partway through period 3 of fiscal year 2026');
+      expect(taxReturn.save).not.toHaveBeenCalled();
+      expect(session.abortTransaction).toHaveBeenCalled();
+    });
+
+    it('rejects postings into the filed period for the filing tenant only', async () => {
+      await fileQ1();
+
+      await expect(periodValidationService.validateTransactionDate(new Date(2026, 1, 10), tenantId))
+        .rejects.toThrow(/^Period 2 .* is locked/);
+      await expect(periodValidationService.validateTransactionDate(new Date(2026, 3, 10), tenantId))
+        .resolves.toBe(true);
+      await expect(periodValidationService.validateTransactionDate(new Date(2026, 1, 10), otherTenantId))
+        .resolves.toBe(true);
+    });
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Till Service Tests
+ * Tests for expected-cash computation, denomination counts and X/Z reports
+ */
+
+const mongoose = require('mongoose');
+const tillService = require('../services/tillService');
+const TillSession = require('../models/TillSession');
+const TillSessionRepository = require('../repositories/TillSessionRepository');
+const Sales = require('../models/Sales');
+const Return = require('../models/Return');
+const CashPayment = require('../models/CashPayment');
+const User = require('../models/User');
+const AccountingService = require('../services/accountingService');
+
+jest.mock('../repositories/TillSessionRepository');
+
+const buildSession = () => {
+  const session = new TillSession({
+    user: new mongoose.Types.ObjectId(),
+    tenantId: new mongoose.Types.ObjectId(),
+    openedAt: new Date('2024-01-01T08:00:00Z'),
+    openingAmount: 100
+  });
+  session.save = jest.fn().mockResolvedValue(session);
+  return session;
+};
+
+describe('TillService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(Sales, 'aggregate').mockImplementation(async (pipeline) => {
+      // Cash-portion pipeline for expected cash, per-method pipeline for the report
+      if (pipeline[0].$match['payment.method']) {
+        return [{ total: 250.5, count: 3 }];
+      }
+      return [
+        { _id: 'cash', count: 3, subtotal: 260, discount: 9.5, tax: 0, total: 250.5, collected: 250.5 },
+        { _id: 'credit_card', count: 1, subtotal: 40, discount: 0, tax: 0, total: 40, collected: 40 }
+      ];
+    });
+    jest.spyOn(Return, 'aggregate').mockResolvedValue([{ total: 20, count: 1 }]);
+    jest.spyOn(CashPayment, 'aggregate').mockResolvedValue([{ total: 30.5, count: 1 }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('computeExpectedCash', () => {
+    it('should add cash sales to the float and subtract refunds and payouts', async () => {
+      const result = await tillService.computeExpectedCash(buildSession());
+
+      expect(result.breakdown).toEqual({
+        openingAmount: 100,
+        cashSales: 250.5,
+        cashRefunds: 20,
+        cashPayouts: 30.5,
+        payIns: 0,
+        payOuts: 0,
+        cashDrops: 0
+      });
+      expect(result.expectedAmount).toBe(300);
+    });
+
+    it('should count foreign-currency cash sales and refunds in base currency', async () => {
+      await tillService.computeExpectedCash(buildSession());
+
+      const cashPipeline = Sales.aggregate.mock.calls[0][0];
+      expect(cashPipeline[1].$project.cash.$multiply[0]).toEqual({ $ifNull: ['$exchangeRate', 1] });
+      const refundPipeline = Return.aggregate.mock.calls[0][0];
+      expect(refundPipeline[1].$lookup).toMatchObject({ localField: 'originalOrder', foreignField: '_id' });
+      expect(refundPipeline[2].$group.total.$sum.$multiply[0]).toBe('$netRefundAmount');
+    });
+
+    it('should include pay-ins, pay-outs and cash drops', async () => {
+      const session = buildSession();
+      session.cashMovements.push(
+        { type: 'pay_in', amount: 50, reason: 'Extra float', performedBy: session.user },
+        { type: 'pay_out', amount: 15, reason: 'Cleaning supplies', performedBy: session.user },
+        { type: 'cash_drop', amount: 200, reason: 'Safe drop', performedBy: session.user }
+      );
+
+      const result = await tillService.computeExpectedCash(session);
+
+      expect(result.expectedAmount).toBe(135);
+      expect(result.counts.cashDrops).toBe(1);
+    });
+  });
+
+  describe('recordCashMovement', () => {
+    let transactionSession;
+
+    beforeEach(() => {
+      transactionSession = { withTransaction: jest.fn(work => work()), abortTransaction: jest.fn(), endSession: jest.fn() };
+      jest.spyOn(mongoose, 'startSession').mockResolvedValue(transactionSession);
+    });
+
+    it('should store the movement and post it to the cash accounts', async () => {
+      const session = buildSession();
+      const approver = new mongoose.Types.ObjectId();
+      TillSessionRepository.findOpenSessionByUser.mockResolvedValue(session);
+      jest.spyOn(User, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue({ _id: approver }) });
+      const journalId = new mongoose.Types.ObjectId();
+      const postSpy = jest.spyOn(AccountingService, 'recordTillCashMovement').mockResolvedValue({ _id: journalId });
+
+      const { movement } = await tillService.recordCashMovement({
+        type: 'cash_drop',
+        amount: 100,
+        reason: 'Safe drop',
+        approvedBy: approver
+      }, session.user, session.tenantId);
+
+      expect(movement.type).toBe('cash_drop');
+      expect(movement.approvedBy).toEqual(approver);
+      expect(movement.journalEntry).toEqual(journalId);
+      expect(postSpy).toHaveBeenCalledWith(movement, session, transactionSession);
+      expect(session.save).toHaveBeenCalledWith({ session: transactionSession });
+      expect(session.cashMovements).toHaveLength(1);
+    });
+
+    it('should fail the movement when it cannot be posted', async () => {
+      const session = buildSession();
+      TillSessionRepository.findOpenSessionByUser.mockResolvedValue(session);
+      jest.spyOn(AccountingService, 'recordTillCashMovement').mockRejectedValue(new Error('Period 2024-01 is locked.'));
+
+      await expect(tillService.recordCashMovement({ type: 'pay_in', amount: 20, reason: 'Extra float' }, session.user, session.tenantId))
+        .rejects.toThrow('Period 2024-01 is locked.');
+      expect(session.save).not.toHaveBeenCalled();
+    });
+
+    it('should reject drops larger than the expected drawer cash', async () => {
+      TillSessionRepository.findOpenSessionByUser.mockResolvedValue(buildSession());
+
+      await expect(tillService.recordCashMovement({ type: 'cash_drop', amount: 500, reason: 'Safe drop' }, 'user1', 'tenant1'))
+        .rejects.toThrow('Movement exceeds expected cash in drawer');
+    });
+
+    it('should not allow cashiers to approve their own movements', async () => {
+      const session = buildSession();
+      TillSessionRepository.findOpenSessionByUser.mockResolvedValue(session);
+
+      await expect(tillService.recordCashMovement({
+        type: 'pay_out', amount: 10, reason: 'Milk', approvedBy: session.user
+      }, session.user, session.tenantId)).rejects.toThrow('Cash movements cannot be self-approved');
+    });
+  });
+
+  describe('closeTill', () => {
+    it('should ignore client expected amounts and store a Z report', async () => {
+      const session = buildSession();
+      TillSessionRepository.findOpenSessionByUser.mockResolvedValue(session);
+
+      const closed = await tillService.closeTill({
+        denominations: [
+          { value: 100, count: 2 },
+          { value: 50, count: 1 },
+          { value: 20, count: 2 },
+          { value: 5, count: 0 }
+        ],
+        expectedAmount: 999
+      }, session.user, session.tenantId);
+
+      expect(closed.status).toBe('closed');
+      expect(closed.closingDeclaredAmount).toBe(290);
+      expect(closed.expectedAmount).toBe(300);
+      expect(closed.varianceAmount).toBe(-10);
+      expect(closed.varianceType).toBe('short');
+      expect(closed.closingDenominations.map(d => d.value)).toEqual([100, 50, 20]);
+      expect(closed.reports).toHaveLength(1);
+      expect(closed.reports[0].type).toBe('Z');
+      expect(closed.reports[0].data.totals.transactions).toBe(4);
+      expect(session.save).toHaveBeenCalled();
+    });
+
+    it('should reject invalid denomination counts', async () => {
+      TillSessionRepository.findOpenSessionByUser.mockResolvedValue(buildSession());
+
+      await expect(tillService.closeTill({ denominations: [{ value: 10, count: 1.5 }] }, 'user1', 'tenant1'))
+        .rejects.toThrow('Invalid denomination count');
+    });
+  });
+
+  describe('generateXReport', () => {
+    it('should number X reports sequentially without closing the session', async () => {
+      const session = buildSession();
+      TillSessionRepository.findOpenSessionByUser.mockResolvedValue(session);
+
+      await tillService.generateXReport(session.user, session.tenantId);
+      const { report } = await tillService.generateXReport(session.user, session.tenantId);
+
+      expect(report.type).toBe('X');
+      expect(report.reportNumber).toBe(2);
+      expect(report.data.cash.expectedAmount).toBe(300);
+      expect(session.status).toBe('open');
+    });
+
+    it('should render a stored report as PDF', async () => {
+      const session = buildSession();
+      TillSessionRepository.findOpenSessionByUser.mockResolvedValue(session);
+      const { report } = await tillService.generateXReport(session.user, session.tenantId);
+
+      const pdf = await tillService.renderReportPdf(session, report._id);
+
+      expect(pdf.slice(0, 4).toString()).toBe('%PDF');
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Warehouse Stock Service Tests
+ * Tests for per-warehouse quantities, bin picking and the inventoryService hook-up
+ */
+
+const mongoose = require('mongoose');
+const warehouseStockService = require('../services/warehouseStockService');
+const inventoryService = require('../services/inventoryService');
+const WarehouseStock = require('../models/WarehouseStock');
+const Warehouse = require('../models/Warehouse');
+const Inventory = require('../models/Inventory');
+const Product = require('../models/Product');
+
+const tenantId = new mongoose.Types.ObjectId();
+const productId = new mongoose.Types.ObjectId();
+const warehouse = { _id: new mongoose.Types.ObjectId(), name: 'Main', code: 'MAIN', isActive: true };
+
+const row = (bin, quantity) => ({ _id: new mongoose.Types.ObjectId(), bin, quantity, warehouse: warehouse._id });
+
+describe('WarehouseStockService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('remove', () => {
+    it('takes unbinned stock first, then the fullest bins', async () => {
+      jest.spyOn(WarehouseStock, 'find').mockResolvedValue([row('A1', 2), row('B2', 5), row('', 3)]);
+      jest.spyOn(WarehouseStock, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const taken = await warehouseStockService.remove(productId, warehouse._id, 6, { tenantId, warehouseName: 'Main' });
+
+      expect(taken).toEqual([{ bin: '', quantity: 3 }, { bin: 'B2', quantity: 3 }]);
+      expect(WarehouseStock.updateOne).toHaveBeenCalledWith(
+        expect.objectContaining({ quantity: { $gte: 3 } }),
+        expect.objectContaining({ $inc: { quantity: -3 } }),
+        { session: undefined }
+      );
+    });
+
+    it('refuses to take more than the warehouse holds', async () => {
+      jest.spyOn(WarehouseStock, 'find').mockResolvedValue([row('', 2)]);
+      jest.spyOn(WarehouseStock, 'updateOne');
+
+      await expect(warehouseStockService.remove(productId, warehouse._id, 5, { tenantId, warehouseName: 'Main' }))
+        .rejects.toThrow('Insufficient stock in Main. Available: 2, Requested: 5');
+      expect(WarehouseStock.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('puts back what it took when another sale got there first', async () => {
+      jest.spyOn(WarehouseStock, 'find').mockResolvedValue([row('', 2), row('A1', 4)]);
+      jest.spyOn(WarehouseStock, 'updateOne')
+        .mockResolvedValueOnce({ modifiedCount: 1 })
+        .mockResolvedValueOnce({ modifiedCount: 0 })
+        .mockResolvedValue({ modifiedCount: 1 });
+
+      await expect(warehouseStockService.remove(productId, warehouse._id, 5, { tenantId, warehouseName: 'Main' }))
+        .rejects.toThrow('Insufficient stock in Main');
+      expect(WarehouseStock.updateOne).toHaveBeenLastCalledWith(
+        expect.objectContaining({ bin: '' }),
+        expect.objectContaining({ $inc: { quantity: 2 } }),
+        { upsert: true }
+      );
+    });
+  });
+
+  describe('ensureSeeded', () => {
+    it('places existing stock in the primary warehouse the first time a product moves', async () => {
+      jest.spyOn(WarehouseStock, 'exists').mockResolvedValue(null);
+      jest.spyOn(Warehouse, 'findOne').mockResolvedValue(warehouse);
+      jest.spyOn(Inventory, 'findOne').mockReturnValue({ select: () => Promise.resolve({ currentStock: 40 }) });
+      jest.spyOn(WarehouseStock, 'updateOne').mockResolvedValue({});
+
+      await warehouseStockService.ensureSeeded(productId, tenantId);
+
+      expect(WarehouseStock.updateOne).toHaveBeenCalledWith(
+        { tenantId, product: productId, warehouse: warehouse._id, bin: '' },
+        { $setOnInsert: expect.objectContaining({ quantity: 40 }) },
+        { upsert: true }
+      );
+    });
+  });
+
+  describe('inventoryService.updateStock', () => {
+    beforeEach(() => {
+      jest.spyOn(Warehouse, 'findOne').mockResolvedValue(warehouse);
+      jest.spyOn(warehouseStockService, 'ensureSeeded').mockResolvedValue();
+      jest.spyOn(Product, 'findOneAndUpdate').mockResolvedValue({});
+    });
+
+    it('takes sold stock out of the selected warehouse', async () => {
+      jest.spyOn(warehouseStockService, 'remove').mockResolvedValue([{ bin: '', quantity: 4 }]);
+      jest.spyOn(Inventory, 'updateStock').mockResolvedValue({ currentStock: 6 });
+
+      await inventoryService.updateStock({ productId, type: 'out', quantity: 4, warehouse: warehouse._id, tenantId });
+
+      expect(warehouseStockService.remove).toHaveBeenCalledWith(productId, warehouse._id, 4, expect.objectContaining({ tenantId }));
+      expect(Inventory.updateStock).toHaveBeenCalledWith(productId, expect.objectContaining({ warehouse: warehouse._id }), { session: undefined });
+    });
+
+    it('returns warehouse stock when the product total cannot be updated', async () => {
+      jest.spyOn(warehouseStockService, 'remove').mockResolvedValue([{ bin: 'A1', quantity: 4 }]);
+      jest.spyOn(warehouseStockService, 'add').mockResolvedValue();
+      jest.spyOn(Inventory, 'updateStock').mockRejectedValue(new Error('NEGATIVE_STOCK_PREVENTED: Insufficient stock'));
+
+      await expect(inventoryService.updateStock({ productId, type: 'out', quantity: 4, tenantId }))
+        .rejects.toThrow('Insufficient stock');
+      expect(warehouseStockService.add).toHaveBeenCalledWith(productId, warehouse._id, 4, { bin: 'A1', tenantId });
+    });
+
+    it('puts received stock into the chosen bin', async () => {
+      jest.spyOn(warehouseStockService, 'add').mockResolvedValue();
+      jest.spyOn(Inventory, 'updateStock').mockResolvedValue({ currentStock: 14 });
+
+      await inventoryService.updateStock({ productId, type: 'in', quantity: 4, bin: 'a1', tenantId });
+
+      expect(warehouseStockService.add).toHaveBeenCalledWith(productId, warehouse._id, 4, { bin: 'a1', tenantId });
+    });
+
+    it('applies only the net change of an adjustment', async () => {
+      jest.spyOn(Inventory, 'findOne').mockReturnValue({ select: () => Promise.resolve({ currentStock: 10 }) });
+      jest.spyOn(Inventory, 'updateStock').mockResolvedValue({ currentStock: 7 });
+      jest.spyOn(warehouseStockService, 'applyAdjustment').mockResolvedValue();
+
+      await inventoryService.updateStock({ productId, type: 'adjustment', quantity: 7, tenantId });
+
+      expect(warehouseStockService.applyAdjustment).toHaveBeenCalledWith(productId, warehouse, -3, expect.objectContaining({ tenantId }));
+    });
+  });
+});
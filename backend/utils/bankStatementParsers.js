@@ -0,0 +1,426 @@
+/**
+ * Bank statement parsers
+ *
+ * Each parser takes the file contents as a string and returns
+ * { accountNumber, currency, periodStart, periodEnd, openingBalance, closingBalance, lines }
+ * where every line is { date, valueDate, amount, description, reference, counterparty, bankReference }
+ * and amount is signed from the account holder's side: positive is money in.
+ */
+
+const STATEMENT_FORMATS = ['csv', 'ofx', 'camt053', 'mt940'];
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const utcDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return Number.isNaN(date.getTime()) || date.getUTCDate() !== day ? null : date;
+};
+
+/**
+ * Work out the format from the file name, then the contents
+ * @param {string} content - File contents
+ * @param {string} fileName - Uploaded file name
+ * @returns {string|null} One of STATEMENT_FORMATS
+ */
+const detectFormat = (content, fileName = '') => {
+  const extension = fileName.toLowerCase().split('.').pop();
+  if (['ofx', 'qfx'].includes(extension)) return 'ofx';
+  if (['sta', 'mt940', '940'].includes(extension)) return 'mt940';
+  if (extension === 'csv') return 'csv';
+  const head = content.slice(0, 2000);
+  if (/<OFX>|OFXHEADER/i.test(head)) return 'ofx';
+  if (/camt\.053/.test(head) || /<BkToCstmrStmt>/.test(head)) return 'camt053';
+  if (/^:20:/m.test(head) && /^:61:/m.test(content)) return 'mt940';
+  if (/[,;\t]/.test(head.split(/\r?\n/)[0] || '')) return 'csv';
+  return null;
+};
+
+// ---- CSV ----------------------------------------------------------------
+
+const HEADER_ALIASES = {
+  date: ['date', 'transaction date', 'posting date', 'booking date', 'posted date', 'txn date'],
+  valueDate: ['value date'],
+  description: ['description', 'narrative', 'details', 'particulars', 'memo', 'transaction details', 'remarks'],
+  reference: ['reference', 'ref', 'cheque number', 'check number', 'cheque no', 'chq no', 'transaction reference'],
+  counterparty: ['payee', 'payer', 'counterparty', 'name', 'beneficiary'],
+  bankReference: ['transaction id', 'id', 'bank reference', 'fitid'],
+  amount: ['amount', 'transaction amount', 'value'],
+  debit: ['debit', 'withdrawal', 'withdrawals', 'money out', 'paid out', 'dr'],
+  credit: ['credit', 'deposit', 'deposits', 'money in', 'paid in', 'cr'],
+  balance: ['balance', 'running balance', 'closing balance']
+};
+
+const splitCsvLine = (line, delimiter) => {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+};
+
+const parseAmount = (text, decimalComma = false) => {
+  if (text === undefined || text === null) return null;
+  let value = String(text).trim();
+  if (!value) return null;
+  const negative = /^\(.*\)$/.test(value) || /^-/.test(value) || /-$/.test(value) || /\bDR\b/i.test(value);
+  value = value.replace(/[^\d.,]/g, '');
+  value = decimalComma ? value.replace(/\./g, '').replace(',', '.') : value.replace(/,/g, '');
+  const number = parseFloat(value);
+  if (Number.isNaN(number)) return null;
+  return roundMoney(negative ? -number : number);
+};
+
+const parseCsvDate = (text, dateFormat) => {
+  const value = String(text || '').trim();
+  let match = value.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  if (match) return utcDate(+match[1], +match[2], +match[3]);
+  match = value.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/);
+  if (match) {
+    const year = match[3].length === 2 ? 2000 + +match[3] : +match[3];
+    return dateFormat === 'MDY' ? utcDate(year, +match[1], +match[2]) : utcDate(year, +match[2], +match[1]);
+  }
+  return null;
+};
+
+/**
+ * Parse a CSV export. Columns are found by header name; amounts come from one signed
+ * amount column or separate debit and credit columns.
+ * @param {string} content - File contents
+ * @param {object} options - { dateFormat: 'DMY' | 'MDY', decimalComma }
+ * @returns {object} Parsed statement
+ */
+const parseCsv = (content, options = {}) => {
+  const { dateFormat = 'DMY', decimalComma = false } = options;
+  const rows = content.replace(/^﻿/, '').split(/\r?\n/).filter(row => row.trim());
+  if (rows.length < 2) {
+    throw new Error('Statement file has no transactions');
+  }
+  const delimiter = [';', '\t', ','].find(d => rows[0].includes(d)) || ',';
+  const headers = splitCsvLine(rows[0], delimiter).map(h => h.toLowerCase().replace(/[^a-z ]/g, '').trim());
+  const column = {};
+  Object.entries(HEADER_ALIASES).forEach(([field, aliases]) => {
+    const index = headers.findIndex(header => aliases.includes(header));
+    if (index !== -1) column[field] = index;
+  });
+  if (column.date === undefined || (column.amount === undefined && column.debit === undefined && column.credit === undefined)) {
+    throw new Error('CSV statement needs a date column and an amount or debit/credit columns');
+  }
+
+  const lines = [];
+  let firstBalance = null;
+  let lastBalance = null;
+  rows.slice(1).forEach((row, index) => {
+    const cells = splitCsvLine(row, delimiter);
+    const date = parseCsvDate(cells[column.date], dateFormat);
+    if (!date) {
+      throw new Error(`Unreadable date on statement row ${index + 2}`);
+    }
+    let amount;
+    if (column.amount !== undefined) {
+      amount = parseAmount(cells[column.amount], decimalComma);
+    } else {
+      const debit = Math.abs(parseAmount(cells[column.debit], decimalComma) || 0);
+      const credit = Math.abs(parseAmount(cells[column.credit], decimalComma) || 0);
+      amount = roundMoney(credit - debit);
+    }
+    if (!amount) return;
+
+    const line = {
+      date,
+      valueDate: column.valueDate !== undefined ? parseCsvDate(cells[column.valueDate], dateFormat) : null,
+      amount,
+      description: cells[column.description] || '',
+      reference: cells[column.reference] || '',
+      counterparty: cells[column.counterparty] || '',
+      bankReference: cells[column.bankReference] || ''
+    };
+    if (column.balance !== undefined) {
+      const balance = parseAmount(cells[column.balance], decimalComma);
+      if (balance !== null) {
+        if (firstBalance === null) firstBalance = { balance, amount };
+        lastBalance = balance;
+      }
+    }
+    lines.push(line);
+  });
+
+  // Exports are newest or oldest first; keep them oldest first
+  if (lines.length > 1 && lines[0].date > lines[lines.length - 1].date) {
+    lines.reverse();
+    if (firstBalance !== null) {
+      [firstBalance, lastBalance] = [{ balance: lastBalance, amount: lines[0].amount }, firstBalance.balance];
+    }
+  }
+
+  return {
+    accountNumber: null,
+    currency: null,
+    ...summarise(lines, {
+      openingBalance: firstBalance ? roundMoney(firstBalance.balance - firstBalance.amount) : null,
+      closingBalance: lastBalance
+    })
+  };
+};
+
+// ---- OFX ----------------------------------------------------------------
+
+const ofxValue = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : null;
+};
+
+const parseOfxDate = (text) => {
+  const match = String(text || '').match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? utcDate(+match[1], +match[2], +match[3]) : null;
+};
+
+/**
+ * Parse an OFX (or QFX) download, SGML or XML flavour
+ * @param {string} content - File contents
+ * @returns {object} Parsed statement
+ */
+const parseOfx = (content) => {
+  const lines = [];
+  const blocks = content.split(/<STMTTRN>/i).slice(1).map(block => block.split(/<\/STMTTRN>/i)[0]);
+  blocks.forEach((block) => {
+    const amount = roundMoney(parseFloat(ofxValue(block, 'TRNAMT')));
+    const date = parseOfxDate(ofxValue(block, 'DTPOSTED'));
+    if (!amount || !date) return;
+    lines.push({
+      date,
+      valueDate: parseOfxDate(ofxValue(block, 'DTUSER')),
+      amount,
+      description: [ofxValue(block, 'NAME'), ofxValue(block, 'MEMO')].filter(Boolean).join(' - '),
+      reference: ofxValue(block, 'CHECKNUM') || ofxValue(block, 'REFNUM') || '',
+      counterparty: ofxValue(block, 'NAME') || '',
+      bankReference: ofxValue(block, 'FITID') || ''
+    });
+  });
+  lines.sort((a, b) => a.date - b.date);
+
+  const ledger = content.split(/<LEDGERBAL>/i)[1] || '';
+  const closingBalance = ledger ? roundMoney(parseFloat(ofxValue(ledger, 'BALAMT'))) : null;
+  return {
+    accountNumber: ofxValue(content, 'ACCTID'),
+    currency: ofxValue(content, 'CURDEF'),
+    ...summarise(lines, {
+      periodStart: parseOfxDate(ofxValue(content, 'DTSTART')),
+      periodEnd: parseOfxDate(ofxValue(content, 'DTEND')),
+      closingBalance
+    })
+  };
+};
+
+// ---- CAMT.053 -----------------------------------------------------------
+
+const xmlBlocks = (xml, tag) => {
+  const pattern = new RegExp(`<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'g');
+  return Array.from(xml.matchAll(pattern), match => match[1]);
+};
+
+const xmlValue = (xml, ...path) => {
+  let current = xml;
+  for (const tag of path) {
+    const [block] = xmlBlocks(current || '', tag);
+    if (block === undefined) return null;
+    current = block;
+  }
+  return current.replace(/<[^>]+>/g, '').trim();
+};
+
+const parseIsoDate = (text) => {
+  const match = String(text || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return match ? utcDate(+match[1], +match[2], +match[3]) : null;
+};
+
+const camtAmount = (xml) => {
+  const amount = parseFloat(xmlValue(xml, 'Amt'));
+  if (Number.isNaN(amount)) return null;
+  return roundMoney(xmlValue(xml, 'CdtDbtInd') === 'DBIT' ? -amount : amount);
+};
+
+/**
+ * Parse an ISO 20022 camt.053 bank-to-customer statement (first statement in the file)
+ * @param {string} content - File contents
+ * @returns {object} Parsed statement
+ */
+const parseCamt053 = (content) => {
+  const [statement] = xmlBlocks(content, 'Stmt');
+  if (!statement) {
+    throw new Error('camt.053 file has no statement');
+  }
+  const balances = {};
+  xmlBlocks(statement, 'Bal').forEach((balance) => {
+    balances[xmlValue(balance, 'Tp', 'Cd')] = camtAmount(balance);
+  });
+
+  const lines = xmlBlocks(statement, 'Ntry').map((entry) => {
+    const details = xmlBlocks(entry, 'TxDtls')[0] || '';
+    const debit = xmlValue(entry, 'CdtDbtInd') === 'DBIT';
+    return {
+      date: parseIsoDate(xmlValue(entry, 'BookgDt', 'Dt') || xmlValue(entry, 'BookgDt', 'DtTm')),
+      valueDate: parseIsoDate(xmlValue(entry, 'ValDt', 'Dt')),
+      amount: camtAmount(entry),
+      description: xmlValue(details, 'RmtInf', 'Ustrd') || xmlValue(entry, 'AddtlNtryInf') || '',
+      reference: xmlValue(details, 'RmtInf', 'Strd', 'CdtrRefInf', 'Ref') || xmlValue(details, 'Refs', 'EndToEndId') || '',
+      counterparty: xmlValue(details, 'RltdPties', debit ? 'Cdtr' : 'Dbtr', 'Nm') || '',
+      bankReference: xmlValue(entry, 'AcctSvcrRef') || xmlValue(details, 'Refs', 'AcctSvcrRef') || ''
+    };
+  }).filter(line => line.date && line.amount);
+  lines.forEach((line) => {
+    if (line.reference === 'NOTPROVIDED') line.reference = '';
+  });
+
+  return {
+    accountNumber: xmlValue(statement, 'Acct', 'Id', 'IBAN') || xmlValue(statement, 'Acct', 'Id', 'Othr', 'Id'),
+    currency: xmlValue(statement, 'Acct', 'Ccy'),
+    ...summarise(lines, {
+      periodStart: parseIsoDate(xmlValue(statement, 'FrToDt', 'FrDtTm')),
+      periodEnd: parseIsoDate(xmlValue(statement, 'FrToDt', 'ToDtTm')),
+      openingBalance: balances.OPBD ?? balances.PRCD ?? null,
+      closingBalance: balances.CLBD ?? null
+    })
+  };
+};
+
+// ---- MT940 --------------------------------------------------------------
+
+const mt940Date = (yymmdd) => {
+  const match = String(yymmdd || '').match(/^(\d{2})(\d{2})(\d{2})$/);
+  return match ? utcDate(2000 + +match[1], +match[2], +match[3]) : null;
+};
+
+const mt940Balance = (field) => {
+  const match = String(field || '').match(/^([CD])(\d{6})([A-Z]{3})([\d,]+)/);
+  if (!match) return null;
+  const amount = parseAmount(match[4], true);
+  return { amount: match[1] === 'D' ? -amount : amount, date: mt940Date(match[2]), currency: match[3] };
+};
+
+/**
+ * Parse a SWIFT MT940 customer statement (all statements in the file, oldest first)
+ * @param {string} content - File contents
+ * @returns {object} Parsed statement
+ */
+const parseMt940 = (content) => {
+  // Join field continuation lines onto their tag
+  const fields = [];
+  content.replace(/\r/g, '').split('\n').forEach((row) => {
+    const match = row.match(/^:(\d{2}[A-Z]?):(.*)$/);
+    if (match) {
+      fields.push({ tag: match[1], value: match[2] });
+    } else if (fields.length && row.trim() && !/^-\}?$/.test(row.trim())) {
+      fields[fields.length - 1].value += `\n${row}`;
+    }
+  });
+
+  const lines = [];
+  let accountNumber = null;
+  let opening = null;
+  let closing = null;
+  fields.forEach(({ tag, value }) => {
+    if (tag === '25') accountNumber = accountNumber || value.trim();
+    if ((tag === '60F' || tag === '60M') && !opening) opening = mt940Balance(value);
+    if (tag === '62F' || tag === '62M') closing = mt940Balance(value);
+    if (tag === '61') {
+      const match = value.match(/^(\d{6})(\d{4})?(R?[CD])[A-Z]?([\d,]+)[A-Z]\w{3}([^/\n]*)(?:\/\/([^\n]*))?(?:\n([\s\S]*))?/);
+      if (!match) return;
+      const credit = match[3] === 'C' || match[3] === 'RD';
+      const amount = parseAmount(match[4], true);
+      lines.push({
+        date: mt940Date(match[1]),
+        valueDate: mt940Date(match[1]),
+        amount: credit ? amount : -amount,
+        description: (match[7] || '').trim(),
+        reference: match[5] === 'NONREF' ? '' : match[5].trim(),
+        counterparty: '',
+        bankReference: (match[6] || '').trim()
+      });
+    }
+    if (tag === '86' && lines.length) {
+      const information = value.replace(/\n/g, ' ').trim();
+      const last = lines[lines.length - 1];
+      last.description = [last.description, information].filter(Boolean).join(' ');
+      const name = information.match(/\?3[23]([^?]+)/);
+      if (name) last.counterparty = name[1].trim();
+    }
+  });
+
+  return {
+    accountNumber,
+    currency: opening?.currency || closing?.currency || null,
+    ...summarise(lines.filter(line => line.date && line.amount), {
+      periodStart: opening?.date || null,
+      periodEnd: closing?.date || null,
+      openingBalance: opening ? opening.amount : null,
+      closingBalance: closing ? closing.amount : null
+    })
+  };
+};
+
+/**
+ * Fill in the period and whichever balance the file did not state
+ * @private
+ */
+const summarise = (lines, known = {}) => {
+  const net = roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+  let { openingBalance = null, closingBalance = null } = known;
+  if (openingBalance === null && closingBalance !== null) openingBalance = roundMoney(closingBalance - net);
+  if (closingBalance === null && openingBalance !== null) closingBalance = roundMoney(openingBalance + net);
+  return {
+    periodStart: known.periodStart || lines[0]?.date || null,
+    periodEnd: known.periodEnd || lines[lines.length - 1]?.date || null,
+    openingBalance,
+    closingBalance,
+    lines
+  };
+};
+
+/**
+ * Parse a statement file in any supported format
+ * @param {string} content - File contents
+ * @param {object} options - { format, fileName, dateFormat, decimalComma }
+ * @returns {object} Parsed statement with its format
+ */
+const parseStatement = (content, options = {}) => {
+  const format = options.format || detectFormat(content, options.fileName);
+  if (!STATEMENT_FORMATS.includes(format)) {
+    throw new Error(`Statement format must be one of ${STATEMENT_FORMATS.join(', ')}`);
+  }
+  const parsers = { csv: parseCsv, ofx: parseOfx, camt053: parseCamt053, mt940: parseMt940 };
+  const statement = parsers[format](content, options);
+  if (statement.lines.length === 0) {
+    throw new Error('Statement file has no transactions');
+  }
+  return { format, ...statement };
+};
+
+module.exports = {
+  STATEMENT_FORMATS,
+  detectFormat,
+  parseStatement,
+  parseCsv,
+  parseOfx,
+  parseCamt053,
+  parseMt940
+};
@@ -16,25 +16,35 @@ import { Login } from './pages/Login';
 import { Dashboard } from './pages/Dashboard';
 
 // Lazy load all other pages for code splitting
+const Quotations = lazy(() => import('./pages/Quotations'));
 const SalesOrders = lazy(() => import('./pages/SalesOrders'));
 const Sales = lazy(() => import('./pages/Sales').then(m => ({ default: m.Sales })));
 const PurchaseOrders = lazy(() => import('./pages/PurchaseOrders').then(m => ({ default: m.PurchaseOrders })));
 const PurchaseInvoices = lazy(() => import('./pages/PurchaseInvoices').then(m => ({ default: m.PurchaseInvoices })));
 const Purchase = lazy(() => import('./pages/Purchase').then(m => ({ default: m.Purchase })));
 const Products = lazy(() => import('./pages/Products'));
+const PriceLists = lazy(() => import('./pages/PriceLists'));
 const Customers = lazy(() => import('./pages/Customers').then(m => ({ default: m.Customers })));
 const Suppliers = lazy(() => import('./pages/Suppliers').then(m => ({ default: m.Suppliers })));
+const SupplierCatalog = lazy(() => import('./pages/SupplierCatalog'));
 const SalesInvoices = lazy(() => import('./pages/Orders').then(m => ({ default: m.Orders })));
 const Inventory = lazy(() => import('./pages/Inventory').then(m => ({ default: m.Inventory })));
 const InventoryAlerts = lazy(() => import('./pages/InventoryAlerts'));
+const DemandForecasts = lazy(() => import('./pages/DemandForecasts'));
 const CustomerAnalytics = lazy(() => import('./pages/CustomerAnalytics'));
 const AnomalyDetection = lazy(() => import('./pages/AnomalyDetection'));
 const Warehouses = lazy(() => import('./pages/Warehouses'));
+const Stocktakes = lazy(() => import('./pages/Stocktakes'));
+const TaxSettings = lazy(() => import('./pages/TaxSettings'));
+const DocumentTemplates = lazy(() => import('./pages/DocumentTemplates'));
+const TaxReturns = lazy(() => import('./pages/TaxReturns'));
 const Backups = lazy(() => import('./pages/Backups').then(m => ({ default: m.Backups })));
 const PLStatements = lazy(() => import('./pages/PLStatements').then(m => ({ default: m.PLStatements })));
 const Returns = lazy(() => import('./pages/Returns'));
 const BalanceSheets = lazy(() => import('./pages/BalanceSheets'));
 const Discounts = lazy(() => import('./pages/Discounts'));
+const Promotions = lazy(() => import('./pages/Promotions'));
+const LandedCosts = lazy(() => import('./pages/LandedCosts'));
 const SalesPerformanceReports = lazy(() => import('./pages/SalesPerformanceReports'));
 const InventoryReports = lazy(() => import('./pages/InventoryReports'));
 const CashReceipts = lazy(() => import('./pages/CashReceipts'));
@@ -44,6 +54,8 @@ const Cities = lazy(() => import('./pages/Cities'));
 const Expenses = lazy(() => import('./pages/Expenses'));
 const BankReceipts = lazy(() => import('./pages/BankReceipts'));
 const BankPayments = lazy(() => import('./pages/BankPayments'));
+const BankReconciliation = lazy(() => import('./pages/BankReconciliation'));
+const ExchangeRates = lazy(() => import('./pages/ExchangeRates'));
 const Reports = lazy(() => import('./pages/Reports').then(m => ({ default: m.Reports })));
 const Settings2 = lazy(() => import('./pages/Settings').then(m => ({ default: m.Settings2 })));
 const StockMovements = lazy(() => import('./pages/StockMovements').then(m => ({ default: m.StockMovements })));
@@ -57,6 +69,9 @@ const Investors = lazy(() => import('./pages/Investors'));
 const Help = lazy(() => import('./pages/Help').then(m => ({ default: m.Help })));
 const DropShipping = lazy(() => import('./pages/DropShipping'));
 const JournalVouchers = lazy(() => import('./pages/JournalVouchers'));
+const RecurringJournals = lazy(() => import('./pages/RecurringJournals'));
+const AmortizationSchedules = lazy(() => import('./pages/AmortizationSchedules'));
+const FixedAssets = lazy(() => import('./pages/FixedAssets'));
 const Attendance = lazy(() => import('./pages/Attendance'));
 const Employees = lazy(() => import('./pages/Employees'));
 const ProductVariants = lazy(() => import('./pages/ProductVariants'));
@@ -81,31 +96,39 @@ function App() {
                       <Routes>
                         <Route path="/" element={<Navigate to="/dashboard" replace />} />
                         <Route path="/dashboard" element={<Dashboard />} />
+                        <Route path="/quotations" element={<Suspense fallback={<LoadingPage />}><Quotations /></Suspense>} />
                         <Route path="/sales-orders" element={<Suspense fallback={<LoadingPage />}><SalesOrders /></Suspense>} />
                         <Route path="/sales" element={<Suspense fallback={<LoadingPage />}><Sales /></Suspense>} />
                         <Route path="/purchase-orders" element={<Suspense fallback={<LoadingPage />}><PurchaseOrders /></Suspense>} />
                         <Route path="/purchase-invoices" element={<Suspense fallback={<LoadingPage />}><PurchaseInvoices /></Suspense>} />
+                        <Route path="/landed-costs" element={<Suspense fallback={<LoadingPage />}><LandedCosts /></Suspense>} />
                         <Route path="/purchase" element={<Suspense fallback={<LoadingPage />}><Purchase /></Suspense>} />
                         <Route path="/products" element={<Suspense fallback={<LoadingPage />}><Products /></Suspense>} />
+                        <Route path="/price-lists" element={<Suspense fallback={<LoadingPage />}><PriceLists /></Suspense>} />
                         <Route path="/product-variants" element={<Suspense fallback={<LoadingPage />}><ProductVariants /></Suspense>} />
                         <Route path="/product-transformations" element={<Suspense fallback={<LoadingPage />}><ProductTransformations /></Suspense>} />
                         <Route path="/categories" element={<Suspense fallback={<LoadingPage />}><Categories /></Suspense>} />
                         <Route path="/customers" element={<Suspense fallback={<LoadingPage />}><Customers /></Suspense>} />
                         <Route path="/suppliers" element={<Suspense fallback={<LoadingPage />}><Suppliers /></Suspense>} />
+                        <Route path="/supplier-catalog" element={<Suspense fallback={<LoadingPage />}><SupplierCatalog /></Suspense>} />
                         <Route path="/investors" element={<Suspense fallback={<LoadingPage />}><Investors /></Suspense>} />
                         <Route path="/drop-shipping" element={<Suspense fallback={<LoadingPage />}><DropShipping /></Suspense>} />
                         <Route path="/sales-invoices" element={<Suspense fallback={<LoadingPage />}><SalesInvoices /></Suspense>} />
                         <Route path="/inventory" element={<Suspense fallback={<LoadingPage />}><Inventory /></Suspense>} />
                         <Route path="/inventory-alerts" element={<Suspense fallback={<LoadingPage />}><InventoryAlerts /></Suspense>} />
+                        <Route path="/demand-forecasts" element={<Suspense fallback={<LoadingPage />}><DemandForecasts /></Suspense>} />
                         <Route path="/customer-analytics" element={<Suspense fallback={<LoadingPage />}><CustomerAnalytics /></Suspense>} />
                         <Route path="/anomaly-detection" element={<Suspense fallback={<LoadingPage />}><AnomalyDetection /></Suspense>} />
                         <Route path="/warehouses" element={<Suspense fallback={<LoadingPage />}><Warehouses /></Suspense>} />
+                        <Route path="/stocktakes" element={<Suspense fallback={<LoadingPage />}><Stocktakes /></Suspense>} />
                         <Route path="/stock-movements" element={<Suspense fallback={<LoadingPage />}><StockMovements /></Suspense>} />
                         <Route path="/backups" element={<Suspense fallback={<LoadingPage />}><Backups /></Suspense>} />
                         <Route path="/pl-statements" element={<Suspense fallback={<LoadingPage />}><PLStatements /></Suspense>} />
                         <Route path="/returns" element={<Suspense fallback={<LoadingPage />}><Returns /></Suspense>} />
                         <Route path="/balance-sheets" element={<Suspense fallback={<LoadingPage />}><BalanceSheets /></Suspense>} />
+                        <Route path="/tax-returns" element={<Suspense fallback={<LoadingPage />}><TaxReturns /></Suspense>} />
                         <Route path="/discounts" element={<Suspense fallback={<LoadingPage />}><Discounts /></Suspense>} />
+                        <Route path="/promotions" element={<Suspense fallback={<LoadingPage />}><Promotions /></Suspense>} />
                         <Route path="/sales-performance" element={<Suspense fallback={<LoadingPage />}><SalesPerformanceReports /></Suspense>} />
                         <Route path="/inventory-reports" element={<Suspense fallback={<LoadingPage />}><InventoryReports /></Suspense>} />
                         <Route path="/cash-receipts" element={<Suspense fallback={<LoadingPage />}><CashReceipts /></Suspense>} />
@@ -115,12 +138,19 @@ function App() {
                         <Route path="/expenses" element={<Suspense fallback={<LoadingPage />}><Expenses /></Suspense>} />
                         <Route path="/bank-receipts" element={<Suspense fallback={<LoadingPage />}><BankReceipts /></Suspense>} />
                         <Route path="/bank-payments" element={<Suspense fallback={<LoadingPage />}><BankPayments /></Suspense>} />
+                        <Route path="/bank-reconciliation" element={<Suspense fallback={<LoadingPage />}><BankReconciliation /></Suspense>} />
+                        <Route path="/exchange-rates" element={<Suspense fallback={<LoadingPage />}><ExchangeRates /></Suspense>} />
                         <Route path="/journal-vouchers" element={<Suspense fallback={<LoadingPage />}><JournalVouchers /></Suspense>} />
+                        <Route path="/recurring-journals" element={<Suspense fallback={<LoadingPage />}><RecurringJournals /></Suspense>} />
+                        <Route path="/amortization-schedules" element={<Suspense fallback={<LoadingPage />}><AmortizationSchedules /></Suspense>} />
+                        <Route path="/fixed-assets" element={<Suspense fallback={<LoadingPage />}><FixedAssets /></Suspense>} />
                         <Route path="/chart-of-accounts" element={<Suspense fallback={<LoadingPage />}><ChartOfAccounts /></Suspense>} />
                         <Route path="/account-ledger" element={<Suspense fallback={<LoadingPage />}><AccountLedger /></Suspense>} />
                         <Route path="/account-ledger-summary" element={<Suspense fallback={<LoadingPage />}><AccountLedgerSummary /></Suspense>} />
                         <Route path="/reports" element={<Suspense fallback={<LoadingPage />}><Reports /></Suspense>} />
                         <Route path="/backdate-report" element={<Suspense fallback={<LoadingPage />}><BackdateReport /></Suspense>} />
+                        <Route path="/tax-settings" element={<Suspense fallback={<LoadingPage />}><TaxSettings /></Suspense>} />
+                        <Route path="/document-templates" element={<Suspense fallback={<LoadingPage />}><DocumentTemplates /></Suspense>} />
                         <Route path="/settings" element={<Suspense fallback={<LoadingPage />}><Settings2 /></Suspense>} />
                         <Route path="/migration" element={<Suspense fallback={<LoadingPage />}><Migration /></Suspense>} />
                         <Route path="/settings2" element={<Suspense fallback={<LoadingPage />}><Settings2 /></Suspense>} />
@@ -328,6 +328,12 @@ const BalanceSheetDetailModal = ({
                     <span className="text-sm text-gray-600">Prepaid Expenses</span>
                     <span className="text-sm font-medium">{formatCurrency(balanceSheet.assets?.currentAssets?.prepaidExpenses)}</span>
                   </div>
+                  {balanceSheet.assets?.currentAssets?.prepaidExpenseSchedules?.map((line) => (
+                    <div key={line.scheduleNumber} className="flex justify-between pl-4">
+                      <span className="text-xs text-gray-500">{line.scheduleNumber} · {line.description}</span>
+                      <span className="text-xs text-gray-500">{formatCurrency(line.remaining)}</span>
+                    </div>
+                  ))}
                   <div className="flex justify-between border-t pt-2">
                     <span className="text-sm font-medium text-gray-900">Total Current Assets</span>
                     <span className="text-sm font-bold">{formatCurrency(balanceSheet.assets?.currentAssets?.totalCurrentAssets)}</span>
@@ -351,6 +357,14 @@ const BalanceSheetDetailModal = ({
                     <span className="text-sm text-gray-600">Net Property, Plant & Equipment</span>
                     <span className="text-sm font-medium">{formatCurrency(balanceSheet.assets?.fixedAssets?.netPropertyPlantEquipment)}</span>
                   </div>
+                  {balanceSheet.assets?.fixedAssets?.assetSchedule?.map((line) => (
+                    <div key={line.category} className="flex justify-between pl-4">
+                      <span className="text-xs text-gray-500">
+                        {line.category.replace(/_/g, ' ')} · {line.count} asset{line.count === 1 ? '' : 's'} · cost {formatCurrency(line.cost)} less ({formatCurrency(line.accumulatedDepreciation)})
+                      </span>
+                      <span className="text-xs text-gray-500">{formatCurrency(line.bookValue)}</span>
+                    </div>
+                  ))}
                   <div className="flex justify-between">
                     <span className="text-sm text-gray-600">Intangible Assets</span>
                     <span className="text-sm font-medium">{formatCurrency(balanceSheet.assets?.fixedAssets?.intangibleAssets?.total)}</span>
@@ -399,6 +413,12 @@ const BalanceSheetDetailModal = ({
                     <span className="text-sm text-gray-600">Deferred Revenue</span>
                     <span className="text-sm font-medium">{formatCurrency(balanceSheet.liabilities?.currentLiabilities?.deferredRevenue)}</span>
                   </div>
+                  {balanceSheet.liabilities?.currentLiabilities?.deferredRevenueSchedules?.map((line) => (
+                    <div key={line.scheduleNumber} className="flex justify-between pl-4">
+                      <span className="text-xs text-gray-500">{line.scheduleNumber} · {line.description}</span>
+                      <span className="text-xs text-gray-500">{formatCurrency(line.remaining)}</span>
+                    </div>
+                  ))}
                   <div className="flex justify-between border-t pt-2">
                     <span className="text-sm font-medium text-gray-900">Total Current Liabilities</span>
                     <span className="text-sm font-bold">{formatCurrency(balanceSheet.liabilities?.currentLiabilities?.totalCurrentLiabilities)}</span>
@@ -32,7 +32,21 @@ import {
   HelpCircle,
   Wallet,
   FolderTree,
-  Download
+  Download,
+  ClipboardCheck,
+  Percent,
+  Printer,
+  FileSignature,
+  Tags,
+  Gift,
+  Ship,
+  LineChart,
+  BookOpen,
+  Scale,
+  ArrowLeftRight,
+  Repeat,
+  CalendarClock,
+  Landmark
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import toast from 'react-hot-toast';
@@ -41,6 +55,7 @@ import MobileNavigation from './MobileNavigation';
 import { useResponsive } from './ResponsiveContainer';
 import { WhatsAppFloat } from './WhatsAppFloat';
 import { usePWAInstall } from '../hooks/usePWAInstall';
+import NotificationBell from './NotificationBell';
 
 const navigation = [
   // Dashboard
@@ -48,6 +63,7 @@ const navigation = [
   
   // Sales Workflow
   { type: 'heading', name: 'Sales Workflow', color: 'bg-blue-500' },
+  { name: 'Quotations', href: '/quotations', icon: FileSignature },
   { name: 'Sales Orders', href: '/sales-orders', icon: FileText },
   { name: 'Sales', href: '/sales', icon: CreditCard },
   { name: 'Sales Invoices', href: '/sales-invoices', icon: Search },
@@ -57,11 +73,13 @@ const navigation = [
   { name: 'Purchase Orders', href: '/purchase-orders', icon: FileText },
   { name: 'Purchase', href: '/purchase', icon: Truck },
   { name: 'Purchase Invoices', href: '/purchase-invoices', icon: Search },
+  { name: 'Landed Costs', href: '/landed-costs', icon: Ship },
   
   // Operations
   { type: 'heading', name: 'Operations', color: 'bg-teal-500' },
   { name: 'Returns', href: '/returns', icon: RotateCcw },
   { name: 'Discounts', href: '/discounts', icon: Tag },
+  { name: 'Promotions', href: '/promotions', icon: Gift },
   
   // Financial Transactions
   { type: 'heading', name: 'Financial Transactions', color: 'bg-yellow-500' },
@@ -69,14 +87,18 @@ const navigation = [
   { name: 'Cash Payments', href: '/cash-payments', icon: CreditCard },
   { name: 'Bank Receipts', href: '/bank-receipts', icon: Building },
   { name: 'Bank Payments', href: '/bank-payments', icon: ArrowUpDown },
+  { name: 'Bank Reconciliation', href: '/bank-reconciliation', icon: Scale },
+  { name: 'Exchange Rates', href: '/exchange-rates', icon: ArrowLeftRight },
   { name: 'Record Expense', href: '/expenses', icon: Wallet },
   
   // Master Data
   { type: 'heading', name: 'Master Data', color: 'bg-purple-500' },
   { name: 'Products', href: '/products', icon: Package },
+  { name: 'Price Lists', href: '/price-lists', icon: Tags },
   { name: 'Categories', href: '/categories', icon: Tag },
   { name: 'Customers', href: '/customers', icon: Users },
   { name: 'Suppliers', href: '/suppliers', icon: Building },
+  { name: 'Supplier Catalog', href: '/supplier-catalog', icon: BookOpen },
   { name: 'Banks', href: '/banks', icon: Building2 },
   { name: 'Investors', href: '/investors', icon: TrendingUp },
   { name: 'Drop Shipping', href: '/drop-shipping', icon: ArrowRight },
@@ -84,13 +106,18 @@ const navigation = [
   // Inventory Management
   { type: 'heading', name: 'Inventory Management', color: 'bg-orange-500' },
   { name: 'Inventory', href: '/inventory', icon: Warehouse },
+  { name: 'Demand Forecasts', href: '/demand-forecasts', icon: LineChart },
   { name: 'Warehouses', href: '/warehouses', icon: Warehouse },
+  { name: 'Stocktakes', href: '/stocktakes', icon: ClipboardCheck },
   { name: 'Stock Movements', href: '/stock-movements', icon: ArrowUpDown },
   
   // Accounting
   { type: 'heading', name: 'Accounting', color: 'bg-pink-500' },
   { name: 'Chart of Accounts', href: '/chart-of-accounts', icon: FolderTree },
   { name: 'Journal Vouchers', href: '/journal-vouchers', icon: FileText },
+  { name: 'Recurring Journals', href: '/recurring-journals', icon: Repeat },
+  { name: 'Amortization Schedules', href: '/amortization-schedules', icon: CalendarClock },
+  { name: 'Fixed Assets', href: '/fixed-assets', icon: Landmark },
   { name: 'Account Ledger Summary', href: '/account-ledger-summary', icon: BarChart3 },
   { name: 'Account Ledger Summary', href: '/account-ledger-summary', icon: BarChart3 },
   
@@ -98,6 +125,7 @@ const navigation = [
   { type: 'heading', name: 'Reports & Analytics', color: 'bg-indigo-500' },
   { name: 'P&L Statements', href: '/pl-statements', icon: BarChart3 },
   { name: 'Balance Sheets', href: '/balance-sheets', icon: FileText },
+  { name: 'Tax Returns', href: '/tax-returns', icon: FileText },
   { name: 'Sales Performance', href: '/sales-performance', icon: TrendingUp },
   { name: 'Inventory Reports', href: '/inventory-reports', icon: Warehouse },
   { name: 'Reports', href: '/reports', icon: BarChart3 },
@@ -106,6 +134,8 @@ const navigation = [
   // System Management
   { type: 'heading', name: 'System Management', color: 'bg-red-500' },
   { name: 'Settings', href: '/settings', icon: Settings },
+  { name: 'Tax Settings', href: '/tax-settings', icon: Percent },
+  { name: 'Document Templates', href: '/document-templates', icon: Printer },
   { name: 'Migration', href: '/migration', icon: RefreshCw },
   { name: 'Help & Support', href: '/help', icon: HelpCircle },
 ];
@@ -412,6 +442,7 @@ export const Layout = ({ children }) => {
                   <p className="text-[10px] sm:text-xs text-gray-500 capitalize break-words">{user?.role}</p>
                 </div>
               </div>
+              <NotificationBell />
               <button
                 onClick={logout}
                 className="text-gray-400 hover:text-gray-600 p-0.5 sm:p-1 flex-shrink-0"
@@ -29,7 +29,21 @@ import {
   MapPin,
   AlertTriangle,
   Wallet,
-  Shield
+  Shield,
+  ClipboardCheck,
+  Percent,
+  Printer,
+  FileSignature,
+  Tags,
+  Gift,
+  Ship,
+  LineChart,
+  BookOpen,
+  Scale,
+  ArrowLeftRight,
+  Repeat,
+  CalendarClock,
+  Landmark
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { useTab } from '../contexts/TabContext';
@@ -48,6 +62,7 @@ const navigation = [
   
   // Sales Section
   { type: 'heading', name: 'Sales Section', color: 'bg-blue-500' },
+  { name: 'Quotations', href: '/quotations', icon: FileSignature, permission: 'view_sales_orders' },
   { name: 'Sales Orders', href: '/sales-orders', icon: FileText, permission: 'view_sales_orders' },
   { name: 'Sales', href: '/sales', icon: CreditCard, permission: 'view_sales_orders' },
   { name: 'Sales Invoices', href: '/sales-invoices', icon: Search, permission: 'view_sales_invoices' },
@@ -57,11 +72,13 @@ const navigation = [
   { name: 'Purchase Orders', href: '/purchase-orders', icon: FileText, permission: 'view_purchase_orders' },
   { name: 'Purchase', href: '/purchase', icon: Truck, permission: 'view_purchase_orders' },
   { name: 'Purchase Invoices', href: '/purchase-invoices', icon: Search, permission: 'view_purchase_invoices' },
+  { name: 'Landed Costs', href: '/landed-costs', icon: Ship, permission: 'view_purchase_invoices' },
   
   // Operations Section
   { type: 'heading', name: 'Operations Section', color: 'bg-teal-500' },
   { name: 'Returns', href: '/returns', icon: RotateCcw, permission: 'view_returns' },
   { name: 'Discounts', href: '/discounts', icon: Tag, permission: 'view_discounts' },
+  { name: 'Promotions', href: '/promotions', icon: Gift, permission: 'view_discounts' },
   
   // Financial Transactions Section
   { type: 'heading', name: 'Financial Transactions', color: 'bg-yellow-500' },
@@ -69,16 +86,20 @@ const navigation = [
   { name: 'Cash Payments', href: '/cash-payments', icon: CreditCard, permission: 'view_reports' },
   { name: 'Bank Receipts', href: '/bank-receipts', icon: Building, permission: 'view_reports' },
   { name: 'Bank Payments', href: '/bank-payments', icon: ArrowUpDown, permission: 'view_reports' },
+  { name: 'Bank Reconciliation', href: '/bank-reconciliation', icon: Scale, permission: 'view_reports' },
+  { name: 'Exchange Rates', href: '/exchange-rates', icon: ArrowLeftRight, permission: 'view_reports' },
   { name: 'Record Expense', href: '/expenses', icon: Wallet, permission: null },
   
   // Master Data Section
   { type: 'heading', name: 'Master Data Section', color: 'bg-purple-500' },
   { name: 'Products', href: '/products', icon: Package, permission: 'view_products' },
   { name: 'Product Variants', href: '/product-variants', icon: Tag, permission: 'view_products' },
+  { name: 'Price Lists', href: '/price-lists', icon: Tags, permission: 'view_products' },
   // { name: 'Product Transformations', href: '/product-transformations', icon: ArrowRight, permission: 'update_inventory' },
   { name: 'Customers', href: '/customers', icon: Users, permission: 'view_customers' },
   { name: 'Customer Analytics', href: '/customer-analytics', icon: BarChart3, permission: 'view_customer_analytics' },
   { name: 'Suppliers', href: '/suppliers', icon: Building, permission: 'view_suppliers' },
+  { name: 'Supplier Catalog', href: '/supplier-catalog', icon: BookOpen, permission: 'view_suppliers' },
   { name: 'Banks', href: '/banks', icon: Building2, permission: null },
   { name: 'Investors', href: '/investors', icon: TrendingUp, permission: 'view_investors' },
   { name: 'Drop Shipping', href: '/drop-shipping', icon: ArrowRight, permission: 'create_drop_shipping' },
@@ -88,19 +109,25 @@ const navigation = [
   { type: 'heading', name: 'Inventory Section', color: 'bg-orange-500' },
   { name: 'Inventory', href: '/inventory', icon: Warehouse, permission: 'view_inventory' },
   { name: 'Inventory Alerts', href: '/inventory-alerts', icon: AlertTriangle, permission: 'view_inventory' },
+  { name: 'Demand Forecasts', href: '/demand-forecasts', icon: LineChart, permission: 'view_inventory' },
   { name: 'Warehouses', href: '/warehouses', icon: Warehouse, permission: 'view_inventory' },
+  { name: 'Stocktakes', href: '/stocktakes', icon: ClipboardCheck, permission: 'view_inventory' },
   { name: 'Stock Movements', href: '/stock-movements', icon: ArrowUpDown, permission: 'view_stock_movements' },
   
   // Accounting Section
   { type: 'heading', name: 'Accounting Section', color: 'bg-pink-500' },
   { name: 'Chart of Accounts', href: '/chart-of-accounts', icon: FolderTree, permission: 'view_chart_of_accounts' },
   { name: 'Journal Vouchers', href: '/journal-vouchers', icon: FileText, permission: 'view_reports', allowMultiple: true },
+  { name: 'Recurring Journals', href: '/recurring-journals', icon: Repeat, permission: 'view_reports' },
+  { name: 'Amortization Schedules', href: '/amortization-schedules', icon: CalendarClock, permission: 'view_reports' },
+  { name: 'Fixed Assets', href: '/fixed-assets', icon: Landmark, permission: 'view_reports' },
   { name: 'Account Ledger Summary', href: '/account-ledger-summary', icon: BarChart3, permission: 'view_reports', allowMultiple: true },
   
   // Reports & Analytics Section
   { type: 'heading', name: 'Reports & Analytics', color: 'bg-indigo-500' },
   { name: 'P&L Statements', href: '/pl-statements', icon: BarChart3, permission: 'view_pl_statements' },
   { name: 'Balance Sheets', href: '/balance-sheets', icon: FileText, permission: 'view_balance_sheets' },
+  { name: 'Tax Returns', href: '/tax-returns', icon: FileText, permission: 'view_reports' },
   { name: 'Sales Performance', href: '/sales-performance', icon: TrendingUp, permission: 'view_sales_performance' },
   { name: 'Inventory Reports', href: '/inventory-reports', icon: Warehouse, permission: 'view_inventory_reports' },
   { name: 'Anomaly Detection', href: '/anomaly-detection', icon: AlertTriangle, permission: 'view_anomaly_detection' },
@@ -114,6 +141,8 @@ const navigation = [
   
   // System/Utilities Section
   { type: 'heading', name: 'System/Utilities', color: 'bg-red-500' },
+  { name: 'Tax Settings', href: '/tax-settings', icon: Percent, permission: 'manage_settings' },
+  { name: 'Document Templates', href: '/document-templates', icon: Printer, permission: 'print_settings' },
   { name: 'Settings', href: '/settings2', icon: Settings, permission: 'manage_users' },
 ];
 
@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { Bell, CheckCheck } from 'lucide-react';
+import {
+  useGetNotificationsQuery,
+  useMarkNotificationsReadMutation,
+} from '../store/services/notificationsApi';
+
+const severityStyles = {
+  critical: 'border-l-red-500',
+  warning: 'border-l-yellow-500',
+  info: 'border-l-blue-500',
+};
+
+export const NotificationBell = () => {
+  const [open, setOpen] = useState(false);
+  const { data } = useGetNotificationsQuery({ limit: 10 }, { pollingInterval: 60000 });
+  const [markRead] = useMarkNotificationsReadMutation();
+
+  const inbox = data?.data || data || {};
+  const notifications = inbox.notifications || [];
+  const unreadCount = inbox.unreadCount || 0;
+
+  return (
+    <div className="relative flex-shrink-0">
+      <button
+        type="button"
+        onClick={() => setOpen((value) => !value)}
+        className="relative text-gray-400 hover:text-gray-600 p-0.5 sm:p-1"
+        title="Notifications"
+      >
+        <Bell className="h-3.5 w-3.5 sm:h-4 sm:w-4 md:h-5 md:w-5" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 bg-red-500 text-white text-[10px] rounded-full min-w-[1rem] h-4 px-1 flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute left-0 mt-2 w-80 max-h-96 overflow-y-auto bg-white border border-gray-200 rounded-lg shadow-lg z-50">
+          <div className="flex items-center justify-between px-3 py-2 border-b border-gray-100">
+            <span className="text-sm font-medium text-gray-900">Notifications</span>
+            {unreadCount > 0 && (
+              <button
+                type="button"
+                onClick={() => markRead()}
+                className="text-xs text-primary-600 hover:text-primary-700 flex items-center gap-x-1"
+              >
+                <CheckCheck className="h-3.5 w-3.5" />
+                Mark all read
+              </button>
+            )}
+          </div>
+          {notifications.length === 0 ? (
+            <p className="px-3 py-4 text-sm text-gray-500 text-center">No notifications</p>
+          ) : (
+            notifications.map((notification) => (
+              <button
+                type="button"
+                key={notification._id}
+                onClick={() => !notification.readAt && markRead([notification._id])}
+                className={`w-full text-left px-3 py-2 border-b border-gray-100 border-l-4 ${severityStyles[notification.severity] || severityStyles.info} ${notification.readAt ? 'bg-white' : 'bg-gray-50'}`}
+              >
+                <p className="text-sm font-medium text-gray-900">{notification.title}</p>
+                <p className="text-xs text-gray-600 whitespace-pre-line line-clamp-3">{notification.message}</p>
+                <p className="text-[10px] text-gray-400 mt-1">{new Date(notification.createdAt).toLocaleString()}</p>
+              </button>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
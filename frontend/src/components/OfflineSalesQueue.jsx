@@ -0,0 +1,106 @@
+import React from 'react';
+import { CloudOff, RefreshCw, AlertTriangle, Trash2 } from 'lucide-react';
+
+const describeConflict = (conflict) => {
+  if (conflict.type === 'stock') {
+    return `${conflict.productName}: ${conflict.requestedQuantity} sold, only ${conflict.availableStock} in stock`;
+  }
+  if (conflict.type === 'price') {
+    return `${conflict.productName}: price changed from ${conflict.cachedPrice.toFixed(2)} to ${conflict.currentPrice.toFixed(2)}`;
+  }
+  return conflict.message || 'Product no longer exists';
+};
+
+/**
+ * Pending offline sales with sync status and conflict review
+ */
+export const OfflineSalesQueue = ({
+  isOffline,
+  isSyncing,
+  pendingCount,
+  reviewSales,
+  onSync,
+  onResolve,
+  onDiscard,
+}) => {
+  if (!isOffline && pendingCount === 0 && reviewSales.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mb-4 rounded-lg border border-yellow-300 bg-yellow-50 p-3 text-sm">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2 text-yellow-800">
+          <CloudOff className="h-4 w-4" />
+          <span>
+            {isOffline ? 'Offline mode: sales are saved on this device. ' : ''}
+            {pendingCount} sale{pendingCount === 1 ? '' : 's'} waiting to sync
+          </span>
+        </div>
+        {!isOffline && pendingCount > 0 && (
+          <button
+            type="button"
+            onClick={onSync}
+            disabled={isSyncing}
+            className="btn btn-secondary btn-sm flex items-center space-x-1"
+          >
+            <RefreshCw className={`h-4 w-4 ${isSyncing ? 'animate-spin' : ''}`} />
+            <span>{isSyncing ? 'Syncing...' : 'Sync now'}</span>
+          </button>
+        )}
+      </div>
+
+      {reviewSales.map((sale) => {
+        const types = new Set((sale.conflicts || []).map((c) => c.type));
+        return (
+          <div key={sale.idempotencyKey} className="mt-3 rounded border border-red-200 bg-white p-2">
+            <div className="flex items-center justify-between">
+              <div className="flex items-center space-x-1 font-medium text-red-700">
+                <AlertTriangle className="h-4 w-4" />
+                <span>Sale from {new Date(sale.createdAt).toLocaleString()}</span>
+              </div>
+              <button
+                type="button"
+                onClick={() => onDiscard(sale.idempotencyKey)}
+                className="text-gray-500 hover:text-red-600"
+                title="Discard sale"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+            {sale.status === 'failed' && <p className="mt-1 text-red-600">{sale.lastError}</p>}
+            <ul className="mt-1 list-disc pl-5 text-gray-700">
+              {(sale.conflicts || []).map((conflict, index) => (
+                <li key={index}>{describeConflict(conflict)}</li>
+              ))}
+            </ul>
+            <div className="mt-2 flex flex-wrap gap-2">
+              {types.has('price') && (
+                <>
+                  <button type="button" className="btn btn-secondary btn-sm" onClick={() => onResolve(sale.idempotencyKey, 'current_prices')}>
+                    Use current prices
+                  </button>
+                  <button type="button" className="btn btn-secondary btn-sm" onClick={() => onResolve(sale.idempotencyKey, 'keep_prices')}>
+                    Keep prices charged
+                  </button>
+                </>
+              )}
+              {(types.has('stock') || types.has('missing')) && (
+                <button type="button" className="btn btn-secondary btn-sm" onClick={() => onResolve(sale.idempotencyKey, 'available_stock')}>
+                  Sell available stock only
+                </button>
+              )}
+              {sale.status === 'failed' && (
+                <button type="button" className="btn btn-secondary btn-sm" onClick={() => onResolve(sale.idempotencyKey, 'retry')}>
+                  Retry
+                </button>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default OfflineSalesQueue;
@@ -209,13 +209,21 @@ const PLStatementDetail = ({ statement, onExport, onShare }) => {
                     -{formatCurrency(statement.revenue?.salesDiscounts?.amount)}
                   </span>
                 </div>
+                {statement.revenue?.salesDiscounts?.promotionCost > 0 && (
+                  <div className="flex justify-between items-center mt-1 text-sm">
+                    <span className="text-gray-600 ml-4">of which promotions</span>
+                    <span className="text-gray-900">{formatCurrency(statement.revenue.salesDiscounts.promotionCost)}</span>
+                  </div>
+                )}
               </div>
               
               {showDetails && statement.revenue?.salesDiscounts?.details?.length > 0 && (
                 <div className="px-4 py-2 bg-gray-25 border-b border-gray-200">
                   {statement.revenue.salesDiscounts.details.map((detail, index) => (
                     <div key={index} className="flex justify-between items-center py-1 text-sm">
-                      <span className="text-gray-600 ml-4 capitalize">{detail.type || 'Discount'}</span>
+                      <span className="text-gray-600 ml-4 capitalize">
+                        {detail.type?.startsWith('promotion:') ? `Promotion: ${detail.description}` : detail.type || 'Discount'}
+                      </span>
                       <span className="text-gray-900">{formatCurrency(detail.amount)}</span>
                     </div>
                   ))}
@@ -1,6 +1,10 @@
 import React, { useRef, useEffect, useMemo } from 'react';
-import { X, Printer } from 'lucide-react';
+import { X, Printer, FileText, Receipt } from 'lucide-react';
+import toast from 'react-hot-toast';
 import { useCompanyInfo } from '../hooks/useCompanyInfo';
+import { usePrintDocumentMutation } from '../store/services/documentTemplatesApi';
+import { useReceiptPrinter } from '../hooks/useReceiptPrinter';
+import { handleApiError } from '../utils/errorHandler';
 
 const PrintModal = ({
   isOpen,
@@ -8,9 +12,13 @@ const PrintModal = ({
   orderData,
   companyInfo,
   documentTitle = 'Invoice',
-  partyLabel = 'Customer'
+  partyLabel = 'Customer',
+  // Saved documents of this type can also be printed through the tenant's document template
+  templateDocumentType = null
 }) => {
   const printRef = useRef(null);
+  const [printDocument, { isLoading: isRenderingPdf }] = usePrintDocumentMutation();
+  const { printer, printReceipt, isPrinting } = useReceiptPrinter();
   const { companyInfo: companySettings } = useCompanyInfo();
   const resolvedDocumentTitle = documentTitle || 'Invoice';
 
@@ -205,6 +213,26 @@ const PrintModal = ({
     { label: 'Amount:', value: formatCurrency(paymentAmount) }
   ];
 
+  const handleTemplatePdf = async () => {
+    try {
+      const blob = await printDocument({ documentType: templateDocumentType, documentId: orderData._id }).unwrap();
+      const url = window.URL.createObjectURL(new Blob([blob], { type: 'application/pdf' }));
+      window.open(url, '_blank');
+      setTimeout(() => window.URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      handleApiError(error, 'Failed to generate PDF');
+    }
+  };
+
+  const handleReceiptPrinter = async () => {
+    try {
+      const result = await printReceipt(orderData._id);
+      toast.success(result?.data?.drawerOpened ? 'Receipt printed, drawer opened' : 'Receipt printed');
+    } catch (error) {
+      handleApiError(error, 'Receipt printer failed');
+    }
+  };
+
   const handlePrint = () => {
     const printContent = printRef.current;
     const printWindow = window.open('', '_blank');
@@ -391,6 +419,26 @@ const PrintModal = ({
                     <Printer className="h-4 w-4" />
                     <span>Print</span>
                   </button>
+                  {templateDocumentType && orderData._id && (
+                    <button
+                      onClick={handleTemplatePdf}
+                      disabled={isRenderingPdf}
+                      className="btn btn-secondary btn-md flex items-center space-x-2 px-4"
+                    >
+                      <FileText className="h-4 w-4" />
+                      <span>{isRenderingPdf ? 'Generating...' : 'PDF'}</span>
+                    </button>
+                  )}
+                  {templateDocumentType === 'sales_invoice' && orderData._id && printer?.host && (
+                    <button
+                      onClick={handleReceiptPrinter}
+                      disabled={isPrinting}
+                      className="btn btn-secondary btn-md flex items-center space-x-2 px-4"
+                    >
+                      <Receipt className="h-4 w-4" />
+                      <span>{isPrinting ? 'Printing...' : 'Receipt printer'}</span>
+                    </button>
+                  )}
                   <button
                     onClick={onClose}
                     className="btn btn-secondary-outline btn-md flex items-center space-x-2 px-4 text-gray-700 border border-gray-300 hover:bg-gray-100"
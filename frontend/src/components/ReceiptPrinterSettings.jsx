@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from 'react';
+import { Printer, Plus, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useReceiptPrinter } from '../hooks/useReceiptPrinter';
+import { useSaveReceiptPrintersMutation } from '../store/services/receiptPrinterApi';
+import { useAuth } from '../contexts/AuthContext';
+import { LoadingButton } from './LoadingSpinner';
+import { handleApiError } from '../utils/errorHandler';
+
+const emptyPrinter = { name: '', host: '', port: 9100, paperSize: 'THERMAL_80' };
+
+const ShopPrinters = ({ printers }) => {
+  const [rows, setRows] = useState(printers);
+  const [savePrinters, { isLoading }] = useSaveReceiptPrintersMutation();
+
+  useEffect(() => setRows(printers), [printers]);
+
+  const set = (index, field, value) => setRows((prev) => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    try {
+      await savePrinters(rows.map((row) => ({ ...row, name: row.name.trim(), host: row.host.trim(), port: Number(row.port) || 9100 }))).unwrap();
+      toast.success('Shop printers saved');
+    } catch (error) {
+      handleApiError(error, 'Save shop printers');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSave} className="space-y-2">
+      <h3 className="text-sm font-semibold text-gray-700">Shop printers</h3>
+      {rows.map((row, index) => (
+        <div key={row._id || index} className="grid grid-cols-1 md:grid-cols-5 gap-2">
+          <input className="input" placeholder="Front till" value={row.name} onChange={(e) => set(index, 'name', e.target.value)} required />
+          <input className="input" placeholder="192.168.1.50" value={row.host} onChange={(e) => set(index, 'host', e.target.value)} required />
+          <input type="number" min="1" max="65535" className="input" value={row.port} onChange={(e) => set(index, 'port', e.target.value)} />
+          <select className="input" value={row.paperSize} onChange={(e) => set(index, 'paperSize', e.target.value)}>
+            <option value="THERMAL_80">80mm</option>
+            <option value="THERMAL_58">58mm</option>
+          </select>
+          <button type="button" onClick={() => setRows((prev) => prev.filter((_, i) => i !== index))} className="text-red-600 hover:text-red-800 justify-self-start">
+            <Trash2 className="h-4 w-4" />
+          </button>
+        </div>
+      ))}
+      <div className="flex justify-between">
+        <button type="button" onClick={() => setRows((prev) => [...prev, emptyPrinter])} className="btn btn-secondary flex items-center">
+          <Plus className="h-4 w-4 mr-1" />
+          Add printer
+        </button>
+        <LoadingButton type="submit" isLoading={isLoading} className="btn btn-primary">Save shop printers</LoadingButton>
+      </div>
+    </form>
+  );
+};
+
+const ReceiptPrinterSettings = () => {
+  const { hasPermission } = useAuth();
+  const { printers, printer, savePrinter, printTestPage, openCashDrawer, isTesting, isOpeningDrawer } = useReceiptPrinter();
+  const [form, setForm] = useState({ printerId: printer?._id || '', autoPrint: !!printer?.autoPrint });
+
+  useEffect(() => {
+    if (printer) setForm({ printerId: printer._id, autoPrint: printer.autoPrint });
+  }, [printer]);
+
+  const set = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const handleSave = (event) => {
+    event.preventDefault();
+    savePrinter(form);
+    toast.success(form.printerId ? 'Receipt printer saved on this device' : 'Receipt printer removed from this device');
+  };
+
+  const handleTest = async () => {
+    try {
+      await printTestPage(form.printerId);
+      toast.success('Test page sent');
+    } catch (error) {
+      handleApiError(error, 'Printer test failed');
+    }
+  };
+
+  const handleDrawer = async () => {
+    try {
+      await openCashDrawer(form.printerId);
+      toast.success('Cash drawer opened');
+    } catch (error) {
+      handleApiError(error, 'Failed to open cash drawer');
+    }
+  };
+
+  return (
+    <div className="card p-6 space-y-4">
+      <div className="flex items-center space-x-2">
+        <Printer className="h-5 w-5 text-gray-600" />
+        <div>
+          <h2 className="text-lg font-semibold">Receipt printers</h2>
+          <p className="text-sm text-gray-600">
+            ESC/POS network printers on raw TCP. Receipts use the default sales invoice template and open the drawer on cash sales.
+          </p>
+        </div>
+      </div>
+
+      {hasPermission('print_settings') && <ShopPrinters printers={printers} />}
+
+      <form onSubmit={handleSave} className="space-y-4">
+        <h3 className="text-sm font-semibold text-gray-700">This device</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <select className="input" value={form.printerId} onChange={(e) => set('printerId', e.target.value)}>
+            <option value="">No receipt printer</option>
+            {printers.map((item) => <option key={item._id} value={item._id}>{item.name} ({item.host})</option>)}
+          </select>
+          <label className="flex items-center space-x-2 text-sm">
+            <input type="checkbox" checked={form.autoPrint} onChange={(e) => set('autoPrint', e.target.checked)} />
+            <span>Print automatically after each sale</span>
+          </label>
+        </div>
+        <div className="flex justify-end space-x-2">
+          <LoadingButton type="button" onClick={handleTest} isLoading={isTesting} disabled={!form.printerId} className="btn btn-secondary">
+            Test page
+          </LoadingButton>
+          <LoadingButton type="button" onClick={handleDrawer} isLoading={isOpeningDrawer} disabled={!form.printerId} className="btn btn-secondary">
+            Open drawer
+          </LoadingButton>
+          <button type="submit" className="btn btn-primary">Save</button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ReceiptPrinterSettings;
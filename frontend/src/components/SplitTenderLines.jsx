@@ -0,0 +1,166 @@
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+
+export const TENDER_METHODS = [
+  { value: 'cash', label: 'Cash' },
+  { value: 'credit_card', label: 'Credit Card' },
+  { value: 'debit_card', label: 'Debit Card' },
+  { value: 'check', label: 'Check' },
+  { value: 'bank', label: 'Bank Transfer' },
+  { value: 'gift_card', label: 'Gift Card' },
+  { value: 'store_credit', label: 'Store Credit' },
+];
+
+const REFERENCE_PLACEHOLDERS = {
+  credit_card: 'Auth code',
+  debit_card: 'Auth code',
+  check: 'Check number',
+  bank: 'Transfer reference',
+  gift_card: 'Card code',
+  store_credit: 'Card code',
+};
+
+/**
+ * Work out what the tender lines settle: non-cash lines at face value, the cash line
+ * covers the rest and anything handed over beyond that is change
+ */
+export const summarizeTenders = (tenders, amountDue) => {
+  const nonCash = tenders
+    .filter(t => t.method !== 'cash')
+    .reduce((sum, t) => sum + (Number(t.amount) || 0), 0);
+  const cashTendered = tenders
+    .filter(t => t.method === 'cash')
+    .reduce((sum, t) => sum + (Number(t.tendered) || 0), 0);
+  const cashApplied = Math.max(Math.min(cashTendered, amountDue - nonCash), 0);
+  const amountPaid = nonCash + cashApplied;
+  return {
+    amountPaid,
+    change: cashTendered - cashApplied,
+    remaining: Math.max(amountDue - amountPaid, 0),
+    overTendered: nonCash > amountDue,
+  };
+};
+
+/**
+ * Editable list of tender lines for a split payment
+ */
+export const SplitTenderLines = ({ tenders, onChange, amountDue, banks = [] }) => {
+  const summary = summarizeTenders(tenders, amountDue);
+  const hasCash = tenders.some(t => t.method === 'cash');
+
+  const updateLine = (index, changes) => {
+    onChange(tenders.map((tender, i) => (i === index ? { ...tender, ...changes } : tender)));
+  };
+
+  const addLine = () => {
+    onChange([...tenders, { method: hasCash ? 'credit_card' : 'cash', amount: summary.remaining, tendered: summary.remaining, reference: '' }]);
+  };
+
+  const removeLine = (index) => {
+    onChange(tenders.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="mt-3 border border-blue-200 rounded-md p-3 bg-white">
+      <div className="space-y-2">
+        {tenders.map((tender, index) => (
+          <div key={index} className="flex flex-wrap items-center gap-2">
+            <select
+              value={tender.method}
+              onChange={(e) => updateLine(index, { method: e.target.value, bankAccount: '' })}
+              className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+            >
+              {TENDER_METHODS.map(method => (
+                <option
+                  key={method.value}
+                  value={method.value}
+                  disabled={method.value === 'cash' && hasCash && tender.method !== 'cash'}
+                >
+                  {method.label}
+                </option>
+              ))}
+            </select>
+            {tender.method === 'cash' ? (
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={tender.tendered}
+                onChange={(e) => updateLine(index, { tendered: parseFloat(e.target.value) || 0 })}
+                onFocus={(e) => e.target.select()}
+                className="w-28 px-2 py-1 border border-gray-300 rounded-md text-sm"
+                placeholder="Tendered"
+              />
+            ) : (
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={tender.amount}
+                onChange={(e) => updateLine(index, { amount: parseFloat(e.target.value) || 0 })}
+                onFocus={(e) => e.target.select()}
+                className="w-28 px-2 py-1 border border-gray-300 rounded-md text-sm"
+                placeholder="Amount"
+              />
+            )}
+            {tender.method === 'bank' && (
+              <select
+                value={tender.bankAccount || ''}
+                onChange={(e) => updateLine(index, { bankAccount: e.target.value })}
+                className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+              >
+                <option value="">Bank account...</option>
+                {banks.map(bank => (
+                  <option key={bank._id} value={bank._id}>
+                    {bank.bankName} - {bank.accountNumber}
+                  </option>
+                ))}
+              </select>
+            )}
+            {tender.method !== 'cash' && (
+              <input
+                type="text"
+                value={tender.reference || ''}
+                onChange={(e) => updateLine(index, { reference: e.target.value })}
+                className="flex-1 min-w-[120px] px-2 py-1 border border-gray-300 rounded-md text-sm"
+                placeholder={REFERENCE_PLACEHOLDERS[tender.method]}
+              />
+            )}
+            <button
+              type="button"
+              onClick={() => removeLine(index)}
+              className="p-1 text-red-600 hover:text-red-800"
+              title="Remove tender"
+            >
+              <Trash2 className="h-4 w-4" />
+            </button>
+          </div>
+        ))}
+      </div>
+      <div className="flex items-center justify-between mt-3 text-sm">
+        <button
+          type="button"
+          onClick={addLine}
+          className="flex items-center gap-1 text-blue-600 hover:text-blue-800 font-medium"
+        >
+          <Plus className="h-4 w-4" />
+          Add tender
+        </button>
+        <div className="text-right">
+          {summary.overTendered ? (
+            <span className="text-red-600">Non-cash tenders exceed the amount due</span>
+          ) : (
+            <>
+              <span className="text-gray-700">Remaining: {summary.remaining.toFixed(2)}</span>
+              {summary.change > 0 && (
+                <span className="ml-3 text-green-700 font-semibold">Change: {summary.change.toFixed(2)}</span>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SplitTenderLines;
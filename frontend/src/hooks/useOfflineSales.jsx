@@ -0,0 +1,198 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { nanoid } from '@reduxjs/toolkit';
+import { useOffline } from './useOffline';
+import { useCreateSaleMutation } from '../store/services/salesApi';
+import {
+  queueSale,
+  getQueuedSales,
+  updateQueuedSale,
+  removeQueuedSale,
+  decrementCachedStock,
+} from '../utils/offlineStore';
+import { showSuccessToast, showErrorToast } from '../utils/errorHandler';
+
+const DEVICE_ID_KEY = 'posDeviceId';
+
+const getDeviceId = () => {
+  let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+  if (!deviceId) {
+    deviceId = `pos-${nanoid(10)}`;
+    localStorage.setItem(DEVICE_ID_KEY, deviceId);
+  }
+  return deviceId;
+};
+
+/**
+ * Apply a conflict resolution to a queued sale
+ * - current_prices: charge the server's current list price
+ * - keep_prices: keep the price charged offline (acknowledges the new list price)
+ * - available_stock: reduce quantities to what is in stock, dropping empty lines
+ */
+export const applyConflictResolution = (sale, resolution) => {
+  const conflicts = sale.conflicts || [];
+  const byProduct = (type) => new Map(
+    conflicts.filter((c) => c.type === type).map((c) => [String(c.product), c])
+  );
+  let items = [...sale.payload.items];
+  let remaining = conflicts;
+
+  if (resolution === 'current_prices' || resolution === 'keep_prices') {
+    const priceConflicts = byProduct('price');
+    items = items.map((item) => {
+      const conflict = priceConflicts.get(String(item.product));
+      if (!conflict) return item;
+      return resolution === 'current_prices'
+        ? { ...item, unitPrice: conflict.currentPrice, cachedPrice: conflict.currentPrice }
+        : { ...item, cachedPrice: conflict.currentPrice };
+    });
+    remaining = remaining.filter((c) => c.type !== 'price');
+  }
+
+  if (resolution === 'available_stock') {
+    const stockConflicts = byProduct('stock');
+    const missing = byProduct('missing');
+    items = items
+      .filter((item) => !missing.has(String(item.product)))
+      .map((item) => {
+        const conflict = stockConflicts.get(String(item.product));
+        return conflict ? { ...item, quantity: conflict.availableStock } : item;
+      })
+      .filter((item) => item.quantity > 0);
+    remaining = remaining.filter((c) => c.type !== 'stock' && c.type !== 'missing');
+  }
+
+  return {
+    ...sale,
+    payload: { ...sale.payload, items },
+    conflicts: remaining,
+    status: remaining.length > 0 ? 'conflict' : 'pending',
+  };
+};
+
+/**
+ * Queue POS sales while offline and replay them to /api/sales on reconnect.
+ * Each queued sale keeps its client-generated idempotency key, so a replay that
+ * already reached the server returns the stored sale instead of a duplicate.
+ */
+export const useOfflineSales = () => {
+  const isOffline = useOffline();
+  const [createSale] = useCreateSaleMutation();
+  const [queuedSales, setQueuedSales] = useState([]);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const isSyncingRef = useRef(false);
+
+  const refreshQueue = useCallback(async () => {
+    try {
+      setQueuedSales(await getQueuedSales());
+    } catch {
+      setQueuedSales([]);
+    }
+  }, []);
+
+  const queueOfflineSale = useCallback(async (payload) => {
+    const idempotencyKey = nanoid();
+    const createdAt = new Date().toISOString();
+    await queueSale({
+      idempotencyKey,
+      createdAt,
+      payload: {
+        ...payload,
+        offline: { clientCreatedAt: createdAt, deviceId: getDeviceId() },
+      },
+    });
+    await decrementCachedStock(payload.items);
+    await refreshQueue();
+    return idempotencyKey;
+  }, [refreshQueue]);
+
+  const syncQueue = useCallback(async () => {
+    if (isSyncingRef.current || !navigator.onLine) return;
+    isSyncingRef.current = true;
+    setIsSyncing(true);
+
+    let synced = 0;
+    let needsReview = 0;
+    try {
+      const sales = await getQueuedSales();
+      for (const sale of sales) {
+        if (sale.status !== 'pending') continue;
+        try {
+          await createSale({ payload: sale.payload, idempotencyKey: sale.idempotencyKey }).unwrap();
+          await removeQueuedSale(sale.idempotencyKey);
+          synced += 1;
+        } catch (error) {
+          // Connection dropped again: stop and wait for the next reconnect
+          if (!error?.status) break;
+
+          const code = error?.data?.error?.code;
+          if (code === 'DUPLICATE_REQUEST') continue; // still being processed; retried next sync
+          needsReview += 1;
+          await updateQueuedSale({
+            ...sale,
+            status: code === 'OFFLINE_SYNC_CONFLICT' ? 'conflict' : 'failed',
+            conflicts: error?.data?.error?.conflicts || [],
+            attempts: (sale.attempts || 0) + 1,
+            lastError: error?.data?.message || 'Sync failed',
+          });
+        }
+      }
+    } finally {
+      isSyncingRef.current = false;
+      setIsSyncing(false);
+      await refreshQueue();
+    }
+
+    if (synced > 0) {
+      showSuccessToast(`${synced} offline sale${synced > 1 ? 's' : ''} synced`);
+    }
+    if (needsReview > 0) {
+      showErrorToast(`${needsReview} offline sale${needsReview > 1 ? 's need' : ' needs'} review`);
+    }
+  }, [createSale, refreshQueue]);
+
+  const resolveSale = useCallback(async (idempotencyKey, resolution) => {
+    const sale = queuedSales.find((s) => s.idempotencyKey === idempotencyKey);
+    if (!sale) return;
+    if (resolution === 'retry') {
+      await updateQueuedSale({ ...sale, status: 'pending', conflicts: [], lastError: null });
+    } else {
+      const resolved = applyConflictResolution(sale, resolution);
+      if (resolved.payload.items.length === 0) {
+        await removeQueuedSale(idempotencyKey);
+      } else {
+        await updateQueuedSale(resolved);
+      }
+    }
+    await refreshQueue();
+  }, [queuedSales, refreshQueue]);
+
+  const discardSale = useCallback(async (idempotencyKey) => {
+    await removeQueuedSale(idempotencyKey);
+    await refreshQueue();
+  }, [refreshQueue]);
+
+  useEffect(() => {
+    refreshQueue();
+  }, [refreshQueue]);
+
+  // Replay the queue whenever the connection comes back
+  useEffect(() => {
+    if (!isOffline) {
+      syncQueue();
+    }
+  }, [isOffline, syncQueue]);
+
+  return {
+    isOffline,
+    isSyncing,
+    queuedSales,
+    pendingCount: queuedSales.filter((s) => s.status === 'pending').length,
+    reviewSales: queuedSales.filter((s) => s.status !== 'pending'),
+    queueOfflineSale,
+    syncQueue,
+    resolveSale,
+    discardSale,
+  };
+};
+
+export default useOfflineSales;
@@ -0,0 +1,75 @@
+import { useState, useCallback, useMemo } from 'react';
+import {
+  useGetReceiptPrintersQuery,
+  usePrintReceiptMutation,
+  useOpenCashDrawerMutation,
+  usePrintTestPageMutation,
+} from '../store/services/receiptPrinterApi';
+
+// The shop's printers are tenant settings; which one this till uses is remembered per device
+const PRINTER_KEY = 'receiptPrinter';
+
+const loadChoice = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PRINTER_KEY)) || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * This device's network receipt printer: one of the shop's printers plus { autoPrint }
+ */
+export const useReceiptPrinter = () => {
+  const [choice, setChoice] = useState(loadChoice);
+  const { data: printersData } = useGetReceiptPrintersQuery();
+  const [printReceiptRequest, { isLoading: isPrinting }] = usePrintReceiptMutation();
+  const [openCashDrawerRequest, { isLoading: isOpeningDrawer }] = useOpenCashDrawerMutation();
+  const [printTestPageRequest, { isLoading: isTesting }] = usePrintTestPageMutation();
+
+  const printers = useMemo(() => printersData?.data || [], [printersData]);
+  const printer = useMemo(() => {
+    const match = choice?.printerId && printers.find((item) => item._id === choice.printerId);
+    return match ? { ...match, autoPrint: !!choice.autoPrint } : null;
+  }, [choice, printers]);
+
+  const savePrinter = useCallback((settings) => {
+    if (settings?.printerId) {
+      const next = { printerId: settings.printerId, autoPrint: !!settings.autoPrint };
+      localStorage.setItem(PRINTER_KEY, JSON.stringify(next));
+      setChoice(next);
+    } else {
+      localStorage.removeItem(PRINTER_KEY);
+      setChoice(null);
+    }
+  }, []);
+
+  const printReceipt = useCallback(
+    (saleId) => printReceiptRequest({ saleId, printerId: printer._id }).unwrap(),
+    [printReceiptRequest, printer]
+  );
+
+  const openCashDrawer = useCallback(
+    (printerId = printer?._id) => openCashDrawerRequest({ printerId }).unwrap(),
+    [openCashDrawerRequest, printer]
+  );
+
+  const printTestPage = useCallback(
+    (printerId = printer?._id) => printTestPageRequest({ printerId }).unwrap(),
+    [printTestPageRequest, printer]
+  );
+
+  return {
+    printers,
+    printer,
+    savePrinter,
+    printReceipt,
+    openCashDrawer,
+    printTestPage,
+    isPrinting,
+    isOpeningDrawer,
+    isTesting,
+  };
+};
+
+export default useReceiptPrinter;
@@ -0,0 +1,383 @@
+import React, { useMemo, useState } from 'react';
+import { CalendarClock, Plus, Search, Zap, XCircle, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import {
+  useGetAmortizationSchedulesQuery,
+  useGetAmortizationScheduleQuery,
+  useLazyGetAmortizationSourceLinesQuery,
+  useCreateAmortizationScheduleMutation,
+  useRunAmortizationMutation,
+  useCancelAmortizationScheduleMutation,
+} from '../store/services/amortizationApi';
+import { useGetAccountsQuery } from '../store/services/chartOfAccountsApi';
+import { useAuth } from '../contexts/AuthContext';
+import { LoadingSpinner, LoadingButton } from '../components/LoadingSpinner';
+import { handleApiError } from '../utils/errorHandler';
+import { formatCurrency } from '../utils/formatters';
+
+const TYPE_LABELS = {
+  prepaid_expense: 'Prepaid expense',
+  deferred_revenue: 'Deferred revenue',
+};
+
+const SOURCE_LABELS = {
+  purchase_invoice: 'Purchase invoice',
+  sale: 'Sales invoice',
+};
+
+const STATUS_STYLES = {
+  active: 'bg-green-100 text-green-800',
+  completed: 'bg-gray-100 text-gray-700',
+  cancelled: 'bg-red-100 text-red-800',
+  scheduled: 'bg-blue-100 text-blue-800',
+  posted: 'bg-green-100 text-green-800',
+};
+
+const toInputDate = (date) => new Date(date).toISOString().slice(0, 10);
+const formatMonth = (date) => new Date(date).toLocaleDateString(undefined, { month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+const StatusBadge = ({ status }) => (
+  <span className={`px-2 py-0.5 rounded text-xs font-medium ${STATUS_STYLES[status] || ''}`}>{status}</span>
+);
+
+const ScheduleForm = ({ accounts, onClose }) => {
+  const [documentType, setDocumentType] = useState('purchase_invoice');
+  const [reference, setReference] = useState('');
+  const [form, setForm] = useState({ lineIndex: null, amount: '', quantity: '', startDate: '', months: 12, method: 'equal', recognitionAccountCode: '', description: '' });
+  const [loadLines, { data: sourceData, isFetching }] = useLazyGetAmortizationSourceLinesQuery();
+  const [createSchedule, { isLoading }] = useCreateAmortizationScheduleMutation();
+
+  const source = sourceData?.data;
+  const recognitionType = documentType === 'sale' ? 'revenue' : 'expense';
+  // Bill lines are deferred by units, which leave stock
+  const byQuantity = documentType === 'purchase_invoice';
+  const recognitionAccounts = accounts.filter((account) => account.accountType === recognitionType);
+
+  const handleLookup = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await loadLines({ documentType, reference }).unwrap();
+      setForm({ ...form, lineIndex: null, amount: '', quantity: '', startDate: toInputDate(response.data.date) });
+    } catch (error) {
+      handleApiError(error, 'Find document');
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await createSchedule({
+        ...form,
+        documentType,
+        document: source.document,
+        amount: !byQuantity && form.amount ? Number(form.amount) : undefined,
+        quantity: byQuantity && form.quantity ? Number(form.quantity) : undefined,
+        months: Number(form.months),
+      }).unwrap();
+      toast.success(`${response.data.scheduleNumber} created`);
+      onClose();
+    } catch (error) {
+      handleApiError(error, 'Create amortization schedule');
+    }
+  };
+
+  return (
+    <div className="card p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold">New amortization schedule</h2>
+        <button type="button" onClick={onClose} className="text-gray-500 hover:text-gray-700"><X className="h-5 w-5" /></button>
+      </div>
+
+      <form onSubmit={handleLookup} className="flex flex-wrap items-end gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Document</label>
+          <select className="input" value={documentType} onChange={(e) => setDocumentType(e.target.value)}>
+            {Object.entries(SOURCE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Number</label>
+          <input className="input" value={reference} onChange={(e) => setReference(e.target.value)} required />
+        </div>
+        <LoadingButton type="submit" isLoading={isFetching} className="btn btn-secondary flex items-center">
+          <Search className="h-4 w-4 mr-2" />
+          Find lines
+        </LoadingButton>
+      </form>
+
+      {source && (
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 uppercase">
+                <th className="py-1" />
+                <th className="py-1">Line</th>
+                <th className="py-1 text-right">Qty</th>
+                <th className="py-1 text-right">Amount</th>
+                <th className="py-1 text-right">Already scheduled</th>
+              </tr>
+            </thead>
+            <tbody>
+              {source.lines.map((line) => (
+                <tr key={line.lineIndex}>
+                  <td className="py-1">
+                    <input
+                      type="radio"
+                      name="lineIndex"
+                      checked={form.lineIndex === line.lineIndex}
+                      disabled={line.scheduled >= line.amount}
+                      onChange={() => setForm({ ...form, lineIndex: line.lineIndex })}
+                    />
+                  </td>
+                  <td className="py-1">{line.product}</td>
+                  <td className="py-1 text-right">{line.quantity}</td>
+                  <td className="py-1 text-right">{formatCurrency(line.amount)}</td>
+                  <td className="py-1 text-right">
+                    {line.scheduled ? formatCurrency(line.scheduled) : '—'}
+                    {line.scheduledQuantity > 0 && <span className="text-xs text-gray-500"> ({line.scheduledQuantity} units)</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="flex flex-wrap items-end gap-4">
+            {byQuantity ? (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Units from stock</label>
+                <input type="number" min="1" className="input w-28" placeholder="Rest of line" value={form.quantity} onChange={(e) => setForm({ ...form, quantity: e.target.value })} />
+              </div>
+            ) : (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Amount</label>
+                <input type="number" min="0.01" step="0.01" className="input w-32" placeholder="Whole line" value={form.amount} onChange={(e) => setForm({ ...form, amount: e.target.value })} />
+              </div>
+            )}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Covers from</label>
+              <input type="date" className="input" value={form.startDate} onChange={(e) => setForm({ ...form, startDate: e.target.value })} required />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Months</label>
+              <input type="number" min="1" max="120" className="input w-20" value={form.months} onChange={(e) => setForm({ ...form, months: e.target.value })} required />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Spread</label>
+              <select className="input" value={form.method} onChange={(e) => setForm({ ...form, method: e.target.value })}>
+                <option value="equal">Equal each month</option>
+                <option value="daily">By days in month</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Recognize in</label>
+              <select
+                className="input"
+                value={form.recognitionAccountCode}
+                onChange={(e) => setForm({ ...form, recognitionAccountCode: e.target.value })}
+                required={documentType !== 'sale'}
+              >
+                <option value="">{documentType === 'sale' ? 'Sales revenue' : 'Select account'}</option>
+                {recognitionAccounts.map((account) => (
+                  <option key={account._id} value={account.accountCode}>{account.accountCode} — {account.accountName}</option>
+                ))}
+              </select>
+            </div>
+            <div className="flex-1 min-w-[12rem]">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+              <input className="input w-full" placeholder="e.g. Shop rent Jan–Dec" value={form.description} onChange={(e) => setForm({ ...form, description: e.target.value })} />
+            </div>
+          </div>
+
+          <div className="flex justify-end">
+            <LoadingButton type="submit" isLoading={isLoading} disabled={form.lineIndex === null} className="btn btn-primary flex items-center">
+              <Plus className="h-4 w-4 mr-2" />
+              Create schedule
+            </LoadingButton>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+const ScheduleDetail = ({ id }) => {
+  const { data, isLoading } = useGetAmortizationScheduleQuery(id);
+  const schedule = data?.data;
+
+  if (isLoading || !schedule) return <LoadingSpinner />;
+
+  return (
+    <div className="text-sm space-y-2">
+      <p className="text-gray-600">
+        {SOURCE_LABELS[schedule.source.documentType]} {schedule.source.reference}, line {schedule.source.lineIndex + 1}:
+        {' '}{schedule.sourceAccountCode} → {schedule.balanceAccountCode} → {schedule.recognitionAccountCode}
+      </p>
+      {schedule.lastError && <p className="text-red-600">{schedule.lastError}</p>}
+      <table className="min-w-full">
+        <tbody>
+          {schedule.lines.map((line) => (
+            <tr key={line.periodEnd}>
+              <td className="py-1">{formatMonth(line.periodEnd)}</td>
+              <td className="py-1 text-right">{formatCurrency(line.amount)}</td>
+              <td className="py-1 pl-4"><StatusBadge status={line.status} /></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const AmortizationSchedules = () => {
+  const { hasPermission } = useAuth();
+  const canManage = hasPermission('manage_reports');
+  const [typeFilter, setTypeFilter] = useState('');
+  const [statusFilter, setStatusFilter] = useState('active');
+  const [showForm, setShowForm] = useState(false);
+  const [openId, setOpenId] = useState(null);
+  const { data, isLoading } = useGetAmortizationSchedulesQuery({
+    ...(typeFilter && { type: typeFilter }),
+    ...(statusFilter && { status: statusFilter }),
+  });
+  const { data: accountsResponse } = useGetAccountsQuery({ isActive: 'true' });
+  const [runAmortization, { isLoading: running }] = useRunAmortizationMutation();
+  const [cancelSchedule] = useCancelAmortizationScheduleMutation();
+
+  const schedules = data?.data?.schedules || [];
+  const accounts = useMemo(() => {
+    const list = accountsResponse?.data?.accounts || accountsResponse?.data || accountsResponse || [];
+    return Array.isArray(list) ? [...list].sort((a, b) => a.accountCode.localeCompare(b.accountCode)) : [];
+  }, [accountsResponse]);
+
+  const handleRun = async () => {
+    try {
+      const response = await runAmortization({}).unwrap();
+      const { posted, failed } = response.data;
+      if (failed) {
+        toast.error(`${posted} month(s) recognized, ${failed} could not be posted`);
+      } else {
+        toast.success(posted ? `${posted} month(s) recognized` : 'Nothing due');
+      }
+    } catch (error) {
+      handleApiError(error, 'Run amortization');
+    }
+  };
+
+  const handleCancel = async (schedule) => {
+    if (!window.confirm(`Cancel ${schedule.scheduleNumber} and reverse its remaining ${formatCurrency(schedule.remainingAmount)}?`)) return;
+    try {
+      await cancelSchedule({ id: schedule._id, date: toInputDate(new Date()) }).unwrap();
+      toast.success(`${schedule.scheduleNumber} cancelled`);
+    } catch (error) {
+      handleApiError(error, 'Cancel amortization schedule');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+          <CalendarClock className="h-6 w-6 text-gray-600" />
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Amortization Schedules</h1>
+            <p className="text-gray-600">Prepaid expenses and deferred revenue recognized month by month</p>
+          </div>
+        </div>
+        {canManage && (
+          <div className="flex items-center gap-2">
+            <LoadingButton onClick={handleRun} isLoading={running} className="btn btn-secondary flex items-center">
+              <Zap className="h-4 w-4 mr-2" />
+              Post due months
+            </LoadingButton>
+            {!showForm && (
+              <button onClick={() => setShowForm(true)} className="btn btn-primary flex items-center">
+                <Plus className="h-4 w-4 mr-2" />
+                New schedule
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {showForm && <ScheduleForm accounts={accounts} onClose={() => setShowForm(false)} />}
+
+      <div className="card overflow-x-auto">
+        <div className="p-4 flex items-center justify-between gap-2">
+          <h2 className="text-lg font-semibold">Schedules</h2>
+          <div className="flex gap-2">
+            <select className="input w-44" value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)}>
+              <option value="">All types</option>
+              {Object.entries(TYPE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+            <select className="input w-36" value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+              <option value="">All</option>
+              <option value="active">Active</option>
+              <option value="completed">Completed</option>
+              <option value="cancelled">Cancelled</option>
+            </select>
+          </div>
+        </div>
+        {isLoading ? <LoadingSpinner /> : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Schedule</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Covers</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Recognized</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Remaining</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                {canManage && <th className="px-4 py-2" />}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {schedules.length === 0 && (
+                <tr>
+                  <td colSpan={canManage ? 8 : 7} className="px-4 py-6 text-center text-sm text-gray-500">No amortization schedules.</td>
+                </tr>
+              )}
+              {schedules.map((schedule) => (
+                <React.Fragment key={schedule._id}>
+                  <tr onClick={() => setOpenId(openId === schedule._id ? null : schedule._id)} className="hover:bg-gray-50 cursor-pointer">
+                    <td className="px-4 py-2 text-sm">
+                      <div className="font-medium">{schedule.scheduleNumber}</div>
+                      <div className="text-xs text-gray-500">{schedule.description}</div>
+                      {schedule.lastError && <div className="text-xs text-red-600">{schedule.lastError}</div>}
+                    </td>
+                    <td className="px-4 py-2 text-sm">{TYPE_LABELS[schedule.type]}</td>
+                    <td className="px-4 py-2 text-sm">
+                      {schedule.lines.length > 0 && `${formatMonth(schedule.lines[0].periodEnd)} – ${formatMonth(schedule.lines[schedule.lines.length - 1].periodEnd)}`}
+                    </td>
+                    <td className="px-4 py-2 text-sm text-right">{formatCurrency(schedule.totalAmount)}</td>
+                    <td className="px-4 py-2 text-sm text-right">{formatCurrency(schedule.recognizedAmount)}</td>
+                    <td className="px-4 py-2 text-sm text-right font-medium">{formatCurrency(schedule.remainingAmount)}</td>
+                    <td className="px-4 py-2 text-sm"><StatusBadge status={schedule.status} /></td>
+                    {canManage && (
+                      <td className="px-4 py-2 text-right" onClick={(e) => e.stopPropagation()}>
+                        {schedule.status === 'active' && (
+                          <button onClick={() => handleCancel(schedule)} className="text-red-600 hover:text-red-800" title="Cancel">
+                            <XCircle className="h-4 w-4" />
+                          </button>
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                  {openId === schedule._id && (
+                    <tr>
+                      <td colSpan={canManage ? 8 : 7} className="px-4 py-4 bg-gray-50">
+                        <ScheduleDetail id={schedule._id} />
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AmortizationSchedules;
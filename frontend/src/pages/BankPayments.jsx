@@ -35,6 +35,7 @@ import { useGetSuppliersQuery } from '../store/services/suppliersApi';
 import { useGetCustomersQuery } from '../store/services/customersApi';
 import { useGetAccountsQuery } from '../store/services/chartOfAccountsApi';
 import { useGetBanksQuery } from '../store/services/banksApi';
+import { useGetPurchaseInvoicesQuery } from '../store/services/purchaseInvoicesApi';
 
 // Helper function to get local date in YYYY-MM-DD format (avoids timezone issues with toISOString)
 const getLocalDateString = (date = new Date()) => {
@@ -77,6 +78,9 @@ const BankPayments = () => {
     bank: '',
     transactionReference: '',
     supplier: '',
+    purchaseInvoice: '',
+    exchangeRate: '',
+    settledAmount: '',
     customer: '',
     notes: ''
   });
@@ -128,6 +132,20 @@ const BankPayments = () => {
     return banksData?.data?.banks || banksData?.banks || banksData || [];
   }, [banksData]);
 
+  // Unpaid invoices of the selected supplier, so a payment can settle one
+  const { data: supplierInvoicesData } = useGetPurchaseInvoicesQuery(
+    { supplier: formData.supplier, limit: 100 },
+    { skip: paymentType !== 'supplier' || !formData.supplier }
+  );
+  const openInvoices = React.useMemo(() => {
+    return (supplierInvoicesData?.invoices || []).filter(invoice =>
+      invoice.status !== 'cancelled' && (invoice.pricing?.total || 0) > (invoice.payment?.paidAmount || 0));
+  }, [supplierInvoicesData]);
+  const selectedBank = banks.find(bank => bank._id === formData.bank);
+  const selectedInvoice = openInvoices.find(invoice => invoice._id === formData.purchaseInvoice);
+  // Paying a foreign invoice from an account in another currency needs the amount it settles
+  const needsSettledAmount = !!selectedInvoice?.currency && selectedInvoice.currency !== selectedBank?.currency;
+
   // Fetch expense accounts from Chart of Accounts
   const { data: expenseAccountsData, isLoading: expenseAccountsLoading } = useGetAccountsQuery(
     { accountType: 'expense', isActive: 'true' },
@@ -188,6 +206,9 @@ const BankPayments = () => {
       bank: '',
       transactionReference: '',
       supplier: '',
+      purchaseInvoice: '',
+      exchangeRate: '',
+      settledAmount: '',
       customer: '',
       notes: ''
     });
@@ -206,7 +227,7 @@ const BankPayments = () => {
   const handleSupplierSelect = (supplierId) => {
     const supplier = suppliers.find(s => s._id === supplierId);
     setSelectedSupplier(supplier);
-    setFormData(prev => ({ ...prev, supplier: supplierId, customer: '' }));
+    setFormData(prev => ({ ...prev, supplier: supplierId, purchaseInvoice: '', customer: '' }));
     setSelectedCustomer(null);
     setCustomerSearchTerm('');
   };
@@ -438,12 +459,19 @@ const BankPayments = () => {
       particular: formData.particular || undefined,
       bank: formData.bank,
       transactionReference: formData.transactionReference || undefined,
+      exchangeRate: selectedBank?.currency && formData.exchangeRate ? parseFloat(formData.exchangeRate) : undefined,
       notes: formData.notes || undefined
     };
     
     // Only include supplier or customer if they have values (not empty strings)
     if (paymentType === 'supplier' && formData.supplier) {
       submissionData.supplier = formData.supplier;
+      if (formData.purchaseInvoice) {
+        submissionData.purchaseInvoice = formData.purchaseInvoice;
+        if (needsSettledAmount) {
+          submissionData.settledAmount = parseFloat(formData.settledAmount) || undefined;
+        }
+      }
     } else if (paymentType === 'customer' && formData.customer) {
       submissionData.customer = formData.customer;
     }
@@ -1101,6 +1129,57 @@ const BankPayments = () => {
                 )}
               </div>
 
+              {/* Exchange rate for foreign-currency accounts; blank uses the rate table */}
+              {selectedBank?.currency && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Exchange Rate ({selectedBank.currency})
+                  </label>
+                  <input
+                    type="number"
+                    step="0.000001"
+                    min="0"
+                    value={formData.exchangeRate}
+                    onChange={(e) => setFormData(prev => ({ ...prev, exchangeRate: e.target.value }))}
+                    className="input w-full"
+                    placeholder="Rate on the payment date"
+                  />
+                </div>
+              )}
+
+              {/* Invoice settled */}
+              {paymentType === 'supplier' && formData.supplier && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Purchase Invoice
+                  </label>
+                  <select
+                    value={formData.purchaseInvoice}
+                    onChange={(e) => setFormData(prev => ({ ...prev, purchaseInvoice: e.target.value, settledAmount: '' }))}
+                    className="input w-full"
+                  >
+                    <option value="">On account</option>
+                    {openInvoices.map((invoice) => (
+                      <option key={invoice._id} value={invoice._id}>
+                        {invoice.invoiceNumber} - {invoice.currency || ''} {((invoice.pricing?.total || 0) - (invoice.payment?.paidAmount || 0)).toFixed(2)} outstanding
+                      </option>
+                    ))}
+                  </select>
+                  {needsSettledAmount && (
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      value={formData.settledAmount}
+                      onChange={(e) => setFormData(prev => ({ ...prev, settledAmount: e.target.value }))}
+                      className="input w-full mt-2"
+                      placeholder={`Amount settled in ${selectedInvoice.currency}`}
+                      required
+                    />
+                  )}
+                </div>
+              )}
+
               {/* Transaction Reference */}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
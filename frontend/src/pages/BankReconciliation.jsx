@@ -0,0 +1,579 @@
+import React, { useState } from 'react';
+import { Landmark, Upload, ArrowLeft, Link2, Unlink, FilePlus, Printer, RefreshCw, Trash2, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import {
+  useGetBankStatementsQuery,
+  useGetBankStatementQuery,
+  useImportBankStatementMutation,
+  useDeleteBankStatementMutation,
+  useAutoMatchBankStatementMutation,
+  useGetMatchCandidatesQuery,
+  useMatchStatementLineMutation,
+  useUnmatchStatementLineMutation,
+  useCreateStatementLineEntryMutation,
+  useGetBankReconciliationQuery,
+  usePrintBankReconciliationMutation,
+} from '../store/services/bankReconciliationApi';
+import { useGetBanksQuery } from '../store/services/banksApi';
+import { useGetAccountsQuery } from '../store/services/chartOfAccountsApi';
+import { useAuth } from '../contexts/AuthContext';
+import { LoadingSpinner, LoadingButton } from '../components/LoadingSpinner';
+import { handleApiError } from '../utils/errorHandler';
+import { formatCurrency } from '../utils/formatters';
+
+const FORMAT_LABELS = {
+  csv: 'CSV',
+  ofx: 'OFX',
+  camt053: 'camt.053',
+  mt940: 'MT940',
+};
+
+const STATUS_STYLES = {
+  unmatched: 'bg-gray-100 text-gray-700',
+  partial: 'bg-yellow-100 text-yellow-800',
+  matched: 'bg-green-100 text-green-800',
+};
+
+const ITEM_LABELS = {
+  bank_receipt: 'Receipt',
+  bank_payment: 'Payment',
+  journal_entry: 'Journal',
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+const unmatchedAmount = (line) =>
+  Math.round((line.amount - line.matches.reduce((sum, match) => sum + match.amount, 0)) * 100) / 100;
+
+const Amount = ({ value }) => (
+  <span className={value < 0 ? 'text-red-600' : 'text-green-700'}>{formatCurrency(value)}</span>
+);
+
+const MatchPanel = ({ statementId, line, onClose }) => {
+  const { data, isLoading } = useGetMatchCandidatesQuery({ id: statementId, lineId: line._id });
+  const candidates = data?.data || [];
+  const [selected, setSelected] = useState({});
+  const [matchLine, { isLoading: isMatching }] = useMatchStatementLineMutation();
+
+  const keyOf = (item) => `${item.type}:${item.document}:${item.lineIndex ?? ''}`;
+  const open = unmatchedAmount(line);
+  const chosen = candidates.filter((item) => selected[keyOf(item)] !== undefined);
+  const total = chosen.reduce((sum, item) => sum + Math.abs(Number(selected[keyOf(item)]) || 0), 0);
+
+  const toggle = (item) => {
+    setSelected((current) => {
+      const next = { ...current };
+      if (next[keyOf(item)] !== undefined) {
+        delete next[keyOf(item)];
+      } else {
+        const left = Math.abs(open) - total;
+        next[keyOf(item)] = Math.min(Math.abs(item.remaining), Math.max(left, 0)).toFixed(2);
+      }
+      return next;
+    });
+  };
+
+  const handleMatch = async () => {
+    try {
+      await matchLine({
+        id: statementId,
+        lineId: line._id,
+        items: chosen.map((item) => ({
+          type: item.type,
+          document: item.document,
+          lineIndex: item.lineIndex,
+          amount: Number(selected[keyOf(item)]),
+        })),
+      }).unwrap();
+      toast.success('Statement line matched');
+      onClose();
+    } catch (error) {
+      handleApiError(error, 'Failed to match statement line');
+    }
+  };
+
+  return (
+    <div className="bg-blue-50 p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="text-sm">
+          Match <strong>{formatCurrency(open)}</strong> of {line.description || line.reference} — selected {formatCurrency(total)}.
+          Enter a smaller amount to split an item.
+        </div>
+        <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600">
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+      {isLoading ? (
+        <LoadingSpinner />
+      ) : candidates.length === 0 ? (
+        <div className="text-sm text-gray-500">No uncleared book items go this way within 60 days. Create an entry instead.</div>
+      ) : (
+        <table className="min-w-full text-sm">
+          <tbody>
+            {candidates.map((item) => (
+              <tr key={keyOf(item)}>
+                <td className="py-1 pr-2">
+                  <input type="checkbox" checked={selected[keyOf(item)] !== undefined} onChange={() => toggle(item)} />
+                </td>
+                <td className="py-1 pr-2">{formatDate(item.date)}</td>
+                <td className="py-1 pr-2">{ITEM_LABELS[item.type]}</td>
+                <td className="py-1 pr-2">
+                  {item.reference}
+                  {item.referenced && <span className="ml-1 text-xs text-blue-700">reference match</span>}
+                </td>
+                <td className="py-1 pr-2 text-gray-600">{item.description}</td>
+                <td className="py-1 pr-2 text-right"><Amount value={item.remaining} /></td>
+                <td className="py-1 w-32">
+                  {selected[keyOf(item)] !== undefined && (
+                    <input
+                      type="number"
+                      min="0.01"
+                      step="0.01"
+                      className="input py-1"
+                      value={selected[keyOf(item)]}
+                      onChange={(e) => setSelected((current) => ({ ...current, [keyOf(item)]: e.target.value }))}
+                    />
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <div className="flex justify-end">
+        <LoadingButton type="button" onClick={handleMatch} isLoading={isMatching} disabled={chosen.length === 0} className="btn btn-primary">
+          Match
+        </LoadingButton>
+      </div>
+    </div>
+  );
+};
+
+const EntryPanel = ({ statementId, line, onClose }) => {
+  const { data: accountsData } = useGetAccountsQuery({ isActive: true });
+  const accounts = (Array.isArray(accountsData?.data) ? accountsData.data : accountsData?.data?.accounts || [])
+    .filter((account) => account.allowDirectPosting !== false);
+  const [account, setAccount] = useState('');
+  const [description, setDescription] = useState(line.description || '');
+  const [createEntry, { isLoading }] = useCreateStatementLineEntryMutation();
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      await createEntry({ id: statementId, lineId: line._id, account, description }).unwrap();
+      toast.success('Journal entry created and matched');
+      onClose();
+    } catch (error) {
+      handleApiError(error, 'Failed to create entry');
+    }
+  };
+
+  return (
+    <form onSubmit={handleCreate} className="bg-blue-50 p-4 flex flex-wrap items-end gap-3">
+      <div className="text-sm w-full">
+        Book {formatCurrency(unmatchedAmount(line))} {line.amount < 0 ? 'out of' : 'into'} the bank against:
+      </div>
+      <select className="input w-72" required value={account} onChange={(e) => setAccount(e.target.value)}>
+        <option value="">Choose account</option>
+        {accounts.map((a) => (
+          <option key={a._id} value={a._id}>{a.accountCode} — {a.accountName}</option>
+        ))}
+      </select>
+      <input className="input flex-1" maxLength={500} placeholder="Description" value={description} onChange={(e) => setDescription(e.target.value)} />
+      <LoadingButton type="submit" isLoading={isLoading} className="btn btn-primary">Create Entry</LoadingButton>
+      <button type="button" onClick={onClose} className="btn btn-secondary">Cancel</button>
+    </form>
+  );
+};
+
+const StatementWorkbench = ({ statementId, canEdit, onBack }) => {
+  const { data, isLoading } = useGetBankStatementQuery(statementId);
+  const statement = data?.data;
+  const [panel, setPanel] = useState(null);
+  const [autoMatch, { isLoading: isMatching }] = useAutoMatchBankStatementMutation();
+  const [unmatchLine] = useUnmatchStatementLineMutation();
+
+  if (isLoading || !statement) {
+    return <LoadingSpinner />;
+  }
+
+  const handleAutoMatch = async () => {
+    try {
+      const result = await autoMatch({ id: statementId }).unwrap();
+      toast.success(`Matched ${result.data.matched} line(s)`);
+    } catch (error) {
+      handleApiError(error, 'Failed to auto-match');
+    }
+  };
+
+  const handleUnmatch = async (line) => {
+    try {
+      await unmatchLine({ id: statementId, lineId: line._id }).unwrap();
+    } catch (error) {
+      handleApiError(error, 'Failed to unmatch line');
+    }
+  };
+
+  const matchedCount = statement.lines.filter((line) => line.status === 'matched').length;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+          <button type="button" onClick={onBack} className="btn btn-secondary">
+            <ArrowLeft className="h-4 w-4" />
+          </button>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">{statement.statementNumber}</h1>
+            <p className="text-gray-600 text-sm">
+              {statement.bank?.bankName} {statement.bank?.accountNumber} · {formatDate(statement.periodStart)} – {formatDate(statement.periodEnd)} ·{' '}
+              {matchedCount} of {statement.lines.length} lines matched
+            </p>
+          </div>
+        </div>
+        {canEdit && (
+          <LoadingButton onClick={handleAutoMatch} isLoading={isMatching} className="btn btn-secondary flex items-center">
+            <RefreshCw className="h-4 w-4 mr-2" /> Auto-match
+          </LoadingButton>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div className="card p-4">
+          <div className="text-sm text-gray-500">Opening balance</div>
+          <div className="text-lg font-semibold">{formatCurrency(statement.openingBalance)}</div>
+        </div>
+        <div className="card p-4">
+          <div className="text-sm text-gray-500">Closing balance</div>
+          <div className="text-lg font-semibold">{formatCurrency(statement.closingBalance)}</div>
+        </div>
+      </div>
+
+      <div className="card overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Details</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Amount</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Matched To</th>
+              <th className="px-4 py-2" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {statement.lines.map((line) => (
+              <React.Fragment key={line._id}>
+                <tr>
+                  <td className="px-4 py-2 text-sm whitespace-nowrap">{formatDate(line.date)}</td>
+                  <td className="px-4 py-2 text-sm">
+                    {line.description}
+                    <div className="text-xs text-gray-500">
+                      {[line.counterparty, line.reference, line.bankReference].filter(Boolean).join(' · ')}
+                    </div>
+                  </td>
+                  <td className="px-4 py-2 text-sm text-right"><Amount value={line.amount} /></td>
+                  <td className="px-4 py-2 text-sm">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[line.status]}`}>
+                      {line.status}
+                    </span>
+                  </td>
+                  <td className="px-4 py-2 text-xs">
+                    {line.matches.map((match, index) => (
+                      <div key={index}>
+                        {ITEM_LABELS[match.type]} {match.reference} {formatCurrency(match.amount)}
+                        <span className="text-gray-400"> ({match.method})</span>
+                      </div>
+                    ))}
+                  </td>
+                  <td className="px-4 py-2 text-sm text-right whitespace-nowrap">
+                    {canEdit && line.status !== 'matched' && (
+                      <>
+                        <button type="button" title="Match" onClick={() => setPanel({ type: 'match', lineId: line._id })} className="text-gray-400 hover:text-blue-600 mr-2">
+                          <Link2 className="h-4 w-4" />
+                        </button>
+                        <button type="button" title="Create entry" onClick={() => setPanel({ type: 'entry', lineId: line._id })} className="text-gray-400 hover:text-blue-600 mr-2">
+                          <FilePlus className="h-4 w-4" />
+                        </button>
+                      </>
+                    )}
+                    {canEdit && line.matches.length > 0 && (
+                      <button type="button" title="Unmatch" onClick={() => handleUnmatch(line)} className="text-gray-400 hover:text-red-600">
+                        <Unlink className="h-4 w-4" />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+                {panel?.lineId === line._id && (
+                  <tr>
+                    <td colSpan={6} className="p-0">
+                      {panel.type === 'match'
+                        ? <MatchPanel statementId={statementId} line={line} onClose={() => setPanel(null)} />
+                        : <EntryPanel statementId={statementId} line={line} onClose={() => setPanel(null)} />}
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+const ImportForm = ({ bankId }) => {
+  const [file, setFile] = useState(null);
+  const [format, setFormat] = useState('');
+  const [dateFormat, setDateFormat] = useState('DMY');
+  const [importStatement, { isLoading }] = useImportBankStatementMutation();
+
+  const handleImport = async (e) => {
+    e.preventDefault();
+    try {
+      const result = await importStatement({ file, bank: bankId, format, dateFormat }).unwrap();
+      const { imported, duplicates, matched } = result.data;
+      toast.success(`Imported ${imported} transactions, auto-matched ${matched}${duplicates ? `, skipped ${duplicates} already imported` : ''}`);
+      setFile(null);
+      e.target.reset();
+    } catch (error) {
+      handleApiError(error, 'Failed to import statement');
+    }
+  };
+
+  return (
+    <form onSubmit={handleImport} className="card p-4 flex flex-wrap items-end gap-3">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Statement file</label>
+        <input type="file" required accept=".csv,.ofx,.qfx,.xml,.sta,.txt,.940" onChange={(e) => setFile(e.target.files[0] || null)} />
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Format</label>
+        <select className="input" value={format} onChange={(e) => setFormat(e.target.value)}>
+          <option value="">Detect</option>
+          {Object.entries(FORMAT_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+      {(format === '' || format === 'csv') && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">CSV dates</label>
+          <select className="input" value={dateFormat} onChange={(e) => setDateFormat(e.target.value)}>
+            <option value="DMY">Day/Month/Year</option>
+            <option value="MDY">Month/Day/Year</option>
+          </select>
+        </div>
+      )}
+      <LoadingButton type="submit" isLoading={isLoading} disabled={!file} className="btn btn-primary flex items-center">
+        <Upload className="h-4 w-4 mr-2" /> Import
+      </LoadingButton>
+    </form>
+  );
+};
+
+const ReconciliationItems = ({ title, rows, field }) => (
+  <div>
+    <h3 className="text-sm font-semibold text-gray-700 mb-1">{title}</h3>
+    {rows.length === 0 ? (
+      <div className="text-sm text-gray-500">None</div>
+    ) : (
+      <table className="min-w-full text-sm">
+        <tbody>
+          {rows.map((row, index) => (
+            <tr key={index}>
+              <td className="py-1 pr-2 whitespace-nowrap">{formatDate(row.date)}</td>
+              <td className="py-1 pr-2">{row.reference || row.statementNumber}</td>
+              <td className="py-1 pr-2 text-gray-600">{row.description}</td>
+              <td className="py-1 text-right"><Amount value={row[field]} /></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+  </div>
+);
+
+const ReconciliationTotal = ({ label, value }) => (
+  <div className="flex justify-between font-semibold border-t pt-2">
+    <span>{label}</span>
+    <span>{value === null ? '—' : formatCurrency(value)}</span>
+  </div>
+);
+
+const ReconciliationTab = ({ bankId }) => {
+  const [asOf, setAsOf] = useState(new Date().toISOString().split('T')[0]);
+  const { data, isLoading } = useGetBankReconciliationQuery({ bankId, asOf });
+  const report = data?.data;
+  const [printReconciliation, { isLoading: isPrinting }] = usePrintBankReconciliationMutation();
+
+  const handlePrint = async () => {
+    try {
+      const blob = await printReconciliation({ bankId, asOf }).unwrap();
+      const url = window.URL.createObjectURL(new Blob([blob], { type: 'application/pdf' }));
+      window.open(url, '_blank');
+      setTimeout(() => window.URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      handleApiError(error, 'Failed to generate PDF');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <label className="text-sm text-gray-700">As of</label>
+          <input type="date" className="input w-44" value={asOf} onChange={(e) => setAsOf(e.target.value)} />
+        </div>
+        <LoadingButton onClick={handlePrint} isLoading={isPrinting} className="btn btn-secondary flex items-center">
+          <Printer className="h-4 w-4 mr-2" /> Print
+        </LoadingButton>
+      </div>
+
+      {isLoading || !report ? (
+        <LoadingSpinner />
+      ) : (
+        <>
+          {!report.statement && (
+            <div className="card p-4 text-sm text-yellow-800 bg-yellow-50">No statement has been imported for this date yet.</div>
+          )}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="card p-6 space-y-4">
+              <ReconciliationTotal label="Balance per bank statement" value={report.statementBalance} />
+              <ReconciliationItems title="Add: deposits in transit" rows={report.depositsInTransit} field="uncleared" />
+              <ReconciliationItems title="Less: outstanding payments" rows={report.outstandingPayments} field="uncleared" />
+              <ReconciliationTotal label="Adjusted bank balance" value={report.adjustedStatementBalance} />
+            </div>
+            <div className="card p-6 space-y-4">
+              <ReconciliationTotal label="Balance per books" value={report.bookBalance} />
+              <ReconciliationItems title="Statement items not yet in the books" rows={report.unmatchedLines} field="unmatched" />
+              <ReconciliationTotal label="Adjusted book balance" value={report.adjustedBookBalance} />
+            </div>
+          </div>
+          <div className={`card p-4 flex justify-between font-semibold ${report.difference === 0 ? 'text-green-700' : 'text-red-600'}`}>
+            <span>Unexplained difference</span>
+            <span>{report.difference === null ? '—' : formatCurrency(report.difference)}</span>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+const BankReconciliation = () => {
+  const { hasPermission } = useAuth();
+  const canEdit = hasPermission('manage_payments');
+  const [bankId, setBankId] = useState('');
+  const [tab, setTab] = useState('statements');
+  const [selectedId, setSelectedId] = useState(null);
+
+  const { data: banksData } = useGetBanksQuery({ isActive: true });
+  const banks = banksData?.data?.banks || banksData?.banks || [];
+  const { data, isLoading } = useGetBankStatementsQuery({ limit: 50, ...(bankId ? { bank: bankId } : {}) });
+  const statements = data?.data?.statements || [];
+  const [deleteStatement] = useDeleteBankStatementMutation();
+
+  if (selectedId) {
+    return <StatementWorkbench statementId={selectedId} canEdit={canEdit} onBack={() => setSelectedId(null)} />;
+  }
+
+  const handleDelete = async (statement) => {
+    if (!window.confirm(`Delete ${statement.statementNumber}?`)) return;
+    try {
+      await deleteStatement(statement._id).unwrap();
+      toast.success('Statement deleted');
+    } catch (error) {
+      handleApiError(error, 'Failed to delete statement');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-4 sm:space-y-0">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Bank Reconciliation</h1>
+          <p className="text-gray-600">Import bank statements, match them to receipts, payments and journals, and print reconciliations</p>
+        </div>
+        <select className="input w-72" value={bankId} onChange={(e) => setBankId(e.target.value)}>
+          <option value="">Choose bank account</option>
+          {banks.map((bank) => (
+            <option key={bank._id} value={bank._id}>{bank.bankName} - {bank.accountNumber}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="border-b border-gray-200 flex space-x-6">
+        {[['statements', 'Statements'], ['reconciliation', 'Reconciliation']].map(([value, label]) => (
+          <button
+            key={value}
+            type="button"
+            onClick={() => setTab(value)}
+            className={`pb-2 text-sm font-medium border-b-2 ${tab === value ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700'}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {tab === 'reconciliation' ? (
+        bankId ? <ReconciliationTab bankId={bankId} /> : <div className="card p-12 text-center text-gray-500">Choose a bank account to reconcile.</div>
+      ) : (
+        <div className="space-y-4">
+          {canEdit && bankId && <ImportForm bankId={bankId} />}
+          {isLoading ? (
+            <LoadingSpinner />
+          ) : statements.length === 0 ? (
+            <div className="card p-12 text-center text-gray-500">
+              <Landmark className="h-12 w-12 mx-auto mb-3 text-gray-300" />
+              No statements imported yet{bankId ? '' : '. Choose a bank account to import one'}.
+            </div>
+          ) : (
+            <div className="card overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Statement</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Bank</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Period</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Format</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Closing</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Matched</th>
+                    <th className="px-4 py-2" />
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {statements.map((statement) => (
+                    <tr key={statement._id} onClick={() => setSelectedId(statement._id)} className="hover:bg-gray-50 cursor-pointer">
+                      <td className="px-4 py-2 text-sm font-medium">
+                        {statement.statementNumber}
+                        {statement.fileName && <div className="text-xs text-gray-500">{statement.fileName}</div>}
+                      </td>
+                      <td className="px-4 py-2 text-sm">{statement.bank?.bankName} {statement.bank?.accountNumber}</td>
+                      <td className="px-4 py-2 text-sm">{formatDate(statement.periodStart)} – {formatDate(statement.periodEnd)}</td>
+                      <td className="px-4 py-2 text-sm">{FORMAT_LABELS[statement.format]}</td>
+                      <td className="px-4 py-2 text-sm text-right">{formatCurrency(statement.closingBalance)}</td>
+                      <td className="px-4 py-2 text-sm text-right">{statement.matchedCount} / {statement.lineCount}</td>
+                      <td className="px-4 py-2 text-sm text-right">
+                        {canEdit && statement.matchedCount === 0 && (
+                          <button
+                            type="button"
+                            onClick={(e) => { e.stopPropagation(); handleDelete(statement); }}
+                            className="text-gray-400 hover:text-red-600"
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BankReconciliation;
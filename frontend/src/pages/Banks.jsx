@@ -43,6 +43,9 @@ const BankFormModal = ({ bank, onSave, onCancel, isSubmitting }) => {
       routingNumber: '',
       swiftCode: '',
       iban: '',
+      ledgerAccountCode: '',
+      currency: '',
+      openingExchangeRate: '',
       openingBalance: 0,
       isActive: true,
       notes: ''
@@ -68,6 +71,9 @@ const BankFormModal = ({ bank, onSave, onCancel, isSubmitting }) => {
         routingNumber: bank.routingNumber || '',
         swiftCode: bank.swiftCode || '',
         iban: bank.iban || '',
+        ledgerAccountCode: bank.ledgerAccountCode || '',
+        currency: bank.currency || '',
+        openingExchangeRate: bank.currency ? bank.openingExchangeRate : '',
         openingBalance: bank.openingBalance || 0,
         isActive: bank.isActive !== undefined ? bank.isActive : true,
         notes: bank.notes || ''
@@ -89,6 +95,9 @@ const BankFormModal = ({ bank, onSave, onCancel, isSubmitting }) => {
         routingNumber: '',
         swiftCode: '',
         iban: '',
+        ledgerAccountCode: '',
+        currency: '',
+        openingExchangeRate: '',
         openingBalance: 0,
         isActive: true,
         notes: ''
@@ -234,6 +243,41 @@ const BankFormModal = ({ bank, onSave, onCancel, isSubmitting }) => {
               </div>
             </div>
 
+            {/* Account currency; fixed once the account is created */}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Currency
+                </label>
+                <input
+                  {...register('currency', {
+                    pattern: { value: /^[A-Za-z]{3}$/, message: 'Use a 3-letter ISO code' }
+                  })}
+                  className="input uppercase"
+                  placeholder="Base currency"
+                  maxLength={3}
+                  disabled={!!bank}
+                />
+                {errors.currency && (
+                  <p className="text-red-500 text-sm mt-1">{errors.currency.message}</p>
+                )}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Opening Exchange Rate
+                </label>
+                <input
+                  type="number"
+                  step="0.000001"
+                  {...register('openingExchangeRate')}
+                  className="input"
+                  placeholder="Rate on the opening date"
+                  disabled={!!bank}
+                />
+              </div>
+            </div>
+
             {/* International Information */}
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
               <div>
@@ -259,6 +303,18 @@ const BankFormModal = ({ bank, onSave, onCancel, isSubmitting }) => {
               </div>
             </div>
 
+            {/* Ledger */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Ledger Account Code
+              </label>
+              <input
+                {...register('ledgerAccountCode')}
+                className="input"
+                placeholder="Account sales paid into this bank post to (defaults to BANK)"
+              />
+            </div>
+
             {/* Branch Address */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -576,7 +632,7 @@ const Banks = () => {
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <span className="text-sm font-medium text-green-600">
-                        ${(bank.openingBalance || 0).toFixed(2)}
+                        {bank.currency ? `${bank.currency} ` : '$'}{(bank.openingBalance || 0).toFixed(2)}
                       </span>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
@@ -0,0 +1,193 @@
+import React, { useState } from 'react';
+import { LineChart, RefreshCw, ArrowLeft } from 'lucide-react';
+import toast from 'react-hot-toast';
+import {
+  useGetDemandForecastsQuery,
+  useGetDemandForecastQuery,
+  useRunDemandForecastsMutation,
+} from '../store/services/demandForecastsApi';
+import { useAuth } from '../contexts/AuthContext';
+import { LoadingSpinner, LoadingButton } from '../components/LoadingSpinner';
+import { handleApiError } from '../utils/errorHandler';
+
+const MODEL_LABELS = {
+  holt_winters: 'Holt-Winters',
+  seasonal_naive: 'Seasonal naive',
+};
+
+const LEAD_TIME_SOURCES = {
+  purchase_orders: 'from purchase orders',
+  supplier: 'supplier quote',
+  default: 'default',
+};
+
+const SERVICE_LEVELS = [0.9, 0.95, 0.975, 0.98, 0.99];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatMape = (mape) => (mape === null || mape === undefined ? '—' : `${(mape * 100).toFixed(1)}%`);
+
+const ForecastDetail = ({ productId, onBack }) => {
+  const { data, isLoading } = useGetDemandForecastQuery(productId);
+  const forecast = data?.data;
+
+  if (isLoading || !forecast) {
+    return <LoadingSpinner />;
+  }
+
+  const days = forecast.forecast.slice(0, 28);
+  const peak = Math.max(...days, 1);
+  const start = new Date(forecast.forecastStart).getTime();
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center space-x-3">
+        <button type="button" onClick={onBack} className="btn btn-secondary">
+          <ArrowLeft className="h-4 w-4" />
+        </button>
+        <h1 className="text-2xl font-bold text-gray-900">{forecast.product?.name}</h1>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <div className="card p-4">
+          <div className="text-sm text-gray-500">Model</div>
+          <div className="text-lg font-semibold">{MODEL_LABELS[forecast.model]}</div>
+          <div className="text-xs text-gray-500">MAPE {formatMape(forecast.accuracy?.mape)} over {forecast.accuracy?.holdoutDays} days</div>
+        </div>
+        <div className="card p-4">
+          <div className="text-sm text-gray-500">Daily demand</div>
+          <div className="text-lg font-semibold">{forecast.averageDailyDemand.toFixed(2)}</div>
+          <div className="text-xs text-gray-500">± {forecast.demandStdDev.toFixed(2)} per day</div>
+        </div>
+        <div className="card p-4">
+          <div className="text-sm text-gray-500">Lead time</div>
+          <div className="text-lg font-semibold">{forecast.leadTime.mean} days</div>
+          <div className="text-xs text-gray-500">± {forecast.leadTime.stdDev} ({LEAD_TIME_SOURCES[forecast.leadTime.source]})</div>
+        </div>
+        <div className="card p-4">
+          <div className="text-sm text-gray-500">Reorder point</div>
+          <div className="text-lg font-semibold">{forecast.reorderPoint}</div>
+          <div className="text-xs text-gray-500">
+            incl. {forecast.safetyStock.toFixed(1)} safety stock at {forecast.serviceLevel * 100}% service
+          </div>
+        </div>
+      </div>
+
+      <div className="card p-6">
+        <h2 className="font-semibold text-gray-900 mb-4">Next 28 days</h2>
+        <div className="flex items-end h-40 space-x-1">
+          {days.map((quantity, index) => (
+            <div
+              key={index}
+              title={`${new Date(start + index * DAY_MS).toLocaleDateString()}: ${quantity.toFixed(1)}`}
+              className="flex-1 bg-blue-400 rounded-t"
+              style={{ height: `${(quantity / peak) * 100}%` }}
+            />
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const DemandForecasts = () => {
+  const { hasPermission } = useAuth();
+  const [selectedId, setSelectedId] = useState(null);
+  const [model, setModel] = useState('');
+  const [serviceLevel, setServiceLevel] = useState(0.95);
+
+  const { data, isLoading } = useGetDemandForecastsQuery({ limit: 200, ...(model ? { model } : {}) });
+  const forecasts = data?.data?.forecasts || [];
+  const [runForecasts, { isLoading: isRunning }] = useRunDemandForecastsMutation();
+
+  if (selectedId) {
+    return <ForecastDetail productId={selectedId} onBack={() => setSelectedId(null)} />;
+  }
+
+  const handleRun = async () => {
+    try {
+      const result = await runForecasts({ serviceLevel }).unwrap();
+      toast.success(`Forecast ${result.data.forecasts} products (${result.data.skipped} without enough history)`);
+    } catch (error) {
+      handleApiError(error, 'Failed to run forecasts');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-4 sm:space-y-0">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Demand Forecasts</h1>
+          <p className="text-gray-600">Seasonal forecasts, safety stock and reorder points, recomputed nightly</p>
+        </div>
+        <div className="flex items-center space-x-3">
+          <select className="input" value={model} onChange={(e) => setModel(e.target.value)}>
+            <option value="">All models</option>
+            {Object.entries(MODEL_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          {hasPermission('update_inventory') && (
+            <>
+              <select className="input" value={serviceLevel} onChange={(e) => setServiceLevel(Number(e.target.value))}>
+                {SERVICE_LEVELS.map((level) => (
+                  <option key={level} value={level}>{level * 100}% service</option>
+                ))}
+              </select>
+              <LoadingButton onClick={handleRun} isLoading={isRunning} className="btn btn-primary flex items-center">
+                <RefreshCw className="h-4 w-4 mr-2" /> Recalculate
+              </LoadingButton>
+            </>
+          )}
+        </div>
+      </div>
+
+      {isLoading ? (
+        <LoadingSpinner />
+      ) : forecasts.length === 0 ? (
+        <div className="card p-12 text-center text-gray-500">
+          <LineChart className="h-12 w-12 mx-auto mb-3 text-gray-300" />
+          No forecasts yet. They need at least two weeks of sales history.
+        </div>
+      ) : (
+        <div className="card overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Model</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">MAPE</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Daily Demand</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Lead Time</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Safety Stock</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Reorder Point</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Computed</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {forecasts.map((forecast) => (
+                <tr key={forecast._id} onClick={() => setSelectedId(forecast.product?._id)} className="hover:bg-gray-50 cursor-pointer">
+                  <td className="px-4 py-2 text-sm">
+                    {forecast.product?.name}
+                    {forecast.product?.sku && <div className="text-xs text-gray-500">{forecast.product.sku}</div>}
+                  </td>
+                  <td className="px-4 py-2 text-sm">{MODEL_LABELS[forecast.model]}</td>
+                  <td className="px-4 py-2 text-sm text-right">{formatMape(forecast.accuracy?.mape)}</td>
+                  <td className="px-4 py-2 text-sm text-right">{forecast.averageDailyDemand.toFixed(2)}</td>
+                  <td className="px-4 py-2 text-sm text-right">
+                    {forecast.leadTime.mean} ± {forecast.leadTime.stdDev} d
+                  </td>
+                  <td className="px-4 py-2 text-sm text-right">{forecast.safetyStock.toFixed(1)}</td>
+                  <td className="px-4 py-2 text-sm text-right font-semibold">{forecast.reorderPoint}</td>
+                  <td className="px-4 py-2 text-sm">{new Date(forecast.computedAt).toLocaleString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DemandForecasts;
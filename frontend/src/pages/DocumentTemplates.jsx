@@ -0,0 +1,481 @@
+import React, { useEffect, useState } from 'react';
+import { FileText, Plus, RefreshCw, Eye, X, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import {
+  useGetDocumentTemplatesQuery,
+  useCreateDocumentTemplateMutation,
+  useUpdateDocumentTemplateMutation,
+  useDeleteDocumentTemplateMutation,
+  usePreviewDocumentTemplateMutation,
+} from '../store/services/documentTemplatesApi';
+import { useAuth } from '../contexts/AuthContext';
+import ReceiptPrinterSettings from '../components/ReceiptPrinterSettings';
+import { LoadingSpinner, LoadingButton } from '../components/LoadingSpinner';
+import { handleApiError } from '../utils/errorHandler';
+
+const DOCUMENT_TYPES = [
+  { value: 'sales_invoice', label: 'Sales invoice / receipt' },
+  { value: 'sales_order', label: 'Sales order' },
+  { value: 'purchase_order', label: 'Purchase order' },
+  { value: 'return', label: 'Return' },
+  { value: 'quotation', label: 'Quotation' },
+];
+
+const PAPER_SIZES = [
+  { value: 'LETTER', label: 'Letter' },
+  { value: 'A4', label: 'A4' },
+  { value: 'LEGAL', label: 'Legal' },
+  { value: 'A5', label: 'A5' },
+  { value: 'THERMAL_80', label: 'Thermal 80mm' },
+  { value: 'THERMAL_58', label: 'Thermal 58mm' },
+];
+
+const typeLabel = (value) => DOCUMENT_TYPES.find((type) => type.value === value)?.label || value;
+
+const defaultForm = {
+  name: '',
+  documentTypes: ['sales_invoice'],
+  defaultFor: [],
+  paperSize: 'LETTER',
+  orientation: 'portrait',
+  logo: { data: '', width: 120, align: 'left' },
+  header: { title: '', showCompanyName: true, showAddress: true, showContact: true, fields: [] },
+  taxRegistrations: [],
+  showItemTax: false,
+  showTaxBreakdown: true,
+  terms: '',
+  footer: 'Thank you for your business!',
+  qrCode: { enabled: false, size: 90 },
+  isActive: true,
+};
+
+// Template as stored, reduced to the fields the form edits
+const toForm = (template) => ({
+  ...defaultForm,
+  ...Object.fromEntries(Object.keys(defaultForm).map((key) => [key, template[key] ?? defaultForm[key]])),
+  logo: { ...defaultForm.logo, ...template.logo, data: template.logo?.data || '' },
+  header: { ...defaultForm.header, ...template.header },
+  qrCode: { ...defaultForm.qrCode, ...template.qrCode },
+});
+
+const toggleIn = (list, value) => (list.includes(value) ? list.filter((entry) => entry !== value) : [...list, value]);
+
+const PairList = ({ label, rows, keys, placeholders, onChange }) => (
+  <div>
+    <div className="flex items-center justify-between mb-1">
+      <label className="block text-sm font-medium text-gray-700">{label}</label>
+      <button
+        type="button"
+        onClick={() => onChange([...rows, { [keys[0]]: '', [keys[1]]: '' }])}
+        className="text-sm text-primary-600 hover:text-primary-800"
+      >
+        + Add
+      </button>
+    </div>
+    {rows.map((row, index) => (
+      <div key={index} className="flex items-center space-x-2 mb-2">
+        {keys.map((key, keyIndex) => (
+          <input
+            key={key}
+            className="input"
+            placeholder={placeholders[keyIndex]}
+            value={row[key] || ''}
+            onChange={(e) => onChange(rows.map((entry, i) => (i === index ? { ...entry, [key]: e.target.value } : entry)))}
+            required={keyIndex === 0}
+          />
+        ))}
+        <button type="button" onClick={() => onChange(rows.filter((_, i) => i !== index))} className="text-gray-400 hover:text-red-600">
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+    ))}
+  </div>
+);
+
+const TemplateEditor = ({ template, onDone }) => {
+  const [form, setForm] = useState(template ? toForm(template) : defaultForm);
+  const [previewType, setPreviewType] = useState(form.documentTypes[0] || 'sales_invoice');
+  const [previewDocumentId, setPreviewDocumentId] = useState('');
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const [createTemplate, { isLoading: creating }] = useCreateDocumentTemplateMutation();
+  const [updateTemplate, { isLoading: updating }] = useUpdateDocumentTemplateMutation();
+  const [previewTemplate, { isLoading: previewing }] = usePreviewDocumentTemplateMutation();
+
+  useEffect(() => () => previewUrl && window.URL.revokeObjectURL(previewUrl), [previewUrl]);
+
+  const set = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+  const setNested = (group, field, value) => setForm((prev) => ({ ...prev, [group]: { ...prev[group], [field]: value } }));
+  const isThermal = form.paperSize.startsWith('THERMAL');
+
+  const handleLogo = (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    if (!['image/png', 'image/jpeg'].includes(file.type) || file.size > 500 * 1024) {
+      toast.error('Logo must be a PNG or JPEG under 500KB');
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => setNested('logo', 'data', reader.result);
+    reader.readAsDataURL(file);
+  };
+
+  const payload = () => ({
+    ...form,
+    name: form.name.trim(),
+    defaultFor: form.defaultFor.filter((type) => form.documentTypes.includes(type)),
+    logo: { ...form.logo, data: form.logo.data || undefined, width: Number(form.logo.width) || 120 },
+    header: { ...form.header, fields: form.header.fields.filter((field) => field.label.trim()) },
+    taxRegistrations: form.taxRegistrations.filter((entry) => entry.label.trim() && entry.number.trim()),
+    qrCode: { ...form.qrCode, size: Number(form.qrCode.size) || 90 },
+  });
+
+  const handlePreview = async () => {
+    try {
+      const blob = await previewTemplate({
+        template: payload(),
+        documentType: previewType,
+        documentId: previewDocumentId.trim() || undefined,
+      }).unwrap();
+      setPreviewUrl(window.URL.createObjectURL(new Blob([blob], { type: 'application/pdf' })));
+    } catch (error) {
+      handleApiError(error, 'Failed to preview template');
+    }
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (form.documentTypes.length === 0) {
+      toast.error('Pick at least one document type');
+      return;
+    }
+    try {
+      if (template) {
+        await updateTemplate({ id: template._id, ...payload() }).unwrap();
+        toast.success(`Template ${form.name} updated`);
+      } else {
+        await createTemplate(payload()).unwrap();
+        toast.success(`Template ${form.name} created`);
+      }
+      onDone();
+    } catch (error) {
+      handleApiError(error, 'Failed to save template');
+    }
+  };
+
+  return (
+    <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+      <form onSubmit={handleSubmit} className="card p-6 space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+            <input className="input" value={form.name} onChange={(e) => set('name', e.target.value)} required maxLength={100} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Paper size</label>
+            <select className="input" value={form.paperSize} onChange={(e) => set('paperSize', e.target.value)}>
+              {PAPER_SIZES.map((size) => (
+                <option key={size.value} value={size.value}>{size.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Orientation</label>
+            <select
+              className="input"
+              value={form.orientation}
+              onChange={(e) => set('orientation', e.target.value)}
+              disabled={isThermal}
+            >
+              <option value="portrait">Portrait</option>
+              <option value="landscape">Landscape</option>
+            </select>
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Prints</label>
+          <div className="space-y-1">
+            {DOCUMENT_TYPES.map((type) => (
+              <div key={type.value} className="flex items-center space-x-6 text-sm">
+                <label className="flex items-center space-x-2 w-56">
+                  <input
+                    type="checkbox"
+                    checked={form.documentTypes.includes(type.value)}
+                    onChange={() => set('documentTypes', toggleIn(form.documentTypes, type.value))}
+                  />
+                  <span>{type.label}</span>
+                </label>
+                <label className="flex items-center space-x-2 text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={form.defaultFor.includes(type.value)}
+                    disabled={!form.documentTypes.includes(type.value)}
+                    onChange={() => set('defaultFor', toggleIn(form.defaultFor, type.value))}
+                  />
+                  <span>Default</span>
+                </label>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Logo</label>
+            <input type="file" accept="image/png,image/jpeg" onChange={handleLogo} className="text-sm" />
+            {form.logo.data && (
+              <div className="mt-2 flex items-center space-x-2">
+                <img src={form.logo.data} alt="Logo" className="h-10" />
+                <button type="button" onClick={() => setNested('logo', 'data', '')} className="text-xs text-red-600">Remove</button>
+              </div>
+            )}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Logo width (pt)</label>
+            <input
+              type="number"
+              min="20"
+              max="300"
+              className="input"
+              value={form.logo.width}
+              onChange={(e) => setNested('logo', 'width', e.target.value)}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Logo position</label>
+            <select className="input" value={form.logo.align} onChange={(e) => setNested('logo', 'align', e.target.value)} disabled={isThermal}>
+              <option value="left">Left</option>
+              <option value="center">Center</option>
+              <option value="right">Right</option>
+            </select>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Title</label>
+            <input
+              className="input"
+              placeholder="Defaults to INVOICE, SALES ORDER, ..."
+              value={form.header.title}
+              onChange={(e) => setNested('header', 'title', e.target.value)}
+              maxLength={50}
+            />
+          </div>
+          <div className="flex flex-wrap items-end gap-4 text-sm">
+            {[
+              ['showCompanyName', 'Company name'],
+              ['showAddress', 'Address'],
+              ['showContact', 'Phone, email and website'],
+            ].map(([field, label]) => (
+              <label key={field} className="flex items-center space-x-2">
+                <input type="checkbox" checked={form.header[field]} onChange={(e) => setNested('header', field, e.target.checked)} />
+                <span>{label}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <PairList
+          label="Header fields"
+          rows={form.header.fields}
+          keys={['label', 'value']}
+          placeholders={['Label, e.g. Branch', 'Value']}
+          onChange={(fields) => setNested('header', 'fields', fields)}
+        />
+        <PairList
+          label="Tax registration numbers (company tax ID when empty)"
+          rows={form.taxRegistrations}
+          keys={['label', 'number']}
+          placeholders={['Label, e.g. VAT No.', 'Number']}
+          onChange={(rows) => set('taxRegistrations', rows)}
+        />
+
+        <div className="flex flex-wrap gap-6 text-sm">
+          <label className="flex items-center space-x-2">
+            <input type="checkbox" checked={form.showItemTax} onChange={(e) => set('showItemTax', e.target.checked)} />
+            <span>Tax per line</span>
+          </label>
+          <label className="flex items-center space-x-2">
+            <input type="checkbox" checked={form.showTaxBreakdown} onChange={(e) => set('showTaxBreakdown', e.target.checked)} />
+            <span>Break tax down by code</span>
+          </label>
+          <label className="flex items-center space-x-2">
+            <input type="checkbox" checked={form.qrCode.enabled} onChange={(e) => setNested('qrCode', 'enabled', e.target.checked)} />
+            <span>Verification QR code</span>
+          </label>
+          {form.qrCode.enabled && (
+            <label className="flex items-center space-x-2">
+              <span>Size</span>
+              <input
+                type="number"
+                min="50"
+                max="200"
+                className="input w-20"
+                value={form.qrCode.size}
+                onChange={(e) => setNested('qrCode', 'size', e.target.value)}
+              />
+            </label>
+          )}
+          <label className="flex items-center space-x-2">
+            <input type="checkbox" checked={form.isActive} onChange={(e) => set('isActive', e.target.checked)} />
+            <span>Active</span>
+          </label>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Terms</label>
+          <textarea className="input" rows={3} value={form.terms} onChange={(e) => set('terms', e.target.value)} maxLength={2000} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Footer</label>
+          <input className="input" value={form.footer} onChange={(e) => set('footer', e.target.value)} maxLength={500} />
+        </div>
+
+        <div className="flex justify-end space-x-2">
+          <button type="button" onClick={onDone} className="btn btn-secondary">Cancel</button>
+          <LoadingButton type="submit" isLoading={creating || updating} className="btn btn-primary">
+            {template ? 'Save template' : 'Create template'}
+          </LoadingButton>
+        </div>
+      </form>
+
+      <div className="card p-6 space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Preview as</label>
+            <select className="input" value={previewType} onChange={(e) => setPreviewType(e.target.value)}>
+              {DOCUMENT_TYPES.map((type) => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Document ID (optional)</label>
+            <input
+              className="input"
+              placeholder="Sample data when empty"
+              value={previewDocumentId}
+              onChange={(e) => setPreviewDocumentId(e.target.value)}
+            />
+          </div>
+          <LoadingButton type="button" onClick={handlePreview} isLoading={previewing} className="btn btn-secondary flex items-center justify-center">
+            <Eye className="h-4 w-4 mr-2" />
+            Preview
+          </LoadingButton>
+        </div>
+        {previewUrl ? (
+          <iframe title="Template preview" src={previewUrl} className="w-full border rounded" style={{ height: '70vh' }} />
+        ) : (
+          <div className="text-sm text-gray-500 text-center py-24 border border-dashed rounded">
+            Preview renders the unsaved settings above
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const DocumentTemplates = () => {
+  const { hasPermission } = useAuth();
+  const canManage = hasPermission('print_settings');
+  const [editing, setEditing] = useState(null);
+  const { data, isLoading, refetch } = useGetDocumentTemplatesQuery();
+  const [deleteTemplate] = useDeleteDocumentTemplateMutation();
+  const templates = data?.data || [];
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete template ${template.name}?`)) return;
+    try {
+      await deleteTemplate(template._id).unwrap();
+      toast.success(`Template ${template.name} deleted`);
+    } catch (error) {
+      handleApiError(error, 'Failed to delete template');
+    }
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+          <FileText className="h-6 w-6 text-gray-600" />
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Document Templates</h1>
+            <p className="text-gray-600">Layouts for invoices, receipts, orders, returns and quotations</p>
+          </div>
+        </div>
+        <div className="flex space-x-2">
+          <button onClick={refetch} className="btn btn-secondary flex items-center">
+            <RefreshCw className="h-4 w-4 mr-2" />
+            Refresh
+          </button>
+          {canManage && !editing && (
+            <button onClick={() => setEditing('new')} className="btn btn-primary flex items-center">
+              <Plus className="h-4 w-4 mr-2" />
+              New template
+            </button>
+          )}
+        </div>
+      </div>
+
+      {editing && (
+        <TemplateEditor
+          key={editing === 'new' ? 'new' : editing._id}
+          template={editing === 'new' ? null : editing}
+          onDone={() => setEditing(null)}
+        />
+      )}
+
+      <div className="card overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Prints</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Default for</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Paper</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">QR</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              {canManage && <th className="px-4 py-2" />}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {templates.length === 0 && (
+              <tr>
+                <td colSpan={7} className="px-4 py-6 text-center text-sm text-gray-500">
+                  No templates yet. Documents print with the standard Letter layout.
+                </td>
+              </tr>
+            )}
+            {templates.map((template) => (
+              <tr key={template._id}>
+                <td className="px-4 py-2 text-sm font-medium">{template.name}</td>
+                <td className="px-4 py-2 text-xs">{template.documentTypes.map(typeLabel).join(', ')}</td>
+                <td className="px-4 py-2 text-xs">{(template.defaultFor || []).map(typeLabel).join(', ') || '—'}</td>
+                <td className="px-4 py-2 text-sm">{PAPER_SIZES.find((size) => size.value === template.paperSize)?.label}</td>
+                <td className="px-4 py-2 text-sm">{template.qrCode?.enabled ? 'Yes' : 'No'}</td>
+                <td className="px-4 py-2 text-sm">{template.isActive ? 'Active' : 'Inactive'}</td>
+                {canManage && (
+                  <td className="px-4 py-2 text-sm text-right space-x-2 whitespace-nowrap">
+                    <button onClick={() => setEditing(template)} className="btn btn-secondary btn-sm">Edit</button>
+                    <button onClick={() => handleDelete(template)} className="text-gray-400 hover:text-red-600 align-middle">
+                      <Trash2 className="h-4 w-4 inline" />
+                    </button>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <ReceiptPrinterSettings />
+    </div>
+  );
+};
+
+export default DocumentTemplates;
@@ -0,0 +1,301 @@
+import React, { useState } from 'react';
+import { ArrowLeftRight, Plus, Trash2, RefreshCw } from 'lucide-react';
+import toast from 'react-hot-toast';
+import {
+  useGetExchangeRatesQuery,
+  useGetCurrentExchangeRatesQuery,
+  useSetExchangeRateMutation,
+  useDeleteExchangeRateMutation,
+  useGetCurrencyRevaluationsQuery,
+  useRevalueCurrenciesMutation,
+} from '../store/services/currenciesApi';
+import { useAuth } from '../contexts/AuthContext';
+import { LoadingSpinner, LoadingButton } from '../components/LoadingSpinner';
+import { handleApiError } from '../utils/errorHandler';
+import { formatCurrency } from '../utils/formatters';
+
+const LINE_LABELS = {
+  payable: 'Payable',
+  receivable: 'Receivable',
+  bank: 'Bank',
+};
+
+const toInputDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Last day of the previous month, when revaluation normally runs
+const lastMonthEnd = () => {
+  const now = new Date();
+  return toInputDate(new Date(Date.UTC(now.getFullYear(), now.getMonth(), 0)));
+};
+
+const emptyRate = () => ({ currency: '', effectiveDate: toInputDate(new Date()), rate: '', notes: '' });
+
+const GainLoss = ({ amount }) => (
+  <span className={amount < 0 ? 'text-red-600' : amount > 0 ? 'text-green-600' : ''}>
+    {formatCurrency(amount || 0)}
+  </span>
+);
+
+const RevaluationHistory = ({ canManage }) => {
+  const [asOf, setAsOf] = useState(lastMonthEnd);
+  const [openId, setOpenId] = useState(null);
+  const { data, isLoading } = useGetCurrencyRevaluationsQuery();
+  const [revalue, { isLoading: revaluing }] = useRevalueCurrenciesMutation();
+
+  const revaluations = data?.data?.revaluations || [];
+
+  const handleRevalue = async () => {
+    try {
+      const response = await revalue({ asOf }).unwrap();
+      if (response.data) {
+        toast.success(`Revalued as of ${asOf}`);
+        setOpenId(response.data._id);
+      } else {
+        toast(response.message || 'Nothing to revalue');
+      }
+    } catch (error) {
+      handleApiError(error, 'Revalue foreign currency balances');
+    }
+  };
+
+  return (
+    <div className="card p-4 space-y-4">
+      <div className="flex items-end justify-between flex-wrap gap-4">
+        <div>
+          <h2 className="text-lg font-semibold">Month-end revaluation</h2>
+          <p className="text-sm text-gray-600">
+            Open payables, receivables and bank balances restated at the closing rate; the entry reverses the next day.
+          </p>
+        </div>
+        {canManage && (
+          <div className="flex items-end gap-2">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">As of</label>
+              <input type="date" className="input" value={asOf} onChange={(e) => setAsOf(e.target.value)} />
+            </div>
+            <LoadingButton onClick={handleRevalue} isLoading={revaluing} disabled={!asOf} className="btn btn-primary flex items-center">
+              <RefreshCw className="h-4 w-4 mr-2" />
+              Revalue
+            </LoadingButton>
+          </div>
+        )}
+      </div>
+
+      {isLoading ? <LoadingSpinner /> : (
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">As of</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Rates</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Items</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Gain / (loss)</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {revaluations.length === 0 && (
+              <tr>
+                <td colSpan={4} className="px-4 py-6 text-center text-sm text-gray-500">No revaluations yet.</td>
+              </tr>
+            )}
+            {revaluations.map((revaluation) => (
+              <React.Fragment key={revaluation._id}>
+                <tr onClick={() => setOpenId(openId === revaluation._id ? null : revaluation._id)} className="hover:bg-gray-50 cursor-pointer">
+                  <td className="px-4 py-2 text-sm">{toInputDate(revaluation.asOf)}</td>
+                  <td className="px-4 py-2 text-sm font-mono">
+                    {Object.entries(revaluation.rates || {}).map(([currency, rate]) => `${currency} ${rate}`).join(', ')}
+                  </td>
+                  <td className="px-4 py-2 text-sm text-right">{revaluation.lines?.length || 0}</td>
+                  <td className="px-4 py-2 text-sm text-right font-medium"><GainLoss amount={revaluation.totalGainLoss} /></td>
+                </tr>
+                {openId === revaluation._id && (
+                  <tr>
+                    <td colSpan={4} className="px-4 py-2 bg-gray-50">
+                      <table className="min-w-full text-sm">
+                        <thead>
+                          <tr className="text-left text-gray-500">
+                            <th className="py-1">Item</th>
+                            <th className="py-1">Reference</th>
+                            <th className="py-1 text-right">Open</th>
+                            <th className="py-1 text-right">Carried</th>
+                            <th className="py-1 text-right">Revalued</th>
+                            <th className="py-1 text-right">Gain / (loss)</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {(revaluation.lines || []).map((line) => (
+                            <tr key={`${line.type}-${line.document}`}>
+                              <td className="py-1">{LINE_LABELS[line.type]}</td>
+                              <td className="py-1 font-mono">{line.reference}</td>
+                              <td className="py-1 text-right">{formatCurrency(line.foreignAmount)} {line.currency}</td>
+                              <td className="py-1 text-right">{formatCurrency(line.carried)}</td>
+                              <td className="py-1 text-right">{formatCurrency(line.revalued)}</td>
+                              <td className="py-1 text-right"><GainLoss amount={line.gainLoss} /></td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+const ExchangeRates = () => {
+  const { hasPermission } = useAuth();
+  const canManage = hasPermission('manage_exchange_rates');
+  const [currencyFilter, setCurrencyFilter] = useState('');
+  const [form, setForm] = useState(emptyRate);
+  const { data: currentData } = useGetCurrentExchangeRatesQuery();
+  const { data, isLoading } = useGetExchangeRatesQuery(currencyFilter.length === 3 ? { currency: currencyFilter } : {});
+  const [setExchangeRate, { isLoading: saving }] = useSetExchangeRateMutation();
+  const [deleteExchangeRate] = useDeleteExchangeRateMutation();
+
+  const baseCurrency = currentData?.data?.baseCurrency;
+  const current = currentData?.data?.rates || [];
+  const rates = data?.data?.rates || [];
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await setExchangeRate({ ...form, currency: form.currency.trim().toUpperCase(), rate: Number(form.rate) }).unwrap();
+      toast.success(`${form.currency.toUpperCase()} rate saved`);
+      setForm(emptyRate());
+    } catch (error) {
+      handleApiError(error, 'Save exchange rate');
+    }
+  };
+
+  const handleDelete = async (rate) => {
+    if (!window.confirm(`Delete the ${rate.currency} rate of ${toInputDate(rate.effectiveDate)}?`)) return;
+    try {
+      await deleteExchangeRate(rate._id).unwrap();
+      toast.success('Exchange rate deleted');
+    } catch (error) {
+      handleApiError(error, 'Delete exchange rate');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center space-x-3">
+        <ArrowLeftRight className="h-6 w-6 text-gray-600" />
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Exchange Rates</h1>
+          <p className="text-gray-600">
+            Value of one unit of each foreign currency in {baseCurrency || 'the base currency'}, by the date it applies from
+          </p>
+        </div>
+      </div>
+
+      {current.length > 0 && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          {current.map((rate) => (
+            <div key={rate.currency} className="card p-4">
+              <p className="text-sm text-gray-500">1 {rate.currency}</p>
+              <p className="text-xl font-semibold">{rate.rate} {baseCurrency}</p>
+              <p className="text-xs text-gray-500">since {toInputDate(rate.effectiveDate)}</p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {canManage && (
+        <form onSubmit={handleSubmit} className="card p-4 flex flex-wrap items-end gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Currency</label>
+            <input
+              className="input w-24 uppercase"
+              maxLength={3}
+              placeholder="EUR"
+              value={form.currency}
+              onChange={(e) => setForm({ ...form, currency: e.target.value })}
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Effective from</label>
+            <input type="date" className="input" value={form.effectiveDate} onChange={(e) => setForm({ ...form, effectiveDate: e.target.value })} required />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Rate</label>
+            <input
+              type="number"
+              step="0.000001"
+              min="0.000001"
+              className="input w-32"
+              value={form.rate}
+              onChange={(e) => setForm({ ...form, rate: e.target.value })}
+              required
+            />
+          </div>
+          <div className="flex-1 min-w-[12rem]">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+            <input className="input w-full" value={form.notes} onChange={(e) => setForm({ ...form, notes: e.target.value })} />
+          </div>
+          <LoadingButton type="submit" isLoading={saving} className="btn btn-primary flex items-center">
+            <Plus className="h-4 w-4 mr-2" />
+            Save rate
+          </LoadingButton>
+        </form>
+      )}
+
+      <div className="card overflow-x-auto">
+        <div className="p-4 flex items-center justify-between">
+          <h2 className="text-lg font-semibold">Rate history</h2>
+          <input
+            className="input w-32 uppercase"
+            maxLength={3}
+            placeholder="Currency"
+            value={currencyFilter}
+            onChange={(e) => setCurrencyFilter(e.target.value.toUpperCase())}
+          />
+        </div>
+        {isLoading ? <LoadingSpinner /> : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Currency</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Effective from</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Rate</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Notes</th>
+                {canManage && <th className="px-4 py-2" />}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {rates.length === 0 && (
+                <tr>
+                  <td colSpan={canManage ? 5 : 4} className="px-4 py-6 text-center text-sm text-gray-500">No exchange rates recorded.</td>
+                </tr>
+              )}
+              {rates.map((rate) => (
+                <tr key={rate._id}>
+                  <td className="px-4 py-2 text-sm font-mono">{rate.currency}</td>
+                  <td className="px-4 py-2 text-sm">{toInputDate(rate.effectiveDate)}</td>
+                  <td className="px-4 py-2 text-sm text-right">{rate.rate}</td>
+                  <td className="px-4 py-2 text-sm text-gray-600">{rate.notes}</td>
+                  {canManage && (
+                    <td className="px-4 py-2 text-right">
+                      <button onClick={() => handleDelete(rate)} className="text-red-600 hover:text-red-800" title="Delete">
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <RevaluationHistory canManage={canManage} />
+    </div>
+  );
+};
+
+export default ExchangeRates;
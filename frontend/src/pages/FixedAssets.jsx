@@ -0,0 +1,774 @@
+import React, { useMemo, useState } from 'react';
+import { Landmark, Plus, Search, Zap, X, List, Calendar, Table, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import {
+  useGetFixedAssetsQuery,
+  useGetFixedAssetQuery,
+  useGetFixedAssetProjectionQuery,
+  useLazyGetFixedAssetSourceLinesQuery,
+  useGetAssetScheduleQuery,
+  useGetDepreciationRunsQuery,
+  useCreateFixedAssetMutation,
+  useRecordFixedAssetUsageMutation,
+  useRunDepreciationMutation,
+  useDisposeFixedAssetMutation,
+} from '../store/services/fixedAssetsApi';
+import { useGetAccountsQuery } from '../store/services/chartOfAccountsApi';
+import { useAuth } from '../contexts/AuthContext';
+import { LoadingSpinner, LoadingButton } from '../components/LoadingSpinner';
+import { handleApiError } from '../utils/errorHandler';
+import { formatCurrency } from '../utils/formatters';
+
+const CATEGORY_LABELS = {
+  land: 'Land',
+  buildings: 'Buildings',
+  equipment: 'Equipment',
+  vehicles: 'Vehicles',
+  furniture_and_fixtures: 'Furniture and fixtures',
+  computer_equipment: 'Computer equipment',
+};
+
+const METHOD_LABELS = {
+  straight_line: 'Straight line',
+  declining_balance: 'Declining balance',
+  units_of_production: 'Units of production',
+  none: 'Not depreciated',
+};
+
+const SOURCE_LABELS = {
+  purchase_invoice: 'Purchase invoice',
+  journal_voucher: 'Journal voucher',
+  journal_entry: 'Journal entry',
+};
+
+const STATUS_STYLES = {
+  active: 'bg-green-100 text-green-800',
+  fully_depreciated: 'bg-gray-100 text-gray-700',
+  disposed: 'bg-red-100 text-red-800',
+};
+
+const toInputDate = (date) => new Date(date).toISOString().slice(0, 10);
+const formatMonth = (date) => new Date(date).toLocaleDateString(undefined, { month: 'short', year: 'numeric', timeZone: 'UTC' });
+const formatDate = (date) => new Date(date).toLocaleDateString(undefined, { timeZone: 'UTC' });
+
+// The month before the current one, which is the latest that can be depreciated
+const lastEndedMonth = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1)).toISOString().slice(0, 7);
+};
+
+const StatusBadge = ({ status }) => (
+  <span className={`px-2 py-0.5 rounded text-xs font-medium ${STATUS_STYLES[status] || ''}`}>{status.replace('_', ' ')}</span>
+);
+
+const AssetForm = ({ onClose }) => {
+  const [sourceType, setSourceType] = useState('purchase_invoice');
+  const [reference, setReference] = useState('');
+  const [form, setForm] = useState({
+    lineIndex: null,
+    name: '',
+    category: 'equipment',
+    amount: '',
+    quantity: '',
+    salvageValue: '',
+    method: 'straight_line',
+    usefulLifeMonths: 60,
+    decliningFactor: 2,
+    totalUnits: '',
+    startDate: '',
+    serialNumber: '',
+    location: '',
+  });
+  const [loadLines, { data: sourceData, isFetching }] = useLazyGetFixedAssetSourceLinesQuery();
+  const [createAsset, { isLoading }] = useCreateFixedAssetMutation();
+
+  const source = sourceData?.data;
+  // Purchase invoice lines are stock: capitalized by quantity, which leaves stock
+  const byQuantity = sourceType === 'purchase_invoice';
+  const set = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  const handleLookup = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await loadLines({ sourceType, reference }).unwrap();
+      setForm({ ...form, lineIndex: null, amount: '', quantity: '', name: '', startDate: toInputDate(response.data.date) });
+    } catch (error) {
+      handleApiError(error, 'Find document');
+    }
+  };
+
+  const handleSelectLine = (line) => {
+    setForm({ ...form, lineIndex: line.lineIndex, name: form.name || line.name || '' });
+  };
+
+  const handleCategory = (e) => {
+    const category = e.target.value;
+    setForm({ ...form, category, method: category === 'land' ? 'none' : (form.method === 'none' ? 'straight_line' : form.method) });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await createAsset({
+        sourceType,
+        document: source.document,
+        lineIndex: form.lineIndex,
+        name: form.name,
+        category: form.category,
+        method: form.method,
+        amount: !byQuantity && form.amount ? Number(form.amount) : undefined,
+        quantity: byQuantity && form.quantity ? Number(form.quantity) : undefined,
+        salvageValue: form.salvageValue ? Number(form.salvageValue) : undefined,
+        usefulLifeMonths: ['straight_line', 'declining_balance'].includes(form.method) ? Number(form.usefulLifeMonths) : undefined,
+        decliningFactor: form.method === 'declining_balance' ? Number(form.decliningFactor) : undefined,
+        totalUnits: form.method === 'units_of_production' ? Number(form.totalUnits) : undefined,
+        startDate: form.startDate || undefined,
+        serialNumber: form.serialNumber,
+        location: form.location,
+      }).unwrap();
+      toast.success(`${response.data.assetNumber} registered`);
+      onClose();
+    } catch (error) {
+      handleApiError(error, 'Register fixed asset');
+    }
+  };
+
+  return (
+    <div className="card p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold">Register asset</h2>
+        <button type="button" onClick={onClose} className="text-gray-500 hover:text-gray-700"><X className="h-5 w-5" /></button>
+      </div>
+
+      <form onSubmit={handleLookup} className="flex flex-wrap items-end gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Capitalize from</label>
+          <select className="input" value={sourceType} onChange={(e) => setSourceType(e.target.value)}>
+            {Object.entries(SOURCE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Number</label>
+          <input className="input" value={reference} onChange={(e) => setReference(e.target.value)} required />
+        </div>
+        <LoadingButton type="submit" isLoading={isFetching} className="btn btn-secondary flex items-center">
+          <Search className="h-4 w-4 mr-2" />
+          Find lines
+        </LoadingButton>
+      </form>
+
+      {source && (
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 uppercase">
+                <th className="py-1" />
+                <th className="py-1">Line</th>
+                <th className="py-1">Account</th>
+                {byQuantity && <th className="py-1 text-right">Qty</th>}
+                <th className="py-1 text-right">Amount</th>
+                <th className="py-1 text-right">Already capitalized</th>
+              </tr>
+            </thead>
+            <tbody>
+              {source.lines.length === 0 && (
+                <tr><td colSpan={byQuantity ? 6 : 5} className="py-2 text-gray-500">{source.reference} has no debit lines.</td></tr>
+              )}
+              {source.lines.map((line) => (
+                <tr key={line.lineIndex}>
+                  <td className="py-1">
+                    <input
+                      type="radio"
+                      name="lineIndex"
+                      checked={form.lineIndex === line.lineIndex}
+                      disabled={line.capitalized >= line.amount}
+                      onChange={() => handleSelectLine(line)}
+                    />
+                  </td>
+                  <td className="py-1">{line.name || `Line ${line.lineIndex + 1}`}</td>
+                  <td className="py-1">{line.accountCode}</td>
+                  {byQuantity && <td className="py-1 text-right">{line.quantity}</td>}
+                  <td className="py-1 text-right">{formatCurrency(line.amount)}</td>
+                  <td className="py-1 text-right">
+                    {line.capitalized ? formatCurrency(line.capitalized) : '—'}
+                    {line.capitalizedQuantity > 0 && <span className="text-xs text-gray-500"> ({line.capitalizedQuantity} units)</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="flex flex-wrap items-end gap-4">
+            <div className="flex-1 min-w-[12rem]">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input className="input w-full" value={form.name} onChange={set('name')} placeholder="From the line" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+              <select className="input" value={form.category} onChange={handleCategory}>
+                {Object.entries(CATEGORY_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+              </select>
+            </div>
+            {byQuantity ? (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Units from stock</label>
+                <input type="number" min="1" className="input w-28" placeholder="Rest of line" value={form.quantity} onChange={set('quantity')} />
+              </div>
+            ) : (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Cost</label>
+                <input type="number" min="0.01" step="0.01" className="input w-32" placeholder="Whole line" value={form.amount} onChange={set('amount')} />
+              </div>
+            )}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Serial number</label>
+              <input className="input w-36" value={form.serialNumber} onChange={set('serialNumber')} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Location</label>
+              <input className="input w-36" value={form.location} onChange={set('location')} />
+            </div>
+          </div>
+
+          <div className="flex flex-wrap items-end gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Depreciation</label>
+              <select className="input" value={form.method} onChange={set('method')}>
+                {Object.entries(METHOD_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+              </select>
+            </div>
+            {form.method !== 'none' && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Starts</label>
+                  <input type="date" className="input" value={form.startDate} onChange={set('startDate')} required />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Salvage value</label>
+                  <input type="number" min="0" step="0.01" className="input w-32" value={form.salvageValue} onChange={set('salvageValue')} placeholder="0" />
+                </div>
+              </>
+            )}
+            {['straight_line', 'declining_balance'].includes(form.method) && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Useful life (months)</label>
+                <input type="number" min="1" max="1200" className="input w-24" value={form.usefulLifeMonths} onChange={set('usefulLifeMonths')} required />
+              </div>
+            )}
+            {form.method === 'declining_balance' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Rate factor</label>
+                <input type="number" min="1" max="4" step="0.25" className="input w-20" value={form.decliningFactor} onChange={set('decliningFactor')} required />
+              </div>
+            )}
+            {form.method === 'units_of_production' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Total units over life</label>
+                <input type="number" min="1" className="input w-32" value={form.totalUnits} onChange={set('totalUnits')} required />
+              </div>
+            )}
+          </div>
+
+          <div className="flex justify-end">
+            <LoadingButton type="submit" isLoading={isLoading} disabled={form.lineIndex === null} className="btn btn-primary flex items-center">
+              <Plus className="h-4 w-4 mr-2" />
+              Register asset
+            </LoadingButton>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+const AssetDetail = ({ id, canManage, accounts }) => {
+  const { data, isLoading } = useGetFixedAssetQuery(id);
+  const { data: projectionData } = useGetFixedAssetProjectionQuery(id);
+  const [recordUsage, { isLoading: recording }] = useRecordFixedAssetUsageMutation();
+  const [disposeAsset, { isLoading: disposing }] = useDisposeFixedAssetMutation();
+  const [usage, setUsage] = useState({ date: toInputDate(new Date()), units: '' });
+  const [disposal, setDisposal] = useState(null);
+  const asset = data?.data;
+  const projection = projectionData?.data || [];
+
+  if (isLoading || !asset) return <LoadingSpinner />;
+
+  const handleUsage = async (e) => {
+    e.preventDefault();
+    try {
+      await recordUsage({ id, date: usage.date, units: Number(usage.units) }).unwrap();
+      toast.success('Usage recorded');
+      setUsage({ ...usage, units: '' });
+    } catch (error) {
+      handleApiError(error, 'Record usage');
+    }
+  };
+
+  const handleDispose = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await disposeAsset({
+        id,
+        date: disposal.date,
+        proceeds: disposal.proceeds ? Number(disposal.proceeds) : undefined,
+        proceedsAccountCode: disposal.proceedsAccountCode || undefined,
+        notes: disposal.notes,
+      }).unwrap();
+      const { gainLoss } = response.data.disposal;
+      toast.success(`${asset.assetNumber} disposed with a ${gainLoss < 0 ? 'loss' : 'gain'} of ${formatCurrency(Math.abs(gainLoss))}`);
+      setDisposal(null);
+    } catch (error) {
+      handleApiError(error, 'Dispose fixed asset');
+    }
+  };
+
+  return (
+    <div className="text-sm space-y-4">
+      <p className="text-gray-600">
+        {SOURCE_LABELS[asset.acquisition.sourceType]} {asset.acquisition.reference}, line {asset.acquisition.lineIndex + 1}, {formatDate(asset.acquisition.date)}:
+        {' '}{asset.acquisition.sourceAccountCode} → {asset.assetAccountCode}.
+        {' '}Depreciation {asset.depreciationExpenseAccountCode} / {asset.accumulatedDepreciationAccountCode}.
+      </p>
+      {asset.disposal?.date && (
+        <p className="text-gray-600">
+          Disposed {formatDate(asset.disposal.date)} for {formatCurrency(asset.disposal.proceeds || 0)}
+          {' '}({asset.disposal.gainLoss < 0 ? 'loss' : 'gain'} {formatCurrency(Math.abs(asset.disposal.gainLoss))}){asset.disposal.notes && ` — ${asset.disposal.notes}`}
+        </p>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <h4 className="font-medium text-gray-900 mb-1">Depreciation charged</h4>
+          {asset.lines.length === 0 ? <p className="text-gray-500">None yet.</p> : (
+            <table className="min-w-full">
+              <tbody>
+                {asset.lines.map((line) => (
+                  <tr key={line.periodEnd}>
+                    <td className="py-1">{formatMonth(line.periodEnd)}</td>
+                    {asset.depreciation.method === 'units_of_production' && <td className="py-1 text-right text-gray-500">{line.units} units</td>}
+                    <td className="py-1 text-right">{formatCurrency(line.amount)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+        {projection.length > 0 && (
+          <div>
+            <h4 className="font-medium text-gray-900 mb-1">Still to come</h4>
+            <div className="max-h-64 overflow-y-auto">
+              <table className="min-w-full">
+                <tbody>
+                  {projection.map((line) => (
+                    <tr key={line.periodEnd} className="text-gray-500">
+                      <td className="py-1">{formatMonth(line.periodEnd)}</td>
+                      <td className="py-1 text-right">{formatCurrency(line.amount)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+        {asset.depreciation.method === 'units_of_production' && (
+          <div>
+            <h4 className="font-medium text-gray-900 mb-1">
+              Usage ({asset.usage.reduce((sum, reading) => sum + reading.units, 0)} of {asset.depreciation.totalUnits} units)
+            </h4>
+            <table className="min-w-full">
+              <tbody>
+                {asset.usage.map((reading, index) => (
+                  <tr key={index}>
+                    <td className="py-1">{formatDate(reading.date)}</td>
+                    <td className="py-1 text-right">{reading.units}</td>
+                    <td className="py-1 pl-4 text-gray-500">{reading.notes}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {canManage && asset.status === 'active' && (
+              <form onSubmit={handleUsage} className="flex items-end gap-2 mt-2">
+                <input type="date" className="input" value={usage.date} onChange={(e) => setUsage({ ...usage, date: e.target.value })} required />
+                <input type="number" min="0" className="input w-28" placeholder="Units" value={usage.units} onChange={(e) => setUsage({ ...usage, units: e.target.value })} required />
+                <LoadingButton type="submit" isLoading={recording} className="btn btn-secondary">Record</LoadingButton>
+              </form>
+            )}
+          </div>
+        )}
+      </div>
+
+      {canManage && asset.status !== 'disposed' && (
+        disposal ? (
+          <form onSubmit={handleDispose} className="flex flex-wrap items-end gap-4 border-t pt-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Disposal date</label>
+              <input type="date" className="input" value={disposal.date} onChange={(e) => setDisposal({ ...disposal, date: e.target.value })} required />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Proceeds</label>
+              <input type="number" min="0" step="0.01" className="input w-32" placeholder="0" value={disposal.proceeds} onChange={(e) => setDisposal({ ...disposal, proceeds: e.target.value })} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Received into</label>
+              <select className="input" value={disposal.proceedsAccountCode} onChange={(e) => setDisposal({ ...disposal, proceedsAccountCode: e.target.value })}>
+                <option value="">Cash</option>
+                {accounts.filter((account) => account.accountType === 'asset').map((account) => (
+                  <option key={account._id} value={account.accountCode}>{account.accountCode} — {account.accountName}</option>
+                ))}
+              </select>
+            </div>
+            <div className="flex-1 min-w-[12rem]">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+              <input className="input w-full" placeholder="e.g. Sold to …, scrapped" value={disposal.notes} onChange={(e) => setDisposal({ ...disposal, notes: e.target.value })} />
+            </div>
+            <div className="flex gap-2">
+              <button type="button" onClick={() => setDisposal(null)} className="btn btn-secondary">Cancel</button>
+              <LoadingButton type="submit" isLoading={disposing} className="btn btn-danger">Dispose</LoadingButton>
+            </div>
+          </form>
+        ) : (
+          <button
+            onClick={() => setDisposal({ date: toInputDate(new Date()), proceeds: '', proceedsAccountCode: '', notes: '' })}
+            className="text-red-600 hover:text-red-800 flex items-center"
+          >
+            <Trash2 className="h-4 w-4 mr-1" />
+            Dispose of asset
+          </button>
+        )
+      )}
+    </div>
+  );
+};
+
+const Register = ({ canManage, accounts }) => {
+  const [categoryFilter, setCategoryFilter] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [search, setSearch] = useState('');
+  const [showForm, setShowForm] = useState(false);
+  const [openId, setOpenId] = useState(null);
+  const { data, isLoading } = useGetFixedAssetsQuery({
+    ...(categoryFilter && { category: categoryFilter }),
+    ...(statusFilter && { status: statusFilter }),
+    ...(search && { search }),
+  });
+  const assets = data?.data?.assets || [];
+
+  return (
+    <div className="space-y-6">
+      {canManage && !showForm && (
+        <div className="flex justify-end">
+          <button onClick={() => setShowForm(true)} className="btn btn-primary flex items-center">
+            <Plus className="h-4 w-4 mr-2" />
+            Register asset
+          </button>
+        </div>
+      )}
+      {showForm && <AssetForm onClose={() => setShowForm(false)} />}
+
+      <div className="card overflow-x-auto">
+        <div className="p-4 flex items-center justify-between gap-2">
+          <h2 className="text-lg font-semibold">Asset register</h2>
+          <div className="flex gap-2">
+            <input className="input w-48" placeholder="Search" value={search} onChange={(e) => setSearch(e.target.value)} />
+            <select className="input w-44" value={categoryFilter} onChange={(e) => setCategoryFilter(e.target.value)}>
+              <option value="">All categories</option>
+              {Object.entries(CATEGORY_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+            <select className="input w-40" value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+              <option value="">All</option>
+              <option value="active">Active</option>
+              <option value="fully_depreciated">Fully depreciated</option>
+              <option value="disposed">Disposed</option>
+            </select>
+          </div>
+        </div>
+        {isLoading ? <LoadingSpinner /> : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Asset</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Category</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Method</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Cost</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Depreciation</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Book value</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Through</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {assets.length === 0 && (
+                <tr>
+                  <td colSpan={8} className="px-4 py-6 text-center text-sm text-gray-500">No fixed assets.</td>
+                </tr>
+              )}
+              {assets.map((asset) => (
+                <React.Fragment key={asset._id}>
+                  <tr onClick={() => setOpenId(openId === asset._id ? null : asset._id)} className="hover:bg-gray-50 cursor-pointer">
+                    <td className="px-4 py-2 text-sm">
+                      <div className="font-medium">{asset.assetNumber}</div>
+                      <div className="text-xs text-gray-500">{asset.name}{asset.serialNumber && ` · ${asset.serialNumber}`}</div>
+                    </td>
+                    <td className="px-4 py-2 text-sm">{CATEGORY_LABELS[asset.category]}</td>
+                    <td className="px-4 py-2 text-sm">
+                      {METHOD_LABELS[asset.depreciation.method]}
+                      {asset.depreciation.usefulLifeMonths && asset.depreciation.method !== 'units_of_production' && (
+                        <span className="text-xs text-gray-500"> · {asset.depreciation.usefulLifeMonths} mo</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-2 text-sm text-right">{formatCurrency(asset.cost)}</td>
+                    <td className="px-4 py-2 text-sm text-right">{formatCurrency(asset.accumulatedDepreciation)}</td>
+                    <td className="px-4 py-2 text-sm text-right font-medium">{formatCurrency(asset.bookValue)}</td>
+                    <td className="px-4 py-2 text-sm">{asset.depreciatedThrough ? formatMonth(asset.depreciatedThrough) : '—'}</td>
+                    <td className="px-4 py-2 text-sm"><StatusBadge status={asset.status} /></td>
+                  </tr>
+                  {openId === asset._id && (
+                    <tr>
+                      <td colSpan={8} className="px-4 py-4 bg-gray-50">
+                        <AssetDetail id={asset._id} canManage={canManage} accounts={accounts} />
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const DepreciationRuns = ({ canManage }) => {
+  const [month, setMonth] = useState(lastEndedMonth());
+  const [openId, setOpenId] = useState(null);
+  const { data, isLoading } = useGetDepreciationRunsQuery({});
+  const [runDepreciation, { isLoading: running }] = useRunDepreciationMutation();
+  const runs = data?.data?.runs || [];
+
+  const handleRun = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await runDepreciation({ month: `${month}-01` }).unwrap();
+      const { lines, totalAmount } = response.data;
+      toast.success(lines.length ? `${formatCurrency(totalAmount)} charged on ${lines.length} asset(s)` : 'Nothing to depreciate');
+    } catch (error) {
+      handleApiError(error, 'Run depreciation');
+    }
+  };
+
+  return (
+    <div className="card overflow-x-auto">
+      <div className="p-4 flex items-center justify-between gap-2">
+        <div>
+          <h2 className="text-lg font-semibold">Depreciation runs</h2>
+          <p className="text-sm text-gray-500">Months not run by hand are run automatically once they end and before a period is closed.</p>
+        </div>
+        {canManage && (
+          <form onSubmit={handleRun} className="flex items-center gap-2">
+            <input type="month" className="input" value={month} max={lastEndedMonth()} onChange={(e) => setMonth(e.target.value)} required />
+            <LoadingButton type="submit" isLoading={running} className="btn btn-secondary flex items-center">
+              <Zap className="h-4 w-4 mr-2" />
+              Run month
+            </LoadingButton>
+          </form>
+        )}
+      </div>
+      {isLoading ? <LoadingSpinner /> : (
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Month</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Entry</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Assets</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Depreciation</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {runs.length === 0 && (
+              <tr>
+                <td colSpan={4} className="px-4 py-6 text-center text-sm text-gray-500">No depreciation runs.</td>
+              </tr>
+            )}
+            {runs.map((run) => (
+              <React.Fragment key={run._id}>
+                <tr onClick={() => setOpenId(openId === run._id ? null : run._id)} className="hover:bg-gray-50 cursor-pointer">
+                  <td className="px-4 py-2 text-sm font-medium">{formatMonth(run.periodEnd)}</td>
+                  <td className="px-4 py-2 text-sm">{run.journalEntry?.entryNumber || '—'}</td>
+                  <td className="px-4 py-2 text-sm text-right">{run.lines.length}</td>
+                  <td className="px-4 py-2 text-sm text-right font-medium">{formatCurrency(run.totalAmount)}</td>
+                </tr>
+                {openId === run._id && (
+                  <tr>
+                    <td colSpan={4} className="px-4 py-4 bg-gray-50">
+                      <table className="min-w-full text-sm">
+                        <tbody>
+                          {run.lines.map((line) => (
+                            <tr key={line.asset}>
+                              <td className="py-1">{line.assetNumber} · {line.name}</td>
+                              <td className="py-1 text-gray-500">{CATEGORY_LABELS[line.category]}</td>
+                              <td className="py-1 text-gray-500">{line.months > 1 && `${line.months} months`}</td>
+                              <td className="py-1 text-right">{formatCurrency(line.amount)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+const SCHEDULE_COLUMNS = [
+  ['openingCost', 'Opening cost'],
+  ['additions', 'Additions'],
+  ['disposals', 'Disposals'],
+  ['closingCost', 'Closing cost'],
+  ['openingDepreciation', 'Opening depreciation'],
+  ['charge', 'Charge'],
+  ['depreciationOnDisposals', 'On disposals'],
+  ['closingDepreciation', 'Closing depreciation'],
+  ['bookValue', 'Book value'],
+];
+
+const AssetSchedule = () => {
+  const [range, setRange] = useState(() => {
+    const today = new Date();
+    return { from: `${today.getFullYear()}-01-01`, to: toInputDate(today) };
+  });
+  const { data, isFetching } = useGetAssetScheduleQuery(range);
+  const schedule = data?.data;
+
+  const rowsByCategory = useMemo(() => {
+    const groups = {};
+    (schedule?.assets || []).forEach((row) => {
+      (groups[row.category] = groups[row.category] || []).push(row);
+    });
+    return groups;
+  }, [schedule]);
+
+  const cells = (row, className = '') => SCHEDULE_COLUMNS.map(([field]) => (
+    <td key={field} className={`px-3 py-1 text-right ${className}`}>{formatCurrency(row[field])}</td>
+  ));
+
+  return (
+    <div className="card overflow-x-auto">
+      <div className="p-4 flex items-center justify-between gap-2">
+        <h2 className="text-lg font-semibold">Asset schedule</h2>
+        <div className="flex items-center gap-2">
+          <input type="date" className="input" value={range.from} onChange={(e) => setRange({ ...range, from: e.target.value })} />
+          <span className="text-gray-500">to</span>
+          <input type="date" className="input" value={range.to} onChange={(e) => setRange({ ...range, to: e.target.value })} />
+        </div>
+      </div>
+      {isFetching || !schedule ? <LoadingSpinner /> : (
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Asset</th>
+              {SCHEDULE_COLUMNS.map(([field, label]) => (
+                <th key={field} className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">{label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {schedule.categories.length === 0 && (
+              <tr>
+                <td colSpan={SCHEDULE_COLUMNS.length + 1} className="px-4 py-6 text-center text-gray-500">No assets held in this period.</td>
+              </tr>
+            )}
+            {schedule.categories.map((category) => (
+              <React.Fragment key={category.category}>
+                {rowsByCategory[category.category].map((row) => (
+                  <tr key={row.asset} className="text-gray-600">
+                    <td className="px-3 py-1">{row.assetNumber} · {row.name}</td>
+                    {cells(row)}
+                  </tr>
+                ))}
+                <tr className="border-b font-medium">
+                  <td className="px-3 py-1">{CATEGORY_LABELS[category.category]}</td>
+                  {cells(category)}
+                </tr>
+              </React.Fragment>
+            ))}
+            {schedule.categories.length > 0 && (
+              <tr className="font-bold border-t-2">
+                <td className="px-3 py-2">Total</td>
+                {cells(schedule.totals, 'py-2')}
+              </tr>
+            )}
+          </tbody>
+        </table>
+      )}
+      {schedule && schedule.totals.gainLoss !== 0 && (
+        <p className="p-4 text-sm text-gray-600">
+          Net {schedule.totals.gainLoss < 0 ? 'loss' : 'gain'} on disposals: {formatCurrency(Math.abs(schedule.totals.gainLoss))}
+        </p>
+      )}
+    </div>
+  );
+};
+
+const TABS = [
+  { id: 'register', name: 'Register', icon: List },
+  { id: 'runs', name: 'Depreciation runs', icon: Calendar },
+  { id: 'schedule', name: 'Asset schedule', icon: Table },
+];
+
+const FixedAssets = () => {
+  const { hasPermission } = useAuth();
+  const canManage = hasPermission('manage_reports');
+  const [activeTab, setActiveTab] = useState('register');
+  const { data: accountsResponse } = useGetAccountsQuery({ isActive: 'true' });
+
+  const accounts = useMemo(() => {
+    const list = accountsResponse?.data?.accounts || accountsResponse?.data || accountsResponse || [];
+    return Array.isArray(list) ? [...list].sort((a, b) => a.accountCode.localeCompare(b.accountCode)) : [];
+  }, [accountsResponse]);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center space-x-3">
+        <Landmark className="h-6 w-6 text-gray-600" />
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Fixed Assets</h1>
+          <p className="text-gray-600">Asset register, monthly depreciation and disposals</p>
+        </div>
+      </div>
+
+      <div className="border-b border-gray-200">
+        <nav className="-mb-px flex space-x-8">
+          {TABS.map((tab) => {
+            const Icon = tab.icon;
+            return (
+              <button
+                key={tab.id}
+                onClick={() => setActiveTab(tab.id)}
+                className={`py-2 px-1 border-b-2 font-medium text-sm flex items-center space-x-2 ${
+                  activeTab === tab.id
+                    ? 'border-blue-500 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                <Icon className="h-4 w-4" />
+                <span>{tab.name}</span>
+              </button>
+            );
+          })}
+        </nav>
+      </div>
+
+      {activeTab === 'register' && <Register canManage={canManage} accounts={accounts} />}
+      {activeTab === 'runs' && <DepreciationRuns canManage={canManage} />}
+      {activeTab === 'schedule' && <AssetSchedule />}
+    </div>
+  );
+};
+
+export default FixedAssets;
@@ -286,6 +286,9 @@ const InventoryAlerts = () => {
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                       {alert.inventory.reorderPoint}
+                      {alert.inventory.reorderSource === 'forecast' && (
+                        <div className="text-xs text-blue-600">forecast</div>
+                      )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className={`text-sm font-medium ${getUrgencyColor(alert.urgency)}`}>
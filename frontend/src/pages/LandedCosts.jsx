@@ -0,0 +1,503 @@
+import React, { useState } from 'react';
+import { Ship, Plus, ArrowLeft, Trash2, Search, X, CheckCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import {
+  useGetLandedCostsQuery,
+  useGetLandedCostQuery,
+  useCreateLandedCostMutation,
+  useUpdateLandedCostMutation,
+  usePostLandedCostMutation,
+  useCancelLandedCostMutation,
+} from '../store/services/landedCostsApi';
+import { useGetPurchaseInvoicesQuery } from '../store/services/purchaseInvoicesApi';
+import { useGetSuppliersQuery } from '../store/services/suppliersApi';
+import { useAuth } from '../contexts/AuthContext';
+import { LoadingSpinner, LoadingButton } from '../components/LoadingSpinner';
+import { handleApiError } from '../utils/errorHandler';
+import { formatCurrency } from '../utils/formatters';
+
+const CHARGE_LABELS = {
+  freight: 'Freight',
+  customs_duty: 'Customs duty',
+  clearing: 'Clearing',
+  insurance: 'Insurance',
+  handling: 'Handling',
+  other: 'Other',
+};
+
+const METHOD_LABELS = {
+  value: 'By value',
+  quantity: 'By quantity',
+  weight: 'By weight',
+  volume: 'By volume',
+};
+
+const SETTLEMENT_LABELS = {
+  accounts_payable: 'Owed to supplier',
+  cash: 'Paid in cash',
+  bank: 'Paid from bank',
+};
+
+const STATUS_STYLES = {
+  draft: 'bg-yellow-100 text-yellow-800',
+  posted: 'bg-green-100 text-green-800',
+  cancelled: 'bg-gray-100 text-gray-800',
+};
+
+const defaultForm = {
+  date: new Date().toISOString().slice(0, 10),
+  supplier: '',
+  supplierReference: '',
+  purchaseInvoices: [],
+  allocationMethod: 'value',
+  settlement: 'accounts_payable',
+  charges: [{ type: 'freight', description: '', amount: '' }],
+  notes: '',
+};
+
+const toForm = (landedCost) => ({
+  date: new Date(landedCost.date).toISOString().slice(0, 10),
+  supplier: landedCost.supplier?._id || landedCost.supplier || '',
+  supplierReference: landedCost.supplierReference || '',
+  purchaseInvoices: (landedCost.purchaseInvoices || []).map((invoice) => ({
+    _id: invoice._id || invoice,
+    invoiceNumber: invoice.invoiceNumber || '',
+  })),
+  allocationMethod: landedCost.allocationMethod,
+  settlement: landedCost.settlement,
+  charges: landedCost.charges.map((charge) => ({ ...charge, description: charge.description || '' })),
+  notes: landedCost.notes || '',
+});
+
+const InvoicePicker = ({ onPick }) => {
+  const [search, setSearch] = useState('');
+  const { data } = useGetPurchaseInvoicesQuery({ search, limit: 20 }, { skip: !search });
+  const invoices = (data?.invoices || data?.data?.invoices || []).filter(
+    (invoice) => invoice.invoiceType !== 'return' && invoice.status !== 'cancelled'
+  );
+
+  return (
+    <div className="relative">
+      <Search className="h-4 w-4 absolute left-3 top-3 text-gray-400" />
+      <input className="input pl-9" placeholder="Add a purchase invoice..." value={search} onChange={(e) => setSearch(e.target.value)} />
+      {search && invoices.length > 0 && (
+        <div className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded shadow max-h-48 overflow-y-auto">
+          {invoices.map((invoice) => (
+            <button
+              type="button"
+              key={invoice._id}
+              onClick={() => {
+                onPick({ _id: invoice._id, invoiceNumber: invoice.invoiceNumber });
+                setSearch('');
+              }}
+              className="w-full text-left px-3 py-2 text-sm hover:bg-gray-50 flex justify-between"
+            >
+              <span>{invoice.invoiceNumber}</span>
+              <span className="text-gray-500">
+                {invoice.supplierInfo?.companyName || invoice.supplierInfo?.name || ''} · {formatCurrency(invoice.pricing?.total || 0)}
+              </span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const LandedCostEditor = ({ id, onBack }) => {
+  const { hasPermission } = useAuth();
+  const { data, isLoading } = useGetLandedCostQuery(id, { skip: !id });
+  const landedCost = data?.data || data;
+
+  if (id && (isLoading || !landedCost?._id)) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <LandedCostForm
+      key={landedCost?._id || 'new'}
+      landedCost={id ? landedCost : null}
+      canEdit={hasPermission('edit_purchase_invoices') && (!id || landedCost.status === 'draft')}
+      onBack={onBack}
+    />
+  );
+};
+
+const LandedCostForm = ({ landedCost, canEdit, onBack }) => {
+  const [form, setForm] = useState(() => (landedCost ? toForm(landedCost) : defaultForm));
+
+  const { data: suppliersData } = useGetSuppliersQuery({ limit: 100 });
+  const suppliers = suppliersData?.data?.suppliers || suppliersData?.suppliers || [];
+
+  const [createLandedCost, { isLoading: isCreating }] = useCreateLandedCostMutation();
+  const [updateLandedCost, { isLoading: isUpdating }] = useUpdateLandedCostMutation();
+  const [postLandedCost, { isLoading: isPosting }] = usePostLandedCostMutation();
+  const [cancelLandedCost, { isLoading: isCancelling }] = useCancelLandedCostMutation();
+
+  const setField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const setCharge = (index, field, value) =>
+    setField('charges', form.charges.map((charge, i) => (i === index ? { ...charge, [field]: value } : charge)));
+
+  const totalCharges = form.charges.reduce((sum, charge) => sum + (Number(charge.amount) || 0), 0);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const payload = {
+      date: form.date,
+      supplier: form.supplier || null,
+      supplierReference: form.supplierReference,
+      purchaseInvoices: form.purchaseInvoices.map((invoice) => invoice._id),
+      allocationMethod: form.allocationMethod,
+      settlement: form.settlement,
+      charges: form.charges.map((charge) => ({ ...charge, amount: Number(charge.amount) || 0 })),
+      notes: form.notes,
+    };
+
+    try {
+      if (landedCost) {
+        await updateLandedCost({ id: landedCost._id, ...payload }).unwrap();
+        toast.success('Landed cost saved');
+      } else {
+        await createLandedCost(payload).unwrap();
+        toast.success('Landed cost created');
+        onBack();
+      }
+    } catch (error) {
+      handleApiError(error, 'Failed to save landed cost');
+    }
+  };
+
+  const handlePost = async () => {
+    if (!window.confirm(`Post ${landedCost.voucherNumber}? Product costs will be updated and this cannot be undone.`)) return;
+    try {
+      await postLandedCost(landedCost._id).unwrap();
+      toast.success('Landed cost posted');
+    } catch (error) {
+      handleApiError(error, 'Failed to post landed cost');
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!window.confirm(`Cancel ${landedCost.voucherNumber}?`)) return;
+    try {
+      await cancelLandedCost(landedCost._id).unwrap();
+      toast.success('Landed cost cancelled');
+      onBack();
+    } catch (error) {
+      handleApiError(error, 'Failed to cancel landed cost');
+    }
+  };
+
+  const posted = landedCost?.status === 'posted';
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+          <button type="button" onClick={onBack} className="btn btn-secondary">
+            <ArrowLeft className="h-4 w-4" />
+          </button>
+          <h1 className="text-2xl font-bold text-gray-900">
+            {landedCost ? landedCost.voucherNumber : 'New Landed Cost'}
+          </h1>
+          {landedCost && (
+            <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[landedCost.status]}`}>
+              {landedCost.status}
+            </span>
+          )}
+        </div>
+        {canEdit && (
+          <div className="flex space-x-2">
+            {landedCost && (
+              <>
+                <LoadingButton type="button" onClick={handleCancel} isLoading={isCancelling} className="btn btn-secondary">
+                  Cancel Voucher
+                </LoadingButton>
+                <LoadingButton type="button" onClick={handlePost} isLoading={isPosting} className="btn btn-success flex items-center">
+                  <CheckCircle className="h-4 w-4 mr-2" /> Post
+                </LoadingButton>
+              </>
+            )}
+            <LoadingButton type="submit" isLoading={isCreating || isUpdating} className="btn btn-primary">
+              Save
+            </LoadingButton>
+          </div>
+        )}
+      </div>
+
+      <fieldset disabled={!canEdit} className="space-y-6">
+        <div className="card p-6 grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+            <input type="date" className="input" required value={form.date} onChange={(e) => setField('date', e.target.value)} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Billed by</label>
+            <select className="input" value={form.supplier} onChange={(e) => setField('supplier', e.target.value)}>
+              <option value="">No supplier</option>
+              {suppliers.map((supplier) => (
+                <option key={supplier._id} value={supplier._id}>{supplier.companyName || supplier.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Their reference</label>
+            <input className="input" maxLength={100} value={form.supplierReference} onChange={(e) => setField('supplierReference', e.target.value)} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Settlement</label>
+            <select className="input" value={form.settlement} onChange={(e) => setField('settlement', e.target.value)}>
+              {Object.entries(SETTLEMENT_LABELS).map(([settlement, label]) => (
+                <option key={settlement} value={settlement}>{label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="card p-6 grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div className="space-y-2">
+            <h2 className="font-semibold text-gray-900">Purchase invoices</h2>
+            {canEdit && (
+              <InvoicePicker
+                onPick={(invoice) =>
+                  !form.purchaseInvoices.some((i) => i._id === invoice._id) &&
+                  setField('purchaseInvoices', [...form.purchaseInvoices, invoice])
+                }
+              />
+            )}
+            <div className="flex flex-wrap gap-2">
+              {form.purchaseInvoices.map((invoice) => (
+                <span key={invoice._id} className="px-2 py-1 bg-gray-100 rounded text-sm flex items-center">
+                  {invoice.invoiceNumber || invoice._id}
+                  {canEdit && (
+                    <button
+                      type="button"
+                      onClick={() => setField('purchaseInvoices', form.purchaseInvoices.filter((i) => i._id !== invoice._id))}
+                      className="ml-1 text-gray-400 hover:text-red-600"
+                    >
+                      <X className="h-3 w-3" />
+                    </button>
+                  )}
+                </span>
+              ))}
+            </div>
+            <label className="block text-sm font-medium text-gray-700 mt-4 mb-1">Allocate</label>
+            <select className="input" value={form.allocationMethod} onChange={(e) => setField('allocationMethod', e.target.value)}>
+              {Object.entries(METHOD_LABELS).map(([method, label]) => (
+                <option key={method} value={method}>{label}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500">Weight and volume use the weight and dimensions set on each product.</p>
+          </div>
+
+          <div className="space-y-2">
+            <h2 className="font-semibold text-gray-900">Charges</h2>
+            {form.charges.map((charge, index) => (
+              <div key={index} className="grid grid-cols-12 gap-2">
+                <select className="input col-span-4" value={charge.type} onChange={(e) => setCharge(index, 'type', e.target.value)}>
+                  {Object.entries(CHARGE_LABELS).map(([type, label]) => (
+                    <option key={type} value={type}>{label}</option>
+                  ))}
+                </select>
+                <input
+                  className="input col-span-4"
+                  placeholder="Description"
+                  maxLength={200}
+                  value={charge.description}
+                  onChange={(e) => setCharge(index, 'description', e.target.value)}
+                />
+                <input
+                  type="number"
+                  className="input col-span-3"
+                  min={0}
+                  step="0.01"
+                  required
+                  value={charge.amount}
+                  onChange={(e) => setCharge(index, 'amount', e.target.value)}
+                />
+                {canEdit && (
+                  <button
+                    type="button"
+                    onClick={() => setField('charges', form.charges.filter((_, i) => i !== index))}
+                    className="col-span-1 text-gray-400 hover:text-red-600"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                )}
+              </div>
+            ))}
+            {canEdit && (
+              <button
+                type="button"
+                onClick={() => setField('charges', [...form.charges, { type: 'other', description: '', amount: '' }])}
+                className="btn btn-secondary flex items-center"
+              >
+                <Plus className="h-4 w-4 mr-2" /> Add charge
+              </button>
+            )}
+            <div className="flex justify-between text-sm font-medium pt-2 border-t">
+              <span>Total</span>
+              <span>{formatCurrency(totalCharges)}</span>
+            </div>
+          </div>
+        </div>
+
+        <div className="card p-6">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+          <textarea className="input" rows={2} maxLength={1000} value={form.notes} onChange={(e) => setField('notes', e.target.value)} />
+        </div>
+      </fieldset>
+
+      {landedCost?.allocations?.length > 0 && (
+        <div className="card overflow-x-auto">
+          <div className="px-4 py-3 flex items-center justify-between">
+            <h2 className="font-semibold text-gray-900">Allocation</h2>
+            {posted && (
+              <span className="text-sm text-gray-600">
+                Inventory {formatCurrency(landedCost.totals.inventory)} · COGS {formatCurrency(landedCost.totals.cogs)}
+              </span>
+            )}
+          </div>
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Invoice</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Qty</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Unit Cost</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Charge</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Landed Unit Cost</th>
+                {posted && <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">On Hand / Sold</th>}
+                {posted && <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">To COGS</th>}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {landedCost.allocations.map((allocation) => (
+                <tr key={allocation._id}>
+                  <td className="px-4 py-2 text-sm font-mono">{allocation.invoiceNumber}</td>
+                  <td className="px-4 py-2 text-sm">{allocation.productName}</td>
+                  <td className="px-4 py-2 text-sm text-right">{allocation.quantity}</td>
+                  <td className="px-4 py-2 text-sm text-right">{formatCurrency(allocation.unitCost)}</td>
+                  <td className="px-4 py-2 text-sm text-right">{formatCurrency(allocation.amount)}</td>
+                  <td className="px-4 py-2 text-sm text-right">{formatCurrency(allocation.unitCost + allocation.unitLandedCost)}</td>
+                  {posted && <td className="px-4 py-2 text-sm text-right">{allocation.onHandQuantity} / {allocation.soldQuantity}</td>}
+                  {posted && <td className="px-4 py-2 text-sm text-right">{formatCurrency(allocation.cogsAmount)}</td>}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </form>
+  );
+};
+
+const LandedCosts = () => {
+  const { hasPermission } = useAuth();
+  const [selectedId, setSelectedId] = useState(null);
+  const [creating, setCreating] = useState(false);
+  const [status, setStatus] = useState('');
+  const [page, setPage] = useState(1);
+
+  const { data, isLoading } = useGetLandedCostsQuery({ page, limit: 20, ...(status ? { status } : {}) });
+  const landedCosts = data?.data?.landedCosts || [];
+  const pagination = data?.data?.pagination;
+
+  if (selectedId || creating) {
+    return (
+      <LandedCostEditor
+        id={selectedId}
+        onBack={() => {
+          setSelectedId(null);
+          setCreating(false);
+        }}
+      />
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-4 sm:space-y-0">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Landed Costs</h1>
+          <p className="text-gray-600">Freight, duty and clearing charges added to the cost of purchased stock</p>
+        </div>
+        <div className="flex items-center space-x-3">
+          <select
+            className="input"
+            value={status}
+            onChange={(e) => {
+              setStatus(e.target.value);
+              setPage(1);
+            }}
+          >
+            <option value="">All statuses</option>
+            <option value="draft">Draft</option>
+            <option value="posted">Posted</option>
+            <option value="cancelled">Cancelled</option>
+          </select>
+          {hasPermission('edit_purchase_invoices') && (
+            <button onClick={() => setCreating(true)} className="btn btn-primary flex items-center">
+              <Plus className="h-4 w-4 mr-2" /> New Landed Cost
+            </button>
+          )}
+        </div>
+      </div>
+
+      {isLoading ? (
+        <LoadingSpinner />
+      ) : landedCosts.length === 0 ? (
+        <div className="card p-12 text-center text-gray-500">
+          <Ship className="h-12 w-12 mx-auto mb-3 text-gray-300" />
+          No landed costs yet
+        </div>
+      ) : (
+        <div className="card overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Voucher</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Invoices</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Billed By</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Method</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Charges</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {landedCosts.map((landedCost) => (
+                <tr key={landedCost._id} onClick={() => setSelectedId(landedCost._id)} className="hover:bg-gray-50 cursor-pointer">
+                  <td className="px-4 py-2 text-sm font-mono">{landedCost.voucherNumber}</td>
+                  <td className="px-4 py-2 text-sm">{new Date(landedCost.date).toLocaleDateString()}</td>
+                  <td className="px-4 py-2 text-sm">
+                    {(landedCost.purchaseInvoices || []).map((invoice) => invoice.invoiceNumber).join(', ')}
+                  </td>
+                  <td className="px-4 py-2 text-sm">{landedCost.supplier?.companyName || landedCost.supplier?.name || '—'}</td>
+                  <td className="px-4 py-2 text-sm">{METHOD_LABELS[landedCost.allocationMethod]}</td>
+                  <td className="px-4 py-2 text-sm text-right">{formatCurrency(landedCost.totals?.charges || 0)}</td>
+                  <td className="px-4 py-2 text-sm">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[landedCost.status]}`}>
+                      {landedCost.status}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pagination && pagination.pages > 1 && (
+        <div className="flex justify-end items-center space-x-2">
+          <button className="btn btn-secondary" disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</button>
+          <span className="text-sm text-gray-600">Page {page} of {pagination.pages}</span>
+          <button className="btn btn-secondary" disabled={page >= pagination.pages} onClick={() => setPage(page + 1)}>Next</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LandedCosts;
@@ -0,0 +1,645 @@
+import React, { useState } from 'react';
+import { Tags, Plus, ArrowLeft, Trash2, Search, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import {
+  useGetPriceListsQuery,
+  useGetPriceListQuery,
+  useLazyResolvePriceQuery,
+  useCreatePriceListMutation,
+  useUpdatePriceListMutation,
+  useDeletePriceListMutation,
+} from '../store/services/priceListsApi';
+import { useGetCustomersQuery } from '../store/services/customersApi';
+import { useGetProductsQuery } from '../store/services/productsApi';
+import { useAuth } from '../contexts/AuthContext';
+import { LoadingSpinner, LoadingButton } from '../components/LoadingSpinner';
+import { handleApiError } from '../utils/errorHandler';
+import { formatCurrency } from '../utils/formatters';
+
+const CUSTOMER_TYPES = ['retail', 'wholesale', 'distributor', 'individual'];
+
+const METHOD_LABELS = {
+  fixed: 'Fixed price',
+  cost_markup: 'Markup on cost %',
+  percent_of_cost: '% of cost',
+  list_adjustment: 'List price +/- %',
+};
+
+const defaultForm = {
+  code: '',
+  name: '',
+  description: '',
+  effectiveFrom: new Date().toISOString().slice(0, 10),
+  effectiveTo: '',
+  customerTypes: [],
+  customers: [],
+  defaultRule: { method: 'none', percent: 0, quantityBreaks: [] },
+  items: [],
+  isActive: true,
+};
+
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+const toForm = (priceList) => ({
+  code: priceList.code,
+  name: priceList.name,
+  description: priceList.description || '',
+  effectiveFrom: toDateInput(priceList.effectiveFrom),
+  effectiveTo: toDateInput(priceList.effectiveTo),
+  customerTypes: priceList.customerTypes || [],
+  customers: (priceList.customers || []).map((customer) => ({
+    _id: customer._id || customer,
+    name: customer.businessName || customer.name,
+  })),
+  defaultRule: {
+    method: priceList.defaultRule?.method || 'none',
+    percent: priceList.defaultRule?.percent ?? 0,
+    quantityBreaks: priceList.defaultRule?.quantityBreaks || [],
+  },
+  items: (priceList.items || []).map((item) => ({
+    product: item.product?._id || item.product,
+    name: item.product?.name,
+    pricing: item.product?.pricing,
+    method: item.method,
+    price: item.price ?? '',
+    percent: item.percent ?? '',
+    quantityBreaks: item.quantityBreaks || [],
+  })),
+  isActive: priceList.isActive,
+});
+
+const numberOrNull = (value) => (value === '' || value === null || value === undefined ? null : Number(value));
+
+const cleanBreaks = (breaks) =>
+  breaks
+    .filter((entry) => entry.minQuantity)
+    .map((entry) => ({
+      minQuantity: parseInt(entry.minQuantity, 10),
+      price: numberOrNull(entry.price),
+      discountPercent: numberOrNull(entry.discountPercent),
+    }));
+
+const QuantityBreaks = ({ breaks, onChange }) => {
+  const update = (index, field, value) =>
+    onChange(breaks.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry)));
+
+  return (
+    <div className="space-y-1">
+      {breaks.map((entry, index) => (
+        <div key={index} className="flex items-center space-x-1 text-xs">
+          <span className="text-gray-500">from</span>
+          <input
+            type="number"
+            min="1"
+            className="input w-16 py-1 text-xs"
+            value={entry.minQuantity ?? ''}
+            onChange={(e) => update(index, 'minQuantity', e.target.value)}
+          />
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            placeholder="price"
+            className="input w-20 py-1 text-xs"
+            value={entry.price ?? ''}
+            onChange={(e) => update(index, 'price', e.target.value)}
+          />
+          <span className="text-gray-500">or</span>
+          <input
+            type="number"
+            min="0"
+            max="100"
+            step="0.01"
+            placeholder="% off"
+            className="input w-16 py-1 text-xs"
+            value={entry.discountPercent ?? ''}
+            onChange={(e) => update(index, 'discountPercent', e.target.value)}
+          />
+          <button type="button" onClick={() => onChange(breaks.filter((_, i) => i !== index))} className="text-gray-400 hover:text-red-600">
+            <X className="h-3 w-3" />
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => onChange([...breaks, { minQuantity: '', price: '', discountPercent: '' }])}
+        className="text-xs text-primary-600 hover:text-primary-800"
+      >
+        + quantity break
+      </button>
+    </div>
+  );
+};
+
+const PriceListEditor = ({ id, onBack }) => {
+  const { hasPermission } = useAuth();
+  const canEdit = hasPermission('edit_products');
+  const { data, isLoading } = useGetPriceListQuery(id, { skip: !id });
+  const priceList = data?.data || data;
+
+  if (id && (isLoading || !priceList?._id)) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <PriceListForm
+      key={priceList?._id || 'new'}
+      priceList={id ? priceList : null}
+      canEdit={canEdit}
+      onBack={onBack}
+    />
+  );
+};
+
+const PriceListForm = ({ priceList, canEdit, onBack }) => {
+  const [form, setForm] = useState(() => (priceList ? toForm(priceList) : defaultForm));
+  const [customerSearch, setCustomerSearch] = useState('');
+  const [productSearch, setProductSearch] = useState('');
+
+  const { data: customersData } = useGetCustomersQuery({ search: customerSearch, limit: 100 }, { skip: !customerSearch });
+  const customers = customersData?.data?.customers || customersData?.customers || [];
+  const { data: productsData } = useGetProductsQuery({ search: productSearch, limit: 50 }, { skip: !productSearch });
+  const products = productsData?.data?.products || productsData?.products || [];
+
+  const [createPriceList, { isLoading: isCreating }] = useCreatePriceListMutation();
+  const [updatePriceList, { isLoading: isUpdating }] = useUpdatePriceListMutation();
+  const [deletePriceList, { isLoading: isDeleting }] = useDeletePriceListMutation();
+
+  const setField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const toggleCustomerType = (type) =>
+    setField(
+      'customerTypes',
+      form.customerTypes.includes(type) ? form.customerTypes.filter((t) => t !== type) : [...form.customerTypes, type]
+    );
+
+  const addCustomer = (customer) => {
+    if (!form.customers.some((c) => c._id === customer._id)) {
+      setField('customers', [...form.customers, { _id: customer._id, name: customer.businessName || customer.name }]);
+    }
+    setCustomerSearch('');
+  };
+
+  const addProduct = (product) => {
+    if (!form.items.some((item) => item.product === product._id)) {
+      setField('items', [
+        ...form.items,
+        { product: product._id, name: product.name, pricing: product.pricing, method: 'fixed', price: '', percent: '', quantityBreaks: [] },
+      ]);
+    }
+    setProductSearch('');
+  };
+
+  const updateItem = (index, field, value) =>
+    setField('items', form.items.map((item, i) => (i === index ? { ...item, [field]: value } : item)));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const payload = {
+      name: form.name,
+      description: form.description,
+      effectiveFrom: form.effectiveFrom,
+      effectiveTo: form.effectiveTo || null,
+      customerTypes: form.customerTypes,
+      customers: form.customers.map((customer) => customer._id),
+      defaultRule: {
+        method: form.defaultRule.method,
+        percent: Number(form.defaultRule.percent) || 0,
+        quantityBreaks: cleanBreaks(form.defaultRule.quantityBreaks),
+      },
+      items: form.items.map((item) => ({
+        product: item.product,
+        method: item.method,
+        price: item.method === 'fixed' ? numberOrNull(item.price) : null,
+        percent: item.method === 'fixed' ? null : numberOrNull(item.percent),
+        quantityBreaks: cleanBreaks(item.quantityBreaks),
+      })),
+      isActive: form.isActive,
+    };
+
+    try {
+      if (priceList) {
+        await updatePriceList({ id: priceList._id, ...payload }).unwrap();
+        toast.success('Price list saved');
+      } else {
+        await createPriceList({ code: form.code, ...payload }).unwrap();
+        toast.success('Price list created');
+        onBack();
+      }
+    } catch (error) {
+      handleApiError(error, 'Failed to save price list');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete price list ${priceList.code}?`)) return;
+    try {
+      await deletePriceList(priceList._id).unwrap();
+      toast.success('Price list deleted');
+      onBack();
+    } catch (error) {
+      handleApiError(error, 'Failed to delete price list');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+          <button type="button" onClick={onBack} className="btn btn-secondary">
+            <ArrowLeft className="h-4 w-4" />
+          </button>
+          <h1 className="text-2xl font-bold text-gray-900">
+            {priceList ? `${priceList.code} — ${priceList.name}` : 'New Price List'}
+          </h1>
+        </div>
+        {canEdit && (
+          <div className="flex space-x-2">
+            {priceList && (
+              <LoadingButton type="button" onClick={handleDelete} isLoading={isDeleting} className="btn btn-danger flex items-center">
+                <Trash2 className="h-4 w-4 mr-2" /> Delete
+              </LoadingButton>
+            )}
+            <LoadingButton type="submit" isLoading={isCreating || isUpdating} className="btn btn-primary">
+              Save
+            </LoadingButton>
+          </div>
+        )}
+      </div>
+
+      <div className="card p-6 grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Code</label>
+          <input
+            className="input uppercase"
+            required
+            maxLength={20}
+            disabled={Boolean(priceList)}
+            value={form.code}
+            onChange={(e) => setField('code', e.target.value)}
+          />
+        </div>
+        <div className="md:col-span-3">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+          <input className="input" required maxLength={100} value={form.name} onChange={(e) => setField('name', e.target.value)} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Effective From</label>
+          <input type="date" className="input" required value={form.effectiveFrom} onChange={(e) => setField('effectiveFrom', e.target.value)} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Effective To</label>
+          <input type="date" className="input" value={form.effectiveTo} onChange={(e) => setField('effectiveTo', e.target.value)} />
+        </div>
+        <div className="md:col-span-2 flex items-end">
+          <label className="flex items-center space-x-2 text-sm">
+            <input type="checkbox" checked={form.isActive} onChange={(e) => setField('isActive', e.target.checked)} />
+            <span>Active</span>
+          </label>
+        </div>
+        <div className="md:col-span-4">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+          <input className="input" maxLength={500} value={form.description} onChange={(e) => setField('description', e.target.value)} />
+        </div>
+      </div>
+
+      <div className="card p-6 grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <h2 className="font-semibold text-gray-900 mb-2">Customer Types</h2>
+          <div className="flex flex-wrap gap-3">
+            {CUSTOMER_TYPES.map((type) => (
+              <label key={type} className="flex items-center space-x-2 text-sm capitalize">
+                <input type="checkbox" checked={form.customerTypes.includes(type)} onChange={() => toggleCustomerType(type)} />
+                <span>{type}</span>
+              </label>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500 mt-2">Walk-in sales without a customer are priced as retail.</p>
+        </div>
+        <div>
+          <h2 className="font-semibold text-gray-900 mb-2">Contract Customers</h2>
+          <div className="relative">
+            <input
+              className="input"
+              placeholder="Search customers to add..."
+              value={customerSearch}
+              onChange={(e) => setCustomerSearch(e.target.value)}
+            />
+            {customerSearch && customers.length > 0 && (
+              <div className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded shadow max-h-48 overflow-y-auto">
+                {customers.map((customer) => (
+                  <button
+                    type="button"
+                    key={customer._id}
+                    onClick={() => addCustomer(customer)}
+                    className="w-full text-left px-3 py-2 text-sm hover:bg-gray-50"
+                  >
+                    {customer.businessName || customer.name}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+          <div className="flex flex-wrap gap-2 mt-2">
+            {form.customers.map((customer) => (
+              <span key={customer._id} className="px-2 py-1 bg-gray-100 rounded text-sm flex items-center">
+                {customer.name}
+                <button
+                  type="button"
+                  onClick={() => setField('customers', form.customers.filter((c) => c._id !== customer._id))}
+                  className="ml-1 text-gray-400 hover:text-red-600"
+                >
+                  <X className="h-3 w-3" />
+                </button>
+              </span>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="card p-6 space-y-3">
+        <h2 className="font-semibold text-gray-900">Default Rule</h2>
+        <p className="text-sm text-gray-500">Prices every product that has no line of its own below.</p>
+        <div className="flex flex-wrap items-start gap-4">
+          <select
+            className="input w-56"
+            value={form.defaultRule.method}
+            onChange={(e) => setField('defaultRule', { ...form.defaultRule, method: e.target.value })}
+          >
+            <option value="none">None (use product pricing)</option>
+            {['cost_markup', 'percent_of_cost', 'list_adjustment'].map((method) => (
+              <option key={method} value={method}>{METHOD_LABELS[method]}</option>
+            ))}
+          </select>
+          {form.defaultRule.method !== 'none' && (
+            <>
+              <input
+                type="number"
+                step="0.01"
+                className="input w-28"
+                value={form.defaultRule.percent}
+                onChange={(e) => setField('defaultRule', { ...form.defaultRule, percent: e.target.value })}
+              />
+              <QuantityBreaks
+                breaks={form.defaultRule.quantityBreaks}
+                onChange={(quantityBreaks) => setField('defaultRule', { ...form.defaultRule, quantityBreaks })}
+              />
+            </>
+          )}
+        </div>
+      </div>
+
+      <div className="card p-6 space-y-3">
+        <h2 className="font-semibold text-gray-900">Product Prices</h2>
+        <div className="relative">
+          <Search className="h-4 w-4 absolute left-3 top-3 text-gray-400" />
+          <input
+            className="input pl-9"
+            placeholder="Search products to add..."
+            value={productSearch}
+            onChange={(e) => setProductSearch(e.target.value)}
+          />
+          {productSearch && products.length > 0 && (
+            <div className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded shadow max-h-60 overflow-y-auto">
+              {products.map((product) => (
+                <button
+                  type="button"
+                  key={product._id}
+                  onClick={() => addProduct(product)}
+                  className="w-full text-left px-3 py-2 text-sm hover:bg-gray-50"
+                >
+                  {product.name}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+        {form.items.length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Cost / Retail / Wholesale</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Method</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Price / %</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Quantity Breaks</th>
+                  <th className="px-3 py-2" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {form.items.map((item, index) => (
+                  <tr key={item.product} className="align-top">
+                    <td className="px-3 py-2 text-sm">{item.name}</td>
+                    <td className="px-3 py-2 text-xs text-right text-gray-500">
+                      {formatCurrency(item.pricing?.cost)} / {formatCurrency(item.pricing?.retail)} / {formatCurrency(item.pricing?.wholesale)}
+                    </td>
+                    <td className="px-3 py-2">
+                      <select className="input text-sm" value={item.method} onChange={(e) => updateItem(index, 'method', e.target.value)}>
+                        {Object.entries(METHOD_LABELS).map(([method, label]) => (
+                          <option key={method} value={method}>{label}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="px-3 py-2">
+                      <input
+                        type="number"
+                        step="0.01"
+                        className="input w-28 text-right"
+                        required
+                        value={item.method === 'fixed' ? item.price : item.percent}
+                        onChange={(e) => updateItem(index, item.method === 'fixed' ? 'price' : 'percent', e.target.value)}
+                      />
+                    </td>
+                    <td className="px-3 py-2">
+                      <QuantityBreaks breaks={item.quantityBreaks} onChange={(breaks) => updateItem(index, 'quantityBreaks', breaks)} />
+                    </td>
+                    <td className="px-3 py-2 text-right">
+                      <button
+                        type="button"
+                        onClick={() => setField('items', form.items.filter((_, i) => i !== index))}
+                        className="text-red-600 hover:text-red-800"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </form>
+  );
+};
+
+const PriceCheck = () => {
+  const [productSearch, setProductSearch] = useState('');
+  const [customerSearch, setCustomerSearch] = useState('');
+  const [product, setProduct] = useState(null);
+  const [customer, setCustomer] = useState('');
+  const [quantity, setQuantity] = useState(1);
+
+  const { data: productsData } = useGetProductsQuery({ search: productSearch, limit: 20 }, { skip: !productSearch || Boolean(product) });
+  const products = productsData?.data?.products || productsData?.products || [];
+  const { data: customersData } = useGetCustomersQuery({ search: customerSearch, limit: 100 });
+  const customers = customersData?.data?.customers || customersData?.customers || [];
+  const [resolvePrice, { data: priceData, isFetching }] = useLazyResolvePriceQuery();
+  const price = priceData?.data;
+
+  const handleCheck = async () => {
+    try {
+      await resolvePrice({ product: product._id, customer: customer || undefined, quantity }).unwrap();
+    } catch (error) {
+      handleApiError(error, 'Failed to check price');
+    }
+  };
+
+  return (
+    <div className="card p-4 space-y-3">
+      <h2 className="font-semibold text-gray-900">Price Check</h2>
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-3 items-start">
+        <div className="relative">
+          <input
+            className="input"
+            placeholder="Product..."
+            value={product ? product.name : productSearch}
+            onChange={(e) => {
+              setProduct(null);
+              setProductSearch(e.target.value);
+            }}
+          />
+          {!product && productSearch && products.length > 0 && (
+            <div className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded shadow max-h-48 overflow-y-auto">
+              {products.map((p) => (
+                <button type="button" key={p._id} onClick={() => setProduct(p)} className="w-full text-left px-3 py-2 text-sm hover:bg-gray-50">
+                  {p.name}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+        <div>
+          <input
+            className="input mb-1"
+            placeholder="Search customers..."
+            value={customerSearch}
+            onChange={(e) => setCustomerSearch(e.target.value)}
+          />
+          <select className="input" value={customer} onChange={(e) => setCustomer(e.target.value)}>
+            <option value="">Walk-in (retail)</option>
+            {customers.map((c) => (
+              <option key={c._id} value={c._id}>{c.businessName || c.name}</option>
+            ))}
+          </select>
+        </div>
+        <input type="number" min="1" className="input" value={quantity} onChange={(e) => setQuantity(e.target.value)} />
+        <LoadingButton onClick={handleCheck} isLoading={isFetching} disabled={!product} className="btn btn-secondary">
+          Check
+        </LoadingButton>
+      </div>
+      {price && (
+        <p className="text-sm">
+          <span className="font-semibold">{formatCurrency(price.unitPrice)}</span>
+          {price.priceList
+            ? ` from ${price.priceList.code} (${price.priceList.name})`
+            : ' from product pricing'}
+          <span className="text-gray-500"> · list price {formatCurrency(price.listPrice)}</span>
+        </p>
+      )}
+    </div>
+  );
+};
+
+const PriceLists = () => {
+  const { hasPermission } = useAuth();
+  const [selectedId, setSelectedId] = useState(null);
+  const [creating, setCreating] = useState(false);
+  const [search, setSearch] = useState('');
+
+  const { data, isLoading } = useGetPriceListsQuery(search ? { search } : {});
+  const priceLists = data?.data || [];
+
+  if (selectedId || creating) {
+    return (
+      <PriceListEditor
+        id={selectedId}
+        onBack={() => {
+          setSelectedId(null);
+          setCreating(false);
+        }}
+      />
+    );
+  }
+
+  const assignment = (priceList) =>
+    [
+      ...(priceList.customerTypes || []).map((type) => `${type} customers`),
+      ...(priceList.customers || []).map((customer) => customer.businessName || customer.name),
+    ].join(', ') || '—';
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-4 sm:space-y-0">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Price Lists</h1>
+          <p className="text-gray-600">Contract and customer type pricing with quantity breaks</p>
+        </div>
+        <div className="flex items-center space-x-3">
+          <input className="input" placeholder="Search..." value={search} onChange={(e) => setSearch(e.target.value)} />
+          {hasPermission('edit_products') && (
+            <button onClick={() => setCreating(true)} className="btn btn-primary flex items-center">
+              <Plus className="h-4 w-4 mr-2" /> New Price List
+            </button>
+          )}
+        </div>
+      </div>
+
+      <PriceCheck />
+
+      {isLoading ? (
+        <LoadingSpinner />
+      ) : priceLists.length === 0 ? (
+        <div className="card p-12 text-center text-gray-500">
+          <Tags className="h-12 w-12 mx-auto mb-3 text-gray-300" />
+          No price lists yet
+        </div>
+      ) : (
+        <div className="card overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Code</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Applies To</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Effective</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {priceLists.map((priceList) => (
+                <tr key={priceList._id} onClick={() => setSelectedId(priceList._id)} className="hover:bg-gray-50 cursor-pointer">
+                  <td className="px-4 py-2 text-sm font-mono">{priceList.code}</td>
+                  <td className="px-4 py-2 text-sm">{priceList.name}</td>
+                  <td className="px-4 py-2 text-sm capitalize">{assignment(priceList)}</td>
+                  <td className="px-4 py-2 text-sm">
+                    {new Date(priceList.effectiveFrom).toLocaleDateString()}
+                    {priceList.effectiveTo ? ` – ${new Date(priceList.effectiveTo).toLocaleDateString()}` : ' onwards'}
+                  </td>
+                  <td className="px-4 py-2 text-sm">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${priceList.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}`}>
+                      {priceList.isActive ? 'Active' : 'Inactive'}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PriceLists;
@@ -0,0 +1,576 @@
+import React, { useState } from 'react';
+import { Gift, Plus, ArrowLeft, Trash2, Search, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import {
+  useGetPromotionsQuery,
+  useGetPromotionQuery,
+  useCreatePromotionMutation,
+  useUpdatePromotionMutation,
+  useDeletePromotionMutation,
+} from '../store/services/promotionsApi';
+import { useGetProductsQuery } from '../store/services/productsApi';
+import { useGetCategoriesQuery } from '../store/services/categoriesApi';
+import { useAuth } from '../contexts/AuthContext';
+import { LoadingSpinner, LoadingButton } from '../components/LoadingSpinner';
+import { handleApiError } from '../utils/errorHandler';
+import { formatCurrency } from '../utils/formatters';
+
+const CUSTOMER_TYPES = ['retail', 'wholesale', 'distributor', 'individual'];
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const TYPE_LABELS = {
+  percent_off: 'Percent off / happy hour',
+  buy_x_get_y: 'Buy X get Y',
+  bundle: 'Bundle price',
+  mix_and_match: 'Mix and match',
+  spend_gift: 'Spend threshold gift',
+};
+
+const defaultForm = {
+  code: '',
+  name: '',
+  description: '',
+  type: 'percent_off',
+  products: [],
+  categories: [],
+  percent: '',
+  buyQuantity: '',
+  getQuantity: '',
+  getProducts: [],
+  getCategories: [],
+  getDiscountPercent: 100,
+  bundleItems: [],
+  bundlePrice: '',
+  groupQuantity: '',
+  groupPrice: '',
+  minSpend: '',
+  giftProduct: null,
+  giftQuantity: 1,
+  maxApplications: '',
+  startDate: new Date().toISOString().slice(0, 10),
+  endDate: '',
+  daysOfWeek: [],
+  startTime: '',
+  endTime: '',
+  customerTypes: [],
+  priority: 0,
+  stackable: false,
+  isActive: true,
+};
+
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+const toRef = (entry) => ({ _id: entry?._id || entry, name: entry?.name || '' });
+const numberOrNull = (value) => (value === '' || value === null || value === undefined ? null : Number(value));
+
+const toForm = (promotion) => ({
+  ...defaultForm,
+  ...Object.fromEntries(Object.entries(promotion).filter(([, value]) => value !== null && value !== undefined)),
+  products: (promotion.products || []).map(toRef),
+  categories: (promotion.categories || []).map(toRef),
+  getProducts: (promotion.getProducts || []).map(toRef),
+  getCategories: (promotion.getCategories || []).map(toRef),
+  bundleItems: (promotion.bundleItems || []).map((item) => ({ ...toRef(item.product), quantity: item.quantity })),
+  giftProduct: promotion.giftProduct ? toRef(promotion.giftProduct) : null,
+  maxApplications: promotion.maxApplications ?? '',
+  startDate: toDateInput(promotion.startDate),
+  endDate: toDateInput(promotion.endDate),
+  startTime: promotion.startTime || '',
+  endTime: promotion.endTime || '',
+});
+
+const ProductPicker = ({ placeholder, onPick }) => {
+  const [search, setSearch] = useState('');
+  const { data: productsData } = useGetProductsQuery({ search, limit: 20 }, { skip: !search });
+  const products = productsData?.data?.products || productsData?.products || [];
+
+  return (
+    <div className="relative">
+      <Search className="h-4 w-4 absolute left-3 top-3 text-gray-400" />
+      <input className="input pl-9" placeholder={placeholder} value={search} onChange={(e) => setSearch(e.target.value)} />
+      {search && products.length > 0 && (
+        <div className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded shadow max-h-48 overflow-y-auto">
+          {products.map((product) => (
+            <button
+              type="button"
+              key={product._id}
+              onClick={() => {
+                onPick({ _id: product._id, name: product.name });
+                setSearch('');
+              }}
+              className="w-full text-left px-3 py-2 text-sm hover:bg-gray-50"
+            >
+              {product.name}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const Chips = ({ entries, onRemove }) => (
+  <div className="flex flex-wrap gap-2 mt-2">
+    {entries.map((entry) => (
+      <span key={entry._id} className="px-2 py-1 bg-gray-100 rounded text-sm flex items-center">
+        {entry.name || entry._id}
+        <button type="button" onClick={() => onRemove(entry._id)} className="ml-1 text-gray-400 hover:text-red-600">
+          <X className="h-3 w-3" />
+        </button>
+      </span>
+    ))}
+  </div>
+);
+
+const ItemScope = ({ title, hint, products, categories, allCategories, onChange }) => (
+  <div className="space-y-2">
+    <h3 className="text-sm font-medium text-gray-700">{title}</h3>
+    {hint && <p className="text-xs text-gray-500">{hint}</p>}
+    <ProductPicker
+      placeholder="Add a product..."
+      onPick={(product) => !products.some((p) => p._id === product._id) && onChange({ products: [...products, product], categories })}
+    />
+    <Chips entries={products} onRemove={(id) => onChange({ products: products.filter((p) => p._id !== id), categories })} />
+    <select
+      className="input"
+      value=""
+      onChange={(e) => {
+        const category = allCategories.find((c) => c._id === e.target.value);
+        if (category && !categories.some((c) => c._id === category._id)) {
+          onChange({ products, categories: [...categories, { _id: category._id, name: category.name }] });
+        }
+      }}
+    >
+      <option value="">Add a category...</option>
+      {allCategories.map((category) => (
+        <option key={category._id} value={category._id}>{category.name}</option>
+      ))}
+    </select>
+    <Chips entries={categories} onRemove={(id) => onChange({ products, categories: categories.filter((c) => c._id !== id) })} />
+  </div>
+);
+
+const PromotionEditor = ({ id, onBack }) => {
+  const { hasPermission } = useAuth();
+  const canEdit = hasPermission('manage_discounts');
+  const { data, isLoading } = useGetPromotionQuery(id, { skip: !id });
+  const promotion = data?.data || data;
+
+  if (id && (isLoading || !promotion?._id)) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <PromotionForm key={promotion?._id || 'new'} promotion={id ? promotion : null} canEdit={canEdit} onBack={onBack} />
+  );
+};
+
+const PromotionForm = ({ promotion, canEdit, onBack }) => {
+  const [form, setForm] = useState(() => (promotion ? toForm(promotion) : defaultForm));
+
+  const { data: categoriesData } = useGetCategoriesQuery(undefined);
+  const allCategories = categoriesData?.data?.categories || categoriesData?.categories || (Array.isArray(categoriesData) ? categoriesData : []);
+
+  const [createPromotion, { isLoading: isCreating }] = useCreatePromotionMutation();
+  const [updatePromotion, { isLoading: isUpdating }] = useUpdatePromotionMutation();
+  const [deletePromotion, { isLoading: isDeleting }] = useDeletePromotionMutation();
+
+  const setField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const toggle = (field, value) =>
+    setField(field, form[field].includes(value) ? form[field].filter((v) => v !== value) : [...form[field], value]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const ids = (entries) => entries.map((entry) => entry._id);
+    const payload = {
+      name: form.name,
+      description: form.description,
+      type: form.type,
+      products: ids(form.products),
+      categories: ids(form.categories),
+      percent: numberOrNull(form.percent),
+      buyQuantity: numberOrNull(form.buyQuantity),
+      getQuantity: numberOrNull(form.getQuantity),
+      getProducts: ids(form.getProducts),
+      getCategories: ids(form.getCategories),
+      getDiscountPercent: Number(form.getDiscountPercent),
+      bundleItems: form.bundleItems.map((item) => ({ product: item._id, quantity: parseInt(item.quantity, 10) || 1 })),
+      bundlePrice: numberOrNull(form.bundlePrice),
+      groupQuantity: numberOrNull(form.groupQuantity),
+      groupPrice: numberOrNull(form.groupPrice),
+      minSpend: numberOrNull(form.minSpend),
+      giftProduct: form.giftProduct?._id || null,
+      giftQuantity: parseInt(form.giftQuantity, 10) || 1,
+      maxApplications: numberOrNull(form.maxApplications),
+      startDate: form.startDate,
+      endDate: form.endDate || null,
+      daysOfWeek: form.daysOfWeek,
+      startTime: form.startTime,
+      endTime: form.endTime,
+      customerTypes: form.customerTypes,
+      priority: parseInt(form.priority, 10) || 0,
+      stackable: form.stackable,
+      isActive: form.isActive,
+    };
+
+    try {
+      if (promotion) {
+        await updatePromotion({ id: promotion._id, ...payload }).unwrap();
+        toast.success('Promotion saved');
+      } else {
+        await createPromotion({ code: form.code, ...payload }).unwrap();
+        toast.success('Promotion created');
+        onBack();
+      }
+    } catch (error) {
+      handleApiError(error, 'Failed to save promotion');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete promotion ${promotion.code}?`)) return;
+    try {
+      await deletePromotion(promotion._id).unwrap();
+      toast.success('Promotion deleted');
+      onBack();
+    } catch (error) {
+      handleApiError(error, 'Failed to delete promotion');
+    }
+  };
+
+  const numberInput = (field, label, props = {}) => (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+      <input type="number" className="input" value={form[field]} onChange={(e) => setField(field, e.target.value)} {...props} />
+    </div>
+  );
+
+  const qualifying = (
+    <ItemScope
+      title="Qualifying items"
+      hint="Leave empty for every product."
+      products={form.products}
+      categories={form.categories}
+      allCategories={allCategories}
+      onChange={({ products, categories }) => setForm((prev) => ({ ...prev, products, categories }))}
+    />
+  );
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+          <button type="button" onClick={onBack} className="btn btn-secondary">
+            <ArrowLeft className="h-4 w-4" />
+          </button>
+          <h1 className="text-2xl font-bold text-gray-900">
+            {promotion ? `${promotion.code} — ${promotion.name}` : 'New Promotion'}
+          </h1>
+        </div>
+        {canEdit && (
+          <div className="flex space-x-2">
+            {promotion && (
+              <LoadingButton type="button" onClick={handleDelete} isLoading={isDeleting} className="btn btn-danger flex items-center">
+                <Trash2 className="h-4 w-4 mr-2" /> Delete
+              </LoadingButton>
+            )}
+            <LoadingButton type="submit" isLoading={isCreating || isUpdating} className="btn btn-primary">
+              Save
+            </LoadingButton>
+          </div>
+        )}
+      </div>
+
+      <div className="card p-6 grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Code</label>
+          <input
+            className="input uppercase"
+            required
+            maxLength={20}
+            disabled={Boolean(promotion)}
+            value={form.code}
+            onChange={(e) => setField('code', e.target.value)}
+          />
+        </div>
+        <div className="md:col-span-2">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+          <input className="input" required maxLength={100} value={form.name} onChange={(e) => setField('name', e.target.value)} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+          <select className="input" value={form.type} onChange={(e) => setField('type', e.target.value)}>
+            {Object.entries(TYPE_LABELS).map(([type, label]) => (
+              <option key={type} value={type}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="md:col-span-4">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+          <input className="input" maxLength={500} value={form.description} onChange={(e) => setField('description', e.target.value)} />
+        </div>
+      </div>
+
+      <div className="card p-6 space-y-4">
+        <h2 className="font-semibold text-gray-900">Rule</h2>
+        {form.type === 'percent_off' && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {numberInput('percent', 'Percent off', { min: 0, max: 100, step: '0.01', required: true })}
+            {qualifying}
+          </div>
+        )}
+
+        {form.type === 'buy_x_get_y' && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="grid grid-cols-3 gap-3 content-start">
+              {numberInput('buyQuantity', 'Buy', { min: 1, required: true })}
+              {numberInput('getQuantity', 'Get', { min: 1, required: true })}
+              {numberInput('getDiscountPercent', '% off the Y', { min: 0, max: 100 })}
+            </div>
+            {qualifying}
+            <ItemScope
+              title="Items given"
+              hint="Leave empty to give the cheapest of the qualifying items."
+              products={form.getProducts}
+              categories={form.getCategories}
+              allCategories={allCategories}
+              onChange={({ products, categories }) => setForm((prev) => ({ ...prev, getProducts: products, getCategories: categories }))}
+            />
+          </div>
+        )}
+
+        {form.type === 'bundle' && (
+          <div className="space-y-3">
+            <div className="w-48">{numberInput('bundlePrice', 'Bundle price', { min: 0, step: '0.01', required: true })}</div>
+            <ProductPicker
+              placeholder="Add a bundle item..."
+              onPick={(product) =>
+                !form.bundleItems.some((item) => item._id === product._id) &&
+                setField('bundleItems', [...form.bundleItems, { ...product, quantity: 1 }])}
+            />
+            {form.bundleItems.map((item, index) => (
+              <div key={item._id} className="flex items-center space-x-3 text-sm">
+                <input
+                  type="number"
+                  min="1"
+                  className="input w-20"
+                  value={item.quantity}
+                  onChange={(e) =>
+                    setField('bundleItems', form.bundleItems.map((entry, i) => (i === index ? { ...entry, quantity: e.target.value } : entry)))}
+                />
+                <span className="flex-1">× {item.name}</span>
+                <button
+                  type="button"
+                  onClick={() => setField('bundleItems', form.bundleItems.filter((_, i) => i !== index))}
+                  className="text-red-600 hover:text-red-800"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {form.type === 'mix_and_match' && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="grid grid-cols-2 gap-3 content-start">
+              {numberInput('groupQuantity', 'Any', { min: 2, required: true })}
+              {numberInput('groupPrice', 'For', { min: 0, step: '0.01', required: true })}
+            </div>
+            {qualifying}
+          </div>
+        )}
+
+        {form.type === 'spend_gift' && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="space-y-3">
+              {numberInput('minSpend', 'Minimum spend', { min: 0, step: '0.01', required: true })}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Gift</label>
+                {form.giftProduct ? (
+                  <Chips entries={[form.giftProduct]} onRemove={() => setField('giftProduct', null)} />
+                ) : (
+                  <ProductPicker placeholder="Choose the gift..." onPick={(product) => setField('giftProduct', product)} />
+                )}
+              </div>
+              {numberInput('giftQuantity', 'Gift quantity', { min: 1 })}
+            </div>
+            <ItemScope
+              title="Spend counted on"
+              hint="Leave empty to count the whole cart."
+              products={form.products}
+              categories={form.categories}
+              allCategories={allCategories}
+              onChange={({ products, categories }) => setForm((prev) => ({ ...prev, products, categories }))}
+            />
+          </div>
+        )}
+
+        <div className="w-48">
+          {numberInput('maxApplications', 'Max per sale', { min: 1, placeholder: 'Unlimited' })}
+        </div>
+      </div>
+
+      <div className="card p-6 grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Starts</label>
+          <input type="date" className="input" required value={form.startDate} onChange={(e) => setField('startDate', e.target.value)} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Ends</label>
+          <input type="date" className="input" value={form.endDate} onChange={(e) => setField('endDate', e.target.value)} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">From (time)</label>
+          <input type="time" className="input" value={form.startTime} onChange={(e) => setField('startTime', e.target.value)} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Until (time)</label>
+          <input type="time" className="input" value={form.endTime} onChange={(e) => setField('endTime', e.target.value)} />
+        </div>
+        <div className="md:col-span-4">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Days</label>
+          <div className="flex flex-wrap gap-3">
+            {DAYS_OF_WEEK.map((day) => (
+              <label key={day} className="flex items-center space-x-2 text-sm capitalize">
+                <input type="checkbox" checked={form.daysOfWeek.includes(day)} onChange={() => toggle('daysOfWeek', day)} />
+                <span>{day.slice(0, 3)}</span>
+              </label>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500 mt-1">No days means every day. A window ending before it starts runs past midnight.</p>
+        </div>
+      </div>
+
+      <div className="card p-6 grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div className="md:col-span-2">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Customer types</label>
+          <div className="flex flex-wrap gap-3">
+            {CUSTOMER_TYPES.map((type) => (
+              <label key={type} className="flex items-center space-x-2 text-sm capitalize">
+                <input type="checkbox" checked={form.customerTypes.includes(type)} onChange={() => toggle('customerTypes', type)} />
+                <span>{type}</span>
+              </label>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500 mt-1">No types means everyone; walk-in sales count as retail.</p>
+        </div>
+        <div>
+          {numberInput('priority', 'Priority')}
+          <p className="text-xs text-gray-500 mt-1">Higher runs first.</p>
+        </div>
+        <div className="space-y-2 pt-6">
+          <label className="flex items-center space-x-2 text-sm">
+            <input type="checkbox" checked={form.stackable} onChange={(e) => setField('stackable', e.target.checked)} />
+            <span>Stacks with other stacking promotions</span>
+          </label>
+          <label className="flex items-center space-x-2 text-sm">
+            <input type="checkbox" checked={form.isActive} onChange={(e) => setField('isActive', e.target.checked)} />
+            <span>Active</span>
+          </label>
+        </div>
+      </div>
+    </form>
+  );
+};
+
+const Promotions = () => {
+  const { hasPermission } = useAuth();
+  const [selectedId, setSelectedId] = useState(null);
+  const [creating, setCreating] = useState(false);
+  const [search, setSearch] = useState('');
+
+  const { data, isLoading } = useGetPromotionsQuery(search ? { search } : {});
+  const promotions = data?.data || [];
+
+  if (selectedId || creating) {
+    return (
+      <PromotionEditor
+        id={selectedId}
+        onBack={() => {
+          setSelectedId(null);
+          setCreating(false);
+        }}
+      />
+    );
+  }
+
+  const schedule = (promotion) => {
+    const days = promotion.daysOfWeek?.length ? promotion.daysOfWeek.map((day) => day.slice(0, 3)).join(', ') : 'Every day';
+    const hours = promotion.startTime ? ` ${promotion.startTime}–${promotion.endTime}` : '';
+    return `${days}${hours}`;
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-4 sm:space-y-0">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Promotions</h1>
+          <p className="text-gray-600">Buy-X-get-Y, bundles, mix and match, spend gifts and happy hours</p>
+        </div>
+        <div className="flex items-center space-x-3">
+          <input className="input" placeholder="Search..." value={search} onChange={(e) => setSearch(e.target.value)} />
+          {hasPermission('manage_discounts') && (
+            <button onClick={() => setCreating(true)} className="btn btn-primary flex items-center">
+              <Plus className="h-4 w-4 mr-2" /> New Promotion
+            </button>
+          )}
+        </div>
+      </div>
+
+      {isLoading ? (
+        <LoadingSpinner />
+      ) : promotions.length === 0 ? (
+        <div className="card p-12 text-center text-gray-500">
+          <Gift className="h-12 w-12 mx-auto mb-3 text-gray-300" />
+          No promotions yet
+        </div>
+      ) : (
+        <div className="card overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Code</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Runs</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Priority</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Used / Cost</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {promotions.map((promotion) => (
+                <tr key={promotion._id} onClick={() => setSelectedId(promotion._id)} className="hover:bg-gray-50 cursor-pointer">
+                  <td className="px-4 py-2 text-sm font-mono">{promotion.code}</td>
+                  <td className="px-4 py-2 text-sm">{promotion.name}</td>
+                  <td className="px-4 py-2 text-sm">{TYPE_LABELS[promotion.type]}</td>
+                  <td className="px-4 py-2 text-sm capitalize">
+                    {new Date(promotion.startDate).toLocaleDateString()}
+                    {promotion.endDate ? ` – ${new Date(promotion.endDate).toLocaleDateString()}` : ' onwards'}
+                    <div className="text-xs text-gray-500">{schedule(promotion)}</div>
+                  </td>
+                  <td className="px-4 py-2 text-sm text-right">
+                    {promotion.priority}
+                    {promotion.stackable && <div className="text-xs text-gray-500">stacks</div>}
+                  </td>
+                  <td className="px-4 py-2 text-sm text-right">
+                    {promotion.usage?.timesApplied || 0}
+                    <div className="text-xs text-gray-500">{formatCurrency(promotion.usage?.totalDiscount || 0)}</div>
+                  </td>
+                  <td className="px-4 py-2 text-sm">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${promotion.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}`}>
+                      {promotion.isActive ? 'Active' : 'Inactive'}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Promotions;
@@ -33,6 +33,7 @@ import {
   useDownloadFileMutation,
 } from '../store/services/purchaseInvoicesApi';
 import { useGetBanksQuery } from '../store/services/banksApi';
+import { useGetWarehousesQuery } from '../store/services/warehousesApi';
 import { useFuzzySearch } from '../hooks/useFuzzySearch';
 import { SearchableDropdown } from '../components/SearchableDropdown';
 import toast from 'react-hot-toast';
@@ -392,6 +393,10 @@ export const Purchase = ({ tabId, editData }) => {
   const [autoGenerateInvoice, setAutoGenerateInvoice] = useState(true);
   const [expectedDelivery, setExpectedDelivery] = useState(new Date().toISOString().split('T')[0]);
   const [notes, setNotes] = useState('');
+  // Empty currency is the base currency; a blank rate uses the rate table
+  const [invoiceCurrency, setInvoiceCurrency] = useState('');
+  const [invoiceRate, setInvoiceRate] = useState('');
+  const [selectedWarehouse, setSelectedWarehouse] = useState('');
   const [taxExempt, setTaxExempt] = useState(true);
   const [isMobile, setIsMobile] = useState(false);
   
@@ -443,6 +448,8 @@ export const Purchase = ({ tabId, editData }) => {
   // RTK Query hooks
   const [searchSuppliers, { data: suppliersSearchResult, isLoading: suppliersLoading, refetch: refetchSuppliers }] = useLazySearchSuppliersQuery();
   const { data: banksData } = useGetBanksQuery();
+  const { data: warehousesData } = useGetWarehousesQuery({ isActive: true, limit: 100 });
+  const activeWarehouses = warehousesData?.data?.warehouses || warehousesData?.warehouses || [];
   const [createPurchaseInvoice] = useCreatePurchaseInvoiceMutation();
   const [updatePurchaseInvoice] = useUpdatePurchaseInvoiceMutation();
   const [exportExcel] = useExportExcelMutation();
@@ -651,6 +658,8 @@ export const Purchase = ({ tabId, editData }) => {
       setInvoiceNumber('');
       setExpectedDelivery(new Date().toISOString().split('T')[0]);
       setNotes('');
+      setInvoiceCurrency('');
+      setInvoiceRate('');
       
       // Reset tab title to default
       const activeTab = getActiveTab();
@@ -1061,6 +1070,10 @@ export const Purchase = ({ tabId, editData }) => {
       },
       invoiceNumber: finalInvoiceNumber,
       expectedDelivery: expectedDelivery,
+      currency: invoiceCurrency || undefined,
+      exchangeRate: invoiceCurrency && invoiceRate ? parseFloat(invoiceRate) : undefined,
+      // Empty receives into the primary warehouse
+      warehouse: selectedWarehouse || undefined,
       notes: notes,
       terms: ''
     };
@@ -1302,6 +1315,60 @@ export const Purchase = ({ tabId, editData }) => {
                 />
               </div>
 
+              {/* Invoice Currency */}
+              {!editData?.isEditMode && (
+                <div className="flex flex-col w-20">
+                  <label className="block text-xs font-medium text-gray-700 mb-1">
+                    Currency
+                  </label>
+                  <input
+                    type="text"
+                    value={invoiceCurrency}
+                    onChange={(e) => setInvoiceCurrency(e.target.value.toUpperCase().slice(0, 3))}
+                    className="input h-8 text-sm uppercase"
+                    placeholder="Base"
+                  />
+                </div>
+              )}
+              {!editData?.isEditMode && invoiceCurrency.length === 3 && (
+                <div className="flex flex-col w-28">
+                  <label className="block text-xs font-medium text-gray-700 mb-1">
+                    Rate
+                  </label>
+                  <input
+                    type="number"
+                    step="0.000001"
+                    min="0"
+                    value={invoiceRate}
+                    onChange={(e) => setInvoiceRate(e.target.value)}
+                    className="input h-8 text-sm"
+                    placeholder="From table"
+                  />
+                </div>
+              )}
+
+              {/* Destination Warehouse */}
+              {activeWarehouses.length > 1 && (
+                <div className="flex flex-col w-48">
+                  <label className="block text-xs font-medium text-gray-700 mb-1">
+                    Receive Into
+                  </label>
+                  <select
+                    value={selectedWarehouse}
+                    onChange={(e) => setSelectedWarehouse(e.target.value)}
+                    className="input h-8 text-sm"
+                    disabled={editData?.isEditMode}
+                  >
+                    <option value="">Primary warehouse</option>
+                    {activeWarehouses.map((warehouse) => (
+                      <option key={warehouse._id} value={warehouse._id}>
+                        {warehouse.name} ({warehouse.code})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
               {/* Tax Exemption Option */}
               <div className="flex flex-col w-40">
                 <label className="block text-xs font-medium text-gray-700 mb-1">
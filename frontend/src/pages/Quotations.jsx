@@ -0,0 +1,763 @@
+import React, { useState } from 'react';
+import {
+  FileSignature,
+  Plus,
+  ArrowLeft,
+  Send,
+  CheckCircle,
+  XCircle,
+  FileText,
+  Printer,
+  Trash2,
+  Edit,
+  Search,
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import {
+  useGetQuotationsQuery,
+  useGetQuotationQuery,
+  useCreateQuotationMutation,
+  useUpdateQuotationMutation,
+  useSendQuotationMutation,
+  useRespondToQuotationMutation,
+  useConvertQuotationToSalesOrderMutation,
+  useCancelQuotationMutation,
+  useDeleteQuotationMutation,
+} from '../store/services/quotationsApi';
+import { useCreateSaleMutation } from '../store/services/salesApi';
+import { useGetCustomersQuery } from '../store/services/customersApi';
+import { useGetProductsQuery } from '../store/services/productsApi';
+import { usePrintDocumentMutation } from '../store/services/documentTemplatesApi';
+import { useAuth } from '../contexts/AuthContext';
+import { LoadingSpinner, LoadingButton } from '../components/LoadingSpinner';
+import { handleApiError } from '../utils/errorHandler';
+import { formatCurrency } from '../utils/formatters';
+
+const STATUS_STYLES = {
+  draft: 'bg-gray-100 text-gray-800',
+  sent: 'bg-blue-100 text-blue-800',
+  accepted: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  expired: 'bg-yellow-100 text-yellow-800',
+  converted: 'bg-purple-100 text-purple-800',
+  cancelled: 'bg-gray-100 text-gray-500',
+};
+
+// Quotations the customer has seen are revised rather than edited in place
+const EDITABLE_STATUSES = ['draft', 'sent', 'rejected', 'expired'];
+
+const displayNumber = (quotation) =>
+  quotation.revision > 1 ? `${quotation.quotationNumber}-R${quotation.revision}` : quotation.quotationNumber;
+
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+const StatusBadge = ({ status }) => (
+  <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[status] || ''}`}>
+    {status}
+  </span>
+);
+
+const QuotationForm = ({ quotation, onSaved, onCancel }) => {
+  const isRevision = quotation && quotation.status !== 'draft';
+  const [customerSearch, setCustomerSearch] = useState('');
+  const [productSearch, setProductSearch] = useState('');
+  const [form, setForm] = useState(() => ({
+    customer: quotation?.customer?._id || quotation?.customer || '',
+    validUntil: toDateInput(quotation?.validUntil),
+    notes: quotation?.notes || '',
+    terms: quotation?.terms || '',
+    reason: '',
+    items: (quotation?.items || []).map((item) => ({
+      product: item.product?._id || item.product,
+      name: item.product?.name || item.description,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      discountPercent: item.discountPercent || 0,
+    })),
+  }));
+
+  const { data: customersData } = useGetCustomersQuery({ search: customerSearch, limit: 100 });
+  const customers = customersData?.data?.customers || customersData?.customers || [];
+  const { data: productsData } = useGetProductsQuery({ search: productSearch, limit: 50 }, { skip: !productSearch });
+  const products = productsData?.data?.products || productsData?.products || [];
+
+  const [createQuotation, { isLoading: isCreating }] = useCreateQuotationMutation();
+  const [updateQuotation, { isLoading: isUpdating }] = useUpdateQuotationMutation();
+
+  const addProduct = (product) => {
+    setForm((prev) => {
+      if (prev.items.some((item) => item.product === product._id)) return prev;
+      // A blank price is filled from the customer's price level when the quotation is saved
+      return {
+        ...prev,
+        items: [...prev.items, { product: product._id, name: product.name, quantity: 1, unitPrice: '', discountPercent: 0 }],
+      };
+    });
+    setProductSearch('');
+  };
+
+  const updateItem = (index, field, value) => {
+    setForm((prev) => ({
+      ...prev,
+      items: prev.items.map((item, i) => (i === index ? { ...item, [field]: value } : item)),
+    }));
+  };
+
+  const removeItem = (index) => {
+    setForm((prev) => ({ ...prev, items: prev.items.filter((_, i) => i !== index) }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.customer) {
+      toast.error('Select a customer');
+      return;
+    }
+    if (form.items.length === 0) {
+      toast.error('Add at least one product');
+      return;
+    }
+
+    const payload = {
+      customer: form.customer,
+      notes: form.notes,
+      terms: form.terms,
+      items: form.items.map((item) => ({
+        product: item.product,
+        quantity: parseInt(item.quantity, 10),
+        unitPrice: item.unitPrice === '' ? null : parseFloat(item.unitPrice),
+        discountPercent: parseFloat(item.discountPercent) || 0,
+      })),
+    };
+    if (form.validUntil) payload.validUntil = form.validUntil;
+
+    try {
+      if (quotation) {
+        const result = await updateQuotation({ id: quotation._id, ...payload, reason: form.reason || undefined }).unwrap();
+        toast.success(result.message || 'Quotation saved');
+        onSaved(quotation._id);
+      } else {
+        const result = await createQuotation(payload).unwrap();
+        toast.success(`Quotation ${result.data.quotationNumber} created`);
+        onSaved(result.data._id);
+      }
+    } catch (error) {
+      handleApiError(error, 'Failed to save quotation');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="card p-6 space-y-4">
+      <h2 className="text-lg font-semibold text-gray-900">
+        {quotation ? (isRevision ? `Revise ${displayNumber(quotation)}` : `Edit ${displayNumber(quotation)}`) : 'New Quotation'}
+      </h2>
+      {isRevision && (
+        <p className="text-sm text-yellow-700 bg-yellow-50 p-3 rounded">
+          The customer has seen this quotation. Saving keeps the current version in the revision history
+          and reopens it as revision {quotation.revision + 1}.
+        </p>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Customer</label>
+          <input
+            className="input mb-2"
+            placeholder="Search customers..."
+            value={customerSearch}
+            onChange={(e) => setCustomerSearch(e.target.value)}
+          />
+          <select
+            className="input"
+            value={form.customer}
+            onChange={(e) => setForm((prev) => ({ ...prev, customer: e.target.value }))}
+          >
+            <option value="">Select customer</option>
+            {quotation?.customer?._id && !customers.some((c) => c._id === quotation.customer._id) && (
+              <option value={quotation.customer._id}>{quotation.customer.businessName || quotation.customer.name}</option>
+            )}
+            {customers.map((customer) => (
+              <option key={customer._id} value={customer._id}>
+                {customer.businessName || customer.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Valid Until</label>
+          <input
+            type="date"
+            className="input"
+            value={form.validUntil}
+            onChange={(e) => setForm((prev) => ({ ...prev, validUntil: e.target.value }))}
+          />
+          <p className="text-xs text-gray-500 mt-1">Defaults to 30 days from today</p>
+        </div>
+        {isRevision && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Reason for Revision</label>
+            <input
+              className="input"
+              value={form.reason}
+              maxLength={500}
+              onChange={(e) => setForm((prev) => ({ ...prev, reason: e.target.value }))}
+            />
+          </div>
+        )}
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Add Product</label>
+        <div className="relative">
+          <Search className="h-4 w-4 absolute left-3 top-3 text-gray-400" />
+          <input
+            className="input pl-9"
+            placeholder="Search products..."
+            value={productSearch}
+            onChange={(e) => setProductSearch(e.target.value)}
+          />
+          {productSearch && products.length > 0 && (
+            <div className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded shadow max-h-60 overflow-y-auto">
+              {products.map((product) => (
+                <button
+                  type="button"
+                  key={product._id}
+                  onClick={() => addProduct(product)}
+                  className="w-full text-left px-3 py-2 text-sm hover:bg-gray-50 flex justify-between"
+                >
+                  <span>{product.name}</span>
+                  <span className="text-gray-500">{formatCurrency(product.pricing?.wholesale)}</span>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {form.items.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Quantity</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Unit Price</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Discount %</th>
+                <th className="px-3 py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {form.items.map((item, index) => (
+                <tr key={item.product}>
+                  <td className="px-3 py-2 text-sm">{item.name}</td>
+                  <td className="px-3 py-2">
+                    <input
+                      type="number"
+                      min="1"
+                      className="input w-24 text-right"
+                      value={item.quantity}
+                      onChange={(e) => updateItem(index, 'quantity', e.target.value)}
+                    />
+                  </td>
+                  <td className="px-3 py-2">
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      placeholder="Price list"
+                      className="input w-28 text-right"
+                      value={item.unitPrice}
+                      onChange={(e) => updateItem(index, 'unitPrice', e.target.value)}
+                    />
+                  </td>
+                  <td className="px-3 py-2">
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      step="0.01"
+                      className="input w-24 text-right"
+                      value={item.discountPercent}
+                      onChange={(e) => updateItem(index, 'discountPercent', e.target.value)}
+                    />
+                  </td>
+                  <td className="px-3 py-2 text-right">
+                    <button type="button" onClick={() => removeItem(index)} className="text-red-600 hover:text-red-800">
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+          <textarea
+            className="input"
+            rows={3}
+            maxLength={1000}
+            value={form.notes}
+            onChange={(e) => setForm((prev) => ({ ...prev, notes: e.target.value }))}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Terms</label>
+          <textarea
+            className="input"
+            rows={3}
+            maxLength={2000}
+            value={form.terms}
+            onChange={(e) => setForm((prev) => ({ ...prev, terms: e.target.value }))}
+          />
+        </div>
+      </div>
+
+      <div className="flex justify-end space-x-3">
+        <button type="button" onClick={onCancel} className="btn btn-secondary">Cancel</button>
+        <LoadingButton type="submit" isLoading={isCreating || isUpdating} className="btn btn-primary">
+          {isRevision ? 'Save Revision' : 'Save Quotation'}
+        </LoadingButton>
+      </div>
+    </form>
+  );
+};
+
+const QuotationDetail = ({ id, onBack }) => {
+  const { hasPermission } = useAuth();
+  const [editing, setEditing] = useState(false);
+  const [emailTo, setEmailTo] = useState('');
+  const [response, setResponse] = useState({ contactName: '', note: '' });
+
+  const { data, isLoading, refetch } = useGetQuotationQuery(id);
+  const quotation = data?.data || data;
+
+  const [sendQuotation, { isLoading: isSending }] = useSendQuotationMutation();
+  const [respondToQuotation, { isLoading: isResponding }] = useRespondToQuotationMutation();
+  const [convertToSalesOrder, { isLoading: isConverting }] = useConvertQuotationToSalesOrderMutation();
+  const [createSale, { isLoading: isInvoicing }] = useCreateSaleMutation();
+  const [cancelQuotation, { isLoading: isCancelling }] = useCancelQuotationMutation();
+  const [deleteQuotation, { isLoading: isDeleting }] = useDeleteQuotationMutation();
+  const [printDocument, { isLoading: isRenderingPdf }] = usePrintDocumentMutation();
+
+  if (isLoading || !quotation?._id) {
+    return <LoadingSpinner />;
+  }
+
+  if (editing) {
+    return (
+      <QuotationForm
+        quotation={quotation}
+        onCancel={() => setEditing(false)}
+        onSaved={() => setEditing(false)}
+      />
+    );
+  }
+
+  const { status } = quotation;
+  const canEdit = hasPermission('edit_sales_orders') && EDITABLE_STATUSES.includes(status);
+  const canRespond = hasPermission('create_sales_orders') && ['draft', 'sent'].includes(status);
+  const canConvert = status === 'accepted';
+
+  const handlePdf = async () => {
+    try {
+      const blob = await printDocument({ documentType: 'quotation', documentId: quotation._id }).unwrap();
+      const url = window.URL.createObjectURL(new Blob([blob], { type: 'application/pdf' }));
+      window.open(url, '_blank');
+      setTimeout(() => window.URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      handleApiError(error, 'Failed to generate PDF');
+    }
+  };
+
+  const handleSend = async () => {
+    try {
+      const result = await sendQuotation({ id: quotation._id, to: emailTo || undefined }).unwrap();
+      toast.success(result.message || 'Quotation sent');
+      setEmailTo('');
+    } catch (error) {
+      handleApiError(error, 'Failed to send quotation');
+    }
+  };
+
+  const handleRespond = async (decision) => {
+    if (decision === 'accepted' && !window.confirm('Record acceptance? The quoted stock will be held until the quotation is converted or expires.')) return;
+    try {
+      const result = await respondToQuotation({ id: quotation._id, decision, ...response }).unwrap();
+      toast.success(result.message || `Quotation ${decision}`);
+      setResponse({ contactName: '', note: '' });
+    } catch (error) {
+      handleApiError(error, 'Failed to record response');
+    }
+  };
+
+  const handleConvertToSalesOrder = async () => {
+    try {
+      const result = await convertToSalesOrder({ id: quotation._id }).unwrap();
+      toast.success(result.message || 'Sales order created');
+    } catch (error) {
+      handleApiError(error, 'Failed to convert quotation');
+    }
+  };
+
+  const handleInvoice = async () => {
+    if (!window.confirm(`Invoice ${displayNumber(quotation)} to the customer's account now?`)) return;
+    try {
+      // The server replaces the customer and lines with the accepted quotation's
+      const result = await createSale({
+        payload: {
+          orderType: 'wholesale',
+          customer: quotation.customer?._id || quotation.customer,
+          items: quotation.items.map((item) => ({ product: item.product?._id || item.product, quantity: item.quantity })),
+          payment: { method: 'account', amount: 0 },
+          quotation: quotation._id,
+        },
+        idempotencyKey: `quotation-${quotation._id}-${quotation.revision}`,
+      }).unwrap();
+      toast.success(`Invoice ${result.order?.orderNumber || result.data?.orderNumber || ''} created`);
+      refetch();
+    } catch (error) {
+      handleApiError(error, 'Failed to invoice quotation');
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!window.confirm('Cancel this quotation? Any held stock is released.')) return;
+    try {
+      await cancelQuotation(quotation._id).unwrap();
+      toast.success('Quotation cancelled');
+    } catch (error) {
+      handleApiError(error, 'Failed to cancel quotation');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete this draft quotation?')) return;
+    try {
+      await deleteQuotation(quotation._id).unwrap();
+      toast.success('Quotation deleted');
+      onBack();
+    } catch (error) {
+      handleApiError(error, 'Failed to delete quotation');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-4 sm:space-y-0">
+        <div className="flex items-center space-x-3">
+          <button onClick={onBack} className="btn btn-secondary">
+            <ArrowLeft className="h-4 w-4" />
+          </button>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 flex items-center space-x-3">
+              <span className="font-mono">{displayNumber(quotation)}</span>
+              <StatusBadge status={status} />
+            </h1>
+            <p className="text-gray-600">
+              {quotation.customer?.businessName || quotation.customer?.name} · valid until{' '}
+              {new Date(quotation.validUntil).toLocaleDateString()}
+            </p>
+          </div>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <LoadingButton onClick={handlePdf} isLoading={isRenderingPdf} className="btn btn-secondary flex items-center">
+            <Printer className="h-4 w-4 mr-2" /> PDF
+          </LoadingButton>
+          {canEdit && (
+            <button onClick={() => setEditing(true)} className="btn btn-secondary flex items-center">
+              <Edit className="h-4 w-4 mr-2" /> {status === 'draft' ? 'Edit' : 'Revise'}
+            </button>
+          )}
+          {canConvert && hasPermission('create_sales_orders') && (
+            <LoadingButton onClick={handleConvertToSalesOrder} isLoading={isConverting} className="btn btn-primary flex items-center">
+              <FileText className="h-4 w-4 mr-2" /> Convert to Sales Order
+            </LoadingButton>
+          )}
+          {canConvert && hasPermission('create_orders') && (
+            <LoadingButton onClick={handleInvoice} isLoading={isInvoicing} className="btn btn-primary flex items-center">
+              <FileText className="h-4 w-4 mr-2" /> Invoice Now
+            </LoadingButton>
+          )}
+          {hasPermission('edit_sales_orders') && !['converted', 'cancelled'].includes(status) && (
+            <LoadingButton onClick={handleCancel} isLoading={isCancelling} className="btn btn-secondary flex items-center">
+              <XCircle className="h-4 w-4 mr-2" /> Cancel
+            </LoadingButton>
+          )}
+          {hasPermission('delete_sales_orders') && status === 'draft' && quotation.revision === 1 && (
+            <LoadingButton onClick={handleDelete} isLoading={isDeleting} className="btn btn-danger flex items-center">
+              <Trash2 className="h-4 w-4 mr-2" /> Delete
+            </LoadingButton>
+          )}
+        </div>
+      </div>
+
+      {quotation.convertedTo?.documentNumber && (
+        <div className="card p-4 text-sm text-purple-800 bg-purple-50">
+          Converted to {quotation.convertedTo.documentType === 'sales_order' ? 'sales order' : 'invoice'}{' '}
+          <span className="font-mono">{quotation.convertedTo.documentNumber}</span> on{' '}
+          {new Date(quotation.convertedTo.convertedAt).toLocaleString()}
+        </div>
+      )}
+
+      <div className="card overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Qty</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Unit Price</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Discount</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Tax</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {quotation.items.map((item, index) => (
+              <tr key={item._id || index}>
+                <td className="px-4 py-2 text-sm">{item.description || item.product?.name}</td>
+                <td className="px-4 py-2 text-sm text-right">{item.quantity}</td>
+                <td className="px-4 py-2 text-sm text-right">{formatCurrency(item.unitPrice)}</td>
+                <td className="px-4 py-2 text-sm text-right">
+                  {item.discountPercent ? `${item.discountPercent}% (${formatCurrency(item.discountAmount)})` : '—'}
+                </td>
+                <td className="px-4 py-2 text-sm text-right">{formatCurrency(item.taxAmount)}</td>
+                <td className="px-4 py-2 text-sm text-right font-medium">{formatCurrency(item.total)}</td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot className="bg-gray-50 text-sm">
+            <tr>
+              <td colSpan={5} className="px-4 py-1 text-right text-gray-600">Subtotal</td>
+              <td className="px-4 py-1 text-right">{formatCurrency(quotation.subtotal)}</td>
+            </tr>
+            <tr>
+              <td colSpan={5} className="px-4 py-1 text-right text-gray-600">Discount</td>
+              <td className="px-4 py-1 text-right">-{formatCurrency(quotation.discountAmount)}</td>
+            </tr>
+            <tr>
+              <td colSpan={5} className="px-4 py-1 text-right text-gray-600">Tax</td>
+              <td className="px-4 py-1 text-right">{formatCurrency(quotation.taxAmount)}</td>
+            </tr>
+            <tr>
+              <td colSpan={5} className="px-4 py-2 text-right font-semibold">Total</td>
+              <td className="px-4 py-2 text-right font-semibold">{formatCurrency(quotation.total)}</td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+
+      {canRespond && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div className="card p-4 space-y-3">
+            <h3 className="font-semibold text-gray-900">Email to Customer</h3>
+            <input
+              type="email"
+              className="input"
+              placeholder={quotation.customer?.email || 'Customer email'}
+              value={emailTo}
+              onChange={(e) => setEmailTo(e.target.value)}
+            />
+            {quotation.sentAt && (
+              <p className="text-xs text-gray-500">
+                Last sent to {quotation.sentTo} on {new Date(quotation.sentAt).toLocaleString()}
+              </p>
+            )}
+            <LoadingButton onClick={handleSend} isLoading={isSending} className="btn btn-secondary flex items-center">
+              <Send className="h-4 w-4 mr-2" /> {quotation.sentAt ? 'Send Again' : 'Send'}
+            </LoadingButton>
+          </div>
+          <div className="card p-4 space-y-3">
+            <h3 className="font-semibold text-gray-900">Customer Response</h3>
+            <input
+              className="input"
+              placeholder="Contact name"
+              value={response.contactName}
+              onChange={(e) => setResponse((prev) => ({ ...prev, contactName: e.target.value }))}
+            />
+            <input
+              className="input"
+              placeholder="Note"
+              value={response.note}
+              onChange={(e) => setResponse((prev) => ({ ...prev, note: e.target.value }))}
+            />
+            <div className="flex space-x-2">
+              <LoadingButton onClick={() => handleRespond('accepted')} isLoading={isResponding} className="btn btn-primary flex items-center">
+                <CheckCircle className="h-4 w-4 mr-2" /> Accepted
+              </LoadingButton>
+              <LoadingButton onClick={() => handleRespond('rejected')} isLoading={isResponding} className="btn btn-secondary flex items-center">
+                <XCircle className="h-4 w-4 mr-2" /> Rejected
+              </LoadingButton>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {quotation.response?.decision && (
+        <div className="card p-4 text-sm">
+          <span className="font-medium capitalize">{quotation.response.decision}</span>
+          {quotation.response.contactName && ` by ${quotation.response.contactName}`} on{' '}
+          {new Date(quotation.response.respondedAt).toLocaleString()}
+          {quotation.response.note && <p className="text-gray-600 mt-1">{quotation.response.note}</p>}
+          {quotation.reservations?.length > 0 && (
+            <p className="text-gray-500 mt-1">Stock held on {quotation.reservations.length} line(s)</p>
+          )}
+        </div>
+      )}
+
+      {(quotation.notes || quotation.terms) && (
+        <div className="card p-4 grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+          {quotation.notes && (
+            <div>
+              <h3 className="font-semibold text-gray-900 mb-1">Notes</h3>
+              <p className="whitespace-pre-line text-gray-700">{quotation.notes}</p>
+            </div>
+          )}
+          {quotation.terms && (
+            <div>
+              <h3 className="font-semibold text-gray-900 mb-1">Terms</h3>
+              <p className="whitespace-pre-line text-gray-700">{quotation.terms}</p>
+            </div>
+          )}
+        </div>
+      )}
+
+      {quotation.revisions?.length > 0 && (
+        <div className="card overflow-x-auto">
+          <h3 className="font-semibold text-gray-900 px-4 pt-4">Revision History</h3>
+          <table className="min-w-full divide-y divide-gray-200 mt-2">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Revision</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Valid Until</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Revised</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Reason</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {[...quotation.revisions].reverse().map((revision) => (
+                <tr key={revision.revision}>
+                  <td className="px-4 py-2 text-sm font-mono">R{revision.revision}</td>
+                  <td className="px-4 py-2 text-sm"><StatusBadge status={revision.status} /></td>
+                  <td className="px-4 py-2 text-sm text-right">{formatCurrency(revision.total)}</td>
+                  <td className="px-4 py-2 text-sm">{new Date(revision.validUntil).toLocaleDateString()}</td>
+                  <td className="px-4 py-2 text-sm">{new Date(revision.revisedAt).toLocaleString()}</td>
+                  <td className="px-4 py-2 text-sm text-gray-600">{revision.reason || '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const Quotations = () => {
+  const { hasPermission } = useAuth();
+  const [statusFilter, setStatusFilter] = useState('');
+  const [search, setSearch] = useState('');
+  const [showForm, setShowForm] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+
+  const { data, isLoading } = useGetQuotationsQuery({
+    ...(statusFilter ? { status: statusFilter } : {}),
+    ...(search ? { search } : {}),
+  });
+  const quotations = data?.data?.quotations || data?.quotations || [];
+
+  if (selectedId) {
+    return <QuotationDetail id={selectedId} onBack={() => setSelectedId(null)} />;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-4 sm:space-y-0">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Quotations</h1>
+          <p className="text-gray-600">Price quotes that convert into sales orders or invoices once accepted</p>
+        </div>
+        <div className="flex items-center space-x-3">
+          <input
+            className="input"
+            placeholder="Search number..."
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+          <select
+            className="input"
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+          >
+            <option value="">All statuses</option>
+            {Object.keys(STATUS_STYLES).map((status) => (
+              <option key={status} value={status} className="capitalize">{status}</option>
+            ))}
+          </select>
+          {hasPermission('create_sales_orders') && !showForm && (
+            <button onClick={() => setShowForm(true)} className="btn btn-primary flex items-center">
+              <Plus className="h-4 w-4 mr-2" /> New Quotation
+            </button>
+          )}
+        </div>
+      </div>
+
+      {showForm && (
+        <QuotationForm
+          onCancel={() => setShowForm(false)}
+          onSaved={(id) => {
+            setShowForm(false);
+            setSelectedId(id);
+          }}
+        />
+      )}
+
+      {isLoading ? (
+        <LoadingSpinner />
+      ) : quotations.length === 0 ? (
+        <div className="card p-12 text-center text-gray-500">
+          <FileSignature className="h-12 w-12 mx-auto mb-3 text-gray-300" />
+          No quotations yet
+        </div>
+      ) : (
+        <div className="card overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Number</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Customer</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Issued</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Valid Until</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {quotations.map((quotation) => (
+                <tr
+                  key={quotation._id}
+                  onClick={() => setSelectedId(quotation._id)}
+                  className="hover:bg-gray-50 cursor-pointer"
+                >
+                  <td className="px-4 py-2 text-sm font-mono">{displayNumber(quotation)}</td>
+                  <td className="px-4 py-2 text-sm">{quotation.customer?.businessName || quotation.customer?.name}</td>
+                  <td className="px-4 py-2 text-sm">{new Date(quotation.issueDate).toLocaleDateString()}</td>
+                  <td className="px-4 py-2 text-sm">{new Date(quotation.validUntil).toLocaleDateString()}</td>
+                  <td className="px-4 py-2 text-sm text-right">{formatCurrency(quotation.total)}</td>
+                  <td className="px-4 py-2 text-sm"><StatusBadge status={quotation.status} /></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Quotations;
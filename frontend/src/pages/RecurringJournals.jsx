@@ -0,0 +1,482 @@
+import React, { useMemo, useState } from 'react';
+import { Repeat, Plus, Trash2, Pause, Play, Zap, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import {
+  useGetRecurringJournalsQuery,
+  useGetRecurringJournalQuery,
+  usePreviewRecurringJournalQuery,
+  useCreateRecurringJournalMutation,
+  useSetRecurringJournalStatusMutation,
+  useGenerateRecurringJournalMutation,
+  useDeleteRecurringJournalMutation,
+} from '../store/services/recurringJournalsApi';
+import { useGetAccountsQuery } from '../store/services/chartOfAccountsApi';
+import { useAuth } from '../contexts/AuthContext';
+import { LoadingSpinner, LoadingButton } from '../components/LoadingSpinner';
+import { handleApiError } from '../utils/errorHandler';
+import { formatCurrency } from '../utils/formatters';
+
+const FREQUENCY_LABELS = {
+  daily: 'Daily',
+  weekly: 'Weekly',
+  monthly: 'Monthly',
+  quarterly: 'Quarterly',
+  yearly: 'Yearly',
+  custom: 'Custom (cron)',
+};
+
+const AMOUNT_TYPE_LABELS = {
+  fixed: 'Fixed',
+  formula: 'Formula',
+  last_value: 'Last value',
+  balance: 'Balancing',
+};
+
+const STATUS_STYLES = {
+  active: 'bg-green-100 text-green-800',
+  paused: 'bg-yellow-100 text-yellow-800',
+  completed: 'bg-gray-100 text-gray-700',
+  posted: 'bg-green-100 text-green-800',
+  pending_approval: 'bg-blue-100 text-blue-800',
+  failed: 'bg-red-100 text-red-800',
+};
+
+const toInputDate = (date) => new Date(date).toISOString().slice(0, 10);
+const formatDate = (date) => (date ? new Date(date).toLocaleString() : '—');
+
+const emptyLine = (side) => ({ account: '', side, amountType: 'fixed', amount: '', formula: '', particulars: '' });
+
+const emptyForm = () => ({
+  name: '',
+  description: '',
+  type: 'journal_voucher',
+  lines: [emptyLine('debit'), { ...emptyLine('credit'), amountType: 'balance' }],
+  expenseAccount: '',
+  paymentAccount: '',
+  amountType: 'fixed',
+  amount: '',
+  formula: '',
+  schedule: { frequency: 'monthly', interval: 1, cron: '', startDate: toInputDate(new Date()), endDate: '', maxOccurrences: '' },
+  postingMode: 'draft',
+  approvalThreshold: 10000,
+  reference: '',
+});
+
+const StatusBadge = ({ status }) => (
+  <span className={`px-2 py-0.5 rounded text-xs font-medium ${STATUS_STYLES[status] || ''}`}>
+    {status.replace('_', ' ')}
+  </span>
+);
+
+const AmountRule = ({ value, onChange, allowBalance }) => (
+  <>
+    <select className="input" value={value.amountType} onChange={(e) => onChange({ amountType: e.target.value })}>
+      {Object.entries(AMOUNT_TYPE_LABELS)
+        .filter(([type]) => allowBalance || type !== 'balance')
+        .map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+    </select>
+    {value.amountType === 'formula' ? (
+      <input
+        className="input font-mono"
+        placeholder='e.g. round(last * 1.03, 2) or balance("1100") * 0.01'
+        value={value.formula}
+        onChange={(e) => onChange({ formula: e.target.value })}
+        required
+      />
+    ) : value.amountType !== 'balance' && (
+      <input
+        type="number"
+        step="0.01"
+        min="0"
+        className="input w-32"
+        placeholder={value.amountType === 'last_value' ? 'First amount' : 'Amount'}
+        value={value.amount}
+        onChange={(e) => onChange({ amount: e.target.value })}
+        required={value.amountType === 'fixed'}
+      />
+    )}
+  </>
+);
+
+const TemplateForm = ({ accounts, onClose }) => {
+  const [form, setForm] = useState(emptyForm);
+  const [createRecurringJournal, { isLoading }] = useCreateRecurringJournalMutation();
+
+  const setSchedule = (changes) => setForm({ ...form, schedule: { ...form.schedule, ...changes } });
+  const setLine = (index, changes) => setForm({
+    ...form,
+    lines: form.lines.map((line, i) => (i === index ? { ...line, ...changes } : line)),
+  });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const payload = {
+      ...form,
+      schedule: {
+        ...form.schedule,
+        interval: Number(form.schedule.interval) || 1,
+        maxOccurrences: form.schedule.maxOccurrences ? Number(form.schedule.maxOccurrences) : undefined,
+      },
+      approvalThreshold: Number(form.approvalThreshold),
+    };
+    if (form.type === 'expense') {
+      delete payload.lines;
+      payload.amount = Number(form.amount) || 0;
+    } else {
+      ['expenseAccount', 'paymentAccount', 'amountType', 'amount', 'formula'].forEach((key) => delete payload[key]);
+      payload.lines = form.lines.map((line) => ({ ...line, amount: Number(line.amount) || 0 }));
+    }
+    try {
+      await createRecurringJournal(payload).unwrap();
+      toast.success(`${form.name} scheduled`);
+      onClose();
+    } catch (error) {
+      handleApiError(error, 'Create recurring journal');
+    }
+  };
+
+  const accountSelect = (value, onChange) => (
+    <select className="input" value={value} onChange={(e) => onChange(e.target.value)} required>
+      <option value="">Select account</option>
+      {accounts.map((account) => (
+        <option key={account._id} value={account._id}>{account.accountCode} — {account.accountName}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <form onSubmit={handleSubmit} className="card p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold">New recurring template</h2>
+        <button type="button" onClick={onClose} className="text-gray-500 hover:text-gray-700"><X className="h-5 w-5" /></button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+          <input className="input w-full" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} required />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+          <select className="input w-full" value={form.type} onChange={(e) => setForm({ ...form, type: e.target.value })}>
+            <option value="journal_voucher">Journal voucher</option>
+            <option value="expense">Expense</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Reference</label>
+          <input className="input w-full" value={form.reference} onChange={(e) => setForm({ ...form, reference: e.target.value })} />
+        </div>
+      </div>
+
+      {form.type === 'expense' ? (
+        <div className="flex flex-wrap items-end gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Expense account</label>
+            {accountSelect(form.expenseAccount, (expenseAccount) => setForm({ ...form, expenseAccount }))}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Paid from</label>
+            {accountSelect(form.paymentAccount, (paymentAccount) => setForm({ ...form, paymentAccount }))}
+          </div>
+          <div className="flex items-end gap-2">
+            <AmountRule value={form} onChange={(changes) => setForm({ ...form, ...changes })} />
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-2">
+          {form.lines.map((line, index) => (
+            <div key={index} className="flex flex-wrap items-center gap-2">
+              <select className="input w-24" value={line.side} onChange={(e) => setLine(index, { side: e.target.value })}>
+                <option value="debit">Debit</option>
+                <option value="credit">Credit</option>
+              </select>
+              {accountSelect(line.account, (account) => setLine(index, { account }))}
+              <AmountRule value={line} onChange={(changes) => setLine(index, changes)} allowBalance />
+              <input
+                className="input flex-1 min-w-[10rem]"
+                placeholder="Particulars"
+                value={line.particulars}
+                onChange={(e) => setLine(index, { particulars: e.target.value })}
+              />
+              {form.lines.length > 2 && (
+                <button type="button" onClick={() => setForm({ ...form, lines: form.lines.filter((_, i) => i !== index) })} className="text-red-600">
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              )}
+            </div>
+          ))}
+          <button type="button" onClick={() => setForm({ ...form, lines: [...form.lines, emptyLine('debit')] })} className="text-sm text-blue-600 hover:text-blue-800">
+            + Add line
+          </button>
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-end gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Repeats</label>
+          <select className="input" value={form.schedule.frequency} onChange={(e) => setSchedule({ frequency: e.target.value })}>
+            {Object.entries(FREQUENCY_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </div>
+        {form.schedule.frequency === 'custom' ? (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Cron (min hour day month weekday)</label>
+            <input className="input font-mono" placeholder="0 9 1 * *" value={form.schedule.cron} onChange={(e) => setSchedule({ cron: e.target.value })} required />
+          </div>
+        ) : (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Every</label>
+            <input type="number" min="1" max="366" className="input w-20" value={form.schedule.interval} onChange={(e) => setSchedule({ interval: e.target.value })} />
+          </div>
+        )}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Starts</label>
+          <input type="date" className="input" value={form.schedule.startDate} onChange={(e) => setSchedule({ startDate: e.target.value })} required />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Ends</label>
+          <input type="date" className="input" value={form.schedule.endDate} onChange={(e) => setSchedule({ endDate: e.target.value })} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Or after</label>
+          <input type="number" min="1" className="input w-24" placeholder="times" value={form.schedule.maxOccurrences} onChange={(e) => setSchedule({ maxOccurrences: e.target.value })} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Vouchers</label>
+          <select className="input" value={form.postingMode} onChange={(e) => setForm({ ...form, postingMode: e.target.value })}>
+            <option value="draft">Wait for approval</option>
+            <option value="auto_post">Post automatically</option>
+          </select>
+        </div>
+        {form.postingMode === 'auto_post' && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Approval from</label>
+            <input type="number" min="0" step="0.01" className="input w-32" value={form.approvalThreshold} onChange={(e) => setForm({ ...form, approvalThreshold: e.target.value })} />
+          </div>
+        )}
+      </div>
+
+      <div className="flex justify-end">
+        <LoadingButton type="submit" isLoading={isLoading} className="btn btn-primary flex items-center">
+          <Plus className="h-4 w-4 mr-2" />
+          Save template
+        </LoadingButton>
+      </div>
+    </form>
+  );
+};
+
+const TemplateDetail = ({ id, canManage }) => {
+  const [date, setDate] = useState(toInputDate(new Date()));
+  const { data, isLoading } = useGetRecurringJournalQuery(id);
+  const { data: previewData } = usePreviewRecurringJournalQuery({ id, count: 6 });
+  const [generate, { isLoading: generating }] = useGenerateRecurringJournalMutation();
+
+  const template = data?.data;
+  const preview = previewData?.data;
+
+  const handleGenerate = async () => {
+    try {
+      const response = await generate({ id, date }).unwrap();
+      toast.success(`${response.data.voucherNumber} raised`);
+    } catch (error) {
+      handleApiError(error, 'Generate voucher');
+    }
+  };
+
+  if (isLoading || !template) return <LoadingSpinner />;
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 text-sm">
+      <div>
+        <h3 className="font-medium mb-2">Next vouchers</h3>
+        {preview?.dates?.length ? (
+          <>
+            <p className="text-gray-600 mb-2">{preview.dates.map((d) => new Date(d).toLocaleDateString()).join(', ')}</p>
+            <table className="min-w-full">
+              <tbody>
+                {preview.entries.map((entry) => (
+                  <tr key={entry.accountCode}>
+                    <td className="py-1 font-mono">{entry.accountCode}</td>
+                    <td className="py-1">{entry.accountName}</td>
+                    <td className="py-1 text-right">{entry.debit ? formatCurrency(entry.debit) : ''}</td>
+                    <td className="py-1 text-right">{entry.credit ? formatCurrency(entry.credit) : ''}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        ) : <p className="text-gray-500">No further occurrences.</p>}
+        {canManage && template.status !== 'completed' && (
+          <div className="flex items-end gap-2 mt-4">
+            <input type="date" className="input" value={date} onChange={(e) => setDate(e.target.value)} />
+            <LoadingButton onClick={handleGenerate} isLoading={generating} className="btn btn-secondary flex items-center">
+              <Zap className="h-4 w-4 mr-2" />
+              Generate now
+            </LoadingButton>
+          </div>
+        )}
+      </div>
+      <div>
+        <h3 className="font-medium mb-2">Generated</h3>
+        {template.occurrences.length === 0 ? <p className="text-gray-500">Nothing generated yet.</p> : (
+          <table className="min-w-full">
+            <tbody>
+              {[...template.occurrences].reverse().map((occurrence, index) => (
+                <tr key={index}>
+                  <td className="py-1">{new Date(occurrence.scheduledFor).toLocaleDateString()}</td>
+                  <td className="py-1 font-mono">{occurrence.voucherNumber || '—'}</td>
+                  <td className="py-1"><StatusBadge status={occurrence.status} /></td>
+                  <td className="py-1 text-right">{occurrence.status === 'failed' ? <span className="text-red-600">{occurrence.error}</span> : formatCurrency(occurrence.amount)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const RecurringJournals = () => {
+  const { hasPermission } = useAuth();
+  const canManage = hasPermission('manage_reports');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [showForm, setShowForm] = useState(false);
+  const [openId, setOpenId] = useState(null);
+  const { data, isLoading } = useGetRecurringJournalsQuery(statusFilter ? { status: statusFilter } : {});
+  const { data: accountsResponse } = useGetAccountsQuery({ isActive: 'true' });
+  const [setStatus] = useSetRecurringJournalStatusMutation();
+  const [deleteRecurringJournal] = useDeleteRecurringJournalMutation();
+
+  const templates = data?.data?.templates || [];
+  const accounts = useMemo(() => {
+    const list = accountsResponse?.data?.accounts || accountsResponse?.data || accountsResponse || [];
+    return Array.isArray(list) ? [...list].sort((a, b) => a.accountCode.localeCompare(b.accountCode)) : [];
+  }, [accountsResponse]);
+
+  const handleStatus = async (template, action) => {
+    try {
+      await setStatus({ id: template._id, action }).unwrap();
+      toast.success(`${template.name} ${action === 'pause' ? 'paused' : 'resumed'}`);
+    } catch (error) {
+      handleApiError(error, 'Update recurring journal');
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete ${template.name}?`)) return;
+    try {
+      await deleteRecurringJournal(template._id).unwrap();
+      toast.success('Recurring journal deleted');
+    } catch (error) {
+      handleApiError(error, 'Delete recurring journal');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+          <Repeat className="h-6 w-6 text-gray-600" />
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Recurring Journals</h1>
+            <p className="text-gray-600">Journal vouchers and expenses raised automatically on a schedule</p>
+          </div>
+        </div>
+        {canManage && !showForm && (
+          <button onClick={() => setShowForm(true)} className="btn btn-primary flex items-center">
+            <Plus className="h-4 w-4 mr-2" />
+            New template
+          </button>
+        )}
+      </div>
+
+      {showForm && <TemplateForm accounts={accounts} onClose={() => setShowForm(false)} />}
+
+      <div className="card overflow-x-auto">
+        <div className="p-4 flex items-center justify-between">
+          <h2 className="text-lg font-semibold">Templates</h2>
+          <select className="input w-40" value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+            <option value="">All</option>
+            <option value="active">Active</option>
+            <option value="paused">Paused</option>
+            <option value="completed">Completed</option>
+          </select>
+        </div>
+        {isLoading ? <LoadingSpinner /> : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Schedule</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Vouchers</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Next run</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Generated</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                {canManage && <th className="px-4 py-2" />}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {templates.length === 0 && (
+                <tr>
+                  <td colSpan={canManage ? 7 : 6} className="px-4 py-6 text-center text-sm text-gray-500">No recurring journals.</td>
+                </tr>
+              )}
+              {templates.map((template) => (
+                <React.Fragment key={template._id}>
+                  <tr onClick={() => setOpenId(openId === template._id ? null : template._id)} className="hover:bg-gray-50 cursor-pointer">
+                    <td className="px-4 py-2 text-sm">
+                      <div className="font-medium">{template.name}</div>
+                      <div className="text-xs text-gray-500">{template.type === 'expense' ? 'Expense' : 'Journal voucher'}</div>
+                      {template.lastError && <div className="text-xs text-red-600">{template.lastError}</div>}
+                    </td>
+                    <td className="px-4 py-2 text-sm">
+                      {template.schedule.frequency === 'custom'
+                        ? <span className="font-mono">{template.schedule.cron}</span>
+                        : `${FREQUENCY_LABELS[template.schedule.frequency]}${template.schedule.interval > 1 ? ` ×${template.schedule.interval}` : ''}`}
+                      {template.schedule.endDate && <div className="text-xs text-gray-500">until {new Date(template.schedule.endDate).toLocaleDateString()}</div>}
+                    </td>
+                    <td className="px-4 py-2 text-sm">{template.postingMode === 'auto_post' ? `Post below ${formatCurrency(template.approvalThreshold)}` : 'Wait for approval'}</td>
+                    <td className="px-4 py-2 text-sm">{formatDate(template.nextRunDate)}</td>
+                    <td className="px-4 py-2 text-sm text-right">{template.occurrenceCount}</td>
+                    <td className="px-4 py-2 text-sm"><StatusBadge status={template.status} /></td>
+                    {canManage && (
+                      <td className="px-4 py-2 text-right space-x-2" onClick={(e) => e.stopPropagation()}>
+                        {template.status === 'active' && (
+                          <button onClick={() => handleStatus(template, 'pause')} className="text-yellow-600 hover:text-yellow-800" title="Pause">
+                            <Pause className="h-4 w-4" />
+                          </button>
+                        )}
+                        {template.status === 'paused' && (
+                          <button onClick={() => handleStatus(template, 'resume')} className="text-green-600 hover:text-green-800" title="Resume">
+                            <Play className="h-4 w-4" />
+                          </button>
+                        )}
+                        {template.occurrenceCount === 0 && (
+                          <button onClick={() => handleDelete(template)} className="text-red-600 hover:text-red-800" title="Delete">
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                  {openId === template._id && (
+                    <tr>
+                      <td colSpan={canManage ? 7 : 6} className="px-4 py-4 bg-gray-50">
+                        <TemplateDetail id={template._id} canManage={canManage} />
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RecurringJournals;
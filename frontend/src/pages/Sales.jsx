@@ -26,6 +26,10 @@ import { useGetProductsQuery, useLazyGetLastPurchasePriceQuery, useGetLastPurcha
 import { useGetCustomersQuery, useLazySearchCustomersQuery } from '../store/services/customersApi';
 import { useCreateSaleMutation, useUpdateOrderMutation } from '../store/services/salesApi';
 import { useGetBanksQuery } from '../store/services/banksApi';
+import { useGetWarehousesQuery } from '../store/services/warehousesApi';
+import { useGetLoyaltyProgramQuery } from '../store/services/loyaltyApi';
+import { useEvaluatePromotionsMutation } from '../store/services/promotionsApi';
+import { useLazyResolvePriceQuery } from '../store/services/priceListsApi';
 import { useFuzzySearch } from '../hooks/useFuzzySearch';
 import { SearchableDropdown } from '../components/SearchableDropdown';
 import { handleApiError, showSuccessToast, showErrorToast } from '../utils/errorHandler';
@@ -43,8 +47,25 @@ import { useTab } from '../contexts/TabContext';
 import { getComponentInfo } from '../components/ComponentRegistry';
 import { useAuth } from '../contexts/AuthContext';
 import BarcodeScanner from '../components/BarcodeScanner';
+import OfflineSalesQueue from '../components/OfflineSalesQueue';
+import SplitTenderLines, { summarizeTenders } from '../components/SplitTenderLines';
+import { useOffline } from '../hooks/useOffline';
+import { useOfflineSales } from '../hooks/useOfflineSales';
+import { useReceiptPrinter } from '../hooks/useReceiptPrinter';
+import { STORES, cacheRecords, getCachedRecords } from '../utils/offlineStore';
 import { Camera } from 'lucide-react';
 
+// Catalogue price for a customer type, matching the server's offline conflict check
+const getListPrice = (product, businessType) => {
+  const pricing = product?.pricing || {};
+  if (businessType === 'wholesale') return Number(pricing.wholesale || 0);
+  if (businessType === 'distributor') return Number(pricing.distributor || pricing.wholesale || 0);
+  return Number(pricing.retail || 0);
+};
+
+// A line the server would price differently (no resolved price, or the cashier changed it) keeps its own price
+const isPriceOverride = (item, unitPrice) => item.listPrice == null || unitPrice !== item.listPrice;
+
 // ProductSearch Component
 const ProductSearch = ({ onAddProduct, selectedCustomer, showCostPrice, onLastPurchasePriceFetched, hasCostPricePermission, priceType, onRefetchReady }) => {
   const [productSearchTerm, setProductSearchTerm] = useState('');
@@ -52,6 +73,7 @@ const ProductSearch = ({ onAddProduct, selectedCustomer, showCostPrice, onLastPu
   const [quantity, setQuantity] = useState(1);
   const [customRate, setCustomRate] = useState('');
   const [calculatedRate, setCalculatedRate] = useState(0);
+  const [resolvedRate, setResolvedRate] = useState(null); // Price-list price the server would charge
   const [isAddingProduct, setIsAddingProduct] = useState(false);
   const [isAddingToCart, setIsAddingToCart] = useState(false);
   const [searchKey, setSearchKey] = useState(0); // Key to force re-render
@@ -61,6 +83,7 @@ const ProductSearch = ({ onAddProduct, selectedCustomer, showCostPrice, onLastPu
 
   // Fetch all products (or a larger set) for client-side fuzzy search
   const [getLastPurchasePrice] = useLazyGetLastPurchasePriceQuery();
+  const [resolvePrice] = useLazyResolvePriceQuery();
   const [getLastPurchasePrices] = useGetLastPurchasePricesMutation();
   
   const { data: productsData, isLoading: productsLoading, error: productsError, refetch: refetchProducts } = useGetProductsQuery(
@@ -80,7 +103,7 @@ const ProductSearch = ({ onAddProduct, selectedCustomer, showCostPrice, onLastPu
   }, [onRefetchReady, refetchProducts]);
 
   // Extract products array from RTK Query response
-  const allProducts = React.useMemo(() => {
+  const fetchedProducts = React.useMemo(() => {
     if (!productsData) return [];
     if (Array.isArray(productsData)) return productsData;
     if (productsData?.data?.products) return productsData.data.products;
@@ -88,6 +111,22 @@ const ProductSearch = ({ onAddProduct, selectedCustomer, showCostPrice, onLastPu
     if (productsData?.data?.data?.products) return productsData.data.data.products;
     return [];
   }, [productsData]);
+
+  // Keep an IndexedDB copy of the catalogue so the POS can search while offline
+  const isOffline = useOffline();
+  const [cachedProducts, setCachedProducts] = useState([]);
+  useEffect(() => {
+    if (fetchedProducts.length > 0) {
+      cacheRecords(STORES.products, fetchedProducts).catch(() => {});
+    }
+  }, [fetchedProducts]);
+  useEffect(() => {
+    if (isOffline) {
+      getCachedRecords(STORES.products).then(setCachedProducts).catch(() => setCachedProducts([]));
+    }
+  }, [isOffline]);
+  const allProducts = isOffline && cachedProducts.length > 0 ? cachedProducts : fetchedProducts;
+
   const products = useFuzzySearch(
     allProducts,
     productSearchTerm,
@@ -112,6 +151,22 @@ const ProductSearch = ({ onAddProduct, selectedCustomer, showCostPrice, onLastPu
     }
   };
 
+  // Price the product the way the sale will be priced (price lists included); null when that isn't possible
+  const fetchResolvedPrice = async (product, qty) => {
+    try {
+      const response = await resolvePrice({
+        product: product._id,
+        quantity: qty,
+        ...(selectedCustomer?._id && { customer: selectedCustomer._id })
+      }).unwrap();
+      const unitPrice = response?.data?.unitPrice;
+      return typeof unitPrice === 'number' ? unitPrice : null;
+    } catch (error) {
+      // Offline or no permission - fall back to the catalogue price
+      return null;
+    }
+  };
+
   const handleProductSelect = async (product) => {
     setSelectedProduct(product);
     setQuantity(1);
@@ -140,9 +195,11 @@ const ProductSearch = ({ onAddProduct, selectedCustomer, showCostPrice, onLastPu
       setLastPurchasePrice(null);
     }
     
-    // Calculate the rate based on selected price type
-    const calculatedPrice = calculatePrice(product, priceType);
+    // Start from the price the server would charge; the price type only applies without one
+    const resolved = product._id ? await fetchResolvedPrice(product, 1) : null;
+    const calculatedPrice = resolved ?? calculatePrice(product, priceType);
     
+    setResolvedRate(resolved);
     setCalculatedRate(calculatedPrice);
     setCustomRate(calculatedPrice.toString());
   };
@@ -187,7 +244,13 @@ const ProductSearch = ({ onAddProduct, selectedCustomer, showCostPrice, onLastPu
     setIsAddingToCart(true);
     try {
       // Use the rate from the input field
-      const unitPrice = parseInt(customRate) || Math.round(calculatedRate);
+      let unitPrice = parseInt(customRate) || Math.round(calculatedRate);
+      let listPrice = null;
+      if (resolvedRate !== null && unitPrice === Math.round(resolvedRate)) {
+        // Rate left at the resolved price: use the price for the actual quantity (price list breaks)
+        listPrice = quantity === 1 ? resolvedRate : await fetchResolvedPrice(selectedProduct, quantity);
+        if (listPrice !== null) unitPrice = listPrice;
+      }
       
       // Check if sale price is less than cost price (always check, regardless of showCostPrice)
       if (lastPurchasePrice !== null && unitPrice < lastPurchasePrice) {
@@ -212,7 +275,9 @@ const ProductSearch = ({ onAddProduct, selectedCustomer, showCostPrice, onLastPu
       onAddProduct({
         product: selectedProduct,
         quantity: quantity,
-        unitPrice: unitPrice
+        unitPrice: unitPrice,
+        listPrice: listPrice,
+        priceOverride: listPrice === null
       });
       
       // Reset form
@@ -220,6 +285,7 @@ const ProductSearch = ({ onAddProduct, selectedCustomer, showCostPrice, onLastPu
       setQuantity(1);
       setCustomRate('');
       setCalculatedRate(0);
+      setResolvedRate(null);
       setIsAddingProduct(false);
       
       // Clear search term and force re-render
@@ -450,6 +516,9 @@ export const Sales = ({ tabId, editData }) => {
   const [paymentMethod, setPaymentMethod] = useState('cash');
   const [selectedBankAccount, setSelectedBankAccount] = useState('');
   const [amountPaid, setAmountPaid] = useState(0);
+  const [redeemPoints, setRedeemPoints] = useState(0);
+  const [tenders, setTenders] = useState([]);
+  const [selectedWarehouse, setSelectedWarehouse] = useState('');
   const [showPaymentModal, setShowPaymentModal] = useState(false);
   const [showPrintModal, setShowPrintModal] = useState(false);
   const [currentOrder, setCurrentOrder] = useState(null);
@@ -610,6 +679,12 @@ export const Sales = ({ tabId, editData }) => {
     { isActive: true },
     { staleTime: 5 * 60_000 }
   );
+
+  const { data: warehousesData } = useGetWarehousesQuery(
+    { isActive: true, limit: 100 },
+    { staleTime: 5 * 60_000 }
+  );
+  const activeWarehouses = warehousesData?.data?.warehouses || warehousesData?.warehouses || [];
   
   const { data: customersData, isLoading: customersLoading, refetch: refetchCustomers } = useGetCustomersQuery(
     { limit: 1000 },
@@ -625,6 +700,7 @@ export const Sales = ({ tabId, editData }) => {
   
   // Sales mutations
   const [createSale, { isLoading: isCreatingSale }] = useCreateSaleMutation();
+  const { printer: receiptPrinter, printReceipt } = useReceiptPrinter();
   const [updateOrder, { isLoading: isUpdatingOrder }] = useUpdateOrderMutation();
   
   // Duplicate prevention: use BOTH ref (synchronous check) and state (button disable)
@@ -638,10 +714,33 @@ export const Sales = ({ tabId, editData }) => {
   }, []);
   
   // Extract customers array from RTK Query response
-  const customers = useMemo(() => {
+  const fetchedCustomers = useMemo(() => {
     return customersData?.data?.customers || customersData?.customers || customersData?.data || customersData || [];
   }, [customersData]);
 
+  const {
+    isOffline,
+    isSyncing,
+    pendingCount,
+    reviewSales,
+    queueOfflineSale,
+    syncQueue,
+    resolveSale,
+    discardSale,
+  } = useOfflineSales();
+  const [cachedCustomers, setCachedCustomers] = useState([]);
+  useEffect(() => {
+    if (Array.isArray(fetchedCustomers) && fetchedCustomers.length > 0) {
+      cacheRecords(STORES.customers, fetchedCustomers).catch(() => {});
+    }
+  }, [fetchedCustomers]);
+  useEffect(() => {
+    if (isOffline) {
+      getCachedRecords(STORES.customers).then(setCachedCustomers).catch(() => setCachedCustomers([]));
+    }
+  }, [isOffline]);
+  const customers = isOffline && cachedCustomers.length > 0 ? cachedCustomers : fetchedCustomers;
+
   const activeBanks = useMemo(
     () => {
       const banks = banksData?.data?.banks || banksData?.banks || [];
@@ -678,8 +777,86 @@ export const Sales = ({ tabId, editData }) => {
     // We only want to sync when the customers list updates, not when selectedCustomer changes.
   }, [customers]);
 
+  // Running promotions are evaluated live against the cart; the server applies them again at checkout
+  const [evaluatePromotions] = useEvaluatePromotionsMutation();
+  const [resolvePrice] = useLazyResolvePriceQuery();
+  const [promotionResult, setPromotionResult] = useState(null);
+  useEffect(() => {
+    if (cart.length === 0 || isOffline || editData?.isEditMode) {
+      setPromotionResult(null);
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      evaluatePromotions({
+        customer: selectedCustomer?._id,
+        items: cart.map(item => ({
+          product: item.product._id,
+          quantity: item.quantity,
+          unitPrice: item.unitPrice
+        }))
+      })
+        .unwrap()
+        .then((response) => {
+          if (!cancelled) setPromotionResult(response?.data || null);
+        })
+        .catch(() => {
+          // Promotions are a bonus at the till; the sale goes ahead without the preview
+          if (!cancelled) setPromotionResult(null);
+        });
+    }, 400);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [cart, selectedCustomer?._id, isOffline, editData?.isEditMode, evaluatePromotions]);
+
+  // Price-list prices depend on the customer and quantity; re-price the lines that still follow them
+  const listPricedLines = cart
+    .filter(item => item.priceOverride === false)
+    .map(item => `${item.product._id}:${item.quantity}`)
+    .join(',');
+  useEffect(() => {
+    const lines = cart.filter(item => item.priceOverride === false);
+    if (lines.length === 0) return undefined;
+    let cancelled = false;
+    Promise.all(lines.map(item =>
+      resolvePrice({
+        product: item.product._id,
+        quantity: item.quantity,
+        ...(selectedCustomer?._id && { customer: selectedCustomer._id })
+      })
+        .unwrap()
+        .then(response => [item.product._id, response?.data?.unitPrice])
+        .catch(() => [item.product._id, null])
+    )).then((results) => {
+      if (cancelled) return;
+      const prices = Object.fromEntries(results.filter(([, price]) => typeof price === 'number'));
+      setCart(prevCart => prevCart.map(item =>
+        item.priceOverride === false && prices[item.product._id] !== undefined
+          ? { ...item, unitPrice: prices[item.product._id], listPrice: prices[item.product._id] }
+          : item
+      ));
+    });
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    // Note: keyed on the list-priced lines, so the re-priced cart doesn't trigger another round.
+  }, [selectedCustomer?._id, listPricedLines]);
+
+  const addPromotionGift = (gift) => {
+    if (!gift.product?._id) return;
+    addToCart({
+      product: gift.product,
+      quantity: gift.quantity,
+      unitPrice: getListPrice(gift.product, selectedCustomer?.businessType)
+    });
+  };
+
   const subtotal = cart.reduce((sum, item) => sum + (item.unitPrice * item.quantity), 0);
   const codeDiscountAmount = appliedDiscounts.reduce((sum, discount) => sum + discount.amount, 0);
+  const promotionDiscountAmount = promotionResult?.totalDiscount || 0;
   
   let directDiscountAmount = 0;
   if (directDiscount.value > 0) {
@@ -690,11 +867,28 @@ export const Sales = ({ tabId, editData }) => {
     }
   }
   
-  const totalDiscountAmount = codeDiscountAmount + directDiscountAmount;
+  const totalDiscountAmount = codeDiscountAmount + directDiscountAmount + promotionDiscountAmount;
   const subtotalAfterDiscount = subtotal - totalDiscountAmount;
   const tax = isTaxExempt ? 0 : subtotalAfterDiscount * 0.08;
   const total = subtotalAfterDiscount + tax;
-  const change = amountPaid - total;
+
+  // Loyalty points tendered against the sale; the server re-quotes and enforces limits
+  const { data: loyaltyProgramData } = useGetLoyaltyProgramQuery();
+  const loyaltyProgram = loyaltyProgramData?.data;
+  const availablePoints = selectedCustomer?.loyalty?.pointsBalance || 0;
+  const canRedeemPoints = Boolean(loyaltyProgram?.isActive && selectedCustomer && availablePoints > 0);
+  const loyaltyValue = canRedeemPoints && redeemPoints > 0
+    ? Math.min(redeemPoints * (loyaltyProgram.pointValue || 0), total)
+    : 0;
+  const amountDue = total - loyaltyValue;
+  const change = amountPaid - amountDue;
+
+  // With a split payment the amount paid is whatever the tender lines settle
+  useEffect(() => {
+    if (paymentMethod === 'split') {
+      setAmountPaid(summarizeTenders(tenders, amountDue).amountPaid);
+    }
+  }, [paymentMethod, tenders, amountDue]);
 
   // Map businessType to orderType
   // businessType: ['retail', 'wholesale', 'distributor', 'individual']
@@ -709,6 +903,7 @@ export const Sales = ({ tabId, editData }) => {
 
   const handleCustomerSelect = async (customer) => {
     setSelectedCustomer(customer);
+    setRedeemPoints(0);
     
     // Reset price states when customer changes
     setOriginalPrices({});
@@ -775,7 +970,13 @@ export const Sales = ({ tabId, editData }) => {
         // Otherwise, if last prices were applied and original price exists, preserve it
         const updatedCart = prevCart.map(item =>
           item.product._id === newItem.product._id
-            ? { ...item, quantity: item.quantity + newItem.quantity, unitPrice: newItem.unitPrice }
+            ? {
+                ...item,
+                quantity: item.quantity + newItem.quantity,
+                unitPrice: newItem.unitPrice,
+                listPrice: newItem.listPrice,
+                priceOverride: newItem.priceOverride
+              }
             : item
         );
         
@@ -855,7 +1056,7 @@ export const Sales = ({ tabId, editData }) => {
     setCart(prevCart =>
       prevCart.map(cartItem =>
         cartItem.product._id === productId
-          ? { ...cartItem, unitPrice: newPrice }
+          ? { ...cartItem, unitPrice: newPrice, priceOverride: isPriceOverride(cartItem, newPrice) }
           : cartItem
       )
     );
@@ -979,7 +1180,8 @@ export const Sales = ({ tabId, editData }) => {
             priceStatusMap[productId] = 'updated';
             return {
               ...cartItem,
-              unitPrice: lastPrice
+              unitPrice: lastPrice,
+              priceOverride: isPriceOverride(cartItem, lastPrice)
             };
           } else {
             // Price is the same
@@ -1037,7 +1239,8 @@ export const Sales = ({ tabId, editData }) => {
           restoredCount++;
           return {
             ...cartItem,
-            unitPrice: originalPrices[productId]
+            unitPrice: originalPrices[productId],
+            priceOverride: isPriceOverride(cartItem, originalPrices[productId])
           };
         }
         return cartItem;
@@ -1347,6 +1550,32 @@ export const Sales = ({ tabId, editData }) => {
     }
   };
 
+  const resetSaleForm = useCallback(() => {
+    setCart([]);
+    setAmountPaid(0);
+    setRedeemPoints(0);
+    setTenders([]);
+    setAppliedDiscounts([]);
+    setDirectDiscount({ type: 'amount', value: 0 });
+    setNotes('');
+    setInvoiceNumber('');
+    setLastPurchasePrices({});
+    setOriginalPrices({});
+    setIsLastPricesApplied(false);
+    setPriceStatus({});
+  }, []);
+
+  // Save the sale on this device; it is replayed to the server on reconnect
+  const queueSaleOffline = useCallback(async (orderData) => {
+    try {
+      await queueOfflineSale(orderData);
+      toast('Offline: sale saved and will sync when the connection returns', { icon: '📥', duration: 4000 });
+      resetSaleForm();
+    } catch (error) {
+      showErrorToast({ message: 'Could not save sale offline' });
+    }
+  }, [queueOfflineSale, resetSaleForm]);
+
   const handleCreateOrder = useCallback(async (orderData) => {
     // Double-check: prevent duplicate calls even if handleCheckout guard fails
     if (isSubmittingRef.current) {
@@ -1357,6 +1586,12 @@ export const Sales = ({ tabId, editData }) => {
     // Set flag immediately before async operation
     isSubmittingRef.current = true;
     setIsSubmitting(true);
+
+    if (isOffline) {
+      await queueSaleOffline(orderData);
+      resetSubmittingState();
+      return;
+    }
     
     try {
       const result = await createSale({ payload: orderData }).unwrap();
@@ -1371,6 +1606,8 @@ export const Sales = ({ tabId, editData }) => {
       // Don't reset selectedCustomer immediately - let it update from refetched data
       // setSelectedCustomer(null);
       setAmountPaid(0);
+      setRedeemPoints(0);
+      setTenders([]);
       setAppliedDiscounts([]);
       setDirectDiscount({ type: 'amount', value: 0 });
       setNotes('');
@@ -1380,13 +1617,27 @@ export const Sales = ({ tabId, editData }) => {
       setIsLastPricesApplied(false);
       setPriceStatus({});
       
-      // Show print modal if order was created
+      // Show print modal if order was created, or send it straight to this till's receipt printer
       if (result?.order) {
-        setCurrentOrder(result.order);
-        setShowPrintModal(true);
+        if (receiptPrinter?.autoPrint) {
+          printReceipt(result.order._id).catch((printError) => {
+            handleApiError(printError, 'Receipt printer failed');
+            setCurrentOrder(result.order);
+            setShowPrintModal(true);
+          });
+        } else {
+          setCurrentOrder(result.order);
+          setShowPrintModal(true);
+        }
       }
       resetSubmittingState();
     } catch (error) {
+      // Connection dropped mid-checkout: fall back to the offline queue
+      if (!error?.status && !navigator.onLine) {
+        await queueSaleOffline(orderData);
+        resetSubmittingState();
+        return;
+      }
       // Handle duplicate request errors gracefully (409)
       if (error?.status === 409 || error?.data?.error?.code === 'DUPLICATE_REQUEST') {
         const retryAfter = error?.data?.error?.retryAfter || 1;
@@ -1407,7 +1658,7 @@ export const Sales = ({ tabId, editData }) => {
         resetSubmittingState();
       }
     }
-  }, [createSale, resetSubmittingState]);
+  }, [createSale, resetSubmittingState, isOffline, queueSaleOffline]);
 
   const handleUpdateOrder = useCallback(async (orderId, updateData) => {
     // Double-check: prevent duplicate calls even if handleCheckout guard fails
@@ -1433,6 +1684,8 @@ export const Sales = ({ tabId, editData }) => {
       // Don't reset selectedCustomer immediately - let it update from refetched data
       // setSelectedCustomer(null);
       setAmountPaid(0);
+      setRedeemPoints(0);
+      setTenders([]);
       setAppliedDiscounts([]);
       setDirectDiscount({ type: 'amount', value: 0 });
       setNotes('');
@@ -1496,7 +1749,7 @@ export const Sales = ({ tabId, editData }) => {
     if (selectedCustomer && selectedCustomer.creditLimit > 0) {
       const currentPaymentMethod = paymentMethod || 'cash';
       const currentAmountPaid = amountPaid || 0;
-      const unpaidAmount = total - currentAmountPaid;
+      const unpaidAmount = amountDue - currentAmountPaid;
       
       // For account payments or partial payments, check credit limit
       if (currentPaymentMethod === 'account' || unpaidAmount > 0) {
@@ -1540,13 +1793,21 @@ export const Sales = ({ tabId, editData }) => {
       return;
     }
 
+    if (paymentMethod === 'split' && tenders.length === 0) {
+      showErrorToast({ message: 'Add at least one tender line for a split payment' });
+      return;
+    }
+
     const orderData = {
       orderType: mapBusinessTypeToOrderType(selectedCustomer?.businessType),
       customer: selectedCustomer?._id,
       items: cart.map(item => ({
         product: item.product._id,
         quantity: item.quantity,
-        unitPrice: item.unitPrice
+        // Only a price the cashier set is sent; otherwise the server applies price lists itself
+        ...(item.priceOverride !== false && { unitPrice: item.unitPrice }),
+        // List price seen at the till; lets offline syncs detect price changes
+        cachedPrice: item.listPrice ?? getListPrice(item.product, selectedCustomer?.businessType)
       })),
       appliedDiscounts: appliedDiscounts,
       directDiscount: directDiscount,
@@ -1557,15 +1818,27 @@ export const Sales = ({ tabId, editData }) => {
       total: total,
       invoiceNumber: invoiceNumber,
       notes: notes?.trim() || '',
+      // Empty sells from the primary warehouse
+      warehouse: selectedWarehouse || undefined,
       payment: {
         method: paymentMethod,
         bankAccount: paymentMethod === 'bank' ? selectedBankAccount : null,
         amount: amountPaid,
-        remainingBalance: total - amountPaid,
-        isPartialPayment: amountPaid < total,
+        remainingBalance: amountDue - amountPaid,
+        isPartialPayment: amountPaid < amountDue,
         isAdvancePayment: isAdvancePayment,
-        advanceAmount: isAdvancePayment ? (amountPaid - total) : 0
-      }
+        advanceAmount: isAdvancePayment ? (amountPaid - amountDue) : 0,
+        ...(paymentMethod === 'split' && {
+          tenders: tenders.map(tender => ({
+            method: tender.method,
+            amount: tender.method === 'cash' ? tender.tendered : tender.amount,
+            ...(tender.method === 'cash' && { tendered: tender.tendered }),
+            ...(tender.reference && { reference: tender.reference }),
+            ...(tender.bankAccount && { bankAccount: tender.bankAccount })
+          }))
+        })
+      },
+      ...(loyaltyValue > 0 && { loyaltyRedemption: { points: redeemPoints } })
     };
     
     // Use appropriate mutation based on edit mode
@@ -1607,7 +1880,11 @@ export const Sales = ({ tabId, editData }) => {
     selectedCustomer,
     paymentMethod,
     amountPaid,
+    tenders,
     total,
+    amountDue,
+    loyaltyValue,
+    redeemPoints,
     appliedDiscounts,
     directDiscount,
     subtotal,
@@ -1674,6 +1951,16 @@ export const Sales = ({ tabId, editData }) => {
           </div>
         </div>
 
+        <OfflineSalesQueue
+          isOffline={isOffline}
+          isSyncing={isSyncing}
+          pendingCount={pendingCount}
+          reviewSales={reviewSales}
+          onSync={syncQueue}
+          onResolve={resolveSale}
+          onDiscard={discardSale}
+        />
+
         {/* Customer Selection and Information Row */}
         <div className={`flex ${isMobile ? 'flex-col space-y-4' : 'items-start space-x-4'}`}>
           {/* Customer Selection */}
@@ -1790,6 +2077,17 @@ export const Sales = ({ tabId, editData }) => {
                           <span className="text-xs text-red-600 font-bold ml-1">⚠️</span>
                         )}
                       </div>
+                      {loyaltyProgram?.isActive && (
+                        <div className="flex items-center space-x-1">
+                          <span className="text-xs text-gray-500">Points:</span>
+                          <span className="text-sm font-medium text-purple-600">
+                            {availablePoints}
+                            {selectedCustomer.customerTier && (
+                              <span className="ml-1 text-xs capitalize text-gray-500">({selectedCustomer.customerTier})</span>
+                            )}
+                          </span>
+                        </div>
+                      )}
                       <div className="flex items-center space-x-1">
                         <span className="text-xs text-gray-500">Available Credit:</span>
                         <span className={`text-sm font-medium ${
@@ -2389,6 +2687,26 @@ export const Sales = ({ tabId, editData }) => {
                     <span className="text-lg sm:text-xl font-bold text-red-600 whitespace-nowrap">-{Math.round(totalDiscountAmount)}</span>
                   </div>
                 )}
+                {promotionResult?.applied?.map((promotion) => (
+                  <div key={promotion.promotion} className="flex justify-between items-center gap-2 text-xs sm:text-sm text-green-700">
+                    <span className="break-words">
+                      {promotion.name}{promotion.applications > 1 ? ` ×${promotion.applications}` : ''}
+                    </span>
+                    <span className="whitespace-nowrap">-{Math.round(promotion.discountAmount)}</span>
+                  </div>
+                ))}
+                {promotionResult?.gifts?.map((gift) => (
+                  <div key={gift.promotion} className="flex justify-between items-center gap-2 text-xs sm:text-sm bg-green-50 border border-green-200 rounded px-2 py-1">
+                    <span className="text-green-800 break-words">
+                      {gift.name}: {gift.quantity} × {gift.product?.name || 'gift'} free
+                    </span>
+                    {gift.product?._id && (
+                      <button type="button" onClick={() => addPromotionGift(gift)} className="text-green-700 font-semibold hover:text-green-900 whitespace-nowrap">
+                        Add gift
+                      </button>
+                    )}
+                  </div>
+                ))}
                 {!isTaxExempt && (
                   <div className="flex justify-between items-center gap-2">
                     <span className="text-sm sm:text-base text-gray-800 font-semibold break-words">Tax (8%):</span>
@@ -2480,6 +2798,25 @@ export const Sales = ({ tabId, editData }) => {
                         }
                       </div>
                     )}
+                    {activeWarehouses.length > 1 && (
+                      <div className="mt-3">
+                        <label className="block text-xs font-medium text-gray-700 mb-1">
+                          Sell From Warehouse
+                        </label>
+                        <select
+                          value={selectedWarehouse}
+                          onChange={(e) => setSelectedWarehouse(e.target.value)}
+                          className="w-full px-3 py-2 border-2 border-blue-200 rounded-md bg-blue-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 font-medium text-gray-900 h-[42px]"
+                        >
+                          <option value="">Primary warehouse</option>
+                          {activeWarehouses.map((warehouse) => (
+                            <option key={warehouse._id} value={warehouse._id}>
+                              {warehouse.name} ({warehouse.code})
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
                   </div>
 
                   {/* Payment Method */}
@@ -2495,6 +2832,9 @@ export const Sales = ({ tabId, editData }) => {
                         if (method !== 'bank') {
                           setSelectedBankAccount('');
                         }
+                        if (method !== 'split') {
+                          setTenders([]);
+                        }
                       }}
                       className="w-full px-3 py-2 border-2 border-blue-200 rounded-md bg-blue-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 font-medium text-gray-900 h-[42px]"
                     >
@@ -2534,6 +2874,14 @@ export const Sales = ({ tabId, editData }) => {
                         )}
                       </div>
                     )}
+                    {paymentMethod === 'split' && (
+                      <SplitTenderLines
+                        tenders={tenders}
+                        onChange={setTenders}
+                        amountDue={amountDue}
+                        banks={activeBanks}
+                      />
+                    )}
                   </div>
 
                   {/* Amount Paid */}
@@ -2546,11 +2894,37 @@ export const Sales = ({ tabId, editData }) => {
                       step="1"
                       value={Math.round(amountPaid)}
                       onChange={(e) => setAmountPaid(parseInt(e.target.value) || 0)}
+                      readOnly={paymentMethod === 'split'}
                       onFocus={(e) => e.target.select()}
                       className="w-full px-3 py-2 border-2 border-blue-200 rounded-md bg-blue-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 font-medium text-gray-900 text-lg h-[42px]"
                       placeholder="0"
                     />
                   </div>
+
+                  {/* Redeem Loyalty Points */}
+                  {canRedeemPoints && (
+                    <div className="flex flex-col">
+                      <label className="block text-sm font-semibold text-gray-800 mb-2">
+                        Redeem Points <span className="font-normal text-gray-500">({availablePoints} available)</span>
+                      </label>
+                      <input
+                        type="number"
+                        step="1"
+                        min="0"
+                        max={availablePoints}
+                        value={redeemPoints}
+                        onChange={(e) => setRedeemPoints(Math.min(Math.max(parseInt(e.target.value) || 0, 0), availablePoints))}
+                        onFocus={(e) => e.target.select()}
+                        className="w-full px-3 py-2 border-2 border-purple-200 rounded-md bg-purple-50 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-purple-500 font-medium text-gray-900 text-lg h-[42px]"
+                        placeholder="0"
+                      />
+                      {loyaltyValue > 0 && (
+                        <p className="text-xs text-purple-700 mt-1">
+                          -{loyaltyValue.toFixed(2)} off, amount due {Math.round(amountDue)}
+                        </p>
+                      )}
+                    </div>
+                  )}
                 </div>
                 
                 {/* Clear Discount Button */}
@@ -2700,6 +3074,7 @@ export const Sales = ({ tabId, editData }) => {
         orderData={currentOrder}
         documentTitle="Sales Invoice"
         partyLabel="Customer"
+        templateDocumentType="sales_invoice"
       />
 
       {/* Export Format Selection Modal */}
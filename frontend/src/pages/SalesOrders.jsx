@@ -3782,6 +3782,7 @@ const totalProfit = useMemo(() => {
         orderData={printOrderData}
         documentTitle="Sales Order"
         partyLabel="Customer"
+        templateDocumentType="sales_order"
       />
 
       {/* Notes Panel */}
@@ -222,6 +222,8 @@ export const Settings2 = () => {
         // Inventory Operations - Granular
         { key: 'generate_purchase_orders', name: 'Generate Purchase Orders' },
         { key: 'acknowledge_inventory_alerts', name: 'Acknowledge Inventory Alerts' },
+        { key: 'approve_stock_transfers', name: 'Approve Stock Transfers' },
+        { key: 'post_stocktakes', name: 'Post Stocktakes' },
         { key: 'export_inventory_reports', name: 'Export Inventory Reports' },
         { key: 'import_inventory_data', name: 'Import Inventory Data' }
       ]
@@ -405,7 +407,9 @@ export const Settings2 = () => {
         { key: 'view_trial_balance', name: 'View Trial Balance' },
         { key: 'update_balance_sheet', name: 'Update Balance Sheet' },
         { key: 'view_chart_of_accounts', name: 'View Chart of Accounts' },
-        { key: 'view_accounting_summary', name: 'View Financial Summary' }
+        { key: 'view_accounting_summary', name: 'View Financial Summary' },
+        { key: 'file_tax_returns', name: 'File Tax Returns' },
+        { key: 'manage_exchange_rates', name: 'Manage Exchange Rates' }
       ]
     },
     attendance: {
@@ -488,11 +492,12 @@ export const Settings2 = () => {
       create_sales_invoices: true, edit_sales_invoices: true, void_sales_invoices: true,
       apply_discounts: true, override_prices: true,
       // Inventory Operations - Granular
-      generate_purchase_orders: true, acknowledge_inventory_alerts: true,
+      generate_purchase_orders: true, acknowledge_inventory_alerts: true, approve_stock_transfers: true, post_stocktakes: true,
       export_inventory_reports: true, import_inventory_data: true,
       // Accounting
       view_accounting_transactions: true, view_accounting_accounts: true, view_trial_balance: true,
       update_balance_sheet: true, view_chart_of_accounts: true, view_accounting_summary: true,
+      file_tax_returns: true, manage_exchange_rates: true,
       // Attendance
       clock_attendance: true, clock_in: true, clock_out: true, manage_attendance_breaks: true,
       view_own_attendance: true, view_team_attendance: true,
@@ -555,11 +560,12 @@ export const Settings2 = () => {
       create_sales_invoices: true, edit_sales_invoices: true, void_sales_invoices: true,
       apply_discounts: true, override_prices: true,
       // Inventory Operations - Granular
-      generate_purchase_orders: true, acknowledge_inventory_alerts: true,
+      generate_purchase_orders: true, acknowledge_inventory_alerts: true, approve_stock_transfers: true, post_stocktakes: true,
       export_inventory_reports: true, import_inventory_data: true,
       // Accounting
       view_accounting_transactions: true, view_accounting_accounts: true, view_trial_balance: true,
       update_balance_sheet: true, view_chart_of_accounts: true, view_accounting_summary: true,
+      file_tax_returns: true, manage_exchange_rates: true,
       // Attendance
       clock_attendance: true, clock_in: true, clock_out: true, manage_attendance_breaks: true,
       view_own_attendance: true, view_team_attendance: true,
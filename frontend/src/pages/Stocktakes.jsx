@@ -0,0 +1,589 @@
+import React, { useMemo, useRef, useState } from 'react';
+import {
+  ClipboardCheck,
+  Plus,
+  ScanLine,
+  RefreshCw,
+  CheckCircle,
+  XCircle,
+  ArrowLeft,
+  Send,
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import {
+  useGetStocktakesQuery,
+  useGetStocktakeQuery,
+  useCreateStocktakeMutation,
+  useRecordStocktakeCountsMutation,
+  useFinishStocktakeCountingMutation,
+  usePostStocktakeMutation,
+  useCancelStocktakeMutation,
+} from '../store/services/stocktakesApi';
+import { useGetWarehousesQuery } from '../store/services/warehousesApi';
+import { useGetCategoriesQuery } from '../store/services/categoriesApi';
+import { useAuth } from '../contexts/AuthContext';
+import BarcodeScanner from '../components/BarcodeScanner';
+import { LoadingSpinner, LoadingButton } from '../components/LoadingSpinner';
+import { handleApiError } from '../utils/errorHandler';
+import { formatCurrency } from '../utils/formatters';
+
+// The camera keeps decoding the same label while it is in view
+const SCAN_REPEAT_MS = 1500;
+
+const STATUS_STYLES = {
+  counting: 'bg-blue-100 text-blue-800',
+  recount: 'bg-yellow-100 text-yellow-800',
+  review: 'bg-purple-100 text-purple-800',
+  posted: 'bg-green-100 text-green-800',
+  cancelled: 'bg-gray-100 text-gray-800',
+};
+
+const defaultForm = {
+  name: '',
+  type: 'cycle',
+  warehouse: '',
+  categories: [],
+  bins: '',
+  abcClasses: [],
+  sheetBy: 'none',
+  blind: true,
+  recountQuantity: '',
+  recountPercent: '',
+};
+
+const StatusBadge = ({ status }) => (
+  <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[status] || ''}`}>
+    {status}
+  </span>
+);
+
+const NewStocktakeForm = ({ onCreated, onCancel }) => {
+  const [form, setForm] = useState(defaultForm);
+  const { data: warehousesData } = useGetWarehousesQuery({ isActive: true, limit: 100 });
+  const { data: categoriesRaw } = useGetCategoriesQuery(undefined);
+  const [createStocktake, { isLoading }] = useCreateStocktakeMutation();
+
+  const warehouses = warehousesData?.data?.warehouses || warehousesData?.warehouses || [];
+  const categories = useMemo(() => {
+    if (Array.isArray(categoriesRaw)) return categoriesRaw;
+    return categoriesRaw?.data?.categories || categoriesRaw?.categories || [];
+  }, [categoriesRaw]);
+
+  const toggle = (field, value) => {
+    setForm((prev) => ({
+      ...prev,
+      [field]: prev[field].includes(value)
+        ? prev[field].filter((entry) => entry !== value)
+        : [...prev[field], value],
+    }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const payload = {
+      name: form.name.trim() || undefined,
+      type: form.type,
+      warehouse: form.warehouse || undefined,
+      sheetBy: form.sheetBy,
+      blind: form.blind,
+      recountThreshold: {
+        quantity: Number(form.recountQuantity) || 0,
+        percent: Number(form.recountPercent) || 0,
+      },
+    };
+    if (form.type === 'cycle') {
+      payload.scope = {
+        categories: form.categories,
+        bins: form.bins.split(',').map((bin) => bin.trim()).filter(Boolean),
+        abcClasses: form.abcClasses,
+      };
+    }
+    try {
+      const response = await createStocktake(payload).unwrap();
+      const stocktake = response?.data || response;
+      toast.success(`${stocktake.stocktakeNumber} started with ${stocktake.items?.length || 0} item(s)`);
+      onCreated(stocktake._id);
+    } catch (error) {
+      handleApiError(error, 'Failed to start stocktake');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="card p-6 space-y-4">
+      <h2 className="text-lg font-semibold text-gray-900">New Stocktake</h2>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+          <input
+            className="input"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="e.g. Aisle 3 weekly count"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Warehouse</label>
+          <select
+            className="input"
+            value={form.warehouse}
+            onChange={(e) => setForm({ ...form, warehouse: e.target.value })}
+          >
+            <option value="">Primary warehouse</option>
+            {warehouses.map((warehouse) => (
+              <option key={warehouse._id} value={warehouse._id}>
+                {warehouse.name} ({warehouse.code})
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+          <select
+            className="input"
+            value={form.type}
+            onChange={(e) => setForm({ ...form, type: e.target.value })}
+          >
+            <option value="cycle">Cycle count</option>
+            <option value="full">Full stocktake</option>
+          </select>
+        </div>
+      </div>
+
+      {form.type === 'cycle' && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Categories</label>
+            <div className="max-h-32 overflow-y-auto border rounded p-2 space-y-1">
+              {categories.map((category) => (
+                <label key={category._id} className="flex items-center text-sm">
+                  <input
+                    type="checkbox"
+                    className="mr-2"
+                    checked={form.categories.includes(category._id)}
+                    onChange={() => toggle('categories', category._id)}
+                  />
+                  {category.name}
+                </label>
+              ))}
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Bins</label>
+            <input
+              className="input"
+              value={form.bins}
+              onChange={(e) => setForm({ ...form, bins: e.target.value })}
+              placeholder="A1, A2, B1"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">ABC Class</label>
+            <div className="flex space-x-4 pt-2">
+              {['A', 'B', 'C'].map((abcClass) => (
+                <label key={abcClass} className="flex items-center text-sm">
+                  <input
+                    type="checkbox"
+                    className="mr-1"
+                    checked={form.abcClasses.includes(abcClass)}
+                    onChange={() => toggle('abcClasses', abcClass)}
+                  />
+                  {abcClass}
+                </label>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Count Sheets By</label>
+          <select
+            className="input"
+            value={form.sheetBy}
+            onChange={(e) => setForm({ ...form, sheetBy: e.target.value })}
+          >
+            <option value="none">Single sheet</option>
+            <option value="category">Category</option>
+            <option value="location">Location (bin)</option>
+            <option value="abc">ABC class</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Recount If Off By (units)</label>
+          <input
+            type="number"
+            min="0"
+            className="input"
+            value={form.recountQuantity}
+            onChange={(e) => setForm({ ...form, recountQuantity: e.target.value })}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Recount If Off By (%)</label>
+          <input
+            type="number"
+            min="0"
+            className="input"
+            value={form.recountPercent}
+            onChange={(e) => setForm({ ...form, recountPercent: e.target.value })}
+          />
+        </div>
+        <label className="flex items-center text-sm pt-6">
+          <input
+            type="checkbox"
+            className="mr-2"
+            checked={form.blind}
+            onChange={(e) => setForm({ ...form, blind: e.target.checked })}
+          />
+          Blind count (hide system quantities)
+        </label>
+      </div>
+
+      <div className="flex justify-end space-x-3">
+        <button type="button" onClick={onCancel} className="btn btn-secondary">
+          Cancel
+        </button>
+        <LoadingButton type="submit" isLoading={isLoading} className="btn btn-primary">
+          Freeze Quantities & Start
+        </LoadingButton>
+      </div>
+    </form>
+  );
+};
+
+const StocktakeDetail = ({ id, onBack }) => {
+  const { hasPermission } = useAuth();
+  const canPost = hasPermission('post_stocktakes');
+  const [sheet, setSheet] = useState('');
+  const [showScanner, setShowScanner] = useState(false);
+  const [entries, setEntries] = useState({});
+  const lastScanRef = useRef({ code: null, at: 0 });
+
+  const { data, isLoading, refetch } = useGetStocktakeQuery({ id, sheet: sheet || undefined });
+  const [recordCounts] = useRecordStocktakeCountsMutation();
+  const [finishCounting, { isLoading: finishing }] = useFinishStocktakeCountingMutation();
+  const [postStocktake, { isLoading: posting }] = usePostStocktakeMutation();
+  const [cancelStocktake] = useCancelStocktakeMutation();
+
+  const stocktake = data?.data || data;
+  if (isLoading || !stocktake) {
+    return <LoadingSpinner />;
+  }
+
+  const isCounting = ['counting', 'recount'].includes(stocktake.status);
+  const showSystem = stocktake.items.some((item) => item.systemQuantity !== undefined);
+
+  const submitCounts = async (counts, mode) => {
+    try {
+      await recordCounts({ id, mode, counts }).unwrap();
+      return true;
+    } catch (error) {
+      handleApiError(error, 'Failed to record count');
+      return false;
+    }
+  };
+
+  const handleScan = async (code) => {
+    const now = Date.now();
+    if (lastScanRef.current.code === code && now - lastScanRef.current.at < SCAN_REPEAT_MS) {
+      return;
+    }
+    lastScanRef.current = { code, at: now };
+    if (await submitCounts([{ code, quantity: 1 }], 'add')) {
+      toast.success(`Counted ${code}`, { duration: 800 });
+    }
+  };
+
+  const handleSaveEntries = async () => {
+    const counts = Object.entries(entries)
+      .filter(([, value]) => value !== '')
+      .map(([itemId, value]) => {
+        const item = stocktake.items.find((entry) => entry._id === itemId);
+        return { product: item.product, bin: item.bin, quantity: Number(value) };
+      });
+    if (counts.length === 0) return;
+    if (await submitCounts(counts, 'set')) {
+      setEntries({});
+      toast.success(`Saved ${counts.length} count(s)`);
+    }
+  };
+
+  const runAction = async (action, message) => {
+    try {
+      await action().unwrap();
+      toast.success(message);
+    } catch (error) {
+      handleApiError(error, 'Action failed');
+    }
+  };
+
+  const handleFinish = () => {
+    const pending = stocktake.progress.items - stocktake.progress.counted;
+    const uncountedAsZero = pending > 0 &&
+      window.confirm(`${pending} item(s) have not been counted. Treat them as not found (zero)?`);
+    if (pending > 0 && !uncountedAsZero) return;
+    runAction(() => finishCounting({ id, uncountedAsZero }), 'Counting closed');
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div className="flex items-center space-x-3">
+          <button onClick={onBack} className="btn btn-secondary">
+            <ArrowLeft className="h-4 w-4" />
+          </button>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">
+              {stocktake.stocktakeNumber} {stocktake.name && `· ${stocktake.name}`}
+            </h1>
+            <p className="text-gray-600 text-sm">
+              Snapshot {new Date(stocktake.snapshotAt).toLocaleString()} ·{' '}
+              {stocktake.progress.counted}/{stocktake.progress.items} counted
+              {stocktake.progress.recount > 0 && ` · ${stocktake.progress.recount} to recount`}
+            </p>
+          </div>
+          <StatusBadge status={stocktake.status} />
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <button onClick={() => refetch()} className="btn btn-secondary flex items-center">
+            <RefreshCw className="h-4 w-4 mr-2" /> Refresh
+          </button>
+          {isCounting && (
+            <button onClick={() => setShowScanner(true)} className="btn btn-primary flex items-center">
+              <ScanLine className="h-4 w-4 mr-2" /> Scan to Count
+            </button>
+          )}
+          {isCounting && canPost && (
+            <LoadingButton onClick={handleFinish} isLoading={finishing} className="btn btn-secondary">
+              <CheckCircle className="h-4 w-4 mr-2" /> Finish Counting
+            </LoadingButton>
+          )}
+          {stocktake.status === 'review' && canPost && (
+            <LoadingButton
+              onClick={() => runAction(() => postStocktake(id), 'Variances posted')}
+              isLoading={posting}
+              className="btn btn-primary"
+            >
+              <Send className="h-4 w-4 mr-2" /> Post Variances
+            </LoadingButton>
+          )}
+          {['counting', 'recount', 'review'].includes(stocktake.status) && canPost && (
+            <button
+              onClick={() => window.confirm('Cancel this stocktake?') &&
+                runAction(() => cancelStocktake(id), 'Stocktake cancelled')}
+              className="btn btn-danger flex items-center"
+            >
+              <XCircle className="h-4 w-4 mr-2" /> Cancel
+            </button>
+          )}
+        </div>
+      </div>
+
+      {stocktake.totals && ['review', 'posted'].includes(stocktake.status) && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <div className="card p-4">
+            <p className="text-sm text-gray-500">Units Found</p>
+            <p className="text-xl font-semibold text-green-600">+{stocktake.totals.gainQuantity}</p>
+          </div>
+          <div className="card p-4">
+            <p className="text-sm text-gray-500">Units Missing</p>
+            <p className="text-xl font-semibold text-red-600">-{stocktake.totals.lossQuantity}</p>
+          </div>
+          <div className="card p-4">
+            <p className="text-sm text-gray-500">Gain Value</p>
+            <p className="text-xl font-semibold">{formatCurrency(stocktake.totals.gainValue)}</p>
+          </div>
+          <div className="card p-4">
+            <p className="text-sm text-gray-500">Shrinkage Value</p>
+            <p className="text-xl font-semibold">{formatCurrency(stocktake.totals.lossValue)}</p>
+          </div>
+        </div>
+      )}
+
+      {stocktake.sheets.length > 1 && (
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={() => setSheet('')}
+            className={`btn ${sheet === '' ? 'btn-primary' : 'btn-secondary'}`}
+          >
+            All sheets
+          </button>
+          {stocktake.sheets.map((entry) => (
+            <button
+              key={entry.name}
+              onClick={() => setSheet(entry.name)}
+              className={`btn ${sheet === entry.name ? 'btn-primary' : 'btn-secondary'}`}
+            >
+              {entry.name} ({entry.counted}/{entry.items})
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="card overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Bin</th>
+              {showSystem && (
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">System</th>
+              )}
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Counted</th>
+              {showSystem && (
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Variance</th>
+              )}
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {stocktake.items.map((item) => {
+              const editable = stocktake.status === 'counting' ||
+                (stocktake.status === 'recount' && item.status === 'recount');
+              return (
+                <tr key={item._id} className={item.status === 'recount' ? 'bg-yellow-50' : ''}>
+                  <td className="px-4 py-2 text-sm">
+                    <div className="font-medium text-gray-900">{item.productName}</div>
+                    <div className="text-xs text-gray-500">{item.productSku || item.barcode}</div>
+                  </td>
+                  <td className="px-4 py-2 text-sm font-mono">{item.bin || '—'}</td>
+                  {showSystem && <td className="px-4 py-2 text-sm text-right">{item.systemQuantity}</td>}
+                  <td className="px-4 py-2 text-sm text-right">
+                    {editable ? (
+                      <input
+                        type="number"
+                        min="0"
+                        className="input w-24 text-right"
+                        placeholder={item.countedQuantity ?? ''}
+                        value={entries[item._id] ?? ''}
+                        onChange={(e) => setEntries({ ...entries, [item._id]: e.target.value })}
+                      />
+                    ) : (
+                      item.countedQuantity ?? '—'
+                    )}
+                  </td>
+                  {showSystem && (
+                    <td className={`px-4 py-2 text-sm text-right ${item.variance < 0 ? 'text-red-600' : item.variance > 0 ? 'text-green-600' : ''}`}>
+                      {item.status === 'pending' ? '—' : item.variance}
+                    </td>
+                  )}
+                  <td className="px-4 py-2 text-sm capitalize">{item.status}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {isCounting && Object.keys(entries).length > 0 && (
+        <div className="flex justify-end">
+          <button onClick={handleSaveEntries} className="btn btn-primary">
+            Save Counts
+          </button>
+        </div>
+      )}
+
+      <BarcodeScanner
+        isOpen={showScanner}
+        onClose={() => setShowScanner(false)}
+        onScan={handleScan}
+        scanMode="both"
+      />
+    </div>
+  );
+};
+
+const Stocktakes = () => {
+  const { hasPermission } = useAuth();
+  const [statusFilter, setStatusFilter] = useState('');
+  const [showForm, setShowForm] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+
+  const { data, isLoading } = useGetStocktakesQuery(statusFilter ? { status: statusFilter } : {});
+  const stocktakes = data?.data?.stocktakes || data?.stocktakes || [];
+
+  if (selectedId) {
+    return <StocktakeDetail id={selectedId} onBack={() => setSelectedId(null)} />;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-4 sm:space-y-0">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Stocktakes</h1>
+          <p className="text-gray-600">Cycle counts and full stocktakes with blind counting</p>
+        </div>
+        <div className="flex items-center space-x-3">
+          <select
+            className="input"
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+          >
+            <option value="">All statuses</option>
+            {Object.keys(STATUS_STYLES).map((status) => (
+              <option key={status} value={status} className="capitalize">{status}</option>
+            ))}
+          </select>
+          {hasPermission('post_stocktakes') && !showForm && (
+            <button onClick={() => setShowForm(true)} className="btn btn-primary flex items-center">
+              <Plus className="h-4 w-4 mr-2" /> New Stocktake
+            </button>
+          )}
+        </div>
+      </div>
+
+      {showForm && (
+        <NewStocktakeForm
+          onCancel={() => setShowForm(false)}
+          onCreated={(id) => {
+            setShowForm(false);
+            setSelectedId(id);
+          }}
+        />
+      )}
+
+      {isLoading ? (
+        <LoadingSpinner />
+      ) : stocktakes.length === 0 ? (
+        <div className="card p-12 text-center text-gray-500">
+          <ClipboardCheck className="h-12 w-12 mx-auto mb-3 text-gray-300" />
+          No stocktakes yet
+        </div>
+      ) : (
+        <div className="card overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Number</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Warehouse</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Started</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {stocktakes.map((stocktake) => (
+                <tr
+                  key={stocktake._id}
+                  onClick={() => setSelectedId(stocktake._id)}
+                  className="hover:bg-gray-50 cursor-pointer"
+                >
+                  <td className="px-4 py-2 text-sm font-mono">{stocktake.stocktakeNumber}</td>
+                  <td className="px-4 py-2 text-sm">{stocktake.name || '—'}</td>
+                  <td className="px-4 py-2 text-sm">{stocktake.warehouse?.name}</td>
+                  <td className="px-4 py-2 text-sm capitalize">{stocktake.type}</td>
+                  <td className="px-4 py-2 text-sm">{new Date(stocktake.snapshotAt).toLocaleDateString()}</td>
+                  <td className="px-4 py-2 text-sm"><StatusBadge status={stocktake.status} /></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Stocktakes;
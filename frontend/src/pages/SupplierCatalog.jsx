@@ -0,0 +1,417 @@
+import React, { useState } from 'react';
+import { BookOpen, Plus, Pencil, Trash2, Star, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import {
+  useGetSupplierCatalogQuery,
+  useGetSupplierPerformanceQuery,
+  useCreateSupplierCatalogEntryMutation,
+  useUpdateSupplierCatalogEntryMutation,
+  useDeleteSupplierCatalogEntryMutation,
+} from '../store/services/supplierCatalogApi';
+import { useGetSuppliersQuery } from '../store/services/suppliersApi';
+import { useGetProductsQuery } from '../store/services/productsApi';
+import { useAuth } from '../contexts/AuthContext';
+import { LoadingSpinner, LoadingButton } from '../components/LoadingSpinner';
+import { handleApiError } from '../utils/errorHandler';
+import { formatCurrency } from '../utils/formatters';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateInput = (date) => (date ? new Date(date).toISOString().split('T')[0] : '');
+
+const formatRate = (rate) => (rate === null || rate === undefined ? '—' : `${(rate * 100).toFixed(1)}%`);
+
+const rateStyle = (rate) => {
+  if (rate === null || rate === undefined) return 'text-gray-500';
+  if (rate >= 0.95) return 'text-green-600';
+  if (rate >= 0.8) return 'text-yellow-600';
+  return 'text-red-600';
+};
+
+const emptyForm = (supplier = '') => ({
+  supplier,
+  product: null,
+  supplierSku: '',
+  packSize: 1,
+  moq: 1,
+  price: '',
+  validFrom: toDateInput(new Date()),
+  validUntil: '',
+  leadTimeDays: '',
+  isPreferred: false,
+  isActive: true,
+  notes: '',
+});
+
+const EntryEditor = ({ entry, suppliers, defaultSupplier, onClose }) => {
+  const [form, setForm] = useState(() => (entry
+    ? {
+      ...emptyForm(),
+      ...entry,
+      supplier: entry.supplier?._id,
+      validFrom: toDateInput(entry.validFrom),
+      validUntil: toDateInput(entry.validUntil),
+      leadTimeDays: entry.leadTimeDays ?? '',
+    }
+    : emptyForm(defaultSupplier)));
+  const [productSearch, setProductSearch] = useState('');
+  const { data: productsData } = useGetProductsQuery(
+    { search: productSearch, limit: 20 },
+    { skip: productSearch.length === 0 }
+  );
+  const products = productsData?.data?.products || productsData?.products || [];
+
+  const [createEntry, { isLoading: isCreating }] = useCreateSupplierCatalogEntryMutation();
+  const [updateEntry, { isLoading: isUpdating }] = useUpdateSupplierCatalogEntryMutation();
+
+  const setField = (field, value) => setForm((current) => ({ ...current, [field]: value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.product) {
+      toast.error('Choose a product');
+      return;
+    }
+    const payload = {
+      supplierSku: form.supplierSku,
+      packSize: Number(form.packSize) || 1,
+      moq: Number(form.moq) || 1,
+      price: Number(form.price) || 0,
+      validFrom: form.validFrom,
+      validUntil: form.validUntil || null,
+      leadTimeDays: form.leadTimeDays === '' ? null : Number(form.leadTimeDays),
+      isPreferred: form.isPreferred,
+      isActive: form.isActive,
+      notes: form.notes,
+    };
+
+    try {
+      if (entry) {
+        await updateEntry({ id: entry._id, ...payload }).unwrap();
+        toast.success('Catalog item saved');
+      } else {
+        await createEntry({ ...payload, supplier: form.supplier, product: form.product._id }).unwrap();
+        toast.success('Catalog item added');
+      }
+      onClose();
+    } catch (error) {
+      handleApiError(error, 'Failed to save catalog item');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="card p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="font-semibold text-gray-900">{entry ? 'Edit catalog item' : 'Add catalog item'}</h2>
+        <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600">
+          <X className="h-5 w-5" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Supplier</label>
+          <select className="input" required disabled={!!entry} value={form.supplier} onChange={(e) => setField('supplier', e.target.value)}>
+            <option value="">Choose supplier</option>
+            {suppliers.map((supplier) => (
+              <option key={supplier._id} value={supplier._id}>{supplier.companyName || supplier.name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="md:col-span-2 relative">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Product</label>
+          {form.product ? (
+            <div className="input flex items-center justify-between">
+              <span>{form.product.name}{form.product.sku ? ` (${form.product.sku})` : ''}</span>
+              {!entry && (
+                <button type="button" onClick={() => setField('product', null)} className="text-gray-400 hover:text-red-600">
+                  <X className="h-4 w-4" />
+                </button>
+              )}
+            </div>
+          ) : (
+            <>
+              <input className="input" placeholder="Search products" value={productSearch} onChange={(e) => setProductSearch(e.target.value)} />
+              {products.length > 0 && (
+                <div className="absolute z-10 mt-1 w-full bg-white border rounded shadow max-h-48 overflow-y-auto">
+                  {products.map((product) => (
+                    <button
+                      key={product._id}
+                      type="button"
+                      onClick={() => { setField('product', product); setProductSearch(''); }}
+                      className="block w-full text-left px-3 py-2 text-sm hover:bg-gray-50"
+                    >
+                      {product.name} {product.sku && <span className="text-gray-500">({product.sku})</span>}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Supplier SKU</label>
+          <input className="input" maxLength={50} value={form.supplierSku} onChange={(e) => setField('supplierSku', e.target.value)} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Unit price</label>
+          <input type="number" min="0" step="0.01" className="input" required value={form.price} onChange={(e) => setField('price', e.target.value)} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Pack size</label>
+          <input type="number" min="1" className="input" value={form.packSize} onChange={(e) => setField('packSize', e.target.value)} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Minimum order (units)</label>
+          <input type="number" min="1" className="input" value={form.moq} onChange={(e) => setField('moq', e.target.value)} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Quoted lead time (days)</label>
+          <input type="number" min="0" max="365" className="input" value={form.leadTimeDays} onChange={(e) => setField('leadTimeDays', e.target.value)} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Price valid from</label>
+          <input type="date" className="input" value={form.validFrom} onChange={(e) => setField('validFrom', e.target.value)} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Price valid until</label>
+          <input type="date" className="input" value={form.validUntil} onChange={(e) => setField('validUntil', e.target.value)} />
+        </div>
+        <div className="md:col-span-2">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+          <input className="input" maxLength={500} value={form.notes} onChange={(e) => setField('notes', e.target.value)} />
+        </div>
+      </div>
+
+      <div className="flex items-center justify-between">
+        <div className="flex space-x-6">
+          <label className="flex items-center text-sm">
+            <input type="checkbox" className="mr-2" checked={form.isPreferred} onChange={(e) => setField('isPreferred', e.target.checked)} />
+            Preferred supplier for this product
+          </label>
+          <label className="flex items-center text-sm">
+            <input type="checkbox" className="mr-2" checked={form.isActive} onChange={(e) => setField('isActive', e.target.checked)} />
+            Active
+          </label>
+        </div>
+        <LoadingButton type="submit" isLoading={isCreating || isUpdating} className="btn btn-primary">
+          Save
+        </LoadingButton>
+      </div>
+    </form>
+  );
+};
+
+const CatalogTab = ({ suppliers, canEdit }) => {
+  const [supplier, setSupplier] = useState('');
+  const [editing, setEditing] = useState(null);
+  const { data, isLoading } = useGetSupplierCatalogQuery({ limit: 200, ...(supplier ? { supplier } : {}) });
+  const items = data?.data?.items || [];
+  const [deleteEntry] = useDeleteSupplierCatalogEntryMutation();
+
+  const handleDelete = async (item) => {
+    if (!window.confirm(`Remove ${item.product?.name} from ${item.supplier?.companyName}'s catalog?`)) return;
+    try {
+      await deleteEntry(item._id).unwrap();
+      toast.success('Catalog item removed');
+    } catch (error) {
+      handleApiError(error, 'Failed to remove catalog item');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <select className="input w-64" value={supplier} onChange={(e) => setSupplier(e.target.value)}>
+          <option value="">All suppliers</option>
+          {suppliers.map((s) => (
+            <option key={s._id} value={s._id}>{s.companyName || s.name}</option>
+          ))}
+        </select>
+        {canEdit && !editing && (
+          <button type="button" onClick={() => setEditing('new')} className="btn btn-primary flex items-center">
+            <Plus className="h-4 w-4 mr-2" /> Add Item
+          </button>
+        )}
+      </div>
+
+      {editing && (
+        <EntryEditor
+          key={editing === 'new' ? 'new' : editing._id}
+          entry={editing === 'new' ? null : editing}
+          suppliers={suppliers}
+          defaultSupplier={supplier}
+          onClose={() => setEditing(null)}
+        />
+      )}
+
+      {isLoading ? (
+        <LoadingSpinner />
+      ) : items.length === 0 ? (
+        <div className="card p-12 text-center text-gray-500">
+          <BookOpen className="h-12 w-12 mx-auto mb-3 text-gray-300" />
+          No catalog items yet. Auto purchase orders fall back to purchase history until suppliers are cataloged.
+        </div>
+      ) : (
+        <div className="card overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Supplier</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Price</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Valid</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Pack / MOQ</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Quoted Lead</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Actual Lead</th>
+                <th className="px-4 py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {items.map((item) => {
+                const expired = item.validUntil && new Date(item.validUntil).getTime() + DAY_MS < Date.now();
+                const measured = item.measuredLeadTime || {};
+                return (
+                  <tr key={item._id} className={item.isActive ? '' : 'opacity-50'}>
+                    <td className="px-4 py-2 text-sm">
+                      <div className="flex items-center">
+                        {item.isPreferred && <Star className="h-4 w-4 mr-1 text-yellow-500" title="Preferred" />}
+                        {item.product?.name}
+                      </div>
+                      <div className="text-xs text-gray-500">
+                        {item.product?.sku}{item.supplierSku && ` · supplier SKU ${item.supplierSku}`}
+                      </div>
+                    </td>
+                    <td className="px-4 py-2 text-sm">{item.supplier?.companyName}</td>
+                    <td className="px-4 py-2 text-sm text-right">{formatCurrency(item.price)}</td>
+                    <td className={`px-4 py-2 text-sm ${expired ? 'text-red-600' : ''}`}>
+                      {new Date(item.validFrom).toLocaleDateString()}
+                      {' – '}
+                      {item.validUntil ? new Date(item.validUntil).toLocaleDateString() : 'open'}
+                    </td>
+                    <td className="px-4 py-2 text-sm text-right">{item.packSize} / {item.moq}</td>
+                    <td className="px-4 py-2 text-sm text-right">
+                      {item.leadTimeDays ?? item.supplier?.leadTime ?? '—'} d
+                    </td>
+                    <td className="px-4 py-2 text-sm text-right">
+                      {measured.observations > 0 ? (
+                        <span title={`${measured.observations} receipts`}>
+                          {measured.average} ± {measured.stdDev} d
+                        </span>
+                      ) : '—'}
+                    </td>
+                    <td className="px-4 py-2 text-sm text-right whitespace-nowrap">
+                      {canEdit && (
+                        <>
+                          <button type="button" onClick={() => setEditing(item)} className="text-gray-400 hover:text-blue-600 mr-2">
+                            <Pencil className="h-4 w-4" />
+                          </button>
+                          <button type="button" onClick={() => handleDelete(item)} className="text-gray-400 hover:text-red-600">
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const PerformanceTab = () => {
+  const [startDate, setStartDate] = useState(toDateInput(new Date(Date.now() - 90 * DAY_MS)));
+  const [endDate, setEndDate] = useState(toDateInput(new Date()));
+  const { data, isLoading } = useGetSupplierPerformanceQuery({ startDate, endDate });
+  const rows = [...(data?.data || [])].sort((a, b) => b.totalValue - a.totalValue);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center space-x-3">
+        <input type="date" className="input w-44" value={startDate} onChange={(e) => setStartDate(e.target.value)} />
+        <span className="text-gray-500">to</span>
+        <input type="date" className="input w-44" value={endDate} onChange={(e) => setEndDate(e.target.value)} />
+      </div>
+
+      {isLoading ? (
+        <LoadingSpinner />
+      ) : rows.length === 0 ? (
+        <div className="card p-12 text-center text-gray-500">No purchase orders placed in this period.</div>
+      ) : (
+        <div className="card overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Supplier</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Orders</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Value</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">On Time</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Fill Rate</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Avg Lead Time</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {rows.map((row) => (
+                <tr key={row.supplier._id}>
+                  <td className="px-4 py-2 text-sm">{row.supplier.companyName}</td>
+                  <td className="px-4 py-2 text-sm text-right">{row.orders}</td>
+                  <td className="px-4 py-2 text-sm text-right">{formatCurrency(row.totalValue)}</td>
+                  <td className={`px-4 py-2 text-sm text-right ${rateStyle(row.onTimeRate)}`}>
+                    {formatRate(row.onTimeRate)}
+                    <div className="text-xs text-gray-500">{row.onTimeDeliveries} of {row.deliveries} receipts</div>
+                  </td>
+                  <td className={`px-4 py-2 text-sm text-right ${rateStyle(row.fillRate)}`}>
+                    {formatRate(row.fillRate)}
+                    <div className="text-xs text-gray-500">{row.receivedQuantity} of {row.orderedQuantity} units</div>
+                  </td>
+                  <td className="px-4 py-2 text-sm text-right">
+                    {row.averageLeadTime === null ? '—' : `${row.averageLeadTime} d`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const SupplierCatalog = () => {
+  const { hasPermission } = useAuth();
+  const [tab, setTab] = useState('catalog');
+  const { data: suppliersData } = useGetSuppliersQuery({ limit: 100 });
+  const suppliers = suppliersData?.data?.suppliers || suppliersData?.suppliers || [];
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Supplier Catalog</h1>
+        <p className="text-gray-600">Supplier prices, pack sizes and lead times used to choose suppliers on auto purchase orders</p>
+      </div>
+
+      <div className="border-b border-gray-200 flex space-x-6">
+        {[['catalog', 'Catalog'], ['performance', 'Performance']].map(([value, label]) => (
+          <button
+            key={value}
+            type="button"
+            onClick={() => setTab(value)}
+            className={`pb-2 text-sm font-medium border-b-2 ${tab === value ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700'}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {tab === 'catalog'
+        ? <CatalogTab suppliers={suppliers} canEdit={hasPermission('edit_suppliers')} />
+        : <PerformanceTab />}
+    </div>
+  );
+};
+
+export default SupplierCatalog;
@@ -0,0 +1,408 @@
+import React, { useState } from 'react';
+import { FileSpreadsheet, Download, RefreshCw, ArrowLeft, Lock, Save } from 'lucide-react';
+import toast from 'react-hot-toast';
+import {
+  useGetTaxReturnReportQuery,
+  useGetTaxReturnsQuery,
+  useGetTaxReturnQuery,
+  useCreateTaxReturnMutation,
+  useRecalculateTaxReturnMutation,
+  useFileTaxReturnMutation,
+  useExportTaxReturnMutation,
+} from '../store/services/taxReturnsApi';
+import { useAuth } from '../contexts/AuthContext';
+import { LoadingSpinner, LoadingButton } from '../components/LoadingSpinner';
+import { handleApiError } from '../utils/errorHandler';
+import { formatCurrency } from '../utils/formatters';
+
+const BOX_LABELS = {
+  sales: 'Sales',
+  sales_returns: 'Sales returns',
+  purchases: 'Purchases',
+  purchase_returns: 'Purchase returns',
+};
+
+const toInputDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Previous calendar month, the most common filing period
+const defaultPeriod = () => {
+  const now = new Date();
+  return {
+    startDate: toInputDate(new Date(now.getFullYear(), now.getMonth() - 1, 1, 12)),
+    endDate: toInputDate(new Date(now.getFullYear(), now.getMonth(), 0, 12)),
+  };
+};
+
+const ExportButtons = ({ params, label }) => {
+  const [exportTaxReturn, { isLoading }] = useExportTaxReturnMutation();
+
+  const handleExport = async (format) => {
+    try {
+      const result = await exportTaxReturn({ ...params, format }).unwrap();
+      const blob = result instanceof Blob ? result : new Blob([result]);
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `tax-return-${label}.${format}`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      handleApiError(error, 'Export tax return');
+    }
+  };
+
+  return (
+    <div className="flex space-x-2">
+      {['csv', 'xlsx', 'pdf'].map((format) => (
+        <button
+          key={format}
+          onClick={() => handleExport(format)}
+          disabled={isLoading}
+          className="btn btn-secondary btn-sm flex items-center uppercase"
+        >
+          <Download className="h-4 w-4 mr-1" />
+          {format}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+const ReportView = ({ report }) => {
+  const [openBox, setOpenBox] = useState(null);
+  const boxes = report.boxes || {};
+  const differences = (report.reconciliation || []).filter((row) => Math.abs(row.difference) >= 0.01);
+
+  const summary = [
+    ['Output tax on sales', boxes.outputTax],
+    ['Output tax refunded on returns', -(boxes.outputTaxReturns || 0)],
+    ['Input tax on purchases', -(boxes.inputTax || 0)],
+    ['Input tax reversed on purchase returns', boxes.inputTaxReturns],
+    ['Tax withheld from suppliers', boxes.withholdingPayable],
+    ['Tax withheld by customers', -(boxes.withholdingCredit || 0)],
+  ];
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="card p-4">
+          <p className="text-sm text-gray-500">Taxable sales</p>
+          <p className="text-xl font-semibold">{formatCurrency(boxes.taxableSales || 0)}</p>
+        </div>
+        <div className="card p-4">
+          <p className="text-sm text-gray-500">Taxable purchases</p>
+          <p className="text-xl font-semibold">{formatCurrency(boxes.taxablePurchases || 0)}</p>
+        </div>
+        <div className="card p-4">
+          <p className="text-sm text-gray-500">{boxes.netPayable < 0 ? 'Net tax reclaimable' : 'Net tax payable'}</p>
+          <p className={`text-xl font-semibold ${boxes.netPayable < 0 ? 'text-green-600' : 'text-red-600'}`}>
+            {formatCurrency(Math.abs(boxes.netPayable || 0))}
+          </p>
+        </div>
+      </div>
+
+      <div className="card p-4">
+        <h3 className="font-semibold mb-2">Return boxes</h3>
+        <table className="min-w-full text-sm">
+          <tbody className="divide-y divide-gray-100">
+            {summary.map(([label, amount]) => (
+              <tr key={label}>
+                <td className="py-1">{label}</td>
+                <td className="py-1 text-right">{formatCurrency(amount || 0)}</td>
+              </tr>
+            ))}
+            <tr className="font-semibold">
+              <td className="py-1">Net tax payable</td>
+              <td className="py-1 text-right">{formatCurrency(boxes.netPayable || 0)}</td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+
+      <div className="card overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Tax code</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Account</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Sales</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Sales returns</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Purchases</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Purchase returns</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Net</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {(report.lines || []).length === 0 && (
+              <tr>
+                <td colSpan={7} className="px-4 py-6 text-center text-sm text-gray-500">No taxed documents in this period.</td>
+              </tr>
+            )}
+            {(report.lines || []).map((line) => (
+              <tr key={`${line.code}-${line.account}-${line.withholding}`}>
+                <td className="px-4 py-2 text-sm">
+                  <span className="font-mono">{line.code}</span> {line.name}
+                  {line.withholding && <span className="ml-1 text-xs text-gray-500">(withholding)</span>}
+                  {!line.recoverable && <span className="ml-1 text-xs text-gray-500">(non-recoverable)</span>}
+                </td>
+                <td className="px-4 py-2 text-sm font-mono">{line.account}</td>
+                <td className="px-4 py-2 text-sm text-right">{formatCurrency(line.sales?.tax || 0)}</td>
+                <td className="px-4 py-2 text-sm text-right">{formatCurrency(line.salesReturns?.tax || 0)}</td>
+                <td className="px-4 py-2 text-sm text-right">{formatCurrency(line.purchases?.tax || 0)}</td>
+                <td className="px-4 py-2 text-sm text-right">{formatCurrency(line.purchaseReturns?.tax || 0)}</td>
+                <td className="px-4 py-2 text-sm text-right font-medium">{formatCurrency(line.net || 0)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="card p-4">
+        <h3 className="font-semibold mb-2">Ledger reconciliation</h3>
+        {differences.length === 0 ? (
+          <p className="text-sm text-green-700">Tax accounts in the ledger agree with the documents.</p>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-1">Account</th>
+                <th className="py-1 text-right">Documents</th>
+                <th className="py-1 text-right">Ledger</th>
+                <th className="py-1 text-right">Difference</th>
+              </tr>
+            </thead>
+            <tbody>
+              {differences.map((row) => (
+                <tr key={row.account}>
+                  <td className="py-1 font-mono">{row.account}</td>
+                  <td className="py-1 text-right">{formatCurrency(row.expected)}</td>
+                  <td className="py-1 text-right">{formatCurrency(row.ledger)}</td>
+                  <td className="py-1 text-right text-red-600">{formatCurrency(row.difference)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {report.documents && (
+        <div className="card p-4 space-y-2">
+          <h3 className="font-semibold">Supporting documents</h3>
+          {Object.entries(BOX_LABELS).map(([box, label]) => {
+            const documents = report.documents.filter((document) => document.box === box);
+            if (documents.length === 0) return null;
+            return (
+              <div key={box}>
+                <button onClick={() => setOpenBox(openBox === box ? null : box)} className="text-sm font-medium text-blue-600">
+                  {label} ({documents.length})
+                </button>
+                {openBox === box && (
+                  <table className="min-w-full text-sm mt-2">
+                    <thead>
+                      <tr className="text-left text-gray-500">
+                        <th className="py-1">Document</th>
+                        <th className="py-1">Date</th>
+                        <th className="py-1">Party</th>
+                        <th className="py-1">Code</th>
+                        <th className="py-1 text-right">Base</th>
+                        <th className="py-1 text-right">Tax</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {documents.map((document) => (
+                        <tr key={`${document.documentId}-${document.code}`}>
+                          <td className="py-1 font-mono">{document.documentNumber}</td>
+                          <td className="py-1">{document.date ? new Date(document.date).toLocaleDateString() : ''}</td>
+                          <td className="py-1">{document.party || '—'}</td>
+                          <td className="py-1 font-mono">{document.code}</td>
+                          <td className="py-1 text-right">{formatCurrency(document.base)}</td>
+                          <td className="py-1 text-right">{formatCurrency(document.tax)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const TaxReturnDetail = ({ id, onBack }) => {
+  const { hasPermission } = useAuth();
+  const canFile = hasPermission('file_tax_returns');
+  const [filingReference, setFilingReference] = useState('');
+  const { data, isLoading } = useGetTaxReturnQuery(id);
+  const [recalculate, { isLoading: recalculating }] = useRecalculateTaxReturnMutation();
+  const [fileTaxReturn, { isLoading: filing }] = useFileTaxReturnMutation();
+
+  const taxReturn = data?.data;
+
+  const handleRecalculate = async () => {
+    try {
+      await recalculate(id).unwrap();
+      toast.success('Figures recalculated');
+    } catch (error) {
+      handleApiError(error, 'Recalculate tax return');
+    }
+  };
+
+  const handleFile = async () => {
+    if (!window.confirm('Filing locks the fiscal periods this return covers, so nothing more can be posted into them. Continue?')) return;
+    try {
+      await fileTaxReturn({ id, filingReference: filingReference.trim() || undefined }).unwrap();
+      toast.success(`${taxReturn.returnNumber} filed`);
+    } catch (error) {
+      handleApiError(error, 'File tax return');
+    }
+  };
+
+  if (isLoading || !taxReturn) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between flex-wrap gap-2">
+        <div className="flex items-center space-x-3">
+          <button onClick={onBack} className="btn btn-secondary">
+            <ArrowLeft className="h-4 w-4" />
+          </button>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">{taxReturn.returnNumber}</h1>
+            <p className="text-gray-600">
+              {new Date(taxReturn.periodStart).toLocaleDateString()} – {new Date(taxReturn.periodEnd).toLocaleDateString()}
+              {taxReturn.status === 'filed'
+                ? ` · Filed ${new Date(taxReturn.filedAt).toLocaleDateString()}${taxReturn.filingReference ? ` (${taxReturn.filingReference})` : ''}`
+                : ' · Draft'}
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center space-x-2">
+          <ExportButtons params={{ id }} label={taxReturn.returnNumber} />
+          {canFile && taxReturn.status === 'draft' && (
+            <>
+              <LoadingButton onClick={handleRecalculate} isLoading={recalculating} className="btn btn-secondary flex items-center">
+                <RefreshCw className="h-4 w-4 mr-2" />
+                Recalculate
+              </LoadingButton>
+              <input
+                className="input w-44"
+                placeholder="Filing reference"
+                value={filingReference}
+                onChange={(e) => setFilingReference(e.target.value)}
+              />
+              <LoadingButton onClick={handleFile} isLoading={filing} className="btn btn-primary flex items-center">
+                <Lock className="h-4 w-4 mr-2" />
+                File
+              </LoadingButton>
+            </>
+          )}
+        </div>
+      </div>
+      <ReportView report={taxReturn} />
+    </div>
+  );
+};
+
+const TaxReturns = () => {
+  const { hasPermission } = useAuth();
+  const canFile = hasPermission('file_tax_returns');
+  const [period, setPeriod] = useState(defaultPeriod);
+  const [selectedId, setSelectedId] = useState(null);
+  const { data: reportData, isFetching, refetch } = useGetTaxReturnReportQuery(period, {
+    skip: !period.startDate || !period.endDate,
+  });
+  const { data: returnsData } = useGetTaxReturnsQuery();
+  const [createTaxReturn, { isLoading: saving }] = useCreateTaxReturnMutation();
+
+  const report = reportData?.data;
+  const taxReturns = returnsData?.data || [];
+
+  const handleSave = async () => {
+    try {
+      const response = await createTaxReturn(period).unwrap();
+      toast.success(`${response.data.returnNumber} saved as draft`);
+      setSelectedId(response.data._id);
+    } catch (error) {
+      handleApiError(error, 'Save tax return');
+    }
+  };
+
+  if (selectedId) {
+    return <TaxReturnDetail id={selectedId} onBack={() => setSelectedId(null)} />;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center space-x-3">
+        <FileSpreadsheet className="h-6 w-6 text-gray-600" />
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Tax Returns</h1>
+          <p className="text-gray-600">Output tax on sales netted against input tax on purchases, by tax code</p>
+        </div>
+      </div>
+
+      <div className="card p-4 flex flex-wrap items-end gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+          <input type="date" className="input" value={period.startDate} onChange={(e) => setPeriod({ ...period, startDate: e.target.value })} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+          <input type="date" className="input" value={period.endDate} onChange={(e) => setPeriod({ ...period, endDate: e.target.value })} />
+        </div>
+        <button onClick={() => refetch()} className="btn btn-secondary flex items-center">
+          <RefreshCw className={`h-4 w-4 mr-2 ${isFetching ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+        <ExportButtons params={period} label={`${period.startDate}_${period.endDate}`} />
+        {canFile && (
+          <LoadingButton onClick={handleSave} isLoading={saving} className="btn btn-primary flex items-center">
+            <Save className="h-4 w-4 mr-2" />
+            Save as draft return
+          </LoadingButton>
+        )}
+      </div>
+
+      {isFetching && !report ? <LoadingSpinner /> : report && <ReportView report={report} />}
+
+      <div className="card overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Return</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Period</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Net payable</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {taxReturns.length === 0 && (
+              <tr>
+                <td colSpan={4} className="px-4 py-6 text-center text-sm text-gray-500">No saved tax returns.</td>
+              </tr>
+            )}
+            {taxReturns.map((taxReturn) => (
+              <tr key={taxReturn._id} onClick={() => setSelectedId(taxReturn._id)} className="hover:bg-gray-50 cursor-pointer">
+                <td className="px-4 py-2 text-sm font-mono">{taxReturn.returnNumber}</td>
+                <td className="px-4 py-2 text-sm">
+                  {new Date(taxReturn.periodStart).toLocaleDateString()} – {new Date(taxReturn.periodEnd).toLocaleDateString()}
+                </td>
+                <td className="px-4 py-2 text-sm text-right">{formatCurrency(taxReturn.boxes?.netPayable || 0)}</td>
+                <td className="px-4 py-2 text-sm capitalize">{taxReturn.status}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default TaxReturns;
@@ -0,0 +1,458 @@
+import React, { useState } from 'react';
+import { Percent, Plus, RefreshCw, ArrowUp, ArrowDown, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import {
+  useGetTaxCodesQuery,
+  useCreateTaxCodeMutation,
+  useUpdateTaxCodeMutation,
+  useGetTaxGroupsQuery,
+  useCreateTaxGroupMutation,
+  useUpdateTaxGroupMutation,
+} from '../store/services/taxesApi';
+import { useAuth } from '../contexts/AuthContext';
+import { LoadingSpinner, LoadingButton } from '../components/LoadingSpinner';
+import { handleApiError } from '../utils/errorHandler';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const defaultCodeForm = {
+  code: '',
+  name: '',
+  appliesTo: 'both',
+  ratePercent: '',
+  effectiveFrom: today(),
+  compound: false,
+  withholding: false,
+  recoverable: true,
+  exemptCategories: '',
+  payableAccount: '',
+  receivableAccount: '',
+};
+
+const defaultGroupForm = { code: '', name: '', taxCodes: [] };
+
+const formatRate = (rate) => `${Math.round(rate * 100000) / 1000}%`;
+
+// Rate in force today, mirroring TaxCode.rateOn on the server
+const currentRate = (taxCode) => {
+  const now = Date.now();
+  const rate = [...(taxCode.rates || [])]
+    .filter((entry) => new Date(entry.effectiveFrom).getTime() <= now)
+    .sort((a, b) => new Date(b.effectiveFrom) - new Date(a.effectiveFrom))[0];
+  return rate ? rate.rate : null;
+};
+
+const TaxCodeForm = ({ onDone }) => {
+  const [form, setForm] = useState(defaultCodeForm);
+  const [createTaxCode, { isLoading }] = useCreateTaxCodeMutation();
+
+  const set = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    try {
+      await createTaxCode({
+        code: form.code.trim(),
+        name: form.name.trim(),
+        appliesTo: form.appliesTo,
+        rates: [{ rate: (Number(form.ratePercent) || 0) / 100, effectiveFrom: form.effectiveFrom }],
+        compound: form.compound,
+        withholding: form.withholding,
+        recoverable: form.recoverable,
+        exemptCategories: form.exemptCategories.split(',').map((entry) => entry.trim()).filter(Boolean),
+        payableAccount: form.payableAccount.trim() || undefined,
+        receivableAccount: form.receivableAccount.trim() || undefined,
+      }).unwrap();
+      toast.success(`Tax code ${form.code.toUpperCase()} created`);
+      onDone();
+    } catch (error) {
+      handleApiError(error, 'Failed to create tax code');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="card p-6 space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Code</label>
+          <input className="input" value={form.code} onChange={(e) => set('code', e.target.value)} required maxLength={20} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+          <input className="input" value={form.name} onChange={(e) => set('name', e.target.value)} required maxLength={100} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Rate (%)</label>
+          <input
+            type="number"
+            step="0.001"
+            min="0"
+            max="100"
+            className="input"
+            value={form.ratePercent}
+            onChange={(e) => set('ratePercent', e.target.value)}
+            required
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Effective from</label>
+          <input type="date" className="input" value={form.effectiveFrom} onChange={(e) => set('effectiveFrom', e.target.value)} required />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Applies to</label>
+          <select className="input" value={form.appliesTo} onChange={(e) => set('appliesTo', e.target.value)}>
+            <option value="both">Sales and purchases</option>
+            <option value="sales">Sales</option>
+            <option value="purchase">Purchases</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Exempt customer categories</label>
+          <input
+            className="input"
+            placeholder="e.g. reseller, charity"
+            value={form.exemptCategories}
+            onChange={(e) => set('exemptCategories', e.target.value)}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Payable account</label>
+          <input className="input" placeholder="<CODE>_PAYABLE" value={form.payableAccount} onChange={(e) => set('payableAccount', e.target.value)} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Receivable account</label>
+          <input className="input" placeholder="<CODE>_RECEIVABLE" value={form.receivableAccount} onChange={(e) => set('receivableAccount', e.target.value)} />
+        </div>
+      </div>
+      <div className="flex flex-wrap gap-6 text-sm">
+        <label className="flex items-center space-x-2">
+          <input type="checkbox" checked={form.compound} onChange={(e) => set('compound', e.target.checked)} />
+          <span>Compound (charged on earlier taxes too)</span>
+        </label>
+        <label className="flex items-center space-x-2">
+          <input type="checkbox" checked={form.withholding} onChange={(e) => set('withholding', e.target.checked)} />
+          <span>Withholding</span>
+        </label>
+        <label className="flex items-center space-x-2">
+          <input type="checkbox" checked={form.recoverable} onChange={(e) => set('recoverable', e.target.checked)} />
+          <span>Recoverable on purchases</span>
+        </label>
+      </div>
+      <div className="flex justify-end space-x-2">
+        <button type="button" onClick={onDone} className="btn btn-secondary">Cancel</button>
+        <LoadingButton type="submit" isLoading={isLoading} className="btn btn-primary">Create tax code</LoadingButton>
+      </div>
+    </form>
+  );
+};
+
+const AddRateForm = ({ taxCode, onDone }) => {
+  const [ratePercent, setRatePercent] = useState('');
+  const [effectiveFrom, setEffectiveFrom] = useState(today());
+  const [updateTaxCode, { isLoading }] = useUpdateTaxCodeMutation();
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    try {
+      await updateTaxCode({
+        id: taxCode._id,
+        rates: [
+          ...taxCode.rates.map(({ rate, effectiveFrom: from }) => ({ rate, effectiveFrom: from })),
+          { rate: (Number(ratePercent) || 0) / 100, effectiveFrom },
+        ],
+      }).unwrap();
+      toast.success(`New ${taxCode.code} rate saved`);
+      onDone();
+    } catch (error) {
+      handleApiError(error, 'Failed to add rate');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex items-center space-x-2">
+      <input
+        type="number"
+        step="0.001"
+        min="0"
+        max="100"
+        className="input w-24"
+        placeholder="%"
+        value={ratePercent}
+        onChange={(e) => setRatePercent(e.target.value)}
+        required
+      />
+      <input type="date" className="input w-40" value={effectiveFrom} onChange={(e) => setEffectiveFrom(e.target.value)} required />
+      <LoadingButton type="submit" isLoading={isLoading} className="btn btn-primary btn-sm">Save</LoadingButton>
+      <button type="button" onClick={onDone} className="btn btn-secondary btn-sm"><X className="h-4 w-4" /></button>
+    </form>
+  );
+};
+
+const TaxGroupForm = ({ taxCodes, onDone }) => {
+  const [form, setForm] = useState(defaultGroupForm);
+  const [createTaxGroup, { isLoading }] = useCreateTaxGroupMutation();
+
+  const toggleCode = (id) => {
+    setForm((prev) => ({
+      ...prev,
+      taxCodes: prev.taxCodes.includes(id) ? prev.taxCodes.filter((entry) => entry !== id) : [...prev.taxCodes, id],
+    }));
+  };
+
+  // Order matters: compound taxes are charged on the taxes listed before them
+  const move = (index, offset) => {
+    setForm((prev) => {
+      const next = [...prev.taxCodes];
+      const [moved] = next.splice(index, 1);
+      next.splice(index + offset, 0, moved);
+      return { ...prev, taxCodes: next };
+    });
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    try {
+      await createTaxGroup({ code: form.code.trim(), name: form.name.trim(), taxCodes: form.taxCodes }).unwrap();
+      toast.success(`Tax group ${form.code.toUpperCase()} created`);
+      onDone();
+    } catch (error) {
+      handleApiError(error, 'Failed to create tax group');
+    }
+  };
+
+  const codeById = new Map(taxCodes.map((taxCode) => [taxCode._id, taxCode]));
+
+  return (
+    <form onSubmit={handleSubmit} className="card p-6 space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Code</label>
+          <input className="input" value={form.code} onChange={(e) => setForm({ ...form, code: e.target.value })} required maxLength={20} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+          <input className="input" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} required maxLength={100} />
+        </div>
+      </div>
+      <div>
+        <p className="text-sm font-medium text-gray-700 mb-2">Tax codes</p>
+        <div className="flex flex-wrap gap-4 text-sm">
+          {taxCodes.filter((taxCode) => taxCode.isActive).map((taxCode) => (
+            <label key={taxCode._id} className="flex items-center space-x-2">
+              <input type="checkbox" checked={form.taxCodes.includes(taxCode._id)} onChange={() => toggleCode(taxCode._id)} />
+              <span>{taxCode.code} — {taxCode.name}</span>
+            </label>
+          ))}
+        </div>
+      </div>
+      {form.taxCodes.length > 1 && (
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-2">Order applied</p>
+          <ol className="space-y-1 text-sm">
+            {form.taxCodes.map((id, index) => (
+              <li key={id} className="flex items-center space-x-2">
+                <span className="w-6 text-gray-500">{index + 1}.</span>
+                <span className="flex-1">{codeById.get(id)?.code}{codeById.get(id)?.compound ? ' (compound)' : ''}</span>
+                <button type="button" disabled={index === 0} onClick={() => move(index, -1)} className="btn btn-secondary btn-sm">
+                  <ArrowUp className="h-4 w-4" />
+                </button>
+                <button type="button" disabled={index === form.taxCodes.length - 1} onClick={() => move(index, 1)} className="btn btn-secondary btn-sm">
+                  <ArrowDown className="h-4 w-4" />
+                </button>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+      <div className="flex justify-end space-x-2">
+        <button type="button" onClick={onDone} className="btn btn-secondary">Cancel</button>
+        <LoadingButton type="submit" isLoading={isLoading} disabled={form.taxCodes.length === 0} className="btn btn-primary">
+          Create tax group
+        </LoadingButton>
+      </div>
+    </form>
+  );
+};
+
+const TaxSettings = () => {
+  const { hasPermission } = useAuth();
+  const canManage = hasPermission('manage_settings');
+  const [showCodeForm, setShowCodeForm] = useState(false);
+  const [showGroupForm, setShowGroupForm] = useState(false);
+  const [rateFor, setRateFor] = useState(null);
+  const { data: codesData, isLoading: codesLoading, refetch: refetchCodes } = useGetTaxCodesQuery();
+  const { data: groupsData, isLoading: groupsLoading, refetch: refetchGroups } = useGetTaxGroupsQuery();
+  const [updateTaxCode] = useUpdateTaxCodeMutation();
+  const [updateTaxGroup] = useUpdateTaxGroupMutation();
+
+  const taxCodes = codesData?.data || [];
+  const taxGroups = groupsData?.data || [];
+
+  const toggleActive = async (update, record, label) => {
+    try {
+      await update({ id: record._id, isActive: !record.isActive }).unwrap();
+      toast.success(`${label} ${record.isActive ? 'deactivated' : 'activated'}`);
+    } catch (error) {
+      handleApiError(error, `Failed to update ${label.toLowerCase()}`);
+    }
+  };
+
+  if (codesLoading || groupsLoading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+          <Percent className="h-6 w-6 text-gray-600" />
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Tax Settings</h1>
+            <p className="text-gray-600">Tax codes, effective-dated rates and the groups products are taxed by</p>
+          </div>
+        </div>
+        <button
+          onClick={() => {
+            refetchCodes();
+            refetchGroups();
+          }}
+          className="btn btn-secondary flex items-center"
+        >
+          <RefreshCw className="h-4 w-4 mr-2" />
+          Refresh
+        </button>
+      </div>
+
+      <section className="space-y-3">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold">Tax codes</h2>
+          {canManage && !showCodeForm && (
+            <button onClick={() => setShowCodeForm(true)} className="btn btn-primary flex items-center">
+              <Plus className="h-4 w-4 mr-2" />
+              New tax code
+            </button>
+          )}
+        </div>
+        {showCodeForm && <TaxCodeForm onDone={() => setShowCodeForm(false)} />}
+        <div className="card overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Code</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Current rate</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Rates</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Exempt</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                {canManage && <th className="px-4 py-2" />}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {taxCodes.length === 0 && (
+                <tr>
+                  <td colSpan={8} className="px-4 py-6 text-center text-sm text-gray-500">
+                    No tax codes yet. Products are taxed at their flat tax rate until they are given a tax group.
+                  </td>
+                </tr>
+              )}
+              {taxCodes.map((taxCode) => {
+                const rate = currentRate(taxCode);
+                return (
+                  <tr key={taxCode._id}>
+                    <td className="px-4 py-2 text-sm font-mono">{taxCode.code}</td>
+                    <td className="px-4 py-2 text-sm">{taxCode.name}</td>
+                    <td className="px-4 py-2 text-sm">{rate === null ? 'Not yet in force' : formatRate(rate)}</td>
+                    <td className="px-4 py-2 text-xs text-gray-600">
+                      {rateFor === taxCode._id ? (
+                        <AddRateForm taxCode={taxCode} onDone={() => setRateFor(null)} />
+                      ) : (
+                        taxCode.rates.map((entry) => (
+                          <div key={entry.effectiveFrom}>
+                            {formatRate(entry.rate)} from {new Date(entry.effectiveFrom).toLocaleDateString()}
+                          </div>
+                        ))
+                      )}
+                    </td>
+                    <td className="px-4 py-2 text-xs">
+                      {[
+                        taxCode.appliesTo === 'both' ? 'sales & purchases' : taxCode.appliesTo,
+                        taxCode.compound && 'compound',
+                        taxCode.withholding && 'withholding',
+                        !taxCode.recoverable && 'non-recoverable',
+                      ].filter(Boolean).join(', ')}
+                    </td>
+                    <td className="px-4 py-2 text-xs">{(taxCode.exemptCategories || []).join(', ') || '—'}</td>
+                    <td className="px-4 py-2 text-sm">{taxCode.isActive ? 'Active' : 'Inactive'}</td>
+                    {canManage && (
+                      <td className="px-4 py-2 text-sm text-right space-x-2 whitespace-nowrap">
+                        {rateFor !== taxCode._id && (
+                          <button onClick={() => setRateFor(taxCode._id)} className="btn btn-secondary btn-sm">Add rate</button>
+                        )}
+                        <button onClick={() => toggleActive(updateTaxCode, taxCode, 'Tax code')} className="btn btn-secondary btn-sm">
+                          {taxCode.isActive ? 'Deactivate' : 'Activate'}
+                        </button>
+                      </td>
+                    )}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </section>
+
+      <section className="space-y-3">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold">Tax groups</h2>
+          {canManage && !showGroupForm && (
+            <button onClick={() => setShowGroupForm(true)} disabled={taxCodes.length === 0} className="btn btn-primary flex items-center">
+              <Plus className="h-4 w-4 mr-2" />
+              New tax group
+            </button>
+          )}
+        </div>
+        {showGroupForm && <TaxGroupForm taxCodes={taxCodes} onDone={() => setShowGroupForm(false)} />}
+        <div className="card overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Code</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Taxes, in order</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                {canManage && <th className="px-4 py-2" />}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {taxGroups.length === 0 && (
+                <tr>
+                  <td colSpan={5} className="px-4 py-6 text-center text-sm text-gray-500">No tax groups yet.</td>
+                </tr>
+              )}
+              {taxGroups.map((group) => (
+                <tr key={group._id}>
+                  <td className="px-4 py-2 text-sm font-mono">{group.code}</td>
+                  <td className="px-4 py-2 text-sm">{group.name}</td>
+                  <td className="px-4 py-2 text-sm">
+                    {(group.taxCodes || []).map((taxCode) => taxCode?.code).filter(Boolean).join(' + ')}
+                  </td>
+                  <td className="px-4 py-2 text-sm">{group.isActive ? 'Active' : 'Inactive'}</td>
+                  {canManage && (
+                    <td className="px-4 py-2 text-sm text-right">
+                      <button onClick={() => toggleActive(updateTaxGroup, group, 'Tax group')} className="btn btn-secondary btn-sm">
+                        {group.isActive ? 'Deactivate' : 'Activate'}
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default TaxSettings;
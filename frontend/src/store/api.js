@@ -39,6 +39,27 @@ export const api = createApi({
     'Users',
     'Payments',
     'Recommendations',
+    'Notifications',
+    'Tills',
+    'Loyalty',
+    'GiftCards',
+    'StockTransfers',
+    'WarehouseStock',
+    'Stocktakes',
+    'Taxes',
+    'TaxReturns',
+    'DocumentTemplates',
+    'Quotations',
+    'PriceLists',
+    'Promotions',
+    'LandedCosts',
+    'DemandForecasts',
+    'SupplierCatalog',
+    'BankStatements',
+    'ExchangeRates',
+    'RecurringJournals',
+    'AmortizationSchedules',
+    'FixedAssets',
   ],
   endpoints: (builder) => ({
     health: builder.query({
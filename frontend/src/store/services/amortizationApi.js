@@ -0,0 +1,62 @@
+import { api } from '../api';
+
+export const amortizationApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getAmortizationSchedules: builder.query({
+      query: (params) => ({
+        url: 'amortization-schedules',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'AmortizationSchedules', id: 'LIST' }],
+    }),
+    getAmortizationSchedule: builder.query({
+      query: (id) => ({
+        url: `amortization-schedules/${id}`,
+        method: 'get',
+      }),
+      providesTags: (_r, _e, id) => [{ type: 'AmortizationSchedules', id }],
+    }),
+    getAmortizationSourceLines: builder.query({
+      query: (params) => ({
+        url: 'amortization-schedules/source-lines',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'AmortizationSchedules', id: 'SOURCE' }],
+    }),
+    createAmortizationSchedule: builder.mutation({
+      query: (data) => ({
+        url: 'amortization-schedules',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: ['AmortizationSchedules', 'ChartOfAccounts'],
+    }),
+    runAmortization: builder.mutation({
+      query: (data) => ({
+        url: 'amortization-schedules/run',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: ['AmortizationSchedules', 'ChartOfAccounts'],
+    }),
+    cancelAmortizationSchedule: builder.mutation({
+      query: ({ id, date }) => ({
+        url: `amortization-schedules/${id}/cancel`,
+        method: 'post',
+        data: { date },
+      }),
+      invalidatesTags: ['AmortizationSchedules', 'ChartOfAccounts'],
+    }),
+  }),
+});
+
+export const {
+  useGetAmortizationSchedulesQuery,
+  useGetAmortizationScheduleQuery,
+  useLazyGetAmortizationSourceLinesQuery,
+  useCreateAmortizationScheduleMutation,
+  useRunAmortizationMutation,
+  useCancelAmortizationScheduleMutation,
+} = amortizationApi;
@@ -0,0 +1,112 @@
+import { api } from '../api';
+
+export const bankReconciliationApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getBankStatements: builder.query({
+      query: (params) => ({
+        url: 'bank-reconciliation/statements',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'BankStatements', id: 'LIST' }],
+    }),
+    getBankStatement: builder.query({
+      query: (id) => ({
+        url: `bank-reconciliation/statements/${id}`,
+        method: 'get',
+      }),
+      providesTags: (_result, _error, id) => [{ type: 'BankStatements', id }],
+    }),
+    importBankStatement: builder.mutation({
+      query: ({ file, ...fields }) => {
+        const formData = new FormData();
+        formData.append('file', file);
+        Object.entries(fields)
+          .filter(([, value]) => value !== undefined && value !== '')
+          .forEach(([key, value]) => formData.append(key, value));
+        return {
+          url: 'bank-reconciliation/statements/import',
+          method: 'post',
+          data: formData,
+        };
+      },
+      invalidatesTags: ['BankStatements'],
+    }),
+    deleteBankStatement: builder.mutation({
+      query: (id) => ({
+        url: `bank-reconciliation/statements/${id}`,
+        method: 'delete',
+      }),
+      invalidatesTags: ['BankStatements'],
+    }),
+    autoMatchBankStatement: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `bank-reconciliation/statements/${id}/auto-match`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: ['BankStatements'],
+    }),
+    getMatchCandidates: builder.query({
+      query: ({ id, lineId, ...params }) => ({
+        url: `bank-reconciliation/statements/${id}/lines/${lineId}/candidates`,
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'BankStatements', id: 'CANDIDATES' }],
+    }),
+    matchStatementLine: builder.mutation({
+      query: ({ id, lineId, items }) => ({
+        url: `bank-reconciliation/statements/${id}/lines/${lineId}/match`,
+        method: 'post',
+        data: { items },
+      }),
+      invalidatesTags: ['BankStatements'],
+    }),
+    unmatchStatementLine: builder.mutation({
+      query: ({ id, lineId }) => ({
+        url: `bank-reconciliation/statements/${id}/lines/${lineId}/unmatch`,
+        method: 'post',
+      }),
+      invalidatesTags: ['BankStatements'],
+    }),
+    createStatementLineEntry: builder.mutation({
+      query: ({ id, lineId, ...data }) => ({
+        url: `bank-reconciliation/statements/${id}/lines/${lineId}/create-entry`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: ['BankStatements', 'ChartOfAccounts'],
+    }),
+    getBankReconciliation: builder.query({
+      query: ({ bankId, ...params }) => ({
+        url: `bank-reconciliation/banks/${bankId}/reconciliation`,
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'BankStatements', id: 'RECONCILIATION' }],
+    }),
+    printBankReconciliation: builder.mutation({
+      query: ({ bankId, ...params }) => ({
+        url: `bank-reconciliation/banks/${bankId}/reconciliation/pdf`,
+        method: 'get',
+        params,
+        responseType: 'blob',
+      }),
+    }),
+  }),
+});
+
+export const {
+  useGetBankStatementsQuery,
+  useGetBankStatementQuery,
+  useImportBankStatementMutation,
+  useDeleteBankStatementMutation,
+  useAutoMatchBankStatementMutation,
+  useGetMatchCandidatesQuery,
+  useMatchStatementLineMutation,
+  useUnmatchStatementLineMutation,
+  useCreateStatementLineEntryMutation,
+  useGetBankReconciliationQuery,
+  usePrintBankReconciliationMutation,
+} = bankReconciliationApi;
@@ -0,0 +1,62 @@
+import { api } from '../api';
+
+export const currenciesApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getExchangeRates: builder.query({
+      query: (params) => ({
+        url: 'currencies/rates',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'ExchangeRates', id: 'LIST' }],
+    }),
+    getCurrentExchangeRates: builder.query({
+      query: (params) => ({
+        url: 'currencies/rates/current',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'ExchangeRates', id: 'CURRENT' }],
+    }),
+    setExchangeRate: builder.mutation({
+      query: (data) => ({
+        url: 'currencies/rates',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: ['ExchangeRates'],
+    }),
+    deleteExchangeRate: builder.mutation({
+      query: (id) => ({
+        url: `currencies/rates/${id}`,
+        method: 'delete',
+      }),
+      invalidatesTags: ['ExchangeRates'],
+    }),
+    getCurrencyRevaluations: builder.query({
+      query: (params) => ({
+        url: 'currencies/revaluations',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'ExchangeRates', id: 'REVALUATIONS' }],
+    }),
+    revalueCurrencies: builder.mutation({
+      query: (data) => ({
+        url: 'currencies/revaluations',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [{ type: 'ExchangeRates', id: 'REVALUATIONS' }],
+    }),
+  }),
+});
+
+export const {
+  useGetExchangeRatesQuery,
+  useGetCurrentExchangeRatesQuery,
+  useSetExchangeRateMutation,
+  useDeleteExchangeRateMutation,
+  useGetCurrencyRevaluationsQuery,
+  useRevalueCurrenciesMutation,
+} = currenciesApi;
@@ -0,0 +1,40 @@
+import { api } from '../api';
+
+export const demandForecastsApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getDemandForecasts: builder.query({
+      query: (params) => ({
+        url: 'demand-forecasts',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'DemandForecasts', id: 'LIST' }],
+    }),
+    getDemandForecast: builder.query({
+      query: (productId) => ({
+        url: `demand-forecasts/${productId}`,
+        method: 'get',
+      }),
+      providesTags: (_result, _error, productId) => [{ type: 'DemandForecasts', id: productId }],
+    }),
+    runDemandForecasts: builder.mutation({
+      query: (data) => ({
+        url: 'demand-forecasts/run',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [
+        'DemandForecasts',
+        { type: 'Inventory', id: 'LOW_STOCK_ALERTS' },
+        { type: 'Inventory', id: 'ALERT_SUMMARY' },
+        { type: 'Inventory', id: 'NEED_REORDER' },
+      ],
+    }),
+  }),
+});
+
+export const {
+  useGetDemandForecastsQuery,
+  useGetDemandForecastQuery,
+  useRunDemandForecastsMutation,
+} = demandForecastsApi;
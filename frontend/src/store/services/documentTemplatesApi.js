@@ -0,0 +1,64 @@
+import { api } from '../api';
+
+export const documentTemplatesApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getDocumentTemplates: builder.query({
+      query: (params) => ({
+        url: 'document-templates',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'DocumentTemplates', id: 'LIST' }],
+    }),
+    createDocumentTemplate: builder.mutation({
+      query: (data) => ({
+        url: 'document-templates',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [{ type: 'DocumentTemplates', id: 'LIST' }],
+    }),
+    updateDocumentTemplate: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `document-templates/${id}`,
+        method: 'put',
+        data,
+      }),
+      // Taking over a default changes other templates too
+      invalidatesTags: [{ type: 'DocumentTemplates', id: 'LIST' }],
+    }),
+    deleteDocumentTemplate: builder.mutation({
+      query: (id) => ({
+        url: `document-templates/${id}`,
+        method: 'delete',
+      }),
+      invalidatesTags: [{ type: 'DocumentTemplates', id: 'LIST' }],
+    }),
+    // Unsaved settings rendered against sample data, or a real document when documentId is given
+    previewDocumentTemplate: builder.mutation({
+      query: (data) => ({
+        url: 'document-templates/preview',
+        method: 'post',
+        data,
+        responseType: 'blob',
+      }),
+    }),
+    printDocument: builder.mutation({
+      query: ({ documentType, documentId, templateId }) => ({
+        url: `document-templates/print/${documentType}/${documentId}`,
+        method: 'get',
+        params: templateId ? { templateId } : undefined,
+        responseType: 'blob',
+      }),
+    }),
+  }),
+});
+
+export const {
+  useGetDocumentTemplatesQuery,
+  useCreateDocumentTemplateMutation,
+  useUpdateDocumentTemplateMutation,
+  useDeleteDocumentTemplateMutation,
+  usePreviewDocumentTemplateMutation,
+  usePrintDocumentMutation,
+} = documentTemplatesApi;
@@ -0,0 +1,97 @@
+import { api } from '../api';
+
+export const fixedAssetsApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getFixedAssets: builder.query({
+      query: (params) => ({
+        url: 'fixed-assets',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'FixedAssets', id: 'LIST' }],
+    }),
+    getFixedAsset: builder.query({
+      query: (id) => ({
+        url: `fixed-assets/${id}`,
+        method: 'get',
+      }),
+      providesTags: (_r, _e, id) => [{ type: 'FixedAssets', id }],
+    }),
+    getFixedAssetProjection: builder.query({
+      query: (id) => ({
+        url: `fixed-assets/${id}/projection`,
+        method: 'get',
+      }),
+      providesTags: (_r, _e, id) => [{ type: 'FixedAssets', id }],
+    }),
+    getFixedAssetSourceLines: builder.query({
+      query: (params) => ({
+        url: 'fixed-assets/source-lines',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'FixedAssets', id: 'SOURCE' }],
+    }),
+    getAssetSchedule: builder.query({
+      query: (params) => ({
+        url: 'fixed-assets/schedule',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'FixedAssets', id: 'SCHEDULE' }],
+    }),
+    getDepreciationRuns: builder.query({
+      query: (params) => ({
+        url: 'fixed-assets/depreciation-runs',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'FixedAssets', id: 'RUNS' }],
+    }),
+    createFixedAsset: builder.mutation({
+      query: (data) => ({
+        url: 'fixed-assets',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: ['FixedAssets', 'ChartOfAccounts'],
+    }),
+    recordFixedAssetUsage: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `fixed-assets/${id}/usage`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: (_r, _e, { id }) => [{ type: 'FixedAssets', id }],
+    }),
+    runDepreciation: builder.mutation({
+      query: (data) => ({
+        url: 'fixed-assets/depreciation-runs',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: ['FixedAssets', 'ChartOfAccounts'],
+    }),
+    disposeFixedAsset: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `fixed-assets/${id}/dispose`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: ['FixedAssets', 'ChartOfAccounts'],
+    }),
+  }),
+});
+
+export const {
+  useGetFixedAssetsQuery,
+  useGetFixedAssetQuery,
+  useGetFixedAssetProjectionQuery,
+  useLazyGetFixedAssetSourceLinesQuery,
+  useGetAssetScheduleQuery,
+  useGetDepreciationRunsQuery,
+  useCreateFixedAssetMutation,
+  useRecordFixedAssetUsageMutation,
+  useRunDepreciationMutation,
+  useDisposeFixedAssetMutation,
+} = fixedAssetsApi;
@@ -0,0 +1,68 @@
+import { api } from '../api';
+
+export const giftCardsApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getGiftCards: builder.query({
+      query: (params) => ({
+        url: 'gift-cards',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'GiftCards', id: 'LIST' }],
+    }),
+    getGiftCard: builder.query({
+      query: (code) => ({
+        url: `gift-cards/${encodeURIComponent(code)}`,
+        method: 'get',
+      }),
+      providesTags: (_result, _error, code) => [{ type: 'GiftCards', id: code }],
+    }),
+    lookupGiftCardBalance: builder.query({
+      query: (code) => ({
+        url: `gift-cards/lookup/${encodeURIComponent(code)}`,
+        method: 'get',
+      }),
+      providesTags: (_result, _error, code) => [{ type: 'GiftCards', id: code }],
+    }),
+    issueGiftCard: builder.mutation({
+      query: (data) => ({
+        url: 'gift-cards',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [{ type: 'GiftCards', id: 'LIST' }],
+    }),
+    activateGiftCard: builder.mutation({
+      query: ({ code, ...data }) => ({
+        url: `gift-cards/${encodeURIComponent(code)}/activate`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: (_result, _error, { code }) => [
+        { type: 'GiftCards', id: 'LIST' },
+        { type: 'GiftCards', id: code },
+      ],
+    }),
+    reloadGiftCard: builder.mutation({
+      query: ({ code, ...data }) => ({
+        url: `gift-cards/${encodeURIComponent(code)}/reload`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: (_result, _error, { code }) => [
+        { type: 'GiftCards', id: 'LIST' },
+        { type: 'GiftCards', id: code },
+      ],
+    }),
+  }),
+});
+
+export const {
+  useGetGiftCardsQuery,
+  useGetGiftCardQuery,
+  useLookupGiftCardBalanceQuery,
+  useLazyLookupGiftCardBalanceQuery,
+  useIssueGiftCardMutation,
+  useActivateGiftCardMutation,
+  useReloadGiftCardMutation,
+} = giftCardsApi;
@@ -0,0 +1,71 @@
+import { api } from '../api';
+
+export const landedCostsApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getLandedCosts: builder.query({
+      query: (params) => ({
+        url: 'landed-costs',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'LandedCosts', id: 'LIST' }],
+    }),
+    getLandedCost: builder.query({
+      query: (id) => ({
+        url: `landed-costs/${id}`,
+        method: 'get',
+      }),
+      providesTags: (_result, _error, id) => [{ type: 'LandedCosts', id }],
+    }),
+    createLandedCost: builder.mutation({
+      query: (data) => ({
+        url: 'landed-costs',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [{ type: 'LandedCosts', id: 'LIST' }],
+    }),
+    updateLandedCost: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `landed-costs/${id}`,
+        method: 'put',
+        data,
+      }),
+      invalidatesTags: (_result, _error, { id }) => [
+        { type: 'LandedCosts', id: 'LIST' },
+        { type: 'LandedCosts', id },
+      ],
+    }),
+    postLandedCost: builder.mutation({
+      query: (id) => ({
+        url: `landed-costs/${id}/post`,
+        method: 'post',
+      }),
+      invalidatesTags: (_result, _error, id) => [
+        { type: 'LandedCosts', id: 'LIST' },
+        { type: 'LandedCosts', id },
+        { type: 'Products', id: 'LIST' },
+        { type: 'Inventory', id: 'LIST' },
+      ],
+    }),
+    cancelLandedCost: builder.mutation({
+      query: (id) => ({
+        url: `landed-costs/${id}/cancel`,
+        method: 'post',
+      }),
+      invalidatesTags: (_result, _error, id) => [
+        { type: 'LandedCosts', id: 'LIST' },
+        { type: 'LandedCosts', id },
+      ],
+    }),
+  }),
+});
+
+export const {
+  useGetLandedCostsQuery,
+  useGetLandedCostQuery,
+  useCreateLandedCostMutation,
+  useUpdateLandedCostMutation,
+  usePostLandedCostMutation,
+  useCancelLandedCostMutation,
+} = landedCostsApi;
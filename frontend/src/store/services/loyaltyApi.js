@@ -0,0 +1,55 @@
+import { api } from '../api';
+
+export const loyaltyApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getLoyaltyProgram: builder.query({
+      query: () => ({
+        url: 'loyalty/program',
+        method: 'get',
+      }),
+      providesTags: [{ type: 'Loyalty', id: 'PROGRAM' }],
+    }),
+    updateLoyaltyProgram: builder.mutation({
+      query: (data) => ({
+        url: 'loyalty/program',
+        method: 'put',
+        data,
+      }),
+      invalidatesTags: [{ type: 'Loyalty', id: 'PROGRAM' }],
+    }),
+    getCustomerLoyalty: builder.query({
+      query: ({ customerId, ...params }) => ({
+        url: `loyalty/customers/${customerId}`,
+        method: 'get',
+        params,
+      }),
+      providesTags: (_result, _error, { customerId }) => [{ type: 'Loyalty', id: customerId }],
+    }),
+    adjustLoyaltyPoints: builder.mutation({
+      query: ({ customerId, ...data }) => ({
+        url: `loyalty/customers/${customerId}/adjust`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: (_result, _error, { customerId }) => [
+        { type: 'Loyalty', id: customerId },
+        { type: 'Customers', id: 'LIST' },
+      ],
+    }),
+    quoteLoyaltyRedemption: builder.mutation({
+      query: (data) => ({
+        url: 'loyalty/quote',
+        method: 'post',
+        data,
+      }),
+    }),
+  }),
+});
+
+export const {
+  useGetLoyaltyProgramQuery,
+  useUpdateLoyaltyProgramMutation,
+  useGetCustomerLoyaltyQuery,
+  useAdjustLoyaltyPointsMutation,
+  useQuoteLoyaltyRedemptionMutation,
+} = loyaltyApi;
@@ -0,0 +1,80 @@
+import { api } from '../api';
+
+export const notificationsApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getNotifications: builder.query({
+      query: (params) => ({
+        url: 'notifications',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'Notifications', id: 'INBOX' }],
+    }),
+    markNotificationsRead: builder.mutation({
+      query: (ids) => ({
+        url: 'notifications/mark-read',
+        method: 'post',
+        data: ids ? { ids } : {},
+      }),
+      invalidatesTags: [{ type: 'Notifications', id: 'INBOX' }],
+    }),
+    getNotificationSubscriptions: builder.query({
+      query: (params) => ({
+        url: 'notifications/subscriptions',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'Notifications', id: 'SUBSCRIPTIONS' }],
+    }),
+    createNotificationSubscription: builder.mutation({
+      query: (data) => ({
+        url: 'notifications/subscriptions',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [{ type: 'Notifications', id: 'SUBSCRIPTIONS' }],
+    }),
+    updateNotificationSubscription: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `notifications/subscriptions/${id}`,
+        method: 'put',
+        data,
+      }),
+      invalidatesTags: [{ type: 'Notifications', id: 'SUBSCRIPTIONS' }],
+    }),
+    deleteNotificationSubscription: builder.mutation({
+      query: (id) => ({
+        url: `notifications/subscriptions/${id}`,
+        method: 'delete',
+      }),
+      invalidatesTags: [{ type: 'Notifications', id: 'SUBSCRIPTIONS' }],
+    }),
+    getNotificationDeliveries: builder.query({
+      query: (params) => ({
+        url: 'notifications/deliveries',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'Notifications', id: 'DELIVERIES' }],
+    }),
+    retryNotificationDelivery: builder.mutation({
+      query: (id) => ({
+        url: `notifications/deliveries/${id}/retry`,
+        method: 'post',
+      }),
+      invalidatesTags: [{ type: 'Notifications', id: 'DELIVERIES' }],
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useGetNotificationsQuery,
+  useMarkNotificationsReadMutation,
+  useGetNotificationSubscriptionsQuery,
+  useCreateNotificationSubscriptionMutation,
+  useUpdateNotificationSubscriptionMutation,
+  useDeleteNotificationSubscriptionMutation,
+  useGetNotificationDeliveriesQuery,
+  useRetryNotificationDeliveryMutation,
+} = notificationsApi;
@@ -0,0 +1,66 @@
+import { api } from '../api';
+
+export const priceListsApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getPriceLists: builder.query({
+      query: (params) => ({
+        url: 'price-lists',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'PriceLists', id: 'LIST' }],
+    }),
+    getPriceList: builder.query({
+      query: (id) => ({
+        url: `price-lists/${id}`,
+        method: 'get',
+      }),
+      providesTags: (_result, _error, id) => [{ type: 'PriceLists', id }],
+    }),
+    resolvePrice: builder.query({
+      query: (params) => ({
+        url: 'price-lists/resolve',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'PriceLists', id: 'RESOLVE' }],
+    }),
+    createPriceList: builder.mutation({
+      query: (data) => ({
+        url: 'price-lists',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [{ type: 'PriceLists', id: 'LIST' }, { type: 'PriceLists', id: 'RESOLVE' }],
+    }),
+    updatePriceList: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `price-lists/${id}`,
+        method: 'put',
+        data,
+      }),
+      invalidatesTags: (_result, _error, { id }) => [
+        { type: 'PriceLists', id: 'LIST' },
+        { type: 'PriceLists', id },
+        { type: 'PriceLists', id: 'RESOLVE' },
+      ],
+    }),
+    deletePriceList: builder.mutation({
+      query: (id) => ({
+        url: `price-lists/${id}`,
+        method: 'delete',
+      }),
+      invalidatesTags: [{ type: 'PriceLists', id: 'LIST' }, { type: 'PriceLists', id: 'RESOLVE' }],
+    }),
+  }),
+});
+
+export const {
+  useGetPriceListsQuery,
+  useGetPriceListQuery,
+  useResolvePriceQuery,
+  useLazyResolvePriceQuery,
+  useCreatePriceListMutation,
+  useUpdatePriceListMutation,
+  useDeletePriceListMutation,
+} = priceListsApi;
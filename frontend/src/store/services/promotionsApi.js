@@ -0,0 +1,63 @@
+import { api } from '../api';
+
+export const promotionsApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getPromotions: builder.query({
+      query: (params) => ({
+        url: 'promotions',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'Promotions', id: 'LIST' }],
+    }),
+    getPromotion: builder.query({
+      query: (id) => ({
+        url: `promotions/${id}`,
+        method: 'get',
+      }),
+      providesTags: (_result, _error, id) => [{ type: 'Promotions', id }],
+    }),
+    evaluatePromotions: builder.mutation({
+      query: (data) => ({
+        url: 'promotions/evaluate',
+        method: 'post',
+        data,
+      }),
+    }),
+    createPromotion: builder.mutation({
+      query: (data) => ({
+        url: 'promotions',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [{ type: 'Promotions', id: 'LIST' }],
+    }),
+    updatePromotion: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `promotions/${id}`,
+        method: 'put',
+        data,
+      }),
+      invalidatesTags: (_result, _error, { id }) => [
+        { type: 'Promotions', id: 'LIST' },
+        { type: 'Promotions', id },
+      ],
+    }),
+    deletePromotion: builder.mutation({
+      query: (id) => ({
+        url: `promotions/${id}`,
+        method: 'delete',
+      }),
+      invalidatesTags: [{ type: 'Promotions', id: 'LIST' }],
+    }),
+  }),
+});
+
+export const {
+  useGetPromotionsQuery,
+  useGetPromotionQuery,
+  useEvaluatePromotionsMutation,
+  useCreatePromotionMutation,
+  useUpdatePromotionMutation,
+  useDeletePromotionMutation,
+} = promotionsApi;
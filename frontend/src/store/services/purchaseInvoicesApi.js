@@ -37,6 +37,7 @@ export const purchaseInvoicesApi = api.injectEndpoints({
           { type: 'Orders', id: 'PI_LIST' },
           { type: 'Products', id: 'LIST' }, // Invalidate products to refresh stock and prices
           { type: 'Suppliers', id: 'LIST' }, // Invalidate suppliers to refresh outstanding balance
+          'WarehouseStock', // Invalidate per-warehouse stock
         ];
         // Invalidate specific supplier if we have the supplier ID
         if (arg?.supplier) {
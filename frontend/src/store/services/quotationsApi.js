@@ -0,0 +1,106 @@
+import { api } from '../api';
+
+export const quotationsApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getQuotations: builder.query({
+      query: (params) => ({
+        url: 'quotations',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'Quotations', id: 'LIST' }],
+    }),
+    getQuotation: builder.query({
+      query: (id) => ({
+        url: `quotations/${id}`,
+        method: 'get',
+      }),
+      providesTags: (_result, _error, id) => [{ type: 'Quotations', id }],
+    }),
+    createQuotation: builder.mutation({
+      query: (data) => ({
+        url: 'quotations',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [{ type: 'Quotations', id: 'LIST' }],
+    }),
+    updateQuotation: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `quotations/${id}`,
+        method: 'put',
+        data,
+      }),
+      invalidatesTags: (_result, _error, { id }) => [
+        { type: 'Quotations', id: 'LIST' },
+        { type: 'Quotations', id },
+      ],
+    }),
+    sendQuotation: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `quotations/${id}/send`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: (_result, _error, { id }) => [
+        { type: 'Quotations', id: 'LIST' },
+        { type: 'Quotations', id },
+      ],
+    }),
+    respondToQuotation: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `quotations/${id}/respond`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: (_result, _error, { id }) => [
+        { type: 'Quotations', id: 'LIST' },
+        { type: 'Quotations', id },
+        { type: 'Inventory', id: 'LIST' },
+      ],
+    }),
+    convertQuotationToSalesOrder: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `quotations/${id}/convert/sales-order`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: (_result, _error, { id }) => [
+        { type: 'Quotations', id: 'LIST' },
+        { type: 'Quotations', id },
+        { type: 'SalesOrders', id: 'LIST' },
+        { type: 'Inventory', id: 'LIST' },
+      ],
+    }),
+    cancelQuotation: builder.mutation({
+      query: (id) => ({
+        url: `quotations/${id}/cancel`,
+        method: 'post',
+      }),
+      invalidatesTags: (_result, _error, id) => [
+        { type: 'Quotations', id: 'LIST' },
+        { type: 'Quotations', id },
+        { type: 'Inventory', id: 'LIST' },
+      ],
+    }),
+    deleteQuotation: builder.mutation({
+      query: (id) => ({
+        url: `quotations/${id}`,
+        method: 'delete',
+      }),
+      invalidatesTags: [{ type: 'Quotations', id: 'LIST' }],
+    }),
+  }),
+});
+
+export const {
+  useGetQuotationsQuery,
+  useGetQuotationQuery,
+  useCreateQuotationMutation,
+  useUpdateQuotationMutation,
+  useSendQuotationMutation,
+  useRespondToQuotationMutation,
+  useConvertQuotationToSalesOrderMutation,
+  useCancelQuotationMutation,
+  useDeleteQuotationMutation,
+} = quotationsApi;
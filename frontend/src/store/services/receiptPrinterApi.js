@@ -0,0 +1,51 @@
+import { api } from '../api';
+
+export const receiptPrinterApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getReceiptPrinters: builder.query({
+      query: () => ({
+        url: 'receipt-printer/printers',
+        method: 'get',
+      }),
+      providesTags: [{ type: 'Settings', id: 'RECEIPT_PRINTERS' }],
+    }),
+    saveReceiptPrinters: builder.mutation({
+      query: (printers) => ({
+        url: 'receipt-printer/printers',
+        method: 'put',
+        data: { printers },
+      }),
+      invalidatesTags: [{ type: 'Settings', id: 'RECEIPT_PRINTERS' }],
+    }),
+    // Cash sales also open the drawer unless openDrawer is given
+    printReceipt: builder.mutation({
+      query: (data) => ({
+        url: 'receipt-printer/print',
+        method: 'post',
+        data,
+      }),
+    }),
+    openCashDrawer: builder.mutation({
+      query: (data) => ({
+        url: 'receipt-printer/drawer',
+        method: 'post',
+        data,
+      }),
+    }),
+    printTestPage: builder.mutation({
+      query: (data) => ({
+        url: 'receipt-printer/test',
+        method: 'post',
+        data,
+      }),
+    }),
+  }),
+});
+
+export const {
+  useGetReceiptPrintersQuery,
+  useSaveReceiptPrintersMutation,
+  usePrintReceiptMutation,
+  useOpenCashDrawerMutation,
+  usePrintTestPageMutation,
+} = receiptPrinterApi;
@@ -0,0 +1,78 @@
+import { api } from '../api';
+
+export const recurringJournalsApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getRecurringJournals: builder.query({
+      query: (params) => ({
+        url: 'recurring-journals',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'RecurringJournals', id: 'LIST' }],
+    }),
+    getRecurringJournal: builder.query({
+      query: (id) => ({
+        url: `recurring-journals/${id}`,
+        method: 'get',
+      }),
+      providesTags: (_r, _e, id) => [{ type: 'RecurringJournals', id }],
+    }),
+    previewRecurringJournal: builder.query({
+      query: ({ id, ...params }) => ({
+        url: `recurring-journals/${id}/preview`,
+        method: 'get',
+        params,
+      }),
+      providesTags: (_r, _e, { id }) => [{ type: 'RecurringJournals', id }],
+    }),
+    createRecurringJournal: builder.mutation({
+      query: (data) => ({
+        url: 'recurring-journals',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [{ type: 'RecurringJournals', id: 'LIST' }],
+    }),
+    updateRecurringJournal: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `recurring-journals/${id}`,
+        method: 'put',
+        data,
+      }),
+      invalidatesTags: ['RecurringJournals'],
+    }),
+    setRecurringJournalStatus: builder.mutation({
+      query: ({ id, action }) => ({
+        url: `recurring-journals/${id}/${action}`,
+        method: 'post',
+      }),
+      invalidatesTags: ['RecurringJournals'],
+    }),
+    generateRecurringJournal: builder.mutation({
+      query: ({ id, date }) => ({
+        url: `recurring-journals/${id}/generate`,
+        method: 'post',
+        data: { date },
+      }),
+      invalidatesTags: ['RecurringJournals', 'ChartOfAccounts'],
+    }),
+    deleteRecurringJournal: builder.mutation({
+      query: (id) => ({
+        url: `recurring-journals/${id}`,
+        method: 'delete',
+      }),
+      invalidatesTags: [{ type: 'RecurringJournals', id: 'LIST' }],
+    }),
+  }),
+});
+
+export const {
+  useGetRecurringJournalsQuery,
+  useGetRecurringJournalQuery,
+  usePreviewRecurringJournalQuery,
+  useCreateRecurringJournalMutation,
+  useUpdateRecurringJournalMutation,
+  useSetRecurringJournalStatusMutation,
+  useGenerateRecurringJournalMutation,
+  useDeleteRecurringJournalMutation,
+} = recurringJournalsApi;
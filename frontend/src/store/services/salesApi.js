@@ -30,6 +30,7 @@ export const salesApi = api.injectEndpoints({
         { type: 'Products', id: 'LIST' }, // Invalidate products to refresh stock levels
         { type: 'Inventory', id: 'LIST' }, // Invalidate inventory cache
         { type: 'Customers', id: 'LIST' }, // Invalidate customers to refresh credit information
+        'WarehouseStock', // Invalidate per-warehouse stock
       ],
     }),
     getOrders: builder.query({
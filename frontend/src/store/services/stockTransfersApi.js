@@ -0,0 +1,84 @@
+import { api } from '../api';
+
+export const stockTransfersApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getStockTransfers: builder.query({
+      query: (params) => ({
+        url: 'stock-transfers',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'StockTransfers', id: 'LIST' }],
+    }),
+    getStockTransfer: builder.query({
+      query: (id) => ({
+        url: `stock-transfers/${id}`,
+        method: 'get',
+      }),
+      providesTags: (_result, _error, id) => [{ type: 'StockTransfers', id }],
+    }),
+    createStockTransfer: builder.mutation({
+      query: (data) => ({
+        url: 'stock-transfers',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [{ type: 'StockTransfers', id: 'LIST' }],
+    }),
+    approveStockTransfer: builder.mutation({
+      query: (id) => ({
+        url: `stock-transfers/${id}/approve`,
+        method: 'post',
+      }),
+      invalidatesTags: (_result, _error, id) => [
+        { type: 'StockTransfers', id: 'LIST' },
+        { type: 'StockTransfers', id },
+      ],
+    }),
+    dispatchStockTransfer: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `stock-transfers/${id}/dispatch`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: (_result, _error, { id }) => [
+        { type: 'StockTransfers', id: 'LIST' },
+        { type: 'StockTransfers', id },
+        { type: 'Inventory', id: 'LIST' },
+      ],
+    }),
+    receiveStockTransfer: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `stock-transfers/${id}/receive`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: (_result, _error, { id }) => [
+        { type: 'StockTransfers', id: 'LIST' },
+        { type: 'StockTransfers', id },
+        { type: 'Inventory', id: 'LIST' },
+      ],
+    }),
+    cancelStockTransfer: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `stock-transfers/${id}/cancel`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: (_result, _error, { id }) => [
+        { type: 'StockTransfers', id: 'LIST' },
+        { type: 'StockTransfers', id },
+      ],
+    }),
+  }),
+});
+
+export const {
+  useGetStockTransfersQuery,
+  useGetStockTransferQuery,
+  useCreateStockTransferMutation,
+  useApproveStockTransferMutation,
+  useDispatchStockTransferMutation,
+  useReceiveStockTransferMutation,
+  useCancelStockTransferMutation,
+} = stockTransfersApi;
@@ -0,0 +1,81 @@
+import { api } from '../api';
+
+export const stocktakesApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getStocktakes: builder.query({
+      query: (params) => ({
+        url: 'stocktakes',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'Stocktakes', id: 'LIST' }],
+    }),
+    getStocktake: builder.query({
+      query: ({ id, sheet }) => ({
+        url: `stocktakes/${id}`,
+        method: 'get',
+        params: sheet ? { sheet } : undefined,
+      }),
+      providesTags: (_result, _error, { id }) => [{ type: 'Stocktakes', id }],
+    }),
+    createStocktake: builder.mutation({
+      query: (data) => ({
+        url: 'stocktakes',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [{ type: 'Stocktakes', id: 'LIST' }],
+    }),
+    recordStocktakeCounts: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `stocktakes/${id}/counts`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: (_result, _error, { id }) => [{ type: 'Stocktakes', id }],
+    }),
+    finishStocktakeCounting: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `stocktakes/${id}/finish-counting`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: (_result, _error, { id }) => [
+        { type: 'Stocktakes', id: 'LIST' },
+        { type: 'Stocktakes', id },
+      ],
+    }),
+    postStocktake: builder.mutation({
+      query: (id) => ({
+        url: `stocktakes/${id}/post`,
+        method: 'post',
+      }),
+      invalidatesTags: (_result, _error, id) => [
+        { type: 'Stocktakes', id: 'LIST' },
+        { type: 'Stocktakes', id },
+        { type: 'Inventory', id: 'LIST' },
+        'WarehouseStock',
+      ],
+    }),
+    cancelStocktake: builder.mutation({
+      query: (id) => ({
+        url: `stocktakes/${id}/cancel`,
+        method: 'post',
+      }),
+      invalidatesTags: (_result, _error, id) => [
+        { type: 'Stocktakes', id: 'LIST' },
+        { type: 'Stocktakes', id },
+      ],
+    }),
+  }),
+});
+
+export const {
+  useGetStocktakesQuery,
+  useGetStocktakeQuery,
+  useCreateStocktakeMutation,
+  useRecordStocktakeCountsMutation,
+  useFinishStocktakeCountingMutation,
+  usePostStocktakeMutation,
+  useCancelStocktakeMutation,
+} = stocktakesApi;
@@ -0,0 +1,62 @@
+import { api } from '../api';
+
+export const supplierCatalogApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getSupplierCatalog: builder.query({
+      query: (params) => ({
+        url: 'supplier-catalog',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'SupplierCatalog', id: 'LIST' }],
+    }),
+    getSupplierPerformance: builder.query({
+      query: (params) => ({
+        url: 'supplier-catalog/performance',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'SupplierCatalog', id: 'PERFORMANCE' }],
+    }),
+    getProductSuppliers: builder.query({
+      query: ({ productId, ...params }) => ({
+        url: `supplier-catalog/product/${productId}/suppliers`,
+        method: 'get',
+        params,
+      }),
+      providesTags: (_result, _error, { productId }) => [{ type: 'SupplierCatalog', id: `PRODUCT_${productId}` }],
+    }),
+    createSupplierCatalogEntry: builder.mutation({
+      query: (data) => ({
+        url: 'supplier-catalog',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: ['SupplierCatalog', { type: 'Inventory', id: 'NEED_REORDER' }],
+    }),
+    updateSupplierCatalogEntry: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `supplier-catalog/${id}`,
+        method: 'put',
+        data,
+      }),
+      invalidatesTags: ['SupplierCatalog', { type: 'Inventory', id: 'NEED_REORDER' }],
+    }),
+    deleteSupplierCatalogEntry: builder.mutation({
+      query: (id) => ({
+        url: `supplier-catalog/${id}`,
+        method: 'delete',
+      }),
+      invalidatesTags: ['SupplierCatalog', { type: 'Inventory', id: 'NEED_REORDER' }],
+    }),
+  }),
+});
+
+export const {
+  useGetSupplierCatalogQuery,
+  useGetSupplierPerformanceQuery,
+  useGetProductSuppliersQuery,
+  useCreateSupplierCatalogEntryMutation,
+  useUpdateSupplierCatalogEntryMutation,
+  useDeleteSupplierCatalogEntryMutation,
+} = supplierCatalogApi;
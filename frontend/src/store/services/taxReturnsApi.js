@@ -0,0 +1,77 @@
+import { api } from '../api';
+
+export const taxReturnsApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getTaxReturnReport: builder.query({
+      query: (params) => ({
+        url: 'tax-returns/report',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'TaxReturns', id: 'REPORT' }],
+    }),
+    getTaxReturns: builder.query({
+      query: (params) => ({
+        url: 'tax-returns',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'TaxReturns', id: 'LIST' }],
+    }),
+    getTaxReturn: builder.query({
+      query: (id) => ({
+        url: `tax-returns/${id}`,
+        method: 'get',
+      }),
+      providesTags: (_result, _error, id) => [{ type: 'TaxReturns', id }],
+    }),
+    createTaxReturn: builder.mutation({
+      query: (data) => ({
+        url: 'tax-returns',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [{ type: 'TaxReturns', id: 'LIST' }],
+    }),
+    recalculateTaxReturn: builder.mutation({
+      query: (id) => ({
+        url: `tax-returns/${id}/recalculate`,
+        method: 'post',
+      }),
+      invalidatesTags: (_result, _error, id) => [
+        { type: 'TaxReturns', id: 'LIST' },
+        { type: 'TaxReturns', id },
+      ],
+    }),
+    fileTaxReturn: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `tax-returns/${id}/file`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: (_result, _error, { id }) => [
+        { type: 'TaxReturns', id: 'LIST' },
+        { type: 'TaxReturns', id },
+      ],
+    }),
+    // Pass { id, format } for a saved return or { startDate, endDate, format } for a preview
+    exportTaxReturn: builder.mutation({
+      query: ({ id, ...params }) => ({
+        url: id ? `tax-returns/${id}` : 'tax-returns/report',
+        method: 'get',
+        params,
+        responseType: 'blob',
+      }),
+    }),
+  }),
+});
+
+export const {
+  useGetTaxReturnReportQuery,
+  useGetTaxReturnsQuery,
+  useGetTaxReturnQuery,
+  useCreateTaxReturnMutation,
+  useRecalculateTaxReturnMutation,
+  useFileTaxReturnMutation,
+  useExportTaxReturnMutation,
+} = taxReturnsApi;
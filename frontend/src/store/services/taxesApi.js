@@ -0,0 +1,72 @@
+import { api } from '../api';
+
+export const taxesApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getTaxCodes: builder.query({
+      query: (params) => ({
+        url: 'taxes/codes',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'Taxes', id: 'CODES' }],
+    }),
+    createTaxCode: builder.mutation({
+      query: (data) => ({
+        url: 'taxes/codes',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [{ type: 'Taxes', id: 'CODES' }],
+    }),
+    updateTaxCode: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `taxes/codes/${id}`,
+        method: 'put',
+        data,
+      }),
+      // Groups embed their codes, so both lists refresh
+      invalidatesTags: [{ type: 'Taxes', id: 'CODES' }, { type: 'Taxes', id: 'GROUPS' }],
+    }),
+    getTaxGroups: builder.query({
+      query: () => ({
+        url: 'taxes/groups',
+        method: 'get',
+      }),
+      providesTags: [{ type: 'Taxes', id: 'GROUPS' }],
+    }),
+    createTaxGroup: builder.mutation({
+      query: (data) => ({
+        url: 'taxes/groups',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [{ type: 'Taxes', id: 'GROUPS' }],
+    }),
+    updateTaxGroup: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `taxes/groups/${id}`,
+        method: 'put',
+        data,
+      }),
+      invalidatesTags: [{ type: 'Taxes', id: 'GROUPS' }],
+    }),
+    calculateTaxes: builder.mutation({
+      query: (data) => ({
+        url: 'taxes/calculate',
+        method: 'post',
+        data,
+      }),
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useGetTaxCodesQuery,
+  useCreateTaxCodeMutation,
+  useUpdateTaxCodeMutation,
+  useGetTaxGroupsQuery,
+  useCreateTaxGroupMutation,
+  useUpdateTaxGroupMutation,
+  useCalculateTaxesMutation,
+} = taxesApi;
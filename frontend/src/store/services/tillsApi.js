@@ -0,0 +1,62 @@
+import { api } from '../api';
+
+export const tillsApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    openTill: builder.mutation({
+      query: (data) => ({
+        url: 'tills/open',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [{ type: 'Tills', id: 'LIST' }],
+    }),
+    closeTill: builder.mutation({
+      query: (data) => ({
+        url: 'tills/close',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [{ type: 'Tills', id: 'LIST' }],
+    }),
+    generateXReport: builder.mutation({
+      query: () => ({
+        url: 'tills/x-report',
+        method: 'post',
+      }),
+      invalidatesTags: [{ type: 'Tills', id: 'LIST' }],
+    }),
+    recordCashMovement: builder.mutation({
+      query: (data) => ({
+        url: 'tills/movements',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [{ type: 'Tills', id: 'LIST' }],
+    }),
+    getTillSessions: builder.query({
+      query: (params) => ({
+        url: 'tills/variance',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'Tills', id: 'LIST' }],
+    }),
+    getTillSession: builder.query({
+      query: (id) => ({
+        url: `tills/${id}`,
+        method: 'get',
+      }),
+      providesTags: (_r, _e, id) => [{ type: 'Tills', id }],
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useOpenTillMutation,
+  useCloseTillMutation,
+  useGenerateXReportMutation,
+  useRecordCashMovementMutation,
+  useGetTillSessionsQuery,
+  useGetTillSessionQuery,
+} = tillsApi;
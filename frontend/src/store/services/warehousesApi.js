@@ -55,6 +55,43 @@ export const warehousesApi = api.injectEndpoints({
         { type: 'Warehouses', id: 'LIST' },
       ],
     }),
+    getWarehouseStock: builder.query({
+      query: ({ id, ...params }) => ({
+        url: `warehouses/${id}/stock`,
+        method: 'get',
+        params,
+      }),
+      providesTags: (_r, _e, { id }) => [{ type: 'WarehouseStock', id }],
+    }),
+    getProductWarehouseStock: builder.query({
+      query: (productId) => ({
+        url: `warehouses/stock/by-product/${productId}`,
+        method: 'get',
+      }),
+      providesTags: (_r, _e, productId) => [{ type: 'WarehouseStock', id: `product-${productId}` }],
+    }),
+    updateWarehouseStockLevels: builder.mutation({
+      query: ({ id, productId, ...data }) => ({
+        url: `warehouses/${id}/stock/${productId}/levels`,
+        method: 'put',
+        data,
+      }),
+      invalidatesTags: (_r, _e, { id, productId }) => [
+        { type: 'WarehouseStock', id },
+        { type: 'WarehouseStock', id: `product-${productId}` },
+      ],
+    }),
+    moveWarehouseStockBin: builder.mutation({
+      query: ({ id, productId, ...data }) => ({
+        url: `warehouses/${id}/stock/${productId}/move-bin`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: (_r, _e, { id, productId }) => [
+        { type: 'WarehouseStock', id },
+        { type: 'WarehouseStock', id: `product-${productId}` },
+      ],
+    }),
   }),
   overrideExisting: false,
 });
@@ -65,4 +102,8 @@ export const {
   useCreateWarehouseMutation,
   useUpdateWarehouseMutation,
   useDeleteWarehouseMutation,
+  useGetWarehouseStockQuery,
+  useGetProductWarehouseStockQuery,
+  useUpdateWarehouseStockLevelsMutation,
+  useMoveWarehouseStockBinMutation,
 } = warehousesApi;
@@ -26,6 +26,11 @@ export const componentRegistry = {
     icon: 'Package',
     component: () => import('../pages/Products').then(m => m.default || m.Products)
   },
+  '/price-lists': {
+    title: 'Price Lists',
+    icon: 'Tags',
+    component: () => import('../pages/PriceLists').then(m => m.default)
+  },
   '/customers': {
     title: 'Customers',
     icon: 'Users',
@@ -46,6 +51,11 @@ export const componentRegistry = {
     icon: 'Building',
     component: () => import('../pages/Suppliers').then(m => m.default || m.Suppliers)
   },
+  '/supplier-catalog': {
+    title: 'Supplier Catalog',
+    icon: 'BookOpen',
+    component: () => import('../pages/SupplierCatalog').then(m => m.default)
+  },
   '/investors': {
     title: 'Investors',
     icon: 'TrendingUp',
@@ -72,11 +82,21 @@ export const componentRegistry = {
     icon: 'AlertTriangle',
     component: () => import('../pages/InventoryAlerts').then(m => m.default || m.InventoryAlerts)
   },
+  '/demand-forecasts': {
+    title: 'Demand Forecasts',
+    icon: 'LineChart',
+    component: () => import('../pages/DemandForecasts').then(m => m.default)
+  },
   '/warehouses': {
     title: 'Warehouses',
     icon: 'Warehouse',
     component: () => import('../pages/Warehouses').then(m => m.default)
   },
+  '/stocktakes': {
+    title: 'Stocktakes',
+    icon: 'ClipboardCheck',
+    component: () => import('../pages/Stocktakes').then(m => m.default)
+  },
   '/stock-movements': {
     title: 'Stock Movements',
     icon: 'ArrowUpDown',
@@ -87,6 +107,11 @@ export const componentRegistry = {
     icon: 'RotateCcw',
     component: () => import('../pages/Returns').then(m => m.default || m.Returns)
   },
+  '/quotations': {
+    title: 'Quotations',
+    icon: 'FileSignature',
+    component: () => import('../pages/Quotations').then(m => m.default)
+  },
   '/sales-orders': {
     title: 'Sales Orders',
     icon: 'FileText',
@@ -104,6 +129,11 @@ export const componentRegistry = {
     icon: 'Search',
     component: () => import('../pages/PurchaseInvoices').then(m => m.default || m.PurchaseInvoices)
   },
+  '/landed-costs': {
+    title: 'Landed Costs',
+    icon: 'Ship',
+    component: () => import('../pages/LandedCosts').then(m => m.default)
+  },
   '/reports': {
     title: 'Reports',
     icon: 'BarChart3',
@@ -124,11 +154,21 @@ export const componentRegistry = {
     icon: 'FileText',
     component: () => import('../pages/BalanceSheets').then(m => m.default || m.BalanceSheets)
   },
+  '/tax-returns': {
+    title: 'Tax Returns',
+    icon: 'FileText',
+    component: () => import('../pages/TaxReturns').then(m => m.default)
+  },
   '/discounts': {
     title: 'Discounts',
     icon: 'Tag',
     component: () => import('../pages/Discounts').then(m => m.default || m.Discounts)
   },
+  '/promotions': {
+    title: 'Promotions',
+    icon: 'Gift',
+    component: () => import('../pages/Promotions').then(m => m.default)
+  },
   '/sales-performance': {
     title: 'Sales Performance',
     icon: 'TrendingUp',
@@ -156,6 +196,16 @@ export const componentRegistry = {
     allowMultiple: true,
     component: () => import('../pages/BankPayments').then(m => m.default || m.BankPayments)
   },
+  '/bank-reconciliation': {
+    title: 'Bank Reconciliation',
+    icon: 'Scale',
+    component: () => import('../pages/BankReconciliation').then(m => m.default)
+  },
+  '/exchange-rates': {
+    title: 'Exchange Rates',
+    icon: 'ArrowLeftRight',
+    component: () => import('../pages/ExchangeRates').then(m => m.default)
+  },
   '/cash-receipts': {
     title: 'Cash Receipts',
     icon: 'Receipt',
@@ -184,6 +234,16 @@ export const componentRegistry = {
     icon: 'Building',
     component: () => import('../pages/Banks').then(m => m.default || m.Banks)
   },
+  '/tax-settings': {
+    title: 'Tax Settings',
+    icon: 'Percent',
+    component: () => import('../pages/TaxSettings').then(m => m.default)
+  },
+  '/document-templates': {
+    title: 'Document Templates',
+    icon: 'Printer',
+    component: () => import('../pages/DocumentTemplates').then(m => m.default)
+  },
   '/settings': {
     title: 'Settings',
     icon: 'Settings',
@@ -217,6 +277,21 @@ export const componentRegistry = {
     allowMultiple: true,
     component: () => import('../pages/JournalVouchers').then(m => m.default || m.JournalVouchers)
   },
+  '/recurring-journals': {
+    title: 'Recurring Journals',
+    icon: 'Repeat',
+    component: () => import('../pages/RecurringJournals').then(m => m.default)
+  },
+  '/amortization-schedules': {
+    title: 'Amortization Schedules',
+    icon: 'CalendarClock',
+    component: () => import('../pages/AmortizationSchedules').then(m => m.default)
+  },
+  '/fixed-assets': {
+    title: 'Fixed Assets',
+    icon: 'Landmark',
+    component: () => import('../pages/FixedAssets').then(m => m.default)
+  },
   '/categories': {
     title: 'Categories',
     icon: 'Tag',
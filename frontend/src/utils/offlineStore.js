@@ -0,0 +1,126 @@
+/**
+ * IndexedDB persistence for the offline POS
+ * Caches the catalogue (products, customers) and holds sales queued while offline.
+ */
+
+const DB_NAME = 'pos-offline';
+const DB_VERSION = 1;
+
+export const STORES = {
+  products: 'products',
+  customers: 'customers',
+  pendingSales: 'pendingSales',
+};
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORES.products)) {
+        db.createObjectStore(STORES.products, { keyPath: '_id' });
+      }
+      if (!db.objectStoreNames.contains(STORES.customers)) {
+        db.createObjectStore(STORES.customers, { keyPath: '_id' });
+      }
+      if (!db.objectStoreNames.contains(STORES.pendingSales)) {
+        const store = db.createObjectStore(STORES.pendingSales, { keyPath: 'idempotencyKey' });
+        store.createIndex('status', 'status');
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+  return dbPromise;
+};
+
+const run = async (storeName, mode, operation) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const result = operation(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(result?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// Strip non-cloneable values (RTK Query results can be frozen proxies)
+const toPlain = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Replace the cached records for a catalogue store
+ * @param {string} storeName - STORES.products or STORES.customers
+ * @param {Array} records - Records with an _id
+ */
+export const cacheRecords = async (storeName, records = []) => {
+  const plain = toPlain(records.filter((record) => record?._id));
+  return run(storeName, 'readwrite', (store) => {
+    store.clear();
+    plain.forEach((record) => store.put(record));
+  });
+};
+
+/**
+ * @param {string} storeName - Store to read
+ * @returns {Promise<Array>}
+ */
+export const getCachedRecords = (storeName) =>
+  run(storeName, 'readonly', (store) => store.getAll()).then((records) => records || []);
+
+/**
+ * Lower cached stock after an offline sale so later lookups stay close to reality
+ * @param {Array} items - [{ product, quantity }]
+ */
+export const decrementCachedStock = async (items = []) => {
+  const products = await getCachedRecords(STORES.products);
+  const byId = new Map(products.map((p) => [p._id, p]));
+  return run(STORES.products, 'readwrite', (store) => {
+    items.forEach(({ product, quantity }) => {
+      const cached = byId.get(product);
+      if (cached?.inventory) {
+        cached.inventory.currentStock = Math.max(0, Number(cached.inventory.currentStock || 0) - Number(quantity));
+        store.put(cached);
+      }
+    });
+  });
+};
+
+/**
+ * Queue a sale for later sync
+ * @param {Object} sale - { idempotencyKey, payload, createdAt }
+ */
+export const queueSale = (sale) =>
+  run(STORES.pendingSales, 'readwrite', (store) =>
+    store.put(toPlain({ status: 'pending', attempts: 0, conflicts: [], ...sale }))
+  );
+
+/**
+ * @returns {Promise<Array>} Queued sales, oldest first
+ */
+export const getQueuedSales = () =>
+  getCachedRecords(STORES.pendingSales).then((sales) =>
+    sales.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+  );
+
+/**
+ * @param {Object} sale - Full queued sale record
+ */
+export const updateQueuedSale = (sale) =>
+  run(STORES.pendingSales, 'readwrite', (store) => store.put(toPlain(sale)));
+
+/**
+ * @param {string} idempotencyKey - Key of the queued sale
+ */
+export const removeQueuedSale = (idempotencyKey) =>
+  run(STORES.pendingSales, 'readwrite', (store) => store.delete(idempotencyKey));